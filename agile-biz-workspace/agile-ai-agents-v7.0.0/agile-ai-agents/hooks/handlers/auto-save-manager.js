@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('../../machine-data/lock-service');
 
 class AutoSaveManager {
   constructor(projectRoot) {
@@ -156,33 +157,41 @@ class AutoSaveManager {
         await this.createBackup();
       }
 
-      // Load current state
-      let state = {};
-      if (fs.existsSync(this.statePath)) {
-        const stateContent = fs.readFileSync(this.statePath, 'utf8');
-        state = JSON.parse(stateContent);
-      }
+      // Load, update and save under the runtime.json lock so other writers' changes survive
+      const saved = lockService.withLockSync(this.statePath, () => {
+        let state = {};
+        if (fs.existsSync(this.statePath)) {
+          const stateContent = fs.readFileSync(this.statePath, 'utf8');
+          state = JSON.parse(stateContent);
+        }
 
-      // Update state with batch metadata
-      state.auto_save = {
-        last_save: new Date().toISOString(),
-        save_count: ++this.saveCount,
-        triggers: batch.map(b => ({
-          trigger: b.trigger,
-          timestamp: b.timestamp
-        }))
-      };
+        // Update state with batch metadata
+        state.auto_save = {
+          last_save: new Date().toISOString(),
+          save_count: this.saveCount + 1,
+          triggers: batch.map(b => ({
+            trigger: b.trigger,
+            timestamp: b.timestamp
+          }))
+        };
+
+        // Validate state before saving
+        if (!this.validateState(state)) {
+          return false;
+        }
+
+        lockService.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+        return true;
+      });
 
-      // Validate state before saving
-      if (!this.validateState(state)) {
+      if (!saved) {
         console.error('State validation failed, skipping save');
         this.saveInProgress = false;
         return;
       }
 
-      // Save state
-      fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
-      this.lastSaveTime = Date.now();
+      this.saveCount++;
+      this.lastSaveTime= Date.now();
       
       console.log(`💾 Auto-save complete (${batch.length} triggers processed)`);
       
@@ -250,7 +259,7 @@ class AutoSaveManager {
       const backupFile = path.join(this.backupPath, backupName);
       
       const stateContent = fs.readFileSync(this.statePath, 'utf8');
-      fs.writeFileSync(backupFile, stateContent);
+      lockService.writeFileSync(backupFile, stateContent);
       
       console.log(`📦 Backup created: ${backupName}`);
     } catch (error) {
@@ -333,7 +342,7 @@ class AutoSaveManager {
       
       // Restore from backup
       const backupContent = fs.readFileSync(backupFile, 'utf8');
-      fs.writeFileSync(this.statePath, backupContent);
+      lockService.writeFileSync(this.statePath, backupContent);
       
       console.log(`✅ Restored from backup: ${backupName}`);
       return true;
@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const WorkflowIntegrationHandler = require('./workflow-integration');
+const { lockService } = require('../../machine-data/lock-service');
 
 class CommandHandler {
   constructor(projectRoot) {
@@ -318,36 +319,39 @@ class CommandHandler {
       console.log('📁 Created project-state directory');
     }
     
-    if (!fs.existsSync(this.statePath)) {
-      const initialState = {
-        workflow_stage: null,
-        active_workflow: null,
-        current_phase: null,
-        phase_selection_unlocked: false,
-        phases: {
-          completed: [],
-          selected: {
-            active: [],
-            execution_mode: null
-          }
-        },
-        configuration: {
-          research_level: 'thorough',
-          analysis_level: 'comprehensive'
-        },
-        metrics: {
-          documents_created: 0,
-          decisions_made: 0,
-          approvals_obtained: 0,
-          phases_completed: 0
-        },
-        created_at: new Date().toISOString(),
-        last_updated: new Date().toISOString()
-      };
+    // Check and create under the lock so a state written meanwhile is not replaced
+    lockService.withLockSync(this.statePath, () => {
+      if (!fs.existsSync(this.statePath)) {
+        const initialState = {
+          workflow_stage: null,
+          active_workflow: null,
+          current_phase: null,
+          phase_selection_unlocked: false,
+          phases: {
+            completed: [],
+            selected: {
+              active: [],
+              execution_mode: null
+            }
+          },
+          configuration: {
+            research_level: 'thorough',
+            analysis_level: 'comprehensive'
+          },
+          metrics: {
+            documents_created: 0,
+            decisions_made: 0,
+            approvals_obtained: 0,
+            phases_completed: 0
+          },
+          created_at: new Date().toISOString(),
+          last_updated: new Date().toISOString()
+        };
       
-      fs.writeFileSync(this.statePath, JSON.stringify(initialState, null, 2));
-      console.log('📝 Initialized workflow state');
-    }
+        lockService.writeFileSync(this.statePath, JSON.stringify(initialState, null, 2));
+        console.log('📝 Initialized workflow state');
+      }
+    });
   }
 
   /**
@@ -448,7 +452,7 @@ class CommandHandler {
     }
     
     const checkpointPath = path.join(checkpointsDir, `${checkpointName}.json`);
-    fs.writeFileSync(checkpointPath, JSON.stringify(state, null, 2));
+    lockService.writeFileSync(checkpointPath, JSON.stringify(state, null, 2));
     
     console.log(`✅ Checkpoint created: ${checkpointName}`);
     
@@ -7,6 +7,7 @@ const readline = require('readline');
 const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
+const { lockService } = require('../../../machine-data/lock-service');
 
 class ImprovementSelector {
   constructor() {
@@ -398,7 +399,7 @@ class ImprovementSelector {
    */
   async saveSelectionState(selected, deferred, summary) {
     // Save selected improvements
-    await fs.writeFile(
+    lockService.writeFileSync(
       path.join(this.improvementsPath, 'selected-improvements.json'),
       JSON.stringify({
         selected_improvements: selected,
@@ -411,7 +412,7 @@ class ImprovementSelector {
     );
 
     // Save deferred improvements
-    await fs.writeFile(
+    lockService.writeFileSync(
       path.join(this.improvementsPath, 'deferred-improvements.json'),
       JSON.stringify({
         deferred_improvements: deferred,
@@ -8,6 +8,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
+const { lockService } = require('../../../machine-data/lock-service');
 
 class RebuildProjectWorkflow {
   constructor() {
@@ -414,19 +415,18 @@ class RebuildProjectWorkflow {
   }
 
   async saveRebuildState(state) {
-    await fs.mkdir(path.dirname(this.rebuildStateFile), { recursive: true });
-    await fs.writeFile(this.rebuildStateFile, JSON.stringify(state, null, 2));
+    lockService.writeFileSync(this.rebuildStateFile, JSON.stringify(state, null, 2));
   }
 
   async updateWorkflowState(workflow, phase) {
-    const state = await this.loadState();
-    state.workflow_state = {
-      active_workflow: workflow,
-      workflow_phase: phase,
-      initiated_by: '/rebuild-project-workflow',
-      timestamp: new Date().toISOString()
-    };
-    await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+    lockService.updateJsonSync(this.stateFile, state => {
+      state.workflow_state = {
+        active_workflow: workflow,
+        workflow_phase: phase,
+        initiated_by: '/rebuild-project-workflow',
+        timestamp: new Date().toISOString()
+      };
+    });
   }
 }
 
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('../../../machine-data/lock-service');
 
 class AgentContextUpdater {
   constructor() {
@@ -333,20 +334,15 @@ class AgentContextUpdater {
   saveAgentContext(agentContext) {
     agentContext.last_updated = this.context.timestamp;
     
-    // Ensure state directory exists
-    if (!fs.existsSync(this.stateDir)) {
-      fs.mkdirSync(this.stateDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(this.agentContextPath, JSON.stringify(agentContext, null, 2));
+    lockService.writeFileSync(this.agentContextPath, JSON.stringify(agentContext, null, 2));
     
     // Also update main state if exists
     const mainStatePath = path.join(this.stateDir, 'current-state.json');
     if (fs.existsSync(mainStatePath)) {
-      const mainState = JSON.parse(fs.readFileSync(mainStatePath, 'utf8'));
-      mainState.active_agent = agentContext.active_agent;
-      mainState.workflow_phase = agentContext.workflow_phase;
-      fs.writeFileSync(mainStatePath, JSON.stringify(mainState, null, 2));
+      lockService.updateJsonSync(mainStatePath, mainState => {
+        mainState.active_agent = agentContext.active_agent;
+        mainState.workflow_phase = agentContext.workflow_phase;
+      });
     }
   }
 }
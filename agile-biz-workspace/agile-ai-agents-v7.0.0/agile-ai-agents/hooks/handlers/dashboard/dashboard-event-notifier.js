@@ -36,7 +36,7 @@ class DashboardEventNotifier {
         port: 3001,
         protocol: 'http',
         endpoints: {
-          events: '/api/events',
+          events: '/api/stream/events',
           hooks: '/api/hooks',
           metrics: '/api/metrics',
           state: '/api/state'
@@ -11,8 +11,16 @@ const path = require('path');
 const fs = require('fs').promises;
 
 // Load Document Router
-const DocumentRouter = require('../../machine-data/document-router');
-const DocumentLifecycleManager = require('../../machine-data/document-lifecycle-manager');
+const DocumentRouter = require('../../../machine-data/document-router');
+const DocumentLifecycleManager = require('../../../machine-data/document-lifecycle-manager');
+const { lockService } = require('../../../machine-data/lock-service');
+
+// Hook manager file triggers -> handler for that event
+const EVENT_HANDLERS = {
+  'file-create': 'handleDocumentCreation',
+  'file-change': 'handleDocumentUpdate',
+  'file-delete': 'handleDocumentDeletion'
+};
 
 class DocumentRouterHook {
   constructor() {
@@ -20,7 +28,7 @@ class DocumentRouterHook {
     this.router = new DocumentRouter(this.projectRoot);
     this.lifecycleManager = new DocumentLifecycleManager(this.projectRoot);
     this.enabled = true;
-    this.logPath = path.join(__dirname, '../../machine-data/document-router-hook.log');
+    this.logPath = path.join(this.projectRoot, 'machine-data', 'document-router-hook.log');
   }
 
   /**
@@ -193,7 +201,7 @@ class DocumentRouterHook {
    */
   getCurrentSprint() {
     try {
-      const workflowStatePath = path.join(this.projectRoot, 'agile-ai-agents/project-state/workflow-state.json');
+      const workflowStatePath = path.join(this.projectRoot, 'project-state', 'workflow-state.json');
       if (require('fs').existsSync(workflowStatePath)) {
         const workflowState = JSON.parse(require('fs').readFileSync(workflowStatePath, 'utf8'));
         if (workflowState.current_sprint) {
@@ -211,23 +219,25 @@ class DocumentRouterHook {
    */
   async updateRegistry(document, routedPath) {
     try {
-      const registryPath = path.join(__dirname, '../../machine-data/project-document-registry.json');
-      
-      let registry = {};
-      if (require('fs').existsSync(registryPath)) {
-        const content = await fs.readFile(registryPath, 'utf8');
-        registry = JSON.parse(content);
-      }
+      const registryPath = path.join(this.projectRoot, 'machine-data', 'project-document-registry.json');
       
-      registry[document.fileName] = {
-        path: routedPath,
-        agent: document.agent,
-        category: document.category,
-        created: new Date().toISOString(),
-        sprint: document.sprint
-      };
-      
-      await fs.writeFile(registryPath, JSON.stringify(registry, null, 2));
+      await lockService.withLock(registryPath, async () => {
+        let registry = {};
+        if (require('fs').existsSync(registryPath)) {
+          const content = await fs.readFile(registryPath, 'utf8');
+          registry = JSON.parse(content);
+        }
+        
+        registry[document.fileName] = {
+          path: routedPath,
+          agent: document.agent,
+          category: document.category,
+          created: new Date().toISOString(),
+          sprint: document.sprint
+        };
+        
+        await fs.writeFile(registryPath, JSON.stringify(registry, null, 2));
+      });
       
     } catch (error) {
       console.error('Error updating registry:', error);
@@ -304,11 +314,28 @@ module.exports = {
 // CLI interface for testing
 if (require.main === module) {
   const args = process.argv.slice(2);
-  const command = args[0];
+  const command = args[0] || (process.env.HOOK_CONTEXT ? 'hook' : undefined);
   
   (async () => {
     try {
       switch (command) {
+        case 'hook': {
+          // Run by the hook manager: route the file, print the result as the last stdout line
+          const hookContext = JSON.parse(process.env.HOOK_CONTEXT);
+          const handler = EVENT_HANDLERS[hookContext.event];
+          const filePath = process.env.FILE_PATH || hookContext.filePath;
+          const outcome = handler && filePath
+            ? await hook[handler]({
+              path: path.relative(hook.projectRoot, path.resolve(hook.projectRoot, filePath)),
+              agent: process.env.ACTIVE_AGENT || undefined,
+              // The document-registry hook records the file after md-json-sync
+              updateRegistry: false
+            })
+            : { success: true, message: `No routing for event: ${hookContext.event}` };
+          console.log(JSON.stringify(outcome || { success: true }));
+          break;
+        }
+
         case 'test':
           // Test routing
           const context = {
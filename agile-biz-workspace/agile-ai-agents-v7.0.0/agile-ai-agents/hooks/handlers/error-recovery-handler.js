@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('../../machine-data/lock-service');
 
 class ErrorRecoveryHandler {
   constructor(projectRoot) {
@@ -351,60 +352,63 @@ class ErrorRecoveryHandler {
     let state = {};
     let repaired = 0;
     
-    // Try to read existing state
-    if (fs.existsSync(this.statePath)) {
-      try {
-        const content = fs.readFileSync(this.statePath, 'utf8');
-        state = JSON.parse(content);
-      } catch (error) {
-        console.log('Starting with fresh state due to corruption');
-        state = {};
+    // Hold the runtime.json lock from read to write so a concurrent save is not overwritten
+    lockService.withLockSync(this.statePath, () => {
+      // Try to read existing state
+      if (fs.existsSync(this.statePath)) {
+        try {
+          const content = fs.readFileSync(this.statePath, 'utf8');
+          state = JSON.parse(content);
+        } catch (error) {
+          console.log('Starting with fresh state due to corruption');
+          state = {};
+        }
       }
-    }
     
-    // Apply repairs
-    for (const issue of issues) {
-      console.log(`\n🔧 Repairing: ${issue.type} - ${issue.message}`);
+      // Apply repairs
+      for (const issue of issues) {
+        console.log(`\n🔧 Repairing: ${issue.type} - ${issue.message}`);
       
-      switch (issue.type) {
-        case 'missing_state':
-        case 'invalid_json':
-          state = this.getDefaultState();
-          repaired++;
-          break;
+        switch (issue.type) {
+          case 'missing_state':
+          case 'invalid_json':
+            state = this.getDefaultState();
+            repaired++;
+            break;
           
-        case 'missing_field':
-          state[issue.field] = this.getDefaultFieldValue(issue.field);
-          repaired++;
-          break;
+          case 'missing_field':
+            state[issue.field] = this.getDefaultFieldValue(issue.field);
+            repaired++;
+            break;
           
-        case 'invalid_structure':
-          const parts = issue.field.split('.');
-          let target = state;
-          for (let i = 0; i < parts.length - 1; i++) {
-            if (!target[parts[i]]) {
-              target[parts[i]] = {};
+          case 'invalid_structure':
+            const parts = issue.field.split('.');
+            let target = state;
+            for (let i = 0; i < parts.length - 1; i++) {
+              if (!target[parts[i]]) {
+                target[parts[i]] = {};
+              }
+              target = target[parts[i]];
             }
-            target = target[parts[i]];
-          }
-          target[parts[parts.length - 1]] = this.getDefaultFieldValue(issue.field);
-          repaired++;
-          break;
+            target[parts[parts.length - 1]] = this.getDefaultFieldValue(issue.field);
+            repaired++;
+            break;
           
-        case 'invalid_data':
-          const dataParts = issue.field.split('.');
-          let dataTarget = state;
-          for (let i = 0; i < dataParts.length - 1; i++) {
-            dataTarget = dataTarget[dataParts[i]];
-          }
-          dataTarget[dataParts[dataParts.length - 1]] = 0;
-          repaired++;
-          break;
+          case 'invalid_data':
+            const dataParts = issue.field.split('.');
+            let dataTarget = state;
+            for (let i = 0; i < dataParts.length - 1; i++) {
+              dataTarget = dataTarget[dataParts[i]];
+            }
+            dataTarget[dataParts[dataParts.length - 1]] = 0;
+            repaired++;
+            break;
+        }
       }
-    }
     
-    // Save repaired state
-    fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+      // Save repaired state
+      lockService.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+    });
     
     // Log repair
     await this.logRepair(issues, repaired);
@@ -478,7 +482,7 @@ class ErrorRecoveryHandler {
     
     try {
       const stateContent = fs.readFileSync(this.statePath, 'utf8');
-      fs.writeFileSync(checkpointPath, stateContent);
+      lockService.writeFileSync(checkpointPath, stateContent);
       console.log(`   📸 Checkpoint created: ${checkpointId}`);
       return checkpointId;
     } catch (error) {
@@ -526,7 +530,7 @@ class ErrorRecoveryHandler {
       
       // Restore
       const checkpointContent = fs.readFileSync(checkpointPath, 'utf8');
-      fs.writeFileSync(this.statePath, checkpointContent);
+      lockService.writeFileSync(this.statePath, checkpointContent);
       
       console.log(`   ✅ Restored from checkpoint: ${checkpointId}`);
       return true;
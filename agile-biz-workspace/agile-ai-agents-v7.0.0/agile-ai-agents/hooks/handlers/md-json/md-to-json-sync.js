@@ -228,10 +228,15 @@ class MDToJSONSyncHandler {
     return new Promise((resolve, reject) => {
       const { spawn } = require('child_process');
       
-      // Use the universal converter with type parameter
+      // Use the universal converter with type parameter (it expects camelCase type names)
+      const typeArgs = {
+        'agents': 'agents',
+        'aaa-documents': 'aaaDocuments',
+        'project-documents': 'projectDocuments'
+      };
       const args = [
         this.converterPath,
-        converterType,
+        typeArgs[converterType] || converterType,
         '--file',
         filePath,
         '--incremental'
@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const { getNotifier } = require('../dashboard/dashboard-event-notifier');
+const { lockService } = require('../../../machine-data/lock-service');
 
 class CostMonitor {
   constructor() {
@@ -78,25 +79,29 @@ class CostMonitor {
         return { status: 'skipped', reason: 'No tokens to track' };
       }
 
-      // Load or initialize cost tracking
-      const costData = this.loadCostData();
-      
       // Calculate cost
       const cost = this.calculateCost(tokens, model, operation);
-      
-      // Update tracking
-      this.updateTracking(costData, tokens, cost, operation);
-      
-      // Check thresholds
-      const alerts = this.checkThresholds(costData, tokens);
-      
-      // Send alerts if needed
-      if (alerts.length > 0) {
-        await this.sendAlerts(alerts, costData);
-      }
 
-      // Save updated data
-      this.saveCostData(costData);
+      // Hold the cost file's lock from load to save so concurrent hook runs keep each other's tokens
+      const { costData, alerts } = await lockService.withLock(this.costPath, async () => {
+        // Load or initialize cost tracking
+        const costData = this.loadCostData();
+
+        // Update tracking
+        this.updateTracking(costData, tokens, cost, operation);
+
+        // Check thresholds
+        const alerts = this.checkThresholds(costData, tokens);
+
+        // Send alerts if needed
+        if (alerts.length > 0) {
+          await this.sendAlerts(alerts, costData);
+        }
+
+        // Save updated data
+        this.saveCostData(costData);
+        return { costData, alerts };
+      });
 
       // Generate summary
       const summary = this.generateSummary(costData);
@@ -400,13 +405,8 @@ class CostMonitor {
     // Clean up old data based on retention
     this.cleanupOldData(costData);
     
-    // Ensure state directory exists
-    const stateDir = path.dirname(this.costPath);
-    if (!fs.existsSync(stateDir)) {
-      fs.mkdirSync(stateDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(this.costPath, JSON.stringify(costData, null, 2));
+    // The lock service creates the state directory if needed
+    lockService.writeFileSync(this.costPath, JSON.stringify(costData, null, 2));
   }
 
   cleanupOldData(costData) {
@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { lockService } = require('../../machine-data/lock-service');
 
 class PhaseSelectionMenu {
   constructor(projectRoot, workflowType) {
@@ -32,12 +33,23 @@ class PhaseSelectionMenu {
     }
   }
 
+  /**
+   * Phases of the workflow's user-selected stage (operations, enhancements, ...)
+   */
+  getSelectablePhases() {
+    const workflow = this.config.workflows[this.workflowType];
+    if (!workflow) {
+      throw new Error(`Unknown workflow: ${this.workflowType}`);
+    }
+    const stage = Object.values(workflow.stages || {}).find(candidate => candidate.execution === 'user_selected');
+    return stage ? stage.phases : [];
+  }
+
   /**
    * Display the phase selection menu
    */
   async displayMenu() {
-    const stage = this.workflowType === 'new-project' ? 'operations' : 'enhancements';
-    const phases = this.config.workflows[this.workflowType].stages[stage].phases;
+    const phases = this.getSelectablePhases();
     const quickPackages = this.config.phase_selection_menu.quick_packages;
 
     console.log('\n' + '='.repeat(60));
@@ -113,8 +125,7 @@ class PhaseSelectionMenu {
    */
   async processSelection(selection) {
     const quickPackages = this.config.phase_selection_menu.quick_packages;
-    const stage = this.workflowType === 'new-project' ? 'operations' : 'enhancements';
-    const phases = this.config.workflows[this.workflowType].stages[stage].phases;
+    const phases = this.getSelectablePhases();
     
     let selectedPhases = [];
     
@@ -168,8 +179,7 @@ class PhaseSelectionMenu {
     console.log('='.repeat(60));
     
     console.log('\n📋 Selected Phases:');
-    const stage = this.workflowType === 'new-project' ? 'operations' : 'enhancements';
-    const allPhases = this.config.workflows[this.workflowType].stages[stage].phases;
+    const allPhases = this.getSelectablePhases();
     
     selectedPhases.forEach(phaseId => {
       const phase = allPhases.find(p => p.id === phaseId);
@@ -220,13 +230,14 @@ class PhaseSelectionMenu {
    * Save phase selection to state
    */
   saveSelection(selectedPhases, executionMode) {
-    // Update workflow state
-    this.state.phases.selected.active = selectedPhases;
-    this.state.phases.selected.execution_mode = executionMode;
-    this.state.last_updated = new Date().toISOString();
-    
-    // Save state
-    fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+    // Update workflow state on the latest runtime.json, under its lock
+    this.state = lockService.updateJsonSync(this.statePath, state => {
+      state.phases = state.phases || {};
+      state.phases.selected = state.phases.selected || {};
+      state.phases.selected.active = selectedPhases;
+      state.phases.selected.execution_mode = executionMode;
+      state.last_updated = new Date().toISOString();
+    });
     
     return {
       success: true,
@@ -307,9 +318,9 @@ if (require.main === module) {
   // Simulate unlocked state for testing
   const statePath = path.join(process.cwd(), 'project-state', 'runtime.json');
   if (fs.existsSync(statePath)) {
-    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
-    state.phase_selection_unlocked = true;
-    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    lockService.updateJsonSync(statePath, state => {
+      state.phase_selection_unlocked = true;
+    });
   }
   
   menu.execute().then(result => {
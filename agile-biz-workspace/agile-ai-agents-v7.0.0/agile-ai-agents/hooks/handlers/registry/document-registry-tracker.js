@@ -10,6 +10,14 @@ const fs = require('fs').promises;
 const path = require('path');
 const ProjectDocumentRegistryManager = require('../../../machine-data/project-document-registry-manager');
 
+// Hook manager file triggers -> registry actions
+const EVENT_ACTIONS = {
+  'file-create': 'create',
+  'file-change': 'update',
+  'file-delete': 'delete',
+  'file-rename': 'rename'
+};
+
 class DocumentRegistryTracker {
   constructor() {
     this.context = this.parseContext();
@@ -18,13 +26,17 @@ class DocumentRegistryTracker {
   }
 
   parseContext() {
+    const hookContext = process.env.HOOK_CONTEXT ? JSON.parse(process.env.HOOK_CONTEXT) : {};
+
     return {
-      event: process.env.HOOK_EVENT || 'file_change',
+      event: process.env.HOOK_EVENT || hookContext.event || 'file_change',
       filePath: process.env.FILE_PATH || process.argv[2],
       agent: process.env.ACTIVE_AGENT || process.env.CLAUDE_AGENT || 'Unknown',
       timestamp: new Date().toISOString(),
       oldPath: process.env.OLD_PATH, // For renames
-      action: process.env.FILE_ACTION || 'create' // create, update, delete, convert
+      action: process.env.FILE_ACTION || EVENT_ACTIONS[hookContext.event] || 'create', // create, update, delete, convert
+      // Results of hooks that ran earlier in the same pipeline
+      previous: hookContext.pipeline ? hookContext.pipeline.previous : {}
     };
   }
 
@@ -67,6 +79,14 @@ class DocumentRegistryTracker {
           result = await this.inferAndHandle();
       }
 
+      // md-json-sync runs first in the pipeline; link the JSON it just wrote
+      if (['create', 'update'].includes(action)) {
+        const conversion = await this.handlePipelineConversion();
+        if (conversion) {
+          result.conversion = conversion;
+        }
+      }
+
       return {
         status: 'success',
         action,
@@ -189,6 +209,22 @@ class DocumentRegistryTracker {
     return { converted: true, md: mdPath, json: jsonPath };
   }
 
+  async handlePipelineConversion() {
+    const sync = this.context.previous['md-json-sync'];
+    if (!sync || !sync.output || sync.output.status !== 'success' || !sync.output.jsonPath) {
+      return null;
+    }
+
+    await this.manager.queueUpdate({
+      action: 'convert',
+      md_path: this.getRelativePath(this.context.filePath),
+      // JSON lives under machine-data/, so keep it relative to the project root like md-json-sync does
+      json_path: path.relative(this.projectRoot, sync.output.jsonPath).replace(/\\/g, '/')
+    });
+
+    return { json: sync.output.jsonPath };
+  }
+
   async handleRename() {
     const { filePath, oldPath } = this.context;
     
@@ -5,12 +5,15 @@
 
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
+const { createResponseChannel } = require('../../machine-data/stakeholder-response-channel');
+const { lockService } = require('../../machine-data/lock-service');
 
 class StakeholderInteractionHandler {
-  constructor(projectRoot, workflowType) {
+  constructor(projectRoot, workflowType, options = {}) {
     this.projectRoot = projectRoot || process.cwd();
     this.workflowType = workflowType; // 'new-project' or 'existing-project'
+    // Same channel StakeholderInteractionManager uses: tty, dashboard inbox or scripted answers
+    this.channel = options.channel || createResponseChannel(this.projectRoot);
     this.questionsPath = path.join(this.projectRoot, 'machine-data', 'stakeholder-interview-questions.json');
     this.statePath = path.join(this.projectRoot, 'project-state', 'runtime.json');
     this.decisionsPath = path.join(this.projectRoot, 'project-documents', 'orchestration', 'stakeholder-decisions.md');
@@ -158,7 +161,7 @@ class StakeholderInteractionHandler {
       const responses = {};
       for (const question of sectionQuestions.initial) {
         const answer = await this.askQuestion(question);
-        responses[question.id] = answer;
+        responses[question.id || question] = answer;
       }
 
       // Check for ambiguity
@@ -168,7 +171,7 @@ class StakeholderInteractionHandler {
         console.log('\n🤔 I need some clarification:');
         for (const ambiguity of ambiguities) {
           const clarification = await this.askClarification(ambiguity);
-          responses[ambiguity.id] = clarification;
+          responses[ambiguity.id] = { ...responses[ambiguity.id], answer: clarification.clarified, original: clarification.original };
         }
       }
 
@@ -178,7 +181,7 @@ class StakeholderInteractionHandler {
       console.log(understanding);
 
       // Get approval
-      approved = await this.getApproval();
+      approved = await this.getApproval(sectionName);
       
       if (approved) {
         this.responses[sectionName] = responses;
@@ -289,8 +292,14 @@ Which level would you prefer? (minimal/medium/thorough) [default: thorough]:`;
 
     console.log(prompt);
     
-    // ALWAYS default to thorough for maximum research depth
-    const response = 'thorough'; // Default fallback
+    // Thorough stays the default when the stakeholder does not answer
+    const { answer: response } = await this.channel.ask({
+      key: 'research_level',
+      type: 'research_level',
+      question: 'Which research level would you prefer?',
+      options: ['minimal', 'medium', 'thorough'],
+      defaultDecision: 'thorough'
+    });
     
     // Save selection
     this.state.discovery.research_level = response;
@@ -382,7 +391,7 @@ Which level would you prefer? (minimal/medium/thorough) [default: thorough]:`;
           categoryGoals.push({
             question,
             response: answer.answer,
-            priority: await this.getPriority()
+            priority: await this.getPriority(question)
           });
         }
       }
@@ -414,10 +423,15 @@ Which level would you prefer? (minimal/medium/thorough) [default: thorough]:`;
   /**
    * Get priority for a goal
    */
-  async getPriority() {
-    // Simulate priority selection
-    const priorities = ['Critical', 'High', 'Medium', 'Low'];
-    return priorities[Math.floor(Math.random() * priorities.length)];
+  async getPriority(goal) {
+    const { answer } = await this.channel.ask({
+      key: `priority_${goal}`,
+      type: 'priority',
+      question: `Priority for "${goal}"?`,
+      options: ['Critical', 'High', 'Medium', 'Low'],
+      defaultDecision: 'Medium'
+    });
+    return answer;
   }
 
   /**
@@ -460,7 +474,13 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
 
     console.log(prompt);
     
-    const response = 'comprehensive'; // Default
+    const { answer: response } = await this.channel.ask({
+      key: 'analysis_level',
+      type: 'analysis_level',
+      question: 'Which analysis level would you prefer?',
+      options: ['standard', 'comprehensive', 'enterprise'],
+      defaultDecision: 'comprehensive'
+    });
     
     this.state.discovery.analysis_level = response;
     this.state.configuration.analysis_level = response;
@@ -496,13 +516,13 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
 
     // Present understanding
     console.log('\n📝 Project Identity Summary:');
-    console.log(`Product: ${responses[questions[0]]}`);
-    console.log(`Industry: ${responses[questions[1]]}`);
-    console.log(`Users: ${responses[questions[2]]}`);
-    console.log(`NOT THIS: ${responses[questions[3]]}`);
-    console.log(`Competitors: ${responses[questions[4]]}`);
+    console.log(`Product: ${responses[questions[0]].answer}`);
+    console.log(`Industry: ${responses[questions[1]].answer}`);
+    console.log(`Users: ${responses[questions[2]].answer}`);
+    console.log(`NOT THIS: ${responses[questions[3]].answer}`);
+    console.log(`Competitors: ${responses[questions[4]].answer}`);
 
-    const approved = await this.getApproval();
+    const approved = await this.getApproval('project_identity');
     
     if (approved) {
       this.saveDecision('project_identity', responses, true);
@@ -516,14 +536,20 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
    * Helper: Ask a question
    */
   async askQuestion(question) {
-    console.log(`\n❓ ${question.question || question}`);
-    
-    // In real implementation, would wait for user input
-    // For now, return simulated response
+    const text = question.question || question;
+    const result = await this.channel.ask({
+      key: question.id && question.id !== text ? question.id : undefined,
+      type: 'interview',
+      question: text,
+      defaultDecision: question.default,
+      context: this.currentSection ? { section: this.currentSection } : null
+    });
+
     return {
-      question: question.question || question,
-      answer: 'Simulated response',
-      success: true
+      question: text,
+      answer: result.answer,
+      success: result.answer !== null && result.answer !== '',
+      source: result.source
     };
   }
 
@@ -531,12 +557,17 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
    * Helper: Ask for clarification
    */
   async askClarification(ambiguity) {
-    console.log(`   • ${ambiguity.clarification}`);
-    
-    // Simulated clarification
+    const result = await this.channel.ask({
+      key: `clarify_${ambiguity.id}`,
+      type: 'clarification',
+      question: `${ambiguity.clarification} (you said: "${ambiguity.original}")`,
+      // Without a clarification the original answer stands
+      defaultDecision: ambiguity.original
+    });
+
     return {
       original: ambiguity.original,
-      clarified: 'Clarified response'
+      clarified: result.answer
     };
   }
 
@@ -544,11 +575,14 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
    * Helper: Ask yes/no/maybe
    */
   async askYesNoMaybe(question) {
-    console.log(`• ${question.question}`);
-    
-    // Simulate response
-    const options = ['yes', 'no', 'maybe'];
-    return options[Math.floor(Math.random() * options.length)];
+    const result = await this.channel.ask({
+      key: question.id,
+      type: 'ai_operation',
+      question: question.question || question,
+      options: ['yes', 'maybe', 'no'],
+      defaultDecision: 'maybe'
+    });
+    return result.answer;
   }
 
   /**
@@ -561,7 +595,7 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
     const vagueTerms = ['thing', 'stuff', 'various', 'multiple', 'etc', 'and so on'];
     
     for (const [id, response] of Object.entries(responses)) {
-      const answer = response.answer || response;
+      const answer = typeof response === 'string' ? response : (response.answer || '');
       if (vagueTerms.some(term => answer.toLowerCase().includes(term))) {
         ambiguities.push({
           id,
@@ -592,11 +626,16 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
   /**
    * Helper: Get approval
    */
-  async getApproval() {
-    console.log('\nIs this understanding correct? (yes/no): ');
-    
-    // Simulate approval
-    return true;
+  async getApproval(section) {
+    // Nothing is approved on a timeout unless default_decisions says otherwise
+    const result = await this.channel.ask({
+      key: section ? `approval_${section}` : undefined,
+      type: 'approval',
+      question: 'Is this understanding correct?',
+      options: ['yes', 'no'],
+      defaultDecision: 'no'
+    });
+    return result.answer === 'yes';
   }
 
   /**
@@ -654,13 +693,18 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
       future: []
     };
     
-    // Simulate priority assignment
-    items.forEach((item, index) => {
-      if (index < 2) priorities.must_have.push(item);
-      else if (index < 4) priorities.nice_to_have.push(item);
-      else if (index < 6) priorities.post_launch.push(item);
-      else priorities.future.push(item);
-    });
+    const buckets = Object.keys(priorities);
+    for (const [index, item] of items.entries()) {
+      // Default keeps the earlier ordering: first two must-have, next two nice-to-have, ...
+      const { answer } = await this.channel.ask({
+        key: `priority_${item.category}_${item.id}`,
+        type: 'ai_priority',
+        question: `Priority for ${item.category.replace(/_/g, ' ')}: ${item.id}`,
+        options: buckets,
+        defaultDecision: buckets[Math.min(Math.floor(index / 2), buckets.length - 1)]
+      });
+      priorities[answer].push(item);
+    }
     
     return priorities;
   }
@@ -669,15 +713,14 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
    * Helper: Get budget range
    */
   async getBudgetRange() {
-    console.log('\nWhat\'s your monthly budget for AI operations?');
-    console.log('1. Under $500/month');
-    console.log('2. $500-2000/month');
-    console.log('3. $2000-5000/month');
-    console.log('4. $5000+/month');
-    console.log('5. Budget not determined yet');
-    
-    // Simulate selection
-    return '$500-2000/month';
+    const { answer } = await this.channel.ask({
+      key: 'ai_operations_budget',
+      type: 'budget',
+      question: 'What\'s your monthly budget for AI operations?',
+      options: ['Under $500/month', '$500-2000/month', '$2000-5000/month', '$5000+/month', 'Budget not determined yet'],
+      defaultDecision: 'Budget not determined yet'
+    });
+    return answer;
   }
 
   /**
@@ -737,7 +780,11 @@ Which level would you prefer? (standard/comprehensive/enterprise) [default: comp
    */
   saveState() {
     if (this.state) {
-      fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+      // Write back only the sections this handler changes so other writers' updates survive
+      lockService.updateJsonSync(this.statePath, runtime => {
+        runtime.discovery = { ...runtime.discovery, ...this.state.discovery };
+        runtime.configuration = { ...runtime.configuration, ...this.state.configuration };
+      });
     }
   }
 }
@@ -750,5 +797,5 @@ if (require.main === module) {
   const handler = new StakeholderInteractionHandler(process.cwd(), 'new-project');
   handler.startInterview('stakeholder_discovery').then(result => {
     console.log('\nInterview Result:', result);
-  });
+  }).finally(() => handler.channel.close());
 }
\ No newline at end of file
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('../../../machine-data/lock-service');
 
 class SessionTracker {
   constructor() {
@@ -212,12 +213,7 @@ class SessionTracker {
       `session-checkpoint-${Date.now()}.json`
     );
     
-    const checkpointDir = path.dirname(checkpointPath);
-    if (!fs.existsSync(checkpointDir)) {
-      fs.mkdirSync(checkpointDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(checkpointPath, JSON.stringify(checkpoint, null, 2));
+    lockService.writeFileSync(checkpointPath, JSON.stringify(checkpoint, null, 2));
 
     return {
       status: 'success',
@@ -361,16 +357,10 @@ class SessionTracker {
     const date = session.started_at.split('T')[0];
     const archivePath = path.join(this.sessionDir, `session-${date}.json`);
     
-    // If file exists for this date, append session
-    let sessions = [];
-    if (fs.existsSync(archivePath)) {
-      sessions = JSON.parse(fs.readFileSync(archivePath, 'utf8'));
-    }
-    
-    sessions.push(session);
-    
-    // Save archived sessions
-    fs.writeFileSync(archivePath, JSON.stringify(sessions, null, 2));
+    // Append to the day's archive (created if missing) under its lock
+    lockService.updateJsonSync(archivePath, sessions => {
+      sessions.push(session);
+    }, []);
   }
 
   saveCurrentSession(session) {
@@ -380,7 +370,7 @@ class SessionTracker {
       agents_used: Array.from(session.agents_used || [])
     };
     
-    fs.writeFileSync(this.currentSessionPath, JSON.stringify(sessionData, null, 2));
+    lockService.writeFileSync(this.currentSessionPath, JSON.stringify(sessionData, null, 2));
   }
 
   calculateDuration(startTime, endTime = null) {
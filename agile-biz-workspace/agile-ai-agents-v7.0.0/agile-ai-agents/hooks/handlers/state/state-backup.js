@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { lockService } = require('../../../machine-data/lock-service');
 
 class StateBackupHandler {
   constructor() {
@@ -124,16 +125,10 @@ class StateBackupHandler {
       if (!fs.existsSync(sourcePath)) continue;
 
       const destPath = path.join(backupPath, file);
-      const destDir = path.dirname(destPath);
-      
-      // Ensure destination directory exists
-      if (!fs.existsSync(destDir)) {
-        fs.mkdirSync(destDir, { recursive: true });
-      }
 
-      // Copy file
-      const content = fs.readFileSync(sourcePath);
-      fs.writeFileSync(destPath, content);
+      // Copy file, reading under a shared lock so a half-written state is never backed up
+      const content = lockService.withLockSync(sourcePath, () => fs.readFileSync(sourcePath), { mode: 'read' });
+      lockService.writeFileSync(destPath, content);
       
       // Calculate checksum
       const checksum = crypto.createHash('md5').update(content).digest('hex');
@@ -149,7 +144,7 @@ class StateBackupHandler {
     }
 
     // Save manifest
-    fs.writeFileSync(
+    lockService.writeFileSync(
       path.join(backupPath, 'manifest.json'),
       JSON.stringify(backupManifest, null, 2)
     );
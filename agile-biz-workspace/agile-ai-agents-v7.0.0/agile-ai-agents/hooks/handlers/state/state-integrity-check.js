@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('../../../machine-data/lock-service');
 
 class StateIntegrityChecker {
   constructor() {
@@ -348,59 +349,62 @@ class StateIntegrityChecker {
 
   async attemptRepair(filePath, errors) {
     try {
-      let data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      let repaired = false;
-
-      for (const error of errors) {
-        switch (error.type) {
-          case 'missing_field':
-            // Add missing required fields with defaults
-            if (error.field === 'version') {
-              data.version = '1.0.0';
-              repaired = true;
-            } else if (error.field === 'created_at' || error.field === 'last_updated') {
-              data[error.field] = new Date().toISOString();
-              repaired = true;
-            } else if (error.field === 'decisions') {
-              data.decisions = [];
-              repaired = true;
-            }
-            break;
-
-          case 'consistency_error':
-            // Fix consistency issues
-            if (error.message.includes('created_at is after last_updated')) {
-              data.last_updated = new Date().toISOString();
-              repaired = true;
-            } else if (error.message.includes('Decision count mismatch')) {
-              data.total_count = data.decisions.length;
-              repaired = true;
-            }
-            break;
+      // Re-read and repair under the file's lock so a concurrent save is not overwritten
+      return lockService.withLockSync(filePath, () => {
+        let data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        let repaired = false;
+
+        for (const error of errors) {
+          switch (error.type) {
+            case 'missing_field':
+              // Add missing required fields with defaults
+              if (error.field === 'version') {
+                data.version = '1.0.0';
+                repaired = true;
+              } else if (error.field === 'created_at' || error.field === 'last_updated') {
+                data[error.field] = new Date().toISOString();
+                repaired = true;
+              } else if (error.field === 'decisions') {
+                data.decisions = [];
+                repaired = true;
+              }
+              break;
+
+            case 'consistency_error':
+              // Fix consistency issues
+              if (error.message.includes('created_at is after last_updated')) {
+                data.last_updated = new Date().toISOString();
+                repaired = true;
+              } else if (error.message.includes('Decision count mismatch')) {
+                data.total_count = data.decisions.length;
+                repaired = true;
+              }
+              break;
 
-          case 'size_limit':
-            // Trim arrays to size limits
-            if (error.message.includes('recent_decisions')) {
-              data.recent_decisions = data.recent_decisions.slice(-100);
-              repaired = true;
-            }
-            break;
+            case 'size_limit':
+              // Trim arrays to size limits
+              if (error.message.includes('recent_decisions')) {
+                data.recent_decisions = data.recent_decisions.slice(-100);
+                repaired = true;
+              }
+              break;
+          }
         }
-      }
 
-      if (repaired) {
-        // Create backup before repair
-        const backupPath = filePath + '.backup-' + Date.now();
-        fs.copyFileSync(filePath, backupPath);
+        if (repaired) {
+          // Create backup before repair
+          const backupPath = filePath + '.backup-' + Date.now();
+          fs.copyFileSync(filePath, backupPath);
         
-        // Write repaired data
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+          // Write repaired data
+          lockService.writeFileSync(filePath, JSON.stringify(data, null, 2));
         
-        console.log(`State file repaired: ${path.basename(filePath)}`);
-        return true;
-      }
+          console.log(`State file repaired: ${path.basename(filePath)}`);
+          return true;
+        }
 
-      return false;
+        return false;
+      });
     } catch (error) {
       console.error('Repair attempt failed:', error);
       return false;
@@ -427,12 +431,7 @@ class StateIntegrityChecker {
         `${path.basename(filePath, '.json')}-${Date.now()}.json`
       );
       
-      const reportDir = path.dirname(reportPath);
-      if (!fs.existsSync(reportDir)) {
-        fs.mkdirSync(reportDir, { recursive: true });
-      }
-      
-      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+      lockService.writeFileSync(reportPath, JSON.stringify(report, null, 2));
     }
 
     return report;
@@ -8,6 +8,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { recordStateCommit } = require('../../machine-data/state-history');
+const { lockService } = require('../../machine-data/lock-service');
 
 class WorkflowStateHandler {
   constructor(projectRoot) {
@@ -220,13 +222,10 @@ class WorkflowStateHandler {
    */
   saveRuntime() {
     try {
-      const dir = path.dirname(this.runtimePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      
       this.runtime.last_updated = new Date().toISOString();
-      fs.writeFileSync(this.runtimePath, JSON.stringify(this.runtime, null, 2));
+      lockService.writeFileSync(this.runtimePath, JSON.stringify(this.runtime, null, 2));
+      const { active, phase } = this.runtime.workflow;
+      recordStateCommit(this.projectRoot, { message: `Runtime saved${active ? ` (${active}${phase ? ` / ${phase}` : ''})` : ''}` });
       return true;
     } catch (error) {
       console.error('Error saving runtime state:', error);
@@ -239,12 +238,27 @@ class WorkflowStateHandler {
    */
   savePersistent() {
     try {
-      const dir = path.dirname(this.persistentPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      
-      fs.writeFileSync(this.persistentPath, JSON.stringify(this.persistent, null, 2));
+      lockService.writeFileSync(this.persistentPath, JSON.stringify(this.persistent, null, 2));
+      recordStateCommit(this.projectRoot, { message: 'Persistent state saved' });
+      return true;
+    } catch (error) {
+      console.error('Error saving persistent state:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply a change to the latest persistent state on disk under its lock, so
+   * decisions and phases recorded by other processes are not overwritten
+   */
+  updatePersistent(mutate) {
+    try {
+      lockService.withLockSync(this.persistentPath, () => {
+        this.persistent = this.loadPersistent();
+        mutate(this.persistent);
+        lockService.writeFileSync(this.persistentPath, JSON.stringify(this.persistent, null, 2));
+      });
+      recordStateCommit(this.projectRoot, { message: 'Persistent state saved' });
       return true;
     } catch (error) {
       console.error('Error saving persistent state:', error);
@@ -257,13 +271,9 @@ class WorkflowStateHandler {
    */
   saveConfiguration(config = this.config) {
     try {
-      const dir = path.dirname(this.configPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      
-      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+      lockService.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
       this.config = config;
+      recordStateCommit(this.projectRoot, { message: 'Configuration saved' });
       return true;
     } catch (error) {
       console.error('Error saving configuration:', error);
@@ -311,14 +321,15 @@ class WorkflowStateHandler {
     this.runtime.workflow.phase = phase;
     this.runtime.workflow.last_updated = new Date().toISOString();
     
-    // Add to persistent history
-    if (!this.persistent.phases_completed.includes(phase)) {
-      this.persistent.phases_completed.push(phase);
-      this.persistent.metrics.total_phases++;
-    }
-    
     this.saveRuntime();
-    this.savePersistent();
+    
+    // Add to persistent history
+    this.updatePersistent(persistent => {
+      if (!persistent.phases_completed.includes(phase)) {
+        persistent.phases_completed.push(phase);
+        persistent.metrics.total_phases++;
+      }
+    });
     
     return { success: true, phase };
   }
@@ -336,10 +347,10 @@ class WorkflowStateHandler {
       phase: this.runtime.workflow.phase
     };
     
-    this.persistent.decisions.push(decisionEntry);
-    this.persistent.metrics.total_decisions++;
-    
-    this.savePersistent();
+    this.updatePersistent(persistent => {
+      persistent.decisions.push(decisionEntry);
+      persistent.metrics.total_decisions++;
+    });
     
     return { success: true, id: decisionEntry.id };
   }
@@ -363,26 +374,27 @@ class WorkflowStateHandler {
     }
     
     const checkpointFile = path.join(this.archivePath, `${checkpointName}.json`);
-    fs.writeFileSync(checkpointFile, JSON.stringify(checkpointData, null, 2));
+    lockService.writeFileSync(checkpointFile, JSON.stringify(checkpointData, null, 2));
     
     // Add to persistent checkpoints list
-    this.persistent.checkpoints.push({
-      name: checkpointName,
-      timestamp: checkpointData.timestamp,
-      file: checkpointFile
-    });
-    
-    // Limit checkpoints based on configuration
     const maxCheckpoints = this.config.project_state?.checkpoint?.max_checkpoints || 20;
-    if (this.persistent.checkpoints.length > maxCheckpoints) {
-      const removed = this.persistent.checkpoints.shift();
-      // Delete old checkpoint file
-      if (fs.existsSync(removed.file)) {
-        fs.unlinkSync(removed.file);
+    this.updatePersistent(persistent => {
+      persistent.checkpoints.push({
+        name: checkpointName,
+        timestamp: checkpointData.timestamp,
+        file: checkpointFile
+      });
+      
+      // Limit checkpoints based on configuration
+      if (persistent.checkpoints.length > maxCheckpoints) {
+        const removed = persistent.checkpoints.shift();
+        // Delete old checkpoint file
+        if (fs.existsSync(removed.file)) {
+          fs.unlinkSync(removed.file);
+        }
       }
-    }
-    
-    this.savePersistent();
+    });
+    recordStateCommit(this.projectRoot, { message: `Checkpoint ${checkpointName}`, tag: checkpointName });
     
     return { success: true, checkpoint: checkpointName };
   }
@@ -10,16 +10,26 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const EventEmitter = require('events');
+const HookFailureQueue = require('./utils/failure-queue');
 
 class HookManager extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.hooks = {};
     this.performance = {};
-    this.failureQueue = [];
+    this.pipelineMetrics = {};
+    this.hookOrder = null;
+    this.failureTimer = null;
+    this.registryPath = options.registryPath || path.join(__dirname, 'registry', 'hook-registry.json');
     this.config = this.loadConfig();
+    this.failureQueue = new HookFailureQueue({
+      ...this.config.failureQueue,
+      queueDir: options.failureQueueDir || this.config.failureQueue.queueDir,
+      maxRetries: this.config.performance.maxRetries
+    });
     this.activeAgent = null;
     this.workflowState = null;
+    this.fileWatcher = null;
     
     // Auto-initialize hooks from registry
     this.initializeHooks();
@@ -38,6 +48,12 @@ class HookManager extends EventEmitter {
         warningThreshold: 1000,
         maxRetries: 3
       },
+      failureQueue: {
+        baseDelay: 2000,
+        maxDelay: 3600000,
+        maxAge: 86400000,
+        checkInterval: 30000
+      },
       logging: {
         level: 'info',
         file: 'hooks.log'
@@ -64,6 +80,12 @@ class HookManager extends EventEmitter {
       // If bridge not available, continue with normal config
       this.log('debug', 'Claude hook bridge not available', { error: error.message });
     }
+
+    // Resolve hook ordering up front so dependency cycles fail at load time
+    if (fs.existsSync(this.registryPath)) {
+      const registry = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+      this.hookOrder = this.resolveHookOrder(registry.hooks);
+    }
     
     return config;
   }
@@ -73,9 +95,8 @@ class HookManager extends EventEmitter {
    */
   initializeHooks() {
     try {
-      const registryPath = path.join(__dirname, 'registry', 'hook-registry.json');
-      if (fs.existsSync(registryPath)) {
-        const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+      if (fs.existsSync(this.registryPath)) {
+        const registry = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
         
         // Register all hooks
         for (const [name, config] of Object.entries(registry.hooks)) {
@@ -99,12 +120,152 @@ class HookManager extends EventEmitter {
       failures: 0,
       totalTime: 0
     };
+    this.hookOrder = null;
+  }
+
+  /**
+   * Topologically sort hooks by their dependsOn/before/after declarations
+   * Independent hooks keep registry order; throws on unknown dependencies and cycles
+   */
+  resolveHookOrder(hooks) {
+    const names = Object.keys(hooks);
+    const edges = new Map(names.map(name => [name, new Set()]));
+
+    for (const [name, hook] of Object.entries(hooks)) {
+      for (const dependency of hook.dependsOn || []) {
+        if (!edges.has(dependency)) {
+          throw new Error(`Hook ${name} depends on unknown hook: ${dependency}`);
+        }
+        edges.get(dependency).add(name);
+      }
+      // before/after only order hooks that are present (profiles may drop some)
+      (hook.after || []).filter(other => edges.has(other)).forEach(other => edges.get(other).add(name));
+      (hook.before || []).filter(other => edges.has(other)).forEach(other => edges.get(name).add(other));
+    }
+
+    const order = [];
+    const state = {};
+    const visit = (name, trail) => {
+      if (state[name] === 'done') {
+        return;
+      }
+      if (state[name] === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(name)), name];
+        throw new Error(`Hook dependency cycle: ${cycle.join(' -> ')}`);
+      }
+      state[name] = 'visiting';
+      for (const next of edges.get(name)) {
+        visit(next, [...trail, name]);
+      }
+      state[name] = 'done';
+      order.unshift(name);
+    };
+
+    [...names].reverse().forEach(name => visit(name, []));
+    return order;
+  }
+
+  /**
+   * Ordered hook names registered for a trigger
+   */
+  getPipeline(trigger) {
+    if (!this.hookOrder) {
+      this.hookOrder = this.resolveHookOrder(this.hooks);
+    }
+    return this.hookOrder.filter(name =>
+      this.hooks[name] && (this.hooks[name].triggers || []).includes(trigger));
+  }
+
+  /**
+   * Run every hook for a trigger in dependency order
+   * Later hooks receive earlier results in context.pipeline.previous
+   */
+  async executePipeline(trigger, context = {}, stages = this.getPipeline(trigger)) {
+    const startTime = Date.now();
+    const previous = {};
+    const stageResults = [];
+
+    for (const hookName of stages) {
+      const hook = this.hooks[hookName];
+      const failedDependencies = (hook.dependsOn || [])
+        .filter(dependency => previous[dependency] && ['failed', 'error'].includes(previous[dependency].status));
+
+      let outcome;
+      if (hook.disabled) {
+        outcome = { status: 'skipped', reason: 'Hook disabled' };
+      } else if (failedDependencies.length > 0) {
+        outcome = { status: 'skipped', reason: `Dependency failed: ${failedDependencies.join(', ')}` };
+      } else {
+        outcome = await this.executeHook(hookName, {
+          ...context,
+          event: context.event || trigger,
+          pipeline: { trigger, previous: { ...previous } }
+        });
+      }
+
+      previous[hookName] = {
+        status: outcome.status,
+        output: this.parseHookOutput(outcome.result)
+      };
+      stageResults.push({
+        hookName,
+        status: outcome.status,
+        duration: outcome.duration || 0,
+        reason: outcome.reason || outcome.error
+      });
+    }
+
+    const duration = Date.now() - startTime;
+    const failed = stageResults.some(stage => ['failed', 'error'].includes(stage.status));
+    this.updatePipelineMetrics(trigger, stageResults, duration);
+    this.emit('pipeline:complete', { trigger, context, stages: stageResults, duration });
+
+    return {
+      status: failed ? 'failed' : 'success',
+      trigger,
+      stages: stageResults,
+      results: previous,
+      duration
+    };
+  }
+
+  /**
+   * Run a trigger's pipeline for a Claude Code hook event
+   * The event payload (hook stdin JSON) is passed through; a tool's file_path becomes context.filePath
+   */
+  async dispatchTrigger(trigger, payload = {}) {
+    const toolInput = payload.tool_input || {};
+    const context = {
+      ...payload,
+      event: trigger,
+      filePath: payload.filePath || toolInput.file_path || toolInput.notebook_path,
+      activeAgent: payload.activeAgent || this.activeAgent,
+      source: payload.source || 'claude'
+    };
+    return this.executePipeline(trigger, context);
+  }
+
+  /**
+   * Handlers print their result as JSON on the last stdout line
+   */
+  parseHookOutput(result) {
+    if (!result || typeof result.stdout !== 'string' || !result.stdout.trim()) {
+      return null;
+    }
+
+    const lines = result.stdout.trim().split('\n');
+    try {
+      return JSON.parse(lines[lines.length - 1]);
+    } catch (error) {
+      return result.stdout.trim();
+    }
   }
 
   /**
    * Execute a hook with full error handling and monitoring
+   * options.fromQueue marks a failure-queue replay, which must not re-queue itself
    */
-  async executeHook(hookName, context = {}) {
+  async executeHook(hookName, context = {}, options = {}) {
     if (!this.config.enabled) {
       return { status: 'disabled' };
     }
@@ -152,7 +313,7 @@ class HookManager extends EventEmitter {
       this.updateMetrics(hookName, duration, false);
       
       // Handle failure based on hook priority
-      return await this.handleFailure(hookName, error, context);
+      return await this.handleFailure(hookName, error, context, options);
     }
   }
 
@@ -278,12 +439,17 @@ class HookManager extends EventEmitter {
   /**
    * Handle hook failure based on priority
    */
-  async handleFailure(hookName, error, context) {
+  async handleFailure(hookName, error, context, options = {}) {
     const hook = this.hooks[hookName];
     
     this.log('error', `Hook failed: ${hookName}`, { error: error.message });
     this.emit('hook:failure', { hookName, error, context });
 
+    // Queue replays report back to processFailureQueue instead of retrying here
+    if (options.fromQueue) {
+      return { status: 'failed', error: error.message };
+    }
+
     // Check if this is a critical hook
     if (hook.priority === 'critical') {
       // Retry critical hooks
@@ -299,7 +465,7 @@ class HookManager extends EventEmitter {
         return this.executeHook(hookName, context);
       } else {
         // Queue for later retry
-        this.queueFailedHook(hookName, context);
+        this.queueFailedHook(hookName, context, error);
       }
     }
 
@@ -307,38 +473,88 @@ class HookManager extends EventEmitter {
   }
 
   /**
-   * Queue failed hook for later retry
+   * Queue failed hook for later retry (persisted, survives restarts)
    */
-  queueFailedHook(hookName, context) {
-    this.failureQueue.push({
-      hookName,
-      context,
-      timestamp: Date.now(),
-      retries: 0
-    });
-
-    this.log('info', `Queued failed hook: ${hookName}`);
+  queueFailedHook(hookName, context, error) {
+    const entry = this.failureQueue.enqueue(hookName, context, error);
+    this.log('info', `Queued failed hook: ${hookName}`, { id: entry.id, nextAttemptAt: entry.nextAttemptAt });
+    return entry;
   }
 
   /**
-   * Process queued failed hooks
+   * Retry queued hooks whose backoff has elapsed; expired entries are dead-lettered
    */
-  async processFailureQueue() {
-    const queue = [...this.failureQueue];
-    this.failureQueue = [];
-
-    for (const item of queue) {
-      if (item.retries < this.config.performance.maxRetries) {
-        item.retries++;
-        const result = await this.executeHook(item.hookName, item.context);
-        
-        if (result.status === 'failed') {
-          this.failureQueue.push(item);
-        }
+  async processFailureQueue(now = Date.now()) {
+    const results = { retried: 0, succeeded: 0, failed: 0, deadLettered: 0 };
+    if (!this.config.enabled) {
+      return results;
+    }
+
+    for (const entry of this.failureQueue.expire(now)) {
+      this.log('error', `Hook failure expired, moved to dead letter: ${entry.hookName}`, { id: entry.id });
+      results.deadLettered++;
+    }
+
+    for (const entry of this.failureQueue.getDue(now)) {
+      results.retried++;
+      const outcome = await this.retryFailure(entry.id);
+
+      if (outcome.status === 'success') {
+        results.succeeded++;
+      } else if (outcome.entry && outcome.entry.deadLetteredAt) {
+        this.log('error', `Giving up on hook after max retries: ${entry.hookName}`, { id: entry.id });
+        results.deadLettered++;
       } else {
-        this.log('error', `Giving up on hook after max retries: ${item.hookName}`);
+        results.failed++;
       }
     }
+
+    return results;
+  }
+
+  /**
+   * Replay one queued or dead-lettered hook now
+   */
+  async retryFailure(id) {
+    const entry = this.failureQueue.get(id);
+    if (!entry) {
+      return { status: 'not_found', id };
+    }
+
+    const result = await this.executeHook(entry.hookName, entry.context, { fromQueue: true });
+    if (result.status === 'disabled') {
+      // Hooks are switched off globally; keep the entry for when they come back
+      return { status: 'disabled', id, result };
+    }
+    if (['success', 'skipped'].includes(result.status)) {
+      this.failureQueue.resolve(id);
+      this.log('info', `Queued hook recovered: ${entry.hookName}`, { id });
+      return { status: 'success', id, result };
+    }
+
+    const updated = this.failureQueue.recordFailure(id, new Error(result.error || result.status));
+    return { status: 'failed', id, result, entry: updated };
+  }
+
+  /**
+   * Periodically drain the failure queue (used by long-running processes like the watcher)
+   */
+  startFailureProcessor(interval = this.config.failureQueue.checkInterval || 30000) {
+    if (this.failureTimer) {
+      return;
+    }
+
+    this.failureTimer = setInterval(() => {
+      this.processFailureQueue().catch(error => {
+        this.log('error', 'Failure queue processing failed', { error: error.message });
+      });
+    }, interval);
+    this.failureTimer.unref();
+  }
+
+  stopFailureProcessor() {
+    clearInterval(this.failureTimer);
+    this.failureTimer = null;
   }
 
   /**
@@ -364,6 +580,29 @@ class HookManager extends EventEmitter {
     }
   }
 
+  /**
+   * Update per-trigger pipeline metrics
+   */
+  updatePipelineMetrics(trigger, stageResults, duration) {
+    const metrics = this.pipelineMetrics[trigger] || { runs: 0, totalTime: 0, stages: {} };
+    metrics.runs++;
+    metrics.totalTime += duration;
+
+    for (const stage of stageResults) {
+      const stageMetrics = metrics.stages[stage.hookName] || { runs: 0, totalTime: 0, failures: 0, skipped: 0 };
+      stageMetrics.runs++;
+      stageMetrics.totalTime += stage.duration;
+      if (['failed', 'error'].includes(stage.status)) {
+        stageMetrics.failures++;
+      } else if (stage.status === 'skipped') {
+        stageMetrics.skipped++;
+      }
+      metrics.stages[stage.hookName] = stageMetrics;
+    }
+
+    this.pipelineMetrics[trigger] = metrics;
+  }
+
   /**
    * Get hook performance report
    */
@@ -375,7 +614,8 @@ class HookManager extends EventEmitter {
         totalFailures: 0,
         avgExecutionTime: 0
       },
-      hooks: {}
+      hooks: {},
+      pipeline: {}
     };
 
     for (const [name, hook] of Object.entries(this.hooks)) {
@@ -392,6 +632,34 @@ class HookManager extends EventEmitter {
       };
     }
 
+    // Show every multi-stage pipeline, plus any trigger that has run
+    const triggers = new Set(Object.keys(this.pipelineMetrics));
+    Object.values(this.hooks).forEach(hook => (hook.triggers || []).forEach(t => triggers.add(t)));
+
+    for (const trigger of triggers) {
+      const order = this.getPipeline(trigger);
+      const metrics = this.pipelineMetrics[trigger];
+      if (order.length < 2 && !metrics) {
+        continue;
+      }
+
+      report.pipeline[trigger] = {
+        order,
+        runs: metrics ? metrics.runs : 0,
+        avgTime: metrics ? Math.round(metrics.totalTime / metrics.runs) : 0,
+        stages: order.map(hookName => {
+          const stage = metrics && metrics.stages[hookName];
+          return {
+            hook: hookName,
+            runs: stage ? stage.runs : 0,
+            avgTime: stage && stage.runs > 0 ? Math.round(stage.totalTime / stage.runs) : 0,
+            failures: stage ? stage.failures : 0,
+            skipped: stage ? stage.skipped : 0
+          };
+        })
+      };
+    }
+
     if (report.summary.totalExecutions > 0) {
       const totalTime = Object.values(this.hooks)
         .reduce((sum, hook) => sum + hook.totalTime, 0);
@@ -439,12 +707,39 @@ class HookManager extends EventEmitter {
     // File logging
     if (this.config.logging.file) {
       const logPath = path.join(__dirname, '..', 'logs', this.config.logging.file);
+      if (!fs.existsSync(path.dirname(logPath))) {
+        fs.mkdirSync(path.dirname(logPath), { recursive: true });
+      }
       fs.appendFileSync(logPath, JSON.stringify(logEntry) + '\n');
     }
 
     this.emit('log', logEntry);
   }
 
+  /**
+   * Start the file watcher that feeds file-create/change/delete hooks
+   */
+  startWatcher(options = {}) {
+    if (this.fileWatcher) {
+      return this.fileWatcher;
+    }
+
+    const HookFileWatcher = require('./utils/hook-file-watcher');
+    this.fileWatcher = new HookFileWatcher(this, options);
+    this.fileWatcher.start();
+    return this.fileWatcher;
+  }
+
+  /**
+   * Stop the file watcher
+   */
+  stopWatcher() {
+    if (this.fileWatcher) {
+      this.fileWatcher.stop();
+      this.fileWatcher = null;
+    }
+  }
+
   /**
    * Enable/disable hooks globally
    */
@@ -524,14 +819,82 @@ if (require.main === module) {
         });
       break;
       
+    case 'trigger': {
+      // Claude Code hooks call this with the event payload on stdin
+      const trigger = process.argv[3];
+      let payload = {};
+      if (process.argv[4]) {
+        payload = JSON.parse(process.argv[4]);
+      } else if (!process.stdin.isTTY) {
+        const input = fs.readFileSync(0, 'utf8').trim();
+        payload = input ? JSON.parse(input) : {};
+      }
+
+      hookManager.dispatchTrigger(trigger, payload)
+        .then(result => {
+          const stages = result.stages.map(stage => `${stage.hookName}: ${stage.status}`).join(', ');
+          console.log(`[Hook Manager] ${trigger} -> ${stages || 'no hooks'}`);
+          if (result.status === 'failed') process.exit(1);
+        })
+        .catch(error => {
+          console.error(`[Hook Manager] Trigger ${trigger} failed:`, error);
+          process.exit(1);
+        });
+      break;
+    }
+
+    case 'watch':
+      const watchPaths= process.argv.slice(3);
+      const watcher = hookManager.startWatcher(watchPaths.length > 0 ? { paths: watchPaths } : {});
+
+      watcher.on('dispatch', ({ event, filePath, result }) => {
+        const stages = result.stages.map(stage => `${stage.hookName}: ${stage.status}`).join(', ');
+        console.log(`[Hook Manager] ${event} ${path.relative(watcher.projectRoot, filePath)} -> ${stages}`);
+      });
+
+      console.log(`[Hook Manager] Watching: ${watcher.paths.join(', ')}`);
+      console.log('[Hook Manager] Press Ctrl+C to stop');
+
+      // Retry queued failures while the daemon runs
+      hookManager.startFailureProcessor();
+
+      const shutdown = () => {
+        hookManager.stopFailureProcessor();
+        hookManager.stopWatcher();
+        process.exit(0);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+      break;
+
+    case 'failures':
+      console.log(JSON.stringify(hookManager.failureQueue.list(), null, 2));
+      break;
+
+    case 'retry-failures':
+      hookManager.processFailureQueue()
+        .then(results => {
+          console.log('[Hook Manager] Failure queue processed:', results);
+        })
+        .catch(error => {
+          console.error('[Hook Manager] Failure queue processing failed:', error);
+          process.exit(1);
+        });
+      break;
+
     default:
       console.log('Hook Manager CLI');
       console.log('================');
       console.log('Usage:');
       console.log('  node hook-manager.js init              - Initialize hook system');
       console.log('  node hook-manager.js execute <hook> [data] - Execute specific hook');
+      console.log('  node hook-manager.js trigger <trigger> [data] - Run every hook for a trigger in pipeline order');
+      console.log('  node hook-manager.js watch [folders...] - Run file hooks on file system changes');
+      console.log('  node hook-manager.js failures          - Show queued and dead-lettered hook failures');
+      console.log('  node hook-manager.js retry-failures    - Retry queued hook failures that are due');
   }
 }
 
-// Export singleton instance
-module.exports = hookManager;
\ No newline at end of file
+// Export singleton instance (class exposed for callers that need their own manager)
+module.exports = hookManager;
+module.exports.HookManager = HookManager;
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * Hook Failure Queue
+ * Persists failed critical hooks as JSONL so retries survive restarts
+ * Entries back off exponentially and move to a dead-letter file when they run out of retries or age out
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_QUEUE_DIR = path.join(__dirname, '..', 'failure-queue');
+
+class HookFailureQueue {
+  constructor(options = {}) {
+    const queueDir = options.queueDir || DEFAULT_QUEUE_DIR;
+
+    this.queuePath = path.join(queueDir, 'pending.jsonl');
+    this.deadLetterPath = path.join(queueDir, 'dead-letter.jsonl');
+    this.maxRetries = options.maxRetries || 3;
+    this.baseDelay = options.baseDelay || 2000;
+    this.maxDelay = options.maxDelay || 60 * 60 * 1000;
+    this.maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Queue a failed hook for a later retry
+   */
+  enqueue(hookName, context, error, now = Date.now()) {
+    const entry = {
+      id: this.generateId(hookName, now),
+      hookName,
+      context,
+      attempts: 0,
+      lastError: error ? error.message || String(error) : null,
+      createdAt: new Date(now).toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: new Date(now + this.getBackoff(0)).toISOString()
+    };
+
+    const entries = this.readEntries(this.queuePath);
+    entries.push(entry);
+    this.writeEntries(this.queuePath, entries);
+    return entry;
+  }
+
+  /**
+   * Pending entries whose backoff has elapsed
+   */
+  getDue(now = Date.now()) {
+    return this.readEntries(this.queuePath)
+      .filter(entry => Date.parse(entry.nextAttemptAt) <= now);
+  }
+
+  /**
+   * Record a failed retry; dead-letters the entry once retries are exhausted
+   */
+  recordFailure(id, error, now = Date.now()) {
+    const entries = this.readEntries(this.queuePath);
+    const entry = entries.find(e => e.id === id);
+    if (!entry) {
+      return this.updateDeadLetter(id, error, now);
+    }
+
+    entry.attempts++;
+    entry.lastError = error ? error.message || String(error) : entry.lastError;
+    entry.lastAttemptAt = new Date(now).toISOString();
+
+    if (entry.attempts >= this.maxRetries) {
+      this.writeEntries(this.queuePath, entries.filter(e => e.id !== id));
+      return this.deadLetter(entry, 'max_retries', now);
+    }
+
+    entry.nextAttemptAt = new Date(now + this.getBackoff(entry.attempts)).toISOString();
+    this.writeEntries(this.queuePath, entries);
+    return entry;
+  }
+
+  /**
+   * Drop an entry after a successful retry (from either file)
+   */
+  resolve(id) {
+    for (const filePath of [this.queuePath, this.deadLetterPath]) {
+      const entries = this.readEntries(filePath);
+      const remaining = entries.filter(e => e.id !== id);
+      if (remaining.length !== entries.length) {
+        this.writeEntries(filePath, remaining);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Dead-letter pending entries older than maxAge
+   */
+  expire(now = Date.now()) {
+    const entries = this.readEntries(this.queuePath);
+    const expired = entries.filter(e => now - Date.parse(e.createdAt) > this.maxAge);
+    if (expired.length === 0) {
+      return [];
+    }
+
+    this.writeEntries(this.queuePath, entries.filter(e => !expired.includes(e)));
+    return expired.map(entry => this.deadLetter(entry, 'expired', now));
+  }
+
+  /**
+   * Find an entry in the queue or the dead-letter file
+   */
+  get(id) {
+    const pending = this.readEntries(this.queuePath).find(e => e.id === id);
+    if (pending) {
+      return { ...pending, state: 'pending' };
+    }
+    const dead = this.readEntries(this.deadLetterPath).find(e => e.id === id);
+    return dead ? { ...dead, state: 'dead_letter' } : null;
+  }
+
+  list(now = Date.now()) {
+    const pending = this.readEntries(this.queuePath);
+    const deadLetter = this.readEntries(this.deadLetterPath);
+
+    return {
+      summary: {
+        pending: pending.length,
+        due: pending.filter(e => Date.parse(e.nextAttemptAt) <= now).length,
+        deadLetter: deadLetter.length
+      },
+      pending,
+      deadLetter
+    };
+  }
+
+  getBackoff(attempts) {
+    return Math.min(this.baseDelay * Math.pow(2, attempts), this.maxDelay);
+  }
+
+  deadLetter(entry, reason, now) {
+    const deadEntry = {
+      ...entry,
+      deadLetteredAt: new Date(now).toISOString(),
+      reason
+    };
+    delete deadEntry.nextAttemptAt;
+
+    this.ensureDirectory();
+    fs.appendFileSync(this.deadLetterPath, JSON.stringify(deadEntry) + '\n');
+    return deadEntry;
+  }
+
+  /**
+   * A replayed dead-letter entry that failed again stays dead-lettered
+   */
+  updateDeadLetter(id, error, now) {
+    const entries = this.readEntries(this.deadLetterPath);
+    const entry = entries.find(e => e.id === id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.attempts++;
+    entry.lastError = error ? error.message || String(error) : entry.lastError;
+    entry.lastAttemptAt = new Date(now).toISOString();
+    this.writeEntries(this.deadLetterPath, entries);
+    return entry;
+  }
+
+  readEntries(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    // A crash mid-append can leave a torn last line; skip anything unparseable
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(entry => entry !== null);
+  }
+
+  /**
+   * Rewrite via temp file + rename so a crash never leaves a half-written queue
+   */
+  writeEntries(filePath, entries) {
+    this.ensureDirectory();
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  ensureDirectory() {
+    const dir = path.dirname(this.queuePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  generateId(hookName, now) {
+    return `${hookName}-${now}-${Math.random().toString(36).substr(2, 6)}`;
+  }
+}
+
+module.exports = HookFailureQueue;
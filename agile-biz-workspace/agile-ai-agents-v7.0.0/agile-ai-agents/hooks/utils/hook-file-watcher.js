@@ -0,0 +1,246 @@
+/**
+ * Hook File Watcher
+ * Turns file system events into file-create / file-change / file-delete hook triggers
+ * so file hooks also fire for edits made outside Claude Code
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Folders watched relative to the agile-ai-agents root (code folders match structure-validation)
+const DEFAULT_WATCH_PATHS = [
+  'project-documents',
+  'ai-agents',
+  'src',
+  'frontend',
+  'backend',
+  'services',
+  'shared',
+  'apps'
+];
+
+const DEFAULT_IGNORE = [
+  '(^|/)node_modules/',
+  '(^|/)\\.git/',
+  '(^|/)\\.[^/]*\\.sw[a-p]$',
+  '~$'
+];
+
+const FILE_TRIGGERS = ['file-create', 'file-change', 'file-delete'];
+const BATCH_KEY = '\u0000batch';
+
+class HookFileWatcher extends EventEmitter {
+  constructor(hookManager, options = {}) {
+    super();
+    const watcherConfig = hookManager.config.watcher || {};
+
+    this.hookManager = hookManager;
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..', '..');
+    this.paths = options.paths || watcherConfig.paths || DEFAULT_WATCH_PATHS;
+    this.ignore = (options.ignore || watcherConfig.ignore || DEFAULT_IGNORE).map(p => new RegExp(p));
+    this.defaultDebounce = options.debounce !== undefined
+      ? options.debounce
+      : (hookManager.config.performance.debounceDelay || 0);
+
+    this.watchers = [];
+    this.knownFiles = new Set();
+    this.pending = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start watching all configured folders that exist
+   */
+  start() {
+    const roots = this.paths
+      .map(p => path.resolve(this.projectRoot, p))
+      .filter(dir => fs.existsSync(dir));
+
+    for (const dir of roots) {
+      // Seed known files so the first write to an existing file is a change, not a create
+      this.scanDirectory(dir);
+
+      const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+        if (filename) {
+          this.handleRawEvent(path.join(dir, filename.toString()));
+        }
+      });
+      watcher.on('error', error => {
+        this.hookManager.log('error', 'File watcher error', { dir, error: error.message });
+      });
+      this.watchers.push(watcher);
+    }
+
+    this.hookManager.log('info', `File watcher started on ${roots.length} folders`, {
+      roots: roots.map(dir => path.relative(this.projectRoot, dir))
+    });
+    this.emit('ready', { roots });
+    return roots;
+  }
+
+  /**
+   * Stop watching and drop events that are still debouncing
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.pending.clear();
+
+    this.hookManager.log('info', 'File watcher stopped');
+  }
+
+  /**
+   * Resolve once every dispatched pipeline run has finished
+   */
+  idle() {
+    return this.queue;
+  }
+
+  scanDirectory(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (this.isIgnored(entryPath + (entry.isDirectory() ? '/' : ''))) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        this.scanDirectory(entryPath);
+      } else if (entry.isFile()) {
+        this.knownFiles.add(entryPath);
+      }
+    }
+  }
+
+  isIgnored(filePath) {
+    const relativePath = path.relative(this.projectRoot, filePath).replace(/\\/g, '/');
+    return this.ignore.some(pattern => pattern.test(relativePath));
+  }
+
+  /**
+   * fs.watch only reports "rename" or "change", so classify against known files
+   */
+  handleRawEvent(filePath) {
+    if (this.isIgnored(filePath)) {
+      return;
+    }
+
+    let event;
+    if (fs.existsSync(filePath)) {
+      if (!fs.statSync(filePath).isFile()) {
+        return;
+      }
+      event = this.knownFiles.has(filePath) ? 'file-change' : 'file-create';
+      this.knownFiles.add(filePath);
+    } else {
+      if (!this.knownFiles.has(filePath)) {
+        return;
+      }
+      event = 'file-delete';
+      this.knownFiles.delete(filePath);
+    }
+
+    this.dispatch(event, filePath);
+  }
+
+  /**
+   * Route an event to the trigger's hook pipeline
+   */
+  dispatch(event, filePath) {
+    if (!FILE_TRIGGERS.includes(event)) {
+      throw new Error(`Unsupported file trigger: ${event}`);
+    }
+
+    this.emit('file', { event, filePath });
+
+    const stages = this.getStages(event, filePath);
+    if (stages.length === 0) {
+      return;
+    }
+
+    // The slowest-settling stage sets the pace for the whole pipeline
+    const configs = stages.map(hookName => this.hookManager.hooks[hookName].config || {});
+    const debounce = Math.max(...configs.map(config =>
+      config.debounce !== undefined ? config.debounce : this.defaultDebounce));
+    const batch = configs.some(config => config.batch === true);
+
+    if (!debounce) {
+      this.run([{ event, filePath }]);
+    } else {
+      this.schedule(event, filePath, debounce, batch);
+    }
+  }
+
+  /**
+   * Pipeline stages whose conditions match the file
+   * Filtered before debouncing so batches only collect files a hook cares about
+   */
+  getStages(event, filePath) {
+    const context = this.buildContext(event, filePath);
+    return this.hookManager.getPipeline(event).filter(hookName => {
+      const hook = this.hookManager.hooks[hookName];
+      return !hook.disabled && this.hookManager.shouldExecuteHook(hook, context);
+    });
+  }
+
+  /**
+   * Debounce per file, or across files when a stage batches
+   */
+  schedule(event, filePath, debounce, batch) {
+    const key = batch ? BATCH_KEY : filePath;
+    const entry = this.pending.get(key) || { changes: new Map() };
+
+    // Latest event for a file wins (create then change is still one run)
+    const previous = entry.changes.get(filePath);
+    entry.changes.set(filePath, previous === 'file-create' && event === 'file-change' ? previous : event);
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      this.pending.delete(key);
+      this.run([...entry.changes].map(([changedPath, changeEvent]) => ({
+        event: changeEvent,
+        filePath: changedPath
+      })));
+    }, debounce);
+
+    this.pending.set(key, entry);
+  }
+
+  /**
+   * Run the pipeline once per changed file; runs never overlap
+   */
+  run(changes) {
+    const batch = changes.length > 1 ? changes.map(c => c.filePath) : undefined;
+
+    this.queue = this.queue.then(async () => {
+      // Handlers read a single FILE_PATH; batched runs also see the whole batch in context
+      for (const { event, filePath } of changes) {
+        const stages = this.getStages(event, filePath);
+        if (stages.length === 0) {
+          continue;
+        }
+        const context = { ...this.buildContext(event, filePath), batch };
+        const result = await this.hookManager.executePipeline(event, context, stages);
+        this.emit('dispatch', { event, filePath, batch, result });
+      }
+    }).catch(error => {
+      this.hookManager.log('error', 'Watcher dispatch failed', { error: error.message });
+    });
+
+    return this.queue;
+  }
+
+  buildContext(event, filePath) {
+    return {
+      event,
+      filePath,
+      activeAgent: this.hookManager.activeAgent,
+      source: 'file-watcher'
+    };
+  }
+}
+
+module.exports = HookFileWatcher;
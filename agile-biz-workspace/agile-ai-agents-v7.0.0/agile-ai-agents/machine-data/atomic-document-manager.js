@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { lockService, LockTimeoutError } = require('./lock-service');
 
 class AtomicDocumentManager extends EventEmitter {
     constructor() {
@@ -18,7 +19,7 @@ class AtomicDocumentManager extends EventEmitter {
         this.config = {
             backupDir: path.join(__dirname, '../.document-backups'),
             tempDir: path.join(__dirname, '../.temp-documents'),
-            lockTimeout: 30000, // 30 seconds
+            lockWaitTimeout: 5000, // wait for another process's save before reporting a conflict
             maxBackups: 5,
             checksumAlgorithm: 'sha256'
         };
@@ -106,7 +107,7 @@ class AtomicDocumentManager extends EventEmitter {
             
         } finally {
             // Release lock
-            this.releaseLock(documentPath);
+            this.releaseLock(documentPath, transactionId);
         }
     }
 
@@ -330,31 +331,43 @@ class AtomicDocumentManager extends EventEmitter {
 
     /**
      * Lock management
+     * Documents are locked through the shared lock service, so saves from other
+     * processes (hooks, dashboard, other sessions) are serialised too.
      */
     async acquireLock(documentPath, transactionId) {
         // Check for existing lock
         if (this.activeLocks.has(documentPath)) {
             const lock = this.activeLocks.get(documentPath);
-            const lockAge = Date.now() - lock.timestamp;
-            
-            if (lockAge < this.config.lockTimeout) {
+            this.stats.conflicts++;
+            throw new Error(`Document is locked by transaction ${lock.transactionId}`);
+        }
+        
+        // Reserve before waiting so a concurrent save in this process fails fast
+        const entry = { transactionId, timestamp: Date.now(), handle: null };
+        this.activeLocks.set(documentPath, entry);
+        try {
+            entry.handle = await lockService.acquire(documentPath, {
+                timeout: this.config.lockWaitTimeout,
+                owner: transactionId
+            });
+        } catch (error) {
+            this.activeLocks.delete(documentPath);
+            if (error instanceof LockTimeoutError) {
                 this.stats.conflicts++;
-                throw new Error(`Document is locked by transaction ${lock.transactionId}`);
-            } else {
-                // Lock expired, remove it
-                console.warn(`   ⚠️ Removing expired lock: ${lock.transactionId}`);
-                this.activeLocks.delete(documentPath);
+                throw new Error(`Document is locked by another process: ${error.message}`);
             }
+            throw error;
         }
-        
-        // Create new lock
-        this.activeLocks.set(documentPath, {
-            transactionId,
-            timestamp: Date.now()
-        });
     }
 
-    releaseLock(documentPath) {
+    releaseLock(documentPath, transactionId = null) {
+        const lock = this.activeLocks.get(documentPath);
+        if (!lock || (transactionId && lock.transactionId !== transactionId)) {
+            return;
+        }
+        if (lock.handle) {
+            lock.handle.release();
+        }
         this.activeLocks.delete(documentPath);
     }
 
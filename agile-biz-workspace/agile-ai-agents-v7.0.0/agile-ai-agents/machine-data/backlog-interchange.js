@@ -0,0 +1,550 @@
+/**
+ * Backlog Interchange
+ * Offline import and export of the story backlog in Jira (CSV/JSON), Linear (CSV)
+ * and GitHub Issues (JSON) formats
+ *
+ * Field, status and priority mappings come from tracker-mappings.json; a custom
+ * mapping file can override any format or add one ("extends": "jira-csv").
+ * Imported stories keep the external key in story.external_refs[system], and
+ * exports carry the story ID (a mapped field, or a hidden marker in markdown
+ * descriptions), so re-importing updates stories instead of duplicating them.
+ *
+ * Only StoryTracker stories are covered. The improvement backlog used by
+ * improvement-sprint-generator.js and the product-backlog item files in
+ * project-documents are not imported or exported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { storyTracker } = require('./story-tracker');
+const { pointsOf } = require('./story-event-store');
+
+const DEFAULT_MAPPING_PATH = path.join(__dirname, 'tracker-mappings.json');
+
+const ID_MARKER = /\s*<!--\s*story-id:\s*([^\s>]+)\s*-->\s*/;
+
+class BacklogFormatError extends Error {
+  constructor(message, format = null) {
+    super(message);
+    this.name = 'BacklogFormatError';
+    this.format = format;
+  }
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function toCsv(rows) {
+  return rows.map(cells => cells.map(cell => {
+    const value = cell === null || cell === undefined ? '' : String(cell);
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Read a dotted path; `labels[].name` maps over an array
+ */
+function getPath(record, fieldPath) {
+  const [head, ...rest] = fieldPath.split('.');
+  if (record === null || record === undefined) return undefined;
+  if (head.endsWith('[]')) {
+    const list = record[head.slice(0, -2)];
+    return Array.isArray(list) ? list.map(item => (rest.length ? getPath(item, rest.join('.')) : item)) : undefined;
+  }
+  return rest.length ? getPath(record[head], rest.join('.')) : record[head];
+}
+
+function setPath(record, fieldPath, value) {
+  const [head, ...rest] = fieldPath.split('.');
+  if (head.endsWith('[]')) {
+    const key = rest.join('.');
+    record[head.slice(0, -2)] = value.map(item => (key ? setPath({}, key, item) : item));
+  } else if (rest.length) {
+    record[head] = setPath(record[head] || {}, rest.join('.'), value);
+  } else {
+    record[head] = value;
+  }
+  return record;
+}
+
+// Jira Cloud REST v3 returns descriptions as Atlassian Document Format
+function adfToText(node) {
+  if (!node || typeof node !== 'object') return node || '';
+  if (node.type === 'text') return node.text || '';
+  const children = (node.content || []).map(adfToText);
+  if (node.type === 'listItem') return `- ${children.join('').trim()}\n`;
+  if (node.type === 'heading') return `h${(node.attrs && node.attrs.level) || 2}. ${children.join('')}\n`;
+  if (node.type === 'paragraph') return `${children.join('')}\n`;
+  if (node.type === 'hardBreak') return '\n';
+  return children.join(node.type === 'doc' ? '\n' : '');
+}
+
+class BacklogInterchange {
+  /**
+   * @param {Object} options - { storyTracker, mappingPath }
+   */
+  constructor(options = {}) {
+    this.storyTracker = options.storyTracker || storyTracker;
+    this.mappingPath = options.mappingPath || DEFAULT_MAPPING_PATH;
+  }
+
+  /**
+   * Formats known to the default mapping plus an optional custom mapping file
+   */
+  loadMappings(customPath = null) {
+    const formats = { ...JSON.parse(fs.readFileSync(this.mappingPath, 'utf8')).formats };
+    if (customPath) {
+      const custom = JSON.parse(fs.readFileSync(customPath, 'utf8'));
+      for (const [name, entry] of Object.entries(custom.formats || custom)) {
+        // Overriding a built-in format only needs the keys that differ
+        formats[name] = formats[name] && !entry.extends ? this.mergeMapping(formats[name], entry) : entry;
+      }
+    }
+    return formats;
+  }
+
+  /**
+   * Resolved mapping for a format, with "extends" applied
+   */
+  getMapping(format, customPath = null) {
+    const formats = this.loadMappings(customPath);
+
+    const resolve = (name, seen) => {
+      const entry = formats[name];
+      if (!entry) {
+        throw new BacklogFormatError(`Unknown backlog format: ${name}. Known formats: ${Object.keys(formats).join(', ')}`, format);
+      }
+      if (!entry.extends) return entry;
+      if (seen.includes(name)) {
+        throw new BacklogFormatError(`Mapping ${format} extends itself through ${[...seen, name].join(' -> ')}`, format);
+      }
+      return this.mergeMapping(resolve(entry.extends, [...seen, name]), entry);
+    };
+
+    const mapping = resolve(format, []);
+    for (const key of ['system', 'type', 'fields']) {
+      if (!mapping[key]) {
+        throw new BacklogFormatError(`Mapping ${format} has no ${key}`, format);
+      }
+    }
+    return { markup: 'markdown', status: {}, priority: {}, label_prefixes: {}, ...mapping, format };
+  }
+
+  // Fields and label prefixes merge; status and priority tables are replaced as a whole
+  mergeMapping(base, override) {
+    return {
+      ...base,
+      ...override,
+      fields: { ...base.fields, ...(override.fields || {}) },
+      label_prefixes: { ...(base.label_prefixes || {}), ...(override.label_prefixes || {}) }
+    };
+  }
+
+  /**
+   * Parse an export into records (CSV rows keyed by header, or JSON issues)
+   */
+  parseRecords(text, mapping) {
+    if (mapping.type === 'csv') {
+      const [header, ...rows] = parseCsv(text);
+      if (!header) return [];
+      // Jira repeats a column (Labels, Sprint, ...) once per value
+      return rows.map(cells => {
+        const record = {};
+        header.forEach((column, index) => {
+          const value = cells[index] === undefined ? '' : cells[index];
+          if (column in record) {
+            record[column] = [].concat(record[column], value);
+          } else {
+            record[column] = value;
+          }
+        });
+        return record;
+      });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new BacklogFormatError(`Invalid ${mapping.format} export: ${error.message}`, mapping.format);
+    }
+    const records = mapping.records_path ? getPath(data, mapping.records_path) : data;
+    if (!Array.isArray(records)) {
+      throw new BacklogFormatError(`Expected a list of issues${mapping.records_path ? ` at ${mapping.records_path}` : ''} in the ${mapping.format} export`, mapping.format);
+    }
+    return records;
+  }
+
+  /**
+   * Map one external record onto story fields; fields the record does not carry stay undefined
+   */
+  fromRecord(record, mapping) {
+    const read = field => {
+      const column = mapping.fields[field];
+      if (!column) return undefined;
+      const value = mapping.type === 'csv' ? record[column] : getPath(record, column);
+      return value === null || value === '' ? undefined : value;
+    };
+    const text = value => (value === undefined ? undefined : String([].concat(value)[0]).trim() || undefined);
+
+    const item = {
+      external_id: text(read('external_id')),
+      internal_id: text(read('internal_id')),
+      title: text(read('title')),
+      epic_id: text(read('epic_id'))
+    };
+
+    let labels = read('labels');
+    if (labels !== undefined) {
+      labels = [].concat(labels)
+        .flatMap(label => (mapping.labels_separator ? String(label).split(mapping.labels_separator) : [String(label)]))
+        .map(label => label.trim())
+        .filter(Boolean);
+    }
+    const fromLabels = {};
+    for (const [field, prefix] of Object.entries(mapping.label_prefixes)) {
+      const label = (labels || []).find(candidate => candidate.toLowerCase().startsWith(prefix.toLowerCase()));
+      if (label) {
+        fromLabels[field] = label.slice(prefix.length).trim();
+        labels = labels.filter(candidate => candidate !== label);
+      }
+    }
+    item.labels = labels;
+
+    const points = read('story_points') !== undefined ? text(read('story_points')) : fromLabels.story_points;
+    if (points !== undefined) {
+      const value = Number(points);
+      if (Number.isFinite(value)) item.story_points = value;
+    }
+
+    item.external_status = text(read('status'));
+    if (item.external_status !== undefined) item.status = this.lookup(mapping.status, item.external_status);
+    item.external_priority = read('priority') !== undefined ? text(read('priority')) : fromLabels.priority;
+    if (item.external_priority !== undefined) item.priority = this.lookup(mapping.priority, item.external_priority);
+
+    let description = read('description');
+    if (description !== undefined && typeof description === 'object') description = adfToText(description);
+    if (description !== undefined) {
+      description = String(description);
+      const marker = description.match(ID_MARKER);
+      if (marker) {
+        item.internal_id = item.internal_id || marker[1];
+        description = description.replace(ID_MARKER, '\n');
+      }
+      if (!mapping.fields.acceptance_criteria && mapping.acceptance_criteria_heading) {
+        const split = this.splitAcceptanceCriteria(description, mapping);
+        description = split.description;
+        item.acceptance_criteria = split.criteria;
+      }
+      item.description = description.trim();
+    }
+    const criteria = read('acceptance_criteria');
+    if (criteria !== undefined) {
+      item.acceptance_criteria = [].concat(criteria).flatMap(value => String(value).split('\n'))
+        .map(line => line.replace(/^\s*(?:[-*]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '').trim())
+        .filter(Boolean);
+    }
+
+    return item;
+  }
+
+  // Case-insensitive table lookup; unknown external values are kept out of the story
+  lookup(table, value) {
+    const key = Object.keys(table).find(candidate => candidate.toLowerCase() === value.toLowerCase());
+    return key ? table[key] : undefined;
+  }
+
+  /**
+   * External value for an internal status or priority (the first one mapped to it)
+   */
+  reverseLookup(table, value) {
+    const keys = Object.keys(table);
+    return keys.find(key => table[key] === value) || keys[0] || value;
+  }
+
+  /**
+   * Separate the acceptance criteria list under its heading from the rest of a description
+   */
+  splitAcceptanceCriteria(text, mapping) {
+    const lines = text.split(/\r?\n/);
+    const heading = mapping.acceptance_criteria_heading.toLowerCase();
+    const headingPattern = mapping.markup === 'jira' ? /^h[1-6]\.\s*/i : /^#{1,6}\s*/;
+    const bulletPattern = mapping.markup === 'jira'
+      ? /^(?:[-*#]+|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/
+      : /^(?:[-*]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+
+    const start = lines.findIndex(line =>
+      line.trim().replace(headingPattern, '').replace(/^\*+|\*+$/g, '').replace(/:$/, '').trim().toLowerCase() === heading);
+    if (start === -1) return { description: text, criteria: [] };
+
+    const criteria = [];
+    let end = start + 1;
+    for (; end < lines.length; end++) {
+      const line = lines[end].trim();
+      if (!line) continue;
+      const bullet = headingPattern.test(line) ? null : line.match(bulletPattern);
+      if (!bullet) break;
+      criteria.push(bullet[1].trim());
+    }
+    return { description: [...lines.slice(0, start), ...lines.slice(end)].join('\n'), criteria };
+  }
+
+  /**
+   * Import an export file's contents
+   * @param {Object} options - { mappingPath, sprintId, dryRun }
+   * @returns {Object} { format, system, created, updated, unchanged, skipped }
+   */
+  importBacklog(format, text, options = {}) {
+    const mapping = this.getMapping(format, options.mappingPath);
+    const reason = `Imported from ${mapping.format}`;
+    const result = { format: mapping.format, system: mapping.system, created: [], updated: [], unchanged: [], skipped: [] };
+
+    this.parseRecords(text, mapping).forEach((record, index) => {
+      const item = this.fromRecord(record, mapping);
+      if (!item.title) {
+        result.skipped.push({ index, external_id: item.external_id || null, reason: 'No title' });
+        return;
+      }
+
+      const existing = (item.internal_id && this.storyTracker.getStory(item.internal_id)) ||
+        (item.external_id && this.storyTracker.findByExternalRef(mapping.system, item.external_id));
+      if (!existing) {
+        result.created.push(options.dryRun ? { title: item.title, external_id: item.external_id || null } : this.createFromItem(item, mapping, options.sprintId, reason));
+        return;
+      }
+
+      const story = existing.story;
+      const changes = this.changesFor(story, item, mapping);
+      const entry = { story_id: story.id, external_id: item.external_id || null, fields: Object.keys(changes) };
+      if (entry.fields.length === 0) {
+        result.unchanged.push(entry);
+        return;
+      }
+      if (!options.dryRun) this.applyChanges(story.id, changes, reason);
+      result.updated.push(entry);
+    });
+
+    console.log(`📥 ${options.dryRun ? 'Would import' : 'Imported'} ${mapping.format}: ${result.created.length} created, ${result.updated.length} updated, ${result.unchanged.length} unchanged, ${result.skipped.length} skipped`);
+    return result;
+  }
+
+  createFromItem(item, mapping, sprintId, reason) {
+    const storyData = {
+      title: item.title,
+      sprint_id: sprintId || null,
+      external_refs: item.external_id ? { [mapping.system]: item.external_id } : {}
+    };
+    for (const field of ['description', 'acceptance_criteria', 'labels', 'priority', 'epic_id', 'story_points']) {
+      if (item[field] !== undefined) storyData[field] = item[field];
+    }
+
+    const storyId = this.storyTracker.createStory(storyData).story.id;
+    if (item.status && item.status !== 'not_started') {
+      this.applyChanges(storyId, { status: item.status }, reason);
+    }
+    return { story_id: storyId, external_id: item.external_id || null };
+  }
+
+  /**
+   * Fields whose imported value differs from the story
+   */
+  changesFor(story, item, mapping) {
+    const changes = {};
+    for (const field of ['title', 'description', 'acceptance_criteria', 'labels', 'epic_id']) {
+      if (item[field] !== undefined && JSON.stringify(item[field]) !== JSON.stringify(story[field])) {
+        changes[field] = item[field];
+      }
+    }
+    if (item.external_id && String((story.external_refs || {})[mapping.system]) !== item.external_id) {
+      changes.external_refs = { [mapping.system]: item.external_id };
+    }
+    if (item.story_points !== undefined && item.story_points !== pointsOf(story)) {
+      changes.story_points = item.story_points;
+    }
+    // Coarser trackers (GitHub's OPEN/CLOSED) must not reset finer local state
+    if (item.status && item.status !== story.status &&
+        this.reverseLookup(mapping.status, story.status) !== item.external_status) {
+      changes.status = item.status;
+    }
+    if (item.priority && item.priority !== story.priority &&
+        this.reverseLookup(mapping.priority, story.priority) !== item.external_priority) {
+      changes.priority = item.priority;
+    }
+    return changes;
+  }
+
+  applyChanges(storyId, changes, reason) {
+    const { story_points: points, status, ...details } = changes;
+    if (Object.keys(details).length > 0) {
+      this.storyTracker.updateStory(storyId, details, reason);
+    }
+    if (points !== undefined) {
+      this.storyTracker.updateStoryPoints(storyId, points, reason);
+    }
+    if (status === 'blocked') {
+      this.storyTracker.blockStory(storyId, reason);
+    } else if (status) {
+      // The external tracker already made this move; local WIP limits do not apply
+      this.storyTracker.updateStoryStatus(storyId, status, { reason, force: true });
+    }
+  }
+
+  /**
+   * Export stories in an external format
+   * @param {Object} options - { mappingPath, sprintId, epicId }
+   * @returns {string} CSV or JSON text
+   */
+  exportBacklog(format, options = {}) {
+    const mapping = this.getMapping(format, options.mappingPath);
+    const stories = this.storyTracker.store.getStories(story =>
+      story.status !== 'split' &&
+      (!options.sprintId || story.sprint_id === options.sprintId) &&
+      (!options.epicId || story.epic_id === options.epicId))
+      .map(document => document.story);
+
+    const records = stories.map(story => this.toRecord(story, mapping));
+    console.log(`📤 Exported ${records.length} stories as ${mapping.format}`);
+
+    if (mapping.type === 'csv') {
+      return this.toCsvText(records, mapping);
+    }
+    const data = mapping.records_path ? setPath({}, mapping.records_path, records) : records;
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * One external record for a story, keyed by the mapped columns or paths
+   */
+  toRecord(story, mapping) {
+    const values = {
+      external_id: (story.external_refs || {})[mapping.system],
+      internal_id: story.id,
+      title: story.title,
+      description: this.formatDescription(story, mapping),
+      story_points: pointsOf(story) || undefined,
+      status: this.reverseLookup(mapping.status, story.status),
+      priority: this.reverseLookup(mapping.priority, story.priority),
+      epic_id: story.epic_id || undefined,
+      labels: [...(story.labels || [])],
+      acceptance_criteria: (story.acceptance_criteria || []).join('\n')
+    };
+    for (const [field, prefix] of Object.entries(mapping.label_prefixes)) {
+      if (values[field] !== undefined && !mapping.fields[field]) values.labels.push(`${prefix}${values[field]}`);
+    }
+    if (mapping.type === 'csv' && mapping.labels_separator) {
+      values.labels = values.labels.join(mapping.labels_separator);
+    }
+    // GitHub issue numbers are integers
+    if (mapping.type === 'json' && /^\d+$/.test(values.external_id || '')) {
+      values.external_id = Number(values.external_id);
+    }
+
+    const record = {};
+    for (const [field, column] of Object.entries(mapping.fields)) {
+      if (!column || values[field] === undefined) continue;
+      if (mapping.type === 'csv') record[column] = values[field];
+      else setPath(record, column, values[field]);
+    }
+    return record;
+  }
+
+  /**
+   * Description with acceptance criteria (when they have no field of their own) and the story ID marker
+   */
+  formatDescription(story, mapping) {
+    const parts = [story.description || ''];
+    const criteria = story.acceptance_criteria || [];
+    if (!mapping.fields.acceptance_criteria && mapping.acceptance_criteria_heading && criteria.length > 0) {
+      parts.push(mapping.markup === 'jira'
+        ? [`h3. ${mapping.acceptance_criteria_heading}`, ...criteria.map(criterion => `* ${criterion}`)].join('\n')
+        : [`## ${mapping.acceptance_criteria_heading}`, ...criteria.map(criterion => `- [ ] ${criterion}`)].join('\n'));
+    }
+    // Markdown hides the comment; Jira has a Story ID field instead
+    if (!mapping.fields.internal_id && mapping.markup === 'markdown') {
+      parts.push(`<!-- story-id: ${story.id} -->`);
+    }
+    return parts.filter(Boolean).join('\n\n');
+  }
+
+  toCsvText(records, mapping) {
+    const columns = Object.values(mapping.fields).filter(Boolean);
+    const header = [];
+    for (const column of columns) {
+      // Repeated columns (Jira labels) get one header per value
+      const width = Math.max(1, ...records.map(record => (Array.isArray(record[column]) ? record[column].length : 1)));
+      for (let i = 0; i < width; i++) header.push({ column, index: i });
+    }
+    const rows = records.map(record => header.map(({ column, index }) => {
+      const value = record[column];
+      if (Array.isArray(value)) return value[index];
+      return index === 0 ? value : '';
+    }));
+    return toCsv([header.map(({ column }) => column), ...rows]);
+  }
+
+  importFile(format, filePath, options = {}) {
+    return this.importBacklog(format, fs.readFileSync(filePath, 'utf8'), options);
+  }
+
+  exportFile(format, filePath, options = {}) {
+    const text = this.exportBacklog(format, options);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text);
+    return filePath;
+  }
+}
+
+// Export singleton instance
+const backlogInterchange = new BacklogInterchange();
+
+module.exports = {
+  BacklogInterchange,
+  BacklogFormatError,
+  backlogInterchange,
+  parseCsv,
+  toCsv,
+
+  // Convenience exports
+  importBacklog: (format, text, options) => backlogInterchange.importBacklog(format, text, options),
+  exportBacklog: (format, options) => backlogInterchange.exportBacklog(format, options)
+};
@@ -7,11 +7,17 @@ const fs = require('fs');
 const path = require('path');
 const { storyTracker } = require('./story-tracker');
 const { monitor } = require('./performance-monitor');
+const { DependencyGraph } = require('./dependency-graph');
 
 class BurndownGenerator {
-  constructor() {
+  /**
+   * @param {Object} options - { storyTracker, burndownPath, dependencyGraph }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
-    this.burndownPath = path.join(
+    this.storyTracker = options.storyTracker || storyTracker;
+    this.dependencyGraph = options.dependencyGraph || new DependencyGraph({ storyTracker: this.storyTracker });
+    this.burndownPath = options.burndownPath || path.join(
       this.basePath,
       'machine-data',
       'project-documents-json',
@@ -136,7 +142,7 @@ class BurndownGenerator {
     }
     
     // Calculate current metrics
-    const stories = storyTracker.getSprintStories(sprintId);
+    const stories = this.storyTracker.getSprintStories(sprintId);
     const metrics = this.calculateCurrentMetrics(stories);
     
     // Calculate elapsed time
@@ -163,7 +169,15 @@ class BurndownGenerator {
       total_scope_points: burndown.burndown.total_points
     };
     
-    burndown.burndown.actual_burndown.push(dataPoint);
+    // Replay the story event log so the line shows every change, not only the polls
+    const logged = this.deriveActualBurndown(burndown);
+    if (logged.points.length > 0) {
+      dataPoint.total_scope_points = metrics.total_points;
+      burndown.burndown.actual_burndown = [...logged.points, dataPoint];
+      this.applyLoggedScope(burndown, metrics.total_points, logged.scope_changes);
+    } else {
+      burndown.burndown.actual_burndown.push(dataPoint);
+    }
     
     // Update velocity metrics
     this.updateVelocityMetrics(burndown, dataPoint);
@@ -190,6 +204,59 @@ class BurndownGenerator {
     };
   }
   
+  /**
+   * Actual burndown points from the sprint's story events
+   * @returns {Object} { points, scope_changes }
+   */
+  deriveActualBurndown(burndown) {
+    const { sprint_id: sprintId, start_date: startDate } = burndown.burndown;
+    const sprintMetrics = this.storyTracker.getSprintMetrics(sprintId, { start: startDate });
+    const startTime = new Date(startDate);
+    
+    const points = sprintMetrics.timeline.map(point => {
+      // Planning before the sprint started collapses onto the start
+      const elapsedHours = Math.max(0, (new Date(point.timestamp) - startTime) / (1000 * 60 * 60));
+      return {
+        timestamp: point.timestamp,
+        elapsed_hours: elapsedHours,
+        remaining_points: point.remaining_points,
+        completed_points: point.completed_points,
+        stories_completed: point.stories_completed,
+        stories_in_progress: point.stories_in_progress,
+        stories_blocked: point.stories_blocked,
+        velocity: this.calculateVelocity(burndown, elapsedHours, point.completed_points),
+        total_scope_points: point.total_points,
+        event: { seq: point.seq, type: point.type, story_id: point.story_id }
+      };
+    });
+    
+    return { points, scope_changes: sprintMetrics.scope_changes };
+  }
+  
+  /**
+   * Take scope from the log; changes recorded by hand through addScopeChange are kept
+   */
+  applyLoggedScope(burndown, totalPoints, loggedChanges) {
+    const manual = burndown.burndown.scope_changes.filter(change => change.source !== 'story_log');
+    burndown.burndown.scope_changes = [
+      ...manual,
+      ...loggedChanges.map(change => ({
+        ...change,
+        impact: change.type === 'added'
+          ? `Increased scope by ${change.points} points`
+          : `Reduced scope by ${change.points} points`
+      }))
+    ];
+    
+    if (burndown.burndown.total_points !== totalPoints) {
+      burndown.burndown.total_points = totalPoints;
+      burndown.burndown.ideal_burndown = this.calculateIdealBurndown({
+        total_points: totalPoints,
+        duration_hours: burndown.burndown.duration_hours
+      });
+    }
+  }
+  
   /**
    * Calculate current metrics from stories
    */
@@ -224,6 +291,8 @@ class BurndownGenerator {
           break;
           
         case 'in_progress':
+        case 'testing':
+        case 'review':
           metrics.remaining_points += points;
           metrics.stories_in_progress++;
           // Estimate remaining based on progress
@@ -237,6 +306,10 @@ class BurndownGenerator {
           metrics.remaining_hours += story.timing.estimated_hours;
           break;
           
+        case 'split':
+          // Replaced by its parts, which carry the points
+          continue;
+          
         default: // not_started
           metrics.remaining_points += points;
           metrics.remaining_hours += story.timing.estimated_hours;
@@ -336,6 +409,34 @@ class BurndownGenerator {
       burndown.burndown.completion_prediction.on_track = false;
       burndown.burndown.completion_prediction.confidence = 'none';
     }
+    
+    burndown.burndown.completion_prediction.forecast = this.forecastCompletion(burndown, dataPoint);
+  }
+  
+  /**
+   * Monte Carlo percentiles for the sprint, sampled from past sprints
+   */
+  forecastCompletion(burndown, dataPoint) {
+    // Required lazily: the forecaster depends on this module
+    const { MonteCarloForecaster } = require('./monte-carlo-forecaster');
+    const forecaster = new MonteCarloForecaster({
+      storyTracker: this.storyTracker,
+      burndownGenerator: this,
+      now: () => new Date(dataPoint.timestamp)
+    });
+    const result = forecaster.forecast('sprint', burndown.burndown.sprint_id, { trials: 2000 });
+    
+    if (result.status !== 'ok') {
+      return { status: result.status };
+    }
+    
+    return {
+      status: result.status,
+      p50: result.percentiles.p50.date,
+      p85: result.percentiles.p85.date,
+      p95: result.percentiles.p95.date,
+      probability_on_time: result.probability_on_target
+    };
   }
   
   /**
@@ -469,6 +570,9 @@ class BurndownGenerator {
       });
     }
     
+    // Blockers holding up other stories, worst first
+    alerts.push(...this.generateDependencyAlerts(burndown.burndown.sprint_id));
+    
     // Check scope volatility
     if (burndown.burndown.scope_changes.length > 2) {
       alerts.push({
@@ -482,6 +586,37 @@ class BurndownGenerator {
     return alerts;
   }
   
+  /**
+   * Alerts for blockers that transitively delay other stories and for dependency cycles
+   */
+  generateDependencyAlerts(sprintId) {
+    const analysis = this.dependencyGraph.analyzeSprint(sprintId);
+    const alerts = analysis.blockers
+      .filter(impact => impact.on_critical_path || impact.delays.length > 0)
+      .sort((a, b) => b.on_critical_path - a.on_critical_path || b.delays.length - a.delays.length)
+      .map(impact => ({
+        type: 'blocker_impact',
+        severity: impact.on_critical_path ? 'critical' : 'warning',
+        story_id: impact.story_id,
+        delays: impact.delays,
+        message: `Blocked story ${impact.story_id} delays ${impact.delays.length} stories (${impact.delayed_points} points)` +
+          (impact.on_critical_path ? ' on the critical path' : ''),
+        recommendation: `Unblock ${impact.story_id} first${impact.reason ? `: ${impact.reason}` : ''}`
+      }));
+    
+    for (const cycle of analysis.cycles) {
+      alerts.push({
+        type: 'dependency_cycle',
+        severity: 'warning',
+        stories: cycle,
+        message: `Dependency cycle: ${[...cycle, cycle[0]].join(' → ')}`,
+        recommendation: 'Remove one of the dependencies so the stories can be ordered'
+      });
+    }
+    
+    return alerts;
+  }
+  
   /**
    * Get burndown chart data
    */
@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const { stateTracker } = require('./state-tracker');
+const { lockService } = require('./lock-service');
 
 class ClaudeMdUpdater {
   constructor() {
@@ -98,15 +99,17 @@ ${summary.next_actions.map((action, i) => `${i + 1}. ${action.action}`).join('\n
       // Append to session history file instead of main CLAUDE.md
       const historyPath = path.join(this.basePath, 'project-state', 'session-summaries.md');
       
-      let historyContent = '';
-      if (fs.existsSync(historyPath)) {
-        historyContent = fs.readFileSync(historyPath, 'utf-8');
-      }
-      
-      // Prepend new summary (most recent first)
-      historyContent = sessionSection + '\n' + historyContent;
-      
-      fs.writeFileSync(historyPath, historyContent);
+      lockService.withLockSync(historyPath, () => {
+        let historyContent = '';
+        if (fs.existsSync(historyPath)) {
+          historyContent = fs.readFileSync(historyPath, 'utf-8');
+        }
+
+        // Prepend new summary (most recent first)
+        historyContent = sessionSection + '\n' + historyContent;
+
+        lockService.writeFileSync(historyPath, historyContent);
+      });
       
       console.log('✅ Session summary appended to history');
     } catch (error) {
@@ -125,17 +128,19 @@ ${summary.next_actions.map((action, i) => `${i + 1}. ${action.action}`).join('\n
         return;
       }
       
-      const content = fs.readFileSync(historyPath, 'utf-8');
-      const sessions = content.split('## Session Summary - ');
+      lockService.withLockSync(historyPath, () => {
+        const content = fs.readFileSync(historyPath, 'utf-8');
+        const sessions = content.split('## Session Summary - ');
       
-      // Keep only last 10 sessions
-      if (sessions.length > 11) { // +1 for the empty first element
-        const kept = sessions.slice(0, 11);
-        const rotated = kept.join('## Session Summary - ');
-        fs.writeFileSync(historyPath, rotated);
+        // Keep only last 10 sessions
+        if (sessions.length > 11) { // +1 for the empty first element
+          const kept = sessions.slice(0, 11);
+          const rotated = kept.join('## Session Summary - ');
+          lockService.writeFileSync(historyPath, rotated);
         
-        console.log(`🔄 Rotated old sessions (kept last 10)`);
-      }
+          console.log(`🔄 Rotated old sessions (kept last 10)`);
+        }
+      });
     } catch (error) {
       console.error('Error rotating sessions:', error.message);
     }
@@ -351,7 +356,7 @@ ${recentDecisions}`;
       );
       
       const content = fs.readFileSync(this.claudeMdPath, 'utf-8');
-      fs.writeFileSync(backupPath, content);
+      lockService.writeFileSync(backupPath, content);
       
       // Keep only last 5 backups
       this.cleanupBackups();
@@ -1,19 +1,50 @@
 /**
  * Learning System Commands Handler
- * Stub implementation for learning and contribution commands
+ * Commands for capturing learnings and managing community contributions
  */
 
+const fs = require('fs');
+const path = require('path');
+const { lockService } = require('../../lock-service');
+
+// Workflow phases reachable from /learn-from-contributions-workflow flags
+const WORKFLOW_PHASES = {
+  'check-only': { phase: 'discovery', run: 'checkContributions' },
+  'validate': { phase: 'validation', run: 'validateContributions' },
+  'analyze': { phase: 'analysis', run: 'analyzeContributions' },
+  'plan': { phase: 'planning', run: 'planImplementation' },
+  'approve': { phase: 'approval', run: 'approveImplementation' },
+  'implement': { phase: 'implementation', run: 'implementChanges' },
+  'archive': { phase: 'archive', run: 'archiveResults' },
+  'resume': { phase: 'resume', run: 'resumeWorkflow' },
+  'status': { phase: 'status', run: 'showStatus' }
+};
+
+// Mirrors the skip durations documented in aaa-documents/contribution-handler.md
+const SKIP_DURATIONS = ['session', 'sprint', 'day', 'permanent'];
+
 class LearningHandler {
+  constructor() {
+    this.projectRoot = process.cwd();
+    this.stateDir = path.join(this.projectRoot, 'project-state');
+    this.contributionsDir = path.join(this.projectRoot, 'community-learnings', 'contributions');
+  }
+
   /**
    * Initialize and register commands
    */
   initialize(registry) {
+    this.registry = registry;
+
     registry.registerCommand('/capture-learnings', {
       description: 'Manually capture current project learnings',
       handler: this.captureLearnings.bind(this),
       category: 'learning',
-      usage: '/capture-learnings',
-      examples: ['/capture-learnings']
+      usage: '/capture-learnings ["observation"] [--agent name] [--category name] [--impact low|medium|high]',
+      examples: [
+        '/capture-learnings',
+        '/capture-learnings "Parallel testing halved review time" --agent testing_agent --impact high'
+      ]
     });
 
     registry.registerCommand('/show-contribution-status', {
@@ -28,16 +59,16 @@ class LearningHandler {
       description: 'Review captured learnings before submission',
       handler: this.reviewLearnings.bind(this),
       category: 'learning',
-      usage: '/review-learnings',
-      examples: ['/review-learnings']
+      usage: '/review-learnings [contribution-folder] [--generate]',
+      examples: ['/review-learnings', '/review-learnings --generate']
     });
 
     registry.registerCommand('/skip-contribution', {
       description: 'Skip learning contribution prompts',
       handler: this.skipContribution.bind(this),
       category: 'learning',
-      usage: '/skip-contribution',
-      examples: ['/skip-contribution']
+      usage: '/skip-contribution [reason] [--duration session|sprint|day|permanent]',
+      examples: ['/skip-contribution', '/skip-contribution "Client NDA restrictions" --duration permanent']
     });
 
     registry.registerCommand('/learn-from-contributions-workflow', {
@@ -52,28 +83,443 @@ class LearningHandler {
     });
   }
 
-  async captureLearnings() {
+  /**
+   * Capture an observation, or the latest sprint retrospective when none is given
+   */
+  async captureLearnings(args = []) {
+    const manager = this.getCaptureManager();
+    const { options, positional } = this.parseArgs(args);
+    const observation = this.joinText(positional);
+
     console.log('📚 Capturing project learnings...');
+
+    let learning;
+    if (observation) {
+      learning = manager.captureContinuous({
+        agent: typeof options.agent === 'string' ? options.agent : 'stakeholder',
+        category: typeof options.category === 'string' ? options.category : 'general',
+        observation,
+        context: this.getCurrentSprintId(),
+        impact: typeof options.impact === 'string' ? options.impact : 'medium',
+        recommendation: null
+      });
+    } else {
+      const retrospective = this.findLatestRetrospective();
+      if (!retrospective) {
+        console.log('   ℹ️  Nothing to capture: no observation given and no sprint retrospective found.');
+        console.log('   Run /sprint-retrospective first or pass an observation.');
+        return { captured: false, reason: 'no_source' };
+      }
+
+      const metrics = retrospective.review ? retrospective.review.metrics : {};
+      learning = await manager.captureSprintEnd({
+        sprint_number: retrospective.sprint_id,
+        planned_velocity: metrics.planned_points,
+        achieved_velocity: metrics.completed_points !== undefined
+          ? metrics.completed_points
+          : retrospective.report.summary.velocity,
+        blockers_resolved: metrics.stories_blocked || 0
+      });
+    }
+
+    const summary = manager.generateSummary();
+    console.log(`   ✅ Captured ${learning.type} learning ${learning.id}`);
+    console.log(`   Total learnings captured: ${summary.total_learnings}`);
+
+    return {
+      captured: true,
+      learning: { id: learning.id, type: learning.type, timestamp: learning.timestamp },
+      total_learnings: summary.total_learnings,
+      by_type: summary.by_type
+    };
   }
 
+  /**
+   * Report captured learnings, contribution readiness and skip state
+   */
   async showContributionStatus() {
-    console.log('📊 Contribution Status');
-    console.log('   Implementation pending...');
+    const manager = this.getCaptureManager();
+    const workflow = this.getWorkflowHandler();
+
+    const summary = manager.generateSummary();
+    const contributionState = this.readContributionState();
+    const contributions = workflow.getContributions();
+    const analyzed = workflow.getAnalyzedContributions();
+    const pending = contributions.filter(c => !analyzed.has(c.name));
+    const readiness = workflow.calculateReadiness(pending.length);
+    const skipped = this.isSkipActive(contributionState);
+
+    console.log('\n📊 Contribution Status');
+    console.log('━'.repeat(50));
+    console.log(`\n📚 Captured learnings: ${summary.total_learnings}`);
+    Object.entries(summary.by_type).forEach(([type, count]) => {
+      console.log(`   ${type}: ${count}`);
+    });
+
+    if (contributionState.pending_prompt) {
+      console.log(`\n📋 Pending prompt: ${contributionState.pending_prompt.trigger}`);
+    }
+    if (skipped) {
+      console.log(`\n⏭️  Contributions skipped (${contributionState.skip_duration}) until ${contributionState.skip_until}`);
+    }
+
+    console.log(`\n📦 Contributions: ${contributions.length} total, ${pending.length} pending analysis`);
+    console.log(`🎯 Readiness: ${readiness.emoji} ${readiness.status} - ${readiness.message}\n`);
+
+    return {
+      learnings: {
+        total: summary.total_learnings,
+        by_type: summary.by_type
+      },
+      contribution_state: {
+        pending_prompt: contributionState.pending_prompt,
+        skipped,
+        skip_until: contributionState.skip_until,
+        history_count: contributionState.contribution_history.length
+      },
+      contributions: {
+        total: contributions.length,
+        pending: pending.map(c => c.name)
+      },
+      readiness: {
+        status: readiness.status,
+        message: readiness.message
+      }
+    };
   }
 
-  async reviewLearnings() {
-    console.log('👀 Review Learnings');
-    console.log('   Implementation pending...');
+  /**
+   * Show recent learnings and privacy-scan the contribution about to be submitted
+   */
+  async reviewLearnings(args = []) {
+    const manager = this.getCaptureManager();
+    const { options, positional } = this.parseArgs(args);
+
+    console.log('\n👀 Review Learnings');
+    console.log('━'.repeat(50));
+
+    const recent = manager.generateSummary().recent_learnings;
+    console.log(`\n📚 Recent learnings (${recent.length}):`);
+    recent.forEach(l => {
+      const detail = l.data && l.data.observation ? ` - ${l.data.observation}` : '';
+      console.log(`   • [${l.type}] ${l.id}${detail}`);
+    });
+
+    let contributionPath;
+    let scanResults;
+
+    if (options.generate) {
+      const CommunityContributionGenerator = require('../../community-contribution-generator');
+      const generator = new CommunityContributionGenerator(this.projectRoot);
+      ({ contributionPath, scanResults } = await generator.generateContribution());
+    } else {
+      contributionPath = positional[0]
+        ? path.resolve(this.contributionsDir, positional[0])
+        : this.findLatestContribution();
+
+      if (contributionPath) {
+        const PrivacyScanner = require('../../privacy-scanner');
+        scanResults = await new PrivacyScanner(this.projectRoot).scanContribution(contributionPath);
+      }
+    }
+
+    if (!contributionPath) {
+      console.log('\nℹ️  No contribution generated yet. Run /review-learnings --generate to create one.\n');
+      return { learnings: recent.map(l => l.id), contribution: null };
+    }
+
+    console.log(`\n🔍 Privacy scan: ${path.relative(this.projectRoot, contributionPath)}`);
+    console.log(`   Critical: ${scanResults.summary.critical}, Warning: ${scanResults.summary.warning}, Info: ${scanResults.summary.info}`);
+    scanResults.findings.slice(0, 10).forEach(f => {
+      console.log(`   • ${f.file}:${f.line} [${f.severity}] ${f.category} - ${f.suggestion}`);
+    });
+
+    const readyToSubmit = scanResults.summary.critical === 0;
+    console.log(readyToSubmit
+      ? '\n✅ No critical issues. Ready to submit with: npm run submit-contribution\n'
+      : '\n❌ Critical issues found. Fix them before submitting.\n');
+
+    return {
+      learnings: recent.map(l => l.id),
+      contribution: {
+        path: contributionPath,
+        scan_id: scanResults.id,
+        summary: scanResults.summary,
+        ready_to_submit: readyToSubmit
+      }
+    };
   }
 
-  async skipContribution() {
-    console.log('⏭️  Contribution skipped');
+  /**
+   * Record a skip and pause contribution prompts for the configured duration
+   */
+  async skipContribution(args = []) {
+    const { options, positional } = this.parseArgs(args);
+    const skipConfig = this.getContributionConfig().skip_options || {};
+
+    if (skipConfig.allow_skip === false) {
+      throw new Error('Skipping contributions is disabled (community_learnings.contribution.skip_options.allow_skip)');
+    }
+
+    const duration = typeof options.duration === 'string'
+      ? options.duration
+      : skipConfig.skip_duration || 'session';
+    if (!SKIP_DURATIONS.includes(duration)) {
+      throw new Error(`Invalid skip duration "${duration}". Use one of: ${SKIP_DURATIONS.join(', ')}`);
+    }
+
+    const reason = this.joinText(positional) || null;
+    const now = new Date();
+    const skipUntil = {
+      session: 'current_session',
+      sprint: 'next_sprint_start',
+      day: new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+      permanent: 'never'
+    }[duration];
+
+    let cancelledPrompt = null;
+    this.updateRuntimeState(runtime => {
+      const contributionState = this.normalizeContributionState(runtime.contribution_state);
+      cancelledPrompt = contributionState.pending_prompt;
+
+      contributionState.pending_prompt = null;
+      contributionState.skip_until = skipUntil;
+      contributionState.skip_duration = duration;
+      // Session and sprint skips end when the session or sprint they were made in changes
+      contributionState.skip_scope = {
+        session_id: runtime.session ? runtime.session.id || null : null,
+        sprint_id: this.getCurrentSprintId()
+      };
+      if (skipConfig.remember_skips !== false) {
+        contributionState.skip_history.push({
+          timestamp: now.toISOString(),
+          reason,
+          duration,
+          cancelled_prompt: cancelledPrompt ? cancelledPrompt.trigger : null
+        });
+      }
+
+      runtime.contribution_state = contributionState;
+    });
+
+    console.log(`⏭️  Contribution skipped${reason ? `: ${reason}` : ''}`);
+    console.log(`   Prompts paused (${duration})`);
+
+    return {
+      skipped: true,
+      reason,
+      duration,
+      skip_until: skipUntil,
+      cancelled_prompt: cancelledPrompt ? cancelledPrompt.trigger : null
+    };
   }
 
-  async learnFromContributions(args) {
-    console.log('🎓 Learning Analysis Workflow');
-    console.log('   Implementation pending...');
+  /**
+   * Run the full 7-phase workflow or the phase selected by flag
+   */
+  async learnFromContributions(args = []) {
+    const workflow = this.getWorkflowHandler();
+    const { options } = this.parseArgs(args);
+    const flag = Object.keys(WORKFLOW_PHASES).find(key => options[key]);
+
+    try {
+      if (!flag) {
+        await workflow.runFullWorkflow();
+        const state = workflow.loadWorkflowState();
+        return {
+          phase: 'full',
+          current_phase: state ? state.current_phase : null,
+          phases_completed: state ? state.phases_completed : []
+        };
+      }
+
+      const { phase, run } = WORKFLOW_PHASES[flag];
+      // Discovery run standalone starts a fresh workflow, as in the CLI
+      const result = flag === 'check-only'
+        ? await workflow.checkContributions(workflow.initializeWorkflowState())
+        : await workflow[run]();
+      const state = workflow.loadWorkflowState();
+
+      return {
+        phase,
+        result: this.summarizePhaseResult(phase, result),
+        current_phase: state ? state.current_phase : null,
+        phases_completed: state ? state.phases_completed : []
+      };
+    } finally {
+      workflow.closeReadline();
+    }
+  }
+
+  /**
+   * Reduce phase output to something printable by the registry
+   */
+  summarizePhaseResult(phase, result) {
+    if (result === null || result === undefined) {
+      return null;
+    }
+
+    switch (phase) {
+      case 'discovery':
+      case 'validation':
+        return {
+          contributions: result.map(c => ({
+            name: c.name,
+            type: c.type,
+            validation: c.validation || null
+          }))
+        };
+      case 'analysis':
+        return {
+          patterns: result.patterns.length,
+          cross_patterns: result.cross_patterns.length,
+          insights: result.insights.length,
+          recommendations: result.recommendations.length
+        };
+      case 'planning':
+        return { plans: result.map(p => ({ title: p.title, risk: p.risk, confidence: p.confidence })) };
+      default:
+        return result;
+    }
+  }
+
+  getCaptureManager() {
+    const LearningCaptureManager = require('../../learning-capture-manager');
+    return new LearningCaptureManager(this.projectRoot);
+  }
+
+  getWorkflowHandler() {
+    return require('../../scripts/learn-from-contributions-workflow-handler');
+  }
+
+  parseArgs(args) {
+    if (this.registry) {
+      return this.registry.parseOptions(args);
+    }
+    return require('../registry').parseOptions(args);
+  }
+
+  /**
+   * Rejoin whitespace-split arguments and strip surrounding quotes
+   */
+  joinText(parts) {
+    return parts.join(' ').replace(/^["']|["']$/g, '').trim();
+  }
+
+  getContributionConfig() {
+    const configPath = path.join(this.stateDir, 'configuration.json');
+    try {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      return (config.community_learnings && config.community_learnings.contribution) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  readRuntimeState() {
+    const runtimePath = path.join(this.stateDir, 'runtime.json');
+    if (!fs.existsSync(runtimePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(runtimePath, 'utf8'));
+  }
+
+  // Read-modify-write under the runtime.json lock so other writers' changes survive
+  updateRuntimeState(mutate) {
+    return lockService.updateJsonSync(path.join(this.stateDir, 'runtime.json'), mutate);
+  }
+
+  /**
+   * Contribution state shape served by the dashboard's /api/project-state/contributions
+   */
+  normalizeContributionState(state = {}) {
+    return {
+      last_prompt: null,
+      pending_prompt: null,
+      skip_until: null,
+      skip_scope: null,
+      contribution_history: [],
+      skip_history: [],
+      ...state
+    };
+  }
+
+  readContributionState() {
+    return this.normalizeContributionState(this.readRuntimeState().contribution_state);
+  }
+
+  isSkipActive(state) {
+    if (!state.skip_until) {
+      return false;
+    }
+    const scope = state.skip_scope || {};
+    switch (state.skip_until) {
+      case 'never':
+        return true;
+      case 'current_session': {
+        const session = this.readRuntimeState().session || {};
+        return (session.id || null) === (scope.session_id || null);
+      }
+      case 'next_sprint_start':
+        return this.getCurrentSprintId() === (scope.sprint_id || null);
+      default: {
+        const until = Date.parse(state.skip_until);
+        return !Number.isNaN(until) && until > Date.now();
+      }
+    }
+  }
+
+  findLatestContribution() {
+    if (!fs.existsSync(this.contributionsDir)) {
+      return null;
+    }
+
+    const folders = fs.readdirSync(this.contributionsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'examples')
+      .map(entry => path.join(this.contributionsDir, entry.name))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+
+    return folders[0] || null;
+  }
+
+  /**
+   * Sprint the current-sprint link points at, if any
+   */
+  getCurrentSprintId() {
+    const link = path.join(this.projectRoot, 'project-documents', 'orchestration', 'sprints', 'current-sprint');
+    try {
+      return path.basename(fs.realpathSync(link));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Latest sprint-retrospective.json (and its sprint-review.json) from the sprint commands
+   */
+  findLatestRetrospective() {
+    const sprintsDir = path.join(this.projectRoot, 'project-documents', 'orchestration', 'sprints');
+    if (!fs.existsSync(sprintsDir)) {
+      return null;
+    }
+
+    const sprints = fs.readdirSync(sprintsDir)
+      .filter(name => name.startsWith('sprint-'))
+      .filter(name => fs.existsSync(path.join(sprintsDir, name, 'sprint-retrospective.json')))
+      .sort();
+    if (sprints.length === 0) {
+      return null;
+    }
+
+    const sprintId = sprints[sprints.length - 1];
+    const sprintDir = path.join(sprintsDir, sprintId);
+    const reviewPath = path.join(sprintDir, 'sprint-review.json');
+    return {
+      sprint_id: sprintId,
+      report: JSON.parse(fs.readFileSync(path.join(sprintDir, 'sprint-retrospective.json'), 'utf8')),
+      review: fs.existsSync(reviewPath) ? JSON.parse(fs.readFileSync(reviewPath, 'utf8')) : null
+    };
   }
 }
 
-module.exports = new LearningHandler();
\ No newline at end of file
+module.exports = new LearningHandler();
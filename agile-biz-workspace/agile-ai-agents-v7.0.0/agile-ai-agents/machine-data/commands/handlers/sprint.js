@@ -1,34 +1,59 @@
 /**
  * Sprint Management Commands Handler
- * Stub implementation for sprint-related commands
+ * Drives sprint lifecycle commands through the story tracker, burndown,
+ * velocity, review and retrospective modules
  */
 
+const fs = require('fs');
+const path = require('path');
+const {
+  generateSprintName,
+  isValidSprintName
+} = require('../../utils/sprint-naming');
+
 class SprintHandler {
+  constructor() {
+    this.projectRoot = process.cwd();
+    this.sprintsDir = path.join(this.projectRoot, 'project-documents', 'orchestration', 'sprints');
+    this.currentSprintLink = path.join(this.sprintsDir, 'current-sprint');
+    this.defaultDurationHours = 2;
+  }
+
   /**
    * Initialize and register commands
    */
   initialize(registry) {
+    this.registry = registry;
+
     registry.registerCommand('/start-sprint', {
       description: 'Begin a new sprint',
       handler: this.startSprint.bind(this),
       category: 'sprint',
-      usage: '/start-sprint [sprint-name]',
-      examples: ['/start-sprint authentication-feature']
+      usage: '/start-sprint [sprint-name] [--stories ID1,ID2] [--goal text] [--duration hours]',
+      options: {
+        '--stories': 'Comma-separated story IDs to commit to the sprint',
+        '--goal': 'Sprint goal',
+        '--duration': `Sprint length in hours (default ${this.defaultDurationHours})`
+      },
+      examples: [
+        '/start-sprint authentication-feature',
+        '/start-sprint authentication-feature --stories ULI-1234,JWT-5678 --duration 4'
+      ]
     });
 
     registry.registerCommand('/sprint-status', {
       description: 'Show current sprint progress',
       handler: this.sprintStatus.bind(this),
       category: 'sprint',
-      usage: '/sprint-status',
-      examples: ['/sprint-status']
+      usage: '/sprint-status [sprint-name]',
+      examples: ['/sprint-status', '/sprint-status sprint-2025-01-30-authentication']
     });
 
     registry.registerCommand('/sprint-review', {
       description: 'Trigger sprint review process',
       handler: this.sprintReview.bind(this),
       category: 'sprint',
-      usage: '/sprint-review',
+      usage: '/sprint-review [sprint-name]',
       examples: ['/sprint-review']
     });
 
@@ -36,29 +61,734 @@ class SprintHandler {
       description: 'Initiate AI retrospective',
       handler: this.sprintRetrospective.bind(this),
       category: 'sprint',
-      usage: '/sprint-retrospective',
+      usage: '/sprint-retrospective [sprint-name]',
       examples: ['/sprint-retrospective']
     });
+
+    registry.registerCommand('/forecast', {
+      description: 'Forecast completion dates with Monte Carlo simulation',
+      handler: this.forecast.bind(this),
+      category: 'sprint',
+      usage: '/forecast [sprint [sprint-name] | epic <label> | backlog] [--trials N] [--seed N] [--points N]',
+      options: {
+        '--trials': 'Number of simulated trials (default 10000)',
+        '--seed': 'Random seed for a reproducible forecast',
+        '--points': 'Forecast this many points instead of the stories in scope'
+      },
+      examples: [
+        '/forecast',
+        '/forecast epic authentication',
+        '/forecast backlog --trials 20000',
+        '/forecast backlog --points 120'
+      ]
+    });
+
+    registry.registerCommand('/estimate', {
+      description: 'Estimate a story with planning poker across agent personas',
+      handler: this.estimate.bind(this),
+      category: 'sprint',
+      usage: '/estimate <story-id> [--agents agent1,agent2] [--level minimal|medium|thorough]',
+      options: {
+        '--agents': 'Comma-separated agents to ask (default: suggested from the story)',
+        '--level': 'LLM routing level for the agent calls (default minimal)'
+      },
+      examples: [
+        '/estimate ULI-1234',
+        '/estimate ULI-1234 --agents coder_agent,security_agent,testing_agent'
+      ]
+    });
+
+    registry.registerCommand('/backlog-import', {
+      description: 'Import a Jira, Linear or GitHub Issues export into the backlog',
+      handler: this.backlogImport.bind(this),
+      category: 'sprint',
+      usage: '/backlog-import <jira-csv|jira-json|linear-csv|github-json> <file> [--sprint name] [--mapping file] [--dry-run]',
+      options: {
+        '--sprint': 'Commit newly created stories to this sprint',
+        '--mapping': 'Mapping file overriding machine-data/tracker-mappings.json',
+        '--dry-run': 'Show what would be created and updated without changing stories'
+      },
+      examples: [
+        '/backlog-import jira-csv ~/Downloads/Jira.csv',
+        '/backlog-import github-json issues.json --dry-run'
+      ]
+    });
+
+    registry.registerCommand('/backlog-export', {
+      description: 'Export the backlog for Jira, Linear or GitHub Issues',
+      handler: this.backlogExport.bind(this),
+      category: 'sprint',
+      usage: '/backlog-export <jira-csv|jira-json|linear-csv|github-json> [--sprint name] [--epic id] [--output file] [--mapping file]',
+      options: {
+        '--sprint': 'Only stories committed to this sprint',
+        '--epic': 'Only stories in this epic',
+        '--output': 'File to write (default project-documents/orchestration/product-backlog/exports/)',
+        '--mapping': 'Mapping file overriding machine-data/tracker-mappings.json'
+      },
+      examples: [
+        '/backlog-export linear-csv',
+        '/backlog-export jira-csv --epic PROJ-12 --output jira-import.csv'
+      ]
+    });
+  }
+
+  /**
+   * Create the sprint folder, commit stories and start the burndown
+   */
+  async startSprint(args = []) {
+    const { storyTracker } = require('../../story-tracker');
+    const { burndownGenerator } = require('../../burndown-generator');
+    const { options, positional } = this.parseArgs(args);
+
+    const feature = positional.join('-') || 'sprint';
+    const sprintId = isValidSprintName(feature) ? feature : generateSprintName(feature);
+    const sprintDir = path.join(this.sprintsDir, sprintId);
+
+    if (fs.existsSync(sprintDir)) {
+      throw new Error(`Sprint ${sprintId} already exists. Use /sprint-status ${sprintId} to view it.`);
+    }
+
+    console.log(`\n🏃 Starting sprint ${sprintId}...\n`);
+
+    // Commit requested stories before reading the sprint backlog
+    const requested = typeof options.stories === 'string'
+      ? options.stories.split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+    const missing = requested.filter(id => !storyTracker.getStory(id));
+    if (missing.length > 0) {
+      throw new Error(`Unknown stories: ${missing.join(', ')}`);
+    }
+    requested.forEach(id => storyTracker.assignToSprint(id, sprintId));
+
+    const stories = storyTracker.getSprintStories(sprintId);
+    const totals = this.calculateTotals(stories);
+
+    const durationHours = Number(options.duration) || this.defaultDurationHours;
+    const startDate = new Date();
+    const endDate = new Date(startDate.getTime() + durationHours * 60 * 60 * 1000);
+    const sprintGoal = typeof options.goal === 'string' ? options.goal : `Deliver ${feature}`;
+
+    fs.mkdirSync(sprintDir, { recursive: true });
+
+    const burndown = burndownGenerator.initializeBurndown({
+      sprint_id: sprintId,
+      sprint_goal: sprintGoal,
+      start_date: startDate.toISOString(),
+      end_date: endDate.toISOString(),
+      duration_hours: durationHours,
+      total_points: totals.points,
+      total_hours: totals.hours
+    });
+
+    this.writeSprintState(sprintDir, 'active');
+    fs.writeFileSync(
+      path.join(sprintDir, 'planning.md'),
+      this.formatPlanning(sprintId, sprintGoal, startDate, endDate, stories, totals)
+    );
+    this.updateCurrentSprintLink(sprintId);
+
+    console.log(`📁 Sprint folder: ${path.relative(this.projectRoot, sprintDir)}`);
+    console.log(`🎯 Goal: ${sprintGoal}`);
+    console.log(`📋 Stories committed: ${stories.length} (${totals.points} points)`);
+    console.log(`⏱️  Ends: ${endDate.toLocaleString()}\n`);
+
+    if (stories.length === 0) {
+      console.log('ℹ️  No stories committed yet. Re-run with --stories to commit backlog items.\n');
+    }
+
+    return {
+      sprint_id: sprintId,
+      folder: sprintDir,
+      sprint_goal: sprintGoal,
+      start_date: burndown.burndown.start_date,
+      end_date: burndown.burndown.end_date,
+      stories: stories.map(s => s.story.id),
+      total_points: totals.points
+    };
+  }
+
+  /**
+   * Render live burndown, velocity and blocker data
+   */
+  async sprintStatus(args = []) {
+    const { storyTracker } = require('../../story-tracker');
+    const { burndownGenerator } = require('../../burndown-generator');
+    const { velocityTracker } = require('../../velocity-tracker');
+    const { flowMetrics } = require('../../flow-metrics');
+
+    const sprintId = this.resolveSprint(this.parseArgs(args).positional[0]);
+    if (!sprintId) {
+      console.log('ℹ️  No active sprint found. Start one with /start-sprint <name>.');
+      return { sprint_id: null };
+    }
+
+    // Load persisted burndown so updateBurndown can append a fresh data point
+    if (!burndownGenerator.getBurndownData(sprintId)) {
+      throw new Error(`No burndown found for ${sprintId}. Was it started with /start-sprint?`);
+    }
+    const progress = burndownGenerator.updateBurndown(sprintId, {});
+    const burndown = burndownGenerator.getBurndownData(sprintId).burndown;
+    const current = progress.current_progress;
+
+    const stories = storyTracker.getSprintStories(sprintId);
+    const blocked = stories
+      .filter(s => s.story.status === 'blocked')
+      .map(s => this.describeBlocker(s.story));
+    const velocity = velocityTracker.getTeamVelocityMetrics();
+    const flow = flowMetrics.getFlowReport(sprintId);
+
+    const percent = burndown.total_points > 0
+      ? Math.round(current.completed_points / burndown.total_points * 100)
+      : 0;
+
+    console.log('\n' + '─'.repeat(60));
+    console.log(`  📊 SPRINT STATUS: ${sprintId}`);
+    console.log('─'.repeat(60) + '\n');
+    console.log(`🎯 Goal: ${burndown.sprint_goal}`);
+    console.log(`⏱️  Elapsed: ${current.elapsed_hours.toFixed(1)}h of ${burndown.duration_hours}h`);
+    console.log(`\n📉 Burndown`);
+    console.log(`   ${this.progressBar(percent)} ${percent}%`);
+    console.log(`   Points: ${current.completed_points}/${burndown.total_points} complete, ${current.remaining_points} remaining`);
+    console.log(`   Stories: ${current.stories_completed} done, ${current.stories_in_progress} in progress, ${current.stories_blocked} blocked`);
+    console.log(`   On track: ${progress.completion_prediction.on_track ? '✅ yes' : '⚠️  no'} (confidence: ${progress.completion_prediction.confidence})`);
+
+    console.log(`\n🚀 Velocity`);
+    console.log(`   Current sprint: ${progress.velocity_metrics.current_velocity.toFixed(2)} pts/h (required ${progress.velocity_metrics.required_velocity.toFixed(2)})`);
+    console.log(`   Team average: ${velocity.average_velocity} pts/sprint over ${velocity.sprint_count} sprints (${velocity.trend})`);
+
+    this.printFlow(flow);
+
+    if (blocked.length > 0) {
+      console.log(`\n🚧 Blocked Stories`);
+      blocked.forEach(b => {
+        console.log(`   • ${b.id} ${b.title} (${b.blocked_hours}h blocked)${b.reason ? ` - ${b.reason}` : ''}`);
+      });
+    }
+
+    if (progress.alerts.length > 0) {
+      console.log(`\n🔔 Alerts`);
+      progress.alerts.forEach(alert => console.log(`   • [${alert.severity}] ${alert.message}`));
+    }
+    console.log('');
+
+    return {
+      sprint_id: sprintId,
+      burndown: current,
+      velocity_metrics: progress.velocity_metrics,
+      completion_prediction: progress.completion_prediction,
+      team_velocity: velocity,
+      blocked_stories: blocked,
+      flow,
+      alerts: progress.alerts
+    };
+  }
+
+  /**
+   * WIP against limits, cycle time and throughput for /sprint-status
+   */
+  printFlow(flow) {
+    const overLimit = entry => entry.limit !== null && entry.count > entry.limit;
+    const wip = flow.wip.per_status.map(entry => `${entry.status} ${entry.count}/${entry.limit}${overLimit(entry) ? ' ⚠️' : ''}`);
+    const agents = flow.wip.per_agent.filter(overLimit);
+    const { p50, p85 } = flow.cycle_time.percentiles;
+
+    console.log(`\n🌊 Flow`);
+    if (wip.length > 0) {
+      console.log(`   WIP: ${wip.join(', ')}`);
+    }
+    agents.forEach(entry => console.log(`   ⚠️  ${entry.agent} holds ${entry.count} stories (limit ${entry.limit})`));
+    console.log(`   Cycle time: ${p50 === null ? 'no completed stories yet' : `P50 ${p50}h, P85 ${p85}h`}`);
+    console.log(`   Throughput: ${flow.throughput.average} stories per ${flow.throughput.bucket_hours}h`);
   }
 
-  async startSprint(args) {
-    console.log('🏃 Starting new sprint...');
+  /**
+   * Run the Definition of Done review and record sprint velocity
+   */
+  async sprintReview(args = []) {
+    const { sprintReview } = require('../../sprint-review');
+    const { velocityTracker } = require('../../velocity-tracker');
+
+    const sprintId = this.requireSprint(this.parseArgs(args).positional[0]);
+    const sprintDir = path.join(this.sprintsDir, sprintId);
+    const sprintData = this.loadSprintData(sprintId);
+
+    console.log(`\n👀 Sprint Review: ${sprintId}\n`);
+
+    const report = sprintReview.conductSprintReview(sprintData);
+    const metrics = report.metrics;
+
+    // Review is where the sprint's velocity becomes final; record it once
+    const alreadyRecorded = velocityTracker.velocityHistory.team_velocity.sprints
+      .some(s => s.sprint_id === sprintId);
+    if (!alreadyRecorded) {
+      velocityTracker.recordSprintVelocity({
+        sprint_id: sprintId,
+        start_date: sprintData.start_date,
+        end_date: sprintData.end_date,
+        planned_points: metrics.planned_points,
+        completed_points: metrics.completed_points,
+        stories_planned: metrics.stories_planned,
+        stories_completed: metrics.stories_completed,
+        stories_carried_over: metrics.stories_planned - metrics.stories_completed,
+        total_hours_worked: metrics.total_hours_worked,
+        blocked_hours: metrics.total_blocked_hours
+      });
+    }
+
+    // Each agent's planning poker error on finished stories sharpens its calibration
+    const { planningPoker } = require('../../planning-poker');
+    const outcomes = planningPoker.recordSprintOutcomes(sprintId);
+
+    fs.writeFileSync(path.join(sprintDir, 'sprint-review.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(sprintDir, 'review.md'), this.formatReview(report));
+    this.writeSprintState(sprintDir, 'review');
+
+    console.log(`   Completion: ${report.summary.completion_rate}`);
+    console.log(`   Definition of Done: ${report.summary.definition_of_done_compliance}`);
+    console.log(`   Issues: ${report.issues.length}, action items: ${report.action_items.length}`);
+    if (outcomes.length > 0) {
+      console.log(`   Estimation feedback: ${outcomes.length} agent estimates compared with delivered size`);
+    }
+    console.log(`\n📄 Saved review.md and sprint-review.json to ${path.relative(this.projectRoot, sprintDir)}\n`);
+
+    return {
+      sprint_id: sprintId,
+      folder: sprintDir,
+      report,
+      estimation_feedback: outcomes
+    };
   }
 
-  async sprintStatus() {
-    console.log('📊 Sprint Status');
-    console.log('   Implementation pending...');
+  /**
+   * Generate retrospective insights from sprint data and agent feedback
+   */
+  async sprintRetrospective(args = []) {
+    const { retrospectiveInsights } = require('../../retrospective-insights');
+    const { sprintReview } = require('../../sprint-review');
+
+    const sprintId = this.requireSprint(this.parseArgs(args).positional[0]);
+    const sprintDir = path.join(this.sprintsDir, sprintId);
+    const sprintData = this.loadSprintData(sprintId);
+    const metrics = sprintReview.calculateSprintMetrics(sprintData);
+
+    console.log(`\n🔄 Sprint Retrospective: ${sprintId}\n`);
+
+    // Agents drop their feedback into the sprint folder before the retro
+    const feedbackPath = path.join(sprintDir, 'agent-feedback.json');
+    const agentFeedback = fs.existsSync(feedbackPath)
+      ? JSON.parse(fs.readFileSync(feedbackPath, 'utf8'))
+      : [];
+
+    const report = retrospectiveInsights.generateRetrospectiveInsights({
+      ...sprintData,
+      planned_points: metrics.planned_points,
+      completed_points: metrics.completed_points
+    }, agentFeedback);
+
+    fs.writeFileSync(path.join(sprintDir, 'sprint-retrospective.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(sprintDir, 'retrospective.md'), this.formatRetrospective(report, agentFeedback.length));
+    this.writeSprintState(sprintDir, 'retrospective');
+
+    console.log(`   Velocity: ${report.summary.velocity} points (${report.summary.completion_rate} of plan)`);
+    console.log(`   Improvement actions: ${report.improvement_actions.length}`);
+    if (agentFeedback.length === 0) {
+      console.log('   ℹ️  No agent-feedback.json found in the sprint folder; insights use metrics only');
+    }
+    console.log(`\n📄 Saved retrospective.md and sprint-retrospective.json to ${path.relative(this.projectRoot, sprintDir)}\n`);
+
+    return {
+      sprint_id: sprintId,
+      folder: sprintDir,
+      report
+    };
   }
 
-  async sprintReview() {
-    console.log('👀 Sprint Review');
-    console.log('   Implementation pending...');
+  /**
+   * Print P50/P85/P95 completion dates for a sprint, epic or the backlog
+   */
+  async forecast(args = []) {
+    const { monteCarloForecaster } = require('../../monte-carlo-forecaster');
+    const { options, positional } = this.parseArgs(args);
+
+    const scope = positional[0] || 'sprint';
+    let id = positional[1] || null;
+    if (scope === 'sprint') {
+      id = this.requireSprint(id);
+    }
+
+    const result = monteCarloForecaster.forecast(scope, id, {
+      trials: options.trials,
+      seed: options.seed,
+      points: options.points !== undefined ? Number(options.points) : undefined
+    });
+
+    const label = scope === 'backlog' ? 'backlog' : `${scope} ${id}`;
+    console.log(`\n🎲 Forecast: ${label}\n`);
+    console.log(`   Remaining: ${result.remaining_points} points across ${result.remaining_stories} stories`);
+
+    if (result.status === 'complete') {
+      console.log('   ✅ Nothing left to forecast\n');
+      return result;
+    }
+    if (result.status === 'insufficient_history') {
+      console.log(`   ℹ️  ${result.message}. Finish a sprint review to record velocity.\n`);
+      return result;
+    }
+
+    console.log(`   Trials: ${result.trials} over ${result.inputs.sprints_sampled} past sprints (velocity ${result.inputs.velocity.min}-${result.inputs.velocity.max})\n`);
+    for (const [key, value] of Object.entries(result.percentiles)) {
+      const when = value.date ? new Date(value.date).toLocaleString() : 'not within simulated horizon';
+      const sprints = value.sprints ? ` (${value.sprints} sprints)` : '';
+      console.log(`   ${key.toUpperCase()}: ${when}${sprints}`);
+    }
+    if (result.probability_on_target !== null) {
+      console.log(`\n   Chance of finishing by ${new Date(result.target_date).toLocaleString()}: ${Math.round(result.probability_on_target * 100)}%`);
+    }
+    console.log('');
+
+    return result;
+  }
+
+  /**
+   * Run planning poker for a story and record the consensus estimate
+   */
+  async estimate(args = []) {
+    const { planningPoker } = require('../../planning-poker');
+    const { storyTracker } = planningPoker;
+    const { options, positional } = this.parseArgs(args);
+
+    const storyId = positional[0];
+    if (!storyId) {
+      throw new Error('Usage: /estimate <story-id>');
+    }
+    const document = storyTracker.getStory(storyId);
+    if (!document) {
+      throw new Error(`Unknown story: ${storyId}`);
+    }
+
+    const participants = typeof options.agents === 'string'
+      ? options.agents.split(',').map(agent => agent.trim()).filter(Boolean)
+      : undefined;
+
+    console.log(`\n🎲 Planning poker: ${storyId} ${document.story.title}\n`);
+    const session = (await planningPoker.estimateWithAgents(document.story, {
+      participants,
+      level: typeof options.level === 'string' ? options.level : undefined
+    })).session;
+
+    session.rounds.forEach(round => {
+      console.log(`   Round ${round.round_number}`);
+      for (const [agent, estimate] of Object.entries(round.estimates)) {
+        const adjusted = estimate.normalized ? ` (calibrated from ${estimate.raw_points})` : '';
+        console.log(`   • ${agent}: ${estimate.points}${adjusted} - ${estimate.reasoning}`);
+      }
+    });
+    session.abstentions.forEach(abstention => {
+      console.log(`   ⚠️  ${abstention.agent} did not answer in round ${abstention.round}: ${abstention.error}`);
+    });
+
+    const consensus = session.consensus;
+    console.log(`\n✅ Estimate: ${consensus.points} points (${consensus.method}, confidence ${consensus.confidence})\n`);
+
+    if (consensus.points !== document.story.story_points) {
+      storyTracker.updateStoryPoints(storyId, consensus.points, `Planning poker ${session.id}`);
+    }
+
+    return {
+      story_id: storyId,
+      session_id: session.id,
+      participants: session.participants,
+      rounds: session.rounds,
+      consensus
+    };
+  }
+
+  /**
+   * Create or update stories from an external tracker export
+   */
+  async backlogImport(args = []) {
+    const { backlogInterchange } = require('../../backlog-interchange');
+    const { options, positional } = this.parseArgs(args);
+
+    const [format, file] = positional;
+    if (!format || !file) {
+      throw new Error('Usage: /backlog-import <format> <file>');
+    }
+    const filePath = path.resolve(this.projectRoot, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${file}`);
+    }
+
+    const result = backlogInterchange.importFile(format, filePath, {
+      sprintId: typeof options.sprint === 'string' ? options.sprint : null,
+      mappingPath: typeof options.mapping === 'string' ? path.resolve(this.projectRoot, options.mapping) : null,
+      dryRun: Boolean(options['dry-run'])
+    });
+
+    const verb = options['dry-run'] ? 'Would import' : 'Imported';
+    console.log(`\n📥 ${verb} ${path.basename(filePath)} (${result.format})\n`);
+    const describe = entry => [entry.story_id || entry.title, entry.external_id && `← ${entry.external_id}`]
+      .filter(Boolean).join(' ');
+    result.created.forEach(entry => console.log(`   ➕ ${describe(entry)}`));
+    result.updated.forEach(entry => console.log(`   ✏️  ${describe(entry)}: ${entry.fields.join(', ')}`));
+    result.skipped.forEach(entry => console.log(`   ⚠️  Row ${entry.index + 1} skipped: ${entry.reason}`));
+    console.log(`\n   ${result.created.length} created, ${result.updated.length} updated, ${result.unchanged.length} unchanged, ${result.skipped.length} skipped\n`);
+
+    return result;
+  }
+
+  /**
+   * Write stories in an external tracker's import format
+   */
+  async backlogExport(args = []) {
+    const { backlogInterchange } = require('../../backlog-interchange');
+    const { options, positional } = this.parseArgs(args);
+
+    const format = positional[0];
+    if (!format) {
+      throw new Error('Usage: /backlog-export <format>');
+    }
+    const extension = format.endsWith('-csv') ? 'csv' : 'json';
+    const output = typeof options.output === 'string'
+      ? path.resolve(this.projectRoot, options.output)
+      : path.join(this.projectRoot, 'project-documents', 'orchestration', 'product-backlog', 'exports', `backlog-${format}.${extension}`);
+
+    backlogInterchange.exportFile(format, output, {
+      sprintId: typeof options.sprint === 'string' ? options.sprint : null,
+      epicId: typeof options.epic === 'string' ? options.epic : null,
+      mappingPath: typeof options.mapping === 'string' ? path.resolve(this.projectRoot, options.mapping) : null
+    });
+
+    console.log(`\n📤 Backlog exported to ${path.relative(this.projectRoot, output)}\n`);
+    return { format, output };
+  }
+
+  /**
+   * Parse arguments using the registry option parser
+   */
+  parseArgs(args) {
+    if (this.registry) {
+      return this.registry.parseOptions(args);
+    }
+    return require('../registry').parseOptions(args);
+  }
+
+  /**
+   * Resolve a sprint name, falling back to the current-sprint link or latest sprint
+   */
+  resolveSprint(name) {
+    if (name) {
+      return fs.existsSync(path.join(this.sprintsDir, name)) ? name : null;
+    }
+
+    try {
+      const target = path.basename(fs.readlinkSync(this.currentSprintLink));
+      if (fs.existsSync(path.join(this.sprintsDir, target))) {
+        return target;
+      }
+    } catch (error) {
+      // No link (or platform without symlinks) - fall back to latest folder
+    }
+
+    if (!fs.existsSync(this.sprintsDir)) {
+      return null;
+    }
+
+    // Sprint names are date-prefixed, so lexical order is chronological
+    const sprints = fs.readdirSync(this.sprintsDir)
+      .filter(entry => isValidSprintName(entry))
+      .sort();
+    return sprints.length > 0 ? sprints[sprints.length - 1] : null;
+  }
+
+  requireSprint(name) {
+    const sprintId = this.resolveSprint(name);
+    if (!sprintId) {
+      throw new Error(name
+        ? `Sprint ${name} not found in ${path.relative(this.projectRoot, this.sprintsDir)}`
+        : 'No active sprint found. Start one with /start-sprint <name>.');
+    }
+    return sprintId;
+  }
+
+  /**
+   * Load sprint dates and goal from the persisted burndown
+   */
+  loadSprintData(sprintId) {
+    const { burndownGenerator } = require('../../burndown-generator');
+    const data = burndownGenerator.getBurndownData(sprintId);
+
+    return {
+      sprint_id: sprintId,
+      sprint_goal: data ? data.burndown.sprint_goal : '',
+      start_date: data ? data.burndown.start_date : null,
+      end_date: data ? data.burndown.end_date : null
+    };
+  }
+
+  calculateTotals(stories) {
+    return stories.reduce((totals, storyData) => {
+      const story = storyData.story;
+      const points = typeof story.story_points === 'object'
+        ? story.story_points.total
+        : story.story_points;
+      totals.points += points || 0;
+      totals.hours += story.timing.estimated_hours || 0;
+      return totals;
+    }, { points: 0, hours: 0 });
+  }
+
+  describeBlocker(story) {
+    const lastBlock = [...story.history]
+      .reverse()
+      .find(entry => ['blocked', 'status_changed'].includes(entry.action) && entry.to === 'blocked');
+
+    return {
+      id: story.id,
+      title: story.title,
+      blocked_hours: story.timing.blocked_hours,
+      since: lastBlock ? lastBlock.timestamp : null,
+      reason: lastBlock ? lastBlock.details : null
+    };
+  }
+
+  /**
+   * Point current-sprint at the active sprint folder (see sprints/README.md)
+   */
+  updateCurrentSprintLink(sprintId) {
+    try {
+      if (fs.existsSync(this.currentSprintLink) || this.isSymlink(this.currentSprintLink)) {
+        fs.unlinkSync(this.currentSprintLink);
+      }
+      fs.symlinkSync(sprintId, this.currentSprintLink, 'dir');
+    } catch (error) {
+      console.warn(`⚠️  Could not update current-sprint link: ${error.message}`);
+    }
+  }
+
+  isSymlink(filePath) {
+    try {
+      return fs.lstatSync(filePath).isSymbolicLink();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Write state.md in the format sprint-document-tracker parses
+   */
+  writeSprintState(sprintDir, state) {
+    const content = [
+      `# Sprint State: ${path.basename(sprintDir)}`,
+      '',
+      `Current State: ${state}`,
+      `Last Updated: ${new Date().toISOString()}`,
+      ''
+    ].join('\n');
+
+    fs.writeFileSync(path.join(sprintDir, 'state.md'), content);
+  }
+
+  formatPlanning(sprintId, goal, startDate, endDate, stories, totals) {
+    const lines = [
+      `# Sprint Planning: ${sprintId}`,
+      '',
+      `**Sprint Goal**: ${goal}`,
+      `**Start**: ${startDate.toISOString()}`,
+      `**End**: ${endDate.toISOString()}`,
+      '',
+      `Total Points: ${totals.points}`,
+      `Estimated Hours: ${totals.hours}`,
+      '',
+      '## Committed Stories',
+      ''
+    ];
+
+    if (stories.length === 0) {
+      lines.push('_No stories committed._');
+    } else {
+      lines.push('| ID | Title | Points | Priority |');
+      lines.push('|----|-------|--------|----------|');
+      stories.forEach(({ story }) => {
+        const points = typeof story.story_points === 'object' ? story.story_points.total : story.story_points;
+        lines.push(`| ${story.id} | ${story.title} | ${points} | ${story.priority} |`);
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  formatReview(report) {
+    const lines = [
+      `# Sprint Review: ${report.sprint_id}`,
+      '',
+      `**Review Date**: ${report.review_date}`,
+      '',
+      `Total Points: ${report.metrics.planned_points}`,
+      `Completed Points: ${report.metrics.completed_points}`,
+      `Completion Rate: ${report.summary.completion_rate}`,
+      `Definition of Done: ${report.summary.definition_of_done_compliance}`,
+      '',
+      '## Deliverables',
+      ''
+    ];
+
+    if (report.deliverables.length === 0) {
+      lines.push('_None recorded._');
+    } else {
+      report.deliverables.forEach(d => lines.push(`- ${d.type}: ${d.name}`));
+    }
+
+    lines.push('', '## Issues', '');
+    if (report.issues.length === 0) {
+      lines.push('_None._');
+    } else {
+      report.issues.forEach(issue => lines.push(`- **${issue.story}** (${issue.severity}): ${issue.issue}`));
+    }
+
+    lines.push('', '## Action Items', '');
+    if (report.action_items.length === 0) {
+      lines.push('_None._');
+    } else {
+      report.action_items.forEach(item => lines.push(`- [ ] ${item.action} (${item.priority})`));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  formatRetrospective(report, feedbackCount) {
+    const lines = [
+      `# Sprint Retrospective: ${report.sprint_id}`,
+      '',
+      `**Velocity**: ${report.summary.velocity} points`,
+      `**Completion Rate**: ${report.summary.completion_rate}`,
+      `**Agent Feedback Entries**: ${feedbackCount}`,
+      '',
+      '## Key Insights',
+      ''
+    ];
+
+    const section = (items, format) => {
+      if (!items || items.length === 0) {
+        lines.push('_None._');
+      } else {
+        items.forEach(item => lines.push(format(item)));
+      }
+    };
+
+    section(report.summary.key_insights, insight => `- ${insight}`);
+    lines.push('', '## Improvement Actions', '');
+    section(report.improvement_actions, a => `- [ ] ${a.action} (${a.priority}, owner: ${a.assigned_to})`);
+    lines.push('', '## Learnings', '');
+    section(report.learnings, learning => `- **${learning.category}**: ${learning.learning}`);
+
+    return lines.join('\n') + '\n';
   }
 
-  async sprintRetrospective() {
-    console.log('🔄 Sprint Retrospective');
-    console.log('   Implementation pending...');
+  progressBar(percent, width = 30) {
+    const filled = Math.max(0, Math.min(width, Math.round(percent / 100 * width)));
+    return '█'.repeat(filled) + '░'.repeat(width - filled);
   }
 }
 
-module.exports = new SprintHandler();
\ No newline at end of file
+module.exports = new SprintHandler();
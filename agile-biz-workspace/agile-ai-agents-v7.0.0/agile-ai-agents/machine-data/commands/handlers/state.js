@@ -83,6 +83,49 @@ class StateHandler {
       ]
     });
 
+    registry.registerCommand('/state-log', {
+      description: 'Show the state history: commits with author and changed files',
+      handler: this.stateLog.bind(this),
+      category: 'state',
+      usage: '/state-log [branch|commit] [--limit n]',
+      examples: ['/state-log', '/state-log alt-plan --limit 5']
+    });
+
+    registry.registerCommand('/state-diff', {
+      description: 'Compare two state commits (or a commit and the current state)',
+      handler: this.stateDiff.bind(this),
+      category: 'state',
+      usage: '/state-diff <a> [b] [--unified]',
+      examples: ['/state-diff HEAD~1 HEAD', '/state-diff main alt-plan --unified', '/state-diff 3f2a9c1e']
+    });
+
+    registry.registerCommand('/state-checkout', {
+      description: 'Restore project state from a commit, branch or checkpoint tag',
+      handler: this.stateCheckout.bind(this),
+      category: 'state',
+      usage: '/state-checkout <commit|branch|tag>',
+      examples: ['/state-checkout main', '/state-checkout HEAD~3']
+    });
+
+    registry.registerCommand('/state-branch', {
+      description: 'Create a state branch to explore an alternative plan, or list branches',
+      handler: this.stateBranch.bind(this),
+      category: 'state',
+      usage: '/state-branch [name] [--from ref]',
+      examples: ['/state-branch', '/state-branch alt-plan', '/state-branch before-pivot --from HEAD~2']
+    });
+
+    registry.registerCommand('/state-merge', {
+      description: 'Merge a state branch into the current branch',
+      handler: this.stateMerge.bind(this),
+      category: 'state',
+      usage: '/state-merge <branch> [--theirs]',
+      options: {
+        '--theirs': 'Resolve conflicting values with the merged branch instead of the current one'
+      },
+      examples: ['/state-merge alt-plan', '/state-merge alt-plan --theirs']
+    });
+
     registry.registerCommand('/show-learnings', {
       description: 'Display captured learnings from this project',
       handler: this.showLearnings.bind(this),
@@ -90,6 +133,21 @@ class StateHandler {
       usage: '/show-learnings',
       examples: ['/show-learnings']
     });
+
+    registry.registerCommand('/find-similar', {
+      description: 'Find stories, decisions, retrospectives and learnings similar to some text',
+      handler: this.findSimilar.bind(this),
+      category: 'state',
+      usage: '/find-similar <text> [--type story,decision,retrospective,learning] [--limit N]',
+      options: {
+        '--type': 'Comma-separated item types to search (default: all)',
+        '--limit': 'Maximum results (default: 10)'
+      },
+      examples: [
+        '/find-similar "OAuth login with refresh tokens"',
+        '/find-similar payment retries --type decision,learning'
+      ]
+    });
   }
 
   /**
@@ -180,13 +238,141 @@ class StateHandler {
     
     console.log('✅ Creating checkpoint...');
     
-    // Implementation would call actual checkpoint logic
     console.log(`   Message: ${message || 'No message provided'}`);
     if (options.full) {
       console.log('   Type: Full checkpoint');
     }
+
+    const history = this.history();
+    const tag = `checkpoint-${Date.now()}`;
+    history.record({ message: message || `Checkpoint ${tag}`, allowEmpty: true, tag });
+    console.log(`   Tag: ${tag} (restore with /state-checkout ${tag})`);
     
     console.log('✅ Checkpoint created successfully');
+    return { tag };
+  }
+
+  history() {
+    const { getStateHistory } = require('../../state-history');
+    return getStateHistory(this.projectRoot);
+  }
+
+  /**
+   * /state-log
+   */
+  async stateLog(args = []) {
+    const { options, positional } = require('../registry').parseOptions(args);
+    const entries = this.history().log({ ref: positional[0] || 'HEAD', limit: Number(options.limit) || 20 });
+    const { branch } = this.history().head();
+
+    console.log(`\n📜 State history${branch ? ` on ${branch}` : ' (detached)'}\n`);
+    if (entries.length === 0) {
+      console.log('ℹ️  No state commits yet; they are recorded on every state save\n');
+      return entries;
+    }
+    for (const entry of entries) {
+      const refs = entry.refs.length > 0 ? ` (${entry.refs.join(', ')})` : '';
+      const merge = entry.parents.length > 1 ? ' [merge]' : '';
+      console.log(`● ${entry.short}${refs}${merge} ${entry.message}`);
+      console.log(`  ${entry.author.type}: ${entry.author.name} · ${entry.timestamp}`);
+      entry.files.forEach(file => console.log(`  ${file.status.padEnd(8)} ${file.file} (${file.changes} change${file.changes === 1 ? '' : 's'})`));
+    }
+    console.log('');
+    return entries;
+  }
+
+  /**
+   * /state-diff <a> [b]
+   */
+  async stateDiff(args = []) {
+    const { options, positional } = require('../registry').parseOptions(args);
+    if (positional.length === 0) {
+      throw new Error('Usage: /state-diff <a> [b] [--unified]');
+    }
+    const diff = this.history().diff(positional[0], positional[1] || null);
+
+    console.log(`\n🔍 ${diff.from.slice(0, 8)} → ${diff.to === 'working' ? 'current state' : diff.to.slice(0, 8)}\n`);
+    if (diff.files.length === 0) {
+      console.log('   No differences\n');
+    }
+    for (const file of diff.files) {
+      console.log(`${file.status.toUpperCase()} ${file.file}`);
+      if (options.unified) {
+        console.log(file.unified);
+        continue;
+      }
+      for (const change of file.changes) {
+        const before = JSON.stringify(change.before);
+        const after = JSON.stringify(change.after);
+        if (change.op === 'add') console.log(`  + ${change.path}: ${after}`);
+        else if (change.op === 'remove') console.log(`  - ${change.path}: ${before}`);
+        else console.log(`  ~ ${change.path}: ${before} → ${after}`);
+      }
+      if (file.truncated) console.log(`  … ${file.truncated} more`);
+    }
+    return diff;
+  }
+
+  /**
+   * /state-checkout <ref>
+   */
+  async stateCheckout(args = []) {
+    const ref = args[0];
+    if (!ref) {
+      throw new Error('Usage: /state-checkout <commit|branch|tag>');
+    }
+    const result = this.history().checkout(ref);
+    if (result.saved) {
+      console.log(`💾 Saved uncommitted state as ${result.saved.slice(0, 8)}`);
+    }
+    if (result.detached) {
+      console.log(`⏪ State restored to ${result.id.slice(0, 8)} (detached: use /state-branch <name> to keep new work)`);
+    } else {
+      console.log(`🔀 Switched to state branch ${result.branch} at ${result.id.slice(0, 8)}`);
+    }
+    return result;
+  }
+
+  /**
+   * /state-branch [name]
+   */
+  async stateBranch(args = []) {
+    const { options, positional } = require('../registry').parseOptions(args);
+    const history = this.history();
+    if (positional.length === 0) {
+      const branches = history.branches();
+      console.log('\n🌿 State branches');
+      branches.forEach(branch => console.log(`  ${branch.current ? '*' : ' '} ${branch.name} ${branch.id.slice(0, 8)}`));
+      console.log('');
+      return branches;
+    }
+    const result = history.branch(positional[0], { from: options.from });
+    console.log(`🌿 Created state branch ${result.name} at ${result.id.slice(0, 8)} and switched to it`);
+    console.log('   Return with /state-checkout main, or bring it back with /state-merge');
+    return result;
+  }
+
+  /**
+   * /state-merge <branch>
+   */
+  async stateMerge(args = []) {
+    const { options, positional } = require('../registry').parseOptions(args);
+    if (positional.length === 0) {
+      throw new Error('Usage: /state-merge <branch> [--theirs]');
+    }
+    const result = this.history().merge(positional[0], { strategy: options.theirs ? 'theirs' : 'ours' });
+    if (result.up_to_date) {
+      console.log('✅ Already up to date');
+    } else if (result.fast_forward) {
+      console.log(`⏩ Fast-forwarded to ${result.id.slice(0, 8)}`);
+    } else {
+      console.log(`🔀 Merged ${positional[0]} as ${result.id.slice(0, 8)}`);
+    }
+    if (result.conflicts.length > 0) {
+      console.log(`⚠️  ${result.conflicts.length} conflicting value(s) kept from ${options.theirs ? positional[0] : 'the current branch'}:`);
+      result.conflicts.forEach(conflict => console.log(`   ${conflict.file} ${conflict.path}`));
+    }
+    return result;
   }
 
   /**
@@ -286,6 +472,35 @@ class StateHandler {
     console.log('📚 Captured Learnings');
     console.log('   • Learning details would go here\n');
   }
+
+  /**
+   * Search the shared similarity index across all project item types
+   */
+  async findSimilar(args = []) {
+    const { options, positional } = require('../registry').parseOptions(args);
+    const text = positional.join(' ').trim();
+    if (!text) {
+      throw new Error('Usage: /find-similar <text> [--type story,decision,retrospective,learning] [--limit N]');
+    }
+
+    const { similarityIndex, SEARCHABLE_TYPES } = require('../../similarity-index');
+    const types = options.type ? String(options.type).split(',').map(type => type.trim()) : SEARCHABLE_TYPES;
+    const unknown = types.filter(type => !SEARCHABLE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown item type: ${unknown.join(', ')} (expected ${SEARCHABLE_TYPES.join(', ')})`);
+    }
+
+    const { results } = similarityIndex.findSimilar(text, { types, limit: parseInt(options.limit, 10) || 10 });
+
+    console.log(`\n🔎 Similar to "${text}"\n`);
+    if (results.length === 0) {
+      console.log('ℹ️  Nothing similar found\n');
+    }
+    results.forEach(result => {
+      console.log(`   ${Math.round(result.score * 100)}%  [${result.type}] ${result.title} (${result.key})`);
+    });
+    return { query: text, types, results };
+  }
 }
 
 // Export handler instance
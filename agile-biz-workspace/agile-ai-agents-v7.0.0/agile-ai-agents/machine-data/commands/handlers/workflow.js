@@ -16,6 +16,8 @@ class WorkflowHandler {
    * Initialize and register commands
    */
   initialize(registry) {
+    this.registry = registry;
+
     // Register workflow commands
     registry.registerCommand('/start-new-project-workflow', {
       description: 'Begin new project from idea to implementation',
@@ -48,6 +50,30 @@ class WorkflowHandler {
       examples: ['/quickstart']
     });
 
+    registry.registerCommand('/run-workflow', {
+      description: 'Run a custom declarative workflow from machine-data/workflows/*.json',
+      handler: this.runWorkflow.bind(this),
+      category: 'workflow',
+      usage: '/run-workflow [workflow] [--list] [--status] [--research-level level] [--complete-step id] [--fail-step id] [--approve gate] [--reject gate] [--select phases] [--retry]',
+      options: {
+        '--list': 'List available workflows',
+        '--status': 'Show the running workflow',
+        '--research-level': 'minimal, medium or thorough (default from configuration.json)',
+        '--complete-step': 'Mark an agent step done',
+        '--fail-step': 'Report a failed step; it is retried per the retry policy',
+        '--approve': 'Approve the pending gate',
+        '--reject': 'Reject the pending gate and rerun its phase',
+        '--select': 'Comma-separated selectable phases to queue',
+        '--retry': 'Retry the failed phase'
+      },
+      examples: [
+        '/run-workflow --list',
+        '/run-workflow compliance-audit --research-level medium',
+        '/run-workflow --approve "Audit Scope Confirmation"',
+        '/run-workflow --complete-step inventory_systems'
+      ]
+    });
+
     registry.registerCommand('/workflow-recovery', {
       description: 'Recover from workflow errors or interruptions',
       handler: this.workflowRecovery.bind(this),
@@ -77,6 +103,67 @@ class WorkflowHandler {
     console.log('4. Check Status (/aaa-status)\n');
   }
 
+  /**
+   * Drive the declarative workflow engine
+   */
+  async runWorkflow(args = []) {
+    const { WorkflowEngine, printStatus } = require('../../workflow-engine');
+    const { options, positional } = this.registry.parseOptions(this.joinQuoted(args));
+    const engine = new WorkflowEngine({ projectRoot: process.cwd() });
+
+    if (options.list) {
+      const workflows = engine.listWorkflows();
+      console.log('\n📚 Available workflows');
+      workflows.forEach(workflow => console.log(`   ${workflow.id} - ${workflow.name} (${workflow.phases} phases, ${workflow.gates} gates)${workflow.command ? `, run with ${workflow.command}` : ''}`));
+      return workflows;
+    }
+
+    let status;
+    if (options['complete-step']) {
+      status = await engine.completeStep(options['complete-step']);
+    } else if (options['fail-step']) {
+      status = await engine.failStep(options['fail-step'], positional.join(' ') || undefined);
+    } else if (options.approve) {
+      status = await engine.approve(options.approve);
+    } else if (options.reject) {
+      status = await engine.reject(options.reject, { reason: positional.join(' ') || null });
+    } else if (options.select) {
+      status = await engine.selectPhases(String(options.select).split(',').filter(Boolean));
+    } else if (options.retry) {
+      status = await engine.retry();
+    } else if (positional[0] && !options.status) {
+      status = await engine.start(positional[0], { research_level: options['research-level'] });
+    } else {
+      status = engine.status();
+    }
+
+    printStatus(status);
+    return status;
+  }
+
+  /**
+   * Re-join quoted arguments the registry split on whitespace ("Audit Sign-off")
+   */
+  joinQuoted(args) {
+    const joined = [];
+    let open = null;
+    for (const arg of args) {
+      if (open !== null) {
+        open += ` ${arg}`;
+        if (arg.endsWith('"')) {
+          joined.push(open.slice(1, -1));
+          open = null;
+        }
+      } else if (arg.startsWith('"') && !(arg.length > 1 && arg.endsWith('"'))) {
+        open = arg;
+      } else {
+        joined.push(arg.replace(/^"(.*)"$/, '$1'));
+      }
+    }
+    if (open !== null) joined.push(open.slice(1));
+    return joined;
+  }
+
   async workflowRecovery() {
     console.log('🔧 Workflow Recovery Tool');
     console.log('   Checking for interrupted workflows...');
@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { countTokens } = require('./tokenizer');
 
 class ContextSummarizer {
   constructor() {
@@ -41,12 +42,13 @@ class ContextSummarizer {
   
   /**
    * Summarize context within token limits
+   * @param {number} maxTokens - Limit to measure utilization against (defaults to this.maxTokens)
    */
-  summarizeContext(fullContext, currentTokens = null) {
+  summarizeContext(fullContext, currentTokens = null, maxTokens = this.maxTokens) {
     try {
       // Estimate current token usage
       const estimatedTokens = currentTokens || this.estimateTokens(fullContext);
-      const utilizationRatio = estimatedTokens / this.maxTokens;
+      const utilizationRatio = estimatedTokens / maxTokens;
       
       console.log(`📊 Context utilization: ${(utilizationRatio * 100).toFixed(1)}%`);
       
@@ -73,7 +75,7 @@ class ContextSummarizer {
       
       // Re-estimate tokens
       const compressedTokens = this.estimateTokens(compressedContext);
-      const newUtilization = compressedTokens / this.maxTokens;
+      const newUtilization = compressedTokens / maxTokens;
       
       return {
         context: compressedContext,
@@ -304,12 +306,10 @@ class ContextSummarizer {
   }
   
   /**
-   * Estimate tokens (rough approximation)
+   * Count tokens with the shared tokenizer
    */
   estimateTokens(obj) {
-    const json = JSON.stringify(obj);
-    // Rough estimate: 1 token ≈ 4 characters
-    return Math.ceil(json.length / 4);
+    return countTokens(obj);
   }
   
   /**
@@ -665,7 +665,7 @@ module.exports = {
   contextSummarizer,
   
   // Convenience exports
-  summarizeContext: (context, tokens) => contextSummarizer.summarizeContext(context, tokens),
+  summarizeContext: (context, tokens, maxTokens) => contextSummarizer.summarizeContext(context, tokens, maxTokens),
   generateWhereWeLeftOff: (state) => contextSummarizer.generateWhereWeLeftOff(state),
   prioritizeContext: (context) => contextSummarizer.prioritizeContext(context),
   estimateTokens: (obj) => contextSummarizer.estimateTokens(obj)
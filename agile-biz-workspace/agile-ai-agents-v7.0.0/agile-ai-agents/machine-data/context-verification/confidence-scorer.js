@@ -6,9 +6,12 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const { similarityIndex } = require('../similarity-index');
 
 class ConfidenceScorer {
-    constructor() {
+    constructor(options = {}) {
+        this.similarityIndex = options.similarityIndex || similarityIndex;
+
         // Weights for different factors
         this.weights = {
             domainAlignment: 0.40,    // Industry/domain terms match
@@ -229,14 +232,8 @@ class ConfidenceScorer {
     }
 
     isSimilarPattern(text1, text2) {
-        // Simple similarity check - could be enhanced with better NLP
-        const words1 = text1.split(/\s+/);
-        const words2 = text2.split(/\s+/);
-        
-        const commonWords = words1.filter(w => words2.includes(w));
-        const similarity = commonWords.length / Math.max(words1.length, words2.length);
-        
-        return similarity > 0.6;
+        // Weighted by how common each term is across the project's indexed items
+        return this.similarityIndex.compare(text1, text2 || '') > 0.6;
     }
 
     determinePrimaryFactor(scores) {
@@ -442,6 +442,14 @@ class DriftDetector {
     await fs.ensureDir(path.dirname(reportPath));
     await fs.writeJSON(reportPath, report, { spaces: 2 });
 
+    // Push the result to the dashboard drift channel
+    try {
+      const { streaming } = require('../streaming-infrastructure');
+      streaming.streamContextDrift(report);
+    } catch (error) {
+      console.log('💡 Streaming infrastructure not available for drift report');
+    }
+
     // Display results
     console.log(`\n📊 Drift Check Complete`);
     console.log(`   Overall Drift: ${report.overallDrift}%`);
@@ -6,11 +6,16 @@
 const fs = require('fs');
 const path = require('path');
 const { stateTracker } = require('./state-tracker');
+const { similarityIndex } = require('./similarity-index');
 
 class DecisionLogger {
-  constructor() {
+  /**
+   * @param {Object} options - { decisionLogPath, similarityIndex }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
-    this.decisionLogPath = path.join(this.basePath, '.claude-context', 'decision-log.json');
+    this.decisionLogPath = options.decisionLogPath || path.join(this.basePath, '.claude-context', 'decision-log.json');
+    this.similarityIndex = options.similarityIndex || similarityIndex;
     
     // Ensure directory exists
     const dir = path.dirname(this.decisionLogPath);
@@ -92,6 +97,9 @@ class DecisionLogger {
       // Save to disk
       this.saveDecisionLog();
       
+      // Make it findable by /find-similar and searchDecisions
+      this.similarityIndex.upsert('decision', decisionRecord.id, this.similarityItem(decisionRecord));
+      
       console.log(`📝 Decision logged: ${decisionRecord.decision}`);
       console.log(`   Category: ${decisionRecord.category}`);
       console.log(`   ID: ${decisionRecord.id}`);
@@ -181,38 +189,40 @@ class DecisionLogger {
   }
   
   /**
-   * Search decisions
+   * Search decisions, most relevant first
    */
   searchDecisions(query) {
     try {
-      const searchTerm = query.toLowerCase();
+      this.similarityIndex.sync('decision', this.decisionLog.decisions.map(decision => this.similarityItem(decision)));
       
-      return this.decisionLog.decisions.filter(decision => {
-        // Search in decision text
-        if (decision.decision.toLowerCase().includes(searchTerm)) return true;
-        
-        // Search in rationale
-        if (decision.rationale.toLowerCase().includes(searchTerm)) return true;
-        
-        // Search in category
-        if (decision.category.toLowerCase().includes(searchTerm)) return true;
-        
-        // Search in tags
-        if (decision.tags.some(tag => tag.toLowerCase().includes(searchTerm))) return true;
-        
-        // Search in alternatives
-        if (decision.alternatives_considered.some(alt => 
-          alt.toLowerCase().includes(searchTerm)
-        )) return true;
-        
-        return false;
-      });
+      const byId = new Map(this.decisionLog.decisions.map(decision => [decision.id, decision]));
+      return this.similarityIndex
+        .search(query, { types: ['decision'], limit: this.decisionLog.decisions.length || 1 })
+        .map(hit => byId.get(hit.key))
+        .filter(Boolean);
     } catch (error) {
       console.error('Error searching decisions:', error.message);
       return [];
     }
   }
   
+  /**
+   * Searchable text of a decision for the similarity index
+   */
+  similarityItem(decision) {
+    return {
+      key: decision.id,
+      title: decision.decision,
+      text: [
+        decision.rationale,
+        decision.category,
+        ...(decision.tags || []),
+        ...(decision.alternatives_considered || [])
+      ].filter(Boolean).join('\n'),
+      metadata: { category: decision.category, sprint_id: decision.sprint_id || null, timestamp: decision.timestamp }
+    };
+  }
+  
   /**
    * Get decisions by category
    */
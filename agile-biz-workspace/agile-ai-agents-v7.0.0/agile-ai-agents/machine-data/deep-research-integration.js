@@ -5,10 +5,15 @@
  */
 
 const ExternalAPIIntegration = require('./external-api-integration');
+const { createResearchProviderRegistry, sourceId } = require('./research-providers');
+const { similarityIndex } = require('./similarity-index');
 
 class DeepResearchIntegration {
-  constructor() {
-    this.externalAPIs = new ExternalAPIIntegration();
+  constructor(options = {}) {
+    this.externalAPIs = options.externalAPIs || new ExternalAPIIntegration();
+    // Search/fetch/extract backends; built from the environment in checkProviders() unless injected
+    this.registry = options.registry || null;
+    this.similarityIndex = options.similarityIndex || similarityIndex;
     this.providers = {
       perplexity: {
         enabled: false,
@@ -29,6 +34,11 @@ class DeepResearchIntegration {
         enabled: false,
         priority: 4,
         capabilities: ['google', 'scholar', 'images']
+      },
+      local: {
+        enabled: false,
+        priority: 5,
+        capabilities: ['offline', 'citations', 'reproducible']
       }
     };
     
@@ -36,6 +46,7 @@ class DeepResearchIntegration {
     this.currentSession = null;
     this.citations = [];
     this.sources = [];
+    this.documentCache = new Map();
   }
 
   /**
@@ -62,21 +73,25 @@ class DeepResearchIntegration {
    * Check available research providers
    */
   checkProviders() {
-    const available = this.externalAPIs.getAvailableProviders();
-    
-    // Enable configured providers
-    for (const provider of available) {
-      if (this.providers[provider.key]) {
-        this.providers[provider.key].enabled = true;
-        console.log(`✅ ${provider.name} enabled for deep research`);
-      }
+    if (!this.registry) {
+      // Perplexity searches through the same LLM adapter (or simulation) as the rest of the system
+      const perplexityAdapter = this.externalAPIs.adapters && this.externalAPIs.adapters.perplexity;
+      this.registry = createResearchProviderRegistry(process.env, {
+        perplexity: perplexityAdapter ? { adapter: perplexityAdapter } : {}
+      });
     }
     
-    // Check for additional research-specific providers
-    if (process.env.SERPAPI_API_KEY && 
-        !process.env.SERPAPI_API_KEY.includes('your_')) {
-      this.providers.serpapi.enabled = true;
-      console.log('✅ SerpAPI enabled for Google Scholar research');
+    // Enable every registered provider
+    for (const provider of this.registry.list()) {
+      if (!this.providers[provider.name]) {
+        this.providers[provider.name] = {
+          enabled: false,
+          priority: Object.keys(this.providers).length + 1,
+          capabilities: provider.capabilities
+        };
+      }
+      this.providers[provider.name].enabled = true;
+      console.log(`✅ ${provider.displayName} enabled for deep research`);
     }
   }
 
@@ -124,7 +139,7 @@ class DeepResearchIntegration {
     
     // Phase 1: Initial search across all providers
     console.log('📊 Phase 1: Initial search...');
-    const initialResults = await this.gatherInitialSources(topic, focus);
+    const initialResults = await this.gatherInitialSources(topic, focus, maxSources);
     
     // Phase 2: Deep dive into promising sources
     console.log('📊 Phase 2: Deep analysis...');
@@ -160,37 +175,24 @@ class DeepResearchIntegration {
   /**
    * Gather initial sources from all providers
    */
-  async gatherInitialSources(topic, focus) {
+  async gatherInitialSources(topic, focus, maxSources = 50) {
     const sources = [];
     const queries = this.generateSearchQueries(topic, focus);
     
-    // Use all available providers in parallel
-    const promises = [];
-    
-    if (this.providers.perplexity.enabled) {
-      promises.push(this.searchPerplexity(queries));
-    }
-    
-    if (this.providers.tavily.enabled) {
-      promises.push(this.searchTavily(queries));
-    }
-    
-    if (this.providers.exa.enabled) {
-      promises.push(this.searchExa(queries));
-    }
-    
-    if (this.providers.serpapi.enabled) {
-      promises.push(this.searchSerpAPI(queries));
-    }
+    // Use all available providers in parallel, in priority order
+    const enabled = Object.entries(this.providers)
+      .filter(([name, provider]) => provider.enabled && this.registry && this.registry.get(name))
+      .sort(([, a], [, b]) => a.priority - b.priority)
+      .map(([name]) => name);
     
     // If no providers available, use fallback
-    if (promises.length === 0) {
+    if (enabled.length === 0) {
       console.log('⚠️  No deep research providers available, using basic search');
       return this.fallbackSearch(topic);
     }
     
     // Gather all results
-    const results = await Promise.allSettled(promises);
+    const results = await Promise.allSettled(enabled.map(name => this.searchProvider(name, queries)));
     
     for (const result of results) {
       if (result.status === 'fulfilled' && result.value) {
@@ -198,7 +200,9 @@ class DeepResearchIntegration {
       }
     }
     
-    return sources;
+    // Best first; ties broken by source ID so the selection is the same on every run
+    sources.sort((a, b) => b.confidence - a.confidence || (a.id || '').localeCompare(b.id || ''));
+    return sources.slice(0, maxSources);
   }
 
   /**
@@ -225,114 +229,69 @@ class DeepResearchIntegration {
   }
 
   /**
-   * Search using Perplexity
+   * Run every query against one research provider
    */
-  async searchPerplexity(queries) {
-    if (!this.providers.perplexity.enabled) return [];
+  async searchProvider(name, queries, options = {}) {
+    const provider = this.registry && this.registry.get(name);
+    if (!provider || !this.providers[name] || !this.providers[name].enabled) return [];
     
     const sources = [];
     
     for (const query of queries) {
       try {
-        const response = await this.externalAPIs.routeToProvider('perplexity', {
-          model: 'sonar-pro',
-          content: query,
-          options: { search_depth: 'comprehensive' }
-        });
-        
-        if (response.citations) {
-          sources.push({
-            provider: 'perplexity',
-            query,
-            content: response.content,
-            citations: response.citations,
-            confidence: 0.9
-          });
-        }
+        const results = await provider.search(query, { limit: options.limit || 10 });
+        sources.push(...results.map(result => ({
+          id: result.id,
+          provider: name,
+          query,
+          title: result.title,
+          url: result.url,
+          content: result.snippet,
+          score: result.score,
+          published: result.published,
+          confidence: result.confidence
+        })));
       } catch (error) {
-        console.warn(`Perplexity search failed for "${query}": ${error.message}`);
+        console.warn(`${provider.displayName} search failed for "${query}": ${error.message}`);
       }
     }
     
     return sources;
   }
 
+  /**
+   * Search using Perplexity
+   */
+  async searchPerplexity(queries) {
+    return this.searchProvider('perplexity', queries);
+  }
+
   /**
    * Search using Tavily
    */
   async searchTavily(queries) {
-    if (!this.providers.tavily.enabled) return [];
-    
-    const sources = [];
-    
-    for (const query of queries) {
-      try {
-        const response = await this.externalAPIs.routeToProvider('tavily', {
-          content: query,
-          options: { search_depth: 'advanced' }
-        });
-        
-        if (response.results) {
-          sources.push({
-            provider: 'tavily',
-            query,
-            results: response.results,
-            confidence: 0.8
-          });
-        }
-      } catch (error) {
-        console.warn(`Tavily search failed for "${query}": ${error.message}`);
-      }
-    }
-    
-    return sources;
+    return this.searchProvider('tavily', queries);
   }
 
   /**
    * Search using Exa
    */
   async searchExa(queries) {
-    if (!this.providers.exa.enabled) return [];
-    
-    const sources = [];
-    
-    for (const query of queries) {
-      try {
-        const response = await this.externalAPIs.routeToProvider('exa', {
-          content: query,
-          options: { semantic_search: true }
-        });
-        
-        if (response.semantic_matches) {
-          sources.push({
-            provider: 'exa',
-            query,
-            matches: response.semantic_matches,
-            confidence: 0.85
-          });
-        }
-      } catch (error) {
-        console.warn(`Exa search failed for "${query}": ${error.message}`);
-      }
-    }
-    
-    return sources;
+    return this.searchProvider('exa', queries);
   }
 
   /**
    * Search using SerpAPI (Google Scholar)
    */
   async searchSerpAPI(queries) {
-    if (!this.providers.serpapi.enabled) return [];
-    
-    // Simulated for now
-    return [{
-      provider: 'serpapi',
-      query: queries[0],
-      scholarly: true,
-      papers: [],
-      confidence: 0.95
-    }];
+    return this.searchProvider('serpapi', queries);
+  }
+
+  /**
+   * Search the local document corpus
+   */
+  async searchLocalCorpus(queries) {
+    return this.searchProvider('local', queries);
   }
 
   /**
@@ -379,17 +338,45 @@ class DeepResearchIntegration {
    * Analyze individual source
    */
   async analyzeSource(source) {
-    return {
+    const passages = await this.extractPassages(source);
+    const analyzed = {
       ...source,
+      content: passages.length > 0 ? passages[0].text : source.content,
+      passages
+    };
+    
+    return {
+      ...analyzed,
       analysis: {
         credibility: this.assessCredibility(source),
         relevance: this.assessRelevance(source),
         recency: this.assessRecency(source),
-        citations: this.extractCitations(source)
+        citations: this.extractCitations(analyzed)
       }
     };
   }
 
+  /**
+   * Fetch a source's full text and pull out the passages relevant to its query
+   */
+  async extractPassages(source) {
+    const provider = this.registry && this.registry.get(source.provider);
+    if (!provider || !source.url) return [];
+    
+    try {
+      let document = this.documentCache.get(source.id);
+      if (!document) {
+        document = await provider.fetch(source);
+        this.documentCache.set(source.id, document);
+      }
+      const extracted = await provider.extract(document, { query: source.query, maxPassages: 3 });
+      return extracted.passages;
+    } catch (error) {
+      console.warn(`Could not extract ${source.url}: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Cross-reference findings
    */
@@ -418,16 +405,24 @@ class DeepResearchIntegration {
       }
     }
     
-    // Extract all citations
+    // Extract all citations, one per source ID
+    const citationsById = new Map();
     for (const source of sources) {
       if (source.analysis?.citations) {
         // Ensure citations is an array before spreading
         const citations = Array.isArray(source.analysis.citations) 
           ? source.analysis.citations 
           : [source.analysis.citations];
-        validated.citations.push(...citations);
+        for (const citation of citations) {
+          const existing = citationsById.get(citation.id);
+          if (!existing || citation.confidence > existing.confidence) {
+            citationsById.set(citation.id, citation);
+          }
+        }
       }
     }
+    validated.citations = Array.from(citationsById.values())
+      .sort((a, b) => (b.confidence || 0) - (a.confidence || 0) || a.id.localeCompare(b.id));
     
     return validated;
   }
@@ -466,9 +461,13 @@ class DeepResearchIntegration {
    * Check if two sources are similar
    */
   areSimilar(source1, source2) {
-    // Simplified similarity check
-    return source1.query === source2.query && 
-           source1.provider !== source2.provider;
+    // The same document found by several queries or providers corroborates itself
+    if (source1.id || source2.id) {
+      return source1.id === source2.id;
+    }
+    // Answers without an ID corroborate each other when another provider says much the same
+    return source1.provider !== source2.provider &&
+      this.similarityIndex.compare(source1.content || '', source2.content || '') >= 0.6;
   }
 
   /**
@@ -504,7 +503,8 @@ class DeepResearchIntegration {
         type: 'finding',
         content: s.content || s.query,
         confidence: s.confidence,
-        sources: s.corroboration || 1
+        sources: s.corroboration || 1,
+        source_id: s.id || null
       }));
   }
 
@@ -555,6 +555,7 @@ class DeepResearchIntegration {
       serpapi: 0.95,
       tavily: 0.8,
       exa: 0.85,
+      local: 0.9,
       fallback: 0.5
     };
     
@@ -582,15 +583,30 @@ class DeepResearchIntegration {
    */
   extractCitations(source) {
     if (source.citations) {
-      // Ensure citations is an array
-      return Array.isArray(source.citations) ? source.citations : [source.citations];
+      // Ensure citations is an array; bare URLs get the same IDs as search results
+      const citations = Array.isArray(source.citations) ? source.citations : [source.citations];
+      return citations.map(citation => {
+        const entry = typeof citation === 'string' ? { url: citation } : citation;
+        return {
+          id: entry.id || sourceId(entry.url),
+          title: entry.title || entry.url,
+          url: entry.url,
+          snippet: entry.snippet || source.content || '',
+          provider: source.provider,
+          confidence: entry.confidence || source.confidence
+        };
+      });
     }
     
-    // Generate mock citations for testing
+    // Sources without a location (e.g. the fallback) cannot be cited
+    if (!source.url) return [];
+    
     return [{
-      title: `Source: ${source.query}`,
-      url: `https://example.com/${source.provider}`,
-      snippet: source.content || 'Content excerpt',
+      id: source.id || sourceId(source.url),
+      title: source.title || source.url,
+      url: source.url,
+      snippet: source.content || '',
+      provider: source.provider,
       confidence: source.confidence
     }];
   }
@@ -0,0 +1,314 @@
+/**
+ * Story Dependency Graph
+ * Cycle detection, sprint critical path and blocker impact over story dependencies
+ *
+ * Dependencies come from StoryTracker.addDependency (story IDs), StorySplitter
+ * breakdowns (sibling titles) and sprint backlogs handed to SprintCodeCoordinator.
+ * An edge runs from the dependency to the story waiting on it.
+ */
+
+const { storyTracker } = require('./story-tracker');
+const { pointsOf } = require('./story-event-store');
+
+const DONE_STATUSES = ['completed'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class DependencyGraph {
+  /**
+   * @param {Object} options - { storyTracker }
+   */
+  constructor(options = {}) {
+    this.storyTracker = options.storyTracker || storyTracker;
+    // Used when a story has points but no hour estimate (see StoryTracker.estimateHours)
+    this.hoursPerPoint = 0.5;
+  }
+
+  /**
+   * Graph over plain story objects; dependencies may name story IDs or titles
+   * @returns {Object} { nodes: Map, edges: [{from, to}], missing: [{story_id, dependency}] }
+   */
+  build(stories) {
+    const nodes = new Map();
+    const byTitle = new Map();
+    const splitInto = new Map();
+
+    for (const story of stories) {
+      const id = story.id || story.title;
+      if (story.status === 'split') {
+        splitInto.set(id, story.split_into || []);
+        continue;
+      }
+      const timing = story.timing || {};
+      const points = pointsOf(story);
+      const done = DONE_STATUSES.includes(story.status);
+      nodes.set(id, {
+        id,
+        title: story.title || id,
+        status: story.status || 'not_started',
+        sprint_id: story.sprint_id || null,
+        points,
+        hours: done ? 0 : (timing.estimated_hours || story.estimated_hours || points * this.hoursPerPoint),
+        blocked: story.status === 'blocked',
+        block_reason: story.blocked ? story.blocked.reason : null,
+        dependencies: story.dependencies || []
+      });
+      if (story.title) byTitle.set(story.title, id);
+    }
+
+    // A dependency on a split story waits for all of its parts
+    const resolve = (ref) => {
+      if (nodes.has(ref)) return [ref];
+      if (splitInto.has(ref)) return splitInto.get(ref).flatMap(resolve);
+      if (byTitle.has(ref)) return [byTitle.get(ref)];
+      return [];
+    };
+
+    const edges = [];
+    const missing = [];
+    const seen = new Set();
+    for (const node of nodes.values()) {
+      for (const ref of node.dependencies) {
+        const targets = resolve(ref);
+        if (targets.length === 0) missing.push({ story_id: node.id, dependency: ref });
+        for (const from of targets) {
+          const key = `${from}->${node.id}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          edges.push({ from, to: node.id });
+        }
+      }
+    }
+
+    return { nodes, edges, missing };
+  }
+
+  /**
+   * Graph of every tracked story
+   */
+  buildFromTracker() {
+    return this.build(this.storyTracker.store.getStories().map(document => document.story));
+  }
+
+  predecessors(graph, id) {
+    return graph.edges.filter(edge => edge.to === id).map(edge => edge.from);
+  }
+
+  successors(graph, id) {
+    return graph.edges.filter(edge => edge.from === id).map(edge => edge.to);
+  }
+
+  /**
+   * Every story reachable by following edges from the start story
+   */
+  reachable(graph, startId, next) {
+    const found = new Set();
+    const queue = [startId];
+    while (queue.length > 0) {
+      for (const id of next(graph, queue.shift())) {
+        if (!found.has(id)) {
+          found.add(id);
+          queue.push(id);
+        }
+      }
+    }
+    found.delete(startId);
+    return found;
+  }
+
+  /**
+   * Dependency cycles (strongly connected components), each as a list of story IDs
+   */
+  findCycles(graph) {
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (id) => {
+      index.set(id, counter);
+      low.set(id, counter);
+      counter++;
+      stack.push(id);
+      onStack.add(id);
+
+      for (const next of this.successors(graph, id)) {
+        if (!index.has(next)) {
+          visit(next);
+          low.set(id, Math.min(low.get(id), low.get(next)));
+        } else if (onStack.has(next)) {
+          low.set(id, Math.min(low.get(id), index.get(next)));
+        }
+      }
+
+      if (low.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+        const selfLoop = graph.edges.some(edge => edge.from === id && edge.to === id);
+        if (component.length > 1 || selfLoop) cycles.push(component.reverse());
+      }
+    };
+
+    for (const id of graph.nodes.keys()) {
+      if (!index.has(id)) visit(id);
+    }
+    return cycles;
+  }
+
+  /**
+   * Whether recording "storyId depends on dependsOnId" would close a loop
+   */
+  wouldCreateCycle(storyId, dependsOnId, graph = this.buildFromTracker()) {
+    if (storyId === dependsOnId) return true;
+    const upstream = this.reachable(graph, dependsOnId, (g, id) => this.predecessors(g, id));
+    return upstream.has(storyId);
+  }
+
+  /**
+   * Longest chain of remaining work; stories inside cycles are left out
+   * @returns {Object} { stories, hours, points }
+   */
+  criticalPath(graph, ids = Array.from(graph.nodes.keys())) {
+    const members = new Set(ids);
+    const inDegree = new Map(ids.map(id => [id, 0]));
+    const edges = graph.edges.filter(edge => members.has(edge.from) && members.has(edge.to));
+    edges.forEach(edge => inDegree.set(edge.to, inDegree.get(edge.to) + 1));
+
+    const finish = new Map();
+    const via = new Map();
+    const queue = ids.filter(id => inDegree.get(id) === 0);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const node = graph.nodes.get(id);
+      const start = Math.max(0, ...edges.filter(edge => edge.to === id).map(edge => finish.get(edge.from)));
+      const previous = edges.filter(edge => edge.to === id).find(edge => finish.get(edge.from) === start && start > 0);
+      finish.set(id, start + node.hours);
+      if (previous) via.set(id, previous.from);
+
+      for (const edge of edges.filter(e => e.from === id)) {
+        inDegree.set(edge.to, inDegree.get(edge.to) - 1);
+        if (inDegree.get(edge.to) === 0) queue.push(edge.to);
+      }
+    }
+
+    let end = null;
+    for (const [id, hours] of finish) {
+      if (hours > 0 && (end === null || hours > finish.get(end))) end = id;
+    }
+    if (end === null) return { stories: [], hours: 0, points: 0 };
+
+    const stories = [];
+    for (let id = end; id !== undefined; id = via.get(id)) {
+      if (graph.nodes.get(id).hours > 0) stories.unshift(id);
+    }
+    return {
+      stories,
+      hours: round(finish.get(end)),
+      points: stories.reduce((sum, id) => sum + graph.nodes.get(id).points, 0)
+    };
+  }
+
+  /**
+   * Unfinished stories a story transitively holds up, and whether it is on the critical path
+   */
+  blockerImpact(storyId, graph = this.buildFromTracker(), criticalPath = null) {
+    const node = graph.nodes.get(storyId);
+    if (!node) {
+      return { story_id: storyId, delays: [], delayed_points: 0, on_critical_path: false };
+    }
+
+    const path = criticalPath || this.sprintCriticalPath(graph, node.sprint_id);
+    const delays = Array.from(this.reachable(graph, storyId, (g, id) => this.successors(g, id)))
+      .map(id => graph.nodes.get(id))
+      .filter(dependent => !DONE_STATUSES.includes(dependent.status));
+
+    return {
+      story_id: storyId,
+      title: node.title,
+      reason: node.block_reason,
+      delays: delays.map(dependent => dependent.id),
+      delayed_points: delays.reduce((sum, dependent) => sum + dependent.points, 0),
+      on_critical_path: path.stories.includes(storyId)
+    };
+  }
+
+  /**
+   * Stories of a sprint plus everything they wait on, wherever it is planned
+   */
+  sprintMembers(graph, sprintId) {
+    if (!sprintId) return Array.from(graph.nodes.keys());
+    const members = new Set();
+    for (const node of graph.nodes.values()) {
+      if (node.sprint_id !== sprintId) continue;
+      members.add(node.id);
+      this.reachable(graph, node.id, (g, id) => this.predecessors(g, id)).forEach(id => members.add(id));
+    }
+    return Array.from(members);
+  }
+
+  sprintCriticalPath(graph, sprintId) {
+    return this.criticalPath(graph, this.sprintMembers(graph, sprintId));
+  }
+
+  /**
+   * Cycles, critical path and blocker impact for a set of stories
+   * @param {Array|null} stories - Plain stories; defaults to every tracked story
+   * @param {Object} options - { sprintId }
+   */
+  analyze(stories = null, options = {}) {
+    const graph = stories ? this.build(stories) : this.buildFromTracker();
+    const members = this.sprintMembers(graph, options.sprintId);
+    const memberSet = new Set(members);
+    const criticalPath = this.criticalPath(graph, members);
+    const onPath = new Set(criticalPath.stories);
+
+    return {
+      sprint_id: options.sprintId || null,
+      nodes: members.map(id => {
+        const node = graph.nodes.get(id);
+        return {
+          id,
+          title: node.title,
+          status: node.status,
+          points: node.points,
+          hours: round(node.hours),
+          blocked: node.blocked,
+          external: Boolean(options.sprintId) && node.sprint_id !== options.sprintId,
+          critical: onPath.has(id)
+        };
+      }),
+      edges: graph.edges.filter(edge => memberSet.has(edge.from) && memberSet.has(edge.to)),
+      missing: graph.missing.filter(entry => memberSet.has(entry.story_id)),
+      cycles: this.findCycles(graph).filter(cycle => cycle.some(id => memberSet.has(id))),
+      critical_path: criticalPath,
+      blockers: members
+        .filter(id => graph.nodes.get(id).blocked)
+        .map(id => this.blockerImpact(id, graph, criticalPath))
+    };
+  }
+
+  analyzeSprint(sprintId) {
+    return this.analyze(null, { sprintId });
+  }
+}
+
+// Export singleton instance
+const dependencyGraph = new DependencyGraph();
+
+module.exports = {
+  DependencyGraph,
+  dependencyGraph,
+
+  // Convenience exports
+  analyzeSprint: (sprintId) => dependencyGraph.analyzeSprint(sprintId),
+  blockerImpact: (storyId) => dependencyGraph.blockerImpact(storyId)
+};
@@ -14,6 +14,7 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { lockService } = require('./lock-service');
 
 class DocumentLifecycleManager {
   constructor(projectRoot = null) {
@@ -668,29 +669,31 @@ Details:
    */
   async updateRegistry(documents) {
     try {
-      let registry = {};
-      
-      // Load existing registry
-      if (fsSync.existsSync(this.registryPath)) {
-        const content = await fs.readFile(this.registryPath, 'utf8');
-        registry = JSON.parse(content);
-      }
-      
-      // Update with new documents
-      for (const doc of documents) {
-        registry[doc.fileName] = {
-          path: doc.path,
-          status: doc.status,
-          isFresh: doc.isFresh,
-          lastUpdated: new Date().toISOString()
-        };
-      }
-      
-      // Save updated registry
-      await fs.writeFile(
-        this.registryPath,
-        JSON.stringify(registry, null, 2)
-      );
+      await lockService.withLock(this.registryPath, async () => {
+        let registry = {};
+        
+        // Load existing registry
+        if (fsSync.existsSync(this.registryPath)) {
+          const content = await fs.readFile(this.registryPath, 'utf8');
+          registry = JSON.parse(content);
+        }
+        
+        // Update with new documents
+        for (const doc of documents) {
+          registry[doc.fileName] = {
+            path: doc.path,
+            status: doc.status,
+            isFresh: doc.isFresh,
+            lastUpdated: new Date().toISOString()
+          };
+        }
+        
+        // Save updated registry
+        await fs.writeFile(
+          this.registryPath,
+          JSON.stringify(registry, null, 2)
+        );
+      });
     } catch (error) {
       console.error('Error updating registry:', error);
     }
@@ -10,6 +10,7 @@ const path = require('path');
 const EventEmitter = require('events');
 const DocumentGenerationWrapper = require('./document-generation-wrapper');
 const DocumentQualityValidator = require('./document-quality-validator');
+const { lockService } = require('./lock-service');
 const AtomicDocumentManager = require('./atomic-document-manager');
 
 class DocumentTrackingRecovery extends EventEmitter {
@@ -526,12 +527,7 @@ class DocumentTrackingRecovery extends EventEmitter {
             recoveryAttempts: Array.from(this.recoveryAttempts.entries())
         };
         
-        const dir = path.dirname(this.config.trackingFile);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        fs.writeFileSync(
+        lockService.writeFileSync(
             this.config.trackingFile,
             JSON.stringify(data, null, 2)
         );
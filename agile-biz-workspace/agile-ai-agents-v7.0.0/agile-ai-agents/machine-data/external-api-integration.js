@@ -6,15 +6,20 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { createProvider, MockProvider, PROVIDER_DEFAULTS } = require('./llm-providers');
 
 class ExternalAPIIntegration {
-  constructor() {
+  constructor(options = {}) {
+    // LLM provider adapters keyed like this.providers; injected ones skip the API key check
+    this.adapters = { ...(options.adapters || {}) };
+    this.injectedAdapters = new Set(Object.keys(this.adapters));
     this.providers = {
       gemini: {
         name: 'Google Gemini',
         enabled: false,
         apiKey: null,
-        endpoint: 'https://generativelanguage.googleapis.com/v1',
+        envKey: 'GOOGLE_AI_API_KEY',
+        endpoint: 'https://generativelanguage.googleapis.com/v1beta/openai',
         models: ['gemini-1.5-flash', 'gemini-1.5-pro'],
         status: 'not_configured'
       },
@@ -84,16 +89,23 @@ class ExternalAPIIntegration {
   async checkProvider(providerKey) {
     const provider = this.providers[providerKey];
     const envKey = `${providerKey.toUpperCase()}_API_KEY`;
-    const apiKey = process.env[envKey] || process.env[`${providerKey.toUpperCase()}_AI_API_KEY`];
+    const apiKey = process.env[envKey] ||
+      process.env[`${providerKey.toUpperCase()}_AI_API_KEY`] ||
+      (provider.envKey && process.env[provider.envKey]);
+    const injected = this.injectedAdapters.has(providerKey);
     
-    if (!apiKey || apiKey.includes('your_') || apiKey.includes('_here')) {
+    if (!injected && (!apiKey || apiKey.includes('your_') || apiKey.includes('_here'))) {
       provider.status = 'not_configured';
       return;
     }
     
-    provider.apiKey = apiKey;
+    provider.apiKey = apiKey || null;
     provider.enabled = true;
     
+    if (!injected) {
+      this.adapters[providerKey] = this.createAdapter(providerKey, provider);
+    }
+    
     // Test connection (simulated for now)
     const connected = await this.testProviderConnection(providerKey);
     
@@ -110,22 +122,71 @@ class ExternalAPIIntegration {
    * Test provider connection
    */
   async testProviderConnection(providerKey) {
-    // In production, would make actual API call to test
-    // For now, simulate based on environment
+    const adapter = this.adapters[providerKey];
+    if (adapter) {
+      return adapter.healthCheck();
+    }
+    
+    // Search providers (Tavily, Exa) have no adapter yet
+    return process.env.SIMULATE_EXTERNAL_APIS === 'true';
+  }
+
+  /**
+   * Create the LLM adapter for a provider; search-only providers get none
+   */
+  createAdapter(providerKey, provider) {
+    if (!PROVIDER_DEFAULTS[providerKey]) {
+      return null;
+    }
     
     if (process.env.SIMULATE_EXTERNAL_APIS === 'true') {
-      return true;
+      return new MockProvider({
+        name: providerKey,
+        latency: { min: 500, max: 1500 },
+        extras: providerKey === 'perplexity'
+          ? { citations: ['https://example.com/simulated-source'] }
+          : {}
+      });
     }
     
-    // Actual connection test would go here
-    // try {
-    //   const response = await fetch(`${provider.endpoint}/models`);
-    //   return response.ok;
-    // } catch {
-    //   return false;
-    // }
+    return createProvider(providerKey, {
+      apiKey: provider.apiKey,
+      endpoint: provider.endpoint
+    });
+  }
+
+  /**
+   * Send a request through a provider adapter and normalize the result
+   */
+  async callAdapter(providerKey, model, content, options = {}) {
+    const adapter = this.adapters[providerKey];
+    if (!adapter) {
+      throw new Error(`${this.providers[providerKey].name} has no LLM adapter`);
+    }
+    
+    const result = await adapter.complete({
+      model,
+      content,
+      system: options.system,
+      maxTokens: options.maxTokens,
+      temperature: options.temperature,
+      timeout: options.timeout
+    });
     
-    return false;
+    const response = {
+      provider: providerKey,
+      model,
+      content: result.content,
+      tokens: result.usage.totalTokens,
+      usage: result.usage,
+      cost: this.calculateCost(providerKey, model, result.usage.totalTokens),
+      latency: result.latency
+    };
+    
+    this.metrics.totalCost[providerKey] = 
+      (this.metrics.totalCost[providerKey] || 0) + response.cost;
+    
+    return { response, raw: result.raw || {} };
   }
 
   /**
@@ -191,42 +252,31 @@ class ExternalAPIIntegration {
    * Call Gemini API
    */
   async callGemini(model, content, options) {
-    // Simulated for testing
-    if (process.env.SIMULATE_EXTERNAL_APIS === 'true') {
-      return this.simulateResponse('gemini', model, content);
-    }
-    
-    // Actual Gemini API call would go here
-    throw new Error('Gemini API not implemented yet');
+    const { response } = await this.callAdapter('gemini', model, content, options);
+    return response;
   }
 
   /**
    * Call OpenAI API
    */
   async callOpenAI(model, content, options) {
-    // Simulated for testing
-    if (process.env.SIMULATE_EXTERNAL_APIS === 'true') {
-      return this.simulateResponse('openai', model, content);
-    }
-    
-    // Actual OpenAI API call would go here
-    throw new Error('OpenAI API not implemented yet');
+    const { response } = await this.callAdapter('openai', model, content, options);
+    return response;
   }
 
   /**
    * Call Perplexity API
    */
   async callPerplexity(model, content, options) {
-    // Simulated for testing
-    if (process.env.SIMULATE_EXTERNAL_APIS === 'true') {
-      return this.simulateResponse('perplexity', model, content, {
-        citations: true,
-        sources: Math.floor(Math.random() * 10) + 5
-      });
-    }
+    const { response, raw } = await this.callAdapter('perplexity', model, content, options);
     
-    // Actual Perplexity API call would go here
-    throw new Error('Perplexity API not implemented yet');
+    // Perplexity returns source URLs alongside the completion
+    const citations = raw.citations || [];
+    return {
+      ...response,
+      citations,
+      sources: citations.length
+    };
   }
 
   /**
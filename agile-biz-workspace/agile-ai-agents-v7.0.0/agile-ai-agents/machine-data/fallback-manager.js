@@ -9,8 +9,10 @@ const path = require('path');
 const EventEmitter = require('events');
 
 class FallbackManager extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    // Optional provider registry (llm-providers/) used for real health checks
+    this.providers = options.providers || null;
     this.services = new Map();
     this.fallbackRules = new Map();
     this.healthChecks = new Map();
@@ -174,11 +176,12 @@ class FallbackManager extends EventEmitter {
       const isHealthy = await this.pingService(service);
       
       if (isHealthy) {
+        const wasUnhealthy = service.status === 'unhealthy';
         service.status = 'healthy';
         health.consecutive_failures = 0;
         
         // Attempt recovery if was down
-        if (service.status === 'unhealthy') {
+        if (wasUnhealthy) {
           await this.attemptRecovery(serviceName);
         }
       } else {
@@ -204,7 +207,12 @@ class FallbackManager extends EventEmitter {
    * Ping service to check if it's alive
    */
   async pingService(service) {
-    // Simulate ping (in production, would make actual health check)
+    const provider = this.findProvider(service);
+    if (provider) {
+      return provider.healthCheck(service.name);
+    }
+    
+    // Simulate ping when no provider adapter serves this service
     if (process.env.SIMULATE_SERVICE_HEALTH === 'true') {
       // Simulate occasional failures for testing
       return Math.random() > 0.1;
@@ -214,6 +222,15 @@ class FallbackManager extends EventEmitter {
     return true;
   }
 
+  /**
+   * Provider adapter for a service: by model name first, then by provider key
+   */
+  findProvider(service) {
+    if (!this.providers) return null;
+    return this.providers.resolve(service.name) ||
+      (service.provider ? this.providers.get(service.provider) : null);
+  }
+
   /**
    * Trigger fallback for failed service
    */
@@ -306,6 +323,12 @@ class FallbackManager extends EventEmitter {
    * Reconnect to service
    */
   async reconnectService(serviceName) {
+    const service = this.services.get(serviceName);
+    const provider = service && this.findProvider(service);
+    if (provider) {
+      return provider.healthCheck(serviceName);
+    }
+    
     // Simulate reconnection attempt
     if (process.env.SIMULATE_SERVICE_HEALTH === 'true') {
       // 50% chance of recovery
@@ -0,0 +1,294 @@
+/**
+ * Flow Metrics
+ * WIP limits, cumulative flow, cycle time and throughput derived from the story event log
+ *
+ * Limits live in the `flow` section of project-state/configuration.json:
+ *   wip_limits.enforcement  'warn' logs breaches, 'block' refuses the status change
+ *   wip_limits.per_status   { in_progress: 5, ... } stories allowed in each status
+ *   wip_limits.per_agent    { default: 3, coder_agent: 4 } active stories per assigned agent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { storyTracker } = require('./story-tracker');
+const { StoryEventError, pointsOf } = require('./story-event-store');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Throughput buckets narrower than this, or more of them than this, are widened to fit
+const MIN_BUCKET_HOURS = 0.25;
+const MAX_BUCKETS = 500;
+
+// Board columns, left to right, for the cumulative flow diagram
+const FLOW_STATUSES = ['not_started', 'in_progress', 'testing', 'review', 'blocked', 'completed'];
+
+const DEFAULT_FLOW_SETTINGS = {
+  wip_limits: {
+    enforcement: 'warn',
+    // A blocked story still occupies its agent
+    agent_statuses: ['in_progress', 'testing', 'review', 'blocked'],
+    per_status: {},
+    per_agent: {}
+  },
+  throughput_bucket_hours: 1
+};
+
+class WipLimitError extends StoryEventError {
+  constructor(message, storyId, breaches) {
+    super(message, storyId);
+    this.name = 'WipLimitError';
+    this.breaches = breaches;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+class FlowMetrics {
+  /**
+   * @param {Object} options - { storyTracker, projectRoot, settings, now: () => Date }
+   */
+  constructor(options = {}) {
+    this.storyTracker = options.storyTracker || storyTracker;
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+    // Explicit settings win over project-state/configuration.json
+    this.settings = options.settings || null;
+    this.now = options.now || (() => new Date());
+  }
+
+  get store() {
+    return this.storyTracker.store;
+  }
+
+  /**
+   * Read the flow section of project-state/configuration.json
+   */
+  loadSettings() {
+    let configured = this.settings;
+    if (!configured) {
+      const configPath = path.join(this.projectRoot, 'project-state', 'configuration.json');
+      try {
+        configured = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')).flow || {} : {};
+      } catch (error) {
+        console.warn(`⚠️  Could not read flow settings: ${error.message}`);
+        configured = {};
+      }
+    }
+    return {
+      ...DEFAULT_FLOW_SETTINGS,
+      ...configured,
+      wip_limits: { ...DEFAULT_FLOW_SETTINGS.wip_limits, ...(configured.wip_limits || {}) }
+    };
+  }
+
+  /**
+   * Current WIP per status and per agent against the configured limits
+   */
+  getWip() {
+    const limits = this.loadSettings().wip_limits;
+    const stories = this.store.getStories(story => story.status !== 'split').map(document => document.story);
+
+    const byStatus = {};
+    const byAgent = {};
+    for (const story of stories) {
+      byStatus[story.status] = (byStatus[story.status] || 0) + 1;
+      if (!limits.agent_statuses.includes(story.status)) continue;
+      for (const agent of story.assigned_agents || []) {
+        byAgent[agent] = (byAgent[agent] || 0) + 1;
+      }
+    }
+
+    return {
+      enforcement: limits.enforcement,
+      per_status: Object.entries(limits.per_status)
+        .map(([status, limit]) => ({ status, count: byStatus[status] || 0, limit })),
+      per_agent: Object.keys(byAgent).sort()
+        .map(agent => ({ agent, count: byAgent[agent], limit: this.agentLimit(limits, agent) })),
+      by_status: byStatus
+    };
+  }
+
+  agentLimit(limits, agent) {
+    const limit = limits.per_agent[agent] !== undefined ? limits.per_agent[agent] : limits.per_agent.default;
+    return limit === undefined ? null : limit;
+  }
+
+  /**
+   * Limits the story would exceed by moving to newStatus
+   * @returns {Object} { enforcement, breaches: [{ scope, key, count, limit }] }
+   */
+  checkWipLimits(storyId, newStatus) {
+    const limits = this.loadSettings().wip_limits;
+    const others = this.store.getStories(story => story.id !== storyId && story.status !== 'split')
+      .map(document => document.story);
+    const story = this.storyTracker.requireStory(storyId).story;
+    const breaches = [];
+
+    const statusLimit = limits.per_status[newStatus];
+    if (statusLimit !== undefined && story.status !== newStatus) {
+      const count = others.filter(other => other.status === newStatus).length + 1;
+      if (count > statusLimit) breaches.push({ scope: 'status', key: newStatus, count, limit: statusLimit });
+    }
+
+    const joinsAgentWip = limits.agent_statuses.includes(newStatus) && !limits.agent_statuses.includes(story.status);
+    if (joinsAgentWip) {
+      for (const agent of story.assigned_agents || []) {
+        const limit = this.agentLimit(limits, agent);
+        if (limit === null) continue;
+        const count = others.filter(other =>
+          limits.agent_statuses.includes(other.status) && (other.assigned_agents || []).includes(agent)).length + 1;
+        if (count > limit) breaches.push({ scope: 'agent', key: agent, count, limit });
+      }
+    }
+
+    return { enforcement: limits.enforcement, breaches };
+  }
+
+  /**
+   * Stories per status after every status change, for a cumulative flow diagram
+   * @param {Object} options - { maxPoints }
+   * @returns {Object} { statuses, points: [{ timestamp, counts }] }
+   */
+  cumulativeFlow(sprintId, options = {}) {
+    const maxPoints = options.maxPoints || 100;
+    const state = new Map();
+    const points = [];
+
+    for (const event of this.store.getEvents()) {
+      this.store.apply(state, event);
+      if (!['created', 'status_changed', 'blocked', 'unblocked', 'split', 'sprint_assigned'].includes(event.type)) continue;
+
+      const counts = Object.fromEntries(FLOW_STATUSES.map(status => [status, 0]));
+      let members = 0;
+      for (const { story } of state.values()) {
+        if (story.sprint_id !== sprintId || story.status === 'split') continue;
+        counts[story.status] = (counts[story.status] || 0) + 1;
+        members++;
+      }
+      if (members === 0 && points.length === 0) continue;
+
+      // Events sharing a timestamp collapse into one point
+      const last = points[points.length - 1];
+      if (last && last.timestamp === event.timestamp) last.counts = counts;
+      else points.push({ timestamp: event.timestamp, counts });
+    }
+
+    // Keep the first and last points and an even spread in between
+    const sampled = points.length <= maxPoints
+      ? points
+      : Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * (points.length - 1) / (maxPoints - 1))]);
+
+    return { sprint_id: sprintId, statuses: FLOW_STATUSES, points: sampled };
+  }
+
+  /**
+   * Completed stories' cycle time (first start to completion), for a scatterplot
+   */
+  cycleTimes(sprintId) {
+    const points = this.storyTracker.getSprintStories(sprintId)
+      .map(document => document.story)
+      .filter(story => story.status === 'completed' && story.timing.start_time && story.timing.end_time)
+      .map(story => ({
+        story_id: story.id,
+        title: story.title,
+        points: pointsOf(story),
+        completed_at: story.timing.end_time,
+        cycle_hours: round((new Date(story.timing.end_time) - new Date(story.timing.start_time)) / HOUR_MS),
+        worked_hours: story.timing.actual_hours,
+        blocked_hours: story.timing.blocked_hours
+      }))
+      .sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+
+    const sorted = points.map(point => point.cycle_hours).sort((a, b) => a - b);
+    return {
+      sprint_id: sprintId,
+      points,
+      percentiles: { p50: percentile(sorted, 0.5), p85: percentile(sorted, 0.85), p95: percentile(sorted, 0.95) }
+    };
+  }
+
+  /**
+   * Stories completed per time bucket, and how often each count occurred
+   * @param {Object} options - { bucketHours, endDate: sprint end, caps the last bucket }
+   */
+  throughput(sprintId, options = {}) {
+    let bucketHours = Math.max(MIN_BUCKET_HOURS, options.bucketHours || this.loadSettings().throughput_bucket_hours);
+    const stories = this.storyTracker.getSprintStories(sprintId).map(document => document.story);
+    const completed = stories.filter(story => story.status === 'completed' && story.timing.end_time);
+    const starts = stories.map(story => story.timing.start_time).filter(Boolean).map(time => new Date(time).getTime());
+
+    if (completed.length === 0 || starts.length === 0) {
+      return { sprint_id: sprintId, bucket_hours: bucketHours, buckets: [], histogram: [], average: 0 };
+    }
+
+    const origin = Math.min(...starts);
+    const lastCompletion = Math.max(...completed.map(story => new Date(story.timing.end_time).getTime()));
+    // A finished sprint stops at its last completion; an open one runs to now, but not past its end date
+    const open = stories.some(story => story.status !== 'completed' && story.status !== 'split');
+    let end = open ? Math.max(this.now().getTime(), lastCompletion) : lastCompletion;
+    if (options.endDate) end = Math.min(end, Math.max(lastCompletion, new Date(options.endDate).getTime()));
+
+    if ((end - origin) / (bucketHours * HOUR_MS) > MAX_BUCKETS) {
+      bucketHours = Math.ceil((end - origin) / MAX_BUCKETS / HOUR_MS);
+    }
+    const bucketMs = bucketHours * HOUR_MS;
+    const buckets = Array.from({ length: Math.max(1, Math.ceil((end - origin) / bucketMs)) }, (_, i) => ({
+      start: new Date(origin + i * bucketMs).toISOString(),
+      end: new Date(origin + (i + 1) * bucketMs).toISOString(),
+      completed: 0,
+      points: 0
+    }));
+    for (const story of completed) {
+      const index = Math.min(buckets.length - 1, Math.floor((new Date(story.timing.end_time).getTime() - origin) / bucketMs));
+      buckets[index].completed++;
+      buckets[index].points += pointsOf(story);
+    }
+
+    const frequency = new Map();
+    buckets.forEach(bucket => frequency.set(bucket.completed, (frequency.get(bucket.completed) || 0) + 1));
+    return {
+      sprint_id: sprintId,
+      bucket_hours: bucketHours,
+      buckets,
+      histogram: Array.from(frequency, ([count, occurrences]) => ({ completed: count, buckets: occurrences }))
+        .sort((a, b) => a.completed - b.completed),
+      average: round(completed.length / buckets.length)
+    };
+  }
+
+  /**
+   * Everything the dashboard and /sprint-status show for one sprint
+   */
+  getFlowReport(sprintId, options = {}) {
+    return {
+      sprint_id: sprintId,
+      wip: this.getWip(),
+      cumulative_flow: this.cumulativeFlow(sprintId, options),
+      cycle_time: this.cycleTimes(sprintId),
+      throughput: this.throughput(sprintId, options)
+    };
+  }
+}
+
+// Export singleton instance
+const flowMetrics = new FlowMetrics();
+
+module.exports = {
+  FlowMetrics,
+  WipLimitError,
+  flowMetrics,
+  FLOW_STATUSES,
+  DEFAULT_FLOW_SETTINGS,
+  MIN_BUCKET_HOURS,
+  MAX_BUCKETS,
+
+  // Convenience exports
+  getFlowReport: (sprintId, options) => flowMetrics.getFlowReport(sprintId, options),
+  checkWipLimits: (storyId, newStatus) => flowMetrics.checkWipLimits(storyId, newStatus)
+};
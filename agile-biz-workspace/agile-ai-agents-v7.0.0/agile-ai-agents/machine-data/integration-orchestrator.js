@@ -11,8 +11,8 @@ const path = require('path');
 
 class IntegrationOrchestrator {
   constructor() {
-    this.orchestrator = new SubAgentOrchestrator();
     this.tokenManager = new TokenBudgetManager();
+    this.orchestrator = new SubAgentOrchestrator({ tokenManager: this.tokenManager });
     this.registryManager = new DocumentRegistryManager();
     this.integrationBasePath = path.join(__dirname, '..', 'project-documents', 'implementation');
   }
@@ -0,0 +1,135 @@
+/**
+ * Anthropic Provider
+ * Messages API adapter for Claude models
+ */
+
+const BaseProvider = require('./base-provider');
+const { ProviderUnavailableError } = require('./provider-errors');
+
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Router model names used in the research level configs -> API model ids
+const MODEL_ALIASES = {
+  'claude-3-haiku': 'claude-3-haiku-20240307',
+  'claude-3-sonnet': 'claude-3-sonnet-20240229',
+  'claude-3-opus': 'claude-3-opus-20240229',
+  'claude-sonnet-4': 'claude-sonnet-4-20250514',
+  'claude-opus-4': 'claude-opus-4-20250514'
+};
+
+class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      name: 'anthropic',
+      endpoint: 'https://api.anthropic.com/v1',
+      modelAliases: MODEL_ALIASES,
+      ...options
+    });
+  }
+
+  supportsModel(model) {
+    return super.supportsModel(model) || /^claude-/.test(model);
+  }
+
+  buildBody(request, stream) {
+    // The Messages API takes the system prompt separately from the turns
+    const messages = this.normalizeMessages(request).filter(m => m.role !== 'system');
+    const body = {
+      model: this.resolveModel(request.model),
+      messages,
+      max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+      stream
+    };
+
+    if (request.system) body.system = request.system;
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+
+    return body;
+  }
+
+  buildHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': API_VERSION
+    };
+  }
+
+  async complete(request) {
+    const started = Date.now();
+    const response = await this.post(
+      `${this.endpoint}/messages`,
+      this.buildBody(request, false),
+      this.buildHeaders(),
+      request
+    );
+    const data = await response.json();
+
+    if (!Array.isArray(data.content)) {
+      throw new ProviderUnavailableError(`${this.name}: response contained no content`, {
+        provider: this.name,
+        model: request.model
+      });
+    }
+
+    const text = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return this.buildResponse(request.model, text, {
+      inputTokens: data.usage ? data.usage.input_tokens : 0,
+      outputTokens: data.usage ? data.usage.output_tokens : 0
+    }, {
+      finishReason: data.stop_reason,
+      latency: Date.now() - started,
+      raw: data
+    });
+  }
+
+  async *stream(request) {
+    const started = Date.now();
+    const response = await this.post(
+      `${this.endpoint}/messages`,
+      this.buildBody(request, true),
+      this.buildHeaders(),
+      request
+    );
+
+    let content = '';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let finishReason = null;
+
+    for await (const { event, data } of this.readEvents(response)) {
+      const payload = JSON.parse(data);
+
+      if (event === 'message_start' && payload.message.usage) {
+        usage.inputTokens = payload.message.usage.input_tokens || 0;
+      } else if (event === 'content_block_delta' && payload.delta.type === 'text_delta') {
+        content += payload.delta.text;
+        yield { type: 'delta', text: payload.delta.text };
+      } else if (event === 'message_delta') {
+        if (payload.usage) usage.outputTokens = payload.usage.output_tokens || 0;
+        if (payload.delta && payload.delta.stop_reason) finishReason = payload.delta.stop_reason;
+      } else if (event === 'error') {
+        throw new ProviderUnavailableError(`${this.name}: ${payload.error ? payload.error.message : 'stream error'}`, {
+          provider: this.name,
+          model: request.model
+        });
+      } else if (event === 'message_stop') {
+        break;
+      }
+    }
+
+    yield {
+      type: 'done',
+      response: this.buildResponse(request.model, content, usage, {
+        finishReason,
+        latency: Date.now() - started
+      })
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
+module.exports.MODEL_ALIASES = MODEL_ALIASES;
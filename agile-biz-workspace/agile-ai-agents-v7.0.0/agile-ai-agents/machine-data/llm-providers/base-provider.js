@@ -0,0 +1,206 @@
+/**
+ * Base LLM Provider
+ * Adapter contract shared by every provider the LLM router can execute against
+ *
+ * Request:  { model, content | messages, system, maxTokens, temperature, timeout }
+ * Response: { provider, model, content, usage: { inputTokens, outputTokens, totalTokens },
+ *             finishReason, latency, raw }
+ * Stream:   async iterable of { type: 'delta', text } events, ending with { type: 'done', response }
+ * Health:   healthCheck(model) resolves to true when the provider can serve the model
+ * Errors:   always an LLMProviderError subclass (see provider-errors.js)
+ */
+
+const {
+  LLMProviderError,
+  ProviderRateLimitError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  errorFromResponse
+} = require('./provider-errors');
+
+const DEFAULT_TIMEOUT = 60000;
+
+class BaseProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.apiKey = options.apiKey || null;
+    this.endpoint = options.endpoint || null;
+    // Model names this provider serves; '*' accepts any model
+    this.models = options.models || [];
+    // Router model names -> API model ids
+    this.modelAliases = options.modelAliases || {};
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  supportsModel(model) {
+    return this.models.includes('*') ||
+      this.models.includes(model) ||
+      Object.prototype.hasOwnProperty.call(this.modelAliases, model);
+  }
+
+  resolveModel(model) {
+    return this.modelAliases[model] || model;
+  }
+
+  /**
+   * Send a request and wait for the full response
+   */
+  async complete(request) {
+    throw new LLMProviderError(`${this.name} does not implement complete()`, {
+      provider: this.name,
+      retryable: false
+    });
+  }
+
+  /**
+   * Stream a response; providers without native streaming emit one delta
+   */
+  async *stream(request) {
+    const response = await this.complete(request);
+    yield { type: 'delta', text: response.content };
+    yield { type: 'done', response };
+  }
+
+  /**
+   * Cheap reachability check used by the fallback manager
+   */
+  async healthCheck(model) {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Turn { content } or { messages } into a chat message list
+   */
+  normalizeMessages(request) {
+    if (Array.isArray(request.messages) && request.messages.length > 0) {
+      return request.messages;
+    }
+    const content = typeof request.content === 'string'
+      ? request.content
+      : JSON.stringify(request.content);
+    return [{ role: 'user', content }];
+  }
+
+  buildResponse(model, content, usage, extras = {}) {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+
+    return {
+      provider: this.name,
+      model,
+      content,
+      usage: {
+        inputTokens,
+        outputTokens,
+        totalTokens: inputTokens + outputTokens
+      },
+      finishReason: extras.finishReason || null,
+      latency: extras.latency || 0,
+      raw: extras.raw || null
+    };
+  }
+
+  /**
+   * POST JSON with a timeout, mapping HTTP and network failures to provider errors
+   */
+  async post(url, body, headers, request) {
+    if (typeof this.fetch !== 'function') {
+      throw new ProviderUnavailableError(`${this.name}: fetch is not available (Node.js 18+ required)`, {
+        provider: this.name,
+        model: request.model,
+        retryable: false
+      });
+    }
+
+    const timeout = request.timeout || this.timeout;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await this.fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorBody = await this.readErrorBody(response);
+        const error = errorFromResponse(response.status, errorBody, {
+          provider: this.name,
+          model: request.model
+        });
+        const retryAfter = response.headers && response.headers.get('retry-after');
+        if (retryAfter && error instanceof ProviderRateLimitError) {
+          error.retryAfter = Number(retryAfter) * 1000;
+        }
+        throw error;
+      }
+
+      return response;
+    } catch (error) {
+      if (error instanceof LLMProviderError) throw error;
+      if (error.name === 'AbortError') {
+        throw new ProviderTimeoutError(`${this.name}: request timed out after ${timeout}ms`, {
+          provider: this.name,
+          model: request.model
+        });
+      }
+      throw new ProviderUnavailableError(`${this.name}: ${error.message}`, {
+        provider: this.name,
+        model: request.model,
+        cause: error
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async readErrorBody(response) {
+    const text = await response.text().catch(() => '');
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Parse a server-sent events body into { event, data } records
+   */
+  async *readEvents(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const record = this.parseEventBlock(block);
+        if (record) yield record;
+      }
+    }
+
+    const last = this.parseEventBlock(buffer);
+    if (last) yield last;
+  }
+
+  parseEventBlock(block) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of block.replace(/\r/g, '').split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,132 @@
+/**
+ * LLM Provider Registry
+ * Maps router model names to the provider adapter that executes them
+ */
+
+const BaseProvider = require('./base-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const MockProvider = require('./mock-provider');
+const errors = require('./provider-errors');
+
+// Built-in providers: adapter class, API key env vars, and the models each serves
+const PROVIDER_DEFAULTS = {
+  anthropic: {
+    Adapter: AnthropicProvider,
+    envKeys: ['ANTHROPIC_API_KEY'],
+    options: {}
+  },
+  openai: {
+    Adapter: OpenAICompatibleProvider,
+    envKeys: ['OPENAI_API_KEY'],
+    endpointEnv: 'OPENAI_BASE_URL',
+    options: {
+      endpoint: 'https://api.openai.com/v1',
+      models: ['gpt-3.5-turbo', 'gpt-4-turbo', 'gpt-4o']
+    }
+  },
+  gemini: {
+    Adapter: OpenAICompatibleProvider,
+    envKeys: ['GOOGLE_AI_API_KEY', 'GEMINI_API_KEY'],
+    options: {
+      endpoint: 'https://generativelanguage.googleapis.com/v1beta/openai',
+      models: ['gemini-1.5-flash', 'gemini-1.5-pro']
+    }
+  },
+  perplexity: {
+    Adapter: OpenAICompatibleProvider,
+    envKeys: ['PERPLEXITY_API_KEY'],
+    options: {
+      endpoint: 'https://api.perplexity.ai',
+      models: ['sonar', 'sonar-pro'],
+      modelAliases: {
+        'perplexity-sonar': 'sonar',
+        'perplexity-sonar-pro': 'sonar-pro'
+      }
+    }
+  }
+};
+
+class ProviderRegistry {
+  constructor(providers = []) {
+    this.providers = new Map();
+    providers.forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * First registered provider that serves the model
+   */
+  resolve(model) {
+    return this.list().find(provider => provider.supportsModel(model)) || null;
+  }
+}
+
+function isPlaceholderKey(apiKey) {
+  return !apiKey || apiKey.includes('your_') || apiKey.includes('_here');
+}
+
+/**
+ * Build one of the built-in adapters by provider key
+ */
+function createProvider(key, options = {}) {
+  const defaults = PROVIDER_DEFAULTS[key];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider: ${key}`);
+  }
+  return new defaults.Adapter({ name: key, ...defaults.options, ...options });
+}
+
+/**
+ * Registry for every provider with an API key in the environment.
+ * LLM_PROVIDER=mock or SIMULATE_EXTERNAL_APIS=true routes all models to the mock provider.
+ */
+function createProviderRegistry(env = process.env) {
+  const registry = new ProviderRegistry();
+
+  if (env.LLM_PROVIDER === 'mock' || env.SIMULATE_EXTERNAL_APIS === 'true') {
+    return registry.register(new MockProvider({ latency: 100 }));
+  }
+
+  for (const [key, defaults] of Object.entries(PROVIDER_DEFAULTS)) {
+    const apiKey = defaults.envKeys.map(name => env[name]).find(value => !isPlaceholderKey(value));
+    if (!apiKey) continue;
+
+    const options = { apiKey };
+    if (defaults.endpointEnv && env[defaults.endpointEnv]) {
+      options.endpoint = env[defaults.endpointEnv];
+    }
+    registry.register(createProvider(key, options));
+  }
+
+  return registry;
+}
+
+module.exports = {
+  ProviderRegistry,
+  createProvider,
+  createProviderRegistry,
+  isPlaceholderKey,
+  PROVIDER_DEFAULTS,
+  BaseProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  MockProvider,
+  ...errors
+};
@@ -0,0 +1,154 @@
+/**
+ * Mock Provider
+ * In-process provider with configurable latency and failure injection
+ * Lets the routing and fallback cascade run deterministically without network access
+ */
+
+const BaseProvider = require('./base-provider');
+const {
+  ProviderAuthError,
+  ProviderRateLimitError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  ProviderRequestError
+} = require('./provider-errors');
+
+const FAILURE_TYPES = {
+  unavailable: ProviderUnavailableError,
+  rate_limit: ProviderRateLimitError,
+  timeout: ProviderTimeoutError,
+  auth: ProviderAuthError,
+  request: ProviderRequestError
+};
+
+class MockProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ name: 'mock', models: ['*'], ...options });
+
+    // Milliseconds, or { min, max } for jittered latency
+    this.latency = options.latency || 0;
+    // Probability (0-1) that any call fails with 'unavailable'
+    this.failureRate = options.failureRate || 0;
+    // Inject a seeded generator to make latency jitter and failureRate reproducible
+    this.random = options.random || Math.random;
+    // (request) => string | { content, usage } to script responses
+    this.respond = options.respond || null;
+    // Merged into response.raw, e.g. { citations: [...] } for search-style providers
+    this.extras = options.extras || {};
+
+    this.failures = new Map(Object.entries(options.failures || {}));
+    this.queuedFailures = [];
+    this.calls = [];
+  }
+
+  /**
+   * Make every call for a model fail until recoverModel() is called
+   */
+  failModel(model, type = 'unavailable') {
+    this.failures.set(model, type);
+    return this;
+  }
+
+  recoverModel(model) {
+    this.failures.delete(model);
+    return this;
+  }
+
+  /**
+   * Fail the next `count` calls regardless of model
+   */
+  failNext(count = 1, type = 'unavailable') {
+    for (let i = 0; i < count; i++) {
+      this.queuedFailures.push(type);
+    }
+    return this;
+  }
+
+  reset() {
+    this.failures.clear();
+    this.queuedFailures = [];
+    this.calls = [];
+  }
+
+  async healthCheck(model) {
+    if (model) {
+      return !this.failures.has(model);
+    }
+    return !this.failures.has('*');
+  }
+
+  async complete(request) {
+    const started = Date.now();
+    this.calls.push({
+      model: request.model,
+      messages: this.normalizeMessages(request),
+      at: new Date(started).toISOString()
+    });
+
+    await this.delay();
+    this.throwInjectedFailure(request);
+
+    const scripted = this.respond ? await this.respond(request) : null;
+    const content = typeof scripted === 'string'
+      ? scripted
+      : (scripted && scripted.content) || `Processed by ${request.model} via ${this.name}`;
+    const prompt = this.normalizeMessages(request).map(m => m.content).join('\n');
+
+    const usage = (scripted && scripted.usage) || {
+      inputTokens: estimateTokens(prompt),
+      outputTokens: estimateTokens(content)
+    };
+
+    return this.buildResponse(request.model, content, usage, {
+      finishReason: 'stop',
+      latency: Date.now() - started,
+      raw: { mock: true, ...this.extras }
+    });
+  }
+
+  async *stream(request) {
+    const response = await this.complete(request);
+
+    // Word-sized deltas so stream consumers see more than one chunk
+    for (const text of response.content.match(/\S+\s*/g) || []) {
+      yield { type: 'delta', text };
+    }
+    yield { type: 'done', response };
+  }
+
+  throwInjectedFailure(request) {
+    let type = this.queuedFailures.shift() ||
+      this.failures.get(request.model) ||
+      this.failures.get('*');
+
+    if (!type && this.failureRate > 0 && this.random() < this.failureRate) {
+      type = 'unavailable';
+    }
+    if (!type) return;
+
+    if (type instanceof Error) throw type;
+
+    const ErrorClass = FAILURE_TYPES[type] || ProviderUnavailableError;
+    throw new ErrorClass(`${request.model} temporarily unavailable (${type})`, {
+      provider: this.name,
+      model: request.model
+    });
+  }
+
+  delay() {
+    const ms = typeof this.latency === 'number'
+      ? this.latency
+      : this.latency.min + Math.floor(this.random() * (this.latency.max - this.latency.min));
+
+    if (ms <= 0) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Rough 4-characters-per-token estimate; good enough for offline usage numbers
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+module.exports = MockProvider;
+module.exports.FAILURE_TYPES = FAILURE_TYPES;
@@ -0,0 +1,118 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat Completions adapter for OpenAI and the services that mirror its API
+ * (Gemini's OpenAI endpoint, Perplexity, local gateways)
+ */
+
+const BaseProvider = require('./base-provider');
+const { ProviderUnavailableError } = require('./provider-errors');
+
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openai',
+      endpoint: 'https://api.openai.com/v1',
+      ...options
+    });
+    this.headers = options.headers || {};
+  }
+
+  buildBody(request, stream) {
+    const messages = this.normalizeMessages(request);
+    const body = {
+      model: this.resolveModel(request.model),
+      messages: request.system
+        ? [{ role: 'system', content: request.system }, ...messages]
+        : messages,
+      stream
+    };
+
+    if (request.maxTokens) body.max_tokens = request.maxTokens;
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    // Ask for a final usage chunk so streamed calls still report tokens
+    if (stream) body.stream_options = { include_usage: true };
+
+    return body;
+  }
+
+  buildHeaders() {
+    return {
+      authorization: `Bearer ${this.apiKey}`,
+      ...this.headers
+    };
+  }
+
+  async complete(request) {
+    const started = Date.now();
+    const response = await this.post(
+      `${this.endpoint}/chat/completions`,
+      this.buildBody(request, false),
+      this.buildHeaders(),
+      request
+    );
+    const data = await response.json();
+    const choice = (data.choices || [])[0];
+
+    if (!choice) {
+      throw new ProviderUnavailableError(`${this.name}: response contained no choices`, {
+        provider: this.name,
+        model: request.model
+      });
+    }
+
+    return this.buildResponse(request.model, choice.message ? choice.message.content : '', {
+      inputTokens: data.usage ? data.usage.prompt_tokens : 0,
+      outputTokens: data.usage ? data.usage.completion_tokens : 0
+    }, {
+      finishReason: choice.finish_reason,
+      latency: Date.now() - started,
+      raw: data
+    });
+  }
+
+  async *stream(request) {
+    const started = Date.now();
+    const response = await this.post(
+      `${this.endpoint}/chat/completions`,
+      this.buildBody(request, true),
+      this.buildHeaders(),
+      request
+    );
+
+    let content = '';
+    let usage = {};
+    let finishReason = null;
+
+    for await (const { data } of this.readEvents(response)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      if (chunk.usage) {
+        usage = {
+          inputTokens: chunk.usage.prompt_tokens,
+          outputTokens: chunk.usage.completion_tokens
+        };
+      }
+
+      const choice = (chunk.choices || [])[0];
+      if (!choice) continue;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      const text = choice.delta && choice.delta.content;
+      if (text) {
+        content += text;
+        yield { type: 'delta', text };
+      }
+    }
+
+    yield {
+      type: 'done',
+      response: this.buildResponse(request.model, content, usage, {
+        finishReason,
+        latency: Date.now() - started
+      })
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,111 @@
+/**
+ * LLM Provider Errors
+ * Shared error classes so the router can tell retryable failures from fatal ones
+ */
+
+class LLMProviderError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = details.provider || null;
+    this.model = details.model || null;
+    this.status = details.status || null;
+    this.retryable = details.retryable !== undefined ? details.retryable : true;
+    this.cause = details.cause;
+    this.timestamp = new Date().toISOString();
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      provider: this.provider,
+      model: this.model,
+      status: this.status,
+      retryable: this.retryable,
+      timestamp: this.timestamp
+    };
+  }
+}
+
+// 401/403 - bad or missing API key
+class ProviderAuthError extends LLMProviderError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'ProviderAuthError';
+  }
+}
+
+// 429 - retryAfter is in milliseconds when the provider sends it
+class ProviderRateLimitError extends LLMProviderError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ProviderRateLimitError';
+    this.retryAfter = details.retryAfter || null;
+  }
+}
+
+class ProviderTimeoutError extends LLMProviderError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ProviderTimeoutError';
+  }
+}
+
+// 5xx, network failures, or no provider configured for the model
+class ProviderUnavailableError extends LLMProviderError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = 'ProviderUnavailableError';
+  }
+}
+
+// 400/404/422 - the request itself is wrong, retrying will not help
+class ProviderRequestError extends LLMProviderError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'ProviderRequestError';
+  }
+}
+
+/**
+ * Map an HTTP error response to the matching error class
+ */
+function errorFromResponse(status, body, details = {}) {
+  const message = extractErrorMessage(body) || `HTTP ${status}`;
+  const info = { ...details, status };
+  const label = `${details.provider || 'provider'}: ${message}`;
+
+  if (status === 401 || status === 403) {
+    return new ProviderAuthError(label, info);
+  }
+  if (status === 429) {
+    return new ProviderRateLimitError(label, info);
+  }
+  if (status === 408) {
+    return new ProviderTimeoutError(label, info);
+  }
+  if (status >= 500) {
+    return new ProviderUnavailableError(label, info);
+  }
+  return new ProviderRequestError(label, info);
+}
+
+function extractErrorMessage(body) {
+  if (!body) return null;
+  if (typeof body === 'string') return body.slice(0, 200);
+  if (body.error) {
+    return typeof body.error === 'string' ? body.error : body.error.message;
+  }
+  return body.message || null;
+}
+
+module.exports = {
+  LLMProviderError,
+  ProviderAuthError,
+  ProviderRateLimitError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  ProviderRequestError,
+  errorFromResponse
+};
@@ -7,10 +7,14 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ServiceDetector = require('./service-detector');
+const { lockService } = require('./lock-service');
+const { createProviderRegistry, ProviderUnavailableError } = require('./llm-providers');
 
 class LLMRouter {
-  constructor() {
+  constructor(options = {}) {
     this.serviceDetector = new ServiceDetector();
+    // Provider adapters that actually execute requests (see llm-providers/)
+    this.providers = options.providers || createProviderRegistry();
     this.services = {};
     this.strategy = 'claude_native';
     this.fallbackChain = [];
@@ -262,7 +266,7 @@ class LLMRouter {
    * Route a request with automatic fallback
    */
   async routeRequest(request) {
-    const { task, level = 'minimal', content, maxRetries = 3 } = request;
+    const { task, level = 'minimal', content, maxRetries = 3, ...options } = request;
     
     this.metrics.requests++;
     
@@ -271,13 +275,14 @@ class LLMRouter {
     
     const chain = this.fallbackChain[level] || this.fallbackChain.minimal;
     let lastError = null;
+    const attempts = [];
     
     // Try each model in the chain
-    for (const { model, via } of chain) {
+    for (const [index, { model, via }] of chain.entries()) {
       try {
         console.log(`   Trying: ${model} via ${via}...`);
         
-        const result = await this.executeWithModel(model, via, content);
+        const result = await this.executeWithModel(model, via, content, options);
         
         this.metrics.successes++;
         console.log(`   ✅ Success with ${model}`);
@@ -292,12 +297,14 @@ class LLMRouter {
           model,
           via,
           result,
-          fallbacksUsed: chain.indexOf({ model, via })
+          fallbacksUsed: index,
+          attempts
         };
         
       } catch (error) {
         console.log(`   ⚠️  Failed: ${error.message}`);
         lastError = error;
+        attempts.push({ model, via, error: error.message, errorType: error.name });
         this.metrics.fallbacks++;
         
         // Continue to next model in chain
@@ -309,33 +316,52 @@ class LLMRouter {
     this.metrics.failures++;
     console.error(`   ❌ All models in chain failed`);
     
-    throw new Error(`Request failed after trying all models: ${lastError?.message}`);
+    const failure = new Error(`Request failed after trying all models: ${lastError?.message}`);
+    failure.attempts = attempts;
+    throw failure;
   }
 
   /**
-   * Execute request with specific model
+   * Execute request with specific model through its provider adapter
+   * Pass options.onToken to stream the response text as it arrives
    */
-  async executeWithModel(model, via, content) {
-    // Simulate model execution
-    // In production, this would call actual APIs
-    
-    return new Promise((resolve, reject) => {
-      // Simulate processing time
-      setTimeout(() => {
-        // Simulate random failures for testing
-        if (Math.random() > 0.8 && via !== 'claude') {
-          reject(new Error(`${model} temporarily unavailable`));
-        } else {
-          resolve({
-            model,
-            via,
-            response: `Processed by ${model} via ${via}`,
-            tokens: Math.floor(Math.random() * 1000) + 500,
-            cost: this.calculateCost(model)
-          });
-        }
-      }, 100);
-    });
+  async executeWithModel(model, via, content, options = {}) {
+    const provider = this.providers.resolve(model);
+    
+    if (!provider) {
+      throw new ProviderUnavailableError(`No provider configured for ${model}`, { model });
+    }
+    
+    const request = {
+      model,
+      content,
+      messages: options.messages,
+      system: options.system,
+      maxTokens: options.maxTokens,
+      temperature: options.temperature,
+      timeout: options.timeout
+    };
+    
+    let response;
+    if (options.onToken) {
+      for await (const event of provider.stream(request)) {
+        if (event.type === 'delta') options.onToken(event.text);
+        if (event.type === 'done') response = event.response;
+      }
+    } else {
+      response = await provider.complete(request);
+    }
+    
+    return {
+      model,
+      via,
+      provider: provider.name,
+      response: response.content,
+      tokens: response.usage.totalTokens,
+      usage: response.usage,
+      latency: response.latency,
+      cost: this.calculateCost(model)
+    };
   }
 
   /**
@@ -394,7 +420,8 @@ class LLMRouter {
       }
     };
     
-    await fs.writeFile(stateFile, JSON.stringify(state, null, 2));
+    // Merge under the lock so other sections of configuration.json survive
+    lockService.updateJsonSync(stateFile, current => ({ ...current, ...state }));
     console.log(`💾 Routing state saved to: ${path.basename(stateFile)}`);
   }
 
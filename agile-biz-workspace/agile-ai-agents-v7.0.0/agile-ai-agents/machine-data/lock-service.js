@@ -0,0 +1,509 @@
+#!/usr/bin/env node
+
+/**
+ * Lock Service
+ * Cross-process read/write locks for project-state files and the document registries.
+ *
+ * Hooks, the dashboard and agent sessions run as separate Node processes, so locks live
+ * on disk: one JSON record per resource in the lock directory (AAA_LOCK_DIR, default
+ * <tmpdir>/agile-ai-agents-locks), keyed by the resource's absolute path. Each record
+ * lists the writer, the readers and the writers waiting in line; a short guard file
+ * created with O_EXCL serialises changes to the record.
+ *
+ * - Any number of readers, or one writer; waiting writers hold back new readers
+ * - Holders whose process has exited are dropped (PID liveness), as are holders
+ *   past maxHoldMs, so a crashed writer never blocks the project
+ * - Waiting ends with a LockTimeoutError naming the current holder
+ * - Acquisition is reentrant within one call chain (a withLock/withLockSync callback and
+ *   everything it calls or awaits), so save helpers can nest; other code in the same
+ *   process waits its turn like another process would
+ * - A synchronous wait on a lock another chain of this process holds fails at once,
+ *   since blocking the event loop would keep that holder from ever releasing
+ *
+ * Usage:
+ *   const { lockService } = require('./lock-service');
+ *   lockService.withLockSync(file, () => fs.writeFileSync(file, data));
+ *   await lockService.withLock(file, async () => { ... }, { mode: 'read', timeout: 2000 });
+ *
+ *   node machine-data/lock-service.js status | clear-stale
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULTS = {
+  timeout: 10000,       // how long to wait for a lock
+  maxHoldMs: 600000,    // holders older than this are treated as stale
+  guardStaleMs: 2000,   // guard files older than this belong to a crashed process
+  pollMs: 10,
+  maxPollMs: 100
+};
+
+class LockError extends Error {
+  constructor(message, resource = null) {
+    super(message);
+    this.name = 'LockError';
+    this.resource = resource;
+  }
+}
+
+class LockTimeoutError extends LockError {
+  constructor(resource, mode, timeout, holder) {
+    const by = holder ? ` (held by pid ${holder.pid}${holder.owner ? `, ${holder.owner}` : ''} since ${new Date(holder.acquired_at).toISOString()})` : '';
+    super(`Timed out after ${timeout}ms waiting for ${mode} lock on ${resource}${by}`, resource);
+    this.name = 'LockTimeoutError';
+    this.mode = mode;
+    this.timeout = timeout;
+    this.holder = holder || null;
+  }
+}
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+class LockService {
+  constructor(options = {}) {
+    this.lockDir = options.lockDir || process.env.AAA_LOCK_DIR || path.join(os.tmpdir(), 'agile-ai-agents-locks');
+    this.options = { ...DEFAULTS, ...options };
+    this.hostname = os.hostname();
+    this.held = new Map(); // resource -> [{ id, mode, count }]
+    this.chains = new AsyncLocalStorage(); // call chain -> Map(resource -> hold)
+    this.exitHandlerInstalled = false;
+  }
+
+  resourceKey(resource) {
+    return path.resolve(resource);
+  }
+
+  recordPath(resource) {
+    const hash = crypto.createHash('sha1').update(resource).digest('hex').slice(0, 16);
+    const name = path.basename(resource).replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 40);
+    return path.join(this.lockDir, `${name}-${hash}.json`);
+  }
+
+  // --- guard ------------------------------------------------------------------------
+
+  tryGuard(guardPath) {
+    try {
+      const fd = fs.openSync(guardPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: this.hostname, at: Date.now() }));
+      fs.closeSync(fd);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        fs.mkdirSync(this.lockDir, { recursive: true });
+        return this.tryGuard(guardPath);
+      }
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    // Break the guard of a process that died inside its critical section
+    let raw;
+    try {
+      raw = fs.readFileSync(guardPath, 'utf8');
+    } catch (error) {
+      return false;
+    }
+    let guard = null;
+    try {
+      guard = JSON.parse(raw);
+    } catch (error) {
+      // Half-written guard: judge by age below
+    }
+    const age = guard ? Date.now() - guard.at : Date.now() - this.mtimeOf(guardPath);
+    const dead = guard && guard.host === this.hostname && !isProcessAlive(guard.pid);
+    if (!dead && age < this.options.guardStaleMs) return false;
+
+    const claimed = `${guardPath}.stale-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      fs.renameSync(guardPath, claimed);
+      if (fs.readFileSync(claimed, 'utf8') !== raw) {
+        // Another process replaced the stale guard first: put theirs back
+        try { fs.linkSync(claimed, guardPath); } catch (error) { /* a newer guard exists */ }
+      }
+      fs.unlinkSync(claimed);
+    } catch (error) {
+      // Someone else broke it
+    }
+    return false;
+  }
+
+  mtimeOf(file) {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch (error) {
+      return Date.now();
+    }
+  }
+
+  /**
+   * Run fn while holding the resource's guard; fn must be short and synchronous
+   */
+  guarded(resource, fn) {
+    const guardPath = `${this.recordPath(resource)}.guard`;
+    let spins = 0;
+    while (!this.tryGuard(guardPath)) {
+      spins++;
+      sleepSync(Math.min(1 + spins, 20));
+    }
+    try {
+      return fn();
+    } finally {
+      try { fs.unlinkSync(guardPath); } catch (error) { /* already broken as stale */ }
+    }
+  }
+
+  // --- lock records -----------------------------------------------------------------
+
+  readRecord(resource) {
+    try {
+      const record = JSON.parse(fs.readFileSync(this.recordPath(resource), 'utf8'));
+      return { resource, writer: null, readers: [], waiting: [], ...record };
+    } catch (error) {
+      return { resource, writer: null, readers: [], waiting: [] };
+    }
+  }
+
+  writeRecord(resource, record) {
+    const file = this.recordPath(resource);
+    if (!record.writer && record.readers.length === 0 && record.waiting.length === 0) {
+      try { fs.unlinkSync(file); } catch (error) { /* nothing to clear */ }
+      return;
+    }
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(record, null, 2));
+    fs.renameSync(temp, file);
+  }
+
+  isStale(entry, now = Date.now()) {
+    if (entry.host === this.hostname && !isProcessAlive(entry.pid)) return true;
+    if (entry.expires && now > entry.expires) return true;
+    return now - entry.acquired_at > this.options.maxHoldMs;
+  }
+
+  prune(record) {
+    const now = Date.now();
+    const stale = [record.writer, ...record.readers].filter(entry => entry && this.isStale(entry, now));
+    if (record.writer && stale.includes(record.writer)) record.writer = null;
+    record.readers = record.readers.filter(reader => !stale.includes(reader));
+    record.waiting = record.waiting.filter(waiter => !this.isStale(waiter, now));
+    stale.forEach(entry => console.warn(`⚠️  Dropped stale ${entry.mode} lock on ${record.resource} (pid ${entry.pid})`));
+    return record;
+  }
+
+  /**
+   * One attempt to take the lock; queues writers so readers cannot starve them
+   */
+  attempt(resource, entry, timeout) {
+    return this.guarded(resource, () => {
+      const record = this.prune(this.readRecord(resource));
+      let granted = false;
+
+      if (entry.mode === 'write') {
+        const ahead = record.waiting.filter(waiter => waiter.id !== entry.id);
+        granted = !record.writer && record.readers.length === 0 &&
+          (ahead.length === 0 || record.waiting[0].id === entry.id);
+        record.waiting = granted ? ahead : record.waiting;
+        if (granted) {
+          record.writer = entry;
+        } else if (!record.waiting.some(waiter => waiter.id === entry.id)) {
+          record.waiting.push({ ...entry, expires: Date.now() + timeout + this.options.guardStaleMs });
+        }
+      } else {
+        granted = !record.writer && record.waiting.length === 0;
+        if (granted) record.readers.push(entry);
+      }
+
+      this.writeRecord(resource, record);
+      return { granted, holder: record.writer || record.readers[0] || null };
+    });
+  }
+
+  remove(resource, id) {
+    this.guarded(resource, () => {
+      const record = this.readRecord(resource);
+      if (record.writer && record.writer.id === id) record.writer = null;
+      record.readers = record.readers.filter(reader => reader.id !== id);
+      record.waiting = record.waiting.filter(waiter => waiter.id !== id);
+      this.writeRecord(resource, record);
+    });
+  }
+
+  // --- acquire / release ------------------------------------------------------------
+
+  newEntry(mode, options) {
+    return {
+      id: `${process.pid}-${crypto.randomBytes(6).toString('hex')}`,
+      mode,
+      pid: process.pid,
+      host: this.hostname,
+      owner: options.owner || process.env.ACTIVE_AGENT || null,
+      acquired_at: Date.now()
+    };
+  }
+
+  track(resource, entry) {
+    this.installExitHandler();
+    const holds = this.held.get(resource) || [];
+    const hold = { id: entry.id, mode: entry.mode, count: 1 };
+    holds.push(hold);
+    this.held.set(resource, holds);
+    return this.handle(resource, hold);
+  }
+
+  handle(resource, hold) {
+    let released = false;
+    return {
+      resource,
+      mode: hold.mode,
+      id: hold.id,
+      release: () => {
+        if (released) return;
+        released = true;
+        hold.count--;
+        if (hold.count > 0) return;
+        const holds = (this.held.get(resource) || []).filter(other => other !== hold);
+        if (holds.length > 0) this.held.set(resource, holds);
+        else this.held.delete(resource);
+        this.remove(resource, hold.id);
+      }
+    };
+  }
+
+  /**
+   * Nested acquisition inside a hold the current call chain already has
+   */
+  reenter(resource, mode) {
+    const chain = this.chains.getStore();
+    const hold = chain && chain.get(resource);
+    if (!hold || hold.count === 0) return null;
+    if (mode === 'write' && hold.mode === 'read') {
+      throw new LockError(`Cannot upgrade a read lock to a write lock on ${resource}`, resource);
+    }
+    hold.count++;
+    return this.handle(resource, hold);
+  }
+
+  /**
+   * Run fn as the owner of lock, so acquisitions it makes on the same resource nest
+   */
+  within(lock, fn) {
+    const hold = (this.held.get(lock.resource) || []).find(other => other.id === lock.id);
+    const chain = new Map(this.chains.getStore() || []);
+    chain.set(lock.resource, hold);
+    return this.chains.run(chain, fn);
+  }
+
+  heldHere(resource, holder) {
+    return Boolean(holder) && (this.held.get(resource) || []).some(hold => hold.id === holder.id);
+  }
+
+  validateMode(mode) {
+    if (mode !== 'read' && mode !== 'write') throw new LockError(`Unknown lock mode: ${mode}`);
+    return mode;
+  }
+
+  /**
+   * Block until the lock is held
+   * @param {string} resourcePath - File the lock protects
+   * @param {Object} options - { mode: 'write' | 'read', timeout, owner }
+   * @returns {Object} handle with release()
+   */
+  acquireSync(resourcePath, options = {}) {
+    const resource = this.resourceKey(resourcePath);
+    const mode = this.validateMode(options.mode || 'write');
+    const nested = this.reenter(resource, mode);
+    if (nested) return nested;
+
+    const timeout = options.timeout !== undefined ? options.timeout : this.options.timeout;
+    const entry = this.newEntry(mode, options);
+    const deadline = Date.now() + timeout;
+    let wait = this.options.pollMs;
+    for (;;) {
+      entry.acquired_at = Date.now();
+      const { granted, holder } = this.attempt(resource, entry, timeout);
+      if (granted) return this.track(resource, entry);
+      if (this.heldHere(resource, holder)) {
+        this.remove(resource, entry.id);
+        throw new LockError(`Cannot wait for the ${mode} lock on ${resource}: another operation in this process holds it`, resource);
+      }
+      if (Date.now() >= deadline) {
+        this.remove(resource, entry.id);
+        throw new LockTimeoutError(resource, mode, timeout, holder);
+      }
+      sleepSync(Math.min(wait, Math.max(1, deadline - Date.now())));
+      wait = Math.min(wait * 2, this.options.maxPollMs);
+    }
+  }
+
+  /**
+   * Wait for the lock without blocking the event loop
+   */
+  async acquire(resourcePath, options = {}) {
+    const resource = this.resourceKey(resourcePath);
+    const mode = this.validateMode(options.mode || 'write');
+    const nested = this.reenter(resource, mode);
+    if (nested) return nested;
+
+    const timeout = options.timeout !== undefined ? options.timeout : this.options.timeout;
+    const entry = this.newEntry(mode, options);
+    const deadline = Date.now() + timeout;
+    let wait = this.options.pollMs;
+    for (;;) {
+      entry.acquired_at = Date.now();
+      const { granted, holder } = this.attempt(resource, entry, timeout);
+      if (granted) return this.track(resource, entry);
+      if (Date.now() >= deadline) {
+        this.remove(resource, entry.id);
+        throw new LockTimeoutError(resource, mode, timeout, holder);
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(wait, Math.max(1, deadline - Date.now())) + Math.floor(Math.random() * 5)));
+      wait = Math.min(wait * 2, this.options.maxPollMs);
+    }
+  }
+
+  withLockSync(resourcePath, fn, options = {}) {
+    const lock = this.acquireSync(resourcePath, options);
+    try {
+      return this.within(lock, fn);
+    } finally {
+      lock.release();
+    }
+  }
+
+  async withLock(resourcePath, fn, options = {}) {
+    const lock = await this.acquire(resourcePath, options);
+    try {
+      return await this.within(lock, fn);
+    } finally {
+      lock.release();
+    }
+  }
+
+  /**
+   * Write a file atomically under its write lock
+   */
+  writeFileSync(filePath, content, options = {}) {
+    this.withLockSync(filePath, () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Writers are serialised by the lock, so one temp name per file is enough
+      const temp = `${filePath}.tmp`;
+      fs.writeFileSync(temp, content);
+      fs.renameSync(temp, filePath);
+    }, options);
+  }
+
+  /**
+   * Read-modify-write a JSON file under its write lock
+   * @param {Function} update - receives the current value (or fallback) and returns the new one
+   */
+  updateJsonSync(filePath, update, fallback = {}, options = {}) {
+    return this.withLockSync(filePath, () => {
+      let current = fallback;
+      if (fs.existsSync(filePath)) current = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const next = update(current);
+      const value = next === undefined ? current : next;
+      this.writeFileSync(filePath, JSON.stringify(value, null, 2));
+      return value;
+    }, options);
+  }
+
+  // --- inspection -------------------------------------------------------------------
+
+  status() {
+    if (!fs.existsSync(this.lockDir)) return [];
+    return fs.readdirSync(this.lockDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.lockDir, name), 'utf8'));
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .map(record => ({ ...record, stale: [record.writer, ...record.readers].filter(Boolean).some(entry => this.isStale(entry)) }));
+  }
+
+  clearStale() {
+    const cleared = [];
+    for (const record of this.status()) {
+      this.guarded(record.resource, () => {
+        const before = this.readRecord(record.resource);
+        const holders = [before.writer, ...before.readers].filter(Boolean).length;
+        const after = this.prune(before);
+        const removed = holders - [after.writer, ...after.readers].filter(Boolean).length;
+        if (removed > 0) cleared.push({ resource: record.resource, removed });
+        this.writeRecord(record.resource, after);
+      });
+    }
+    return cleared;
+  }
+
+  installExitHandler() {
+    if (this.exitHandlerInstalled) return;
+    this.exitHandlerInstalled = true;
+    process.on('exit', () => {
+      for (const [resource, holds] of this.held) {
+        holds.forEach(hold => {
+          try { this.remove(resource, hold.id); } catch (error) { /* best effort */ }
+        });
+      }
+      this.held.clear();
+    });
+  }
+}
+
+const lockService = new LockService();
+
+module.exports = {
+  LockService,
+  LockError,
+  LockTimeoutError,
+  lockService,
+  isProcessAlive
+};
+
+// CLI usage
+if (require.main === module) {
+  const command = process.argv[2];
+
+  switch (command) {
+    case 'status': {
+      const records = lockService.status();
+      console.log(`\n🔒 Locks in ${lockService.lockDir}`);
+      if (records.length === 0) console.log('   No locks held');
+      records.forEach(record => {
+        const holders = [record.writer, ...record.readers].filter(Boolean)
+          .map(entry => `${entry.mode} pid ${entry.pid}${entry.owner ? ` (${entry.owner})` : ''}`);
+        console.log(`   ${record.stale ? '⚠️ ' : '•'} ${record.resource}: ${holders.join(', ') || 'free'}${record.waiting.length ? `, ${record.waiting.length} waiting` : ''}`);
+      });
+      break;
+    }
+    case 'clear-stale': {
+      const cleared = lockService.clearStale();
+      console.log(cleared.length === 0 ? '✅ No stale locks' : `🧹 Cleared stale holders on ${cleared.length} resource(s)`);
+      break;
+    }
+    default:
+      console.log('Lock service');
+      console.log('\nCommands:');
+      console.log('  status       - Show held locks and waiting writers');
+      console.log('  clear-stale  - Drop holders whose process has exited');
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * Monte Carlo Forecaster
+ * Probabilistic completion dates for a sprint, an epic or the whole backlog.
+ *
+ * Each trial replays sprints sampled from the velocity history: their throughput,
+ * length and scope change rate (from burndown scope changes, including those
+ * recorded with addScopeChange). Sprint forecasts also sample per-story cycle
+ * times, so one large story cannot finish sooner than stories like it have.
+ * Results are reported as P50/P85/P95 dates rather than a single projection.
+ */
+
+const { velocityTracker } = require('./velocity-tracker');
+const { storyTracker } = require('./story-tracker');
+const { burndownGenerator } = require('./burndown-generator');
+const { pointsOf } = require('./story-event-store');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PERCENTILES = [50, 85, 95];
+const SCOPES = ['sprint', 'epic', 'backlog'];
+
+class ForecastError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForecastError';
+  }
+}
+
+// Small seedable PRNG so forecasts can be reproduced (mulberry32)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class MonteCarloForecaster {
+  /**
+   * @param {Object} options - { velocityTracker, storyTracker, burndownGenerator, trials, seed, now }
+   */
+  constructor(options = {}) {
+    this.velocityTracker = options.velocityTracker || velocityTracker;
+    this.storyTracker = options.storyTracker || storyTracker;
+    this.burndownGenerator = options.burndownGenerator || burndownGenerator;
+    this.trials = options.trials || 10000;
+    this.seed = options.seed;
+    this.now = options.now || (() => new Date());
+
+    // Same sprint length forecastEpicCompletion assumes when dates are missing
+    this.defaultSprintHours = 2;
+
+    // Trials still running after this many sprints count as not finishing
+    this.maxSprints = 200;
+  }
+
+  /**
+   * One sample per recorded sprint
+   */
+  getHistorySamples() {
+    return this.velocityTracker.velocityHistory.team_velocity.sprints.map(sprint => {
+      const duration = sprint.start_date && sprint.end_date
+        ? (new Date(sprint.end_date) - new Date(sprint.start_date)) / HOUR_MS
+        : 0;
+
+      return {
+        sprint_id: sprint.sprint_id,
+        velocity: sprint.velocity || 0,
+        duration_hours: duration > 0 ? duration : this.defaultSprintHours,
+        scope_rate: this.calculateScopeRate(sprint),
+        hours_per_point: (sprint.cycle_times || [])
+          .filter(item => item.points > 0)
+          .map(item => item.hours / item.points)
+      };
+    });
+  }
+
+  /**
+   * Net scope change as a fraction of the planned points
+   * The sprint's burndown is preferred; the log summary on the velocity entry is the fallback
+   */
+  calculateScopeRate(sprint) {
+    const burndown = this.burndownGenerator.getBurndownData(sprint.sprint_id);
+    const changes = burndown ? burndown.burndown.scope_changes : (sprint.scope_changes || []);
+    const net = changes.reduce((sum, change) =>
+      sum + (change.type === 'added' ? change.points : -change.points), 0);
+
+    const planned = sprint.planned_points || (burndown ? burndown.burndown.total_points - net : 0);
+    return planned > 0 ? Math.max(-1, net / planned) : 0;
+  }
+
+  /**
+   * Forecast completion
+   * @param {string} scope - 'sprint', 'epic' (stories labelled with the id) or 'backlog'
+   * @param {string} id - Sprint id or epic label
+   * @param {Object} options - { trials, seed, points, target_date }
+   */
+  forecast(scope = 'backlog', id = null, options = {}) {
+    if (!SCOPES.includes(scope)) {
+      throw new ForecastError(`Unknown forecast scope "${scope}". Use one of: ${SCOPES.join(', ')}`);
+    }
+    if (scope !== 'backlog' && !id) {
+      throw new ForecastError(scope === 'sprint'
+        ? 'A sprint forecast needs a sprint id'
+        : 'An epic forecast needs an epic label');
+    }
+    const trials = options.trials !== undefined ? Number(options.trials) : this.trials;
+    if (!Number.isInteger(trials) || trials < 1) {
+      throw new ForecastError(`Trials must be a positive whole number, got "${options.trials}"`);
+    }
+
+    const work= this.resolveWork(scope, id, options);
+    const samples = this.getHistorySamples();
+    const seed = options.seed !== undefined ? Number(options.seed) : this.seed;
+    const start = this.now();
+
+    const result = {
+      scope,
+      id,
+      generated_at: start.toISOString(),
+      trials,
+      seed: seed !== undefined ? seed : null,
+      remaining_points: work.remaining_points,
+      remaining_stories: work.stories.length,
+      target_date: work.target_date
+    };
+
+    if (work.remaining_points <= 0) {
+      return { ...result, status: 'complete', percentiles: null, distribution: [] };
+    }
+    if (!samples.some(sample => sample.velocity > 0)) {
+      return {
+        ...result,
+        status: 'insufficient_history',
+        message: 'No completed sprints with velocity recorded yet',
+        percentiles: null,
+        distribution: []
+      };
+    }
+
+    const random = seed !== undefined ? seededRandom(seed) : Math.random;
+    const runTrial = scope === 'sprint'
+      ? () => this.simulateSprint(work, samples, random)
+      : () => this.simulateSprints(work.remaining_points, samples, random);
+
+    const outcomes = [];
+    for (let i = 0; i < trials; i++) {
+      outcomes.push(runTrial());
+    }
+
+    return {
+      ...result,
+      status: 'ok',
+      ...this.summarize(outcomes, start, work.target_date),
+      inputs: this.describeInputs(samples)
+    };
+  }
+
+  /**
+   * Convenience for callers that only know a point total
+   */
+  forecastPoints(remainingPoints, options = {}) {
+    return this.forecast('backlog', null, { ...options, points: remainingPoints });
+  }
+
+  /**
+   * Stories and points still to deliver for the scope
+   */
+  resolveWork(scope, id, options) {
+    let stories = [];
+    let targetDate = options.target_date || null;
+    let window = null;
+
+    if (scope === 'sprint') {
+      const burndown = this.burndownGenerator.getBurndownData(id);
+      window = burndown ? burndown.burndown : null;
+      targetDate = targetDate || (window ? window.end_date : null);
+    }
+
+    // An explicit point total replaces the story lookup
+    if (options.points === undefined) {
+      stories = scope === 'sprint'
+        ? this.storyTracker.getSprintStories(id).map(document => document.story)
+        : this.storyTracker.store.getStories(story =>
+          story.status !== 'split' &&
+          (scope === 'backlog' || (story.labels || []).includes(id) || story.epic_id === id))
+          .map(document => document.story);
+      stories = stories.filter(story => story.status !== 'completed');
+    }
+
+    return {
+      stories,
+      target_date: targetDate,
+      window,
+      remaining_points: options.points !== undefined
+        ? Number(options.points)
+        : stories.reduce((sum, story) => sum + pointsOf(story), 0)
+    };
+  }
+
+  /**
+   * Hours to finish the sprint's remaining work in one trial
+   */
+  simulateSprint(work, samples, random) {
+    const sample = samples[Math.floor(random() * samples.length)];
+    const window = work.window;
+
+    // Only the part of the sprint still ahead is exposed to scope change
+    let exposure = 1;
+    if (window && window.duration_hours > 0) {
+      const hoursLeft = (new Date(window.end_date) - this.now()) / HOUR_MS;
+      exposure = Math.min(1, Math.max(0, hoursLeft / window.duration_hours));
+    }
+    const points = Math.max(0, work.remaining_points * (1 + sample.scope_rate * exposure));
+
+    const rate = sample.velocity / sample.duration_hours;
+    const throughputHours = rate > 0 ? points / rate : Infinity;
+
+    // No story finishes faster than a sampled cycle time for its size allows
+    const pool = samples.flatMap(item => item.hours_per_point);
+    let longestStory = 0;
+    if (pool.length > 0) {
+      for (const story of work.stories) {
+        const cycleHours = pool[Math.floor(random() * pool.length)] * pointsOf(story);
+        const worked = this.storyTracker.store.workedHours(story);
+        longestStory = Math.max(longestStory, cycleHours - worked);
+      }
+    }
+
+    return { hours: Math.max(throughputHours, longestStory) };
+  }
+
+  /**
+   * Sprints (and hours) to burn down the points in one trial
+   */
+  simulateSprints(remainingPoints, samples, random) {
+    let remaining = remainingPoints;
+    let hours = 0;
+    let sprints = 0;
+
+    while (remaining > 0) {
+      if (sprints >= this.maxSprints) {
+        return { hours: Infinity, sprints: Infinity };
+      }
+      const sample = samples[Math.floor(random() * samples.length)];
+      remaining += remaining * sample.scope_rate;
+      remaining -= sample.velocity;
+      hours += sample.duration_hours;
+      sprints++;
+    }
+
+    return { hours, sprints };
+  }
+
+  /**
+   * Percentiles, on-target probability and a cumulative curve for charts
+   */
+  summarize(outcomes, start, targetDate) {
+    const sorted = [...outcomes].sort((a, b) => a.hours - b.hours);
+    const at = percent => {
+      const outcome = sorted[Math.max(0, Math.ceil(percent / 100 * sorted.length) - 1)];
+      return this.describeOutcome(outcome, start, percent);
+    };
+
+    const percentiles = {};
+    for (const percent of PERCENTILES) {
+      percentiles[`p${percent}`] = at(percent);
+    }
+
+    let probability = null;
+    if (targetDate) {
+      const budget = (new Date(targetDate) - start) / HOUR_MS;
+      probability = round(sorted.filter(outcome => outcome.hours <= budget).length / sorted.length);
+    }
+
+    const distribution = [];
+    for (let percent = 5; percent <= 100; percent += 5) {
+      distribution.push(at(percent));
+    }
+
+    return {
+      percentiles,
+      probability_on_target: probability,
+      unfinished_trials: sorted.filter(outcome => !isFinite(outcome.hours)).length,
+      distribution
+    };
+  }
+
+  describeOutcome(outcome, start, percent) {
+    const finite = isFinite(outcome.hours);
+    const described = {
+      probability: percent / 100,
+      hours: finite ? round(outcome.hours) : null,
+      date: finite ? new Date(start.getTime() + outcome.hours * HOUR_MS).toISOString() : null
+    };
+    if (outcome.sprints !== undefined) {
+      described.sprints = finite ? outcome.sprints : null;
+    }
+    return described;
+  }
+
+  describeInputs(samples) {
+    const velocities = samples.map(sample => sample.velocity);
+    const rates = samples.map(sample => sample.scope_rate);
+    return {
+      sprints_sampled: samples.length,
+      velocity: {
+        min: Math.min(...velocities),
+        max: Math.max(...velocities),
+        mean: round(velocities.reduce((sum, v) => sum + v, 0) / velocities.length)
+      },
+      scope_change_rate: round(rates.reduce((sum, r) => sum + r, 0) / rates.length),
+      cycle_time_samples: samples.reduce((sum, sample) => sum + sample.hours_per_point.length, 0)
+    };
+  }
+}
+
+// Export the class and create instance
+const monteCarloForecaster = new MonteCarloForecaster();
+
+module.exports = {
+  MonteCarloForecaster,
+  ForecastError,
+  monteCarloForecaster,
+  seededRandom,
+
+  // Convenience exports
+  forecast: (scope, id, options) => monteCarloForecaster.forecast(scope, id, options),
+  forecastPoints: (points, options) => monteCarloForecaster.forecastPoints(points, options)
+};
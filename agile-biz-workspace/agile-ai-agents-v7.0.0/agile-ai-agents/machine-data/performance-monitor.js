@@ -81,8 +81,8 @@ class PerformanceMonitor {
     this.basePath = path.join(__dirname, 'project-documents-json', '00-orchestration');
     this.ensureDirectories();
     
-    // Auto-save metrics every 5 minutes
-    setInterval(() => this.saveMetrics(), 5 * 60 * 1000);
+    // Auto-save metrics every 5 minutes (unref'd so CLI commands can exit)
+    setInterval(() => this.saveMetrics(), 5 * 60 * 1000).unref();
   }
 
   ensureDirectories() {
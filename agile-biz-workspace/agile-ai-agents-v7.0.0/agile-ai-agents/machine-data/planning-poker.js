@@ -1,22 +1,45 @@
 /**
  * Planning Poker System
  * Chat-based estimation with two-round consensus for AI agents
+ *
+ * estimateWithAgents() runs a session end to end: the personas suggested for the
+ * story are asked through the LLM router in parallel, later rounds see earlier
+ * reasoning, and outlying estimates are normalized with the agent's calibration.
+ * recordSprintOutcomes() feeds each agent's error back into that calibration.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { calibration } = require('./story-point-calibration');
+const { storySplitter } = require('./story-splitter');
+const { storyTracker } = require('./story-tracker');
+const { pointsOf } = require('./story-event-store');
+const { similarityIndex } = require('./similarity-index');
 
 class PlanningPoker {
-  constructor() {
+  /**
+   * @param {Object} options - { sessionsPath, router, storySplitter, storyTracker, calibration, agentsJsonPath, similarityIndex }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
-    this.sessionsPath = path.join(
+    this.sessionsPath = options.sessionsPath || path.join(
       this.basePath,
       'machine-data',
       'project-documents-json',
       '00-orchestration',
       'planning-sessions'
     );
+    this.agentsJsonPath = options.agentsJsonPath || path.join(this.basePath, 'machine-data', 'ai-agents-json');
+    
+    // Collaborators; the router is initialized on first use
+    this.router = options.router || null;
+    this.storySplitter = options.storySplitter || storySplitter;
+    this.storyTracker = options.storyTracker || storyTracker;
+    this.calibration = options.calibration || calibration;
+    this.similarityIndex = options.similarityIndex || similarityIndex;
+    
+    // Estimates this many times above or below the round median are outliers
+    this.outlierRatio = 2;
     
     // Active sessions
     this.activeSessions = {};
@@ -82,7 +105,7 @@ class PlanningPoker {
     // Calculate average points from similar stories
     const totalPoints = similar.reduce((sum, s) => sum + s.points, 0);
     const avgPoints = totalPoints / similar.length;
-    const suggestedPoints = calibration.roundToFibonacci(avgPoints);
+    const suggestedPoints = this.calibration.roundToFibonacci(avgPoints);
     
     return {
       has_suggestion: true,
@@ -98,51 +121,36 @@ class PlanningPoker {
   }
   
   /**
-   * Find similar stories from historical data
+   * Find similar stories from historical data, most similar first
    */
   findSimilarStories(story) {
-    const similar = [];
-    const storyWords = this.tokenize(story.title + ' ' + story.description);
-    
-    for (const historical of this.historicalEstimates) {
-      const historicalWords = this.tokenize(historical.title + ' ' + historical.description);
-      const similarity = this.calculateSimilarity(storyWords, historicalWords);
-      
-      if (similarity > 0.3) {
-        similar.push({
-          ...historical,
-          similarity: similarity
-        });
-      }
-    }
-    
-    // Sort by similarity
-    similar.sort((a, b) => b.similarity - a.similarity);
-    
-    return similar;
+    const byKey = new Map(this.historicalEstimates.map(historical => [this.historyKey(historical), historical]));
+    this.similarityIndex.sync('estimate', Array.from(byKey, ([key, historical]) => this.similarityItem(key, historical)));
+    
+    return this.similarityIndex
+      .search(`${story.title} ${story.description || ''}`, {
+        types: ['estimate'],
+        limit: byKey.size || 1,
+        minScore: 0.3,
+        exclude: story.id ? [{ type: 'estimate', key: story.id }] : []
+      })
+      .map(hit => ({ ...byKey.get(hit.key), similarity: hit.score }));
   }
   
   /**
-   * Simple tokenization for similarity comparison
+   * Re-estimates of a story replace its earlier history entry in the index
    */
-  tokenize(text) {
-    return text.toLowerCase()
-      .replace(/[^a-z0-9\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 2);
+  historyKey(historical) {
+    return historical.story_id || historical.title;
   }
   
-  /**
-   * Calculate similarity between two word sets
-   */
-  calculateSimilarity(words1, words2) {
-    const set1 = new Set(words1);
-    const set2 = new Set(words2);
-    
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
-    
-    return union.size > 0 ? intersection.size / union.size : 0;
+  similarityItem(key, historical) {
+    return {
+      key,
+      title: historical.title,
+      text: historical.description || '',
+      metadata: { points: historical.points }
+    };
   }
   
   /**
@@ -166,7 +174,7 @@ class PlanningPoker {
   /**
    * Submit estimate for a participant
    */
-  submitEstimate(sessionId, participant, estimate, reasoning = '') {
+  submitEstimate(sessionId, participant, estimate, reasoning = '', details = {}) {
     const session = this.activeSessions[sessionId];
     
     if (!session) {
@@ -194,6 +202,7 @@ class PlanningPoker {
     currentRound.estimates[participant] = {
       points: estimate,
       reasoning: reasoning,
+      ...details,
       submitted_at: new Date().toISOString()
     };
     
@@ -321,7 +330,7 @@ class PlanningPoker {
     } else {
       // No consensus - use average and round to Fibonacci
       const avg = estimates.reduce((a, b) => a + b) / estimates.length;
-      const rounded = calibration.roundToFibonacci(avg);
+      const rounded = this.calibration.roundToFibonacci(avg);
       
       session.session.consensus = {
         points: rounded,
@@ -341,10 +350,18 @@ class PlanningPoker {
    * Add completed session to historical data
    */
   addToHistory(session) {
+    const lastRound = session.session.rounds[session.session.rounds.length - 1];
+    const estimates = {};
+    for (const [agent, estimate] of Object.entries(lastRound.estimates)) {
+      estimates[agent] = estimate.raw_points !== undefined ? estimate.raw_points : estimate.points;
+    }
+    
     const historical = {
+      story_id: session.session.story.id || null,
       title: session.session.story.title,
       description: session.session.story.description,
       points: session.session.consensus.points,
+      estimates: estimates,
       participants: session.session.participants.length,
       rounds: session.session.rounds.length,
       consensus_method: session.session.consensus.method,
@@ -353,6 +370,7 @@ class PlanningPoker {
     
     this.historicalEstimates.push(historical);
     this.saveHistoricalData();
+    this.similarityIndex.upsert('estimate', this.historyKey(historical), this.similarityItem(this.historyKey(historical), historical));
   }
   
   /**
@@ -426,6 +444,250 @@ class PlanningPoker {
     fs.writeFileSync(historyPath, JSON.stringify(data, null, 2));
   }
   
+  /**
+   * Estimate a story with agent personas through the LLM router
+   * Every round asks all participants in parallel; the second round sees the
+   * first round's estimates, reasoning and discussion points.
+   * @param {Object} options - { participants, level }
+   */
+  async estimateWithAgents(story, options = {}) {
+    const router = await this.getRouter();
+    const session = this.createSession({
+      story,
+      participants: options.participants || this.selectParticipants(story)
+    });
+    session.session.abstentions = [];
+    
+    while (session.session.status === 'active') {
+      const rounds = session.session.rounds;
+      const previousRound = rounds.length > 0 ? rounds[rounds.length - 1] : null;
+      const participants = session.session.participants;
+      
+      const answers = await Promise.allSettled(
+        participants.map(agent => this.askAgent(router, agent, session, previousRound, options))
+      );
+      
+      // Agents that cannot answer sit the session out instead of stalling it
+      const estimates = [];
+      answers.forEach((answer, index) => {
+        if (answer.status === 'fulfilled') {
+          estimates.push(answer.value);
+        } else {
+          session.session.abstentions.push({
+            agent: participants[index],
+            round: rounds.length + 1,
+            error: answer.reason.message
+          });
+        }
+      });
+      if (estimates.length === 0) {
+        throw new Error(`No agent returned an estimate for "${story.title}"`);
+      }
+      session.session.participants = estimates.map(estimate => estimate.agent);
+      
+      for (const estimate of this.normalizeOutliers(estimates)) {
+        this.submitEstimate(session.session.id, estimate.agent, estimate.points, estimate.reasoning, {
+          raw_points: estimate.raw_points,
+          normalized: estimate.normalized,
+          model: estimate.model
+        });
+      }
+    }
+    
+    return session;
+  }
+  
+  /**
+   * Personas for the story, from the same keyword rules the story splitter uses
+   */
+  selectParticipants(story) {
+    const text = [
+      story.title,
+      story.description,
+      ...(story.acceptance_criteria || []),
+      ...(story.labels || [])
+    ].filter(Boolean).join(' ');
+    
+    const agents = [...new Set(this.storySplitter.suggestAgents(text))];
+    
+    // Poker needs at least two voices; every story needs testing
+    if (agents.length < 2) {
+      agents.push(agents.includes('testing_agent') ? 'coder_agent' : 'testing_agent');
+    }
+    return agents;
+  }
+  
+  async getRouter() {
+    if (!this.router) {
+      const LLMRouter = require('./llm-router');
+      this.router = new LLMRouter();
+      await this.router.initialize();
+    }
+    return this.router;
+  }
+  
+  /**
+   * Ask one agent for an estimate
+   */
+  async askAgent(router, agent, session, previousRound, options = {}) {
+    const response = await router.routeRequest({
+      task: `Planning poker: ${agent}`,
+      level: options.level || 'minimal',
+      system: this.buildPersonaPrompt(agent),
+      content: this.buildEstimatePrompt(agent, session.session, previousRound)
+    });
+    
+    return {
+      agent,
+      model: response.model,
+      ...this.parseEstimate(response.result.response)
+    };
+  }
+  
+  /**
+   * System prompt from the agent's JSON summary (minimal context loading)
+   */
+  buildPersonaPrompt(agent) {
+    const lines = [`You are the ${agent.replace(/_/g, ' ')} on an AI agile team, estimating in planning poker.`];
+    
+    const summaryPath = path.join(this.agentsJsonPath, `${agent}.json`);
+    if (fs.existsSync(summaryPath)) {
+      const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf-8'));
+      if (summary.summary) lines.push(summary.summary.replace(/^##\s*Overview\s*/i, ''));
+      if (summary.core_responsibilities) {
+        lines.push(`Core responsibilities: ${summary.core_responsibilities.summary.join(', ')}`);
+      }
+    }
+    
+    lines.push(
+      `Estimate in story points on the Fibonacci scale (${this.calibration.fibonacciScale.join(', ')}).`,
+      'Reference stories: ' + Object.values(this.calibration.referenceStories)
+        .map(reference => `"${reference.title}" = ${reference.points}`)
+        .join('; ')
+    );
+    
+    const guidelines = this.calibration.getAgentGuidelines(agent);
+    if (guidelines) {
+      lines.push(...guidelines.guidelines);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  buildEstimatePrompt(agent, session, previousRound) {
+    const story = session.story;
+    const lines = [
+      `Story: ${story.title}`,
+      story.description ? `Description: ${story.description}` : null,
+      story.acceptance_criteria && story.acceptance_criteria.length > 0
+        ? `Acceptance criteria:\n${story.acceptance_criteria.map(c => `- ${c}`).join('\n')}`
+        : null,
+      session.historical_suggestion.has_suggestion ? session.historical_suggestion.message : null
+    ];
+    
+    if (previousRound) {
+      lines.push(`\nRound ${previousRound.round_number} estimates:`);
+      for (const [participant, estimate] of Object.entries(previousRound.estimates)) {
+        const who = participant === agent ? `${participant} (you)` : participant;
+        lines.push(`- ${who}: ${estimate.points} points. ${estimate.reasoning || ''}`.trim());
+      }
+      for (const point of session.discussion_points) {
+        lines.push(`Discussion: ${point.message}`);
+      }
+      lines.push('Reconsider your estimate in light of the reasoning above.');
+    }
+    
+    lines.push('\nReply with JSON only: {"points": <number>, "reasoning": "<one or two sentences from your specialty>"}');
+    return lines.filter(line => line !== null).join('\n');
+  }
+  
+  /**
+   * Read { points, reasoning } from a reply, tolerating prose around the JSON
+   */
+  parseEstimate(text) {
+    let points = null;
+    let reasoning = '';
+    
+    const json = (text || '').match(/\{[\s\S]*\}/);
+    if (json) {
+      try {
+        const parsed = JSON.parse(json[0]);
+        points = Number(parsed.points);
+        reasoning = parsed.reasoning || '';
+      } catch (error) {
+        // Fall through to the plain-text pattern
+      }
+    }
+    
+    if (!(points > 0)) {
+      const match = (text || '').match(/(\d+(?:\.\d+)?)\s*(?:story\s*)?points?/i);
+      points = match ? Number(match[1]) : null;
+      reasoning = reasoning || (text || '').trim().slice(0, 500);
+    }
+    
+    if (!(points > 0)) {
+      throw new Error(`No estimate found in reply: ${(text || '').slice(0, 80)}`);
+    }
+    
+    return { points: this.calibration.roundToFibonacci(points), reasoning };
+  }
+  
+  /**
+   * Pull estimates far from the round median through the agent's calibration
+   */
+  normalizeOutliers(estimates) {
+    const sorted = estimates.map(estimate => estimate.points).sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    
+    return estimates.map(estimate => {
+      const outlier = estimate.points > median * this.outlierRatio || estimate.points < median / this.outlierRatio;
+      const points = outlier ? this.calibration.calibrateForAgent(estimate.points, estimate.agent) : estimate.points;
+      return { ...estimate, raw_points: estimate.points, points, normalized: points !== estimate.points };
+    });
+  }
+  
+  /**
+   * Feed each agent's estimation error on the sprint's completed stories back
+   * into calibration. Delivered size is the consensus scaled by actual over
+   * estimated hours.
+   */
+  recordSprintOutcomes(sprintId) {
+    const recorded = [];
+    
+    for (const { story } of this.storyTracker.getSprintStories(sprintId)) {
+      if (story.status !== 'completed') continue;
+      
+      const entry = [...this.historicalEstimates].reverse()
+        .find(historical => historical.story_id === story.id && historical.estimates);
+      const actual = this.deliveredPoints(story);
+      if (!entry || entry.feedback_recorded_at || actual === null) continue;
+      
+      for (const [agent, estimated] of Object.entries(entry.estimates)) {
+        recorded.push(this.calibration.recordEstimationError(agent, {
+          story_id: story.id,
+          sprint_id: sprintId,
+          estimated,
+          actual
+        }));
+      }
+      entry.actual_points = actual;
+      entry.feedback_recorded_at = new Date().toISOString();
+    }
+    
+    if (recorded.length > 0) {
+      this.saveHistoricalData();
+      console.log(`🎯 Recorded ${recorded.length} estimation outcomes for ${sprintId}`);
+    }
+    return recorded;
+  }
+  
+  deliveredPoints(story) {
+    const { estimated_hours: estimated, actual_hours: actual } = story.timing || {};
+    if (!(estimated > 0) || !(actual > 0)) return null;
+    return Math.round(pointsOf(story) * (actual / estimated) * 100) / 100;
+  }
+  
   /**
    * Get active sessions
    */
@@ -453,7 +715,9 @@ module.exports = {
   submitEstimate: (sessionId, agent, estimate, reasoning) => 
     planningPoker.submitEstimate(sessionId, agent, estimate, reasoning),
   getSession: (sessionId) => planningPoker.getSession(sessionId),
-  getActiveSessions: () => planningPoker.getActiveSessions()
+  getActiveSessions: () => planningPoker.getActiveSessions(),
+  estimateWithAgents: (story, options) => planningPoker.estimateWithAgents(story, options),
+  recordSprintOutcomes: (sprintId) => planningPoker.recordSprintOutcomes(sprintId)
 };
 
 // If run directly, simulate a planning poker session
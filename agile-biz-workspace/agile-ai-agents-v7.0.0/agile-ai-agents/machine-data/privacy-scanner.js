@@ -100,7 +100,9 @@ class PrivacyScanner {
           }
         }
       };
-      fs.writeFileSync(this.rulesPath, JSON.stringify(defaultRules, null, 2));
+      // RegExps serialize to {}; store their source like the bundled privacy-rules.json
+      fs.writeFileSync(this.rulesPath, JSON.stringify(defaultRules,
+        (key, value) => value instanceof RegExp ? value.source : value, 2));
     }
 
     if (!fs.existsSync(this.scanLogPath)) {
@@ -196,7 +198,8 @@ class PrivacyScanner {
   scanForCompanyNames(content, filePath) {
     const findings = [];
     const rules = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
-    const companyPattern = rules.anonymization_rules.company_names.pattern;
+    const { pattern } = rules.anonymization_rules.company_names;
+    const companyPattern = typeof pattern === 'string' ? new RegExp(pattern, 'i') : pattern;
     
     // Find lines with company indicators
     const lines = content.split('\n');
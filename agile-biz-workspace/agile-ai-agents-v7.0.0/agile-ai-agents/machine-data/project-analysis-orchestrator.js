@@ -11,8 +11,8 @@ const path = require('path');
 
 class ProjectAnalysisOrchestrator {
   constructor() {
-    this.orchestrator = new SubAgentOrchestrator();
     this.tokenManager = new TokenBudgetManager();
+    this.orchestrator = new SubAgentOrchestrator({ tokenManager: this.tokenManager });
     this.registryManager = new DocumentRegistryManager();
     this.analysisBasePath = path.join(__dirname, '..', 'project-documents', 'business-strategy', 'existing-project-analysis');
   }
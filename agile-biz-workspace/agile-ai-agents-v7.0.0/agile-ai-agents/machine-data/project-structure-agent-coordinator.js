@@ -8,6 +8,7 @@ const path = require('path');
 const RepositoryRecommendationEngine = require('./repository-recommendation-engine');
 const MultiRepositoryCoordinator = require('./multi-repo-coordinator');
 const RepositoryPatternRecognizer = require('./repository-pattern-recognizer');
+const { lockService } = require('./lock-service');
 
 class ProjectStructureAgentCoordinator {
   constructor(projectRoot) {
@@ -533,18 +534,13 @@ class ProjectStructureAgentCoordinator {
 
   async saveToProjectState(key, data) {
     const statePath = path.join(this.projectRoot, 'project-state', 'current-state.json');
-    let state = {};
-    
-    if (fs.existsSync(statePath)) {
-      state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
-    }
-    
-    if (!state.project_structure_data) {
-      state.project_structure_data = {};
-    }
-    
-    state.project_structure_data[key] = data;
-    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    lockService.updateJsonSync(statePath, state => {
+      if (!state.project_structure_data) {
+        state.project_structure_data = {};
+      }
+
+      state.project_structure_data[key] = data;
+    });
   }
 }
 
@@ -0,0 +1,169 @@
+/**
+ * Base Research Provider
+ * Contract shared by every search backend deep research can run against
+ *
+ * search(query, { limit })        -> [{ id, provider, title, url, snippet, score, confidence, published }]
+ * fetch(result)                   -> { id, url, title, content, content_type }
+ * extract(document, { query, maxPassages }) -> { source_id, url, title, passages: [{ text, score, index }] }
+ * Errors: LLMProviderError subclasses from llm-providers, so callers can check `retryable`
+ */
+
+const BM25Index = require('./bm25-index');
+const { htmlToText, splitPassages, sourceId } = require('./text-utils');
+const {
+  LLMProviderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  errorFromResponse
+} = require('../llm-providers/provider-errors');
+
+const DEFAULT_TIMEOUT = 30000;
+
+class BaseResearchProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.displayName = options.displayName || this.name;
+    this.apiKey = options.apiKey || null;
+    this.endpoint = options.endpoint || null;
+    this.capabilities = options.capabilities || [];
+    // How far results from this provider are trusted before ranking is applied
+    this.confidence = options.confidence !== undefined ? options.confidence : 0.7;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.fetchImpl = options.fetch || globalThis.fetch;
+  }
+
+  async search(query, options = {}) {
+    throw new LLMProviderError(`${this.name} does not implement search()`, {
+      provider: this.name,
+      retryable: false
+    });
+  }
+
+  /**
+   * Full text of a search result; web providers download and strip the page
+   */
+  async fetch(result) {
+    const response = await this.request(result.url, { method: 'GET' });
+    const body = await response.text();
+    const contentType = (response.headers && response.headers.get('content-type')) || 'text/html';
+    const isHtml = contentType.includes('html');
+
+    return {
+      id: result.id || sourceId(result.url),
+      url: result.url,
+      title: result.title || result.url,
+      content: isHtml ? htmlToText(body) : body,
+      content_type: isHtml ? 'text/html' : contentType.split(';')[0]
+    };
+  }
+
+  /**
+   * Passages of a document that best answer the query, ranked with BM25
+   */
+  async extract(document, options = {}) {
+    const { query = '', maxPassages = 3 } = options;
+    const passages = splitPassages(document.content);
+    const index = new BM25Index();
+    passages.forEach((text, position) => index.add(position, text));
+
+    let ranked = index.search(query, maxPassages)
+      .map(hit => ({ text: passages[hit.id], score: hit.score, index: hit.id }));
+    if (ranked.length === 0) {
+      ranked = passages.slice(0, maxPassages).map((text, position) => ({ text, score: 0, index: position }));
+    }
+
+    return {
+      source_id: document.id,
+      url: document.url,
+      title: document.title,
+      passages: ranked
+    };
+  }
+
+  async healthCheck() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Give raw results stable IDs and a confidence scaled by their score within the result set
+   */
+  buildResults(items) {
+    const scored = items.filter(item => typeof item.score === 'number');
+    const maxScore = scored.length > 0 ? Math.max(...scored.map(item => item.score)) : 0;
+
+    return items
+      .filter(item => item.url)
+      .map(item => {
+        const relative = maxScore > 0 && typeof item.score === 'number' ? item.score / maxScore : 1;
+        return {
+          id: item.id || sourceId(item.url),
+          provider: this.name,
+          title: item.title || item.url,
+          url: item.url,
+          snippet: item.snippet || '',
+          score: typeof item.score === 'number' ? item.score : null,
+          confidence: Math.round(this.confidence * (0.5 + 0.5 * relative) * 1000) / 1000,
+          published: item.published || null
+        };
+      });
+  }
+
+  /**
+   * HTTP request with a timeout, mapping failures to provider errors
+   */
+  async request(url, options = {}) {
+    const { method = 'POST', body, headers = {}, timeout = this.timeout } = options;
+
+    if (typeof this.fetchImpl !== 'function') {
+      throw new ProviderUnavailableError(`${this.name}: fetch is not available (Node.js 18+ required)`, {
+        provider: this.name,
+        retryable: false
+      });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await this.fetchImpl(url, {
+        method,
+        headers: body !== undefined ? { 'content-type': 'application/json', ...headers } : headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        let errorBody = text;
+        try {
+          errorBody = JSON.parse(text);
+        } catch {
+          // Plain text error body
+        }
+        throw errorFromResponse(response.status, errorBody, { provider: this.name });
+      }
+
+      return response;
+    } catch (error) {
+      if (error instanceof LLMProviderError) throw error;
+      if (error.name === 'AbortError') {
+        throw new ProviderTimeoutError(`${this.name}: request timed out after ${timeout}ms`, {
+          provider: this.name
+        });
+      }
+      throw new ProviderUnavailableError(`${this.name}: ${error.message}`, {
+        provider: this.name,
+        cause: error
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async requestJson(url, options = {}) {
+    const response = await this.request(url, options);
+    return response.json();
+  }
+}
+
+module.exports = BaseResearchProvider;
@@ -0,0 +1,99 @@
+/**
+ * BM25 Index
+ * In-memory Okapi BM25 ranking used by the local corpus provider, passage extraction
+ * and the shared similarity index
+ */
+
+const { tokenize } = require('./text-utils');
+
+class BM25Index {
+  constructor(options = {}) {
+    // Term frequency saturation and document length normalization
+    this.k1 = options.k1 !== undefined ? options.k1 : 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+    this.documents = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index a document; adding an existing id replaces it
+   */
+  add(id, text) {
+    this.remove(id);
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const term of frequencies.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    this.documents.set(id, { id, length: terms.length, frequencies });
+    this.totalLength += terms.length;
+    return this;
+  }
+
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return false;
+
+    for (const term of doc.frequencies.keys()) {
+      const df = this.documentFrequency.get(term) - 1;
+      if (df > 0) this.documentFrequency.set(term, df);
+      else this.documentFrequency.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.documents.delete(id);
+    return true;
+  }
+
+  /**
+   * Term frequencies of an indexed document, or undefined
+   */
+  get(id) {
+    return this.documents.get(id);
+  }
+
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.size - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Documents matching at least one query term, best first; ties keep insertion order
+   * @param {string} query - Free text query
+   * @param {number} limit - Maximum hits
+   * @returns {Array<{id: *, score: number}>} Ranked hits
+   */
+  search(query, limit = 10) {
+    if (this.documents.size === 0) return [];
+
+    const terms = Array.from(new Set(tokenize(query)));
+    const averageLength = this.totalLength / this.documents.size || 1;
+    const hits = [];
+
+    Array.from(this.documents.values()).forEach((doc, position) => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.frequencies.get(term);
+        if (!tf) continue;
+        const norm = tf + this.k1 * (1 - this.b + this.b * doc.length / averageLength);
+        score += this.idf(term) * (tf * (this.k1 + 1)) / norm;
+      }
+      if (score > 0) hits.push({ id: doc.id, score, position });
+    });
+
+    return hits
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, limit)
+      .map(({ id, score }) => ({ id, score: Math.round(score * 10000) / 10000 }));
+  }
+}
+
+module.exports = BM25Index;
@@ -0,0 +1,54 @@
+/**
+ * Exa Research Provider
+ * Neural (embedding) search; page text comes from the contents endpoint
+ */
+
+const BaseResearchProvider = require('./base-research-provider');
+
+class ExaResearchProvider extends BaseResearchProvider {
+  constructor(options = {}) {
+    super({
+      name: 'exa',
+      displayName: 'Exa',
+      endpoint: 'https://api.exa.ai',
+      confidence: 0.85,
+      capabilities: ['semantic', 'similarity', 'neural'],
+      ...options
+    });
+  }
+
+  async search(query, options = {}) {
+    const { limit = 10 } = options;
+    const data = await this.requestJson(`${this.endpoint}/search`, {
+      headers: { 'x-api-key': this.apiKey },
+      body: { query, numResults: limit, type: 'neural', contents: { highlights: true } }
+    });
+
+    return this.buildResults((data.results || []).map(item => ({
+      url: item.url,
+      title: item.title,
+      snippet: (item.highlights || [])[0] || item.text || '',
+      score: item.score,
+      published: item.publishedDate
+    })));
+  }
+
+  async fetch(result) {
+    const data = await this.requestJson(`${this.endpoint}/contents`, {
+      headers: { 'x-api-key': this.apiKey },
+      body: { urls: [result.url], text: true }
+    });
+    const page = (data.results || [])[0];
+    if (!page) return super.fetch(result);
+
+    return {
+      id: result.id,
+      url: result.url,
+      title: page.title || result.title,
+      content: page.text || '',
+      content_type: 'text/plain'
+    };
+  }
+}
+
+module.exports = ExaResearchProvider;
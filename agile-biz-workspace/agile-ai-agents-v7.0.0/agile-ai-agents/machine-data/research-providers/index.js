@@ -0,0 +1,114 @@
+/**
+ * Research Provider Registry
+ * Search, fetch and extract backends used by deep research, keyed by provider name
+ */
+
+const path = require('path');
+const BaseResearchProvider = require('./base-research-provider');
+const PerplexityResearchProvider = require('./perplexity-provider');
+const TavilyResearchProvider = require('./tavily-provider');
+const ExaResearchProvider = require('./exa-provider');
+const SerpApiResearchProvider = require('./serpapi-provider');
+const LocalCorpusProvider = require('./local-corpus-provider');
+const BM25Index = require('./bm25-index');
+const textUtils = require('./text-utils');
+const { isPlaceholderKey } = require('../llm-providers');
+
+// Built-in providers and the API key env vars that enable them
+const RESEARCH_PROVIDER_DEFAULTS = {
+  perplexity: { Provider: PerplexityResearchProvider, envKeys: ['PERPLEXITY_API_KEY'] },
+  tavily: { Provider: TavilyResearchProvider, envKeys: ['TAVILY_API_KEY'] },
+  exa: { Provider: ExaResearchProvider, envKeys: ['EXA_API_KEY'] },
+  serpapi: { Provider: SerpApiResearchProvider, envKeys: ['SERPAPI_API_KEY'] },
+  local: { Provider: LocalCorpusProvider, envKeys: [] }
+};
+
+class ResearchProviderRegistry {
+  constructor(providers = []) {
+    this.providers = new Map();
+    providers.forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+}
+
+/**
+ * Build one of the built-in providers by key
+ */
+function createResearchProvider(key, options = {}) {
+  const defaults = RESEARCH_PROVIDER_DEFAULTS[key];
+  if (!defaults) {
+    throw new Error(`Unknown research provider: ${key}`);
+  }
+  return new defaults.Provider(options);
+}
+
+/**
+ * Registry for every provider configured in the environment.
+ * RESEARCH_CORPUS_DIR adds the local corpus; RESEARCH_PROVIDER=local uses only the corpus.
+ * Under SIMULATE_EXTERNAL_APIS=true web providers are only registered with an injected
+ * adapter or fetch, so simulations never reach live search APIs.
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} overrides - Per-provider constructor options, e.g. { perplexity: { adapter } }
+ */
+function createResearchProviderRegistry(env = process.env, overrides = {}) {
+  const registry = new ResearchProviderRegistry();
+
+  if (env.RESEARCH_PROVIDER === 'local' && !env.RESEARCH_CORPUS_DIR) {
+    throw new Error('RESEARCH_PROVIDER=local requires RESEARCH_CORPUS_DIR');
+  }
+  if (env.RESEARCH_CORPUS_DIR) {
+    registry.register(createResearchProvider('local', {
+      root: path.resolve(env.RESEARCH_CORPUS_DIR),
+      ...(overrides.local || {})
+    }));
+  }
+  if (env.RESEARCH_PROVIDER === 'local') {
+    return registry;
+  }
+
+  for (const [key, defaults] of Object.entries(RESEARCH_PROVIDER_DEFAULTS)) {
+    if (defaults.envKeys.length === 0) continue;
+
+    const apiKey = defaults.envKeys.map(name => env[name]).find(value => !isPlaceholderKey(value));
+    if (!apiKey) continue;
+
+    const options = overrides[key] || {};
+    if (env.SIMULATE_EXTERNAL_APIS === 'true' && !options.adapter && !options.fetch) continue;
+
+    registry.register(createResearchProvider(key, { apiKey, ...options }));
+  }
+
+  return registry;
+}
+
+module.exports = {
+  ResearchProviderRegistry,
+  createResearchProvider,
+  createResearchProviderRegistry,
+  RESEARCH_PROVIDER_DEFAULTS,
+  BaseResearchProvider,
+  PerplexityResearchProvider,
+  TavilyResearchProvider,
+  ExaResearchProvider,
+  SerpApiResearchProvider,
+  LocalCorpusProvider,
+  BM25Index,
+  ...textUtils
+};
@@ -0,0 +1,141 @@
+/**
+ * Local Corpus Research Provider
+ * Indexes a folder of markdown, HTML and text (e.g. pdftotext output) documents with BM25
+ * so research workflows run offline against a reproducible set of sources
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const BaseResearchProvider = require('./base-research-provider');
+const BM25Index = require('./bm25-index');
+const { htmlToText, splitPassages, sourceId } = require('./text-utils');
+const { ProviderRequestError } = require('../llm-providers/provider-errors');
+
+const CONTENT_TYPES = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.txt': 'text/plain'
+};
+
+class LocalCorpusProvider extends BaseResearchProvider {
+  constructor(options = {}) {
+    super({
+      name: 'local',
+      displayName: 'Local corpus',
+      confidence: 0.9,
+      capabilities: ['offline', 'citations', 'reproducible'],
+      ...options
+    });
+    if (!options.root) {
+      throw new ProviderRequestError('local: corpus root directory is required', { provider: 'local' });
+    }
+    this.root = path.resolve(options.root);
+    this.documents = new Map();
+    this.index = null;
+  }
+
+  async healthCheck() {
+    try {
+      return (await fs.stat(this.root)).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Read and index every supported file under the root; called lazily by search()
+   */
+  async buildIndex() {
+    const files = (await this.listFiles(this.root)).sort();
+    const index = new BM25Index();
+    this.documents = new Map();
+
+    for (const file of files) {
+      const document = await this.loadDocument(file);
+      this.documents.set(document.id, document);
+      index.add(document.id, `${document.title}\n\n${document.content}`);
+    }
+
+    this.index = index;
+    return { documents: index.size, root: this.root };
+  }
+
+  async listFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(fullPath));
+      } else if (CONTENT_TYPES[path.extname(entry.name).toLowerCase()]) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  async loadDocument(file) {
+    const relative = path.relative(this.root, file).split(path.sep).join('/');
+    const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()];
+    const source = await fs.readFile(file, 'utf8');
+    const content = contentType === 'text/html' ? htmlToText(source) : source.replace(/\r\n/g, '\n');
+    const url = `corpus://${relative}`;
+
+    return {
+      id: sourceId(url),
+      url,
+      path: relative,
+      title: this.extractTitle(source, contentType) || relative,
+      content,
+      content_type: contentType
+    };
+  }
+
+  extractTitle(source, contentType) {
+    if (contentType === 'text/html') {
+      const match = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || source.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+      return match ? htmlToText(match[1]) : null;
+    }
+    if (contentType === 'text/markdown') {
+      const match = source.match(/^#\s+(.+)$/m);
+      return match ? match[1].trim() : null;
+    }
+    const firstLine = source.split('\n').find(line => line.trim());
+    return firstLine ? firstLine.trim().slice(0, 120) : null;
+  }
+
+  async search(query, options = {}) {
+    const { limit = 10 } = options;
+    if (!this.index) await this.buildIndex();
+
+    const hits = this.index.search(query, limit);
+    const results = [];
+    for (const hit of hits) {
+      const document = this.documents.get(hit.id);
+      const { passages } = await this.extract(document, { query, maxPassages: 1 });
+      results.push({
+        id: document.id,
+        url: document.url,
+        title: document.title,
+        snippet: passages.length > 0 ? passages[0].text : splitPassages(document.content)[0] || '',
+        score: hit.score
+      });
+    }
+    return this.buildResults(results);
+  }
+
+  async fetch(result) {
+    if (!this.index) await this.buildIndex();
+
+    const document = this.documents.get(result.id || sourceId(result.url));
+    if (!document) {
+      throw new ProviderRequestError(`local: ${result.url || result.id} is not in the corpus`, { provider: this.name });
+    }
+    return document;
+  }
+}
+
+module.exports = LocalCorpusProvider;
@@ -0,0 +1,67 @@
+/**
+ * Perplexity Research Provider
+ * Asks a Sonar model and turns the sources it cites into search results
+ */
+
+const BaseResearchProvider = require('./base-research-provider');
+const { createProvider } = require('../llm-providers');
+
+class PerplexityResearchProvider extends BaseResearchProvider {
+  constructor(options = {}) {
+    super({
+      name: 'perplexity',
+      displayName: 'Perplexity',
+      confidence: 0.9,
+      capabilities: ['citations', 'real-time', 'academic', 'web'],
+      ...options
+    });
+    this.model = options.model || 'sonar-pro';
+    // LLM adapter that executes the Sonar request; the mock provider can stand in for it
+    this.adapter = options.adapter || createProvider('perplexity', { apiKey: this.apiKey, fetch: options.fetch });
+    // Answer text per cited URL, from the most recent search that cited it
+    this.answers = new Map();
+  }
+
+  async search(query, options = {}) {
+    const { limit = 10 } = options;
+    const response = await this.adapter.complete({
+      model: this.model,
+      content: query,
+      timeout: this.timeout
+    });
+
+    // Newer responses carry search_results with titles; older ones only a list of URLs
+    const raw = response.raw || {};
+    const cited = Array.isArray(raw.search_results) && raw.search_results.length > 0
+      ? raw.search_results
+      : (raw.citations || []).map(url => (typeof url === 'string' ? { url } : url));
+
+    const results = this.buildResults(cited.slice(0, limit).map(item => ({
+      url: item.url,
+      title: item.title,
+      snippet: item.snippet || response.content.slice(0, 300),
+      published: item.date
+    })));
+    results.forEach(result => this.answers.set(result.id, response.content));
+    return results;
+  }
+
+  /**
+   * The synthesized answer that cited the result; pages themselves are not downloaded
+   */
+  async fetch(result) {
+    return {
+      id: result.id,
+      url: result.url,
+      title: result.title,
+      content: this.answers.get(result.id) || result.snippet || '',
+      content_type: 'text/plain'
+    };
+  }
+
+  async healthCheck() {
+    return this.adapter.healthCheck(this.model);
+  }
+}
+
+module.exports = PerplexityResearchProvider;
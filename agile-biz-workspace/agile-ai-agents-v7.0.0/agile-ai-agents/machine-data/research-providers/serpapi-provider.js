@@ -0,0 +1,42 @@
+/**
+ * SerpAPI Research Provider
+ * Google Scholar results through SerpAPI; pages are fetched directly
+ */
+
+const BaseResearchProvider = require('./base-research-provider');
+
+class SerpApiResearchProvider extends BaseResearchProvider {
+  constructor(options = {}) {
+    super({
+      name: 'serpapi',
+      displayName: 'SerpAPI',
+      endpoint: 'https://serpapi.com',
+      confidence: 0.95,
+      capabilities: ['google', 'scholar', 'images'],
+      ...options
+    });
+    this.engine = options.engine || 'google_scholar';
+  }
+
+  async search(query, options = {}) {
+    const { limit = 10 } = options;
+    const params = new URLSearchParams({
+      engine: this.engine,
+      q: query,
+      num: String(limit),
+      api_key: this.apiKey
+    });
+    const data = await this.requestJson(`${this.endpoint}/search.json?${params}`, { method: 'GET' });
+
+    // Organic results are already in rank order; turn position into a descending score
+    const organic = (data.organic_results || []).slice(0, limit);
+    return this.buildResults(organic.map((item, position) => ({
+      url: item.link,
+      title: item.title,
+      snippet: item.snippet || (item.publication_info && item.publication_info.summary) || '',
+      score: organic.length - position
+    })));
+  }
+}
+
+module.exports = SerpApiResearchProvider;
@@ -0,0 +1,55 @@
+/**
+ * Tavily Research Provider
+ * Web search with relevance scores; page text comes from the extract endpoint
+ */
+
+const BaseResearchProvider = require('./base-research-provider');
+
+class TavilyResearchProvider extends BaseResearchProvider {
+  constructor(options = {}) {
+    super({
+      name: 'tavily',
+      displayName: 'Tavily',
+      endpoint: 'https://api.tavily.com',
+      confidence: 0.8,
+      capabilities: ['search', 'news', 'technical'],
+      ...options
+    });
+    this.searchDepth = options.searchDepth || 'advanced';
+  }
+
+  async search(query, options = {}) {
+    const { limit = 10 } = options;
+    const data = await this.requestJson(`${this.endpoint}/search`, {
+      headers: { authorization: `Bearer ${this.apiKey}` },
+      body: { query, search_depth: this.searchDepth, max_results: limit }
+    });
+
+    return this.buildResults((data.results || []).map(item => ({
+      url: item.url,
+      title: item.title,
+      snippet: item.content,
+      score: item.score,
+      published: item.published_date
+    })));
+  }
+
+  async fetch(result) {
+    const data = await this.requestJson(`${this.endpoint}/extract`, {
+      headers: { authorization: `Bearer ${this.apiKey}` },
+      body: { urls: [result.url] }
+    });
+    const page = (data.results || [])[0];
+    if (!page) return super.fetch(result);
+
+    return {
+      id: result.id,
+      url: result.url,
+      title: result.title,
+      content: page.raw_content || '',
+      content_type: 'text/plain'
+    };
+  }
+}
+
+module.exports = TavilyResearchProvider;
@@ -0,0 +1,91 @@
+/**
+ * Research Text Utilities
+ * Tokenizing, HTML stripping, passage splitting and stable source IDs shared by research providers
+ */
+
+const crypto = require('crypto');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Lowercased search terms without stopwords; plural "s" is dropped so "agents" matches "agent"
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in document order
+ */
+function tokenize(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Readable text from an HTML page, keeping block elements as paragraph breaks
+ * @param {string} html - HTML source
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|li|h[1-6]|tr|pre|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') return String.fromCharCode(parseInt(entity.slice(1), 10));
+      return ENTITIES[entity.toLowerCase()] || match;
+    })
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Paragraph-sized passages; markdown heading markers are removed and fragments under 4 words dropped
+ * @param {string} text - Plain or markdown text
+ * @returns {string[]} Passages in document order
+ */
+function splitPassages(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(block => block.replace(/^#{1,6}\s+/gm, '').replace(/\s+/g, ' ').trim())
+    .filter(block => block.split(' ').length >= 4);
+}
+
+/**
+ * Canonical form of a URL or corpus path: no fragment, no trailing slash, lowercase scheme and host
+ */
+function normalizeLocator(locator) {
+  let value = String(locator || '').trim().replace(/#.*$/, '');
+  const match = value.match(/^([a-z][a-z0-9+.-]*:\/\/)([^/?]*)(.*)$/i);
+  if (match) {
+    value = match[1].toLowerCase() + match[2].toLowerCase() + match[3];
+  }
+  return value.length > 1 ? value.replace(/\/+$/, '') : value;
+}
+
+/**
+ * Source ID derived only from the locator, so the same document gets the same ID on every run
+ * @param {string} locator - URL, or corpus:// path for local documents
+ * @returns {string} ID like "src_3f2a9c0b1d4e"
+ */
+function sourceId(locator) {
+  const hash = crypto.createHash('sha256').update(normalizeLocator(locator)).digest('hex');
+  return `src_${hash.slice(0, 12)}`;
+}
+
+module.exports = {
+  tokenize,
+  htmlToText,
+  splitPassages,
+  normalizeLocator,
+  sourceId,
+  STOPWORDS
+};
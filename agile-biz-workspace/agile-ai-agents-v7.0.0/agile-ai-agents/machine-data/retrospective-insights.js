@@ -9,9 +9,13 @@ const { monitor } = require('./performance-monitor');
 const { storyTracker } = require('./story-tracker');
 
 class RetrospectiveInsights {
-  constructor() {
+  /**
+   * @param {Object} options - { storyTracker, retrospectivesPath }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
-    this.retrospectivesPath = path.join(
+    this.storyTracker = options.storyTracker || storyTracker;
+    this.retrospectivesPath = options.retrospectivesPath || path.join(
       this.basePath,
       'machine-data',
       'project-documents-json',
@@ -60,7 +64,8 @@ class RetrospectiveInsights {
   /**
    * Generate retrospective insights
    */
-  generateRetrospectiveInsights(sprintData, agentFeedback) {
+  generateRetrospectiveInsights(reportedData, agentFeedback) {
+    const sprintData = this.deriveSprintData(reportedData);
     console.log(`🧠 Generating AI-powered retrospective insights for ${sprintData.sprint_id}`);
     
     const retrospective = {
@@ -120,12 +125,36 @@ class RetrospectiveInsights {
     return report;
   }
   
+  /**
+   * Take points from the story event log when the sprint has logged stories
+   */
+  deriveSprintData(sprintData) {
+    const logged = this.storyTracker.getSprintMetrics(sprintData.sprint_id, {
+      start: sprintData.start_date,
+      end: sprintData.end_date
+    });
+    
+    if (logged.stories_planned === 0 && logged.stories_completed === 0) {
+      return { ...sprintData, sprint_log: null };
+    }
+    
+    return {
+      ...sprintData,
+      planned_points: logged.planned_points,
+      completed_points: logged.completed_points,
+      sprint_log: logged
+    };
+  }
+  
   /**
    * Analyze sprint metrics
    */
   analyzeSprintMetrics(sprintData) {
-    const stories = storyTracker.getSprintStories(sprintData.sprint_id);
-    const storyMetrics = monitor.getStoryMetrics();
+    const stories = this.storyTracker.getSprintStories(sprintData.sprint_id);
+    const logged = sprintData.sprint_log;
+    const storyMetrics = logged
+      ? { average_cycle_time: logged.average_cycle_time, total_blocked_time: logged.blocked_hours }
+      : monitor.getStoryMetrics();
     
     const metrics = {
       velocity: sprintData.completed_points || 0,
@@ -148,9 +177,16 @@ class RetrospectiveInsights {
         in_progress: 0,
         blocked: 0,
         not_started: 0
-      }
+      },
+      source: logged ? 'story_log' : 'reported'
     };
     
+    if (logged) {
+      metrics.scope_changes = logged.scope_changes;
+      metrics.repointed_stories = logged.repointed_stories;
+      metrics.split_stories = logged.split_stories;
+    }
+    
     // Calculate percentages
     if (metrics.planned_vs_completed.planned > 0) {
       metrics.planned_vs_completed.percentage = 
@@ -160,7 +196,8 @@ class RetrospectiveInsights {
     // Analyze stories
     for (const storyData of stories) {
       const story = storyData.story;
-      metrics.story_completion[story.status]++;
+      const status = ['testing', 'review'].includes(story.status) ? 'in_progress' : story.status;
+      metrics.story_completion[status] = (metrics.story_completion[status] || 0) + 1;
       
       if (story.timing.actual_hours) {
         const cycleTime = story.timing.actual_hours;
@@ -169,8 +206,17 @@ class RetrospectiveInsights {
       }
     }
     
+    if (logged && logged.cycle_times.length > 0) {
+      // Cycle time is first start to completion, blocked spans included
+      const cycleTimes = logged.cycle_times.map(item => item.hours);
+      metrics.cycle_time.min = Math.min(...cycleTimes);
+      metrics.cycle_time.max = Math.max(...cycleTimes);
+    }
+    
     // Calculate blocked time percentage
-    const totalTime = stories.reduce((sum, s) => sum + (s.story.timing.actual_hours || 0), 0);
+    const totalTime = logged
+      ? logged.total_hours_worked + logged.blocked_hours
+      : stories.reduce((sum, s) => sum + (s.story.timing.actual_hours || 0), 0);
     if (totalTime > 0) {
       metrics.blocked_time.percentage = 
         (metrics.blocked_time.total / totalTime * 100).toFixed(1);
@@ -285,7 +331,7 @@ class RetrospectiveInsights {
    */
   analyzeEstimationAccuracy(sprintData) {
     const insights = [];
-    const stories = storyTracker.getSprintStories(sprintData.sprint_id);
+    const stories = this.storyTracker.getSprintStories(sprintData.sprint_id);
     
     let totalEstimated = 0;
     let totalActual = 0;
@@ -334,6 +380,22 @@ class RetrospectiveInsights {
       }
     }
     
+    // Re-points and splits during the sprint show up in the story event log
+    const logged = sprintData.sprint_log;
+    if (logged && (logged.repointed_stories.length > 0 || logged.split_stories.length > 0)) {
+      const churn = logged.repointed_stories.length + logged.split_stories.length;
+      insights.push({
+        type: 'estimation_churn',
+        insight: `${logged.repointed_stories.length} stories were re-pointed and ${logged.split_stories.length} split after planning`,
+        recommendation: 'Refine and split large stories before they enter the sprint',
+        priority: churn >= 3 ? 'high' : 'medium',
+        stories: [
+          ...logged.repointed_stories.map(item => item.story_id),
+          ...logged.split_stories.map(item => item.story_id)
+        ]
+      });
+    }
+    
     return insights;
   }
   
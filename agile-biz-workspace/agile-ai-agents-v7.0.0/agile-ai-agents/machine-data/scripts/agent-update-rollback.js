@@ -9,8 +9,8 @@ const fs = require('fs');
 const path = require('path');
 
 class AgentUpdateRollback {
-  constructor() {
-    this.projectRoot = path.join(__dirname, '../..');
+  constructor(projectRoot = path.join(__dirname, '../..')) {
+    this.projectRoot = projectRoot;
     this.backupDir = path.join(this.projectRoot, '.agent-backups');
     this.agentDirs = {
       md: path.join(this.projectRoot, 'ai-agents'),
@@ -24,7 +24,11 @@ class AgentUpdateRollback {
    */
   async createBackup(description = '') {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupName = `backup-${timestamp}`;
+    let backupName = `backup-${timestamp}`;
+    // Backups taken within the same millisecond must not overwrite each other
+    for (let suffix = 1; fs.existsSync(path.join(this.backupDir, backupName)); suffix++) {
+      backupName = `backup-${timestamp}-${suffix}`;
+    }
     const backupPath = path.join(this.backupDir, backupName);
     
     console.log(`Creating backup: ${backupName}`);
@@ -207,6 +211,38 @@ class AgentUpdateRollback {
     }
   }
 
+  /**
+   * Restore a single agent's files from a backup, leaving other agents untouched
+   */
+  rollbackAgent(backupName, agentName) {
+    const backupPath = path.join(this.backupDir, backupName);
+    
+    if (!fs.existsSync(backupPath)) {
+      throw new Error(`Backup not found: ${backupName}`);
+    }
+    
+    const sources = [
+      { from: path.join(backupPath, 'ai-agents', `${agentName}.md`), to: path.join(this.agentDirs.md, `${agentName}.md`) },
+      { from: path.join(backupPath, 'ai-agents-json', `${agentName}.json`), to: path.join(this.agentDirs.json, `${agentName}.json`) },
+      { from: path.join(backupPath, 'claude-agents', `${agentName}.md`), to: path.join(this.agentDirs.claude, `${agentName}.md`) }
+    ];
+    
+    const restored = [];
+    sources.forEach(({ from, to }) => {
+      if (fs.existsSync(from)) {
+        fs.copyFileSync(from, to);
+        restored.push(path.relative(this.projectRoot, to));
+      }
+    });
+    
+    if (restored.length === 0) {
+      throw new Error(`Backup ${backupName} has no files for ${agentName}`);
+    }
+    
+    console.log(`✅ Restored ${agentName} from ${backupName}: ${restored.length} files`);
+    return restored;
+  }
+
   /**
    * Clean old backups
    */
@@ -274,6 +310,14 @@ if (require.main === module) {
       }
       break;
       
+    case 'rollback-agent':
+      if (!param || !process.argv[4]) {
+        console.error('Usage: node agent-update-rollback.js rollback-agent <backup> <agent>');
+      } else {
+        rollback.rollbackAgent(param, process.argv[4]);
+      }
+      break;
+      
     case 'clean':
       const keepCount = parseInt(param) || 10;
       rollback.cleanOldBackups(keepCount);
@@ -286,6 +330,7 @@ if (require.main === module) {
       console.log('  node agent-update-rollback.js backup [description]  - Create backup');
       console.log('  node agent-update-rollback.js list                  - List backups');
       console.log('  node agent-update-rollback.js rollback <name>       - Rollback to backup');
+      console.log('  node agent-update-rollback.js rollback-agent <name> <agent> - Restore one agent');
       console.log('  node agent-update-rollback.js clean [keep_count]    - Clean old backups');
   }
 }
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Build the bundled BPE vocabulary
+ * Learns byte-level merges from the framework's own agent docs and source so the
+ * offline tokenizer fits the markdown and code these agents actually load
+ *
+ * Usage: node machine-data/scripts/build-bpe-vocabulary.js [merges] [output]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toByteWords, DEFAULT_VOCABULARY_PATH } = require('../tokenizer/bpe-tokenizer');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Corpus folders and the extensions read from each (sorted walk, so output is reproducible)
+const CORPUS = [
+  { dir: 'ai-agents', extensions: ['.md'] },
+  { dir: 'aaa-documents', extensions: ['.md'] },
+  { dir: 'templates', extensions: ['.md', '.json'] },
+  { dir: 'machine-data', extensions: ['.js'], shallow: true },
+  { dir: 'hooks', extensions: ['.js'] },
+  { dir: 'project-dashboard', extensions: ['.js', '.html', '.css'] }
+];
+const SKIP_DIRS = new Set(['node_modules', '.git', 'coverage', 'dist', 'build']);
+const MAX_FILE_BYTES = 256 * 1024;
+
+function collectFiles(dir, extensions, shallow) {
+  const files = [];
+  if (!fs.existsSync(dir)) return files;
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!shallow && !SKIP_DIRS.has(entry.name)) {
+        files.push(...collectFiles(fullPath, extensions, shallow));
+      }
+    } else if (extensions.includes(path.extname(entry.name)) && fs.statSync(fullPath).size <= MAX_FILE_BYTES) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function countWords() {
+  const counts = new Map();
+  let files = 0;
+
+  for (const { dir, extensions, shallow } of CORPUS) {
+    for (const file of collectFiles(path.join(ROOT, dir), extensions, shallow)) {
+      for (const word of toByteWords(fs.readFileSync(file, 'utf8'))) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+      files++;
+    }
+  }
+
+  return { counts, files };
+}
+
+/**
+ * Standard BPE training with incremental pair counts
+ */
+function learnMerges(wordCounts, targetMerges) {
+  const words = Array.from(wordCounts, ([word, count]) => ({ symbols: Array.from(word), count }));
+  const pairCounts = new Map();
+  const pairWords = new Map();
+
+  const addPairs = (index, sign) => {
+    const { symbols, count } = words[index];
+    for (let i = 0; i < symbols.length - 1; i++) {
+      const key = symbols[i] + ' ' + symbols[i + 1];
+      pairCounts.set(key, (pairCounts.get(key) || 0) + sign * count);
+      if (sign > 0) {
+        if (!pairWords.has(key)) pairWords.set(key, new Set());
+        pairWords.get(key).add(index);
+      }
+    }
+  };
+
+  words.forEach((_, index) => addPairs(index, 1));
+
+  const merges = [];
+  while (merges.length < targetMerges) {
+    let best = null;
+    let bestCount = 1;
+    for (const [key, count] of pairCounts) {
+      // Ties break on the pair string so every run learns the same merges
+      if (count > bestCount || (count === bestCount && best !== null && key < best)) {
+        best = key;
+        bestCount = count;
+      }
+    }
+    if (!best) break;
+
+    merges.push(best);
+    const [left, right] = best.split(' ');
+
+    for (const index of pairWords.get(best)) {
+      addPairs(index, -1);
+      const symbols = words[index].symbols;
+      const merged = [];
+      for (let i = 0; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === left && symbols[i + 1] === right) {
+          merged.push(left + right);
+          i++;
+        } else {
+          merged.push(symbols[i]);
+        }
+      }
+      words[index].symbols = merged;
+      addPairs(index, 1);
+    }
+
+    pairWords.delete(best);
+    for (const [key, count] of pairCounts) {
+      if (count <= 0) pairCounts.delete(key);
+    }
+  }
+
+  return merges;
+}
+
+function main() {
+  const targetMerges = parseInt(process.argv[2], 10) || 8000;
+  const outputPath = process.argv[3] || DEFAULT_VOCABULARY_PATH;
+
+  console.log('📚 Collecting corpus...');
+  const { counts, files } = countWords();
+  console.log(`   ${files} files, ${counts.size} distinct words`);
+
+  console.log(`🔧 Learning ${targetMerges} merges...`);
+  const merges = learnMerges(counts, targetMerges);
+
+  // One merge per line keeps vocabulary updates reviewable in diffs
+  const header = JSON.stringify({
+    name: `agile-bpe-${Math.round(merges.length / 1000)}k`,
+    version: 1,
+    description: 'Byte-level BPE merges learned from AgileAiAgents docs and source',
+    vocabulary_size: 256 + merges.length
+  }, null, 2);
+  const body = merges.map(merge => '    ' + JSON.stringify(merge)).join(',\n');
+  fs.writeFileSync(outputPath, `${header.slice(0, -2)},\n  "merges": [\n${body}\n  ]\n}\n`);
+
+  console.log(`✅ Wrote ${merges.length} merges to ${path.relative(ROOT, outputPath)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { learnMerges, countWords };
@@ -61,7 +61,7 @@ async function handleExistingProjectWorkflow(args = []) {
     const existingWorkflow = getCurrentWorkflowState();
     if (existingWorkflow && !existingWorkflow.completed) {
         return {
-            message: `⚠️ An active workflow is already in progress.\\n\\nCurrent phase: ${existingWorkflow.current_phase}\\nUse \`--resume\` to continue or \`--status\` to see details.`
+            message: `⚠️ An active workflow is already in progress.\n\nCurrent phase: ${existingWorkflow.current_phase}\nUse \`--resume\` to continue or \`--status\` to see details.`
         };
     }
     
@@ -71,7 +71,7 @@ async function handleExistingProjectWorkflow(args = []) {
         dryRun: false
     });
     
-    console.log('🚀 Starting Existing Project Workflow\\n');
+    console.log('🚀 Starting Existing Project Workflow\n');
     console.log(formatWorkflowProgress());
     
     // Start first phase (analyze)
@@ -116,7 +116,7 @@ async function handleResume() {
     }
     
     console.log(result.message);
-    console.log('\\n' + formatWorkflowProgress());
+    console.log('\n' + formatWorkflowProgress());
     
     // Resume appropriate phase
     const workflow = result.workflow;
@@ -161,8 +161,8 @@ function handleDryRun() {
  * Start analyze phase
  */
 async function startAnalyzePhase() {
-    console.log('\\n## Phase 1: Code Analysis & Assessment\\n');
-    console.log('I\\'ll analyze your codebase to understand the current architecture and identify opportunities.\\n');
+    console.log('\n## Phase 1: Code Analysis & Assessment\n');
+    console.log('I\'ll analyze your codebase to understand the current architecture and identify opportunities.\n');
     
     // Update phase progress
     updatePhaseProgress({
@@ -191,12 +191,12 @@ async function startAnalyzePhase() {
     
     // Simulate parallel analysis if enabled
     const state = getCurrentWorkflowState();
-    if (state.parallel_mode) {
-        console.log('\\n⚡ Parallel mode enabled - running multiple analyses simultaneously');
+    if (state && state.parallel_mode) {
+        console.log('\n⚡ Parallel mode enabled - running multiple analyses simultaneously');
     }
     
     // This would integrate with actual code analysis logic
-    console.log('\\nDetecting technology stack...');
+    console.log('\nDetecting technology stack...');
     console.log('Analyzing code quality metrics...');
     console.log('Scanning for security vulnerabilities...');
 }
@@ -235,7 +235,7 @@ function parseArguments(args) {
         parallel: false,
         reprioritize: false,
         showDeferred: false,
-        note: null
+        note: undefined
     };
     
     args.forEach((arg, index) => {
@@ -246,13 +246,18 @@ function parseArguments(args) {
             case '--resume':
                 options.resume = true;
                 break;
-            case '--save-state':
+            case '--save-state': {
                 options.saveState = true;
-                // Check for optional note
-                if (args[index + 1] && !args[index + 1].startsWith('--')) {
-                    options.note = args[index + 1];
+                // Check for optional note (every word up to the next flag)
+                const noteWords = [];
+                for (let i = index + 1; i < args.length && !args[i].startsWith('--'); i++) {
+                    noteWords.push(args[i]);
+                }
+                if (noteWords.length > 0) {
+                    options.note = noteWords.join(' ');
                 }
                 break;
+            }
             case '--dry-run':
                 options.dryRun = true;
                 break;
@@ -274,32 +279,32 @@ function parseArguments(args) {
 // Phase implementation functions
 
 async function startDiscoveryPhase() {
-    console.log('\\n## Phase 2: Stakeholder Interview\\n');
-    console.log('Now I\\'ll gather information about your enhancement goals based on the analysis findings.\\n');
+    console.log('\n## Phase 2: Stakeholder Interview\n');
+    console.log('Now I\'ll gather information about your enhancement goals based on the analysis findings.\n');
     
     // CRITICAL: Start with Section 0 - Context Verification
-    console.log('**Section 0: Verify What We\\'re Working On (CRITICAL)**\\n');
-    console.log('Based on my analysis, I need to verify what this project actually is.\\n');
+    console.log('**Section 0: Verify What We\'re Working On (CRITICAL)**\n');
+    console.log('Based on my analysis, I need to verify what this project actually is.\n');
     
     console.log('1. Based on my analysis, this appears to be [initial assessment]. In one sentence, what is this product?');
     console.log('2. What industry or domain does this serve?');
     console.log('3. Who are your current users? (Be specific)');
     console.log('4. What is this product NOT? (What might people mistakenly think it is?)');
-    console.log('5. Who are your main competitors?\\n');
+    console.log('5. Who are your main competitors?\n');
     
-    console.log('💡 This verification prevents us from building features that don\\'t align with your product\\'s purpose.\\n');
+    console.log('💡 This verification prevents us from building features that don\'t align with your product\'s purpose.\n');
     
     // Show analysis findings
     console.log('Based on my analysis, I found:');
     console.log('- Technology Stack: [detected stack]');
     console.log('- Test Coverage: [coverage %]');
-    console.log('- Code Quality Score: [score]\\n');
+    console.log('- Code Quality Score: [score]\n');
     
-    console.log('After Section 0, we\\'ll continue with:');
+    console.log('After Section 0, we\'ll continue with:');
     console.log('- Section 1: Current State Validation');
     console.log('- Section 2: Technical Landscape');
     console.log('- Section 2.5: Project Structure Evaluation');
-    console.log('- Section 3: Improvement Goals\\n');
+    console.log('- Section 3: Improvement Goals\n');
     
     updatePhaseProgress({
         active_agents: [
@@ -311,7 +316,7 @@ async function startDiscoveryPhase() {
 }
 
 async function startAssessmentPhase() {
-    console.log('\\n## Phase 3: Gap Analysis & Opportunities\\n');
+    console.log('\n## Phase 3: Gap Analysis & Opportunities\n');
     console.log('Identifying gaps between current state and desired enhancements...');
     
     updatePhaseProgress({
@@ -325,7 +330,7 @@ async function startAssessmentPhase() {
 }
 
 async function startImprovementSelectionPhase() {
-    console.log('\\n## Phase 4: Improvement Selection & Prioritization\\n');
+    console.log('\n## Phase 4: Improvement Selection & Prioritization\n');
     console.log('Interactive selection of improvements to implement...');
     
     updatePhaseProgress({
@@ -368,7 +373,7 @@ async function startImprovementSelectionPhase() {
     const result = await selectionHandler.handleImprovementSelection(analysisResults);
     
     if (result.success) {
-        console.log('\\n✅ Improvement selection completed successfully.');
+        console.log('\n✅ Improvement selection completed successfully.');
         console.log(`Selected ${result.selected.length} improvements for implementation.`);
         console.log(`Deferred ${result.deferred.length} improvements for future consideration.`);
     }
@@ -377,7 +382,7 @@ async function startImprovementSelectionPhase() {
 }
 
 async function startPlanningPhase() {
-    console.log('\\n## Phase 4: Enhancement Planning\\n');
+    console.log('\n## Phase 4: Enhancement Planning\n');
     console.log('Creating detailed enhancement roadmap and technical approach...');
     
     updatePhaseProgress({
@@ -391,7 +396,7 @@ async function startPlanningPhase() {
 }
 
 async function startBacklogPhase() {
-    console.log('\\n## Phase 5: Enhancement Backlog\\n');
+    console.log('\n## Phase 5: Enhancement Backlog\n');
     console.log('Creating prioritized backlog of enhancement items...');
     
     updatePhaseProgress({
@@ -405,7 +410,7 @@ async function startBacklogPhase() {
 }
 
 async function startImplementationPhase() {
-    console.log('\\n## Phase 6: Implementation\\n');
+    console.log('\n## Phase 6: Implementation\n');
     console.log('Starting enhancement implementation with backward compatibility focus...');
     
     updatePhaseProgress({
@@ -424,7 +429,7 @@ if (require.main === module) {
     const args = process.argv.slice(2);
     handleExistingProjectWorkflow(args).then(result => {
         if (result.message) {
-            console.log('\\n' + result.message);
+            console.log('\n' + result.message);
         }
     }).catch(error => {
         console.error('Error:', error.message);
@@ -8,6 +8,7 @@ const path = require('path');
 const ImprovementAnalyzer = require('../improvement-analyzer');
 const ImprovementGroupingEngine = require('../improvement-grouping-engine');
 const ImprovementSelector = require('../../hooks/handlers/command/improvement-selector');
+const { lockService } = require('../lock-service');
 
 class ImprovementSelectionHandler {
   constructor() {
@@ -157,13 +158,13 @@ class ImprovementSelectionHandler {
       next_phase: 'planning'
     };
 
-    await fs.writeFile(
+    lockService.writeFileSync(
       path.join(this.statePath, 'selection-state.json'),
       JSON.stringify(selectionState, null, 2)
     );
 
     // Save backlog
-    await fs.writeFile(
+    lockService.writeFileSync(
       path.join(this.statePath, 'improvement-backlog.json'),
       JSON.stringify(backlog, null, 2)
     );
@@ -265,7 +266,7 @@ class ImprovementSelectionHandler {
     backlog.sprints = this.reorganizeSprints(backlog.items, backlog.sprints);
     
     // Save updated backlog
-    await fs.writeFile(
+    lockService.writeFileSync(
       path.join(this.statePath, 'improvement-backlog.json'),
       JSON.stringify(backlog, null, 2)
     );
@@ -23,6 +23,7 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { lockService } = require('../lock-service');
 
 // Paths
 const CONTRIBUTIONS_DIR = path.join(__dirname, '../../community-learnings/contributions');
@@ -43,18 +44,33 @@ const YELLOW = '\x1b[33m';
 const BLUE = '\x1b[34m';
 const RESET = '\x1b[0m';
 
-// Readline interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// Readline interface for user input (created on first prompt so the
+// phases can be required by the command registry without holding stdin)
+let rl = null;
+
+function getReadline() {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+    return rl;
+}
+
+function closeReadline() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
 
 /**
  * Prompt user for input
  */
 function prompt(question) {
     return new Promise((resolve) => {
-        rl.question(question, (answer) => {
+        getReadline().question(question, (answer) => {
             resolve(answer);
         });
     });
@@ -87,10 +103,7 @@ function loadWorkflowState() {
  */
 function saveWorkflowState(state) {
     try {
-        if (!fs.existsSync(WORKFLOW_STATE_DIR)) {
-            fs.mkdirSync(WORKFLOW_STATE_DIR, { recursive: true });
-        }
-        fs.writeFileSync(WORKFLOW_STATE_FILE, JSON.stringify(state, null, 2));
+        lockService.writeFileSync(WORKFLOW_STATE_FILE, JSON.stringify(state, null, 2));
     } catch (error) {
         console.error('Error saving workflow state:', error.message);
     }
@@ -255,13 +268,6 @@ async function checkContributions(state = null) {
         }
         state.current_phase = 'validation';
         saveWorkflowState(state);
-    } else if (option === '--check-only') {
-        // For standalone check-only, save basic state
-        const basicState = initializeWorkflowState();
-        basicState.contributions = newContributions;
-        basicState.phases_completed = ['discovery'];
-        basicState.current_phase = 'validation';
-        saveWorkflowState(basicState);
     }
     
     return newContributions;
@@ -420,6 +426,24 @@ function showStatus() {
     const readiness = calculateReadiness(contributions.length - analyzed.size);
     console.log(`\n🎯 Readiness: ${readiness.emoji} ${readiness.status}`);
     console.log(`${readiness.message}`);
+    
+    return {
+        total_contributions: contributions.length,
+        analyzed: analyzed.size,
+        pending: contributions.length - analyzed.size,
+        workflow: state ? {
+            workflow_id: state.workflow_id,
+            current_phase: state.current_phase,
+            phases_completed: state.phases_completed
+        } : null,
+        archive: {
+            implemented: implementedCount,
+            rejected: rejectedCount,
+            failed: failedCount,
+            partial: partialCount
+        },
+        readiness
+    };
 }
 
 /**
@@ -567,7 +591,7 @@ async function runFullWorkflow() {
         console.log(`\n${RED}❌ Workflow error: ${error.message}${RESET}`);
         console.log('State saved. Resume with: /learn-from-contributions-workflow --resume');
     } finally {
-        rl.close();
+        closeReadline();
     }
 }
 
@@ -912,17 +936,18 @@ function calculateDuration(start, end) {
 }
 
 // Main execution
-async function main() {
+async function main(selected = option) {
     console.log('🎯 Learn From Contributions Workflow Handler');
     
-    switch (option) {
+    switch (selected) {
         case '--check-only':
-            await checkContributions();
+            // Standalone check-only starts a fresh workflow at validation
+            await checkContributions(initializeWorkflowState());
             break;
             
         case '--validate':
             await validateContributions();
-            rl.close();
+            closeReadline();
             break;
             
         case '--analyze':
@@ -935,17 +960,17 @@ async function main() {
             
         case '--approve':
             await approveImplementation();
-            rl.close();
+            closeReadline();
             break;
             
         case '--implement':
             await implementChanges();
-            rl.close();
+            closeReadline();
             break;
             
         case '--archive':
             await archiveResults();
-            rl.close();
+            closeReadline();
             break;
             
         case '--status':
@@ -954,7 +979,7 @@ async function main() {
             
         case '--resume':
             await resumeWorkflow();
-            rl.close();
+            closeReadline();
             break;
             
         case '--rollback':
@@ -967,8 +992,8 @@ async function main() {
             break;
             
         default:
-            if (option) {
-                console.log(`\n❌ Unknown option: ${option}`);
+            if (selected) {
+                console.log(`\n❌ Unknown option: ${selected}`);
                 console.log('Run with --help to see available options');
             } else {
                 await runFullWorkflow();
@@ -977,4 +1002,26 @@ async function main() {
 }
 
 // Run the handler
-main();
\ No newline at end of file
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    main,
+    runFullWorkflow,
+    checkContributions,
+    validateContributions,
+    analyzeContributions,
+    planImplementation,
+    approveImplementation,
+    implementChanges,
+    archiveResults,
+    resumeWorkflow,
+    showStatus,
+    getContributions,
+    getAnalyzedContributions,
+    calculateReadiness,
+    loadWorkflowState,
+    initializeWorkflowState,
+    closeReadline
+};
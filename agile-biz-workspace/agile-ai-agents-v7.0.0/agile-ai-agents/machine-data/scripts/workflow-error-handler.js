@@ -6,6 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('../lock-service');
 
 // Error types
 const ERROR_TYPES = {
@@ -185,7 +186,7 @@ async function restoreFromCheckpoint(context) {
         
         // Restore state
         const stateFile = path.join(__dirname, '../../project-state/workflow-states/current-workflow.json');
-        fs.writeFileSync(stateFile, JSON.stringify(checkpointData, null, 2));
+        lockService.writeFileSync(stateFile, JSON.stringify(checkpointData, null, 2));
         
         return {
             success: true,
@@ -207,24 +208,28 @@ async function restoreFromCheckpoint(context) {
 async function resetCurrentPhase(context) {
     try {
         const stateFile = path.join(__dirname, '../../project-state/workflow-states/current-workflow.json');
-        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        // Read-modify-write under the state file's lock
+        const state = lockService.withLockSync(stateFile, () => {
+            const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
         
-        // Reset phase progress
-        state.phase_details = {
-            ...state.phase_details,
-            progress_percentage: 0,
-            documents_created: 0,
-            active_agents: [],
-            started_at: new Date().toISOString()
-        };
+            // Reset phase progress
+            state.phase_details = {
+                ...state.phase_details,
+                progress_percentage: 0,
+                documents_created: 0,
+                active_agents: [],
+                started_at: new Date().toISOString()
+            };
         
-        // Clear any approval gates for this phase
-        if (state.awaiting_approval) {
-            state.awaiting_approval = null;
-            state.can_resume = true;
-        }
+            // Clear any approval gates for this phase
+            if (state.awaiting_approval) {
+                state.awaiting_approval = null;
+                state.can_resume = true;
+            }
         
-        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+            lockService.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+            return state;
+        });
         
         return {
             success: true,
@@ -254,27 +259,31 @@ async function skipFailedAgent(error, context) {
     
     try {
         const stateFile = path.join(__dirname, '../../project-state/workflow-states/current-workflow.json');
-        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        // Read-modify-write under the state file's lock
+        const state = lockService.withLockSync(stateFile, () => {
+            const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
         
-        // Record skipped agent
-        if (!state.skipped_agents) {
-            state.skipped_agents = [];
-        }
+            // Record skipped agent
+            if (!state.skipped_agents) {
+                state.skipped_agents = [];
+            }
         
-        state.skipped_agents.push({
-            agent_name: failedAgent,
-            phase: state.current_phase,
-            reason: error.message,
-            timestamp: new Date().toISOString()
-        });
+            state.skipped_agents.push({
+                agent_name: failedAgent,
+                phase: state.current_phase,
+                reason: error.message,
+                timestamp: new Date().toISOString()
+            });
         
-        // Remove from active agents
-        if (state.phase_details.active_agents) {
-            state.phase_details.active_agents = state.phase_details.active_agents
-                .filter(a => a.name !== failedAgent);
-        }
+            // Remove from active agents
+            if (state.phase_details.active_agents) {
+                state.phase_details.active_agents = state.phase_details.active_agents
+                    .filter(a => a.name !== failedAgent);
+            }
         
-        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+            lockService.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+            return state;
+        });
         
         return {
             success: true,
@@ -323,24 +332,28 @@ async function retryOperation(error, context) {
 async function enterSafeMode(context) {
     try {
         const stateFile = path.join(__dirname, '../../project-state/workflow-states/current-workflow.json');
-        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        // Read-modify-write under the state file's lock
+        const state = lockService.withLockSync(stateFile, () => {
+            const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
         
-        // Mark workflow as in safe mode
-        state.safe_mode = {
-            enabled: true,
-            reason: 'Error recovery',
-            timestamp: new Date().toISOString(),
-            restrictions: [
-                'No parallel agent execution',
-                'Manual approval required for phase transitions',
-                'Limited to essential operations only'
-            ]
-        };
+            // Mark workflow as in safe mode
+            state.safe_mode = {
+                enabled: true,
+                reason: 'Error recovery',
+                timestamp: new Date().toISOString(),
+                restrictions: [
+                    'No parallel agent execution',
+                    'Manual approval required for phase transitions',
+                    'Limited to essential operations only'
+                ]
+            };
         
-        // Disable parallel mode
-        state.parallel_mode = false;
+            // Disable parallel mode
+            state.parallel_mode = false;
         
-        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+            lockService.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+            return state;
+        });
         
         return {
             success: true,
@@ -427,12 +440,12 @@ async function logError(errorLog) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const logFile = path.join(errorDir, `error-${timestamp}.json`);
     
-    fs.writeFileSync(logFile, JSON.stringify(errorLog, null, 2));
+    lockService.writeFileSync(logFile, JSON.stringify(errorLog, null, 2));
     
     // Also append to main error log
     const mainLog = path.join(errorDir, 'workflow-errors.log');
     const logEntry = `[${errorLog.context.timestamp}] ${errorLog.error.type}: ${errorLog.error.message}\n`;
-    fs.appendFileSync(mainLog, logEntry);
+    lockService.withLockSync(mainLog, () => fs.appendFileSync(mainLog, logEntry));
 }
 
 /**
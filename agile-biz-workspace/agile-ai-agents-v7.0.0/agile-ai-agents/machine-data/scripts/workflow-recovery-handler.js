@@ -6,6 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('../lock-service');
 const { 
     handleWorkflowError, 
     restoreFromCheckpoint, 
@@ -226,7 +227,7 @@ async function restoreCheckpoint(args) {
             
             const checkpointData = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
             const stateFile = path.join(__dirname, '../../project-state/workflow-states/current-workflow.json');
-            fs.writeFileSync(stateFile, JSON.stringify(checkpointData, null, 2));
+            lockService.writeFileSync(stateFile, JSON.stringify(checkpointData, null, 2));
             
             result = {
                 success: true,
@@ -709,12 +710,7 @@ async function importState(filename) {
             const backupName = `backup-before-import-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
             const backupPath = path.join(__dirname, '../../project-state/backups', backupName);
             
-            const backupDir = path.dirname(backupPath);
-            if (!fs.existsSync(backupDir)) {
-                fs.mkdirSync(backupDir, { recursive: true });
-            }
-            
-            fs.writeFileSync(backupPath, JSON.stringify(currentState, null, 2));
+            lockService.writeFileSync(backupPath, JSON.stringify(currentState, null, 2));
             console.log(`\n📦 Created backup: ${backupName}`);
         }
         
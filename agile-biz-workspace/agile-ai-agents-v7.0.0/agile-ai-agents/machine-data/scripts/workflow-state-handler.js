@@ -7,6 +7,7 @@
 const fs = require('fs');
 const path = require('path');
 const { handleWorkflowError, createWorkflowError, ERROR_TYPES } = require('./workflow-error-handler');
+const { lockService } = require('../lock-service');
 
 // State file paths
 const WORKFLOW_STATE_DIR = path.join(__dirname, '../../project-state/workflow-states');
@@ -22,6 +23,7 @@ const HISTORY_DIR = path.join(WORKFLOW_STATE_DIR, 'history');
 });
 
 // Workflow phase definitions
+// Not yet driven by the declarative engine; see machine-data/workflows/README.md (Scope)
 const WORKFLOW_PHASES = {
     'new-project': {
         phases: ['discovery', 'research', 'analysis', 'requirements', 'planning', 'backlog', 'scaffold', 'sprint'],
@@ -232,7 +234,7 @@ function createAutomaticCheckpoint(state, trigger) {
         const checkpointPath = path.join(CHECKPOINTS_DIR, `${checkpointName}.json`);
         
         // Save checkpoint
-        fs.writeFileSync(checkpointPath, JSON.stringify({
+        lockService.writeFileSync(checkpointPath, JSON.stringify({
             ...state,
             checkpoint_metadata: {
                 trigger,
@@ -315,7 +317,7 @@ function completePhase(phaseResults = {}) {
     
     // Save phase checkpoint
     const checkpointFile = path.join(CHECKPOINTS_DIR, `phase-${currentPhase}-complete.json`);
-    fs.writeFileSync(checkpointFile, JSON.stringify({
+    lockService.writeFileSync(checkpointFile, JSON.stringify({
         phase: currentPhase,
         completed_at: new Date().toISOString(),
         results: phaseResults,
@@ -377,7 +379,7 @@ function savePartialState(note = null) {
     
     const checkpointFile = path.join(CHECKPOINTS_DIR, 
         `phase-${state.current_phase}-partial-${Date.now()}.json`);
-    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint, null, 2));
+    lockService.writeFileSync(checkpointFile, JSON.stringify(checkpoint, null, 2));
     
     state.checkpoints.last_partial_save = checkpoint.timestamp;
     saveWorkflowState(state);
@@ -6,16 +6,75 @@
 const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
+const VersionManager = require('./version-manager');
+const AgentUpdateRollback = require('./scripts/agent-update-rollback');
+const { lockService } = require('./lock-service');
+const { createUnifiedDiff,applyUnifiedDiff, diffStats } = require('./utils/text-diff');
+
+// Metrics compared before/after an improvement and which direction is better
+const METRIC_DIRECTIONS = {
+  team_velocity: 'higher',
+  agent_velocity: 'higher',
+  completion_rate: 'higher',
+  estimation_accuracy: 'higher',
+  test_coverage: 'higher',
+  defects_found: 'lower'
+};
+
+const DEFAULT_SETTINGS = {
+  observation_window_sprints: 2,
+  regression_threshold_percent: 10,
+  auto_rollback: true
+};
 
 class SelfImprovementManager extends EventEmitter {
-  constructor(projectRoot) {
+  constructor(projectRoot, options = {}) {
     super();
     this.projectRoot = projectRoot;
     this.improvementLogPath = path.join(projectRoot, 'machine-data', 'self-improvements.json');
     this.proposalsPath = path.join(projectRoot, 'machine-data', 'improvement-proposals.json');
+    this.agentsPath = path.join(projectRoot, 'ai-agents');
+    this.settings = { ...DEFAULT_SETTINGS, ...this.loadSettings(), ...(options.settings || {}) };
+
+    this.versionManager = options.versionManager || new VersionManager(projectRoot);
+    this.rollback = options.rollback || new AgentUpdateRollback(projectRoot);
+    // Metric sources are loaded lazily; both read project documents on startup
+    this._metricsCollector = options.metricsCollector || null;
+    this._velocityTracker = options.velocityTracker || null;
+
     this.initializeStorage();
   }
 
+  /**
+   * Read community_learnings.self_improvement from project-state/configuration.json
+   */
+  loadSettings() {
+    const configPath = path.join(this.projectRoot, 'project-state', 'configuration.json');
+    try {
+      if (fs.existsSync(configPath)) {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return (config.community_learnings && config.community_learnings.self_improvement) || {};
+      }
+    } catch (error) {
+      console.error('⚠️  Could not read self-improvement settings:', error.message);
+    }
+    return {};
+  }
+
+  get metricsCollector() {
+    if (!this._metricsCollector) {
+      this._metricsCollector = require('./internal-metrics-collector').internalMetricsCollector;
+    }
+    return this._metricsCollector;
+  }
+
+  get velocityTracker() {
+    if (!this._velocityTracker) {
+      this._velocityTracker = require('./velocity-tracker').velocityTracker;
+    }
+    return this._velocityTracker;
+  }
+
   /**
    * Initialize storage files
    */
@@ -27,7 +86,8 @@ class SelfImprovementManager extends EventEmitter {
           total_proposals: 0,
           accepted_proposals: 0,
           successful_implementations: 0,
-          failed_implementations: 0
+          failed_implementations: 0,
+          rolled_back_implementations: 0
         }
       }, null, 2));
     }
@@ -54,6 +114,9 @@ class SelfImprovementManager extends EventEmitter {
       description: proposal.description,
       current_behavior: proposal.current_behavior,
       proposed_change: proposal.proposed_change,
+      // Optional concrete change: unified diff or { find, replace } edits to ai-agents/<agent>.md
+      patch: proposal.patch || null,
+      edits: proposal.edits || null,
       expected_impact: proposal.expected_impact,
       confidence_score: this.calculateProposalConfidence(proposal),
       risk_assessment: this.assessRisk(proposal),
@@ -62,9 +125,9 @@ class SelfImprovementManager extends EventEmitter {
     };
 
     // Save proposal
-    const proposals = JSON.parse(fs.readFileSync(this.proposalsPath, 'utf8'));
-    proposals.pending.push(enhancedProposal);
-    fs.writeFileSync(this.proposalsPath, JSON.stringify(proposals, null, 2));
+    lockService.updateJsonSync(this.proposalsPath, proposals => {
+      proposals.pending.push(enhancedProposal);
+    });
 
     // Update statistics
     this.updateStatistics('total_proposals', 1);
@@ -136,37 +199,41 @@ class SelfImprovementManager extends EventEmitter {
    * Learning Analysis Agent validates proposal
    */
   validateProposal(proposalId, validation) {
-    const proposals = JSON.parse(fs.readFileSync(this.proposalsPath, 'utf8'));
-    const proposalIndex = proposals.pending.findIndex(p => p.id === proposalId);
+    // Hold the proposals lock across the move so concurrent proposals are not lost
+    const proposal = lockService.withLockSync(this.proposalsPath, () => {
+      const proposals = JSON.parse(fs.readFileSync(this.proposalsPath, 'utf8'));
+      const proposalIndex = proposals.pending.findIndex(p => p.id === proposalId);
     
-    if (proposalIndex === -1) {
-      throw new Error(`Proposal ${proposalId} not found`);
-    }
+      if (proposalIndex === -1) {
+        throw new Error(`Proposal ${proposalId} not found`);
+      }
 
-    const proposal = proposals.pending[proposalIndex];
-    proposal.validation = {
-      timestamp: new Date().toISOString(),
-      approved: validation.approved,
-      reason: validation.reason,
-      modifications: validation.modifications || [],
-      implementation_priority: validation.priority || 'medium'
-    };
+      const proposal = proposals.pending[proposalIndex];
+      proposal.validation = {
+        timestamp: new Date().toISOString(),
+        approved: validation.approved,
+        reason: validation.reason,
+        modifications: validation.modifications || [],
+        implementation_priority: validation.priority || 'medium'
+      };
 
-    // Move to appropriate array
-    proposals.pending.splice(proposalIndex, 1);
-    if (validation.approved) {
-      proposal.status = 'approved';
-      proposals.approved.push(proposal);
-      this.updateStatistics('accepted_proposals', 1);
-    } else {
-      proposal.status = 'rejected';
-      proposals.rejected.push(proposal);
-    }
+      // Move to appropriate array
+      proposals.pending.splice(proposalIndex, 1);
+      if (validation.approved) {
+        proposal.status = 'approved';
+        proposals.approved.push(proposal);
+      } else {
+        proposal.status = 'rejected';
+        proposals.rejected.push(proposal);
+      }
 
-    fs.writeFileSync(this.proposalsPath, JSON.stringify(proposals, null, 2));
+      lockService.writeFileSync(this.proposalsPath, JSON.stringify(proposals, null, 2));
+      return proposal;
+    });
 
     // Emit event for implementation
     if (validation.approved) {
+      this.updateStatistics('accepted_proposals', 1);
       this.emit('proposal_approved', proposal);
     }
 
@@ -175,6 +242,8 @@ class SelfImprovementManager extends EventEmitter {
 
   /**
    * Implement approved improvement
+   * Edits ai-agents/<agent>.md, bumps the agent version and starts an observation
+   * window; evaluateImprovement() decides whether the change stays.
    */
   async implementImprovement(proposalId) {
     const proposals = JSON.parse(fs.readFileSync(this.proposalsPath, 'utf8'));
@@ -184,54 +253,63 @@ class SelfImprovementManager extends EventEmitter {
       throw new Error(`Approved proposal ${proposalId} not found`);
     }
 
+    // One change per agent at a time, so metrics and rollbacks stay attributable
+    const log = JSON.parse(fs.readFileSync(this.improvementLogPath, 'utf8'));
+    const observing = log.improvements.find(impl => impl.agent === proposal.agent && impl.status === 'observing');
+    if (observing) {
+      throw new Error(`${proposal.agent} is still observing ${observing.id}; evaluate it before applying another improvement`);
+    }
+
+    const windowSize = this.settings.observation_window_sprints;
+    const baselineSprints = this.completedSprintIds();
+
     const implementation = {
       id: this.generateImplementationId(),
       proposal_id: proposalId,
       agent: proposal.agent,
+      type: proposal.type,
+      expected_impact: proposal.expected_impact,
       started: new Date().toISOString(),
       changes: [],
-      metrics_before: await this.captureMetrics(proposal.agent),
+      metrics_before: await this.captureMetrics(proposal.agent, baselineSprints.slice(-windowSize)),
       status: 'in_progress'
     };
 
     try {
-      // Simulate implementation (in real system, this would update agent files)
+      implementation.backup = await this.rollback.createBackup(`Before self-improvement ${proposalId}`);
+      implementation.from_version = this.versionManager.getCurrentVersion(proposal.agent);
       implementation.changes = await this.applyChanges(proposal);
-      implementation.completed = new Date().toISOString();
-      implementation.status = 'completed';
-      
-      // Capture post-implementation metrics
-      implementation.metrics_after = await this.captureMetrics(proposal.agent);
-      
-      // Calculate success
-      implementation.success_metrics = this.calculateSuccess(
-        implementation.metrics_before,
-        implementation.metrics_after,
-        proposal.expected_impact
-      );
+      implementation.to_version = this.versionManager.updateAgentVersion(proposal.agent, {
+        source: `self-improvement-${proposalId}`,
+        changes: proposal.description,
+        impact: proposal.expected_impact || 'Under observation'
+      });
 
-      // Log implementation
-      this.logImplementation(implementation);
+      implementation.observation = {
+        window_sprints: windowSize,
+        regression_threshold_percent: this.settings.regression_threshold_percent,
+        baseline_sprint_count: baselineSprints.length,
+        sprints_observed: 0
+      };
+      implementation.status = 'observing';
 
-      // Update version if successful
-      if (implementation.success_metrics.success_rate > 0.7) {
-        this.emit('update_agent_version', {
-          agent: proposal.agent,
-          improvement: {
-            source: `self-improvement-${proposalId}`,
-            changes: proposal.description,
-            impact: implementation.success_metrics.summary
-          }
-        });
-        this.updateStatistics('successful_implementations', 1);
-      } else {
-        this.updateStatistics('failed_implementations', 1);
-      }
+      this.metricsCollector.trackImprovementImplementation({
+        action: implementation.id,
+        sprint_id: baselineSprints[baselineSprints.length - 1] || null,
+        category: proposal.type,
+        expected_impact: proposal.expected_impact
+      });
+
+      this.logImplementation(implementation);
+      this.emit('improvement_applied', implementation);
 
     } catch (error) {
       implementation.status = 'failed';
       implementation.error = error.message;
       implementation.completed = new Date().toISOString();
+      if (implementation.backup) {
+        this.restoreAgentFiles(implementation);
+      }
       this.logImplementation(implementation);
       this.updateStatistics('failed_implementations', 1);
     }
@@ -240,48 +318,225 @@ class SelfImprovementManager extends EventEmitter {
   }
 
   /**
-   * Apply changes from proposal
+   * Compare the observation window with the baseline once enough sprints have
+   * completed; regressions past the threshold are rolled back automatically
+   */
+  async evaluateImprovement(implementationId) {
+    const log = JSON.parse(fs.readFileSync(this.improvementLogPath, 'utf8'));
+    const implementation = log.improvements.find(impl => impl.id === implementationId);
+
+    if (!implementation) {
+      throw new Error(`Implementation ${implementationId} not found`);
+    }
+    if (implementation.status !== 'observing') {
+      return implementation;
+    }
+
+    const { window_sprints: windowSize, baseline_sprint_count: baselineCount } = implementation.observation;
+    const observed = this.completedSprintIds().slice(baselineCount, baselineCount + windowSize);
+    implementation.observation.sprints_observed = observed.length;
+
+    if (observed.length < windowSize) {
+      this.logImplementation(implementation);
+      return implementation;
+    }
+
+    implementation.metrics_after = await this.captureMetrics(implementation.agent, observed);
+    implementation.success_metrics = this.calculateSuccess(
+      implementation.metrics_before,
+      implementation.metrics_after,
+      implementation.expected_impact
+    );
+    implementation.completed = new Date().toISOString();
+
+    this.metricsCollector.measureImprovementEffectiveness(implementation.id, {
+      value: implementation.success_metrics.success_rate,
+      regressions: implementation.success_metrics.regressions
+    });
+
+    if (implementation.success_metrics.regressions.length > 0 && this.settings.auto_rollback) {
+      this.rollbackImprovement(implementation, `Regressed: ${implementation.success_metrics.regressions.join(', ')}`);
+      this.updateStatistics('rolled_back_implementations', 1);
+      this.updateStatistics('failed_implementations', 1);
+    } else {
+      implementation.status = 'completed';
+      this.versionManager.validateVersion(implementation.agent, implementation.to_version, implementation.success_metrics);
+      this.updateStatistics(
+        implementation.success_metrics.success_rate > 0.7 ? 'successful_implementations' : 'failed_implementations',
+        1
+      );
+      this.emit('improvement_validated', implementation);
+    }
+
+    this.logImplementation(implementation);
+    return implementation;
+  }
+
+  /**
+   * Evaluate every improvement still in its observation window (run at sprint end)
+   */
+  async evaluatePendingImprovements() {
+    const log = JSON.parse(fs.readFileSync(this.improvementLogPath, 'utf8'));
+    const results = [];
+    for (const impl of log.improvements.filter(i => i.status === 'observing')) {
+      results.push(await this.evaluateImprovement(impl.id));
+    }
+    return results;
+  }
+
+  /**
+   * Restore the agent from the pre-change backup and record the rollback
+   */
+  rollbackImprovement(implementation, reason) {
+    this.versionManager.rollbackVersion(implementation.agent, implementation.from_version, reason);
+    implementation.rollback = {
+      timestamp: new Date().toISOString(),
+      reason,
+      backup: implementation.backup,
+      restored: this.restoreAgentFiles(implementation)
+    };
+    implementation.status = 'rolled_back';
+
+    console.log(`↩️  Rolled back ${implementation.agent} to v${implementation.from_version}: ${reason}`);
+    this.emit('improvement_rolled_back', implementation);
+    return implementation;
+  }
+
+  restoreAgentFiles(implementation) {
+    try {
+      return this.rollback.rollbackAgent(implementation.backup, implementation.agent);
+    } catch (error) {
+      console.error(`❌ Could not restore ${implementation.agent}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Apply changes from proposal to ai-agents/<agent>.md
+   * A proposal may carry a unified `patch`, a list of `edits` ({ find, replace }),
+   * or neither, in which case the proposed change is added under "Learned Improvements".
    */
   async applyChanges(proposal) {
-    // In real implementation, this would modify agent files
-    // For now, simulate changes
+    const relativePath = path.join('ai-agents', `${proposal.agent}.md`);
+    const agentPath = path.join(this.agentsPath, `${proposal.agent}.md`);
+    if (!fs.existsSync(agentPath)) {
+      throw new Error(`Agent file not found: ${relativePath}`);
+    }
+
+    const original = fs.readFileSync(agentPath, 'utf8');
+    const modifications = (proposal.validation && proposal.validation.modifications) || [];
+    let updated;
+    let type;
+
+    if (proposal.patch) {
+      type = 'patch';
+      updated = applyUnifiedDiff(original, proposal.patch);
+    } else if (proposal.edits && proposal.edits.length > 0) {
+      type = 'edit';
+      updated = proposal.edits.reduce((content, edit) => {
+        if (!content.includes(edit.find)) {
+          throw new Error(`Edit target not found in ${relativePath}: "${edit.find}"`);
+        }
+        return content.replace(edit.find, edit.replace);
+      }, original);
+    } else {
+      type = 'behavior_update';
+      updated = this.addLearnedImprovement(original, proposal, modifications);
+    }
+
+    if (updated === original) {
+      throw new Error(`Proposal ${proposal.id} does not change ${relativePath}`);
+    }
+
+    fs.writeFileSync(agentPath, updated);
+
+    const diff = createUnifiedDiff(original, updated, {
+      fromFile: `a/${relativePath}`,
+      toFile: `b/${relativePath}`
+    });
+    const stats = diffStats(diff);
+
     const changes = [
       {
-        type: 'behavior_update',
-        location: `${proposal.agent}.md`,
+        type,
+        location: relativePath,
         description: proposal.proposed_change,
+        diff,
+        lines_added: stats.added,
+        lines_removed: stats.removed,
         timestamp: new Date().toISOString()
       }
     ];
 
-    if (proposal.validation.modifications.length > 0) {
-      proposal.validation.modifications.forEach(mod => {
-        changes.push({
-          type: 'modification',
-          description: mod,
-          timestamp: new Date().toISOString()
-        });
+    modifications.forEach(mod => {
+      changes.push({
+        type: 'modification',
+        description: mod,
+        timestamp: new Date().toISOString()
       });
-    }
+    });
 
     return changes;
   }
 
   /**
-   * Capture metrics for an agent
+   * Add a proposal to the agent's "Learned Improvements" section (created above Version History)
+   */
+  addLearnedImprovement(content, proposal, modifications = []) {
+    const heading = '## Learned Improvements';
+    const entry = [
+      `- **${proposal.description}** (${proposal.id})`,
+      `  - Change: ${proposal.proposed_change}`,
+      ...(proposal.current_behavior ? [`  - Replaces: ${proposal.current_behavior}`] : []),
+      ...modifications.map(mod => `  - ${mod}`)
+    ].join('\n');
+
+    const headingIndex = content.indexOf(`\n${heading}\n`);
+    if (headingIndex !== -1) {
+      const insertPoint = headingIndex + heading.length + 2;
+      return `${content.slice(0, insertPoint)}\n${entry}\n${content.slice(insertPoint)}`;
+    }
+
+    const section = `${heading}\n\n${entry}\n`;
+    const versionIndex = content.indexOf('\n## Version History');
+    if (versionIndex !== -1) {
+      return `${content.slice(0, versionIndex + 1)}${section}\n${content.slice(versionIndex + 1)}`;
+    }
+    return `${content.replace(/\n*$/, '')}\n\n${section}`;
+  }
+
+  /**
+   * Sprint IDs recorded by the velocity tracker, oldest first
+   */
+  completedSprintIds() {
+    return this.velocityTracker.velocityHistory.team_velocity.sprints.map(sprint => sprint.sprint_id);
+  }
+
+  /**
+   * Capture metrics for an agent over the given sprints
+   * Velocity comes from velocity-tracker, quality from InternalMetricsCollector sprint metrics.
    */
-  async captureMetrics(agent) {
-    // In real implementation, would capture actual metrics
-    // For now, return simulated metrics
+  async captureMetrics(agent, sprintIds) {
+    const history = this.velocityTracker.velocityHistory;
+    const teamSprints = history.team_velocity.sprints.filter(s => sprintIds.includes(s.sprint_id));
+    const agentSprints = ((history.agent_velocity[agent] || {}).sprints || []).filter(s => sprintIds.includes(s.sprint_id));
+    const sprintMetrics = this.metricsCollector.internalMetrics.sprint_metrics.filter(m => sprintIds.includes(m.sprint_id));
+
+    const average = values => {
+      const numbers = values.filter(v => typeof v === 'number' && !isNaN(v));
+      return numbers.length > 0 ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null;
+    };
+
     return {
-      performance: {
-        response_time: Math.random() * 1000,
-        token_usage: Math.floor(Math.random() * 10000),
-        error_rate: Math.random() * 0.1
-      },
-      quality: {
-        task_success_rate: 0.8 + Math.random() * 0.2,
-        user_satisfaction: 0.7 + Math.random() * 0.3
+      sprint_ids: sprintIds,
+      sample_size: teamSprints.length,
+      metrics: {
+        team_velocity: average(teamSprints.map(s => s.velocity)),
+        agent_velocity: average(agentSprints.map(s => s.points)),
+        completion_rate: average(sprintMetrics.map(m => m.velocity && m.velocity.completion_rate)),
+        estimation_accuracy: average(sprintMetrics.map(m => m.estimation && m.estimation.accuracy_rate)),
+        test_coverage: average(sprintMetrics.map(m => m.coverage && m.coverage.overall_coverage)),
+        defects_found: average(teamSprints.map(s => s.defects_found))
       },
       timestamp: new Date().toISOString()
     };
@@ -289,32 +544,53 @@ class SelfImprovementManager extends EventEmitter {
 
   /**
    * Calculate implementation success
+   * Only metrics present in both windows are compared; a metric that got worse by
+   * more than regression_threshold_percent counts as a regression.
    */
   calculateSuccess(before, after, expected) {
-    const metrics = {
-      performance_improvement: 
-        ((before.performance.response_time - after.performance.response_time) / 
-         before.performance.response_time * 100).toFixed(1),
-      token_reduction:
-        ((before.performance.token_usage - after.performance.token_usage) / 
-         before.performance.token_usage * 100).toFixed(1),
-      error_reduction:
-        ((before.performance.error_rate - after.performance.error_rate) / 
-         before.performance.error_rate * 100).toFixed(1),
-      quality_improvement:
-        ((after.quality.task_success_rate - before.quality.task_success_rate) / 
-         before.quality.task_success_rate * 100).toFixed(1)
-    };
+    const threshold = this.settings.regression_threshold_percent;
+    const metrics = {};
+
+    for (const [name, direction] of Object.entries(METRIC_DIRECTIONS)) {
+      const previous = before.metrics[name];
+      const current = after.metrics[name];
+      if (previous === null || previous === undefined || current === null || current === undefined) continue;
+
+      let change = previous === 0
+        ? (current === 0 ? 0 : Math.sign(current) * 100)
+        : (current - previous) / Math.abs(previous) * 100;
+      if (direction === 'lower') change = -change;
+
+      metrics[name] = {
+        before: previous,
+        after: current,
+        change_percent: parseFloat(change.toFixed(1))
+      };
+    }
 
-    // Calculate overall success rate
-    const improvements = Object.values(metrics).filter(v => parseFloat(v) > 0).length;
-    const success_rate = improvements / Object.keys(metrics).length;
+    const compared = Object.keys(metrics).length;
+    const improved = Object.values(metrics).filter(m => m.change_percent > 0).length;
+    const changed = Object.values(metrics).filter(m => m.change_percent !== 0).length;
+    const regressions = Object.keys(metrics).filter(name => metrics[name].change_percent <= -threshold);
+    // Metrics that did not move neither help nor hurt
+    const success_rate = changed > 0 ? improved / changed : 0;
+
+    let summary = compared > 0
+      ? `${improved} of ${compared} metrics improved`
+      : 'No comparable metrics in the observation window';
+    if (regressions.length > 0) {
+      summary += `; regressed: ${regressions.join(', ')}`;
+    }
 
     return {
-      ...metrics,
+      metrics,
+      compared,
+      improved,
+      regressions,
       success_rate,
-      meets_expectations: success_rate > 0.5,
-      summary: `${improvements} of ${Object.keys(metrics).length} metrics improved`
+      meets_expectations: success_rate > 0.5 && regressions.length === 0,
+      expected_impact: expected,
+      summary
     };
   }
 
@@ -322,24 +598,28 @@ class SelfImprovementManager extends EventEmitter {
    * Log implementation details
    */
   logImplementation(implementation) {
-    const log = JSON.parse(fs.readFileSync(this.improvementLogPath, 'utf8'));
-    log.improvements.push(implementation);
-    
-    // Keep last 100 implementations
-    if (log.improvements.length > 100) {
-      log.improvements = log.improvements.slice(-100);
-    }
+    lockService.updateJsonSync(this.improvementLogPath, log => {
+      const existing = log.improvements.findIndex(impl => impl.id === implementation.id);
+      if (existing !== -1) {
+        log.improvements[existing] = implementation;
+      } else {
+        log.improvements.push(implementation);
+      }
 
-    fs.writeFileSync(this.improvementLogPath, JSON.stringify(log, null, 2));
+      // Keep last 100 implementations
+      if (log.improvements.length > 100) {
+        log.improvements = log.improvements.slice(-100);
+      }
+    });
   }
 
   /**
    * Update statistics
    */
   updateStatistics(field, increment) {
-    const log = JSON.parse(fs.readFileSync(this.improvementLogPath, 'utf8'));
-    log.statistics[field] += increment;
-    fs.writeFileSync(this.improvementLogPath, JSON.stringify(log, null, 2));
+    lockService.updateJsonSync(this.improvementLogPath, log => {
+      log.statistics[field] = (log.statistics[field] || 0) + increment;
+    });
   }
 
   /**
@@ -365,8 +645,25 @@ class SelfImprovementManager extends EventEmitter {
         patterns.by_agent[impl.agent].successful++;
       }
 
-      // Success/failure patterns
-      if (impl.success_metrics?.success_rate > 0.8) {
+      // By type
+      const type = impl.type || 'unknown';
+      patterns.by_type[type] = patterns.by_type[type] || { total: 0, successful: 0, rolled_back: 0 };
+      patterns.by_type[type].total++;
+      if (impl.status === 'completed' && impl.success_metrics?.success_rate > 0.7) {
+        patterns.by_type[type].successful++;
+      }
+      if (impl.status === 'rolled_back') {
+        patterns.by_type[type].rolled_back++;
+      }
+
+      // Success/failure patterns (implementations still observing have no verdict yet)
+      if (impl.status === 'rolled_back' || impl.status === 'failed') {
+        patterns.failure_patterns.push({
+          agent: impl.agent,
+          type: impl.type,
+          reason: impl.rollback?.reason || impl.error || 'Implementation failed'
+        });
+      } else if (impl.success_metrics?.success_rate > 0.8) {
         patterns.success_patterns.push({
           agent: impl.agent,
           type: impl.type,
@@ -376,7 +673,7 @@ class SelfImprovementManager extends EventEmitter {
         patterns.failure_patterns.push({
           agent: impl.agent,
           type: impl.type,
-          reason: impl.error || 'Low success rate'
+          reason: 'Low success rate'
         });
       }
     });
@@ -487,7 +784,21 @@ if (require.main === module) {
       console.log('✅ Proposal created:', proposal.id);
       break;
 
+    case 'implement':
+      manager.implementImprovement(process.argv[3]).then(impl => {
+        console.log(`${impl.status === 'observing' ? '✅' : '❌'} ${impl.id}: ${impl.status}${impl.error ? ` (${impl.error})` : ''}`);
+      });
+      break;
+
+    case 'evaluate':
+      manager.evaluatePendingImprovements().then(results => {
+        results.forEach(impl => {
+          console.log(`${impl.id} (${impl.agent}): ${impl.status}${impl.success_metrics ? ` - ${impl.success_metrics.summary}` : ''}`);
+        });
+      });
+      break;
+
     default:
-      console.log('Commands: report, propose');
+      console.log('Commands: report, propose, implement <proposal-id>, evaluate');
   }
 }
\ No newline at end of file
@@ -8,6 +8,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { lockService } = require('./lock-service');
 const execAsync = promisify(exec);
 
 class ServiceDetector {
@@ -347,7 +348,7 @@ class ServiceDetector {
     const stateFile = path.join(statePath, 'service-availability.json');
     const report = this.generateServiceReport();
     
-    await fs.writeFile(stateFile, JSON.stringify(report, null, 2));
+    lockService.writeFileSync(stateFile, JSON.stringify(report, null, 2));
     console.log(`💾 Service availability saved to: ${path.basename(stateFile)}`);
     
     return report;
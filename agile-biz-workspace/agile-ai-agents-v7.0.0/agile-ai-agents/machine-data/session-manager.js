@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const { stateTracker } = require('./state-tracker');
+const { lockService } = require('./lock-service');
 
 class SessionManager {
   constructor() {
@@ -202,11 +203,11 @@ class SessionManager {
       
       // Save handoff document
       const handoffPath = path.join(this.basePath, 'project-state', `${handoff.id}.json`);
-      fs.writeFileSync(handoffPath, JSON.stringify(handoff, null, 2));
+      lockService.writeFileSync(handoffPath,JSON.stringify(handoff, null, 2));
       
       // Generate markdown summary
       const markdownPath = path.join(this.basePath, 'project-state', `${handoff.id}.md`);
-      fs.writeFileSync(markdownPath, this.generateHandoffMarkdown(handoff));
+      lockService.writeFileSync(markdownPath,this.generateHandoffMarkdown(handoff));
       
       // Update current session
       this.currentSession.handoff_to = recipientName;
@@ -0,0 +1,394 @@
+/**
+ * Similarity Index
+ * Shared local index for "find things like this" across stories, decisions,
+ * retrospectives, learnings and estimation history
+ *
+ * Items are ranked with BM25 and scored by TF-IDF cosine similarity, optionally
+ * blended with local embedding vectors. The index is persisted under machine-data
+ * and updated incrementally: only items whose content hash changed are re-indexed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BM25Index = require('./research-providers/bm25-index');
+const { tokenize } = require('./research-providers/text-utils');
+const { lockService } = require('./lock-service');
+
+// Item types searched by /find-similar
+const SEARCHABLE_TYPES = ['story', 'decision', 'retrospective', 'learning'];
+
+/**
+ * Local embedding: hashed character trigrams of each term, L2-normalized.
+ * Catches near-miss wording ("authenticate" / "authentication") that exact terms miss.
+ * @param {number} dimensions - Vector length
+ * @returns {Function} text => number[]
+ */
+function createHashingEmbedder(dimensions = 256) {
+  const embed = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    for (const term of tokenize(text)) {
+      const padded = `#${term}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        const hash = crypto.createHash('md5').update(padded.slice(i, i + 3)).digest().readUInt32LE(0);
+        vector[hash % dimensions] += 1;
+      }
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => Math.round(value / norm * 10000) / 10000);
+  };
+  embed.embedderName = `hashing-${dimensions}`;
+  return embed;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class SimilarityIndex {
+  /**
+   * @param {Object} options - { indexPath, embedder: null | 'hashing' | text => number[], embeddingWeight, sources }
+   */
+  constructor(options = {}) {
+    this.basePath = path.join(__dirname, '..');
+    this.indexPath = options.indexPath || path.join(
+      this.basePath,
+      'machine-data',
+      'project-documents-json',
+      '00-orchestration',
+      'similarity-index.json'
+    );
+    this.embedder = options.embedder === 'hashing' ? createHashingEmbedder() : (options.embedder || null);
+    this.embedderName = this.embedder ? (this.embedder.embedderName || 'custom') : null;
+    // Share of the score taken from embeddings when an embedder is configured
+    this.embeddingWeight = options.embeddingWeight !== undefined ? options.embeddingWeight : 0.5;
+    // type => () => [{ key, title, text, metadata }]; defaults read the project stores
+    this.sources = options.sources || this.defaultSources();
+
+    this.items = new Map();
+    this.bm25 = new BM25Index();
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Reload from disk when another process changed the index
+   */
+  load() {
+    if (!fs.existsSync(this.indexPath)) {
+      if (this.loadedMtime !== null) this.reset({});
+      this.loadedMtime = null;
+      return this;
+    }
+
+    const mtime = fs.statSync(this.indexPath).mtimeMs;
+    if (mtime === this.loadedMtime) return this;
+
+    try {
+      this.reset(JSON.parse(fs.readFileSync(this.indexPath, 'utf8')).items || {});
+      this.loadedMtime = mtime;
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable similarity index: ${error.message}`);
+      this.reset({});
+    }
+    return this;
+  }
+
+  reset(items) {
+    this.items = new Map();
+    this.bm25 = new BM25Index();
+    Object.values(items).forEach(item => this.indexItem(item));
+  }
+
+  indexItem(item) {
+    const id = this.itemId(item.type, item.key);
+    if (this.embedder && item.embedder !== this.embedderName) {
+      item = { ...item, vector: this.embedder(item.text), embedder: this.embedderName };
+    }
+    this.items.set(id, item);
+    this.bm25.add(id, item.text);
+  }
+
+  unindexItem(id) {
+    this.items.delete(id);
+    this.bm25.remove(id);
+  }
+
+  itemId(type, key) {
+    return `${type}:${key}`;
+  }
+
+  hashOf(text, metadata) {
+    return crypto.createHash('sha256').update(JSON.stringify([text, metadata || {}])).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Add or update one item; unchanged content is not re-indexed
+   * @returns {boolean} Whether the index changed
+   */
+  upsert(type, key, { title = '', text = '', metadata = {} } = {}) {
+    return this.applyChanges(this.diff(type, [{ key, title, text, metadata }], false)) > 0;
+  }
+
+  remove(type, key) {
+    this.load();
+    const id = this.itemId(type, key);
+    if (!this.items.has(id)) return false;
+    return this.applyChanges([{ id, item: null }]) > 0;
+  }
+
+  /**
+   * Make the indexed items of one type match the given list
+   * @returns {number} Items added, updated or removed
+   */
+  sync(type, items) {
+    return this.applyChanges(this.diff(type, items, true));
+  }
+
+  diff(type, items, removeMissing) {
+    this.load();
+    const changes = [];
+    const seen = new Set();
+
+    for (const entry of items) {
+      const id = this.itemId(type, entry.key);
+      const text = [entry.title, entry.text].filter(Boolean).join('\n');
+      const hash = this.hashOf(text, entry.metadata);
+      seen.add(id);
+
+      const existing = this.items.get(id);
+      if (existing && existing.hash === hash) continue;
+      changes.push({
+        id,
+        item: {
+          type,
+          key: entry.key,
+          title: entry.title || '',
+          text,
+          metadata: entry.metadata || {},
+          hash,
+          updated_at: new Date().toISOString()
+        }
+      });
+    }
+
+    if (removeMissing) {
+      for (const [id, item] of this.items) {
+        if (item.type === type && !seen.has(id)) changes.push({ id, item: null });
+      }
+    }
+    return changes;
+  }
+
+  applyChanges(changes) {
+    if (changes.length === 0) return 0;
+
+    for (const { id, item } of changes) {
+      if (item) this.indexItem(item);
+      else this.unindexItem(id);
+    }
+
+    lockService.updateJsonSync(this.indexPath, data => {
+      data.items = data.items || {};
+      for (const { id } of changes) {
+        if (this.items.has(id)) data.items[id] = this.items.get(id);
+        else delete data.items[id];
+      }
+      data.updated_at = new Date().toISOString();
+      return data;
+    }, { items: {} });
+    this.loadedMtime = fs.statSync(this.indexPath).mtimeMs;
+    return changes.length;
+  }
+
+  /**
+   * TF-IDF weights of a term frequency map, using this index's document frequencies
+   */
+  weights(frequencies) {
+    const vector = new Map();
+    for (const [term, tf] of frequencies) {
+      vector.set(term, (1 + Math.log(tf)) * this.bm25.idf(term));
+    }
+    return vector;
+  }
+
+  frequenciesOf(text) {
+    const frequencies = new Map();
+    for (const term of tokenize(text)) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return frequencies;
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [term, weight] of a) {
+      normA += weight * weight;
+      if (b.has(term)) dot += weight * b.get(term);
+    }
+    for (const weight of b.values()) normB += weight * weight;
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  vectorCosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  blend(termScore, queryVector, itemVector) {
+    if (!this.embedder) return termScore;
+    const embedded = this.vectorCosine(queryVector, itemVector);
+    return (1 - this.embeddingWeight) * termScore + this.embeddingWeight * embedded;
+  }
+
+  /**
+   * Similarity of two free texts in [0, 1], weighted by the indexed corpus
+   */
+  compare(text1, text2) {
+    this.load();
+    const termScore = this.cosine(
+      this.weights(this.frequenciesOf(text1)),
+      this.weights(this.frequenciesOf(text2))
+    );
+    if (!this.embedder) return round(termScore);
+    return round(this.blend(termScore, this.embedder(String(text1 || '')), this.embedder(String(text2 || ''))));
+  }
+
+  /**
+   * Indexed items most similar to the text, best first
+   * @param {Object} options - { types, limit, minScore, exclude: [{type, key}] }
+   * @returns {Array<{type, key, title, metadata, score, bm25}>}
+   */
+  search(text, options = {}) {
+    this.load();
+    const types = options.types ? new Set(options.types) : null;
+    const excluded = new Set((options.exclude || []).map(item => this.itemId(item.type, item.key)));
+    const limit = options.limit || 10;
+    const minScore = options.minScore || 0;
+
+    const bm25 = new Map(this.bm25.search(text, this.bm25.size).map(hit => [hit.id, hit.score]));
+    // Embeddings can match items that share no terms with the query
+    const candidates = this.embedder ? Array.from(this.items.keys()) : Array.from(bm25.keys());
+    const queryWeights = this.weights(this.frequenciesOf(text));
+    const queryVector = this.embedder ? this.embedder(String(text || '')) : null;
+
+    return candidates
+      .map(id => this.items.get(id))
+      .filter(item => (!types || types.has(item.type)) && !excluded.has(this.itemId(item.type, item.key)))
+      .map(item => {
+        const id = this.itemId(item.type, item.key);
+        const termScore = this.cosine(queryWeights, this.weights(this.bm25.get(id).frequencies));
+        return {
+          type: item.type,
+          key: item.key,
+          title: item.title,
+          metadata: item.metadata,
+          score: round(this.blend(termScore, queryVector, item.vector)),
+          bm25: bm25.get(id) || 0
+        };
+      })
+      .filter(hit => hit.score > minScore)
+      .sort((a, b) => b.score - a.score || b.bm25 - a.bm25)
+      .slice(0, limit);
+  }
+
+  /**
+   * Re-sync every registered source, then search them together
+   */
+  findSimilar(text, options = {}) {
+    const types = options.types || SEARCHABLE_TYPES;
+    const synced = {};
+    for (const type of types) {
+      if (!this.sources[type]) continue;
+      try {
+        synced[type] = this.sync(type, this.sources[type]());
+      } catch (error) {
+        console.warn(`⚠️ Could not index ${type} items: ${error.message}`);
+      }
+    }
+    return { synced, results: this.search(text, { ...options, types }) };
+  }
+
+  /**
+   * Project stores behind each searchable type; required lazily to avoid load cycles
+   */
+  defaultSources() {
+    return {
+      story: () => {
+        const { storyTracker } = require('./story-tracker');
+        return storyTracker.store.getStories(story => story.status !== 'split').map(({ story }) => ({
+          key: story.id,
+          title: story.title,
+          text: [story.description, story.user_story_format, ...(story.acceptance_criteria || [])].join('\n'),
+          metadata: { status: story.status, sprint_id: story.sprint_id || null, story_points: story.story_points }
+        }));
+      },
+      decision: () => {
+        const { decisionLogger } = require('./decision-logger');
+        return decisionLogger.decisionLog.decisions.map(decision => decisionLogger.similarityItem(decision));
+      },
+      retrospective: () => {
+        const { retrospectiveInsights } = require('./retrospective-insights');
+        const dir = retrospectiveInsights.retrospectivesPath;
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+          .filter(name => name.endsWith('_retrospective.json'))
+          .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')).retrospective)
+          .map(retro => ({
+            key: retro.sprint_id,
+            title: `Sprint ${retro.sprint_id} retrospective`,
+            text: this.flattenText([
+              retro.velocity_insights, retro.estimation_insights, retro.blocker_insights,
+              retro.collaboration_insights, retro.improvement_actions, retro.key_learnings,
+              retro.success_patterns, retro.anti_patterns
+            ]),
+            metadata: { sprint_id: retro.sprint_id }
+          }));
+      },
+      learning: () => {
+        const learningsPath = path.join(this.basePath, 'machine-data', 'captured-learnings.json');
+        if (!fs.existsSync(learningsPath)) return [];
+        return JSON.parse(fs.readFileSync(learningsPath, 'utf8')).learnings.map(learning => ({
+          key: learning.id,
+          title: learning.feature_name || `${learning.type} learning`,
+          text: this.flattenText(learning.data),
+          metadata: { type: learning.type, agent: learning.agent || null, timestamp: learning.timestamp }
+        }));
+      }
+    };
+  }
+
+  /**
+   * All string values of a nested structure, one per line
+   */
+  flattenText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.map(entry => this.flattenText(entry)).filter(Boolean).join('\n');
+    if (typeof value === 'object') return this.flattenText(Object.values(value));
+    return '';
+  }
+}
+
+// Export singleton instance
+const similarityIndex = new SimilarityIndex();
+
+module.exports = {
+  SimilarityIndex,
+  similarityIndex,
+  createHashingEmbedder,
+  SEARCHABLE_TYPES,
+
+  // Convenience exports
+  findSimilar: (text, options) => similarityIndex.findSimilar(text, options),
+  compareText: (text1, text2) => similarityIndex.compare(text1, text2)
+};
@@ -8,6 +8,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { countDocumentTokens } = require('./tokenizer');
 
 class SmartContextLoader {
   constructor() {
@@ -260,10 +261,10 @@ class SmartContextLoader {
   }
 
   /**
-   * Estimate token count
+   * Token count for loaded content (cached by content hash)
    */
   estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+    return countDocumentTokens(text);
   }
 
   /**
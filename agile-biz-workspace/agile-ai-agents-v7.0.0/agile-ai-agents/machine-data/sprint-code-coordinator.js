@@ -6,13 +6,14 @@
 const SubAgentOrchestrator = require('./sub-agent-orchestrator');
 const TokenBudgetManager = require('./token-budget-manager');
 const DocumentRegistryManager = require('./document-registry-manager');
+const { dependencyGraph } = require('./dependency-graph');
 const fs = require('fs').promises;
 const path = require('path');
 
 class SprintCodeCoordinator {
   constructor() {
-    this.orchestrator = new SubAgentOrchestrator();
     this.tokenManager = new TokenBudgetManager();
+    this.orchestrator = new SubAgentOrchestrator({ tokenManager: this.tokenManager });
     this.registryManager = new DocumentRegistryManager();
     this.sprintBasePath = path.join(__dirname, '..', 'project-documents', 'orchestration', 'sprints');
     this.maxParallelCoders = 3;
@@ -116,6 +117,12 @@ class SprintCodeCoordinator {
       }
     }
 
+    // Declared story dependencies: cycles and the chain that bounds the sprint
+    dependencies.graph = dependencyGraph.analyze(stories);
+    for (const cycle of dependencies.graph.cycles) {
+      console.warn(`⚠️ Sprint backlog has a dependency cycle: ${cycle.join(' → ')}`);
+    }
+
     return dependencies;
   }
 
@@ -374,7 +381,8 @@ class SprintCodeCoordinator {
         taskType: 'coding',
         complexity: this.assessComplexity(assignment),
         documentCount: assignment.stories.length,
-        priority: 'high'
+        priority: 'high',
+        context: storyDetails
       });
       
       packages.push({
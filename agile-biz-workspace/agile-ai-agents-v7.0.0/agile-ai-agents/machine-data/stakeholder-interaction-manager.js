@@ -5,13 +5,15 @@
 
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
+const { createResponseChannel } = require('./stakeholder-response-channel');
 
 class StakeholderInteractionManager {
-  constructor(projectRoot) {
+  constructor(projectRoot, options = {}) {
     this.projectRoot = projectRoot;
     this.interactionLogPath = path.join(projectRoot, 'machine-data', 'stakeholder-interactions.json');
     this.promptConfigPath = path.join(projectRoot, 'machine-data', 'contribution-prompts.json');
+    // tty, dashboard inbox or scripted answers (see stakeholder-response-channel.js)
+    this.channel = options.channel || createResponseChannel(projectRoot);
     this.initializeConfig();
   }
 
@@ -105,11 +107,7 @@ from the past week's development? (yes/no): `,
       contribution_generated: false
     };
 
-    // In real implementation, this would show interactive prompt
-    // For now, simulate the interaction
-    console.log('\n' + interaction.prompt_shown);
-    
-    const response = await this.getUserResponse();
+    const response = await this.getUserResponse(interaction, prompt);
     interaction.response = response;
 
     if (response.toLowerCase() === 'yes') {
@@ -142,9 +140,7 @@ from the past week's development? (yes/no): `,
       contribution_generated: false
     };
 
-    console.log('\n' + interaction.prompt_shown);
-    
-    const response = await this.getUserResponse();
+    const response = await this.getUserResponse(interaction, prompt);
     interaction.response = response;
 
     if (response.toLowerCase() === 'yes') {
@@ -234,16 +230,24 @@ from the past week's development? (yes/no): `,
   }
 
   /**
-   * Get user response (simulated for now)
+   * Ask the stakeholder through the response channel.
+   * Timeouts fall back to the prompt's default_decision ("no" unless configured).
    */
-  async getUserResponse() {
-    // In real implementation, this would be interactive
-    // For testing, simulate random responses
-    const responses = ['yes', 'no'];
-    const response = responses[Math.floor(Math.random() * responses.length)];
-    
-    console.log(`User response: ${response}\n`);
-    return response;
+  async getUserResponse(interaction, promptConfig = {}) {
+    const result = await this.channel.ask({
+      id: interaction.id,
+      key: interaction.type,
+      type: interaction.type,
+      question: interaction.prompt_shown,
+      options: ['yes', 'no'],
+      defaultDecision: promptConfig.default_decision || 'no',
+      timeoutMs: promptConfig.timeout_seconds ? promptConfig.timeout_seconds * 1000 : undefined
+    });
+
+    interaction.response_source = result.source;
+    interaction.timed_out = result.timed_out;
+    interaction.answered_by = result.answered_by;
+    return result.answer || 'no';
   }
 
   /**
@@ -478,7 +482,7 @@ if (require.main === module) {
         sprint_number: 3,
         completed_tasks: 25,
         velocity: 45
-      });
+      }).finally(() => manager.channel.close());
       break;
 
     default:
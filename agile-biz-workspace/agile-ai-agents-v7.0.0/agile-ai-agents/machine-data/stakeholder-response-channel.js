@@ -0,0 +1,409 @@
+/**
+ * Stakeholder Response Channel
+ * Collects real stakeholder answers for contribution prompts and interviews.
+ *
+ * Channels:
+ *   tty    - interactive terminal through commands/utils/prompt-utils
+ *   inbox  - file inbox (pending/<id>.json, answers/<id>.json) the dashboard writes to
+ *   script - scripted answers file, used by tests and unattended runs
+ *
+ * Every prompt gets a timeout; when nobody answers the configured default
+ * decision is used. Each prompt and its answer is appended to a JSONL record.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { lockService } = require('./lock-service');
+
+const CHANNEL_TYPES = ['tty', 'inbox', 'script'];
+
+const DEFAULT_SETTINGS = {
+  response_channel: 'auto',
+  timeout_seconds: 600,
+  inbox_path: 'project-state/stakeholder-inbox',
+  answers_file: null,
+  record_path: 'project-state/stakeholder-responses.jsonl',
+  default_decisions: {}
+};
+
+/**
+ * Read the stakeholder_interaction section of project-state/configuration.json
+ */
+function loadSettings(projectRoot) {
+  const configPath = path.join(projectRoot, 'project-state', 'configuration.json');
+  let configured = {};
+  try {
+    if (fs.existsSync(configPath)) {
+      configured = JSON.parse(fs.readFileSync(configPath, 'utf8')).stakeholder_interaction || {};
+    }
+  } catch (error) {
+    console.error('⚠️  Could not read stakeholder_interaction settings:', error.message);
+  }
+  return {
+    ...DEFAULT_SETTINGS,
+    ...configured,
+    default_decisions: { ...DEFAULT_SETTINGS.default_decisions, ...(configured.default_decisions || {}) }
+  };
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+}
+
+/**
+ * Base channel: timeouts, defaults, answer normalization and the record
+ */
+class StakeholderResponseChannel {
+  constructor(projectRoot, settings = {}) {
+    this.projectRoot = projectRoot;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.recordPath = path.resolve(projectRoot, this.settings.record_path);
+  }
+
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Ask the stakeholder one question.
+   * prompt: { key, type, question, options, defaultDecision, timeoutMs, context }
+   * Resolves to the persisted record entry ({ answer, source, timed_out, ... })
+   */
+  async ask(prompt) {
+    const request = this.buildRequest(prompt);
+    let raw;
+    let timedOut = false;
+
+    try {
+      raw = await this.withTimeout(this.collect(request), request.timeout_ms, () => this.cancel(request));
+      timedOut = raw === undefined;
+    } catch (error) {
+      console.error(`❌ Stakeholder channel "${this.name}" failed:`, error.message);
+      raw = undefined;
+    }
+
+    const normalized = raw === undefined ? null : this.normalizeAnswer(request, raw);
+    const useDefault = normalized === null;
+
+    const entry = {
+      ...request,
+      answer: useDefault ? request.default_decision : normalized,
+      raw_answer: raw === undefined ? null : raw,
+      source: useDefault ? 'default' : 'stakeholder',
+      timed_out: timedOut,
+      answered_by: (!useDefault && request.answered_by) || null,
+      answered_at: new Date().toISOString()
+    };
+    delete entry.timeout_ms;
+
+    if (useDefault) {
+      const reason = timedOut ? `no answer within ${Math.round(request.timeout_ms / 1000)}s` : 'answer not recognised';
+      console.log(`⏱️  ${reason}, using default decision: ${entry.answer === null ? '(none)' : entry.answer}`);
+    }
+
+    this.record(entry);
+    return entry;
+  }
+
+  buildRequest(prompt) {
+    const question = prompt.question || String(prompt);
+    const key = prompt.key || slugify(question);
+    const type = prompt.type || 'question';
+    const decisions = this.settings.default_decisions || {};
+    const configuredDefault = decisions[key] !== undefined ? decisions[key] : decisions[type];
+
+    return {
+      id: prompt.id || `SR-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      key,
+      type,
+      question,
+      options: prompt.options || null,
+      default_decision: configuredDefault !== undefined ? configuredDefault
+        : (prompt.defaultDecision !== undefined ? prompt.defaultDecision : null),
+      context: prompt.context || null,
+      channel: this.name,
+      asked_at: new Date().toISOString(),
+      timeout_ms: prompt.timeoutMs || this.settings.timeout_seconds * 1000
+    };
+  }
+
+  /**
+   * Map a raw answer onto the allowed options: exact, "y"/"n" shorthand or 1-based index.
+   * Returns null when the answer cannot be used.
+   */
+  normalizeAnswer(request, raw) {
+    const text = String(raw).trim();
+    if (text === '') return null;
+    if (!request.options) return text;
+
+    const lower = text.toLowerCase();
+    const exact = request.options.find(option => option.toLowerCase() === lower);
+    if (exact) return exact;
+
+    const shorthand = { y: 'yes', n: 'no', m: 'maybe' }[lower];
+    if (shorthand && request.options.includes(shorthand)) return shorthand;
+
+    const index = parseInt(text, 10);
+    if (String(index) === text && index >= 1 && index <= request.options.length) {
+      return request.options[index - 1];
+    }
+    return null;
+  }
+
+  withTimeout(promise, timeoutMs, onTimeout) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => {
+        onTimeout();
+        resolve(undefined);
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Subclasses resolve with the raw answer, or undefined when there is none
+   */
+  async collect(request) {
+    throw new Error('collect() must be implemented by the channel');
+  }
+
+  cancel(request) {}
+
+  record(entry) {
+    try {
+      lockService.withLockSync(this.recordPath, () => {
+        fs.mkdirSync(path.dirname(this.recordPath), { recursive: true });
+        fs.appendFileSync(this.recordPath, JSON.stringify(entry) + '\n');
+      });
+    } catch (error) {
+      console.error('⚠️  Could not record stakeholder response:', error.message);
+    }
+  }
+
+  /**
+   * Previously recorded prompts and answers, oldest first
+   */
+  history(limit = 100) {
+    if (!fs.existsSync(this.recordPath)) return [];
+    return fs.readFileSync(this.recordPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .slice(-limit);
+  }
+
+  close() {}
+}
+
+/**
+ * Interactive terminal answers via prompt-utils
+ */
+class TtyResponseChannel extends StakeholderResponseChannel {
+  constructor(projectRoot, settings = {}, promptUtils = null) {
+    super(projectRoot, settings);
+    this.promptUtils = promptUtils || require('./commands/utils/prompt-utils');
+  }
+
+  get name() {
+    return 'tty';
+  }
+
+  async collect(request) {
+    let message = request.question.replace(/[\s:]+$/, '');
+    if (request.options && request.options.length > 3) {
+      const defaultIndex = Math.max(0, request.options.indexOf(request.default_decision));
+      const index = await this.promptUtils.select(message, request.options, defaultIndex);
+      return request.options[index];
+    }
+    if (request.options && !/\([^)]*\/[^)]*\)$/.test(message)) {
+      message += ` (${request.options.join('/')})`;
+    }
+    // An empty answer falls back to the default decision
+    return this.promptUtils.prompt(message, request.default_decision || '');
+  }
+
+  cancel() {
+    // Release stdin so a timed-out prompt does not keep the process alive
+    this.promptUtils.closeReadline();
+  }
+
+  close() {
+    this.promptUtils.closeReadline();
+  }
+}
+
+/**
+ * File inbox: the prompt is written to pending/<id>.json and the dashboard
+ * (or anyone with file access) answers by writing answers/<id>.json
+ */
+class InboxResponseChannel extends StakeholderResponseChannel {
+  constructor(projectRoot, settings = {}) {
+    super(projectRoot, settings);
+    this.inboxPath = path.resolve(projectRoot, this.settings.inbox_path);
+    this.pendingPath = path.join(this.inboxPath, 'pending');
+    this.answersPath = path.join(this.inboxPath, 'answers');
+    this.pollInterval = settings.poll_interval_ms || 1000;
+    this.cancelled = new Set();
+  }
+
+  get name() {
+    return 'inbox';
+  }
+
+  async collect(request) {
+    fs.mkdirSync(this.pendingPath, { recursive: true });
+    fs.mkdirSync(this.answersPath, { recursive: true });
+
+    const pendingFile = path.join(this.pendingPath, `${request.id}.json`);
+    const answerFile = path.join(this.answersPath, `${request.id}.json`);
+    const { timeout_ms, ...pending } = request;
+    pending.expires_at = new Date(Date.now() + timeout_ms).toISOString();
+    lockService.writeFileSync(pendingFile, JSON.stringify(pending, null, 2));
+
+    console.log(`\n❓ ${request.question}`);
+    console.log(`📥 Waiting for an answer in the dashboard inbox (${request.id})...`);
+
+    try {
+      while (!this.cancelled.has(request.id)) {
+        const answer = fs.existsSync(answerFile) && lockService.withLockSync(answerFile, () => {
+          if (!fs.existsSync(answerFile)) return null;
+          const value = JSON.parse(fs.readFileSync(answerFile, 'utf8'));
+          fs.unlinkSync(answerFile);
+          return value;
+        });
+        if (answer) {
+          request.answered_by = answer.answered_by || null;
+          return answer.answer;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      }
+      return undefined;
+    } finally {
+      this.cancelled.delete(request.id);
+      lockService.withLockSync(pendingFile, () => {
+        if (fs.existsSync(pendingFile)) fs.unlinkSync(pendingFile);
+      });
+    }
+  }
+
+  cancel(request) {
+    this.cancelled.add(request.id);
+  }
+
+  /**
+   * Prompts still waiting for an answer
+   */
+  listPending() {
+    if (!fs.existsSync(this.pendingPath)) return [];
+    return fs.readdirSync(this.pendingPath)
+      .filter(name => name.endsWith('.json'))
+      .map(name => JSON.parse(fs.readFileSync(path.join(this.pendingPath, name), 'utf8')))
+      .sort((a, b) => a.asked_at.localeCompare(b.asked_at));
+  }
+
+  /**
+   * Answer a pending prompt; returns false when it is no longer pending
+   */
+  submitAnswer(id, answer, answeredBy = null) {
+    if (!/^[\w-]+$/.test(id)) {
+      return false;
+    }
+    const pendingFile = path.join(this.pendingPath, `${id}.json`);
+    const answerFile = path.join(this.answersPath, `${id}.json`);
+    // Holding the pending file's lock keeps the prompt from expiring while the answer is written
+    return lockService.withLockSync(pendingFile, () => {
+      if (!fs.existsSync(pendingFile)) return false;
+      lockService.writeFileSync(answerFile, JSON.stringify({ answer, answered_by: answeredBy, answered_at: new Date().toISOString() }));
+      return true;
+    });
+  }
+}
+
+/**
+ * Scripted answers file:
+ *   { "answers": { "<key or question>": "yes" | ["first", "second"] }, "sequence": ["..."] }
+ * Keyed answers win; otherwise the sequence is consumed in order.
+ * A prompt with no scripted answer behaves like a timeout.
+ */
+class ScriptedResponseChannel extends StakeholderResponseChannel {
+  constructor(projectRoot, settings = {}) {
+    super(projectRoot, settings);
+    this.answersFile = settings.answers_file ? path.resolve(projectRoot, settings.answers_file) : null;
+    const script = settings.script || this.loadScript();
+    this.answers = {};
+    for (const [key, value] of Object.entries(script.answers || {})) {
+      this.answers[key] = Array.isArray(value) ? [...value] : [value];
+    }
+    this.sequence = [...(script.sequence || [])];
+  }
+
+  get name() {
+    return 'script';
+  }
+
+  loadScript() {
+    if (!this.answersFile) {
+      throw new Error('Scripted stakeholder channel needs an answers_file');
+    }
+    return JSON.parse(fs.readFileSync(this.answersFile, 'utf8'));
+  }
+
+  async collect(request) {
+    console.log(`\n❓ ${request.question}`);
+    const queue = this.answers[request.key] || this.answers[request.question];
+    const answer = queue && queue.length > 0 ? queue.shift() : this.sequence.shift();
+    if (answer !== undefined) {
+      console.log(`   ↳ ${answer}`);
+    }
+    return answer;
+  }
+}
+
+/**
+ * Build the configured channel.
+ * Order of precedence: options, STAKEHOLDER_RESPONSE_CHANNEL / STAKEHOLDER_ANSWERS_FILE,
+ * then project-state/configuration.json. "auto" picks tty when attached to a terminal,
+ * otherwise the inbox.
+ */
+function createResponseChannel(projectRoot, options = {}) {
+  const settings = { ...loadSettings(projectRoot), ...options };
+  if (process.env.STAKEHOLDER_ANSWERS_FILE && !options.answers_file) {
+    settings.answers_file = process.env.STAKEHOLDER_ANSWERS_FILE;
+  }
+
+  let type = options.response_channel || process.env.STAKEHOLDER_RESPONSE_CHANNEL || settings.response_channel;
+  if (type === 'auto') {
+    type = settings.answers_file ? 'script'
+      : (process.stdin.isTTY && process.stdout.isTTY ? 'tty' : 'inbox');
+  }
+
+  switch (type) {
+    case 'tty':
+      return new TtyResponseChannel(projectRoot, settings);
+    case 'inbox':
+      return new InboxResponseChannel(projectRoot, settings);
+    case 'script':
+      return new ScriptedResponseChannel(projectRoot, settings);
+    default:
+      throw new Error(`Unknown stakeholder response channel: ${type} (expected ${CHANNEL_TYPES.join(', ')} or auto)`);
+  }
+}
+
+module.exports = {
+  StakeholderResponseChannel,
+  TtyResponseChannel,
+  InboxResponseChannel,
+  ScriptedResponseChannel,
+  createResponseChannel,
+  loadSettings,
+  CHANNEL_TYPES
+};
@@ -6,11 +6,15 @@
 const fs = require('fs');
 const path = require('path');
 const { monitor } = require('./performance-monitor');
+const { dependencyGraph } = require('./dependency-graph');
 
 class StandupManager {
-  constructor() {
+  /**
+   * @param {Object} options - { standupsPath, dependencyGraph }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
-    this.standupsPath = path.join(
+    this.standupsPath = options.standupsPath || path.join(
       this.basePath,
       'machine-data',
       'project-documents-json',
@@ -18,6 +22,7 @@ class StandupManager {
       'sprint-tracking',
       'standups'
     );
+    this.dependencyGraph = options.dependencyGraph || dependencyGraph;
     
     // Active sprint standups
     this.activeStandups = {};
@@ -29,6 +34,7 @@ class StandupManager {
     this.escalationThresholds = {
       blocker_duration: 30 * 60 * 1000, // 30 minutes
       retry_attempts: 3,
+      delayed_stories: 2, // stories transitively waiting on the blocked one
       critical_agents: ['coder_agent', 'testing_agent', 'devops_agent']
     };
     
@@ -127,7 +133,7 @@ class StandupManager {
   processBlockers(standup) {
     for (const blocker of standup.standup.blockers) {
       // Check if blocker needs escalation
-      if (this.needsEscalation(blocker, standup.standup.agent)) {
+      if (this.needsEscalation(blocker, standup.standup.agent, blocker.story_id || standup.standup.story_id)) {
         this.escalateBlocker(blocker, standup);
       } else {
         // Log blocker for tracking
@@ -139,7 +145,13 @@ class StandupManager {
   /**
    * Check if blocker needs escalation
    */
-  needsEscalation(blocker, agent) {
+  needsEscalation(blocker, agent, storyId = blocker.story_id) {
+    // Blocking the critical path or several dependent stories always escalates
+    const impact = this.getDependencyImpact(storyId);
+    if (impact && (impact.on_critical_path || impact.delays.length >= this.escalationThresholds.delayed_stories)) {
+      return true;
+    }
+    
     // Critical agents always escalate
     if (this.escalationThresholds.critical_agents.includes(agent)) {
       return blocker.severity === 'high' || blocker.severity === 'critical';
@@ -158,6 +170,19 @@ class StandupManager {
     return false;
   }
   
+  /**
+   * Stories the blocked story transitively delays, or null when it is not tracked
+   */
+  getDependencyImpact(storyId) {
+    if (!storyId) return null;
+    try {
+      return this.dependencyGraph.blockerImpact(storyId);
+    } catch (error) {
+      console.warn(`⚠️ Could not analyze dependencies of ${storyId}: ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Escalate blocker to Project Manager
    */
@@ -176,7 +201,8 @@ class StandupManager {
         severity: blocker.severity || 'high',
         impact: blocker.impact || 'blocks_progress',
         suggested_action: blocker.suggested_action || 'requires_intervention',
-        escalation_reason: this.getEscalationReason(blocker, standup.standup.agent)
+        dependency_impact: this.getDependencyImpact(blocker.story_id || standup.standup.story_id),
+        escalation_reason: this.getEscalationReason(blocker, standup.standup.agent, blocker.story_id || standup.standup.story_id)
       }
     };
     
@@ -195,9 +221,17 @@ class StandupManager {
   /**
    * Get escalation reason
    */
-  getEscalationReason(blocker, agent) {
+  getEscalationReason(blocker, agent, storyId = blocker.story_id) {
     const reasons = [];
     
+    const impact = this.getDependencyImpact(storyId);
+    if (impact && impact.on_critical_path) {
+      reasons.push('Blocks the sprint critical path');
+    }
+    if (impact && impact.delays.length > 0) {
+      reasons.push(`Delays ${impact.delays.length} dependent stories (${impact.delays.join(', ')})`);
+    }
+    
     if (this.escalationThresholds.critical_agents.includes(agent)) {
       reasons.push('Critical agent blocked');
     }
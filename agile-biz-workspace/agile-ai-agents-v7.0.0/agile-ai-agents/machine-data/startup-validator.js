@@ -10,6 +10,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const ServiceDetector = require('./service-detector');
 const LLMRouter = require('./llm-router');
+const { lockService } = require('./lock-service');
 
 class StartupValidator {
   constructor() {
@@ -323,7 +324,7 @@ class StartupValidator {
       }
     };
     
-    await fs.writeFile(resultsPath, JSON.stringify(results, null, 2));
+    lockService.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
     console.log(`\n💾 Validation results saved to: project-state/startup-validation.json`);
   }
 }
@@ -0,0 +1,614 @@
+/**
+ * State History
+ * Content-addressed history for the project state files, in project-state/history/:
+ *
+ *   objects/ab/cdef...   file contents (blobs) and commits, named by their sha256
+ *   refs/heads/<branch>  branch tips; refs/tags/<name> checkpoints and snapshots
+ *   HEAD                 "ref: <branch>" or a commit ID when detached
+ *
+ * Every state save records a commit: the tracked files as blob hashes, parent pointers,
+ * the author (agent or user), a message and the JSON-level diff against the first parent.
+ * Branches let an alternative plan be explored, then abandoned (checkout main) or merged
+ * back with a three-way JSON merge. Ref updates run under the history lock (lock-service),
+ * taken before any state file lock.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createUnifiedDiff } = require('./utils/text-diff');
+const { lockService } = require('./lock-service');
+
+const DEFAULT_FILES = [
+  'runtime.json',
+  'persistent.json',
+  'configuration.json',
+  'workflow-states/current-workflow.json'
+];
+const DEFAULT_BRANCH = 'main';
+const MAX_CHANGES_PER_FILE = 100;
+
+class StateHistoryError extends Error {
+  constructor(message, code = 'state_history_error') {
+    super(message);
+    this.name = 'StateHistoryError';
+    this.code = code;
+  }
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseJson(text) {
+  if (text === null || text === undefined) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Structural diff of two parsed values: [{ path, op: add|remove|change, before, after }]
+ */
+function diffJson(before, after, prefix = '', changes = []) {
+  if (stableStringify(before) === stableStringify(after)) return changes;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    for (const key of keys) {
+      const childPath = prefix ? `${prefix}.${key}` : key;
+      if (!(key in after)) changes.push({ path: childPath, op: 'remove', before: before[key] });
+      else if (!(key in before)) changes.push({ path: childPath, op: 'add', after: after[key] });
+      else diffJson(before[key], after[key], childPath, changes);
+    }
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      const childPath = `${prefix}[${i}]`;
+      if (i >= after.length) changes.push({ path: childPath, op: 'remove', before: before[i] });
+      else if (i >= before.length) changes.push({ path: childPath, op: 'add', after: after[i] });
+      else diffJson(before[i], after[i], childPath, changes);
+    }
+    return changes;
+  }
+
+  changes.push({ path: prefix || '.', op: 'change', before, after });
+  return changes;
+}
+
+/**
+ * Three-way merge of parsed JSON. Objects merge key by key; arrays keep both sides'
+ * additions and removals; a value changed differently on both sides is a conflict,
+ * resolved to ours or theirs by strategy.
+ */
+function mergeJson(base, ours, theirs, strategy, prefix = '', conflicts = []) {
+  const same = (a, b) => stableStringify(a) === stableStringify(b);
+  if (same(ours, theirs)) return ours;
+  if (same(base, ours)) return theirs;
+  if (same(base, theirs)) return ours;
+
+  if (isPlainObject(ours) && isPlainObject(theirs)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    const keys = Array.from(new Set([...Object.keys(ours), ...Object.keys(theirs)]));
+    for (const key of keys) {
+      const value = mergeJson(baseObject[key], ours[key], theirs[key], strategy, prefix ? `${prefix}.${key}` : key, conflicts);
+      if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+  }
+
+  if (Array.isArray(ours) && Array.isArray(theirs)) {
+    const keyed = list => new Set((list || []).map(stableStringify));
+    const baseKeys = keyed(Array.isArray(base) ? base : []);
+    const ourKeys = keyed(ours);
+    const theirKeys = keyed(theirs);
+    return [
+      ...ours.filter(item => !(baseKeys.has(stableStringify(item)) && !theirKeys.has(stableStringify(item)))),
+      ...theirs.filter(item => !baseKeys.has(stableStringify(item)) && !ourKeys.has(stableStringify(item)))
+    ];
+  }
+
+  conflicts.push({ path: prefix || '.', base, ours, theirs });
+  return strategy === 'theirs' ? theirs : ours;
+}
+
+function defaultAuthor() {
+  if (process.env.ACTIVE_AGENT) {
+    return { type: 'agent', name: process.env.ACTIVE_AGENT };
+  }
+  return { type: 'user', name: process.env.USER || process.env.USERNAME || 'user' };
+}
+
+class StateHistory {
+  /**
+   * @param {string} projectRoot - Folder containing project-state/
+   * @param {Object} options - { files: tracked paths relative to project-state/ }
+   */
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot || path.join(__dirname, '..');
+    this.stateDir = path.join(this.projectRoot, 'project-state');
+    this.historyDir = path.join(this.stateDir, 'history');
+    this.objectsDir = path.join(this.historyDir, 'objects');
+    this.headPath = path.join(this.historyDir, 'HEAD');
+    this.files = options.files || DEFAULT_FILES;
+  }
+
+  /**
+   * Serialise ref updates across processes
+   */
+  locked(fn) {
+    return lockService.withLockSync(this.historyDir, fn);
+  }
+
+  /**
+   * History can be switched off with project_state.history.enabled = false
+   */
+  isEnabled() {
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(this.stateDir, 'configuration.json'), 'utf8'));
+      return !(config.project_state && config.project_state.history && config.project_state.history.enabled === false);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  // --- objects and refs ---------------------------------------------------------
+
+  objectPath(hash) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash.slice(2));
+  }
+
+  writeObject(content) {
+    const hash = sha256(content);
+    const target = this.objectPath(hash);
+    if (!fs.existsSync(target)) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+    }
+    return hash;
+  }
+
+  readObject(hash) {
+    const target = this.objectPath(hash);
+    if (!fs.existsSync(target)) {
+      throw new StateHistoryError(`Missing history object ${hash}`, 'missing_object');
+    }
+    return fs.readFileSync(target, 'utf8');
+  }
+
+  readCommit(id) {
+    return { id, ...JSON.parse(this.readObject(id)) };
+  }
+
+  refPath(kind, name) {
+    return path.join(this.historyDir, 'refs', kind, name);
+  }
+
+  readRef(kind, name) {
+    const target = this.refPath(kind, name);
+    return fs.existsSync(target) ? fs.readFileSync(target, 'utf8').trim() : null;
+  }
+
+  writeRef(kind, name, id) {
+    const target = this.refPath(kind, name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, `${id}\n`);
+  }
+
+  listRefs(kind) {
+    const dir = path.join(this.historyDir, 'refs', kind);
+    const names = [];
+    const walk = (current, prefix) => {
+      if (!fs.existsSync(current)) return;
+      for (const name of fs.readdirSync(current).sort()) {
+        const full = path.join(current, name);
+        if (fs.statSync(full).isDirectory()) walk(full, `${prefix}${name}/`);
+        else names.push({ name: `${prefix}${name}`, id: fs.readFileSync(full, 'utf8').trim() });
+      }
+    };
+    walk(dir, '');
+    return names;
+  }
+
+  validRefName(name) {
+    if (!name || !/^[A-Za-z0-9][A-Za-z0-9._/-]*$/.test(name) || name.includes('..') || name.endsWith('/')) {
+      throw new StateHistoryError(`Invalid name: ${name}`, 'invalid_name');
+    }
+    return name;
+  }
+
+  /**
+   * { branch, id } for HEAD; branch is null when detached
+   */
+  head() {
+    const raw = fs.existsSync(this.headPath) ? fs.readFileSync(this.headPath, 'utf8').trim() : `ref: ${DEFAULT_BRANCH}`;
+    if (raw.startsWith('ref: ')) {
+      const branch = raw.slice(5);
+      return { branch, id: this.readRef('heads', branch) };
+    }
+    return { branch: null, id: raw };
+  }
+
+  setHead(value) {
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    fs.writeFileSync(this.headPath, `${value}\n`);
+  }
+
+  /**
+   * Resolve HEAD, HEAD~n, branch names, tags and unique ID prefixes (4+ characters)
+   */
+  resolve(ref) {
+    if (!ref) throw new StateHistoryError('A commit, branch or tag is required', 'invalid_ref');
+    const ancestry = /^(.+?)~(\d+)$/.exec(ref);
+    if (ancestry) {
+      let id = this.resolve(ancestry[1]);
+      for (let i = 0; i < Number(ancestry[2]); i++) {
+        id = this.readCommit(id).parents[0];
+        if (!id) throw new StateHistoryError(`${ref} goes past the first commit`, 'unknown_ref');
+      }
+      return id;
+    }
+    if (ref === 'HEAD') {
+      const { id } = this.head();
+      if (!id) throw new StateHistoryError('No state commits yet', 'empty_history');
+      return id;
+    }
+    const branch = this.readRef('heads', ref);
+    if (branch) return branch;
+    const tag = this.readRef('tags', ref);
+    if (tag) return tag;
+
+    if (/^[0-9a-f]{4,64}$/.test(ref) && fs.existsSync(this.objectsDir)) {
+      const matches = fs.readdirSync(this.objectsDir)
+        .filter(dir => dir === ref.slice(0, 2))
+        .flatMap(dir => fs.readdirSync(path.join(this.objectsDir, dir)).map(rest => dir + rest))
+        .filter(hash => hash.startsWith(ref) && this.isCommit(hash));
+      if (matches.length === 1) return matches[0];
+      if (matches.length > 1) throw new StateHistoryError(`Ambiguous commit ID: ${ref}`, 'ambiguous_ref');
+    }
+    throw new StateHistoryError(`Unknown commit, branch or tag: ${ref}`, 'unknown_ref');
+  }
+
+  isCommit(hash) {
+    try {
+      return JSON.parse(this.readObject(hash)).type === 'commit';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // --- trees --------------------------------------------------------------------
+
+  readWorkingFiles() {
+    const files = {};
+    for (const file of this.files) {
+      const target = path.join(this.stateDir, file);
+      if (fs.existsSync(target)) files[file] = fs.readFileSync(target, 'utf8');
+    }
+    return files;
+  }
+
+  readTreeFiles(tree) {
+    const files = {};
+    for (const [file, hash] of Object.entries(tree)) files[file] = this.readObject(hash);
+    return files;
+  }
+
+  filesAt(ref) {
+    return this.readTreeFiles(this.readCommit(this.resolve(ref)).tree);
+  }
+
+  diffFiles(before, after) {
+    const names = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    const diff = [];
+    for (const file of names) {
+      if (before[file] === after[file]) continue;
+      const status = before[file] === undefined ? 'added' : after[file] === undefined ? 'removed' : 'modified';
+      const changes = diffJson(parseJson(before[file]), parseJson(after[file]));
+      diff.push({
+        file,
+        status,
+        changes: changes.slice(0, MAX_CHANGES_PER_FILE),
+        ...(changes.length > MAX_CHANGES_PER_FILE ? { truncated: changes.length - MAX_CHANGES_PER_FILE } : {})
+      });
+    }
+    return diff;
+  }
+
+  // --- commits ----------------------------------------------------------------------
+
+  /**
+   * Record the tracked files as a commit on HEAD
+   * @param {Object} options - { message, author: { type, name }, parents, files, allowEmpty }
+   * @returns {Object|null} The commit, or null when nothing changed
+   */
+  commit(options = {}) {
+    const head = this.head();
+    const files = options.files || this.readWorkingFiles();
+    const tree = {};
+    for (const file of Object.keys(files).sort()) tree[file] = this.writeObject(files[file]);
+
+    const parents = options.parents || (head.id ? [head.id] : []);
+    const previous = parents[0] ? this.readCommit(parents[0]) : null;
+    if (previous && !options.allowEmpty && stableStringify(previous.tree) === stableStringify(tree)) {
+      return null;
+    }
+
+    const commit = {
+      type: 'commit',
+      tree,
+      parents,
+      author: options.author || defaultAuthor(),
+      message: options.message || 'State saved',
+      timestamp: new Date().toISOString(),
+      diff: this.diffFiles(previous ? this.readTreeFiles(previous.tree) : {}, files)
+    };
+    const id = this.writeObject(JSON.stringify(commit, null, 2));
+
+    if (head.branch) this.writeRef('heads', head.branch, id);
+    else this.setHead(id);
+    if (!fs.existsSync(this.headPath)) this.setHead(`ref: ${head.branch}`);
+    return { id, ...commit };
+  }
+
+  /**
+   * Commit after a save; optionally tag the result (checkpoints, snapshots)
+   */
+  record(options = {}) {
+    if (!this.isEnabled()) return null;
+    return this.locked(() => {
+      const commit = this.commit(options);
+      if (options.tag) {
+        this.writeRef('tags', this.validRefName(options.tag), commit ? commit.id : this.resolve('HEAD'));
+      }
+      return commit;
+    });
+  }
+
+  tag(name, ref = 'HEAD') {
+    return this.locked(() => {
+      const id = this.resolve(ref);
+      this.writeRef('tags', this.validRefName(name), id);
+      return { name, id };
+    });
+  }
+
+  /**
+   * First-parent history from ref, newest first
+   */
+  log(options = {}) {
+    const { ref = 'HEAD', limit = 20 } = options;
+    const decorations = new Map();
+    for (const { name, id } of this.listRefs('heads')) decorations.set(id, [...(decorations.get(id) || []), name]);
+    for (const { name, id } of this.listRefs('tags')) decorations.set(id, [...(decorations.get(id) || []), `tag: ${name}`]);
+
+    const entries = [];
+    let id;
+    try {
+      id = this.resolve(ref);
+    } catch (error) {
+      if (error.code === 'empty_history') return entries;
+      throw error;
+    }
+    while (id && entries.length < limit) {
+      const commit = this.readCommit(id);
+      entries.push({
+        id,
+        short: id.slice(0, 8),
+        parents: commit.parents,
+        author: commit.author,
+        message: commit.message,
+        timestamp: commit.timestamp,
+        refs: decorations.get(id) || [],
+        files: commit.diff.map(entry => ({ file: entry.file, status: entry.status, changes: entry.changes.length + (entry.truncated || 0) }))
+      });
+      id = commit.parents[0];
+    }
+    return entries;
+  }
+
+  /**
+   * Differences between two commits; b defaults to the files on disk
+   * @returns {Object} { from, to, files: [{ file, status, changes, unified }] }
+   */
+  diff(a, b = null) {
+    const from = this.resolve(a);
+    const to = b ? this.resolve(b) : null;
+    const before = this.filesAt(from);
+    const after = to ? this.filesAt(to) : this.readWorkingFiles();
+    return {
+      from,
+      to: to || 'working',
+      files: this.diffFiles(before, after).map(entry => ({
+        ...entry,
+        unified: createUnifiedDiff(before[entry.file] || '', after[entry.file] || '', {
+          fromFile: `${from.slice(0, 8)}/${entry.file}`,
+          toFile: `${to ? to.slice(0, 8) : 'working'}/${entry.file}`
+        })
+      }))
+    };
+  }
+
+  writeWorkingFiles(files) {
+    for (const file of this.files) {
+      const target = path.join(this.stateDir, file);
+      if (files[file] === undefined) {
+        lockService.withLockSync(target, () => fs.existsSync(target) && fs.unlinkSync(target));
+        continue;
+      }
+      lockService.writeFileSync(target, files[file]);
+    }
+  }
+
+  /**
+   * Commit state written outside the recorded save paths, so checkout never loses it
+   */
+  commitPendingChanges(author) {
+    const { id } = this.head();
+    if (!id) return this.commit({ message: 'Initial state', author: author || { type: 'system', name: 'state-history' } });
+    if (this.diffFiles(this.filesAt(id), this.readWorkingFiles()).length === 0) return null;
+    return this.commit({ message: 'Uncommitted state before switching', author: author || { type: 'system', name: 'state-history' } });
+  }
+
+  /**
+   * Restore the state files of a commit, branch or tag. Branches attach HEAD to the
+   * branch; anything else detaches it, so new saves do not move a branch.
+   */
+  checkout(ref, options = {}) {
+    return this.locked(() => {
+      const id = this.resolve(ref);
+      const saved = this.commitPendingChanges(options.author);
+      const branch = this.readRef('heads', ref) ? ref : null;
+
+      this.writeWorkingFiles(this.filesAt(id));
+      this.setHead(branch ? `ref: ${branch}` : id);
+      return { id, branch, detached: !branch, saved: saved ? saved.id : null };
+    });
+  }
+
+  /**
+   * Create a branch at a commit (default HEAD) and switch to it
+   */
+  branch(name, options = {}) {
+    return this.locked(() => {
+      this.validRefName(name);
+      if (this.readRef('heads', name)) {
+        throw new StateHistoryError(`Branch already exists: ${name}`, 'branch_exists');
+      }
+      this.commitPendingChanges(options.author);
+      const id = this.resolve(options.from || 'HEAD');
+      this.writeRef('heads', name, id);
+      if (options.switch === false) return { name, id, switched: false };
+
+      this.writeWorkingFiles(this.filesAt(id));
+      this.setHead(`ref: ${name}`);
+      return { name, id, switched: true };
+    });
+  }
+
+  branches() {
+    const { branch } = this.head();
+    return this.listRefs('heads').map(ref => ({ ...ref, current: ref.name === branch }));
+  }
+
+  ancestors(id) {
+    const seen = new Map();
+    const queue = [[id, 0]];
+    while (queue.length > 0) {
+      const [current, depth] = queue.shift();
+      if (seen.has(current)) continue;
+      seen.set(current, depth);
+      for (const parent of this.readCommit(current).parents) queue.push([parent, depth + 1]);
+    }
+    return seen;
+  }
+
+  mergeBase(a, b) {
+    const ofA = this.ancestors(a);
+    const ofB = this.ancestors(b);
+    let best = null;
+    for (const [id, depth] of ofB) {
+      if (ofA.has(id) && (!best || depth + ofA.get(id) < best.distance)) best = { id, distance: depth + ofA.get(id) };
+    }
+    return best ? best.id : null;
+  }
+
+  /**
+   * Merge a branch (or commit) into HEAD
+   * @param {Object} options - { strategy: 'ours' | 'theirs' for conflicting values, author }
+   * @returns {Object} { id, fast_forward, conflicts }
+   */
+  merge(ref, options = {}) {
+    return this.locked(() => {
+      const strategy = options.strategy || 'ours';
+      this.commitPendingChanges(options.author);
+      const ours = this.resolve('HEAD');
+      const theirs = this.resolve(ref);
+      const base = this.mergeBase(ours, theirs);
+
+      if (base === theirs) return { id: ours, fast_forward: false, up_to_date: true, conflicts: [] };
+      if (base === ours) {
+        const head = this.head();
+        if (head.branch) this.writeRef('heads', head.branch, theirs);
+        else this.setHead(theirs);
+        this.writeWorkingFiles(this.filesAt(theirs));
+        return { id: theirs, fast_forward: true, conflicts: [] };
+      }
+
+      const baseFiles = base ? this.filesAt(base) : {};
+      const ourFiles = this.filesAt(ours);
+      const theirFiles = this.filesAt(theirs);
+      const conflicts = [];
+      const merged = {};
+      for (const file of Array.from(new Set([...Object.keys(ourFiles), ...Object.keys(theirFiles)])).sort()) {
+        const fileConflicts = [];
+        const value = mergeJson(parseJson(baseFiles[file]), parseJson(ourFiles[file]), parseJson(theirFiles[file]), strategy, '', fileConflicts);
+        fileConflicts.forEach(conflict => conflicts.push({ file, ...conflict }));
+        if (value === undefined) continue;
+        merged[file] = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+      }
+
+      this.writeWorkingFiles(merged);
+      const commit = this.commit({
+        files: merged,
+        parents: [ours, theirs],
+        allowEmpty: true,
+        author: options.author,
+        message: options.message || `Merge ${ref} into ${this.head().branch || ours.slice(0, 8)}`
+      });
+      return { id: commit.id, fast_forward: false, conflicts };
+    });
+  }
+}
+
+const instances = new Map();
+
+/**
+ * Shared StateHistory per project root
+ */
+function getStateHistory(projectRoot) {
+  const root = path.resolve(projectRoot || path.join(__dirname, '..'));
+  if (!instances.has(root)) instances.set(root, new StateHistory(root));
+  return instances.get(root);
+}
+
+/**
+ * Record a commit for a state save; history problems never fail the save itself
+ */
+function recordStateCommit(projectRoot, options = {}) {
+  try {
+    return getStateHistory(projectRoot).record(options);
+  } catch (error) {
+    console.warn(`⚠️  State history not recorded: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  StateHistory,
+  StateHistoryError,
+  getStateHistory,
+  recordStateCommit,
+  diffJson,
+  mergeJson,
+  stableStringify,
+  DEFAULT_FILES
+};
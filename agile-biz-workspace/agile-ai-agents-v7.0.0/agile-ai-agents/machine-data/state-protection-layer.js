@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { recordStateCommit } = require('./state-history');
+const { lockService } = require('./lock-service');
 const { 
     validateWorkflowState,
     createWorkflowError,
@@ -53,11 +55,16 @@ class StateProtectionLayer {
     }
 
     /**
-     * Save checksums
+     * Save checksums; only the given paths are written over the copy on disk,
+     * so entries saved by other processes are kept
      */
-    saveChecksums() {
+    saveChecksums(...changed) {
+        const keys = changed.length > 0 ? changed : Object.keys(this.checksums);
         try {
-            fs.writeFileSync(this.checksumFile, JSON.stringify(this.checksums, null, 2));
+            this.checksums = lockService.updateJsonSync(this.checksumFile, onDisk => {
+                keys.forEach(key => { onDisk[key] = this.checksums[key]; });
+                return onDisk;
+            });
         } catch (error) {
             console.error('Failed to save checksums:', error.message);
         }
@@ -169,55 +176,68 @@ class StateProtectionLayer {
             );
         }
         
-        // Step 2: Create backup
-        const backupPath = await this.createBackup(targetPath);
-        
+        // Steps 2-5 hold the file's write lock so savers in other processes cannot interleave
+        const lock = await lockService.acquire(targetPath);
+        let result;
         try {
-            // Step 3: Atomic save with temporary file
-            const tempPath = `${targetPath}.tmp`;
-            const checksum = this.calculateChecksum(state);
-            
-            // Write to temporary file first
-            fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
-            
-            // Verify write succeeded
-            const written = fs.readFileSync(tempPath, 'utf8');
-            const writtenState = JSON.parse(written);
-            const writtenChecksum = this.calculateChecksum(writtenState);
-            
-            if (writtenChecksum !== checksum) {
-                throw new Error('Checksum mismatch after write');
-            }
-            
-            // Atomic rename
-            fs.renameSync(tempPath, targetPath);
-            
-            // Step 4: Update checksum record
-            this.checksums[targetPath] = checksum;
-            this.saveChecksums();
-            
-            // Step 5: Verify final integrity
-            await this.verifyIntegrity(targetPath);
+            // Step 2: Create backup
+            const backupPath = await this.createBackup(targetPath);
             
-            return {
-                success: true,
-                path: targetPath,
-                checksum,
-                backupPath
-            };
-            
-        } catch (error) {
-            // Rollback on failure
-            if (backupPath) {
-                await this.rollback(backupPath, targetPath);
+            try {
+                // Step 3: Atomic save with temporary file
+                const tempPath = `${targetPath}.tmp`;
+                const checksum = this.calculateChecksum(state);
+                
+                // Write to temporary file first
+                fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+                
+                // Verify write succeeded
+                const written = fs.readFileSync(tempPath, 'utf8');
+                const writtenState = JSON.parse(written);
+                const writtenChecksum = this.calculateChecksum(writtenState);
+                
+                if (writtenChecksum !== checksum) {
+                    throw new Error('Checksum mismatch after write');
+                }
+                
+                // Atomic rename
+                fs.renameSync(tempPath, targetPath);
+                
+                // Step 4: Update checksum record
+                this.checksums[targetPath] = checksum;
+                this.saveChecksums(targetPath);
+                
+                // Step 5: Verify final integrity
+                await this.verifyIntegrity(targetPath);
+                
+                result = {
+                    success: true,
+                    path: targetPath,
+                    checksum,
+                    backupPath
+                };
+                
+            } catch (error) {
+                // Rollback on failure
+                if (backupPath) {
+                    await this.rollback(backupPath, targetPath);
+                }
+                
+                throw createWorkflowError(
+                    ERROR_TYPES.STATE_CORRUPTION,
+                    `Failed to save state: ${error.message}`,
+                    { original_error: error.message }
+                );
             }
-            
-            throw createWorkflowError(
-                ERROR_TYPES.STATE_CORRUPTION,
-                `Failed to save state: ${error.message}`,
-                { original_error: error.message }
-            );
+        } finally {
+            lock.release();
         }
+        
+        // History takes its own lock, after the state file's lock is released
+        recordStateCommit(path.join(__dirname, '..'), {
+            message: `Workflow state saved${state.current_phase ? ` (${state.workflow_type} / ${state.current_phase})` : ''}`
+        });
+        return result;
     }
 
     /**
@@ -228,6 +248,8 @@ class StateProtectionLayer {
             const content = fs.readFileSync(statePath, 'utf8');
             const state = JSON.parse(content);
             const currentChecksum = this.calculateChecksum(state);
+            // Another process may have saved since this instance loaded its checksums
+            this.checksums = { ...this.checksums, ...this.loadChecksums() };
             const storedChecksum = this.checksums[statePath];
             
             if (storedChecksum && currentChecksum !== storedChecksum) {
@@ -237,7 +259,7 @@ class StateProtectionLayer {
             // Update checksum if not stored
             if (!storedChecksum) {
                 this.checksums[statePath] = currentChecksum;
-                this.saveChecksums();
+                this.saveChecksums(statePath);
             }
             
             return {
@@ -353,6 +375,7 @@ class StateProtectionLayer {
         }
         
         await this.saveState(currentState, snapshotPath);
+        recordStateCommit(path.join(__dirname, '..'), { message: `Snapshot ${snapshotName}`, tag: `snapshot/${snapshotName}` });
         
         return {
             name: snapshotName,
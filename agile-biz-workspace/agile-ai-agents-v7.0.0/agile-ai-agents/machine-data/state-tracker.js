@@ -6,6 +6,8 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { recordStateCommit } = require('./state-history');
+const { lockService } = require('./lock-service');
 
 class StateTracker {
   constructor() {
@@ -94,18 +96,23 @@ class StateTracker {
    */
   async saveProjectState(updates = {}) {
     try {
-      // Load current state or create new
-      let state = this.loadProjectState() || this.createNewState();
-      
-      // Merge updates
-      state = this.mergeStateUpdates(state, updates);
-      
-      // Update metadata
-      state.meta.last_updated = new Date().toISOString();
-      state.meta.checksum = this.calculateChecksum(state);
-      
-      // Save to disk
-      fs.writeFileSync(this.currentStatePath, JSON.stringify(state, null, 2));
+      // Merge into the state on disk under its lock; the cache may miss other processes' saves
+      const state = lockService.withLockSync(this.currentStatePath, () => {
+        this.stateCache = null;
+        let current = this.loadProjectState() || this.createNewState();
+        
+        // Merge updates
+        current = this.mergeStateUpdates(current, updates);
+        
+        // Update metadata
+        current.meta.last_updated = new Date().toISOString();
+        current.meta.checksum = this.calculateChecksum(current);
+        
+        // Save to disk
+        lockService.writeFileSync(this.currentStatePath, JSON.stringify(current, null, 2));
+        return current;
+      });
+      recordStateCommit(this.basePath, { message: 'Project state saved' });
       
       // Update cache
       this.stateCache = state;
@@ -174,7 +181,8 @@ class StateTracker {
       };
       
       // Save checkpoint
-      fs.writeFileSync(checkpointPath, JSON.stringify(state, null, 2));
+      lockService.writeFileSync(checkpointPath, JSON.stringify(state, null, 2));
+      recordStateCommit(this.basePath, { message: `Checkpoint: ${reason}`, tag: checkpointId });
       
       // Manage checkpoint rotation
       await this.rotateCheckpoints();
@@ -407,7 +415,7 @@ class StateTracker {
       const sessionPath = path.join(this.statePath, 'session-history', sessionFile);
       
       // Save session snapshot
-      fs.writeFileSync(sessionPath, JSON.stringify(state, null, 2));
+      lockService.writeFileSync(sessionPath, JSON.stringify(state, null, 2));
       
       // Rotate old sessions
       await this.rotateSessionHistory();
@@ -0,0 +1,611 @@
+/**
+ * Story Event Store
+ * Append-only log of backlog item events with projections for current state.
+ *
+ * Every change to a story is one line in story-events.jsonl:
+ *   { seq, id, type, story_id, timestamp, actor, data }
+ * Story documents ({ meta, story }) are folded from the log, so the full history
+ * stays available and any earlier state can be rebuilt (project({ until })).
+ * Burndown, velocity and retrospective numbers come from sprintTimeline() and
+ * sprintMetrics() instead of timing fields patched in place.
+ *
+ * Existing per-story JSON files are imported once, as `created` events carrying
+ * the old document, when the log does not exist yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { lockService } = require('./lock-service');
+
+const EVENT_TYPES = [
+  'created',
+  'estimated',
+  'status_changed',
+  'blocked',
+  'unblocked',
+  'repointed',
+  'split',
+  'dependency_added',
+  'sprint_assigned',
+  'coverage_updated',
+  'updated'
+];
+
+// Statuses that count as time worked
+const ACTIVE_STATUSES = ['in_progress', 'testing', 'review'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class StoryEventError extends Error {
+  constructor(message, storyId = null) {
+    super(message);
+    this.name = 'StoryEventError';
+    this.storyId = storyId;
+  }
+}
+
+function pointsOf(story) {
+  const points = story.story_points;
+  if (points && typeof points === 'object') return points.total || 0;
+  return points || 0;
+}
+
+function hoursBetween(from, to) {
+  return Math.max(0, (new Date(to) - new Date(from)) / HOUR_MS);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function defaultActor() {
+  if (process.env.ACTIVE_AGENT) {
+    return { type: 'agent', name: process.env.ACTIVE_AGENT };
+  }
+  return { type: 'user', name: process.env.USER || process.env.USERNAME || 'user' };
+}
+
+class StoryEventStore {
+  /**
+   * @param {string} logPath - story-events.jsonl
+   * @param {Object} options - { legacyDir: per-story JSON folder to import, now: () => Date }
+   */
+  constructor(logPath, options = {}) {
+    this.logPath = logPath;
+    this.legacyDir = options.legacyDir || null;
+    this.now = options.now || (() => new Date());
+
+    this.events = [];
+    this.offset = 0;
+    this.lines = 0;
+    this.skippedLines = [];
+    this.state = new Map();
+    this.imported = false;
+  }
+
+  /**
+   * Read events appended since the last call (by this or another process)
+   */
+  refresh() {
+    if (!this.imported) {
+      this.imported = true;
+      this.importLegacyStories();
+    }
+    if (!fs.existsSync(this.logPath)) return this.events;
+
+    const size = fs.statSync(this.logPath).size;
+    if (size < this.offset) {
+      // Log was replaced (e.g. restored from history): rebuild from scratch
+      this.events = [];
+      this.offset = 0;
+      this.lines = 0;
+      this.skippedLines = [];
+      this.state = new Map();
+    }
+    if (size === this.offset) return this.events;
+
+    const fd = fs.openSync(this.logPath, 'r');
+    try {
+      const buffer = Buffer.alloc(size - this.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+      const text = buffer.toString('utf8');
+      // Only complete lines; a torn last line is left for the next writer to repair
+      const end = text.lastIndexOf('\n');
+      if (end === -1) return this.events;
+
+      for (const line of text.slice(0, end).split('\n')) {
+        this.lines++;
+        if (!line.trim()) continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          // One damaged line must not make every story read fail; the rest of the log still applies
+          this.skippedLines.push(this.lines);
+          console.warn(`⚠️ Skipping unreadable story event on line ${this.lines} of ${this.logPath}: ${error.message}`);
+          continue;
+        }
+        this.events.push(event);
+        this.apply(this.state, event);
+      }
+      this.offset += Buffer.byteLength(text.slice(0, end + 1));
+    } finally {
+      fs.closeSync(fd);
+    }
+    return this.events;
+  }
+
+  /**
+   * Append one event; returns the stored event
+   */
+  append(type, storyId, data = {}, options = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new StoryEventError(`Unknown story event type: ${type}`, storyId);
+    }
+
+    return lockService.withLockSync(this.logPath, () => {
+      this.refresh();
+      if (type !== 'created' && !this.state.has(storyId)) {
+        throw new StoryEventError(`Story ${storyId} not found`, storyId);
+      }
+      if (type === 'created' && this.state.has(storyId)) {
+        throw new StoryEventError(`Story ${storyId} already exists`, storyId);
+      }
+      this.repairTornLine();
+
+      const event = {
+        seq: this.events.length + this.skippedLines.length + 1,
+        id: crypto.randomUUID(),
+        type,
+        story_id: storyId,
+        timestamp: options.timestamp || this.now().toISOString(),
+        actor: options.actor || defaultActor(),
+        data
+      };
+      const line = `${JSON.stringify(event)}\n`;
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+      fs.appendFileSync(this.logPath, line);
+
+      this.events.push(event);
+      this.lines++;
+      this.offset += Buffer.byteLength(line);
+      this.apply(this.state, event);
+      return event;
+    });
+  }
+
+  repairTornLine() {
+    if (!fs.existsSync(this.logPath)) return;
+    const size = fs.statSync(this.logPath).size;
+    if (size > this.offset) {
+      console.warn(`⚠️ Dropping ${size - this.offset} bytes of a partly written story event`);
+      fs.truncateSync(this.logPath, this.offset);
+    }
+  }
+
+  /**
+   * One-time import of the per-story JSON files written before the log existed
+   */
+  importLegacyStories() {
+    if (!this.legacyDir || fs.existsSync(this.logPath) || !fs.existsSync(this.legacyDir)) return 0;
+    return lockService.withLockSync(this.logPath, () => {
+      // Another process may have imported while we waited
+      if (fs.existsSync(this.logPath)) return 0;
+      return this.importLegacyFiles();
+    });
+  }
+
+  importLegacyFiles() {
+    const files = fs.readdirSync(this.legacyDir).filter(file => file.endsWith('.json')).sort();
+    let count = 0;
+    for (const file of files) {
+      let document;
+      try {
+        document = JSON.parse(fs.readFileSync(path.join(this.legacyDir, file), 'utf-8'));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable story file ${file}: ${error.message}`);
+        continue;
+      }
+      if (!document.story || !document.story.id || this.state.has(document.story.id)) continue;
+
+      this.append('created', document.story.id, { snapshot: document }, {
+        timestamp: (document.meta && document.meta.created_at) || this.now().toISOString(),
+        actor: { type: 'system', name: 'legacy-import' }
+      });
+      count++;
+    }
+    if (count > 0) {
+      console.log(`📥 Imported ${count} stories into ${path.basename(this.logPath)}`);
+    }
+    return count;
+  }
+
+  /**
+   * Fold one event into a story-id → document map
+   */
+  apply(state, event) {
+    const { type, story_id: id, timestamp: at, data } = event;
+
+    if (type === 'created') {
+      state.set(id, data.snapshot ? this.fromSnapshot(data.snapshot, event) : this.newDocument(event));
+      return;
+    }
+
+    const document = state.get(id);
+    if (!document) return;
+    const story = document.story;
+    const entry = { timestamp: at, action: type, seq: event.seq };
+
+    switch (type) {
+      case 'estimated':
+        story.story_points = data.story_points;
+        story.timing.estimated_hours = data.estimated_hours || 0;
+        story.estimated = true;
+        entry.to = data.story_points;
+        entry.details = 'Story estimated';
+        break;
+
+      case 'repointed':
+        story.story_points = data.to;
+        story.timing.estimated_hours = data.estimated_hours || 0;
+        story.estimated = true;
+        story.repointed_count = (story.repointed_count || 0) + 1;
+        Object.assign(entry, { from: data.from, to: data.to, details: data.reason || 'Story points re-estimated' });
+        break;
+
+      case 'status_changed':
+        this.closeInterval(story, at);
+        story.status = data.to;
+        this.openInterval(story, at);
+        Object.assign(entry, { from: data.from, to: data.to, details: data.reason || `Status changed from ${data.from} to ${data.to}` });
+        break;
+
+      case 'blocked':
+        if (data.duration_hours !== undefined) {
+          // Blocked time reported after the fact; the status does not change
+          story.timing.blocked_hours = round(story.timing.blocked_hours + data.duration_hours);
+          Object.assign(entry, { hours: data.duration_hours, details: data.reason });
+        } else {
+          this.closeInterval(story, at);
+          story.blocked = { since: at, reason: data.reason || null, resume_status: data.from };
+          story.status = 'blocked';
+          Object.assign(entry, { from: data.from, to: 'blocked', details: data.reason });
+        }
+        break;
+
+      case 'unblocked': {
+        const resumeTo = data.to || (story.blocked && story.blocked.resume_status) || 'in_progress';
+        if (story.blocked) {
+          story.timing.blocked_hours = round(story.timing.blocked_hours + hoursBetween(story.blocked.since, at));
+        }
+        story.blocked = null;
+        story.status = resumeTo;
+        this.openInterval(story, at);
+        Object.assign(entry, { from: 'blocked', to: resumeTo, details: data.resolution || 'Blocker resolved' });
+        break;
+      }
+
+      case 'split':
+        this.closeInterval(story, at);
+        story.status = 'split';
+        story.split_into = data.into;
+        Object.assign(entry, { into: data.into, details: data.reason || `Split into ${data.into.join(', ')}` });
+        break;
+
+      case 'dependency_added':
+        if (!story.dependencies.includes(data.dependency)) story.dependencies.push(data.dependency);
+        entry.dependency = data.dependency;
+        break;
+
+      case 'sprint_assigned':
+        story.sprint_id = data.to;
+        Object.assign(entry, { from: data.from, to: data.to, details: `Committed to ${data.to}` });
+        break;
+
+      case 'updated':
+        // Descriptive fields only; status, points and sprint have their own events
+        for (const [field, value] of Object.entries(data.changes)) {
+          story[field] = field === 'external_refs' ? { ...story.external_refs, ...value } : value;
+        }
+        Object.assign(entry, { fields: Object.keys(data.changes), details: data.reason || 'Story details updated' });
+        break;
+
+      case 'coverage_updated':
+        story.coverage_requirements.actual = data.coverage;
+        Object.assign(entry, {
+          coverage: data.coverage,
+          target: story.coverage_requirements.target,
+          meets_target: data.coverage >= story.coverage_requirements.target
+        });
+        break;
+
+      default:
+        return;
+    }
+
+    story.history.push(entry);
+    document.meta.updated_at = at;
+  }
+
+  newDocument(event) {
+    const data = event.data;
+    return {
+      meta: {
+        document_type: 'user_story',
+        version: '2.0.0',
+        created_at: event.timestamp,
+        updated_at: event.timestamp
+      },
+      story: {
+        id: event.story_id,
+        title: data.title,
+        description: data.description || '',
+        user_story_format: data.user_story_format || '',
+        acceptance_criteria: data.acceptance_criteria || [],
+        story_points: 0,
+        estimated: false,
+        timing: {
+          estimated_hours: 0,
+          actual_hours: 0,
+          blocked_hours: 0,
+          start_time: null,
+          end_time: null
+        },
+        status: 'not_started',
+        sprint_id: data.sprint_id || null,
+        dependencies: [...(data.dependencies || [])],
+        assigned_agents: data.assigned_agents || [],
+        labels: data.labels || [],
+        priority: data.priority || 'medium',
+        epic_id: data.epic_id || null,
+        external_refs: data.external_refs || {},
+        coverage_requirements: data.coverage_requirements || { risk_level: 'medium', target: 80, actual: 0 },
+        split_from: data.split_from || null,
+        blocked: null,
+        history: [{
+          timestamp: event.timestamp,
+          action: 'created',
+          seq: event.seq,
+          details: data.split_from ? `Split from ${data.split_from}` : 'Story created'
+        }]
+      }
+    };
+  }
+
+  fromSnapshot(snapshot, event) {
+    const document = JSON.parse(JSON.stringify(snapshot));
+    const story = document.story;
+    story.estimated = pointsOf(story) > 0;
+    story.dependencies = story.dependencies || [];
+    story.external_refs = story.external_refs || {};
+    story.history = story.history || [];
+    story.blocked = story.status === 'blocked' ? { since: event.timestamp, reason: null, resume_status: 'in_progress' } : null;
+    story.timing = { estimated_hours: 0, actual_hours: 0, blocked_hours: 0, start_time: null, end_time: null, ...story.timing };
+    story.history.push({ timestamp: event.timestamp, action: 'imported', seq: event.seq, details: 'Imported from per-story JSON' });
+    if (ACTIVE_STATUSES.includes(story.status)) story.active_since = event.timestamp;
+    return document;
+  }
+
+  // Working time is the sum of spans spent in an active status
+  openInterval(story, at) {
+    if (ACTIVE_STATUSES.includes(story.status)) {
+      story.active_since = at;
+      if (!story.timing.start_time) story.timing.start_time = at;
+    }
+    if (story.status === 'completed') {
+      story.timing.end_time = at;
+    }
+  }
+
+  closeInterval(story, at) {
+    if (story.active_since) {
+      story.timing.actual_hours = round(story.timing.actual_hours + hoursBetween(story.active_since, at));
+      story.active_since = null;
+    }
+    if (story.status === 'completed') {
+      // Reopened
+      story.timing.end_time = null;
+    }
+  }
+
+  /**
+   * Current documents, or the state as of `until` (ISO timestamp or seq)
+   */
+  project(options = {}) {
+    this.refresh();
+    if (options.until === undefined) return this.state;
+
+    const state = new Map();
+    for (const event of this.events) {
+      // Imported stories carry their original creation time, so keep scanning
+      if (!this.isBefore(event, options.until)) continue;
+      this.apply(state, event);
+    }
+    return state;
+  }
+
+  isBefore(event, until) {
+    if (typeof until === 'number') return event.seq <= until;
+    return new Date(event.timestamp) <= new Date(until);
+  }
+
+  has(storyId) {
+    return this.project().has(storyId);
+  }
+
+  getStory(storyId, options = {}) {
+    const document = this.project(options).get(storyId);
+    return document ? JSON.parse(JSON.stringify(document)) : null;
+  }
+
+  /**
+   * @param {Function} filter - (story) => boolean on the inner story object
+   */
+  getStories(filter = () => true, options = {}) {
+    return [...this.project(options).values()]
+      .filter(document => filter(document.story))
+      .map(document => JSON.parse(JSON.stringify(document)));
+  }
+
+  getEvents(filter = {}) {
+    this.refresh();
+    return this.events.filter(event =>
+      (!filter.story_id || event.story_id === filter.story_id) &&
+      (!filter.types || filter.types.includes(event.type)) &&
+      (!filter.since || new Date(event.timestamp) >= new Date(filter.since)) &&
+      (!filter.until || new Date(event.timestamp) <= new Date(filter.until)));
+  }
+
+  /**
+   * Sprint totals after every event that touched the sprint's stories
+   * @returns {Array} { timestamp, seq, type, story_id, total_points, completed_points,
+   *                    remaining_points, stories_completed, stories_in_progress, stories_blocked }
+   */
+  sprintTimeline(sprintId) {
+    this.refresh();
+    const state = new Map();
+    const timeline = [];
+    let previous = null;
+
+    for (const event of this.events) {
+      const before = state.get(event.story_id);
+      const wasMember = Boolean(before && before.story.sprint_id === sprintId);
+      this.apply(state, event);
+      const after = state.get(event.story_id);
+      const isMember = Boolean(after && after.story.sprint_id === sprintId);
+      if (!wasMember && !isMember) continue;
+
+      const totals = this.sprintTotals(state, sprintId);
+      const point = { timestamp: event.timestamp, seq: event.seq, type: event.type, story_id: event.story_id, ...totals };
+      if (previous && previous.total_points !== point.total_points) {
+        point.scope_delta = point.total_points - previous.total_points;
+      }
+      timeline.push(point);
+      previous = point;
+    }
+    return timeline;
+  }
+
+  sprintTotals(state, sprintId) {
+    const totals = {
+      total_points: 0,
+      completed_points: 0,
+      remaining_points: 0,
+      stories_completed: 0,
+      stories_in_progress: 0,
+      stories_blocked: 0
+    };
+    for (const { story } of state.values()) {
+      if (story.sprint_id !== sprintId || story.status === 'split') continue;
+      const points = pointsOf(story);
+      totals.total_points += points;
+      if (story.status === 'completed') {
+        totals.completed_points += points;
+        totals.stories_completed++;
+      } else {
+        totals.remaining_points += points;
+        if (story.status === 'blocked') totals.stories_blocked++;
+        else if (ACTIVE_STATUSES.includes(story.status)) totals.stories_in_progress++;
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Sprint numbers derived from the log
+   * @param {Object} options - { start, end } ISO timestamps; scope at `start` is the plan,
+   *                           later additions, removals, re-points and splits are scope changes
+   */
+  sprintMetrics(sprintId, options = {}) {
+    const timeline = this.sprintTimeline(sprintId);
+    const end = options.end && new Date(options.end) < this.now() ? options.end : undefined;
+    const finalState = this.project(end ? { until: end } : {});
+    const members = [...finalState.values()]
+      .map(document => document.story)
+      .filter(story => story.sprint_id === sprintId && story.status !== 'split');
+
+    let planned;
+    if (options.start) {
+      const atStart = [...timeline].reverse().find(point => new Date(point.timestamp) <= new Date(options.start));
+      const plannedState = this.project({ until: options.start });
+      planned = {
+        points: atStart ? atStart.total_points : 0,
+        stories: [...plannedState.values()].filter(({ story }) => story.sprint_id === sprintId && story.status !== 'split').length
+      };
+    } else {
+      planned = { points: members.reduce((sum, story) => sum + this.pointsWhenJoined(story, sprintId), 0), stories: members.length };
+    }
+
+    const scopeChanges = timeline
+      .filter(point => point.scope_delta && (!options.start || new Date(point.timestamp) > new Date(options.start)))
+      .filter(point => !end || new Date(point.timestamp) <= new Date(end))
+      .map(point => ({
+        timestamp: point.timestamp,
+        type: point.scope_delta > 0 ? 'added' : 'removed',
+        points: Math.abs(point.scope_delta),
+        story_ids: [point.story_id],
+        reason: point.type,
+        source: 'story_log'
+      }));
+
+    const completed = members.filter(story => story.status === 'completed');
+    const cycleTimes = completed
+      .filter(story => story.timing.start_time && story.timing.end_time)
+      .map(story => ({ story_id: story.id, hours: round(hoursBetween(story.timing.start_time, story.timing.end_time)) }));
+
+    return {
+      sprint_id: sprintId,
+      source: 'story_log',
+      planned_points: planned.points,
+      completed_points: completed.reduce((sum, story) => sum + pointsOf(story), 0),
+      scope_points: members.reduce((sum, story) => sum + pointsOf(story), 0),
+      stories_planned: planned.stories,
+      stories_completed: completed.length,
+      stories_carried_over: members.length - completed.length,
+      planned_hours: round(members.reduce((sum, story) => sum + (story.timing.estimated_hours || 0), 0)),
+      total_hours_worked: round(members.reduce((sum, story) => sum + this.workedHours(story, end), 0)),
+      blocked_hours: round(members.reduce((sum, story) => sum + this.blockedHours(story, end), 0)),
+      cycle_times: cycleTimes,
+      average_cycle_time: cycleTimes.length
+        ? round(cycleTimes.reduce((sum, item) => sum + item.hours, 0) / cycleTimes.length)
+        : 0,
+      repointed_stories: [...finalState.values()]
+        .filter(({ story }) => story.sprint_id === sprintId && story.repointed_count)
+        .map(({ story }) => ({ story_id: story.id, times: story.repointed_count })),
+      split_stories: [...finalState.values()]
+        .filter(({ story }) => story.sprint_id === sprintId && story.status === 'split')
+        .map(({ story }) => ({ story_id: story.id, into: story.split_into })),
+      scope_changes: scopeChanges,
+      timeline
+    };
+  }
+
+  // Estimate in force when the story joined the sprint (or its first estimate, if later)
+  pointsWhenJoined(story, sprintId) {
+    const joined = [...story.history].reverse().find(entry => entry.action === 'sprint_assigned' && entry.to === sprintId);
+    const joinedSeq = joined ? joined.seq : 0;
+    const estimates = story.history.filter(entry => ['estimated', 'repointed'].includes(entry.action));
+    const estimate = [...estimates].reverse().find(entry => entry.seq <= joinedSeq) || estimates[0];
+    return estimate ? pointsOf({ story_points: estimate.to }) : pointsOf(story);
+  }
+
+  // Open spans count up to now (or the end of the window)
+  workedHours(story, end) {
+    const open = story.active_since ? hoursBetween(story.active_since, end || this.now()) : 0;
+    return story.timing.actual_hours + open;
+  }
+
+  blockedHours(story, end) {
+    const open = story.blocked ? hoursBetween(story.blocked.since, end || this.now()) : 0;
+    return story.timing.blocked_hours + open;
+  }
+}
+
+module.exports = {
+  StoryEventStore,
+  StoryEventError,
+  EVENT_TYPES,
+  ACTIVE_STATUSES,
+  pointsOf
+};
@@ -5,11 +5,26 @@
 
 const fs = require('fs');
 const path = require('path');
+const { lockService } = require('./lock-service');
 
 class StoryPointCalibration {
-  constructor() {
+  /**
+   * @param {Object} options - { feedbackPath }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
     
+    // Per-agent estimation error fed back after each sprint
+    this.feedbackPath = options.feedbackPath || path.join(
+      this.basePath,
+      'machine-data',
+      'project-documents-json',
+      'orchestration',
+      'estimation-feedback.json'
+    );
+    this.feedbackWindow = 20;
+    this.estimationFeedback = this.loadEstimationFeedback();
+    
     // Fibonacci sequence for story points
     this.fibonacciScale = [1, 2, 3, 5, 8, 13, 21];
     
@@ -161,8 +176,9 @@ class StoryPointCalibration {
    */
   calibrateForAgent(basePoints, agentType, complexityFactors = {}) {
     const agentCalibration = this.agentCalibrationFactors[agentType];
+    const bias = this.getEstimationBias(agentType);
     if (!agentCalibration) {
-      return basePoints;
+      return bias === 1 ? basePoints : this.roundToFibonacci(basePoints * bias);
     }
     
     // Calculate complexity score
@@ -179,13 +195,74 @@ class StoryPointCalibration {
     // Normalize complexity score
     const normalizedComplexity = totalWeight > 0 ? complexityScore / totalWeight : 1;
     
-    // Apply agent speed factor and complexity adjustment
-    const adjustedPoints = basePoints * agentCalibration.speed_factor * normalizedComplexity;
+    // Apply agent speed factor, complexity adjustment and learned estimation bias
+    const adjustedPoints = basePoints * agentCalibration.speed_factor * normalizedComplexity * bias;
     
     // Round to nearest Fibonacci number
     return this.roundToFibonacci(adjustedPoints);
   }
   
+  /**
+   * Learned ratio of actual to estimated size for an agent (1 = no known bias)
+   */
+  getEstimationBias(agentType) {
+    const agent = this.estimationFeedback.agents[agentType];
+    return agent ? agent.bias : 1;
+  }
+  
+  /**
+   * Record how far an agent's estimate was from the delivered size
+   * @param {Object} sample - { story_id, sprint_id, estimated, actual } in story points
+   */
+  recordEstimationError(agentType, sample) {
+    const entry = {
+      story_id: sample.story_id,
+      sprint_id: sample.sprint_id,
+      estimated: sample.estimated,
+      actual: sample.actual,
+      error: Math.round((sample.actual - sample.estimated) * 100) / 100,
+      recorded_at: new Date().toISOString()
+    };
+    
+    this.estimationFeedback = lockService.updateJsonSync(this.feedbackPath, feedback => {
+      const agent = feedback.agents[agentType] || { samples: [], bias: 1 };
+      agent.samples = [...agent.samples, entry].slice(-this.feedbackWindow);
+      
+      // Mean actual/estimated ratio, clamped so one bad sprint cannot swing estimates wildly
+      const ratios = agent.samples.filter(s => s.estimated > 0).map(s => s.actual / s.estimated);
+      const mean = ratios.length > 0 ? ratios.reduce((sum, r) => sum + r, 0) / ratios.length : 1;
+      agent.bias = Math.round(Math.min(2, Math.max(0.5, mean)) * 100) / 100;
+      
+      feedback.agents[agentType] = agent;
+      feedback.meta.updated_at = entry.recorded_at;
+      return feedback;
+    }, this.emptyEstimationFeedback());
+    
+    return { agent: agentType, ...entry, bias: this.getEstimationBias(agentType) };
+  }
+  
+  loadEstimationFeedback() {
+    try {
+      if (fs.existsSync(this.feedbackPath)) {
+        return JSON.parse(fs.readFileSync(this.feedbackPath, 'utf-8'));
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read estimation feedback: ${error.message}`);
+    }
+    return this.emptyEstimationFeedback();
+  }
+  
+  emptyEstimationFeedback() {
+    return {
+      meta: {
+        document_type: "estimation_feedback",
+        version: "1.0.0",
+        updated_at: new Date().toISOString()
+      },
+      agents: {}
+    };
+  }
+  
   /**
    * Round to nearest Fibonacci number
    */
@@ -325,6 +402,7 @@ module.exports = {
   fibonacciScale: calibration.fibonacciScale,
   referenceStories: calibration.referenceStories,
   calibrateForAgent: (points, agent, factors) => calibration.calibrateForAgent(points, agent, factors),
+  recordEstimationError: (agent, sample) => calibration.recordEstimationError(agent, sample),
   normalizeMultiAgentPoints: (points) => calibration.normalizeMultiAgentPoints(points),
   roundToFibonacci: (points) => calibration.roundToFibonacci(points)
 };
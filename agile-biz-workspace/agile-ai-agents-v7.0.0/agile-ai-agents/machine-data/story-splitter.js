@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const { calibration } = require('./story-point-calibration');
+const { dependencyGraph } = require('./dependency-graph');
 
 class StorySplitter {
   constructor() {
@@ -408,12 +409,17 @@ class StorySplitter {
       // UI depends on API
       if (task.title.includes('UI') || task.title.includes('component')) {
         const apiTasks = breakdown
-          .filter(t => t.title.includes('endpoint') || t.title.includes('API'))
+          .filter(t => t !== task && (t.title.includes('endpoint') || t.title.includes('API')))
           .map(t => t.title);
         
         task.dependencies.push(...apiTasks);
       }
     }
+    
+    // The title rules can contradict each other; such a breakdown cannot be ordered
+    for (const cycle of dependencyGraph.findCycles(dependencyGraph.build(breakdown))) {
+      console.warn(`⚠️ Breakdown has a dependency cycle: ${cycle.join(' → ')}`);
+    }
   }
   
   /**
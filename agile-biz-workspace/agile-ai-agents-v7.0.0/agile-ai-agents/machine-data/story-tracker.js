@@ -1,43 +1,59 @@
 /**
  * Story Tracking System
  * Manages story creation, tracking, and lifecycle management
+ *
+ * Every change is appended to the story event log (see story-event-store.js);
+ * the story documents returned here are projections of that log.
  */
 
-const fs = require('fs');
 const path = require('path');
 const { calibration } = require('./story-point-calibration');
+const { StoryEventStore, StoryEventError } = require('./story-event-store');
 
 class StoryTracker {
-  constructor() {
+  /**
+   * @param {Object} options - { sprintTrackingPath, now: () => Date, flowSettings }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
-    this.storiesPath = path.join(
+    this.sprintTrackingPath = options.sprintTrackingPath || path.join(
       this.basePath,
       'machine-data',
       'project-documents-json',
       '00-orchestration',
-      'sprint-tracking',
-      'stories'
+      'sprint-tracking'
     );
+    // Per-story JSON files from before the event log; imported on first use
+    this.storiesPath = path.join(this.sprintTrackingPath, 'stories');
+    this.eventLogPath = path.join(this.sprintTrackingPath, 'story-events.jsonl');
+    this.store = new StoryEventStore(this.eventLogPath, { legacyDir: this.storiesPath, now: options.now });
+    // WIP limits; read from project-state/configuration.json unless given
+    this.flowSettings = options.flowSettings || null;
+    this._flowMetrics = null;
+    
+    // Fields updateStory may change
+    this.detailFields = [
+      'title',
+      'description',
+      'user_story_format',
+      'acceptance_criteria',
+      'assigned_agents',
+      'labels',
+      'priority',
+      'epic_id',
+      'external_refs'
+    ];
     
-    // Story status lifecycle
+    // Story status lifecycle ('split' is terminal: the story was replaced by its parts)
     this.statusLifecycle = [
       'not_started',
       'in_progress',
       'testing',
       'review',
       'completed',
-      'blocked'
+      'blocked',
+      'split'
     ];
-    
-    // Ensure stories directory exists
-    this.ensureStoriesDirectory();
-  }
-  
-  ensureStoriesDirectory() {
-    if (!fs.existsSync(this.storiesPath)) {
-      fs.mkdirSync(this.storiesPath, { recursive: true });
-      console.log(`📁 Created stories directory: ${this.storiesPath}`);
-    }
   }
   
   /**
@@ -46,48 +62,30 @@ class StoryTracker {
   createStory(storyData) {
     const storyId = this.generateStoryId(storyData.title);
     
-    const story = {
-      meta: {
-        document_type: "user_story",
-        version: "1.0.0",
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      },
-      story: {
-        id: storyId,
-        title: storyData.title,
-        description: storyData.description || "",
-        user_story_format: storyData.user_story_format || "",
-        acceptance_criteria: storyData.acceptance_criteria || [],
-        story_points: this.calculateStoryPoints(storyData),
-        timing: {
-          estimated_hours: this.estimateHours(storyData.story_points),
-          actual_hours: 0,
-          blocked_hours: 0,
-          start_time: null,
-          end_time: null
-        },
-        status: "not_started",
-        sprint_id: storyData.sprint_id || null,
-        dependencies: storyData.dependencies || [],
-        assigned_agents: storyData.assigned_agents || [],
-        labels: storyData.labels || [],
-        priority: storyData.priority || "medium",
-        coverage_requirements: this.determineCoverageRequirements(storyData),
-        history: [{
-          timestamp: new Date().toISOString(),
-          action: "created",
-          details: "Story created"
-        }]
-      }
-    };
+    this.store.append('created', storyId, {
+      title: storyData.title,
+      description: storyData.description || "",
+      user_story_format: storyData.user_story_format || "",
+      acceptance_criteria: storyData.acceptance_criteria || [],
+      sprint_id: storyData.sprint_id || null,
+      dependencies: storyData.dependencies || [],
+      assigned_agents: storyData.assigned_agents || [],
+      labels: storyData.labels || [],
+      priority: storyData.priority || "medium",
+      epic_id: storyData.epic_id || null,
+      external_refs: storyData.external_refs || {},
+      coverage_requirements: this.determineCoverageRequirements(storyData),
+      split_from: storyData.split_from || null
+    });
     
-    // Save story to file
-    const storyPath = path.join(this.storiesPath, `${storyId}.json`);
-    fs.writeFileSync(storyPath, JSON.stringify(story, null, 2));
+    const storyPoints = this.calculateStoryPoints(storyData);
+    this.store.append('estimated', storyId, {
+      story_points: storyPoints,
+      estimated_hours: this.estimateHours(storyPoints)
+    });
     
     console.log(`✅ Created story: ${storyId}`);
-    return story;
+    return this.getStory(storyId);
   }
   
   /**
@@ -102,7 +100,11 @@ class StoryTracker {
       .slice(0, 3);
     
     const timestamp = Date.now().toString().slice(-4);
-    return `${prefix}-${timestamp}`;
+    let storyId = `${prefix}-${timestamp}`;
+    for (let n = 2; this.store.has(storyId); n++) {
+      storyId = `${prefix}-${timestamp}-${n}`;
+    }
+    return storyId;
   }
   
   /**
@@ -206,214 +208,274 @@ class StoryTracker {
   }
   
   /**
-   * Update story status
+   * Get a story or throw
+   */
+  requireStory(storyId) {
+    const story = this.store.getStory(storyId);
+    if (!story) {
+      throw new StoryEventError(`Story ${storyId} not found`, storyId);
+    }
+    return story;
+  }
+  
+  /**
+   * Update story status; WIP limit breaches warn or throw per configuration (details.force skips them)
    */
   updateStoryStatus(storyId, newStatus, details = {}) {
-    const storyPath = path.join(this.storiesPath, `${storyId}.json`);
+    const oldStatus = this.requireStory(storyId).story.status;
     
-    if (!fs.existsSync(storyPath)) {
-      throw new Error(`Story ${storyId} not found`);
+    if (newStatus === 'blocked') {
+      return this.blockStory(storyId, details.reason);
     }
-    
-    const story = JSON.parse(fs.readFileSync(storyPath, 'utf-8'));
-    
-    // Update status
-    const oldStatus = story.story.status;
-    story.story.status = newStatus;
-    story.meta.updated_at = new Date().toISOString();
-    
-    // Update timing
-    if (newStatus === 'in_progress' && !story.story.timing.start_time) {
-      story.story.timing.start_time = new Date().toISOString();
-    } else if (newStatus === 'completed' && !story.story.timing.end_time) {
-      story.story.timing.end_time = new Date().toISOString();
-      story.story.timing.actual_hours = this.calculateActualHours(story.story.timing);
+    if (!details.force) {
+      this.enforceWipLimits(storyId, newStatus);
+    }
+    if (oldStatus === 'blocked') {
+      return this.unblockStory(storyId, { to: newStatus, resolution: details.reason });
     }
     
-    // Add history entry
-    story.story.history.push({
-      timestamp: new Date().toISOString(),
-      action: 'status_changed',
+    this.store.append('status_changed', storyId, {
       from: oldStatus,
       to: newStatus,
-      details: details.reason || `Status changed from ${oldStatus} to ${newStatus}`
+      reason: details.reason || null
     });
     
-    // Save updated story
-    fs.writeFileSync(storyPath, JSON.stringify(story, null, 2));
-    
     console.log(`✅ Updated story ${storyId}: ${oldStatus} → ${newStatus}`);
-    return story;
+    return this.getStory(storyId);
+  }
+  
+  get flowMetrics() {
+    if (!this._flowMetrics) {
+      const { FlowMetrics } = require('./flow-metrics');
+      this._flowMetrics = new FlowMetrics({ storyTracker: this, settings: this.flowSettings });
+    }
+    return this._flowMetrics;
+  }
+  
+  enforceWipLimits(storyId, newStatus) {
+    const { enforcement, breaches } = this.flowMetrics.checkWipLimits(storyId, newStatus);
+    if (breaches.length === 0) return;
+    
+    const message = `Moving ${storyId} to ${newStatus} exceeds WIP limits: ` +
+      breaches.map(breach => `${breach.key} ${breach.count}/${breach.limit}`).join(', ');
+    if (enforcement === 'block') {
+      const { WipLimitError } = require('./flow-metrics');
+      throw new WipLimitError(message, storyId, breaches);
+    }
+    console.warn(`⚠️ ${message}`);
   }
   
   /**
-   * Calculate actual hours worked
+   * Mark a story blocked; blocked time runs until unblockStory
    */
-  calculateActualHours(timing) {
-    if (!timing.start_time || !timing.end_time) {
-      return 0;
+  blockStory(storyId, reason) {
+    const story = this.requireStory(storyId);
+    if (story.story.status === 'blocked') {
+      return story;
     }
     
-    const start = new Date(timing.start_time);
-    const end = new Date(timing.end_time);
-    const hours = (end - start) / (1000 * 60 * 60);
+    this.store.append('blocked', storyId, { from: story.story.status, reason: reason || null });
     
-    return Math.round(hours * 100) / 100; // Round to 2 decimal places
+    console.log(`🚧 Blocked story ${storyId}${reason ? `: ${reason}` : ''}`);
+    return this.getStory(storyId);
   }
   
   /**
-   * Add time to blocked hours
+   * Resume a blocked story (in the status it had before, unless `to` is given)
    */
-  addBlockedTime(storyId, hours, reason) {
-    const storyPath = path.join(this.storiesPath, `${storyId}.json`);
-    
-    if (!fs.existsSync(storyPath)) {
-      throw new Error(`Story ${storyId} not found`);
+  unblockStory(storyId, options = {}) {
+    const story = this.requireStory(storyId);
+    if (story.story.status !== 'blocked') {
+      return story;
     }
     
-    const story = JSON.parse(fs.readFileSync(storyPath, 'utf-8'));
-    
-    story.story.timing.blocked_hours += hours;
-    story.meta.updated_at = new Date().toISOString();
+    this.store.append('unblocked', storyId, { to: options.to || null, resolution: options.resolution || null });
     
-    story.story.history.push({
-      timestamp: new Date().toISOString(),
-      action: 'blocked_time_added',
-      hours: hours,
-      details: reason
-    });
-    
-    fs.writeFileSync(storyPath, JSON.stringify(story, null, 2));
+    const updated = this.getStory(storyId);
+    console.log(`✅ Unblocked story ${storyId} → ${updated.story.status}`);
+    return updated;
+  }
+  
+  /**
+   * Add time to blocked hours
+   */
+  addBlockedTime(storyId, hours, reason) {
+    this.requireStory(storyId);
+    this.store.append('blocked', storyId, { duration_hours: hours, reason });
     
     console.log(`⏱️ Added ${hours} blocked hours to story ${storyId}`);
-    return story;
+    return this.getStory(storyId);
   }
   
   /**
-   * Update story points
+   * Update story points (the first estimate, or a re-point)
    */
-  updateStoryPoints(storyId, newPoints) {
-    const storyPath = path.join(this.storiesPath, `${storyId}.json`);
-    
-    if (!fs.existsSync(storyPath)) {
-      throw new Error(`Story ${storyId} not found`);
+  updateStoryPoints(storyId, newPoints, reason) {
+    const story = this.requireStory(storyId);
+    const estimatedHours = this.estimateHours(newPoints);
+    
+    if (story.story.estimated) {
+      this.store.append('repointed', storyId, {
+        from: story.story.story_points,
+        to: newPoints,
+        estimated_hours: estimatedHours,
+        reason: reason || null
+      });
+    } else {
+      this.store.append('estimated', storyId, { story_points: newPoints, estimated_hours: estimatedHours });
     }
     
-    const story = JSON.parse(fs.readFileSync(storyPath, 'utf-8'));
-    
-    const oldPoints = story.story.story_points;
-    story.story.story_points = newPoints;
-    story.meta.updated_at = new Date().toISOString();
-    
-    // Recalculate estimated hours
-    story.story.timing.estimated_hours = this.estimateHours(newPoints);
-    
-    story.story.history.push({
-      timestamp: new Date().toISOString(),
-      action: 'points_updated',
-      from: oldPoints,
-      to: newPoints,
-      details: 'Story points re-estimated'
-    });
-    
-    fs.writeFileSync(storyPath, JSON.stringify(story, null, 2));
-    
     console.log(`📊 Updated story points for ${storyId}`);
-    return story;
+    return this.getStory(storyId);
   }
   
   /**
-   * Get story by ID
+   * Split a story into smaller stories; the original is closed as 'split'
+   * @param {Array} parts - story data for each part (title, story_points, ...)
+   * @returns {Object} { parent, stories }
    */
-  getStory(storyId) {
-    const storyPath = path.join(this.storiesPath, `${storyId}.json`);
-    
-    if (!fs.existsSync(storyPath)) {
-      return null;
+  splitStory(storyId, parts, reason) {
+    const parent = this.requireStory(storyId).story;
+    if (parent.status === 'split' || parent.status === 'completed') {
+      throw new StoryEventError(`Story ${storyId} is ${parent.status} and cannot be split`, storyId);
+    }
+    if (!Array.isArray(parts) || parts.length < 2) {
+      throw new StoryEventError('A split needs at least two parts', storyId);
     }
     
-    return JSON.parse(fs.readFileSync(storyPath, 'utf-8'));
+    const ids = parts.map((part, index) => `${storyId}.${index + 1}`);
+    this.store.append('split', storyId, { into: ids, reason: reason || null });
+    
+    const stories = parts.map((part, index) => {
+      const storyData = {
+        description: '',
+        sprint_id: parent.sprint_id,
+        dependencies: parent.dependencies,
+        assigned_agents: parent.assigned_agents,
+        labels: parent.labels,
+        priority: parent.priority,
+        epic_id: parent.epic_id || null,
+        ...part,
+        split_from: storyId
+      };
+      this.store.append('created', ids[index], {
+        title: storyData.title,
+        description: storyData.description,
+        user_story_format: storyData.user_story_format || '',
+        acceptance_criteria: storyData.acceptance_criteria || [],
+        sprint_id: storyData.sprint_id,
+        dependencies: storyData.dependencies,
+        assigned_agents: storyData.assigned_agents,
+        labels: storyData.labels,
+        priority: storyData.priority,
+        epic_id: storyData.epic_id,
+        coverage_requirements: this.determineCoverageRequirements(storyData),
+        split_from: storyId
+      });
+      const storyPoints = this.calculateStoryPoints(storyData);
+      this.store.append('estimated', ids[index], { story_points: storyPoints, estimated_hours: this.estimateHours(storyPoints) });
+      return this.getStory(ids[index]);
+    });
+    
+    console.log(`✂️ Split story ${storyId} into ${ids.join(', ')}`);
+    return { parent: this.getStory(storyId), stories };
   }
   
   /**
-   * Get all stories for a sprint
+   * Update descriptive fields; external_refs are merged, unchanged fields are ignored
    */
-  getSprintStories(sprintId) {
-    const stories = [];
-    
-    if (!fs.existsSync(this.storiesPath)) {
-      return stories;
+  updateStory(storyId, changes, reason) {
+    const story = this.requireStory(storyId).story;
+    const unknown = Object.keys(changes).filter(field => !this.detailFields.includes(field));
+    if (unknown.length > 0) {
+      throw new StoryEventError(`Cannot update ${unknown.join(', ')} on ${storyId}; use the status, points or sprint methods`, storyId);
     }
     
-    const files = fs.readdirSync(this.storiesPath);
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const story = JSON.parse(
-          fs.readFileSync(path.join(this.storiesPath, file), 'utf-8')
-        );
-        
-        if (story.story.sprint_id === sprintId) {
-          stories.push(story);
-        }
-      }
+    const changed = {};
+    for (const [field, value] of Object.entries(changes)) {
+      const current = field === 'external_refs' ? { ...story.external_refs, ...value } : value;
+      if (JSON.stringify(current) !== JSON.stringify(story[field])) changed[field] = value;
     }
+    if (Object.keys(changed).length === 0) {
+      return this.getStory(storyId);
+    }
+    
+    this.store.append('updated', storyId, { changes: changed, reason: reason || null });
+    console.log(`📝 Updated ${Object.keys(changed).join(', ')} on story ${storyId}`);
+    return this.getStory(storyId);
+  }
+  
+  /**
+   * Commit story to a sprint
+   */
+  assignToSprint(storyId, sprintId) {
+    const oldSprint = this.requireStory(storyId).story.sprint_id;
+    this.store.append('sprint_assigned', storyId, { from: oldSprint, to: sprintId });
     
-    return stories;
+    console.log(`📌 Committed story ${storyId} to ${sprintId}`);
+    return this.getStory(storyId);
+  }
+  
+  /**
+   * Get story by ID
+   */
+  getStory(storyId) {
+    return this.store.getStory(storyId);
+  }
+  
+  /**
+   * Get all stories for a sprint (split originals only with includeSplit)
+   */
+  getSprintStories(sprintId, options = {}) {
+    return this.store.getStories(story =>
+      story.sprint_id === sprintId && (options.includeSplit || story.status !== 'split'));
+  }
+  
+  /**
+   * Find the story linked to an issue in an external tracker (jira, linear, github)
+   */
+  findByExternalRef(system, externalId) {
+    const [document] = this.store.getStories(story =>
+      Boolean(story.external_refs) && String(story.external_refs[system]) === String(externalId));
+    return document || null;
   }
   
   /**
    * Get stories by status
    */
   getStoriesByStatus(status) {
-    const stories = [];
-    
-    if (!fs.existsSync(this.storiesPath)) {
-      return stories;
-    }
-    
-    const files = fs.readdirSync(this.storiesPath);
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const story = JSON.parse(
-          fs.readFileSync(path.join(this.storiesPath, file), 'utf-8')
-        );
-        
-        if (story.story.status === status) {
-          stories.push(story);
-        }
-      }
-    }
-    
-    return stories;
+    return this.store.getStories(story => story.status === status);
+  }
+  
+  /**
+   * Events recorded for one story, oldest first
+   */
+  getStoryEvents(storyId) {
+    return this.store.getEvents({ story_id: storyId });
+  }
+  
+  /**
+   * Sprint totals after each story event (burndown source)
+   */
+  getSprintTimeline(sprintId) {
+    return this.store.sprintTimeline(sprintId);
+  }
+  
+  /**
+   * Sprint velocity, scope, cycle and blocked time derived from the event log
+   */
+  getSprintMetrics(sprintId, options = {}) {
+    return this.store.sprintMetrics(sprintId, options);
   }
   
   /**
    * Update coverage results
    */
   updateCoverageResults(storyId, coveragePercent) {
-    const storyPath = path.join(this.storiesPath, `${storyId}.json`);
-    
-    if (!fs.existsSync(storyPath)) {
-      throw new Error(`Story ${storyId} not found`);
-    }
-    
-    const story = JSON.parse(fs.readFileSync(storyPath, 'utf-8'));
-    
-    story.story.coverage_requirements.actual = coveragePercent;
-    story.meta.updated_at = new Date().toISOString();
-    
-    story.story.history.push({
-      timestamp: new Date().toISOString(),
-      action: 'coverage_updated',
-      coverage: coveragePercent,
-      target: story.story.coverage_requirements.target,
-      meets_target: coveragePercent >= story.story.coverage_requirements.target
-    });
-    
-    fs.writeFileSync(storyPath, JSON.stringify(story, null, 2));
+    this.requireStory(storyId);
+    this.store.append('coverage_updated', storyId, { coverage: coveragePercent });
     
+    const story = this.getStory(storyId);
     const meetsTarget = coveragePercent >= story.story.coverage_requirements.target;
     console.log(`📊 Updated coverage for ${storyId}: ${coveragePercent}% ${meetsTarget ? '✅' : '❌'}`);
     
@@ -421,30 +483,19 @@ class StoryTracker {
   }
   
   /**
-   * Add dependency to story
+   * Add dependency to story; dependencies that would form a cycle are rejected
    */
   addDependency(storyId, dependsOnStoryId) {
-    const storyPath = path.join(this.storiesPath, `${storyId}.json`);
-    
-    if (!fs.existsSync(storyPath)) {
-      throw new Error(`Story ${storyId} not found`);
-    }
-    
-    const story = JSON.parse(fs.readFileSync(storyPath, 'utf-8'));
+    const story = this.requireStory(storyId);
     
     if (!story.story.dependencies.includes(dependsOnStoryId)) {
-      story.story.dependencies.push(dependsOnStoryId);
-      story.meta.updated_at = new Date().toISOString();
-      
-      story.story.history.push({
-        timestamp: new Date().toISOString(),
-        action: 'dependency_added',
-        dependency: dependsOnStoryId
-      });
-      
-      fs.writeFileSync(storyPath, JSON.stringify(story, null, 2));
-      
+      const { DependencyGraph } = require('./dependency-graph');
+      if (new DependencyGraph({ storyTracker: this }).wouldCreateCycle(storyId, dependsOnStoryId)) {
+        throw new StoryEventError(`${storyId} cannot depend on ${dependsOnStoryId}: that would create a dependency cycle`, storyId);
+      }
+      this.store.append('dependency_added', storyId, { dependency: dependsOnStoryId });
       console.log(`🔗 Added dependency: ${storyId} depends on ${dependsOnStoryId}`);
+      return this.getStory(storyId);
     }
     
     return story;
@@ -461,9 +512,16 @@ module.exports = {
   // Convenience exports
   createStory: (data) => storyTracker.createStory(data),
   updateStoryStatus: (id, status, details) => storyTracker.updateStoryStatus(id, status, details),
+  assignToSprint: (id, sprintId) => storyTracker.assignToSprint(id, sprintId),
   getStory: (id) => storyTracker.getStory(id),
   getSprintStories: (sprintId) => storyTracker.getSprintStories(sprintId),
-  getStoriesByStatus: (status) => storyTracker.getStoriesByStatus(status)
+  getStoriesByStatus: (status) => storyTracker.getStoriesByStatus(status),
+  blockStory: (id, reason) => storyTracker.blockStory(id, reason),
+  unblockStory: (id, options) => storyTracker.unblockStory(id, options),
+  updateStory: (id, changes, reason) => storyTracker.updateStory(id, changes, reason),
+  splitStory: (id, parts, reason) => storyTracker.splitStory(id, parts, reason),
+  getStoryEvents: (id) => storyTracker.getStoryEvents(id),
+  getSprintMetrics: (sprintId, options) => storyTracker.getSprintMetrics(sprintId, options)
 };
 
 // If run directly, create example story
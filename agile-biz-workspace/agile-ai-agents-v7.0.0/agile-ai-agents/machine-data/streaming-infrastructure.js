@@ -229,6 +229,29 @@ class StreamingInfrastructure {
     this.writeEvent(event, 'project_dashboard_agent', 'stakeholder_decision');
   }
 
+  /**
+   * Context Drift Stream
+   * Drift Detector → Dashboard
+   */
+  streamContextDrift(driftReport) {
+    const event = {
+      event: 'context_drift',
+      from_agent: 'drift_detector',
+      to_agent: 'project_dashboard_agent',
+      data: {
+        overall_drift: driftReport.overallDrift,
+        severity: driftReport.severity,
+        checks: (driftReport.checks || [])
+          .filter(check => !check.error)
+          .map(check => ({ name: check.name, drift: check.drift })),
+        recommendations: driftReport.recommendations || [],
+        checked_at: driftReport.timestamp
+      }
+    };
+
+    this.writeEvent(event, 'project_dashboard_agent', 'drift');
+  }
+
   /**
    * JSON Context Optimization Stream
    */
@@ -5,6 +5,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const TokenBudgetManager = require('./token-budget-manager');
+const { contextSummarizer } = require('./context-summarizer');
+const { countTokens, truncateToTokens } = require('./tokenizer');
 // Simple UUID alternative for testing
 const uuidv4 = () => {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
@@ -15,12 +18,24 @@ const uuidv4 = () => {
 };
 
 class SubAgentOrchestrator {
-  constructor() {
+  constructor(options = {}) {
     this.activeSubAgents = new Map();
     this.sessionId = `session-${new Date().toISOString().replace(/[:.]/g, '-')}`;
-    this.registryBasePath = path.join(__dirname, '..', 'project-documents', 'orchestration', 'sub-agent-registries');
+    this.registryBasePath = options.registryBasePath ||
+      path.join(__dirname, '..', 'project-documents', 'orchestration', 'sub-agent-registries');
     this.maxConcurrent = 5;
     this.defaultTimeout = 300000; // 5 minutes
+    
+    // Budget enforcement
+    this.tokenManager = options.tokenManager || new TokenBudgetManager();
+    this.summarizer = options.summarizer || contextSummarizer;
+    // (task, { subAgentId, budget }) => { content, documents, tokenUsage }
+    this.executor = options.executor || (task => this._simulateSubAgentExecution(task));
+    this.maxRequeues = options.maxRequeues !== undefined ? options.maxRequeues : 2;
+    this.requeueScopeRatio = 0.5;  // Continuations get half the previous budget
+    this.minRequeueBudget = 1000;  // Below this the remaining work is dropped, not re-queued
+    this.requeued = [];
+    this.budgetLog = [];
   }
 
   /**
@@ -60,6 +75,23 @@ class SubAgentOrchestrator {
    * @returns {Promise<Array>} Results from all sub-agents
    */
   async launchSubAgents(tasks) {
+    const results = await this._launchBatches(tasks);
+    
+    // Sub-agents that ran out of budget queue their remaining work with a smaller scope
+    let pending = this._takeRequeued();
+    while (pending.length > 0) {
+      results.push(...await this._launchBatches(pending));
+      pending = this._takeRequeued();
+    }
+    
+    return results;
+  }
+
+  /**
+   * Run tasks in batches of maxConcurrent
+   * @private
+   */
+  async _launchBatches(tasks) {
     if (tasks.length > this.maxConcurrent) {
       // Process in batches
       const results = [];
@@ -87,6 +119,7 @@ class SubAgentOrchestrator {
         return {
           taskId: tasks[index].id,
           status: 'success',
+          partial: result.value.partial === true,
           data: result.value
         };
       } else {
@@ -114,6 +147,10 @@ class SubAgentOrchestrator {
       status: 'running'
     });
     
+    // Tasks without their own budget get the default allocation
+    const budget = task.tokenBudget || this.tokenManager.getRemainingBudget(subAgentId);
+    this.tokenManager.allocateTokens(subAgentId, budget);
+    
     // Create sub-agent registry
     const registryPath = path.join(this.registryBasePath, this.sessionId, `${subAgentId}.json`);
     const registry = {
@@ -121,35 +158,38 @@ class SubAgentOrchestrator {
       taskDescription: task.description,
       startTime: new Date().toISOString(),
       documents: [],
+      tokenBudget: budget,
       tokenUsage: 0,
       status: 'running'
     };
     
-    await fs.writeFile(registryPath, JSON.stringify(registry, null, 2));
+    await this._writeRegistry(registryPath, registry);
     
     try {
-      // Simulate sub-agent execution (will be replaced with actual Claude Code sub-agent call)
-      const result = await this._simulateSubAgentExecution(task);
+      const result = await this.executor(task, { subAgentId, budget });
+      const enforced = this._enforceBudget(task, subAgentId, budget, result);
       
       // Update registry with results
-      registry.status = 'completed';
+      registry.status = enforced.partial ? 'partial' : 'completed';
       registry.endTime = new Date().toISOString();
-      registry.documents = result.documents || [];
-      registry.tokenUsage = result.tokenUsage || 0;
+      registry.documents = enforced.documents || [];
+      registry.tokenUsage = enforced.tokenUsage;
+      registry.budget = enforced.budget;
       
-      await fs.writeFile(registryPath, JSON.stringify(registry, null, 2));
+      await this._writeRegistry(registryPath, registry);
       
       // Update active sub-agents
-      this.activeSubAgents.get(subAgentId).status = 'completed';
+      this.activeSubAgents.get(subAgentId).status = registry.status;
       
-      return result;
+      return enforced;
     } catch (error) {
       // Update registry with error
       registry.status = 'error';
       registry.endTime = new Date().toISOString();
       registry.error = error.message;
       
-      await fs.writeFile(registryPath, JSON.stringify(registry, null, 2));
+      await this._writeRegistry(registryPath, registry);
+      this._logBudget(task, subAgentId, { allocated: budget, used: 0, decision: 'error' });
       
       // Update active sub-agents
       this.activeSubAgents.get(subAgentId).status = 'error';
@@ -158,6 +198,134 @@ class SubAgentOrchestrator {
     }
   }
 
+  /**
+   * Hold a sub-agent to its budget: over-budget output is summarized or truncated
+   * and whatever the sub-agent did not finish is re-queued with a smaller scope
+   * @private
+   */
+  _enforceBudget(task, subAgentId, budget, result) {
+    const outputTokens = countTokens(result.content);
+    const used = result.tokenUsage !== undefined ? result.tokenUsage : outputTokens;
+    this.tokenManager.trackUsage(subAgentId, used);
+    
+    const exhausted = !this.tokenManager.hasRemainingBudget(subAgentId) && used > 0;
+    const enforced = { ...result, tokenUsage: used, partial: false };
+    const budgetRecord = {
+      allocated: budget,
+      used,
+      outputTokens,
+      exhausted,
+      decision: 'within_budget'
+    };
+    
+    if (exhausted) {
+      budgetRecord.decision = 'kept';
+      
+      if (outputTokens > budget) {
+        const reduced = this._reduceOutput(result.content, budget);
+        enforced.content = reduced.content;
+        enforced.partial = true;
+        budgetRecord.decision = reduced.decision;
+        budgetRecord.keptTokens = countTokens(reduced.content);
+      }
+      
+      const remaining = this._remainingDocuments(task, enforced);
+      if (remaining.length > 0) {
+        enforced.partial = true;
+      }
+      
+      if (enforced.partial) {
+        const continuation = this._requeueRemainingWork(task, subAgentId, budget, enforced, remaining);
+        budgetRecord.requeuedTaskId = continuation ? continuation.id : null;
+        if (!continuation && remaining.length > 0) {
+          budgetRecord.dropped = remaining;
+        }
+      }
+    }
+    
+    enforced.budget = budgetRecord;
+    this._logBudget(task, subAgentId, budgetRecord);
+    return enforced;
+  }
+
+  /**
+   * Structured output goes through the ContextSummarizer; text (or anything still
+   * too large after summarizing) is truncated at the token limit
+   * @private
+   */
+  _reduceOutput(content, maxTokens) {
+    if (content && typeof content === 'object') {
+      const summary = this.summarizer.summarizeContext(content, null, maxTokens);
+      if (summary.context && countTokens(summary.context) <= maxTokens) {
+        return { content: summary.context, decision: 'summarized' };
+      }
+    }
+    
+    return { content: truncateToTokens(content, maxTokens), decision: 'truncated' };
+  }
+
+  /**
+   * Queue a continuation for documents the sub-agent did not produce
+   * @private
+   */
+  _requeueRemainingWork(task, subAgentId, budget, result, remaining) {
+    const depth = (task.requeueDepth || 0) + 1;
+    const nextBudget = Math.floor(budget * this.requeueScopeRatio);
+    if (depth > this.maxRequeues || nextBudget < this.minRequeueBudget) {
+      return null;
+    }
+    
+    if (Array.isArray(task.documents) && remaining.length === 0) {
+      // Every document was produced; only the output was cut
+      return null;
+    }
+    
+    const rootId = task.continuationOf || task.id;
+    const rootSubAgentId = task.rootSubAgentId || subAgentId;
+    const continuation = {
+      ...task,
+      id: `${rootId}-cont-${depth}`,
+      subAgentId: `${rootSubAgentId}-cont-${depth}`,
+      description: `Continue (reduced scope): ${task.description.replace(/^Continue \(reduced scope\): /, '')}`,
+      documents: Array.isArray(task.documents) ? remaining : task.documents,
+      tokenBudget: nextBudget,
+      requeueDepth: depth,
+      continuationOf: rootId,
+      rootSubAgentId,
+      previousOutput: typeof result.content === 'string' ? result.content : JSON.stringify(result.content)
+    };
+    
+    this.requeued.push(continuation);
+    return continuation;
+  }
+
+  _remainingDocuments(task, result) {
+    if (!Array.isArray(task.documents)) return [];
+    const produced = new Set((result.documents || []).map(doc => (typeof doc === 'string' ? doc : doc.name)));
+    return task.documents.filter(doc => !produced.has(typeof doc === 'string' ? doc : doc.name));
+  }
+
+  _takeRequeued() {
+    const pending = this.requeued;
+    this.requeued = [];
+    return pending;
+  }
+
+  _logBudget(task, subAgentId, record) {
+    this.budgetLog.push({
+      subAgentId,
+      taskId: task.id,
+      continuationOf: task.continuationOf || null,
+      ...record,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async _writeRegistry(registryPath, registry) {
+    await fs.mkdir(path.dirname(registryPath), { recursive: true });
+    await fs.writeFile(registryPath, JSON.stringify(registry, null, 2));
+  }
+
   /**
    * Simulate sub-agent execution (placeholder for actual implementation)
    * @private
@@ -177,14 +345,30 @@ class SubAgentOrchestrator {
 
   /**
    * Consolidate results from multiple sub-agents
+   * Budget-limited results are flagged as partial; `complete` is only true when every
+   * partial result was finished by a continuation
    */
   async consolidateResults(results) {
+    const byTaskId = new Map(results.map(r => [r.taskId, r]));
+    const partialResults = results
+      .filter(r => r.status === 'success' && r.partial)
+      .map(r => ({
+        taskId: r.taskId,
+        decision: r.data.budget ? r.data.budget.decision : null,
+        requeuedTaskId: r.data.budget ? r.data.budget.requeuedTaskId : null,
+        dropped: r.data.budget ? r.data.budget.dropped || [] : [],
+        resolved: this._isResolved(r, byTaskId)
+      }));
+    
     const consolidated = {
       sessionId: this.sessionId,
       timestamp: new Date().toISOString(),
       totalSubAgents: results.length,
       successful: results.filter(r => r.status === 'success').length,
       failed: results.filter(r => r.status === 'error').length,
+      partial: partialResults.length,
+      partialResults,
+      complete: results.every(r => r.status === 'success') && partialResults.every(p => p.resolved),
       documents: [],
       totalTokenUsage: 0
     };
@@ -203,20 +387,58 @@ class SubAgentOrchestrator {
       this.sessionId, 
       'consolidation-summary.json'
     );
+    await fs.mkdir(path.dirname(summaryPath), { recursive: true });
     await fs.writeFile(summaryPath, JSON.stringify(consolidated, null, 2));
     
     return consolidated;
   }
 
+  /**
+   * Follow a partial result's continuations until one finishes the work
+   * @private
+   */
+  _isResolved(result, byTaskId) {
+    let current = result;
+    while (current && current.status === 'success' && current.partial) {
+      const nextId = current.data.budget && current.data.budget.requeuedTaskId;
+      current = nextId ? byTaskId.get(nextId) : null;
+    }
+    return Boolean(current && current.status === 'success');
+  }
+
   /**
    * Archive completed session
+   * The session summary records budget, usage and truncation decision per sub-agent
    */
   async archiveSession() {
+    const sessionPath = path.join(this.registryBasePath, this.sessionId);
+    const summaryPath = path.join(sessionPath, 'session-summary.json');
+    
+    let summary = { sessionId: this.sessionId };
+    try {
+      summary = JSON.parse(await fs.readFile(summaryPath, 'utf8'));
+    } catch (e) {
+      // Session was never initialized; archive what we have
+    }
+    
+    summary.endTime = new Date().toISOString();
+    summary.status = 'archived';
+    summary.subAgents = this.budgetLog;
+    summary.tokenBudget = {
+      allocated: this.budgetLog.reduce((sum, entry) => sum + (entry.allocated || 0), 0),
+      used: this.budgetLog.reduce((sum, entry) => sum + (entry.used || 0), 0),
+      exhausted: this.budgetLog.filter(entry => entry.exhausted).length,
+      truncated: this.budgetLog.filter(entry => entry.decision === 'truncated').length,
+      summarized: this.budgetLog.filter(entry => entry.decision === 'summarized').length
+    };
+    
+    await fs.mkdir(sessionPath, { recursive: true });
+    await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+    
     const archivePath = path.join(this.registryBasePath, '..', 'registry-archive', this.sessionId);
     await fs.mkdir(path.dirname(archivePath), { recursive: true });
     
     // Move session directory to archive
-    const sessionPath = path.join(this.registryBasePath, this.sessionId);
     await fs.rename(sessionPath, archivePath);
     
     // Remove active symlink
@@ -226,6 +448,8 @@ class SubAgentOrchestrator {
     } catch (e) {
       // Ignore if doesn't exist
     }
+    
+    return archivePath;
   }
 
   /**
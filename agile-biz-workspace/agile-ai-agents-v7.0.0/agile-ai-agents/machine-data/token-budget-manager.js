@@ -3,6 +3,10 @@
  * Calculates and enforces token budgets for parallel sub-agent execution
  */
 
+const fs = require('fs');
+const path = require('path');
+const { countTokens, countDocumentTokens } = require('./tokenizer');
+
 class TokenBudgetManager {
   constructor() {
     this.baseAllocation = 10000;
@@ -44,6 +48,8 @@ class TokenBudgetManager {
 
   /**
    * Calculate token budget for a sub-agent task
+   * Input the sub-agent must load (task.context text, task.contextFiles paths) is counted
+   * with the tokenizer and added on top of the working allocation
    * @param {Object} task - Task configuration
    * @returns {number} Allocated token budget
    */
@@ -74,10 +80,49 @@ class TokenBudgetManager {
       budget *= this.multipliers.taskType[task.taskType];
     }
     
+    budget += this.countContextTokens(task);
+    
     // Round to nearest 1000 for cleaner budgets
     return Math.round(budget / 1000) * 1000;
   }
 
+  /**
+   * Tokens for the context a task loads up front
+   */
+  countContextTokens(task) {
+    let tokens = 0;
+    
+    const context = Array.isArray(task.context) ? task.context : [task.context];
+    for (const item of context) {
+      if (item) tokens += countDocumentTokens(item);
+    }
+    
+    for (const filePath of task.contextFiles || []) {
+      const fullPath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', filePath);
+      try {
+        tokens += countDocumentTokens(fs.readFileSync(fullPath, 'utf8'));
+      } catch {
+        // Missing files cost nothing to load
+      }
+    }
+    
+    return tokens;
+  }
+
+  /**
+   * Count tokens in text with the shared tokenizer
+   */
+  countTokens(text) {
+    return countTokens(text);
+  }
+
+  /**
+   * Track usage from a sub-agent's actual output text
+   */
+  trackText(subAgentId, text) {
+    return this.trackUsage(subAgentId, countTokens(text));
+  }
+
   /**
    * Calculate budgets for specific workflow phases
    */
@@ -0,0 +1,156 @@
+/**
+ * Byte-level BPE Tokenizer
+ * GPT-style byte pair encoding over a bundled merge list, so counts work offline
+ * Rebuild the vocabulary with: node machine-data/scripts/build-bpe-vocabulary.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_VOCABULARY_PATH = path.join(__dirname, 'bpe-vocabulary.json');
+
+// Splits text into words before merging: contractions, letter runs, 1-3 digit groups,
+// punctuation runs and whitespace (same shape as the cl100k pre-tokenizer)
+const PRE_TOKENIZE_PATTERN = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+const WORD_CACHE_LIMIT = 20000;
+
+/**
+ * Map every byte to a printable character so merges can be stored as plain strings
+ */
+function buildByteEncoder() {
+  const printable = [];
+  for (let b = 33; b <= 126; b++) printable.push(b);
+  for (let b = 161; b <= 172; b++) printable.push(b);
+  for (let b = 174; b <= 255; b++) printable.push(b);
+
+  const encoder = new Array(256);
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    encoder[b] = printable.includes(b)
+      ? String.fromCharCode(b)
+      : String.fromCharCode(256 + extra++);
+  }
+  return encoder;
+}
+
+const BYTE_ENCODER = buildByteEncoder();
+
+/**
+ * Split text into pre-tokenized words, each as its byte-character string
+ */
+function toByteWords(text) {
+  const words = [];
+  for (const match of text.matchAll(PRE_TOKENIZE_PATTERN)) {
+    const bytes = Buffer.from(match[0], 'utf8');
+    let word = '';
+    for (const byte of bytes) word += BYTE_ENCODER[byte];
+    words.push(word);
+  }
+  return words;
+}
+
+class BPETokenizer {
+  constructor(options = {}) {
+    const vocabulary = options.vocabulary ||
+      JSON.parse(fs.readFileSync(options.vocabularyPath || DEFAULT_VOCABULARY_PATH, 'utf8'));
+
+    this.name = options.name || vocabulary.name || 'bpe';
+    this.ranks = new Map();
+    this.tokens = [...BYTE_ENCODER];
+
+    vocabulary.merges.forEach((merge, rank) => {
+      this.ranks.set(merge, rank);
+      const [left, right] = merge.split(' ');
+      this.tokens.push(left + right);
+    });
+
+    this.ids = new Map(this.tokens.map((token, id) => [token, id]));
+    this.byteDecoder = new Map(BYTE_ENCODER.map((char, byte) => [char, byte]));
+    this.wordCache = new Map();
+  }
+
+  get vocabularySize() {
+    return this.tokens.length;
+  }
+
+  /**
+   * Number of tokens in text
+   */
+  count(text) {
+    if (!text) return 0;
+    let total = 0;
+    for (const word of toByteWords(String(text))) {
+      total += this.encodeWord(word).length;
+    }
+    return total;
+  }
+
+  /**
+   * Token strings (byte-encoded) for text
+   */
+  tokenize(text) {
+    if (!text) return [];
+    return toByteWords(String(text)).flatMap(word => this.encodeWord(word));
+  }
+
+  encode(text) {
+    return this.tokenize(text).map(token => this.ids.get(token));
+  }
+
+  decode(ids) {
+    const bytes = [];
+    for (const id of ids) {
+      for (const char of this.tokens[id] || '') {
+        bytes.push(this.byteDecoder.get(char));
+      }
+    }
+    return Buffer.from(bytes).toString('utf8');
+  }
+
+  /**
+   * Apply merges lowest rank first until none apply
+   */
+  encodeWord(word) {
+    const cached = this.wordCache.get(word);
+    if (cached) return cached;
+
+    let parts = Array.from(word);
+    while (parts.length > 1) {
+      let bestRank = Infinity;
+      let bestIndex = -1;
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = this.ranks.get(parts[i] + ' ' + parts[i + 1]);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          bestIndex = i;
+        }
+      }
+      if (bestIndex === -1) break;
+
+      const left = parts[bestIndex];
+      const right = parts[bestIndex + 1];
+      const merged = [];
+      for (let i = 0; i < parts.length; i++) {
+        if (i < parts.length - 1 && parts[i] === left && parts[i + 1] === right) {
+          merged.push(left + right);
+          i++;
+        } else {
+          merged.push(parts[i]);
+        }
+      }
+      parts = merged;
+    }
+
+    if (this.wordCache.size >= WORD_CACHE_LIMIT) {
+      this.wordCache.clear();
+    }
+    this.wordCache.set(word, parts);
+    return parts;
+  }
+}
+
+module.exports = BPETokenizer;
+module.exports.toByteWords = toByteWords;
+module.exports.BYTE_ENCODER = BYTE_ENCODER;
+module.exports.DEFAULT_VOCABULARY_PATH = DEFAULT_VOCABULARY_PATH;
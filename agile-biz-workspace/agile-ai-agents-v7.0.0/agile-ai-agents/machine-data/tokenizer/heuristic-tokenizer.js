@@ -0,0 +1,18 @@
+/**
+ * Heuristic Tokenizer
+ * Legacy 1 token ≈ 4 characters estimate; select with AGILE_TOKENIZER=heuristic
+ */
+
+class HeuristicTokenizer {
+  constructor(options = {}) {
+    this.name = 'heuristic';
+    this.charsPerToken = options.charsPerToken || 4;
+  }
+
+  count(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / this.charsPerToken);
+  }
+}
+
+module.exports = HeuristicTokenizer;
@@ -0,0 +1,107 @@
+/**
+ * Tokenizer
+ * Pluggable token counting shared by budgets, context loading and the document registry
+ *
+ * A tokenizer is any object with `name` and `count(text)`. The bundled BPE tokenizer is the
+ * default; AGILE_TOKENIZER=heuristic restores the old 4-characters-per-token estimate.
+ */
+
+const path = require('path');
+const BPETokenizer = require('./bpe-tokenizer');
+const HeuristicTokenizer = require('./heuristic-tokenizer');
+const TokenCountCache = require('./token-count-cache');
+
+const factories = new Map([
+  ['bpe', () => new BPETokenizer()],
+  ['heuristic', () => new HeuristicTokenizer()]
+]);
+
+let activeTokenizer = null;
+
+// Shared per-document cache, persisted by callers that count many files (e.g. the registry)
+const tokenCache = new TokenCountCache({
+  cachePath: path.join(__dirname, '..', 'cache', 'token-counts.json')
+});
+
+function registerTokenizer(name, factory) {
+  factories.set(name, factory);
+}
+
+function createTokenizer(name) {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown tokenizer: ${name} (available: ${Array.from(factories.keys()).join(', ')})`);
+  }
+  return factory();
+}
+
+function getTokenizer() {
+  if (!activeTokenizer) {
+    activeTokenizer = createTokenizer(process.env.AGILE_TOKENIZER || 'bpe');
+  }
+  return activeTokenizer;
+}
+
+/**
+ * Switch tokenizer by registered name or instance; null resets to the default
+ */
+function setTokenizer(tokenizer) {
+  activeTokenizer = typeof tokenizer === 'string' ? createTokenizer(tokenizer) : tokenizer;
+  return activeTokenizer;
+}
+
+function toText(content) {
+  if (content === null || content === undefined) return '';
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+/**
+ * Count tokens in a string, or in the JSON form of any other value
+ */
+function countTokens(content) {
+  return getTokenizer().count(toText(content));
+}
+
+/**
+ * Cut text down to at most maxTokens tokens
+ */
+function truncateToTokens(text, maxTokens) {
+  const tokenizer = getTokenizer();
+  const value = toText(text);
+  if (tokenizer.count(value) <= maxTokens) return value;
+
+  if (typeof tokenizer.encode === 'function' && typeof tokenizer.decode === 'function') {
+    // Drop a trailing replacement char left by cutting a multi-byte character in half
+    return tokenizer.decode(tokenizer.encode(value).slice(0, maxTokens)).replace(/\uFFFD+$/, '');
+  }
+
+  // Tokenizers without encode/decode: shrink by the observed characters-per-token ratio
+  const ratio = value.length / tokenizer.count(value);
+  let truncated = value.slice(0, Math.floor(maxTokens * ratio));
+  while (truncated && tokenizer.count(truncated) > maxTokens) {
+    truncated = truncated.slice(0, Math.floor(truncated.length * 0.9));
+  }
+  return truncated;
+}
+
+/**
+ * Count tokens for document content through the content-hash cache
+ */
+function countDocumentTokens(content) {
+  const text = toText(content);
+  if (!text) return 0;
+  return tokenCache.count(text, getTokenizer());
+}
+
+module.exports = {
+  countTokens,
+  countDocumentTokens,
+  truncateToTokens,
+  getTokenizer,
+  setTokenizer,
+  registerTokenizer,
+  tokenCache,
+  TokenCountCache,
+  BPETokenizer,
+  HeuristicTokenizer
+};
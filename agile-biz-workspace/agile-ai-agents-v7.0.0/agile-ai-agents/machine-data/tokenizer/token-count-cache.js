@@ -0,0 +1,97 @@
+/**
+ * Token Count Cache
+ * Per-document token counts keyed by tokenizer name + content hash, optionally persisted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class TokenCountCache {
+  constructor(options = {}) {
+    this.cachePath = options.cachePath || null;
+    this.maxEntries = options.maxEntries || 5000;
+    this.entries = null;
+    this.dirty = false;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Token count for content, computing it with the tokenizer on a miss
+   */
+  count(content, tokenizer) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    const key = `${tokenizer.name}:${this.hash(text)}`;
+    const entries = this.load();
+
+    if (entries.has(key)) {
+      this.hits++;
+      return entries.get(key);
+    }
+
+    this.misses++;
+    const tokens = tokenizer.count(text);
+    entries.set(key, tokens);
+    this.dirty = true;
+
+    // Map keeps insertion order, so the first key is the oldest
+    if (entries.size > this.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return tokens;
+  }
+
+  hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    this.entries = new Map();
+    if (this.cachePath && fs.existsSync(this.cachePath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+        this.entries = new Map(Object.entries(data.counts || {}));
+      } catch {
+        // Corrupt cache is just a cold cache
+      }
+    }
+    return this.entries;
+  }
+
+  /**
+   * Persist new counts (temp file + rename so readers never see a partial file)
+   */
+  save() {
+    if (!this.cachePath || !this.dirty) return false;
+
+    fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+    const tempPath = `${this.cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      updated: new Date().toISOString(),
+      counts: Object.fromEntries(this.load())
+    }));
+    fs.renameSync(tempPath, this.cachePath);
+    this.dirty = false;
+    return true;
+  }
+
+  clear() {
+    this.entries = new Map();
+    this.dirty = true;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  getStats() {
+    return {
+      entries: this.load().size,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+module.exports = TokenCountCache;
@@ -0,0 +1,211 @@
+/**
+ * Text Diff Utility for AgileAiAgents
+ * Line-based diffs in unified format, used to record and apply agent file changes
+ */
+
+const MAX_LCS_CELLS = 25000000;
+
+/**
+ * Split text into lines, keeping a trailing newline from producing an empty last line
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines without line endings
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line diff between two texts
+ * Common prefix/suffix are matched directly, so large files with small edits stay cheap.
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{type: string, line: string}>} Operations: 'equal', 'remove' or 'add'
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const ops = a.slice(0, start).map(line => ({ type: 'equal', line }));
+  const suffix = a.slice(endA).map(line => ({ type: 'equal', line }));
+
+  // Longest common subsequence table for the changed middle; very large
+  // middles are replaced wholesale rather than allocating a huge table
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  if (rows * cols > MAX_LCS_CELLS) {
+    midA.forEach(line => ops.push({ type: 'remove', line }));
+    midB.forEach(line => ops.push({ type: 'add', line }));
+    return ops.concat(suffix);
+  }
+  const lcs = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: 'equal', line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      ops.push({ type: 'remove', line: midA[i++] });
+    } else {
+      ops.push({ type: 'add', line: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ type: 'remove', line: midA[i++] });
+  while (j < midB.length) ops.push({ type: 'add', line: midB[j++] });
+
+  return ops.concat(suffix);
+}
+
+/**
+ * Unified diff (as produced by `diff -u`) between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - { fromFile, toFile, context }
+ * @returns {string} Unified diff, empty when the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const ops = diffLines(oldText, newText);
+  if (!ops.some(op => op.type !== 'equal')) return '';
+
+  // Line numbers of every op in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== 'add') oldLine++;
+    if (op.type !== 'remove') newLine++;
+    return entry;
+  });
+
+  // Group changes that are within 2 * context lines of each other into hunks
+  const hunks = [];
+  let current = null;
+  numbered.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(numbered.length - 1, index + context);
+    if (current && from <= current.to + 1) {
+      current.to = to;
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const slice = numbered.slice(hunk.from, hunk.to + 1);
+    const oldCount = slice.filter(op => op.type !== 'add').length;
+    const newCount = slice.filter(op => op.type !== 'remove').length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine - 1 : slice.find(op => op.type !== 'add').oldLine;
+    const newStart = newCount === 0 ? slice[0].newLine - 1 : slice.find(op => op.type !== 'remove').newLine;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      output.push(`${op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' '}${op.line}`);
+    }
+  }
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Apply a unified diff to text
+ * @param {string} text - Text the diff was created against
+ * @param {string} diff - Unified diff
+ * @returns {string} Patched text
+ * @throws {Error} When a hunk does not match the text
+ */
+function applyUnifiedDiff(text, diff) {
+  const lines = splitLines(text);
+  const trailingNewline = text === '' || text.endsWith('\n');
+  const diffLinesList = splitLines(diff);
+  const result = [];
+  let cursor = 0;
+
+  for (let index = 0; index < diffLinesList.length; index++) {
+    const header = diffLinesList[index].match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+    if (!header) continue;
+
+    let oldRemaining = header[2] === undefined ? 1 : parseInt(header[2], 10);
+    let newRemaining = header[3] === undefined ? 1 : parseInt(header[3], 10);
+    const oldStart = oldRemaining === 0 ? parseInt(header[1], 10) : parseInt(header[1], 10) - 1;
+    if (oldStart < cursor) {
+      throw new Error(`Hunk at line ${oldStart + 1} overlaps a previous hunk`);
+    }
+    result.push(...lines.slice(cursor, oldStart));
+    cursor = oldStart;
+
+    // Hunk bodies are consumed by their line counts, so "---" content lines are safe
+    while (oldRemaining > 0 || newRemaining > 0) {
+      const line = diffLinesList[++index];
+      if (line === undefined) {
+        throw new Error('Unexpected end of diff inside a hunk');
+      }
+      const body = line.slice(1);
+      if (line[0] === '+') {
+        result.push(body);
+        newRemaining--;
+        continue;
+      }
+      if (lines[cursor] !== body) {
+        throw new Error(`Hunk does not apply at line ${cursor + 1}: expected "${body}"`);
+      }
+      if (line[0] === ' ') {
+        result.push(body);
+        newRemaining--;
+      }
+      oldRemaining--;
+      cursor++;
+    }
+  }
+
+  result.push(...lines.slice(cursor));
+  return result.join('\n') + (trailingNewline && result.length > 0 ? '\n' : '');
+}
+
+/**
+ * Count added and removed lines in a unified diff
+ * @param {string} diff - Unified diff
+ * @returns {{added: number, removed: number}} Line counts
+ */
+function diffStats(diff) {
+  const stats = { added: 0, removed: 0 };
+  for (const line of splitLines(diff)) {
+    if (line.startsWith('+++ ') || line.startsWith('--- ')) continue;
+    if (line.startsWith('+')) stats.added++;
+    else if (line.startsWith('-')) stats.removed++;
+  }
+  return stats;
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  createUnifiedDiff,
+  applyUnifiedDiff,
+  diffStats
+};
@@ -7,12 +7,17 @@
 const fs = require('fs');
 const path = require('path');
 const { storyTracker } = require('./story-tracker');
+const { pointsOf } = require('./story-event-store');
 const { monitor } = require('./performance-monitor');
 
 class AIVelocityTracker {
-  constructor() {
+  /**
+   * @param {Object} options - { storyTracker, velocityPath }
+   */
+  constructor(options = {}) {
     this.basePath = path.join(__dirname, '..');
-    this.velocityPath = path.join(
+    this.storyTracker = options.storyTracker || storyTracker;
+    this.velocityPath = options.velocityPath || path.join(
       this.basePath,
       'machine-data',
       'project-documents-json',
@@ -67,8 +72,11 @@ class AIVelocityTracker {
   
   /**
    * Record sprint velocity
+   * Points, story counts and hours come from the story event log when the sprint
+   * has logged stories; the values passed in are used only for sprints without any.
    */
-  recordSprintVelocity(sprintData) {
+  recordSprintVelocity(reportedData) {
+    const sprintData = this.deriveSprintData(reportedData);
     const sprintVelocity = {
       sprint_id: sprintData.sprint_id,
       sprint_number: this.velocityHistory.team_velocity.sprints.length + 1,
@@ -95,7 +103,18 @@ class AIVelocityTracker {
       defects_fixed: sprintData.defects_fixed || 0,
       
       // By agent breakdown
-      agent_contributions: this.calculateAgentContributions(sprintData.sprint_id)
+      agent_contributions: this.calculateAgentContributions(sprintData.sprint_id),
+      
+      // Samples for Monte Carlo forecasting
+      cycle_times: sprintData.cycle_times || [],
+      scope_changes: (sprintData.scope_changes || []).map(change => ({
+        type: change.type,
+        points: change.points,
+        reason: change.reason
+      })),
+
+      // Where the numbers came from ('story_log' or 'reported')
+      source: sprintData.source
     };
     
     // Add to history
@@ -123,6 +142,38 @@ class AIVelocityTracker {
     };
   }
   
+  /**
+   * Fill sprint numbers from the story event log
+   */
+  deriveSprintData(sprintData) {
+    const logged = this.storyTracker.getSprintMetrics(sprintData.sprint_id, {
+      start: sprintData.start_date,
+      end: sprintData.end_date
+    });
+    
+    if (logged.stories_planned === 0 && logged.stories_completed === 0) {
+      return { ...sprintData, source: 'reported' };
+    }
+    
+    return {
+      ...sprintData,
+      planned_points: logged.planned_points,
+      completed_points: logged.completed_points,
+      stories_planned: logged.stories_planned,
+      stories_completed: logged.stories_completed,
+      stories_carried_over: logged.stories_carried_over,
+      planned_hours: logged.planned_hours,
+      total_hours_worked: logged.total_hours_worked,
+      blocked_hours: logged.blocked_hours,
+      cycle_times: logged.cycle_times.map(item => {
+        const document = this.storyTracker.getStory(item.story_id);
+        return { ...item, points: document ? pointsOf(document.story) : 0 };
+      }),
+      scope_changes: logged.scope_changes,
+      source: 'story_log'
+    };
+  }
+  
   /**
    * Calculate efficiency
    */
@@ -142,7 +193,7 @@ class AIVelocityTracker {
    */
   calculateAgentContributions(sprintId) {
     const contributions = {};
-    const stories = storyTracker.getSprintStories(sprintId);
+    const stories = this.storyTracker.getSprintStories(sprintId);
     
     // Get task metrics by agent
     const taskMetrics = monitor.getTaskMetricsByAgent();
@@ -438,6 +489,8 @@ class AIVelocityTracker {
   
   /**
    * Forecast completion for epic
+   * The single-point estimate uses average velocity; `probabilistic` holds
+   * Monte Carlo percentiles sampled from the sprint history.
    */
   forecastEpicCompletion(remainingPoints) {
     const avgVelocity = this.velocityHistory.team_velocity.average_velocity;
@@ -465,10 +518,21 @@ class AIVelocityTracker {
       range: {
         best_case: Math.ceil(remainingPoints / (avgVelocity * 1.2)),
         worst_case: Math.ceil(remainingPoints / (avgVelocity * 0.8))
-      }
+      },
+      probabilistic: this.forecastPercentiles(remainingPoints)
     };
   }
   
+  /**
+   * P50/P85/P95 completion for a point total
+   */
+  forecastPercentiles(remainingPoints) {
+    // Required lazily: the forecaster depends on this module
+    const { MonteCarloForecaster } = require('./monte-carlo-forecaster');
+    const forecaster = new MonteCarloForecaster({ velocityTracker: this, storyTracker: this.storyTracker });
+    return forecaster.forecastPoints(remainingPoints, { trials: 2000 }).percentiles;
+  }
+  
   /**
    * Get velocity chart data
    */
@@ -528,10 +592,11 @@ class AIVelocityTracker {
 }
 
 // Export the class and create instance
-const velocityTracker = new VelocityTracker();
+const velocityTracker = new AIVelocityTracker();
 
 module.exports = {
-  VelocityTracker,
+  AIVelocityTracker,
+  VelocityTracker: AIVelocityTracker,
   velocityTracker,
   
   // Convenience exports
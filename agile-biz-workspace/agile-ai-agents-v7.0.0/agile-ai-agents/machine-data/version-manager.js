@@ -205,7 +205,7 @@ class VersionManager {
   /**
    * Rollback to a previous version
    */
-  rollbackVersion(agentName, targetVersion) {
+  rollbackVersion(agentName, targetVersion, reason = 'Improvement validation failed') {
     const history = JSON.parse(fs.readFileSync(this.versionHistoryPath, 'utf8'));
     const currentVersion = this.getCurrentVersion(agentName);
 
@@ -216,12 +216,18 @@ class VersionManager {
       action: 'version_rollback',
       from: currentVersion,
       to: targetVersion,
-      reason: 'Improvement validation failed'
+      reason
     });
 
-    // Update agent file (would need to restore from backup in real implementation)
-    // For now, just update the version history
-    history.agents[agentName].current_version = targetVersion;
+    // The agent file itself is restored from its backup by agent-update-rollback.js
+    if (history.agents[agentName]) {
+      history.agents[agentName].current_version = targetVersion;
+      const improvement = history.agents[agentName].improvements.find(imp => imp.to_version === currentVersion);
+      if (improvement) {
+        improvement.rolled_back = true;
+        improvement.rollback_reason = reason;
+      }
+    }
     
     fs.writeFileSync(this.versionHistoryPath, JSON.stringify(history, null, 2));
 
@@ -0,0 +1,503 @@
+/**
+ * Cassette Session
+ * Records a workflow run into a cassette, or replays one with zero network.
+ *
+ * Served interactions (recorded, then answered from the cassette on replay):
+ *   model_call         - LLM provider complete()/stream()
+ *   research_call      - research provider search()/fetch()
+ *   stakeholder_answer - stakeholder response channel answers
+ *   hook_command       - hook handler processes started by the hook manager
+ * Observed transitions (recorded, then compared on replay):
+ *   step       - a workflow command run inside the session
+ *   file       - every write/append/rename/copy/unlink under the sandboxed directories
+ *   state      - workflow state changes seen in current-workflow.json
+ *   hook_event - hook:complete, hook:failure and pipeline:complete events
+ * plus the final documents in the sandbox and the run's result.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const SandboxFs = require('./sandbox-fs');
+const DeterministicEnvironment = require('./deterministic-environment');
+const { createUnifiedDiff } = require('../utils/text-diff');
+
+const CASSETTE_VERSION = 1;
+const ROOT_PLACEHOLDER = '<project-root>';
+const DEFAULT_SANDBOX = ['project-state', 'project-documents'];
+const STATE_FILE = 'workflow-states/current-workflow.json';
+const HOOK_EVENTS = ['hook:complete', 'hook:failure', 'pipeline:complete'];
+
+class CassetteMismatchError extends Error {
+  constructor(message, mismatches = []) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+    this.mismatches = mismatches;
+  }
+}
+
+/**
+ * JSON with sorted keys, so equal values always serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class CassetteSession {
+  /**
+   * @param {Object} options
+   *   mode        - 'record' or 'replay'
+   *   cassette    - cassette to replay (replay mode)
+   *   name        - cassette name (record mode)
+   *   projectRoot - root the sandboxed directories live in
+   *   sandbox     - directories kept in memory (default project-state, project-documents)
+   *   seedFiles   - { relPath: content } present in the sandbox before the run
+   *   start, stepMs, seed - deterministic clock and random seed (record mode)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'record';
+    if (!['record', 'replay'].includes(this.mode)) {
+      throw new Error(`Unknown cassette mode: ${this.mode}`);
+    }
+    if (this.mode === 'replay' && !options.cassette) {
+      throw new Error('Replay mode requires a cassette');
+    }
+
+    this.projectRoot = path.resolve(options.projectRoot || path.join(__dirname, '..', '..'));
+    const recorded = options.cassette || {};
+    const environment = recorded.environment || {};
+
+    this.name = recorded.name || options.name || 'workflow';
+    this.environment = {
+      start: environment.start !== undefined ? environment.start : (options.start !== undefined ? options.start : Date.now()),
+      step_ms: environment.step_ms !== undefined ? environment.step_ms : (options.stepMs !== undefined ? options.stepMs : 1),
+      seed: environment.seed !== undefined ? environment.seed : (options.seed !== undefined ? options.seed : 1),
+      sandbox: environment.sandbox || options.sandbox || DEFAULT_SANDBOX
+    };
+    this.seedFiles = recorded.seed_files || options.seedFiles || {};
+    this.recorded = recorded;
+
+    // Served interactions still to be replayed, in order
+    this.pending = (recorded.interactions || []).slice();
+    this.interactions = [];
+    this.transitions = [];
+    this.steps = [];
+    this.patches = [];
+    this.lastState = null;
+  }
+
+  // --- running -----------------------------------------------------------------
+
+  /**
+   * Run fn inside the sandbox; fn receives the session (use session.step to run workflows)
+   * Replaying without fn re-runs the recorded steps and skips the outcome comparison
+   * Resolves to { result, cassette } when recording and { result, report } when replaying
+   */
+  async run(fn = null) {
+    if (!fn && this.mode === 'record') {
+      throw new Error('Recording requires a function to run');
+    }
+    const compareOutcome = Boolean(fn);
+    const body = fn || (() => this.replaySteps());
+
+    this.clock = new DeterministicEnvironment({
+      start: this.environment.start,
+      stepMs: this.environment.step_ms,
+      seed: this.environment.seed
+    });
+    this.sandbox = new SandboxFs(this.projectRoot, this.environment.sandbox, {
+      seed: this.denormalize(this.seedFiles),
+      onOperation: operation => this.observeFile(operation),
+      clock: () => this.clock.now()
+    });
+
+    require('./workflows').loadWorkflowModules();
+    this.installInterceptors();
+    this.sandbox.install();
+    this.clock.install();
+
+    let result;
+    let failure = null;
+    try {
+      result = await body(this);
+    } catch (error) {
+      failure = error;
+    } finally {
+      this.clock.uninstall();
+      this.sandbox.uninstall();
+      this.uninstallInterceptors();
+    }
+
+    if (failure && (this.mode === 'record' || failure instanceof CassetteMismatchError)) {
+      throw failure;
+    }
+    const outcome = failure
+      ? { error: { name: failure.name, message: this.normalize(failure.message) } }
+      : { value: this.normalize(this.toJson(result)) };
+
+    if (this.mode === 'record') {
+      return { result, cassette: this.toCassette(outcome) };
+    }
+    return { result, report: this.compare(compareOutcome ? outcome : null) };
+  }
+
+  /**
+   * Run one of the named workflow commands and record it as a step
+   */
+  async step(workflow, args = []) {
+    const { WORKFLOWS } = require('./workflows');
+    const handler = WORKFLOWS[workflow];
+    if (!handler) {
+      throw new Error(`Unknown workflow: ${workflow}. Known: ${Object.keys(WORKFLOWS).join(', ')}`);
+    }
+    this.observe({ kind: 'step', workflow, args });
+    this.steps.push({ workflow, args });
+    const result = await handler(args);
+
+    // State saves finish asynchronously; let them land before the next step
+    await new Promise(resolve => setImmediate(resolve));
+    return result;
+  }
+
+  /**
+   * Replay the recorded steps when no function is given
+   */
+  async replaySteps() {
+    const steps = (this.recorded.transitions || []).filter(event => event.kind === 'step');
+    const results = [];
+    for (const recordedStep of steps) {
+      results.push(await this.step(recordedStep.workflow, recordedStep.args));
+    }
+    return results;
+  }
+
+  toCassette(outcome) {
+    return {
+      version: CASSETTE_VERSION,
+      name: this.name,
+      recorded_at: new Date().toISOString(),
+      environment: this.environment,
+      seed_files: this.seedFiles,
+      interactions: this.interactions,
+      transitions: this.transitions,
+      documents: this.normalize(this.sandbox.snapshot()),
+      outcome
+    };
+  }
+
+  // --- normalization -------------------------------------------------------------
+
+  toJson(value) {
+    if (value === undefined) return null;
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  /**
+   * Replace the absolute project root so cassettes replay on any machine
+   */
+  normalize(value) {
+    if (typeof value === 'string') return value.split(this.projectRoot).join(ROOT_PLACEHOLDER);
+    if (Array.isArray(value)) return value.map(item => this.normalize(item));
+    if (value && typeof value === 'object') {
+      const normalized = {};
+      for (const [key, item] of Object.entries(value)) {
+        normalized[this.normalize(key)] = this.normalize(item);
+      }
+      return normalized;
+    }
+    return value;
+  }
+
+  denormalize(value) {
+    if (typeof value === 'string') return value.split(ROOT_PLACEHOLDER).join(this.projectRoot);
+    if (Array.isArray(value)) return value.map(item => this.denormalize(item));
+    if (value && typeof value === 'object') {
+      const restored = {};
+      for (const [key, item] of Object.entries(value)) {
+        restored[this.denormalize(key)] = this.denormalize(item);
+      }
+      return restored;
+    }
+    return value;
+  }
+
+  // --- observed transitions --------------------------------------------------------
+
+  observe(event) {
+    this.transitions.push(this.normalize(event));
+  }
+
+  observeFile(operation) {
+    const event = { kind: 'file', op: operation.op, path: operation.path };
+    if (operation.from) event.from = operation.from;
+
+    let text = null;
+    if (operation.content) {
+      text = this.normalize(operation.content.toString('utf8'));
+      event.sha256 = sha256(text);
+    }
+    this.observe(event);
+
+    if (text !== null && operation.path.endsWith(STATE_FILE)) {
+      this.observeState(text);
+    }
+  }
+
+  observeState(text) {
+    let state;
+    try {
+      state = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    if (!state) return;
+
+    const transition = {
+      kind: 'state',
+      workflow_type: state.workflow_type || null,
+      phase: state.current_phase || null,
+      phase_index: state.phase_index !== undefined ? state.phase_index : null,
+      phases_completed: state.phases_completed || [],
+      phase_status: (state.phase_details && state.phase_details.phase_status) || null,
+      completed: Boolean(state.completed)
+    };
+    if (stableStringify(transition) === stableStringify(this.lastState)) return;
+
+    this.lastState = transition;
+    this.observe(transition);
+  }
+
+  // --- served interactions ---------------------------------------------------------
+
+  /**
+   * Record the outcome of a live call, or answer it from the cassette on replay
+   */
+  async serve(kind, key, live, stored = response => response) {
+    const request = this.normalize(this.toJson(key));
+
+    if (this.mode === 'record') {
+      const mark = this.clock.mark();
+      try {
+        const response = await live();
+        this.interactions.push({ kind, ...request, response: this.normalize(this.toJson(stored(response))), consumed: this.clock.consumedSince(mark) });
+        return response;
+      } catch (error) {
+        this.interactions.push({ kind, ...request, error: this.serializeError(error), consumed: this.clock.consumedSince(mark) });
+        throw error;
+      }
+    }
+
+    const recorded = this.pending.shift();
+    const expected = recorded ? { kind: recorded.kind, ...this.requestOf(recorded) } : null;
+    const actual = { kind, ...request };
+    if (!recorded || stableStringify(expected) !== stableStringify(actual)) {
+      throw new CassetteMismatchError(
+        `Cassette "${this.name}": unexpected ${kind} (interaction ${this.interactions.length + 1})`,
+        [{ kind, index: this.interactions.length, expected, actual }]
+      );
+    }
+
+    this.interactions.push(recorded);
+    // Keep later timestamps and IDs aligned with the recording; served-then-run calls replay their own use
+    if (recorded.consumed && live !== null) this.clock.advance(recorded.consumed);
+    if (recorded.error) throw this.deserializeError(recorded.error);
+    return this.denormalize(recorded.response);
+  }
+
+  requestOf(interaction) {
+    const { kind, response, error, consumed, ...request } = interaction;
+    return request;
+  }
+
+  serializeError(error) {
+    return this.normalize({
+      name: error.name,
+      message: error.message,
+      status: error.status || null,
+      retryable: error.retryable !== undefined ? error.retryable : null
+    });
+  }
+
+  deserializeError(serialized) {
+    const errors = require('../llm-providers/provider-errors');
+    const ErrorClass = errors[serialized.name] && serialized.name !== 'errorFromResponse' ? errors[serialized.name] : Error;
+    const error = ErrorClass === Error
+      ? new Error(this.denormalize(serialized.message))
+      : new ErrorClass(this.denormalize(serialized.message), { status: serialized.status, retryable: serialized.retryable });
+    error.name = serialized.name;
+    return error;
+  }
+
+  patch(target, method, replacement, { inherited = false } = {}) {
+    if (!target || typeof target[method] !== 'function') return;
+    const own = Object.prototype.hasOwnProperty.call(target, method);
+    if (!own && !inherited) return;
+    const original = target[method];
+    target[method] = replacement(original);
+    this.patches.push({ target, method, original, own });
+  }
+
+  installInterceptors() {
+    const session = this;
+
+    // LLM providers: every adapter class that implements its own complete/stream
+    const llm = require('../llm-providers');
+    for (const Provider of [llm.BaseProvider, llm.OpenAICompatibleProvider, llm.AnthropicProvider, llm.MockProvider]) {
+      this.patch(Provider.prototype, 'complete', original => function complete(request) {
+        return session.serve('model_call', { provider: this.name, method: 'complete', request }, () => original.call(this, request));
+      });
+      this.patch(Provider.prototype, 'stream', original => async function* stream(request) {
+        const events = await session.serve('model_call', { provider: this.name, method: 'stream', request }, async () => {
+          const collected = [];
+          for await (const event of original.call(this, request)) collected.push(event);
+          return collected;
+        });
+        yield* events;
+      });
+    }
+
+    // Research providers: search and fetch reach the network; extract is local
+    const research = require('../research-providers');
+    for (const Provider of [research.BaseResearchProvider, research.PerplexityResearchProvider, research.TavilyResearchProvider,
+      research.ExaResearchProvider, research.SerpApiResearchProvider, research.LocalCorpusProvider]) {
+      for (const method of ['search', 'fetch']) {
+        this.patch(Provider.prototype, method, original => function intercepted(...args) {
+          return session.serve('research_call', { provider: this.name, method, args }, () => original.apply(this, args));
+        });
+      }
+    }
+
+    // Stakeholder answers: ask() still builds and records the entry, only the answer is served
+    const { StakeholderResponseChannel } = require('../stakeholder-response-channel');
+    this.patch(StakeholderResponseChannel.prototype, 'ask', original => async function ask(prompt) {
+      const key = { key: (prompt && prompt.key) || null, question: (prompt && prompt.question) || String(prompt) };
+      if (session.mode === 'record') {
+        return session.serve('stakeholder_answer', key, () => original.call(this, prompt), entry => ({
+          raw_answer: entry.raw_answer,
+          answered_by: entry.answered_by,
+          timed_out: entry.timed_out
+        }));
+      }
+      const answer = await session.serve('stakeholder_answer', key, null);
+      const scripted = Object.create(this, {
+        collect: {
+          value: async request => {
+            if (answer.answered_by) request.answered_by = answer.answered_by;
+            return answer.timed_out ? undefined : (answer.raw_answer === null ? undefined : answer.raw_answer);
+          }
+        },
+        cancel: { value: () => {} }
+      });
+      return original.call(scripted, prompt);
+    });
+
+    // Hooks: handler processes are served, emitted hook events are compared
+    let HookManager = null;
+    try {
+      ({ HookManager } = require('../../hooks/hook-manager'));
+    } catch (error) {
+      HookManager = null;
+    }
+    if (HookManager) {
+      this.patch(HookManager.prototype, 'runHookCommand', original => function runHookCommand(hook, context) {
+        const name = hook.name || hook.handler || hook.command || null;
+        return session.serve('hook_command', { hook: name, context }, () => original.call(this, hook, context));
+      });
+      // Shadow the inherited EventEmitter#emit on HookManager only, never process-wide
+      this.patch(HookManager.prototype, 'emit', original => function emit(event, data, ...rest) {
+        if (HOOK_EVENTS.includes(event)) {
+          session.observe({
+            kind: 'hook_event',
+            event,
+            hook: (data && data.hookName) || null,
+            trigger: (data && data.trigger) || null,
+            status: event === 'hook:failure' ? 'failed' : 'success'
+          });
+        }
+        return original.call(this, event, data, ...rest);
+      }, { inherited: true });
+    }
+  }
+
+  uninstallInterceptors() {
+    while (this.patches.length > 0) {
+      const { target, method, original, own } = this.patches.pop();
+      if (own) target[method] = original;
+      else delete target[method];
+    }
+  }
+
+  // --- comparison ------------------------------------------------------------------
+
+  /**
+   * Differences between the replayed run and the cassette; outcome null skips the result check
+   */
+  compare(outcome) {
+    const mismatches = [];
+    const expectedTransitions = this.recorded.transitions || [];
+    const length = Math.max(expectedTransitions.length, this.transitions.length);
+
+    for (let index = 0; index < length; index++) {
+      const expected = expectedTransitions[index] || null;
+      const actual = this.transitions[index] || null;
+      if (stableStringify(expected) !== stableStringify(actual)) {
+        mismatches.push({ kind: (expected || actual).kind, index, expected, actual });
+        break;
+      }
+    }
+
+    if (this.pending.length > 0) {
+      mismatches.push({ kind: 'interaction', index: this.interactions.length, expected: this.pending[0], actual: null });
+    }
+
+    const expectedDocuments = this.recorded.documents || {};
+    const actualDocuments = this.normalize(this.sandbox.snapshot());
+    const paths = Array.from(new Set([...Object.keys(expectedDocuments), ...Object.keys(actualDocuments)])).sort();
+    for (const file of paths) {
+      const expected = expectedDocuments[file];
+      const actual = actualDocuments[file];
+      if (expected === actual) continue;
+      mismatches.push({
+        kind: 'document',
+        path: file,
+        expected: expected === undefined ? null : sha256(expected),
+        actual: actual === undefined ? null : sha256(actual),
+        diff: createUnifiedDiff(expected || '', actual || '', { fromFile: `cassette/${file}`, toFile: `replay/${file}` })
+      });
+    }
+
+    if (outcome && stableStringify(this.recorded.outcome) !== stableStringify(outcome)) {
+      mismatches.push({ kind: 'outcome', expected: this.recorded.outcome, actual: outcome });
+    }
+
+    return {
+      name: this.name,
+      matched: mismatches.length === 0,
+      interactions: this.interactions.length,
+      transitions: this.transitions.length,
+      documents: Object.keys(actualDocuments).length,
+      mismatches
+    };
+  }
+}
+
+module.exports = {
+  CassetteSession,
+  CassetteMismatchError,
+  stableStringify,
+  CASSETTE_VERSION,
+  DEFAULT_SANDBOX
+};
@@ -0,0 +1,120 @@
+/**
+ * Deterministic Environment
+ * Replaces the clock and random sources while a cassette session runs, so IDs,
+ * timestamps and checksums come out the same when a workflow is replayed.
+ *
+ * Date.now() / new Date() start at a fixed instant and advance stepMs per call.
+ * Math.random, crypto.randomBytes and crypto.randomUUID draw from a seeded generator.
+ * Timers are untouched: setTimeout still waits real time.
+ */
+
+const crypto = require('crypto');
+
+// mulberry32: small, fast and good enough for reproducible IDs
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class DeterministicEnvironment {
+  constructor(options = {}) {
+    this.start = options.start !== undefined ? options.start : Date.parse('2025-01-01T00:00:00.000Z');
+    this.stepMs = options.stepMs !== undefined ? options.stepMs : 1;
+    this.seed = options.seed !== undefined ? options.seed : 1;
+    this.originals = null;
+  }
+
+  install() {
+    if (this.originals) return;
+
+    const RealDate = Date;
+    const generator = seededRandom(this.seed);
+    let draws = 0;
+    const random = () => {
+      draws++;
+      return generator();
+    };
+    let current = this.start;
+    const tick = () => {
+      const value = current;
+      current += this.stepMs;
+      return value;
+    };
+    this.now = () => current;
+    this.mark = () => ({ time: current, draws });
+    this.advance = ({ ms = 0, random: skipped = 0 } = {}) => {
+      current += ms;
+      for (let i = 0; i < skipped; i++) random();
+    };
+
+    class CassetteDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(tick());
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return tick();
+      }
+    }
+
+    const randomBytes = (size, callback) => {
+      const buffer = Buffer.alloc(size);
+      for (let i = 0; i < size; i++) {
+        buffer[i] = Math.floor(random() * 256);
+      }
+      if (typeof callback === 'function') {
+        process.nextTick(callback, null, buffer);
+        return undefined;
+      }
+      return buffer;
+    };
+
+    this.originals = {
+      Date: global.Date,
+      random: Math.random,
+      randomBytes: crypto.randomBytes,
+      randomUUID: crypto.randomUUID
+    };
+
+    global.Date = CassetteDate;
+    Math.random = random;
+    crypto.randomBytes = randomBytes;
+    crypto.randomUUID = () => {
+      const bytes = randomBytes(16);
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      const hex = bytes.toString('hex');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    };
+  }
+
+  /**
+   * Clock time and random draws used since a mark(); replay advances by the same amount
+   * for calls it serves from the cassette instead of running
+   */
+  consumedSince(mark) {
+    const now = this.mark();
+    return { ms: now.time - mark.time, random: now.draws - mark.draws };
+  }
+
+  uninstall() {
+    if (!this.originals) return;
+    global.Date = this.originals.Date;
+    Math.random = this.originals.random;
+    crypto.randomBytes = this.originals.randomBytes;
+    crypto.randomUUID = this.originals.randomUUID;
+    this.originals = null;
+  }
+}
+
+module.exports = DeterministicEnvironment;
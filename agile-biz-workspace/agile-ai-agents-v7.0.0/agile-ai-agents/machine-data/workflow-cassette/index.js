@@ -0,0 +1,125 @@
+/**
+ * Workflow Cassettes
+ * Record a workflow run (model calls, stakeholder answers, file writes, hook events)
+ * into a cassette file, then replay it deterministically with zero network.
+ *
+ * Usage:
+ *   node machine-data/workflow-cassette record <cassette.json> <workflow> [args...]
+ *   node machine-data/workflow-cassette replay <cassette.json>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CassetteSession, CassetteMismatchError, stableStringify, CASSETTE_VERSION, DEFAULT_SANDBOX } = require('./cassette-session');
+const SandboxFs = require('./sandbox-fs');
+const DeterministicEnvironment = require('./deterministic-environment');
+const { WORKFLOWS } = require('./workflows');
+
+function loadCassette(cassettePath) {
+  const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${cassette.version} in ${cassettePath}`);
+  }
+  return cassette;
+}
+
+function saveCassette(cassettePath, cassette) {
+  fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+  fs.writeFileSync(cassettePath, JSON.stringify(cassette, null, 2) + '\n');
+}
+
+/**
+ * Record fn (or the recorded steps' workflow commands) into a cassette file
+ * @param {string} cassettePath - Where to write the cassette
+ * @param {Function} fn - async (session) => result; call session.step(workflow, args) inside
+ * @param {Object} options - CassetteSession options (name, seedFiles, projectRoot, ...)
+ */
+async function recordCassette(cassettePath, fn, options = {}) {
+  const session = new CassetteSession({
+    name: path.basename(cassettePath, '.json').replace(/\.cassette$/, ''),
+    ...options,
+    mode: 'record'
+  });
+  const { result, cassette } = await session.run(fn);
+  saveCassette(cassettePath, cassette);
+  return { result, cassette };
+}
+
+/**
+ * Replay a cassette file; without fn the recorded workflow steps are re-run
+ * @returns {Promise<Object>} { result, report } - report.matched is false on any divergence
+ */
+async function replayCassette(cassettePath, fn = null, options = {}) {
+  const session = new CassetteSession({ ...options, mode: 'replay', cassette: loadCassette(cassettePath) });
+  return session.run(fn);
+}
+
+/**
+ * Replay and throw a CassetteMismatchError describing the first divergences
+ */
+async function assertReplayMatches(cassettePath, fn = null, options = {}) {
+  const { result, report } = await replayCassette(cassettePath, fn, options);
+  if (!report.matched) {
+    const details = report.mismatches.slice(0, 3).map(mismatch => mismatch.diff ||
+      `${mismatch.kind}${mismatch.index !== undefined ? ` #${mismatch.index}` : ''}: expected ${stableStringify(mismatch.expected)}, got ${stableStringify(mismatch.actual)}`);
+    throw new CassetteMismatchError(`Replay of "${report.name}" diverged:\n${details.join('\n')}`, report.mismatches);
+  }
+  return { result, report };
+}
+
+module.exports = {
+  CassetteSession,
+  CassetteMismatchError,
+  SandboxFs,
+  DeterministicEnvironment,
+  WORKFLOWS,
+  DEFAULT_SANDBOX,
+  loadCassette,
+  saveCassette,
+  recordCassette,
+  replayCassette,
+  assertReplayMatches
+};
+
+// CLI usage
+if (require.main === module) {
+  const [command, cassettePath, workflow, ...args] = process.argv.slice(2);
+
+  const run = async () => {
+    switch (command) {
+      case 'record': {
+        if (!cassettePath || !workflow) {
+          throw new Error('Usage: record <cassette.json> <workflow> [args...]');
+        }
+        const { cassette } = await recordCassette(path.resolve(cassettePath), session => session.step(workflow, args));
+        console.log(`\n📼 Recorded ${cassette.interactions.length} interactions and ${cassette.transitions.length} transitions to ${cassettePath}`);
+        break;
+      }
+      case 'replay': {
+        if (!cassettePath) {
+          throw new Error('Usage: replay <cassette.json>');
+        }
+        const { report } = await replayCassette(path.resolve(cassettePath));
+        if (report.matched) {
+          console.log(`\n✅ Replay matched: ${report.transitions} transitions, ${report.documents} documents`);
+        } else {
+          console.log(`\n❌ Replay diverged in ${report.mismatches.length} place(s):`);
+          report.mismatches.forEach(mismatch => console.log(mismatch.diff || JSON.stringify(mismatch, null, 2)));
+          process.exitCode = 1;
+        }
+        break;
+      }
+      default:
+        console.log('Workflow cassettes');
+        console.log('\nCommands:');
+        console.log('  record <cassette.json> <workflow> [args...] - Run a workflow and record it');
+        console.log('  replay <cassette.json>                      - Replay a cassette and compare');
+        console.log(`\nWorkflows: ${Object.keys(WORKFLOWS).join(', ')}`);
+    }
+  };
+
+  run().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,295 @@
+/**
+ * Sandbox File System
+ * In-memory overlay for selected project directories while a cassette session runs.
+ *
+ * Paths inside the sandboxed directories never touch the disk: they start out empty
+ * (plus any seed files) and every write is reported to onOperation. Paths outside
+ * pass straight through. Parent directories are created implicitly on write.
+ *
+ * Covers the sync and fs.promises APIs the workflow scripts use; modules that captured
+ * fs functions before install (e.g. fs-extra/graceful-fs) are not intercepted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SYNC_METHODS = [
+  'existsSync', 'readFileSync', 'writeFileSync', 'appendFileSync', 'mkdirSync', 'readdirSync',
+  'statSync', 'lstatSync', 'unlinkSync', 'renameSync', 'copyFileSync', 'rmSync', 'accessSync'
+];
+
+const PROMISE_METHODS = {
+  readFile: 'readFileSync',
+  writeFile: 'writeFileSync',
+  appendFile: 'appendFileSync',
+  mkdir: 'mkdirSync',
+  readdir: 'readdirSync',
+  stat: 'statSync',
+  lstat: 'lstatSync',
+  unlink: 'unlinkSync',
+  rename: 'renameSync',
+  copyFile: 'copyFileSync',
+  rm: 'rmSync',
+  access: 'accessSync'
+};
+
+function fsError(code, syscall, target) {
+  const messages = {
+    ENOENT: 'no such file or directory',
+    EISDIR: 'illegal operation on a directory',
+    ENOTDIR: 'not a directory',
+    ENOTEMPTY: 'directory not empty'
+  };
+  const error = new Error(`${code}: ${messages[code] || 'operation failed'}, ${syscall} '${target}'`);
+  error.code = code;
+  error.syscall = syscall;
+  error.path = target;
+  return error;
+}
+
+function encodingOf(options) {
+  return typeof options === 'string' ? options : (options && options.encoding) || null;
+}
+
+class SandboxFs {
+  /**
+   * @param {string} projectRoot - Root the sandboxed directories are relative to
+   * @param {string[]} directories - Relative directories to keep in memory
+   * @param {Object} options - { seed: { relPath: content }, onOperation }
+   */
+  constructor(projectRoot, directories, options = {}) {
+    this.projectRoot = path.resolve(projectRoot);
+    this.roots = directories.map(dir => path.resolve(this.projectRoot, dir));
+    this.onOperation = options.onOperation || (() => {});
+    this.clock = options.clock || (() => Date.now());
+    this.files = new Map();
+    this.mtimes = new Map();
+    this.dirs = new Set(this.roots);
+    this.originals = null;
+
+    for (const [relative, content] of Object.entries(options.seed || {})) {
+      this.putFile(path.resolve(this.projectRoot, relative), Buffer.from(content));
+    }
+  }
+
+  contains(target) {
+    if (typeof target !== 'string' && !(target instanceof URL)) return false;
+    const resolved = path.resolve(String(target instanceof URL ? target.pathname : target));
+    return this.roots.some(root => resolved === root || resolved.startsWith(root + path.sep));
+  }
+
+  relative(target) {
+    return path.relative(this.projectRoot, path.resolve(target)).split(path.sep).join('/');
+  }
+
+  /**
+   * Sandboxed files as { relPath: utf8 content }, sorted by path
+   */
+  snapshot() {
+    const files = {};
+    for (const key of Array.from(this.files.keys()).sort()) {
+      files[this.relative(key)] = this.files.get(key).toString('utf8');
+    }
+    return files;
+  }
+
+  install() {
+    if (this.originals) return;
+    this.originals = { sync: {}, promises: {} };
+
+    for (const method of SYNC_METHODS) {
+      const original = fs[method];
+      this.originals.sync[method] = original;
+      fs[method] = (target, ...args) => {
+        if (this.contains(target) || (method === 'copyFileSync' && this.contains(args[0]))) {
+          return this[method](target, ...args);
+        }
+        return original.call(fs, target, ...args);
+      };
+    }
+
+    for (const [method, syncMethod] of Object.entries(PROMISE_METHODS)) {
+      const original = fs.promises[method];
+      this.originals.promises[method] = original;
+      fs.promises[method] = async (target, ...args) => {
+        if (this.contains(target) || (method === 'copyFile' && this.contains(args[0]))) {
+          return this[syncMethod](target, ...args);
+        }
+        return original.call(fs.promises, target, ...args);
+      };
+    }
+  }
+
+  uninstall() {
+    if (!this.originals) return;
+    Object.assign(fs, this.originals.sync);
+    Object.assign(fs.promises, this.originals.promises);
+    this.originals = null;
+  }
+
+  // --- in-memory implementations ---------------------------------------------
+
+  putFile(target, buffer) {
+    const resolved = path.resolve(target);
+    this.ensureDir(path.dirname(resolved));
+    this.files.set(resolved, buffer);
+    this.mtimes.set(resolved, this.clock());
+  }
+
+  ensureDir(dir) {
+    let current = path.resolve(dir);
+    while (this.contains(current) && !this.dirs.has(current)) {
+      this.dirs.add(current);
+      current = path.dirname(current);
+    }
+  }
+
+  existsSync(target) {
+    const resolved = path.resolve(target);
+    return this.files.has(resolved) || this.dirs.has(resolved);
+  }
+
+  accessSync(target) {
+    if (!this.existsSync(target)) throw fsError('ENOENT', 'access', target);
+  }
+
+  readFileSync(target, options) {
+    const resolved = path.resolve(target);
+    if (this.dirs.has(resolved)) throw fsError('EISDIR', 'read', target);
+    if (!this.files.has(resolved)) throw fsError('ENOENT', 'open', target);
+    const buffer = this.files.get(resolved);
+    const encoding = encodingOf(options);
+    return encoding ? buffer.toString(encoding) : Buffer.from(buffer);
+  }
+
+  writeFileSync(target, data, options) {
+    if (this.dirs.has(path.resolve(target))) throw fsError('EISDIR', 'open', target);
+    const buffer = Buffer.isBuffer(data) ? Buffer.from(data) : Buffer.from(String(data), encodingOf(options) || 'utf8');
+    this.putFile(target, buffer);
+    this.onOperation({ op: 'write', path: this.relative(target), content: buffer });
+  }
+
+  appendFileSync(target, data, options) {
+    const resolved = path.resolve(target);
+    const existing = this.files.get(resolved) || Buffer.alloc(0);
+    const addition = Buffer.isBuffer(data) ? data : Buffer.from(String(data), encodingOf(options) || 'utf8');
+    const buffer = Buffer.concat([existing, addition]);
+    this.putFile(resolved, buffer);
+    this.onOperation({ op: 'append', path: this.relative(target), content: buffer });
+  }
+
+  mkdirSync(target) {
+    const resolved = path.resolve(target);
+    if (this.files.has(resolved)) throw fsError('ENOTDIR', 'mkdir', target);
+    const created = !this.dirs.has(resolved);
+    this.ensureDir(resolved);
+    return created ? resolved : undefined;
+  }
+
+  children(dir) {
+    const names = new Map();
+    for (const file of this.files.keys()) {
+      if (path.dirname(file) === dir) names.set(path.basename(file), 'file');
+    }
+    for (const child of this.dirs) {
+      if (path.dirname(child) === dir && child !== dir) names.set(path.basename(child), 'dir');
+    }
+    return Array.from(names.entries()).sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  readdirSync(target, options) {
+    const resolved = path.resolve(target);
+    if (this.files.has(resolved)) throw fsError('ENOTDIR', 'scandir', target);
+    if (!this.dirs.has(resolved)) throw fsError('ENOENT', 'scandir', target);
+
+    const entries = this.children(resolved);
+    if (options && options.withFileTypes) {
+      return entries.map(([name, type]) => ({
+        name,
+        isFile: () => type === 'file',
+        isDirectory: () => type === 'dir',
+        isSymbolicLink: () => false
+      }));
+    }
+    return entries.map(([name]) => name);
+  }
+
+  statSync(target) {
+    const resolved = path.resolve(target);
+    const isFile = this.files.has(resolved);
+    if (!isFile && !this.dirs.has(resolved)) throw fsError('ENOENT', 'stat', target);
+
+    const mtimeMs = this.mtimes.get(resolved) || 0;
+    return {
+      size: isFile ? this.files.get(resolved).length : 0,
+      mtimeMs,
+      mtime: new Date(mtimeMs),
+      ctime: new Date(mtimeMs),
+      birthtime: new Date(mtimeMs),
+      isFile: () => isFile,
+      isDirectory: () => !isFile,
+      isSymbolicLink: () => false
+    };
+  }
+
+  lstatSync(target) {
+    return this.statSync(target);
+  }
+
+  unlinkSync(target) {
+    const resolved = path.resolve(target);
+    if (!this.files.has(resolved)) throw fsError('ENOENT', 'unlink', target);
+    this.files.delete(resolved);
+    this.mtimes.delete(resolved);
+    this.onOperation({ op: 'unlink', path: this.relative(target) });
+  }
+
+  renameSync(from, to) {
+    const source = path.resolve(from);
+    if (!this.contains(to)) {
+      throw new Error(`Sandboxed file ${this.relative(from)} cannot be moved outside the sandbox`);
+    }
+    if (!this.files.has(source)) throw fsError('ENOENT', 'rename', from);
+    const buffer = this.files.get(source);
+    this.files.delete(source);
+    this.mtimes.delete(source);
+    this.putFile(to, buffer);
+    this.onOperation({ op: 'rename', path: this.relative(to), from: this.relative(from), content: buffer });
+  }
+
+  copyFileSync(from, to) {
+    if (!this.contains(to)) {
+      throw new Error(`Sandboxed file ${this.relative(from)} cannot be copied outside the sandbox`);
+    }
+    const buffer = this.contains(from)
+      ? this.readFileSync(from)
+      : this.originals.sync.readFileSync.call(fs, from);
+    this.putFile(to, Buffer.from(buffer));
+    this.onOperation({ op: 'copy', path: this.relative(to), content: Buffer.from(buffer) });
+  }
+
+  rmSync(target, options = {}) {
+    const resolved = path.resolve(target);
+    if (this.files.has(resolved)) {
+      return this.unlinkSync(target);
+    }
+    if (!this.dirs.has(resolved)) {
+      if (options.force) return undefined;
+      throw fsError('ENOENT', 'rm', target);
+    }
+    if (!options.recursive && this.children(resolved).length > 0) {
+      throw fsError('ENOTEMPTY', 'rm', target);
+    }
+    for (const file of Array.from(this.files.keys())) {
+      if (file.startsWith(resolved + path.sep)) this.unlinkSync(file);
+    }
+    for (const dir of Array.from(this.dirs)) {
+      if ((dir === resolved || dir.startsWith(resolved + path.sep)) && !this.roots.includes(dir)) {
+        this.dirs.delete(dir);
+      }
+    }
+    return undefined;
+  }
+}
+
+module.exports = SandboxFs;
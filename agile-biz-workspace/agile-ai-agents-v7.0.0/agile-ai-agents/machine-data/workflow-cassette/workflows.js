@@ -0,0 +1,24 @@
+/**
+ * Cassette Workflows
+ * Workflow commands a cassette step can run, keyed by name
+ */
+
+const WORKFLOWS = {
+  'new-project': args => require('../scripts/new-project-workflow-handler').handleNewProjectWorkflow(args),
+  'existing-project': args => require('../scripts/existing-project-workflow-handler').handleExistingProjectWorkflow(args),
+  'complete-phase': ([summary] = []) => require('../scripts/workflow-state-handler').completePhase(summary ? { summary } : {}),
+  'approve-gate': ([gate] = []) => require('../scripts/workflow-state-handler').approveGate(gate)
+};
+
+/**
+ * Load the workflow modules up front, so module initialisation happens outside the
+ * deterministic clock and record/replay runs see the same sequence of clock reads
+ */
+function loadWorkflowModules() {
+  require('../scripts/workflow-state-handler');
+  require('../scripts/new-project-workflow-handler');
+  require('../scripts/existing-project-workflow-handler');
+  require('../scripts/workflow-execution-wrapper');
+}
+
+module.exports = { WORKFLOWS, loadWorkflowModules };
@@ -0,0 +1,121 @@
+/**
+ * Declarative Workflow Engine
+ * Phase graphs come from workflow-phase-configuration.json, rebuild-workflow-phases.json
+ * and machine-data/workflows/*.json; see machine-data/workflows/README.md for the format.
+ *
+ * Usage:
+ *   node machine-data/workflow-engine list
+ *   node machine-data/workflow-engine start <workflow> [--research-level minimal|medium|thorough]
+ *   node machine-data/workflow-engine status
+ *   node machine-data/workflow-engine complete-step <step> | fail-step <step> [reason]
+ *   node machine-data/workflow-engine approve <gate> | reject <gate> [reason]
+ *   node machine-data/workflow-engine select <phase,phase,...>
+ *   node machine-data/workflow-engine retry
+ */
+
+const {
+  WorkflowDefinitionError,
+  RESEARCH_LEVELS,
+  BUILT_IN_COMMANDS,
+  loadWorkflowDefinitions,
+  validateDefinition,
+  fromNative,
+  fromStagedConfiguration,
+  fromOrderedPhases
+} = require('./workflow-definition');
+const { WorkflowEngine, WorkflowEngineError, conditionMet } = require('./workflow-engine');
+
+function printStatus(status) {
+  if (!status.active && !status.workflow) {
+    console.log('\nℹ️  No engine workflow is active');
+    return;
+  }
+  const icons = { completed: '✅', skipped: '⏭️ ', running: '🔄', failed: '❌', pending: '⏳' };
+  console.log(`\n📋 ${status.workflow}: ${status.status} (${status.progress}% complete, research level ${status.research_level})`);
+  status.phases.forEach(phase => console.log(`   ${icons[phase.status] || '•'} ${phase.name}`));
+  if (status.pending_steps.length > 0) {
+    console.log(`\n⏳ Waiting on steps: ${status.pending_steps.join(', ')}`);
+  }
+  if (status.awaiting_approval) {
+    console.log(`\n🚦 Approval needed: ${status.awaiting_approval.gate}`);
+    status.awaiting_approval.checks.forEach(check => console.log(`   - ${check}`));
+  }
+  if (status.error) {
+    console.log(`\n❌ ${status.error.message}`);
+  }
+}
+
+module.exports = {
+  WorkflowEngine,
+  WorkflowEngineError,
+  WorkflowDefinitionError,
+  RESEARCH_LEVELS,
+  BUILT_IN_COMMANDS,
+  conditionMet,
+  loadWorkflowDefinitions,
+  validateDefinition,
+  fromNative,
+  fromStagedConfiguration,
+  fromOrderedPhases,
+  printStatus
+};
+
+// CLI usage
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const levelFlag = args.indexOf('--research-level');
+  const researchLevel = levelFlag >= 0 ? args[levelFlag + 1] : undefined;
+
+  const run = async () => {
+    const engine = new WorkflowEngine({ projectRoot: process.cwd() });
+    switch (command) {
+      case 'list':
+        console.log('\n📚 Workflows');
+        engine.listWorkflows().forEach(workflow => {
+          console.log(`   ${workflow.id} - ${workflow.phases} phases, ${workflow.gates} gates${workflow.selectable ? `, ${workflow.selectable} selectable` : ''}${workflow.command ? ` (run with ${workflow.command})` : ''}`);
+        });
+        break;
+      case 'start':
+        printStatus(await engine.start(args[0], { research_level: researchLevel }));
+        break;
+      case 'status':
+        printStatus(engine.status());
+        break;
+      case 'complete-step':
+        printStatus(await engine.completeStep(args[0]));
+        break;
+      case 'fail-step':
+        printStatus(await engine.failStep(args[0], args.slice(1).join(' ') || undefined));
+        break;
+      case 'approve':
+        printStatus(await engine.approve(args[0]));
+        break;
+      case 'reject':
+        printStatus(await engine.reject(args[0], { reason: args.slice(1).join(' ') || null }));
+        break;
+      case 'select':
+        printStatus(await engine.selectPhases((args[0] || '').split(',').filter(Boolean)));
+        break;
+      case 'retry':
+        printStatus(await engine.retry());
+        break;
+      default:
+        console.log('Declarative workflow engine');
+        console.log('\nCommands:');
+        console.log('  list                         - List available workflows');
+        console.log('  start <workflow> [--research-level level]');
+        console.log('  status                       - Show engine progress');
+        console.log('  complete-step <step>         - Mark an agent step done');
+        console.log('  fail-step <step> [reason]    - Report a failed step (retried per policy)');
+        console.log('  approve <gate>               - Approve the pending gate');
+        console.log('  reject <gate> [reason]       - Reject the gate and rerun its phase');
+        console.log('  select <phase,...>           - Queue operations/enhancement phases');
+        console.log('  retry                        - Retry the failed phase');
+    }
+  };
+
+  run().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,322 @@
+/**
+ * Workflow Definitions
+ * Loads phase graphs from JSON and normalises them into one shape the engine runs.
+ *
+ * Sources:
+ * - workflow-phase-configuration.json (new-project, existing-project; staged format)
+ * - rebuild-workflow-phases.json (rebuild-project; ordered list with gates)
+ * - machine-data/workflows/*.json (custom workflows in the native format)
+ *
+ * The built-in graphs stay owned by their commands (see BUILT_IN_COMMANDS) until those
+ * commands move onto the engine; they are loaded for validation and the phase menus.
+ *
+ * Normalised phase:
+ *   { id, name, stage, steps: [{ id, agent, action }], branches: [{ id, steps }] | null,
+ *     gate: { name, checks, timeout_hours, default_action } | null, next, when, retry,
+ *     requires, required, outputs, estimated_time }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RESEARCH_LEVELS = ['minimal', 'medium', 'thorough'];
+
+// Built-in workflows and the commands that still sequence them with their own state
+const BUILT_IN_COMMANDS = {
+  'new-project': '/start-new-project-workflow',
+  'existing-project': '/start-existing-project-workflow',
+  'rebuild-project': '/rebuild-project-workflow'
+};
+
+class WorkflowDefinitionError extends Error {
+  constructor(message, workflowId = null) {
+    super(workflowId ? `Workflow "${workflowId}": ${message}` : message);
+    this.name = 'WorkflowDefinitionError';
+    this.workflowId = workflowId;
+  }
+}
+
+function agentsOf(phase) {
+  if (Array.isArray(phase.agents)) return phase.agents;
+  return phase.agent ? [phase.agent] : [];
+}
+
+function normalizeSteps(source, fallbackAction) {
+  if (Array.isArray(source.steps) && source.steps.length > 0) {
+    return source.steps.map((step, index) => ({
+      id: step.id || `${source.id}-step-${index + 1}`,
+      agent: step.agent || null,
+      action: step.action || fallbackAction,
+      ...(step.retry ? { retry: step.retry } : {}),
+      ...(step.inputs ? { inputs: step.inputs } : {})
+    }));
+  }
+  return agentsOf(source).map(agent => ({ id: `${source.id}-${agent}`, agent, action: fallbackAction }));
+}
+
+function normalizeBranches(phase) {
+  if (Array.isArray(phase.parallel)) {
+    return phase.parallel.map((branch, index) => {
+      const id = branch.id || `${phase.id}-branch-${index + 1}`;
+      // A single-agent branch is one step named after the branch
+      if (!branch.steps && branch.agent) {
+        return { id, steps: [{ id, agent: branch.agent, action: branch.action || phase.name, ...(branch.retry ? { retry: branch.retry } : {}) }] };
+      }
+      return { id, steps: normalizeSteps({ ...branch, id }, branch.action || phase.name) };
+    });
+  }
+  // Staged configuration marks multi-agent phases with execution: "parallel"
+  if (phase.execution === 'parallel' && agentsOf(phase).length > 1) {
+    return agentsOf(phase).map(agent => ({
+      id: `${phase.id}-${agent}`,
+      steps: [{ id: `${phase.id}-${agent}`, agent, action: phase.name }]
+    }));
+  }
+  return null;
+}
+
+function normalizeGate(gate, phase, defaults = {}) {
+  if (!gate) return null;
+  const spec = typeof gate === 'object' ? gate : {};
+  return {
+    name: spec.name || phase.gate_name || phase.name || phase.id,
+    checks: spec.checks || [],
+    timeout_hours: spec.timeout_hours !== undefined ? spec.timeout_hours : (defaults.timeout_hours || null),
+    default_action: spec.default_action || defaults.default_action || null
+  };
+}
+
+function normalizePhase(phase, extras = {}) {
+  const branches = normalizeBranches(phase);
+  return {
+    id: phase.id,
+    name: phase.name || phase.id,
+    description: phase.description || null,
+    stage: extras.stage || phase.stage || null,
+    steps: branches ? [] : normalizeSteps(phase, phase.action || phase.name || phase.id),
+    branches,
+    gate: normalizeGate(phase.approval_gate, phase, extras.gateDefaults),
+    next: phase.next !== undefined ? phase.next : null,
+    when: phase.when || null,
+    retry: phase.retry || null,
+    requires: phase.requires || extras.requires || [],
+    required: phase.required !== false,
+    outputs: phase.outputs || [],
+    estimated_time: phase.estimated_time || phase.duration || null,
+    ...(phase.category ? { category: phase.category } : {}),
+    ...(phase.default !== undefined ? { default: phase.default } : {})
+  };
+}
+
+/**
+ * Check a normalised definition: unique phase IDs, a start phase, known next/requires
+ * targets and no cycles in the main sequence
+ */
+function validateDefinition(definition) {
+  const { id } = definition;
+  if (!id) throw new WorkflowDefinitionError('definition needs an id');
+  if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+    throw new WorkflowDefinitionError('definition has no phases', id);
+  }
+
+  const all = [...definition.phases, ...(definition.selectable ? definition.selectable.phases : [])];
+  const ids = new Set();
+  for (const phase of all) {
+    if (!phase.id) throw new WorkflowDefinitionError('every phase needs an id', id);
+    if (ids.has(phase.id)) throw new WorkflowDefinitionError(`duplicate phase "${phase.id}"`, id);
+    ids.add(phase.id);
+    if (!phase.branches && phase.steps.length === 0) {
+      throw new WorkflowDefinitionError(`phase "${phase.id}" has no steps, agents or parallel branches`, id);
+    }
+  }
+
+  const main = new Set(definition.phases.map(phase => phase.id));
+  if (!main.has(definition.start)) {
+    throw new WorkflowDefinitionError(`start phase "${definition.start}" is not defined`, id);
+  }
+  for (const phase of definition.phases) {
+    if (phase.next !== null && !main.has(phase.next)) {
+      throw new WorkflowDefinitionError(`phase "${phase.id}" points to unknown next phase "${phase.next}"`, id);
+    }
+  }
+  for (const phase of all) {
+    const unknown = phase.requires.find(required => !ids.has(required));
+    if (unknown) {
+      throw new WorkflowDefinitionError(`phase "${phase.id}" requires unknown phase "${unknown}"`, id);
+    }
+  }
+
+  const seen = new Set();
+  let current = definition.start;
+  while (current !== null) {
+    if (seen.has(current)) throw new WorkflowDefinitionError(`phase sequence loops back to "${current}"`, id);
+    seen.add(current);
+    current = definition.phases.find(phase => phase.id === current).next;
+  }
+
+  return definition;
+}
+
+/**
+ * Native format: { id, name, description, retry, phases: [...], selectable: { stage, available_after, phases } }
+ * Phases without next run in listed order.
+ */
+function fromNative(spec, source = null) {
+  const phases = (spec.phases || []).map((phase, index, list) => normalizePhase({
+    ...phase,
+    next: phase.next !== undefined ? phase.next : (list[index + 1] ? list[index + 1].id : null)
+  }, { gateDefaults: spec.approval_gates }));
+
+  const definition = {
+    id: spec.id,
+    name: spec.name || spec.id,
+    description: spec.description || null,
+    source,
+    start: spec.start || (phases[0] && phases[0].id),
+    retry: spec.retry || null,
+    phases,
+    selectable: spec.selectable ? {
+      stage: spec.selectable.stage || 'selectable',
+      available_after: spec.selectable.available_after || null,
+      phases: (spec.selectable.phases || []).map(phase => normalizePhase({ ...phase, next: null }, {
+        stage: spec.selectable.stage || 'selectable'
+      }))
+    } : null
+  };
+  return validateDefinition(definition);
+}
+
+/**
+ * Staged format from workflow-phase-configuration.json
+ */
+function fromStagedConfiguration(config, workflowId, source = null) {
+  const workflow = config.workflows && config.workflows[workflowId];
+  if (!workflow) throw new WorkflowDefinitionError('not found in phase configuration', workflowId);
+
+  const gateDefaults = config.approval_gates || {};
+  const blocking = (config.dependencies && config.dependencies.blocking) || {};
+  const phases = [];
+  let selectable = null;
+
+  for (const [stage, stageSpec] of Object.entries(workflow.stages || {})) {
+    const stagePhases = (stageSpec.phases || []).slice().sort((a, b) => (a.order || 0) - (b.order || 0));
+    if (stageSpec.execution === 'user_selected') {
+      selectable = {
+        stage,
+        available_after: stageSpec.available_after || null,
+        phases: stagePhases.map(phase => normalizePhase({ ...phase, next: null }, { stage }))
+      };
+      continue;
+    }
+    stagePhases.forEach((phase, index) => {
+      phases.push(normalizePhase({
+        ...phase,
+        next: phase.next !== undefined ? phase.next : (stagePhases[index + 1] ? stagePhases[index + 1].id : null)
+      }, { stage, gateDefaults, requires: blocking[phase.id] }));
+    });
+  }
+
+  // Blocking dependencies are shared across workflows; keep only those on this workflow's phases
+  const known = new Set([...phases, ...(selectable ? selectable.phases : [])].map(phase => phase.id));
+  for (const phase of phases) {
+    phase.requires = phase.requires.filter(required => known.has(required));
+  }
+
+  return validateDefinition({
+    id: workflowId,
+    command: BUILT_IN_COMMANDS[workflowId] || null,
+    name: workflowId.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+    description: workflow.description || null,
+    source,
+    start: phases[0] && phases[0].id,
+    retry: null,
+    phases,
+    selectable
+  });
+}
+
+/**
+ * Ordered format from rebuild-workflow-phases.json
+ */
+function fromOrderedPhases(config, workflowId, source = null) {
+  const gates = new Map((config.approval_gates || []).map(gate => [gate.after_phase, gate]));
+  const list = config.phases || [];
+  const phases = list.map((phase, index) => {
+    const gate = gates.get(phase.id);
+    return normalizePhase({
+      ...phase,
+      approval_gate: phase.approval_gate ? { name: phase.gate_name || (gate && gate.name), checks: gate ? gate.checks : [] } : null,
+      next: list[index + 1] ? list[index + 1].id : null
+    });
+  });
+
+  return validateDefinition({
+    id: workflowId,
+    command: BUILT_IN_COMMANDS[workflowId] || null,
+    name: 'Rebuild Project',
+    description: 'Rebuild an existing project on a new foundation',
+    source,
+    start: phases[0] && phases[0].id,
+    retry: null,
+    phases,
+    selectable: null,
+    variants: config.rebuild_types || null
+  });
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new WorkflowDefinitionError(`cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Load every workflow definition available to a project
+ * @param {Object} options - { machineDataDir, workflowDirs }
+ * @returns {Map<string, Object>} normalised definitions keyed by workflow ID
+ */
+function loadWorkflowDefinitions(options = {}) {
+  const machineDataDir = options.machineDataDir || path.join(__dirname, '..');
+  const workflowDirs = options.workflowDirs || [path.join(machineDataDir, 'workflows')];
+  const definitions = new Map();
+
+  const staged = path.join(machineDataDir, 'workflow-phase-configuration.json');
+  if (fs.existsSync(staged)) {
+    const config = readJson(staged);
+    for (const workflowId of Object.keys(config.workflows || {})) {
+      definitions.set(workflowId, fromStagedConfiguration(config, workflowId, staged));
+    }
+  }
+
+  const rebuild = path.join(machineDataDir, 'rebuild-workflow-phases.json');
+  if (fs.existsSync(rebuild)) {
+    definitions.set('rebuild-project', fromOrderedPhases(readJson(rebuild), 'rebuild-project', rebuild));
+  }
+
+  for (const dir of workflowDirs) {
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+      const spec = readJson(path.join(dir, file));
+      const definition = fromNative({ id: path.basename(file, '.json'), ...spec }, path.join(dir, file));
+      if (definitions.has(definition.id)) {
+        throw new WorkflowDefinitionError(`defined twice (${definitions.get(definition.id).source} and ${definition.source})`, definition.id);
+      }
+      definitions.set(definition.id, definition);
+    }
+  }
+
+  return definitions;
+}
+
+module.exports = {
+  WorkflowDefinitionError,
+  RESEARCH_LEVELS,
+  BUILT_IN_COMMANDS,
+  loadWorkflowDefinitions,
+  validateDefinition,
+  fromNative,
+  fromStagedConfiguration,
+  fromOrderedPhases
+};
@@ -0,0 +1,524 @@
+/**
+ * Workflow Engine
+ * Runs a phase graph loaded by workflow-definition.js against the three-file state:
+ * - runtime.json: engine progress (runtime.engine), current phase, task and approval queues
+ * - persistent.json: completed phases and approval decisions
+ * - configuration.json: default research level
+ *
+ * Each phase runs its steps in order, or its branches side by side. A step is handed to
+ * executeStep(step, context); the default executor queues a task for the agent and the
+ * step stays pending until completeStep() or failStep() is called. Failed steps are
+ * retried per the step, phase or workflow retry policy. Phases whose `when` condition
+ * does not match the context (e.g. research level) are skipped, and phases with an
+ * approval gate pause the workflow until approve() or reject().
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const { loadWorkflowDefinitions, RESEARCH_LEVELS } = require('./workflow-definition');
+
+const DEFAULT_RETRY = { max_attempts: 1, backoff_ms: 0, multiplier: 2 };
+
+class WorkflowEngineError extends Error {
+  constructor(message, code = 'workflow_error') {
+    super(message);
+    this.name = 'WorkflowEngineError';
+    this.code = code;
+  }
+}
+
+/**
+ * Does a `when` condition match the context?
+ *   { "research_level": ["medium", "thorough"] }  any of
+ *   { "research_level": { "min": "medium" } }       ordered research levels
+ *   { "compliance_framework": "soc2" }             equality
+ */
+function conditionMet(when, context) {
+  if (!when) return true;
+  return Object.entries(when).every(([key, expected]) => {
+    const actual = context[key];
+    if (Array.isArray(expected)) return expected.includes(actual);
+    if (expected && typeof expected === 'object') {
+      const order = key === 'research_level' ? RESEARCH_LEVELS : null;
+      if (!order) return false;
+      const index = order.indexOf(actual);
+      if (index === -1) return false;
+      if (expected.min && index < order.indexOf(expected.min)) return false;
+      if (expected.max && index > order.indexOf(expected.max)) return false;
+      return true;
+    }
+    return actual === expected;
+  });
+}
+
+class WorkflowEngine extends EventEmitter {
+  /**
+   * @param {Object} options
+   *   projectRoot  - project whose project-state/ holds the three state files
+   *   stateHandler - WorkflowStateHandler (default: hooks/handlers/workflow-state-handler)
+   *   definitions  - Map of normalised definitions (default: loadWorkflowDefinitions())
+   *   executeStep  - async (step, context) => result | { pending: true }
+   *   sleep        - async (ms) => void, used for retry backoff
+   */
+  constructor(options = {}) {
+    super();
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..', '..');
+    if (options.stateHandler) {
+      this.stateHandler = options.stateHandler;
+    } else {
+      const WorkflowStateHandler = require('../../hooks/handlers/workflow-state-handler');
+      this.stateHandler = new WorkflowStateHandler(this.projectRoot);
+    }
+    this.definitions = options.definitions || loadWorkflowDefinitions();
+    this.executeStep = options.executeStep || ((step, context) => this.queueAgentTask(step, context));
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  // --- state ------------------------------------------------------------------
+
+  get runtime() {
+    return this.stateHandler.runtime;
+  }
+
+  get state() {
+    return this.runtime.engine || null;
+  }
+
+  getDefinition(workflowId) {
+    const definition = this.definitions.get(workflowId);
+    if (!definition) {
+      throw new WorkflowEngineError(`Unknown workflow: ${workflowId}. Available: ${Array.from(this.definitions.keys()).join(', ')}`, 'unknown_workflow');
+    }
+    return definition;
+  }
+
+  listWorkflows() {
+    return Array.from(this.definitions.values()).map(definition => ({
+      id: definition.id,
+      name: definition.name,
+      description: definition.description,
+      command: definition.command || null,
+      phases: definition.phases.length,
+      gates:definition.phases.filter(phase => phase.gate).length,
+      selectable: definition.selectable ? definition.selectable.phases.length : 0
+    }));
+  }
+
+  findPhase(definition, phaseId) {
+    return definition.phases.find(phase => phase.id === phaseId) ||
+      (definition.selectable && definition.selectable.phases.find(phase => phase.id === phaseId)) || null;
+  }
+
+  requireState() {
+    if (!this.state) {
+      throw new WorkflowEngineError('No engine workflow is active. Start one first.', 'not_started');
+    }
+    return this.state;
+  }
+
+  context() {
+    const state = this.requireState();
+    return { workflow_type: state.workflow, research_level: state.research_level, ...state.context };
+  }
+
+  record(event, details = {}) {
+    this.state.history.push({ at: new Date().toISOString(), event, ...details });
+  }
+
+  /**
+   * Mirror engine progress into the runtime fields other tools read, then save
+   */
+  save() {
+    const state = this.state;
+    const definition = this.getDefinition(state.workflow);
+    const main = definition.phases.map(phase => phase.id);
+    const finished = id => ['completed', 'skipped'].includes((state.phases[id] || {}).status);
+    const current = state.current ? this.findPhase(definition, state.current) : null;
+
+    this.runtime.workflow.active = state.workflow;
+    this.runtime.workflow.phase = state.current;
+    this.runtime.workflow.stage = current ? current.stage : null;
+    this.runtime.workflow.progress = Math.round((main.filter(finished).length / main.length) * 100);
+    this.runtime.workflow.last_updated = new Date().toISOString();
+    this.runtime.phases.sequential.current = state.current;
+    this.runtime.phases.sequential.next = current ? current.next : null;
+    this.runtime.phases.selected.active = state.queue.slice();
+    if (definition.selectable) {
+      this.runtime.temp.phase_selection_unlocked = finished(definition.selectable.available_after || main[main.length - 1]);
+    }
+
+    this.stateHandler.saveRuntime();
+    this.stateHandler.savePersistent();
+  }
+
+  // --- lifecycle ------------------------------------------------------------------
+
+  /**
+   * Start a workflow on a fresh runtime and run it until it waits or finishes
+   * @param {string} workflowId - Definition ID, e.g. new-project or compliance-audit
+   * @param {Object} options - { research_level, context }
+   */
+  async start(workflowId, options = {}) {
+    const definition = this.getDefinition(workflowId);
+    if (definition.command) {
+      throw new WorkflowEngineError(`Workflow ${workflowId} is run by ${definition.command}, which keeps its own state. Use that command instead.`, 'command_owned');
+    }
+    const researchLevel = options.research_level ||
+      (this.stateHandler.config.preferences && this.stateHandler.config.preferences.research_level) || 'thorough';
+    if (!RESEARCH_LEVELS.includes(researchLevel)) {
+      throw new WorkflowEngineError(`Unknown research level: ${researchLevel} (expected ${RESEARCH_LEVELS.join(', ')})`, 'invalid_option');
+    }
+
+    this.stateHandler.initializeWorkflow(workflowId, { research_level: researchLevel });
+    this.runtime.engine = {
+      workflow: workflowId,
+      status: 'running',
+      current: definition.start,
+      research_level: researchLevel,
+      context: options.context || {},
+      phases: {},
+      queue: [],
+      awaiting_approval: null,
+      error: null,
+      started_at: new Date().toISOString(),
+      completed_at: null,
+      history: []
+    };
+    this.record('workflow_started', { workflow: workflowId, research_level: researchLevel });
+    this.save();
+    return this.run();
+  }
+
+  /**
+   * Advance until the workflow completes, fails, waits on agents or reaches a gate
+   */
+  async run() {
+    const state = this.requireState();
+    const definition = this.getDefinition(state.workflow);
+    if (!['running', 'waiting'].includes(state.status)) {
+      return this.status();
+    }
+    state.status = 'running';
+
+    while (state.current) {
+      const phase = this.findPhase(definition, state.current);
+      const progress = state.phases[phase.id] || (state.phases[phase.id] = { status: 'pending', steps: {}, started_at: null, completed_at: null });
+
+      if (progress.status === 'pending') {
+        if (!conditionMet(phase.when, this.context())) {
+          progress.status = 'skipped';
+          this.record('phase_skipped', { phase: phase.id, when: phase.when });
+          this.emit('phase:skipped', { workflow: state.workflow, phase: phase.id });
+          this.advance(definition, phase);
+          continue;
+        }
+        const blocking = phase.requires.filter(id => !['completed', 'skipped'].includes((state.phases[id] || {}).status));
+        if (blocking.length > 0) {
+          return this.fail(phase, `Phase ${phase.id} is blocked by ${blocking.join(', ')}`);
+        }
+        progress.status = 'running';
+        progress.started_at = new Date().toISOString();
+        this.record('phase_started', { phase: phase.id });
+        this.emit('phase:start', { workflow: state.workflow, phase: phase.id });
+      }
+
+      const outcome = await this.executePhase(definition, phase, progress);
+      if (outcome === 'failed') {
+        const failed = Object.entries(progress.steps).find(([, step]) => step.status === 'failed');
+        return this.fail(phase, `Step ${failed[0]} failed: ${failed[1].error}`);
+      }
+      if (outcome === 'pending') {
+        state.status = 'waiting';
+        this.save();
+        return this.status();
+      }
+
+      progress.status = 'completed';
+      progress.completed_at = new Date().toISOString();
+      this.stateHandler.updatePhase(phase.id);
+      this.record('phase_completed', { phase: phase.id });
+      this.emit('phase:complete', { workflow: state.workflow, phase: phase.id });
+
+      if (phase.gate) {
+        state.status = 'awaiting_approval';
+        state.awaiting_approval = { gate: phase.gate.name, phase: phase.id, checks: phase.gate.checks, requested_at: new Date().toISOString() };
+        this.runtime.queues.approvals.push({ workflow: state.workflow, ...state.awaiting_approval });
+        this.record('approval_requested', { phase: phase.id, gate: phase.gate.name });
+        this.emit('gate:pending', { workflow: state.workflow, ...state.awaiting_approval });
+        this.save();
+        return this.status();
+      }
+      this.advance(definition, phase);
+    }
+
+    state.status = 'completed';
+    state.completed_at = new Date().toISOString();
+    this.record('workflow_completed');
+    this.emit('workflow:complete', { workflow: state.workflow });
+    this.save();
+    return this.status();
+  }
+
+  advance(definition, phase) {
+    const state = this.state;
+    state.current = phase.next || state.queue.shift() || null;
+    this.save();
+  }
+
+  fail(phase, message) {
+    const state = this.state;
+    state.status = 'failed';
+    state.error = { phase: phase.id, message };
+    state.phases[phase.id].status = 'failed';
+    this.record('workflow_failed', { phase: phase.id, message });
+    this.emit('workflow:failed', { workflow: state.workflow, phase: phase.id, message });
+    this.save();
+    return this.status();
+  }
+
+  // --- steps ------------------------------------------------------------------------
+
+  async executePhase(definition, phase, progress) {
+    const branches = phase.branches || [{ id: phase.id, steps: phase.steps }];
+    const results = await Promise.all(branches.map(branch => this.executeBranch(definition, phase, branch, progress)));
+    if (results.includes('failed')) return 'failed';
+    if (results.includes('pending')) return 'pending';
+    return 'completed';
+  }
+
+  async executeBranch(definition, phase, branch, progress) {
+    for (const step of branch.steps) {
+      const record = progress.steps[step.id] || (progress.steps[step.id] = { status: 'ready', attempts: 0, result: null, error: null });
+      if (record.status === 'completed') continue;
+      if (record.status === 'pending' || record.status === 'failed') return record.status;
+
+      const policy = { ...DEFAULT_RETRY, ...(definition.retry || {}), ...(phase.retry || {}), ...(step.retry || {}) };
+      while (record.status === 'ready') {
+        if (record.attempts > 0 && policy.backoff_ms > 0) {
+          await this.sleep(policy.backoff_ms * Math.pow(policy.multiplier, record.attempts - 1));
+        }
+        record.attempts++;
+        try {
+          const result = await this.executeStep(step, {
+            ...this.context(),
+            phase: phase.id,
+            branch: phase.branches ? branch.id : null,
+            attempt: record.attempts
+          });
+          if (result && result.pending) {
+            record.status = 'pending';
+            record.task_id = result.task_id || null;
+            return 'pending';
+          }
+          record.status = 'completed';
+          record.result = result === undefined ? null : result;
+        } catch (error) {
+          this.stepFailed(step, record, policy, error.message);
+        }
+      }
+      if (record.status === 'failed') return 'failed';
+    }
+    return 'completed';
+  }
+
+  stepFailed(step, record, policy, message) {
+    record.error = message;
+    record.status = record.attempts < policy.max_attempts ? 'ready' : 'failed';
+    this.record(record.status === 'ready' ? 'step_retry' : 'step_failed', { step: step.id, attempt: record.attempts, error: message });
+    this.emit('step:failed', { step: step.id, attempt: record.attempts, error: message, retrying: record.status === 'ready' });
+  }
+
+  /**
+   * Default executor: queue a task for the step's agent in runtime.queues.tasks
+   */
+  queueAgentTask(step, context) {
+    const taskId = `${context.workflow_type}:${step.id}:${this.runtime.queues.tasks.length + 1}`;
+    this.runtime.queues.tasks.push({
+      id: taskId,
+      workflow: context.workflow_type,
+      phase: context.phase,
+      step: step.id,
+      agent: step.agent,
+      action: step.action,
+      inputs: step.inputs || null,
+      research_level: context.research_level,
+      status: 'queued',
+      queued_at: new Date().toISOString()
+    });
+    return { pending: true, task_id: taskId };
+  }
+
+  findPendingStep(stepId) {
+    const state = this.requireState();
+    const progress = state.phases[state.current];
+    const record = progress && progress.steps[stepId];
+    if (!record || record.status !== 'pending') {
+      throw new WorkflowEngineError(`Step ${stepId} is not waiting in phase ${state.current}`, 'invalid_step');
+    }
+    return record;
+  }
+
+  settleTask(record, status) {
+    const task = this.runtime.queues.tasks.find(entry => entry.id === record.task_id);
+    if (task) {
+      task.status = status;
+      task.settled_at = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Mark a pending step done and continue the workflow
+   */
+  async completeStep(stepId, result = null) {
+    const record = this.findPendingStep(stepId);
+    record.status = 'completed';
+    record.result = result;
+    this.settleTask(record, 'completed');
+    this.record('step_completed', { step: stepId });
+    return this.run();
+  }
+
+  /**
+   * Report a pending step as failed; it is re-dispatched while its retry policy allows
+   */
+  async failStep(stepId, message = 'Step failed') {
+    const state = this.requireState();
+    const definition = this.getDefinition(state.workflow);
+    const phase = this.findPhase(definition, state.current);
+    const step = [...phase.steps, ...(phase.branches || []).flatMap(branch => branch.steps)].find(candidate => candidate.id === stepId);
+    const record = this.findPendingStep(stepId);
+    const policy = { ...DEFAULT_RETRY, ...(definition.retry || {}), ...(phase.retry || {}), ...(step.retry || {}) };
+
+    this.settleTask(record, 'failed');
+    this.stepFailed(step, record, policy, message);
+    if (record.status === 'failed') {
+      return this.fail(phase, `Step ${stepId} failed: ${message}`);
+    }
+    return this.run();
+  }
+
+  /**
+   * Re-run the failed phase's failed steps with a fresh retry budget
+   */
+  async retry() {
+    const state = this.requireState();
+    if (state.status !== 'failed') {
+      throw new WorkflowEngineError(`Nothing to retry: workflow is ${state.status}`, 'invalid_state');
+    }
+    const progress = state.phases[state.error.phase];
+    for (const record of Object.values(progress.steps)) {
+      if (record.status === 'failed') Object.assign(record, { status: 'ready', attempts: 0 });
+    }
+    progress.status = 'pending';
+    state.current = state.error.phase;
+    state.status = 'running';
+    state.error = null;
+    this.record('phase_retried', { phase: state.current });
+    return this.run();
+  }
+
+  // --- gates and selection ---------------------------------------------------------
+
+  requireGate(gate) {
+    const state = this.requireState();
+    if (state.status !== 'awaiting_approval' || !state.awaiting_approval ||
+      ![state.awaiting_approval.gate, state.awaiting_approval.phase].includes(gate)) {
+      throw new WorkflowEngineError(`No approval pending for gate: ${gate}`, 'no_pending_gate');
+    }
+    return state.awaiting_approval;
+  }
+
+  closeGate(pending, decision, details) {
+    const state = this.state;
+    const entry = this.runtime.queues.approvals.find(item => item.phase === pending.phase && !item.decision);
+    if (entry) Object.assign(entry, { decision, decided_at: new Date().toISOString() });
+    this.stateHandler.saveDecision(`${decision === 'approved' ? 'Approved' : 'Rejected'} ${pending.gate}`, {
+      type: 'approval_gate', gate: pending.gate, phase: pending.phase, workflow: state.workflow, ...details
+    });
+    state.awaiting_approval = null;
+    this.record(`gate_${decision}`, { phase: pending.phase, gate: pending.gate, ...details });
+  }
+
+  /**
+   * Approve the pending gate (by gate name or phase ID) and continue
+   */
+  async approve(gate, details = {}) {
+    const pending = this.requireGate(gate);
+    const definition = this.getDefinition(this.state.workflow);
+    this.closeGate(pending, 'approved', details);
+    this.state.status = 'running';
+    this.advance(definition, this.findPhase(definition, pending.phase));
+    return this.run();
+  }
+
+  /**
+   * Reject the pending gate: the phase runs again from its first step
+   */
+  async reject(gate, details = {}) {
+    const pending = this.requireGate(gate);
+    this.closeGate(pending, 'rejected', details);
+    this.state.phases[pending.phase] = { status: 'pending', steps: {}, started_at: null, completed_at: null };
+    this.state.current = pending.phase;
+    this.state.status = 'running';
+    return this.run();
+  }
+
+  /**
+   * Queue user-selected phases (operations/enhancements) once they are unlocked
+   */
+  async selectPhases(phaseIds) {
+    const state = this.requireState();
+    const definition = this.getDefinition(state.workflow);
+    if (!definition.selectable) {
+      throw new WorkflowEngineError(`Workflow ${state.workflow} has no selectable phases`, 'invalid_state');
+    }
+    if (!this.runtime.temp.phase_selection_unlocked) {
+      throw new WorkflowEngineError(`Phase selection unlocks after ${definition.selectable.available_after}`, 'invalid_state');
+    }
+    const known = definition.selectable.phases.map(phase => phase.id);
+    const unknown = phaseIds.filter(id => !known.includes(id));
+    if (unknown.length > 0) {
+      throw new WorkflowEngineError(`Unknown ${definition.selectable.stage} phases: ${unknown.join(', ')}`, 'invalid_phase');
+    }
+
+    for (const id of phaseIds) {
+      if (!state.queue.includes(id) && id !== state.current) {
+        state.queue.push(id);
+        delete state.phases[id];
+      }
+    }
+    this.record('phases_selected', { phases: phaseIds });
+    if (state.status === 'completed') {
+      state.current = state.queue.shift();
+      state.status = 'running';
+      state.completed_at = null;
+    }
+    this.save();
+    return this.run();
+  }
+
+  status() {
+    const state = this.state;
+    if (!state) return { active: false };
+    const definition = this.getDefinition(state.workflow);
+    return {
+      active: !['completed', 'failed'].includes(state.status),
+      workflow: state.workflow,
+      status: state.status,
+      current_phase: state.current,
+      research_level: state.research_level,
+      progress: this.runtime.workflow.progress,
+      awaiting_approval: state.awaiting_approval,
+      pending_steps: state.current && state.phases[state.current]
+        ? Object.entries(state.phases[state.current].steps).filter(([, step]) => step.status === 'pending').map(([id]) => id)
+        : [],
+      phases: definition.phases.concat(definition.selectable ? definition.selectable.phases : [])
+        .filter(phase => state.phases[phase.id])
+        .map(phase => ({ id: phase.id, name: phase.name, status: state.phases[phase.id].status })),
+      queue: state.queue.slice(),
+      error: state.error
+    };
+  }
+}
+
+module.exports = { WorkflowEngine, WorkflowEngineError, conditionMet };
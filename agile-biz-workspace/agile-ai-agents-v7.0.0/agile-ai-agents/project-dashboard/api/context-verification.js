@@ -7,6 +7,7 @@
 const express = require('express');
 const fs = require('fs-extra');
 const path = require('path');
+const { eventStream } = require('../event-stream');
 const router = express.Router();
 
 // Paths
@@ -140,7 +141,10 @@ router.get('/violations', async (req, res) => {
 router.post('/check-drift', async (req, res) => {
     try {
         // In a real implementation, this would trigger the drift detector
-        // For now, just acknowledge the request
+        // For now, acknowledge the request and tell subscribers to refresh
+        eventStream.publish('drift', 'drift-check-requested', {
+            requestedBy: req.user ? req.user.username : null
+        });
         res.json({
             success: true,
             message: 'Drift check initiated'
@@ -0,0 +1,22 @@
+/**
+ * Dependency Graph API endpoints
+ *
+ * Story dependencies with cycles, critical path and blocker impact for the dashboard graph
+ */
+
+const express = require('express');
+const { storyServices } = require('../story-services');
+
+const router = express.Router();
+
+// GET /api/dependency-graph?sprint=<sprint id>  (all stories when omitted)
+router.get('/', (req, res) => {
+  try {
+    res.json(storyServices.dependencyGraph().analyze(null, { sprintId: req.query.sprint || null }));
+  } catch (error) {
+    console.error('Error analyzing story dependencies:', error);
+    res.status(500).json({ error: 'Failed to analyze story dependencies' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Flow Metrics API endpoints
+ *
+ * WIP against limits, cumulative flow, cycle-time scatter and throughput histogram per sprint
+ */
+
+const express = require('express');
+const { storyServices } = require('../story-services');
+
+const router = express.Router();
+
+// GET /api/flow-metrics/wip
+router.get('/wip', (req, res) => {
+  try {
+    res.json(storyServices.flowMetrics().getWip());
+  } catch (error) {
+    console.error('Error reading WIP:', error);
+    res.status(500).json({ error: 'Failed to read WIP' });
+  }
+});
+
+// GET /api/flow-metrics/:sprintId?bucket_hours=1
+router.get('/:sprintId', (req, res) => {
+  const options = {};
+  const bucketHours = parseFloat(req.query.bucket_hours);
+  // FlowMetrics widens buckets below MIN_BUCKET_HOURS or beyond MAX_BUCKETS per sprint
+  if (Number.isFinite(bucketHours) && bucketHours > 0) options.bucketHours = bucketHours;
+
+  try {
+    res.json(storyServices.flowMetrics().getFlowReport(req.params.sprintId, options));
+  } catch (error) {
+    console.error('Error computing flow metrics:', error);
+    res.status(500).json({ error: 'Failed to compute flow metrics' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Forecast API endpoints
+ *
+ * Monte Carlo completion forecasts for the dashboard forecast chart
+ */
+
+const express = require('express');
+const { ForecastError } = require('../../machine-data/monte-carlo-forecaster');
+const { storyServices } = require('../story-services');
+
+const router = express.Router();
+
+const MAX_TRIALS = 50000;
+
+// GET /api/forecast?scope=sprint|epic|backlog&id=...&trials=...&seed=...
+router.get('/', (req, res) => {
+  const scope = req.query.scope || 'backlog';
+  const trials = Math.min(parseInt(req.query.trials, 10) || 10000, MAX_TRIALS);
+  const options = { trials };
+  if (req.query.seed !== undefined) {
+    options.seed = parseInt(req.query.seed, 10) || 0;
+  }
+
+  try {
+    res.json(storyServices.forecaster().forecast(scope, req.query.id || null, options));
+  } catch (error) {
+    if (error instanceof ForecastError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error running forecast:', error);
+    res.status(500).json({ error: 'Failed to run forecast' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
+const { requireRole } = require('../auth-manager');
+const { optimisticConcurrency } = require('../optimistic-concurrency');
 
 // Paths to hook system files
 const HOOK_CONFIG_PATH = path.join(__dirname, '../../hooks/config/hook-config.json');
@@ -10,35 +12,30 @@ const PERFORMANCE_PATH = path.join(__dirname, '../../hooks/metrics/performance.j
 const HOOK_MANAGER_PATH = path.join(__dirname, '../../hooks/hook-manager.js');
 const AGENT_DEFAULTS_PATH = path.join(__dirname, '../../hooks/config/agent-hooks/agent-defaults.json');
 
-// Get hook configuration
+// Get hook configuration (ETag required back as If-Match on PUT)
 router.get('/config', (req, res) => {
   try {
-    const config = JSON.parse(fs.readFileSync(HOOK_CONFIG_PATH, 'utf8'));
-    res.json(config);
+    optimisticConcurrency.sendJson(res, HOOK_CONFIG_PATH);
   } catch (error) {
     console.error('Failed to load hook configuration:', error);
     res.status(500).json({ error: 'Failed to load configuration' });
   }
 });
 
-// Update hook configuration
-router.put('/config', (req, res) => {
+// Update hook configuration; 412 with a three-way diff if it changed since the GET
+router.put('/config', requireRole('admin'), async (req, res) => {
   try {
-    const currentConfig = JSON.parse(fs.readFileSync(HOOK_CONFIG_PATH, 'utf8'));
-    const updatedConfig = { ...currentConfig, ...req.body };
-    
-    // Validate configuration
-    if (!validateConfig(updatedConfig)) {
-      return res.status(400).json({ error: 'Invalid configuration' });
-    }
-    
-    // Save configuration
-    fs.writeFileSync(HOOK_CONFIG_PATH, JSON.stringify(updatedConfig, null, 2));
+    const saved = await optimisticConcurrency.update(req, res, {
+      resource: 'hook-config.json',
+      filePath: HOOK_CONFIG_PATH,
+      propose: currentConfig => ({ ...currentConfig, ...req.body }),
+      validate: updatedConfig => (validateConfig(updatedConfig) ? null : 'Invalid configuration')
+    });
     
     // Reload hook manager if available
-    reloadHookManager();
-    
-    res.json(updatedConfig);
+    if (saved) {
+      reloadHookManager();
+    }
   } catch (error) {
     console.error('Failed to update hook configuration:', error);
     res.status(500).json({ error: 'Failed to update configuration' });
@@ -103,7 +100,7 @@ router.get('/performance', (req, res) => {
 });
 
 // Reset performance metrics
-router.post('/performance/reset', (req, res) => {
+router.post('/performance/reset', requireRole('admin'), (req, res) => {
   try {
     const emptyMetrics = {
       hooks: {},
@@ -123,7 +120,7 @@ router.post('/performance/reset', (req, res) => {
 });
 
 // Test a specific hook
-router.post('/test/:hookName', async (req, res) => {
+router.post('/test/:hookName', requireRole('contributor'), async (req, res) => {
   try {
     const { hookName } = req.params;
     const testData = req.body;
@@ -139,28 +136,66 @@ router.post('/test/:hookName', async (req, res) => {
   }
 });
 
-// Enable/disable specific hook
-router.patch('/hooks/:hookName', (req, res) => {
+// Get queued and dead-lettered hook failures
+router.get('/failures', (req, res) => {
+  try {
+    const HookManager = require(HOOK_MANAGER_PATH);
+    const failures = HookManager.failureQueue.list();
+
+    // Optional filter: ?hookName=md-json-sync
+    if (req.query.hookName) {
+      failures.pending = failures.pending.filter(e => e.hookName === req.query.hookName);
+      failures.deadLetter = failures.deadLetter.filter(e => e.hookName === req.query.hookName);
+    }
+
+    res.json(failures);
+  } catch (error) {
+    console.error('Failed to load hook failures:', error);
+    res.status(500).json({ error: 'Failed to load hook failures' });
+  }
+});
+
+// Replay a queued or dead-lettered hook failure now
+router.post('/failures/:id/retry', requireRole('contributor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const HookManager = require(HOOK_MANAGER_PATH);
+    const outcome = await HookManager.retryFailure(id);
+
+    if (outcome.status === 'not_found') {
+      return res.status(404).json({ error: 'Hook failure not found', id });
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Failed to retry hook failure:', error);
+    res.status(500).json({ error: 'Failed to retry hook failure', details: error.message });
+  }
+});
+
+// Enable/disable specific hook; same If-Match rules as PUT /config, which writes the same file
+router.patch('/hooks/:hookName', requireRole('admin'), async (req, res) => {
   try {
     const { hookName } = req.params;
     const { enabled } = req.body;
-    
-    const config = JSON.parse(fs.readFileSync(HOOK_CONFIG_PATH, 'utf8'));
-    
-    if (!config.hooks) {
-      config.hooks = {};
-    }
-    
-    if (!config.hooks[hookName]) {
-      config.hooks[hookName] = {};
+
+    const saved = await optimisticConcurrency.update(req, res, {
+      resource: 'hook-config.json',
+      filePath: HOOK_CONFIG_PATH,
+      propose: config => {
+        const hooks = { ...config.hooks };
+        hooks[hookName] = { ...hooks[hookName], enabled };
+        return { ...config, hooks };
+      },
+      commit: async proposed => {
+        optimisticConcurrency.write(HOOK_CONFIG_PATH, proposed);
+        return { success: true, hookName, enabled };
+      }
+    });
+
+    if (saved) {
+      reloadHookManager();
     }
-    
-    config.hooks[hookName].enabled = enabled;
-    
-    fs.writeFileSync(HOOK_CONFIG_PATH, JSON.stringify(config, null, 2));
-    reloadHookManager();
-    
-    res.json({ success: true, hookName, enabled });
   } catch (error) {
     console.error('Failed to update hook status:', error);
     res.status(500).json({ error: 'Failed to update hook status' });
@@ -233,7 +268,7 @@ router.get('/events', (req, res) => {
   });
 });
 
-// Get Claude settings
+// Get Claude settings; the ETag covers the local settings file
 router.get('/claude-settings', (req, res) => {
   try {
     const ClaudeHookBridge = require('../../hooks/claude-hook-bridge');
@@ -241,9 +276,9 @@ router.get('/claude-settings', (req, res) => {
     const settings = bridge.loadSettings();
     const status = bridge.getStatus();
     
-    res.json({
-      settings,
-      status
+    optimisticConcurrency.sendJson(res, bridge.getSettingsPath(), {
+      fallback: settings,
+      body: () => ({ settings, status })
     });
   } catch (error) {
     console.error('Failed to load Claude settings:', error);
@@ -252,27 +287,44 @@ router.get('/claude-settings', (req, res) => {
 });
 
 // Update Claude settings
-router.put('/claude-settings', (req, res) => {
+router.put('/claude-settings', requireRole('admin'), async (req, res) => {
   try {
     const ClaudeHookBridge = require('../../hooks/claude-hook-bridge');
     const bridge = new ClaudeHookBridge();
     
-    // Handle specific updates
-    if (req.body.enabled !== undefined) {
-      bridge.setHooksEnabled(req.body.enabled);
-    }
-    
-    if (req.body.syncEnabled !== undefined) {
-      bridge.setSyncEnabled(req.body.syncEnabled);
-    }
-    
-    if (req.body.profile) {
-      bridge.setProfile(req.body.profile);
-    }
-    
-    // Return updated status
-    const status = bridge.getStatus();
-    res.json({ success: true, status });
+    await optimisticConcurrency.update(req, res, {
+      resource: 'settings.local.json',
+      filePath: bridge.getSettingsPath(),
+      fallback: bridge.loadSettings(),
+      // Mirrors the bridge setters so a conflict can show what this request changes
+      propose: settings => {
+        const hookSettings = { ...settings.hookSettings };
+        if (req.body.enabled !== undefined) hookSettings.enabled = req.body.enabled;
+        if (req.body.syncEnabled !== undefined) {
+          hookSettings.syncEnabled = req.body.syncEnabled;
+          hookSettings.autoSyncToParent = req.body.syncEnabled;
+        }
+        if (req.body.profile) hookSettings.agileHooksProfile = req.body.profile;
+        return { ...settings, hookSettings };
+      },
+      commit: async () => {
+        // Handle specific updates
+        if (req.body.enabled !== undefined) {
+          await bridge.setHooksEnabled(req.body.enabled);
+        }
+        
+        if (req.body.syncEnabled !== undefined) {
+          bridge.setSyncEnabled(req.body.syncEnabled);
+        }
+        
+        if (req.body.profile) {
+          bridge.setProfile(req.body.profile);
+        }
+        
+        // Return updated status
+        return { success: true, status: bridge.getStatus() };
+      }
+    });
   } catch (error) {
     console.error('Failed to update Claude settings:', error);
     res.status(500).json({ error: 'Failed to update Claude settings' });
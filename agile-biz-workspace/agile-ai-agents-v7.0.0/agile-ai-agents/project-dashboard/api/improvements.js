@@ -4,6 +4,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { lockService } = require('../../machine-data/lock-service');
 
 const IMPROVEMENTS_PATH = path.join(__dirname, '../../project-state/improvements');
 
@@ -65,28 +66,34 @@ async function updateStatus(req, res) {
     }
     
     const backlogPath = path.join(IMPROVEMENTS_PATH, 'improvement-backlog.json');
-    const backlogData = await fs.readFile(backlogPath, 'utf-8');
-    const backlog = JSON.parse(backlogData);
-    
-    // Find and update item
-    const item = backlog.items.find(i => i.id === id);
+    // Hold the backlog lock from read to write so concurrent updates are not lost
+    const item = await lockService.withLock(backlogPath, async () => {
+      const backlogData = await fs.readFile(backlogPath, 'utf-8');
+      const backlog = JSON.parse(backlogData);
+
+      // Find and update item
+      const item = backlog.items.find(i => i.id === id);
+      if (!item) return null;
+
+      item.status = status;
+
+      // Update sprint status if needed
+      if (status === 'in_progress') {
+        const sprint = backlog.sprints.find(s => s.items.includes(id));
+        if (sprint && sprint.status === 'planned') {
+          sprint.status = 'active';
+        }
+      }
+
+      // Save updated backlog
+      lockService.writeFileSync(backlogPath, JSON.stringify(backlog, null, 2));
+      return item;
+    });
+
     if (!item) {
       return res.status(404).json({ error: 'Improvement not found' });
     }
-    
-    item.status = status;
-    
-    // Update sprint status if needed
-    if (status === 'in_progress') {
-      const sprint = backlog.sprints.find(s => s.items.includes(id));
-      if (sprint && sprint.status === 'planned') {
-        sprint.status = 'active';
-      }
-    }
-    
-    // Save updated backlog
-    await fs.writeFile(backlogPath, JSON.stringify(backlog, null, 2));
-    
+
     res.json({ success: true, item });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -104,68 +111,74 @@ async function moveToBacklog(req, res) {
       return res.status(400).json({ error: 'Missing improvement ID' });
     }
     
-    // Load deferred items
     const deferredPath = path.join(IMPROVEMENTS_PATH, 'deferred-improvements.json');
-    const deferredData = await fs.readFile(deferredPath, 'utf-8');
-    const deferred = JSON.parse(deferredData);
-    
-    // Find item
-    const itemIndex = deferred.deferred_improvements.findIndex(i => i.id === id);
-    if (itemIndex === -1) {
-      return res.status(404).json({ error: 'Deferred item not found' });
-    }
-    
-    const item = deferred.deferred_improvements[itemIndex];
-    
-    // Remove from deferred
-    deferred.deferred_improvements.splice(itemIndex, 1);
-    deferred.metadata.total_deferred = deferred.deferred_improvements.length;
-    
-    // Add to backlog
     const backlogPath = path.join(IMPROVEMENTS_PATH, 'improvement-backlog.json');
-    const backlogData = await fs.readFile(backlogPath, 'utf-8');
-    const backlog = JSON.parse(backlogData);
-    
-    // Create backlog item
-    const backlogItem = {
-      id: item.id,
-      title: item.title,
-      description: item.description,
-      priority: backlog.items.length + 1, // Add at end
-      category: item.category,
-      estimated_hours: 8, // Default estimate
-      status: 'todo',
-      sprint_id: null,
-      dependencies: []
-    };
-    
-    backlog.items.push(backlogItem);
-    backlog.metadata.total_items = backlog.items.length;
-    
-    // Assign to next available sprint
-    const lastSprint = backlog.sprints[backlog.sprints.length - 1];
-    if (lastSprint && lastSprint.estimated_hours + 8 <= 80) {
-      lastSprint.items.push(item.id);
-      lastSprint.estimated_hours += 8;
-      backlogItem.sprint_id = lastSprint.id;
-    } else {
-      // Create new sprint
-      const newSprint = {
-        id: `sprint-improvement-${backlog.sprints.length + 1}`,
-        name: `Improvement Sprint ${backlog.sprints.length + 1}`,
-        items: [item.id],
-        estimated_hours: 8,
-        start_date: null,
-        status: 'planned'
+    // The item moves between two files, so hold both locks (deferred first) for the whole move
+    const backlogItem = await lockService.withLock(deferredPath, () => lockService.withLock(backlogPath, async () => {
+      // Load deferred items
+      const deferredData = await fs.readFile(deferredPath, 'utf-8');
+      const deferred = JSON.parse(deferredData);
+
+      // Find item
+      const itemIndex = deferred.deferred_improvements.findIndex(i => i.id === id);
+      if (itemIndex === -1) return null;
+
+      const item = deferred.deferred_improvements[itemIndex];
+
+      // Remove from deferred
+      deferred.deferred_improvements.splice(itemIndex, 1);
+      deferred.metadata.total_deferred = deferred.deferred_improvements.length;
+
+      // Add to backlog
+      const backlogData = await fs.readFile(backlogPath, 'utf-8');
+      const backlog = JSON.parse(backlogData);
+
+      // Create backlog item
+      const backlogItem = {
+        id: item.id,
+        title: item.title,
+        description: item.description,
+        priority: backlog.items.length + 1, // Add at end
+        category: item.category,
+        estimated_hours: 8, // Default estimate
+        status: 'todo',
+        sprint_id: null,
+        dependencies: []
       };
-      backlog.sprints.push(newSprint);
-      backlogItem.sprint_id = newSprint.id;
+
+      backlog.items.push(backlogItem);
+      backlog.metadata.total_items = backlog.items.length;
+
+      // Assign to next available sprint
+      const lastSprint = backlog.sprints[backlog.sprints.length - 1];
+      if (lastSprint && lastSprint.estimated_hours + 8 <= 80) {
+        lastSprint.items.push(item.id);
+        lastSprint.estimated_hours += 8;
+        backlogItem.sprint_id = lastSprint.id;
+      } else {
+        // Create new sprint
+        const newSprint = {
+          id: `sprint-improvement-${backlog.sprints.length + 1}`,
+          name: `Improvement Sprint ${backlog.sprints.length + 1}`,
+          items: [item.id],
+          estimated_hours: 8,
+          start_date: null,
+          status: 'planned'
+        };
+        backlog.sprints.push(newSprint);
+        backlogItem.sprint_id = newSprint.id;
+      }
+
+      // Save both files
+      lockService.writeFileSync(deferredPath, JSON.stringify(deferred, null, 2));
+      lockService.writeFileSync(backlogPath, JSON.stringify(backlog, null, 2));
+      return backlogItem;
+    }));
+
+    if (!backlogItem) {
+      return res.status(404).json({ error: 'Deferred item not found' });
     }
-    
-    // Save both files
-    await fs.writeFile(deferredPath, JSON.stringify(deferred, null, 2));
-    await fs.writeFile(backlogPath, JSON.stringify(backlog, null, 2));
-    
+
     res.json({ success: true, item: backlogItem });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -0,0 +1,59 @@
+/**
+ * Stakeholder Inbox API endpoints
+ *
+ * Lists prompts waiting in the stakeholder inbox and lets dashboard users answer them
+ */
+
+const express = require('express');
+const path = require('path');
+const { requireRole } = require('../auth-manager');
+const { eventStream } = require('../event-stream');
+const { InboxResponseChannel, loadSettings } = require('../../machine-data/stakeholder-response-channel');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+function createStakeholderRouter(inbox = new InboxResponseChannel(PROJECT_ROOT, loadSettings(PROJECT_ROOT))) {
+  const router = express.Router();
+
+  // Prompts waiting for an answer
+  router.get('/prompts', (req, res) => {
+    try {
+      res.json({ prompts: inbox.listPending() });
+    } catch (error) {
+      console.error('Error reading stakeholder inbox:', error);
+      res.status(500).json({ error: 'Failed to read stakeholder inbox' });
+    }
+  });
+
+  // Answer a pending prompt
+  router.post('/prompts/:id/answer', requireRole('contributor'), (req, res) => {
+    const answer = req.body && req.body.answer;
+    if (typeof answer !== 'string' || answer.trim() === '') {
+      return res.status(400).json({ error: 'Answer required' });
+    }
+
+    const pending = inbox.listPending().find(prompt => prompt.id === req.params.id);
+    if (!pending) {
+      return res.status(404).json({ error: 'Prompt is no longer pending' });
+    }
+    if (pending.options && inbox.normalizeAnswer(pending, answer) === null) {
+      return res.status(400).json({ error: `Answer must be one of: ${pending.options.join(', ')}` });
+    }
+
+    const answeredBy = req.user ? req.user.username : null;
+    inbox.submitAnswer(pending.id, answer.trim(), answeredBy);
+    eventStream.publish('alerts', 'stakeholder_decision_answered', { id: pending.id, key: pending.key, answered_by: answeredBy });
+    res.json({ success: true, id: pending.id });
+  });
+
+  // Recorded prompts and answers from every channel
+  router.get('/responses', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ responses: inbox.history(limit) });
+  });
+
+  return router;
+}
+
+module.exports = createStakeholderRouter();
+module.exports.createStakeholderRouter = createStakeholderRouter;
@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { logSecurityEvent, logAudit } = require('./logger');
+const { lockService } = require('../machine-data/lock-service');
+
+/**
+ * Dashboard Authentication for AgileAiAgents
+ * Local accounts with scrypt-hashed passwords stored in project-state,
+ * cookie sessions and role checks (viewer < contributor < admin)
+ */
+
+const ROLES = ['viewer', 'contributor', 'admin'];
+const SESSION_COOKIE = 'aaa_session';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Values shipped in .env_example that must never become a real password
+const PLACEHOLDER_PASSWORDS = ['changeme', 'your_secure_password_here'];
+
+class AuthManager {
+  constructor(options = {}) {
+    this.usersPath = options.usersPath ||
+      path.join(__dirname, '..', 'project-state', 'dashboard-users.json');
+    this.sessionTtlMs = options.sessionTtlMs ||
+      (parseFloat(process.env.DASHBOARD_SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000;
+    this.enabled = options.enabled !== undefined
+      ? options.enabled
+      : process.env.DASHBOARD_AUTH_ENABLED === 'true';
+    // Hook events come from local hook processes without a session; event-stream
+    // only accepts them from loopback addresses
+    this.publicPaths = options.publicPaths || [
+      '/api/health',
+      '/api/health/ping',
+      '/api/auth/login',
+      '/api/stream/events',
+      '/api/stream/events/batch'
+    ];
+
+    this.sessions = new Map();
+    this.users = null;
+  }
+
+  /**
+   * Auth is enforced when enabled by env or once any account exists
+   */
+  isEnforced() {
+    return this.enabled || Object.keys(this.loadUsers()).length > 0;
+  }
+
+  /**
+   * Accounts keyed by username; a null-prototype object so names like
+   * "constructor" or "__proto__" never resolve to Object.prototype members
+   */
+  loadUsers() {
+    if (!this.users) {
+      this.users = Object.create(null);
+      try {
+        if (fs.pathExistsSync(this.usersPath)) {
+          Object.assign(this.users, fs.readJSONSync(this.usersPath).users);
+        }
+      } catch (error) {
+        console.error('Failed to load dashboard users:', error.message);
+      }
+    }
+    return this.users;
+  }
+
+  getUser(username) {
+    const users = this.loadUsers();
+    return Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+  }
+
+  saveUsers() {
+    lockService.writeFileSync(this.usersPath, `${JSON.stringify({ version: 1, users: this.users }, null, 2)}\n`);
+  }
+
+  /**
+   * Create the first admin from DASHBOARD_USERNAME/DASHBOARD_PASSWORD
+   * Throws when there is no account and no usable password: auth would refuse
+   * every request and nobody could sign in to fix it
+   */
+  bootstrapAdmin(env = process.env) {
+    if (Object.keys(this.loadUsers()).length > 0) return null;
+
+    const username = env.DASHBOARD_USERNAME || 'admin';
+    const password = env.DASHBOARD_PASSWORD;
+    if (!password || PLACEHOLDER_PASSWORDS.includes(password)) {
+      throw new Error('Dashboard auth is enabled but no account exists and DASHBOARD_PASSWORD is ' +
+        `${password ? 'a placeholder' : 'unset'}. Set DASHBOARD_PASSWORD (8+ characters) in .env to create ` +
+        'the first admin, or set DASHBOARD_AUTH_ENABLED=false.');
+    }
+
+    const user = this.createUser(username, password, 'admin', 'bootstrap');
+    console.log(`🔐 Created dashboard admin account: ${username}`);
+    return user;
+  }
+
+  hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS).toString('hex');
+    return { algorithm: 'scrypt', salt, hash };
+  }
+
+  verifyPassword(password, stored) {
+    if (!stored || stored.algorithm !== 'scrypt') return false;
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = crypto.scryptSync(String(password), stored.salt, expected.length, SCRYPT_PARAMS);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  createUser(username, password, role = 'viewer', createdBy = null) {
+    const users = this.loadUsers();
+    if (!/^[a-zA-Z0-9._-]{2,64}$/.test(username || '')) {
+      throw new Error('Username must be 2-64 letters, digits, dots, dashes or underscores');
+    }
+    if (this.getUser(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    users[username] = {
+      role,
+      password: this.hashPassword(password),
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+    this.saveUsers();
+    return this.publicUser(username);
+  }
+
+  updateUser(username, { role, password }) {
+    const user = this.getUser(username);
+    if (!user) return null;
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+      if (user.role === 'admin' && role !== 'admin') this.assertOtherAdmin(username);
+      user.role = role;
+    }
+    if (password !== undefined) {
+      if (!password || password.length < 8) throw new Error('Password must be at least 8 characters');
+      user.password = this.hashPassword(password);
+      this.revokeSessions(username);
+    }
+    user.updatedAt = new Date().toISOString();
+    this.saveUsers();
+
+    // Live sessions pick up the new role on their next request
+    for (const session of this.sessions.values()) {
+      if (session.username === username) session.role = user.role;
+    }
+    return this.publicUser(username);
+  }
+
+  deleteUser(username) {
+    const users = this.loadUsers();
+    const user = this.getUser(username);
+    if (!user) return false;
+    if (user.role === 'admin') this.assertOtherAdmin(username);
+
+    delete users[username];
+    this.saveUsers();
+    this.revokeSessions(username);
+    return true;
+  }
+
+  assertOtherAdmin(username) {
+    const admins = Object.entries(this.loadUsers()).filter(([name, u]) => u.role === 'admin' && name !== username);
+    if (admins.length === 0) {
+      throw new Error('Cannot remove the last admin');
+    }
+  }
+
+  listUsers() {
+    return Object.keys(this.loadUsers()).sort().map(username => this.publicUser(username));
+  }
+
+  publicUser(username) {
+    const { role, createdAt, createdBy, updatedAt } = this.getUser(username);
+    return { username, role, createdAt, createdBy, updatedAt };
+  }
+
+  /**
+   * Check credentials and open a session; returns null on failure
+   */
+  login(username, password) {
+    const user = this.getUser(username);
+    // Hash anyway for unknown users so timing does not reveal which names exist
+    const valid = user
+      ? this.verifyPassword(password, user.password)
+      : (this.verifyPassword(password, this.hashPassword('')), false);
+    if (!valid) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = {
+      username,
+      role: user.role,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.sessionTtlMs
+    };
+    this.sessions.set(this.sessionKey(token), session);
+    return { token, session };
+  }
+
+  logout(token) {
+    return this.sessions.delete(this.sessionKey(token));
+  }
+
+  revokeSessions(username) {
+    for (const [key, session] of this.sessions) {
+      if (session.username === username) this.sessions.delete(key);
+    }
+  }
+
+  // Sessions are stored by token hash so a memory dump does not leak live cookies
+  sessionKey(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  getSession(token) {
+    if (!token) return null;
+    const key = this.sessionKey(token);
+    const session = this.sessions.get(key);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+    session.expiresAt = Date.now() + this.sessionTtlMs;
+    return session;
+  }
+
+  static hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  static parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+      const index = part.indexOf('=');
+      if (index <= 0) continue;
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // Malformed percent-encoding in someone else's cookie must not reject the request
+      }
+    }
+    return cookies;
+  }
+
+  /**
+   * Resolve the user for a request (or socket handshake) from its cookie
+   */
+  resolveUser(cookieHeader) {
+    if (!this.isEnforced()) {
+      return { username: 'local', role: 'admin', isAdmin: true, anonymous: true };
+    }
+
+    const session = this.getSession(AuthManager.parseCookies(cookieHeader)[SESSION_COOKIE]);
+    if (!session) return null;
+    return { username: session.username, role: session.role, isAdmin: session.role === 'admin' };
+  }
+
+  setSessionCookie(req, res, token, maxAgeMs) {
+    const parts = [
+      `${SESSION_COOKIE}=${token}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (req.secure) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+  }
+
+  /**
+   * Gate for /api: attaches req.user, requires a session for every
+   * non-public path and at least contributor for mutating methods
+   */
+  middleware() {
+    return (req, res, next) => {
+      req.user = this.resolveUser(req.headers.cookie);
+
+      const url = req.originalUrl.split('?')[0];
+      if (this.publicPaths.includes(url.replace(/\/$/, ''))) {
+        return next();
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!SAFE_METHODS.includes(req.method)) {
+        this.auditOnFinish(req, res);
+        if (!AuthManager.hasRole(req.user.role, 'contributor')) {
+          return this.deny(req, res, 'contributor');
+        }
+      }
+      next();
+    };
+  }
+
+  /**
+   * Per-route role check, layered on top of middleware()
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        req.user = this.resolveUser(req.headers.cookie);
+      }
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!AuthManager.hasRole(req.user.role, role)) {
+        return this.deny(req, res, role);
+      }
+      next();
+    };
+  }
+
+  deny(req, res, required) {
+    logSecurityEvent('Insufficient role', 'warn', {
+      username: req.user.username,
+      role: req.user.role,
+      required,
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    return res.status(403).json({ error: 'Insufficient role', required });
+  }
+
+  auditOnFinish(req, res) {
+    if (res.locals.auditScheduled) return;
+    res.locals.auditScheduled = true;
+
+    res.on('finish', () => {
+      logAudit(`${req.method} ${req.originalUrl.split('?')[0]}`, {
+        username: req.user ? req.user.username : null,
+        role: req.user ? req.user.role : null,
+        status: res.statusCode,
+        outcome: res.statusCode < 400 ? 'success' : 'failure',
+        ip: req.ip,
+        params: req.params,
+        bodyKeys: req.body && typeof req.body === 'object' ? Object.keys(req.body) : []
+      });
+    });
+  }
+
+  /**
+   * Express router for login, logout, current user and account management
+   */
+  createRouter() {
+    const express = require('express');
+    const router = express.Router();
+
+    router.post('/login', (req, res) => {
+      const { username, password } = req.body || {};
+      const result = username && password ? this.login(username, password) : null;
+
+      if (!result) {
+        logSecurityEvent('Authentication failure', 'warn', { username, ip: req.ip });
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      logSecurityEvent('Authentication success', 'info', { username, ip: req.ip });
+      logAudit('login', { username, role: result.session.role, ip: req.ip });
+      this.setSessionCookie(req, res, result.token, this.sessionTtlMs);
+      res.json({ user: this.publicUser(username), expiresAt: new Date(result.session.expiresAt).toISOString() });
+    });
+
+    router.post('/logout', (req, res) => {
+      const token = AuthManager.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (token) this.logout(token);
+      this.setSessionCookie(req, res, '', 0);
+      res.json({ success: true });
+    });
+
+    router.get('/me', (req, res) => {
+      res.json({ user: req.user, enforced: this.isEnforced(), roles: ROLES });
+    });
+
+    router.get('/users', this.requireRole('admin'), (req, res) => {
+      res.json({ users: this.listUsers() });
+    });
+
+    router.post('/users', this.requireRole('admin'), (req, res) => {
+      try {
+        const { username, password, role } = req.body || {};
+        res.status(201).json({ user: this.createUser(username, password, role, req.user.username) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    router.patch('/users/:username', this.requireRole('admin'), (req, res) => {
+      try {
+        const user = this.updateUser(req.params.username, req.body || {});
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({ user });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    router.delete('/users/:username', this.requireRole('admin'), (req, res) => {
+      try {
+        if (!this.deleteUser(req.params.username)) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    return router;
+  }
+
+  /**
+   * Socket.IO middleware: rejects handshakes without a valid session
+   */
+  socketMiddleware() {
+    return (socket, next) => {
+      const user = this.resolveUser(socket.handshake.headers.cookie);
+      if (!user) {
+        return next(new Error('Authentication required'));
+      }
+      socket.user = user;
+      next();
+    };
+  }
+}
+
+const authManager = new AuthManager();
+
+module.exports = {
+  AuthManager,
+  authManager,
+  requireRole: role => authManager.requireRole(role),
+  ROLES,
+  SESSION_COOKIE
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Dashboard Event Stream for AgileAiAgents
+ * Tails the agent .jsonl streams and state files, accepts hook events from
+ * dashboard-event-notifier, and fans everything out over Server-Sent Events
+ * on typed channels with Last-Event-ID resume
+ */
+
+const CHANNELS = ['progress', 'alerts', 'coordination', 'drift'];
+
+// First matching rule wins; matched against stream_type, event and hook type
+const CHANNEL_RULES = [
+  { channel: 'drift', pattern: /drift/ },
+  { channel: 'alerts', pattern: /^(alert|error|critical-blocker|stakeholder_decision(_required)?)$/ },
+  { channel: 'coordination', pattern: /^(coordination|agent_coordination|incremental_testing|incremental_test_request|agent-activation)$/ }
+];
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function channelFor(event) {
+  const keys = [event.stream_type, event.event, event.type, event.category].filter(Boolean);
+  for (const rule of CHANNEL_RULES) {
+    if (keys.some(key => rule.pattern.test(key))) {
+      return rule.channel;
+    }
+  }
+  return 'progress';
+}
+
+class DashboardEventStream {
+  constructor(options = {}) {
+    const root = path.join(__dirname, '..');
+    // Same folder StreamingInfrastructure writes dashboard-*.jsonl into
+    this.streamDirs = options.streamDirs ||
+      [path.join(root, 'machine-data', 'project-documents-json', 'orchestration', 'streams')];
+    // project-documents is already watched by the server; runtime state lives outside it
+    this.watchFiles = options.watchFiles || [
+      { path: path.join(root, 'project-state', 'runtime.json'), channel: 'progress', type: 'workflow-state' },
+      // Directory mtime changes whenever a stakeholder prompt is added or removed
+      { path: path.join(root, 'project-state', 'stakeholder-inbox', 'pending'), channel: 'alerts', type: 'stakeholder_decision_required' }
+    ];
+    this.pollInterval = options.pollInterval || 1000;
+    this.heartbeatInterval = options.heartbeatInterval || 15000;
+    this.bufferSize = options.bufferSize || 500;
+
+    // Event IDs are "<bootId>-<seq>" so a restarted server never replays the wrong events
+    this.bootId = options.bootId || crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.buffer = [];
+    this.clients = new Set();
+    this.offsets = new Map();
+    this.remainders = new Map();
+    this.mtimes = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Start tailing from the current end of every stream file
+   */
+  start() {
+    if (this.timer) return;
+
+    for (const file of this.listStreamFiles()) {
+      this.offsets.set(file, fs.statSync(file).size);
+    }
+    for (const watched of this.watchFiles) {
+      this.mtimes.set(watched.path, this.mtimeOf(watched.path));
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  listStreamFiles() {
+    const files = [];
+    for (const dir of this.streamDirs) {
+      if (!fs.existsSync(dir)) continue;
+      for (const name of fs.readdirSync(dir).sort()) {
+        if (name.endsWith('.jsonl')) files.push(path.join(dir, name));
+      }
+    }
+    return files;
+  }
+
+  mtimeOf(filePath) {
+    try {
+      return fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read appended lines from stream files and check watched state files
+   */
+  poll() {
+    for (const file of this.listStreamFiles()) {
+      try {
+        this.readAppended(file);
+      } catch (error) {
+        console.error(`Error tailing stream ${file}:`, error.message);
+      }
+    }
+
+    for (const watched of this.watchFiles) {
+      const mtime = this.mtimeOf(watched.path);
+      if (mtime !== null && mtime !== this.mtimes.get(watched.path)) {
+        this.publish(watched.channel, watched.type, { path: path.basename(watched.path) }, 'state');
+      }
+      this.mtimes.set(watched.path, mtime);
+    }
+  }
+
+  readAppended(file) {
+    const size = fs.statSync(file).size;
+    let offset = this.offsets.get(file) || 0;
+    if (size < offset) {
+      // Truncated or replaced: start over
+      offset = 0;
+      this.remainders.delete(file);
+    }
+    if (size === offset) return;
+
+    const buffer = Buffer.alloc(size - offset);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.offsets.set(file, size);
+
+    const lines = ((this.remainders.get(file) || '') + buffer.toString('utf8')).split('\n');
+    // Keep a partially written last line for the next poll
+    this.remainders.set(file, lines.pop());
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const event = JSON.parse(line);
+        this.publish(channelFor(event), event.event || event.stream_type || 'event', event, 'stream');
+      } catch (error) {
+        console.error('Error parsing stream event:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Hook event from dashboard-event-notifier
+   */
+  ingest(hookEvent) {
+    return this.publish(channelFor(hookEvent), hookEvent.type || 'hook-event', hookEvent, 'hook');
+  }
+
+  publish(channel, type, data, source = 'dashboard') {
+    if (!CHANNELS.includes(channel)) {
+      throw new Error(`Unknown stream channel: ${channel}`);
+    }
+
+    const event = {
+      id: `${this.bootId}-${++this.sequence}`,
+      seq: this.sequence,
+      channel,
+      type,
+      source,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const client of this.clients) {
+      if (client.channels.includes(channel)) {
+        this.send(client.res, event);
+      }
+    }
+    return event;
+  }
+
+  send(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.channel}\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+
+  /**
+   * Buffered events after lastEventId, or null when the client must resync
+   */
+  eventsSince(lastEventId) {
+    const [bootId, seqText] = String(lastEventId).split('-');
+    const seq = parseInt(seqText, 10);
+    if (bootId !== this.bootId || isNaN(seq) || seq > this.sequence) return null;
+
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.sequence + 1;
+    if (seq < oldest - 1) return null;
+
+    return this.buffer.filter(event => event.seq > seq);
+  }
+
+  /**
+   * Open an SSE response and register it as a client
+   */
+  subscribe(req, res) {
+    const requested = String(req.query.channels || '').split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = requested.filter(c => !CHANNELS.includes(c));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown channels: ${unknown.join(', ')}`, channels: CHANNELS });
+    }
+    const channels = requested.length > 0 ? requested : CHANNELS;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering events
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 3000\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = this.eventsSince(lastEventId);
+      if (missed === null) {
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'history unavailable', bootId: this.bootId })}\n\n`);
+      } else {
+        missed.filter(event => channels.includes(event.channel)).forEach(event => this.send(res, event));
+      }
+    }
+
+    const client = { res, channels };
+    this.clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatInterval);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+  }
+
+  /**
+   * Express router: GET / streams events, POST /events(/batch) ingests hook events
+   */
+  createRouter() {
+    const express = require('express');
+    const router = express.Router();
+
+    router.get('/', (req, res) => this.subscribe(req, res));
+
+    router.get('/channels', (req, res) => {
+      res.json({ channels: CHANNELS, clients: this.clients.size, lastEventId: this.buffer.length ? this.buffer[this.buffer.length - 1].id : null });
+    });
+
+    // Hook handlers post from local processes only
+    const localOnly = (req, res, next) => {
+      if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+        return res.status(403).json({ error: 'Hook events are accepted from localhost only' });
+      }
+      next();
+    };
+
+    router.post('/events', localOnly, (req, res) => {
+      if (!req.body || typeof req.body !== 'object') {
+        return res.status(400).json({ error: 'Event body required' });
+      }
+      const event = this.ingest(req.body);
+      res.status(202).json({ id: event.id, channel: event.channel });
+    });
+
+    router.post('/events/batch', localOnly, (req, res) => {
+      const events = req.body && Array.isArray(req.body.events) ? req.body.events : null;
+      if (!events) {
+        return res.status(400).json({ error: 'Batch must contain an events array' });
+      }
+      const published = events.map(event => this.ingest(event));
+      res.status(202).json({ ids: published.map(event => event.id) });
+    });
+
+    return router;
+  }
+}
+
+const eventStream = new DashboardEventStream();
+
+module.exports = {
+  DashboardEventStream,
+  eventStream,
+  channelFor,
+  CHANNELS
+};
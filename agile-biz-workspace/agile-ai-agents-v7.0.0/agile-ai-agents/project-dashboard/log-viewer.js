@@ -17,7 +17,7 @@ class LogViewer {
    * Get list of available log files
    */
   async getLogFiles() {
-    const logTypes = ['app', 'error', 'access', 'agent', 'security'];
+    const logTypes = ['app', 'error', 'access', 'agent', 'security', 'audit'];
     const files = {};
 
     for (const type of logTypes) {
@@ -163,7 +163,7 @@ class LogViewer {
   async searchLogs(query, options = {}) {
     const { limit = 100, type = null, startDate = null, endDate = null } = options;
     const results = [];
-    const logTypes = type ? [type] : ['app', 'error', 'access', 'agent', 'security'];
+    const logTypes = type ? [type] : ['app', 'error', 'access', 'agent', 'security', 'audit'];
 
     for (const logType of logTypes) {
       const dirPath = path.join(this.logDir, logType);
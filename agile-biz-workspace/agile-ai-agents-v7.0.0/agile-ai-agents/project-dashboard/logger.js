@@ -32,6 +32,7 @@ class LoggerSystem {
       fs.ensureDirSync(path.join(this.logDir, 'access'));
       fs.ensureDirSync(path.join(this.logDir, 'agent'));
       fs.ensureDirSync(path.join(this.logDir, 'security'));
+      fs.ensureDirSync(path.join(this.logDir, 'audit'));
     } catch (error) {
       console.error('Failed to create log directories:', error);
     }
@@ -199,6 +200,24 @@ class LoggerSystem {
     });
   }
 
+  createAuditLogger() {
+    return winston.createLogger({
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new DailyRotateFile({
+          filename: path.join(this.logDir, 'audit', 'audit-%DATE%.log'),
+          datePattern: 'YYYY-MM-DD',
+          zippedArchive: true,
+          maxSize: '20m',
+          maxFiles: '365d' // Audit trail of dashboard changes
+        })
+      ]
+    });
+  }
+
   // Logging methods
   error(message, metadata = {}) {
     this.logger.error(message, metadata);
@@ -265,8 +284,8 @@ class LoggerSystem {
   }
 
   logSecurityEvent(event, severity = 'warn', details = {}) {
-    const securityLogger = this.securityLogger || this.createSecurityLogger();
-    securityLogger.log(severity, `Security event: ${event}`, {
+    this.securityLogger = this.securityLogger || this.createSecurityLogger();
+    this.securityLogger.log(severity, `Security event: ${event}`, {
       event: event,
       severity: severity,
       timestamp: new Date().toISOString(),
@@ -274,6 +293,16 @@ class LoggerSystem {
     });
   }
 
+  // Who changed what through the dashboard
+  logAudit(action, details = {}) {
+    this.auditLogger = this.auditLogger || this.createAuditLogger();
+    this.auditLogger.info(`Audit: ${action}`, {
+      action: action,
+      timestamp: new Date().toISOString(),
+      ...details
+    });
+  }
+
   // Performance tracking
   startTimer(label) {
     this.performanceMetrics.set(label, Date.now());
@@ -372,7 +401,7 @@ class LoggerSystem {
     };
 
     try {
-      const logDirs = ['app', 'error', 'access', 'agent', 'security'];
+      const logDirs = ['app', 'error', 'access', 'agent', 'security', 'audit'];
       
       for (const dir of logDirs) {
         const dirPath = path.join(this.logDir, dir);
@@ -462,5 +491,8 @@ module.exports = {
   },
   logSecurityEvent: (event, severity, details) => {
     if (loggerInstance) loggerInstance.logSecurityEvent(event, severity, details);
+  },
+  logAudit: (action, details) => {
+    if (loggerInstance) loggerInstance.logAudit(action, details);
   }
 };
\ No newline at end of file
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { lockService } = require('../machine-data/lock-service');
+const { diffJson, mergeJson } = require('../machine-data/state-history');
+const { createUnifiedDiff } = require('../machine-data/utils/text-diff');
+
+/**
+ * Optimistic Concurrency for dashboard write routes
+ * GETs send an ETag (hash of the file content); writes must send it back in If-Match.
+ * When the file changed in between, the write is refused with 412 and a three-way diff
+ * (the version the client read, the file now, the client's proposal) so the UI can
+ * show both sides and offer an automatic merge.
+ */
+
+const MAX_VERSIONS_PER_FILE = 20;
+
+function etagFor(text) {
+  return `"${crypto.createHash('sha256').update(text).digest('hex').slice(0, 32)}"`;
+}
+
+function parseIfMatch(header) {
+  if (!header) return [];
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+}
+
+class OptimisticConcurrency {
+  constructor(options = {}) {
+    this.maxVersions = options.maxVersions || MAX_VERSIONS_PER_FILE;
+    // filePath -> Map(etag -> text); lets a 412 show the version the client edited
+    this.versions = new Map();
+  }
+
+  remember(filePath, text, etag) {
+    const versions = this.versions.get(filePath) || new Map();
+    versions.delete(etag);
+    versions.set(etag, text);
+    while (versions.size > this.maxVersions) {
+      versions.delete(versions.keys().next().value);
+    }
+    this.versions.set(filePath, versions);
+  }
+
+  recall(filePath, etag) {
+    const versions = this.versions.get(filePath);
+    return versions && versions.has(etag) ? versions.get(etag) : null;
+  }
+
+  /**
+   * Read a JSON file with its ETag; a missing file reads as fallback
+   * @returns {Object} { value, text, etag, exists }
+   */
+  read(filePath, fallback = {}) {
+    const exists = fs.existsSync(filePath);
+    const text = exists ? fs.readFileSync(filePath, 'utf8') : JSON.stringify(fallback, null, 2);
+    const etag = etagFor(text);
+    this.remember(filePath, text, etag);
+    return { value: JSON.parse(text), text, etag, exists };
+  }
+
+  write(filePath, value) {
+    const text = `${JSON.stringify(value, null, 2)}\n`;
+    lockService.writeFileSync(filePath, text);
+    const etag = etagFor(text);
+    this.remember(filePath, text, etag);
+    return etag;
+  }
+
+  /**
+   * Send a JSON file's content (or a body built from it) with its ETag
+   */
+  sendJson(res, filePath, options = {}) {
+    const version = this.read(filePath, options.fallback);
+    res.set('ETag', version.etag);
+    res.json(options.body ? options.body(version.value) : version.value);
+    return version;
+  }
+
+  /**
+   * Structured three-way diff for a refused write
+   * @param {Object} current - version on disk now
+   * @param {*} base - parsed version the client edited, or null when unknown
+   * @param {*} proposed - what the client's write would produce from its base
+   * @param {string[]} volatile - paths (e.g. lastUpdated) never reported as conflicts
+   */
+  conflict(resource, current, base, proposed, ifMatch, volatile = []) {
+    const isVolatile = change => volatile.some(key => change.path === key || change.path.startsWith(`${key}.`));
+    const baseKnown = base !== null;
+    const serverChanges = baseKnown ? diffJson(base, current.value).filter(change => !isVolatile(change)) : null;
+    const yourChanges = diffJson(baseKnown ? base : current.value, proposed).filter(change => !isVolatile(change));
+
+    let conflicts;
+    let merged;
+    if (baseKnown) {
+      conflicts = [];
+      merged = mergeJson(base, current.value, proposed, 'ours', '', conflicts);
+      conflicts = conflicts.filter(conflict => !isVolatile(conflict));
+    } else {
+      // Without the client's version every change it makes may overwrite someone else's
+      conflicts = yourChanges.map(change => ({ path: change.path, base: undefined, ours: change.before, theirs: change.after }));
+      merged = current.value;
+    }
+
+    return {
+      error: 'Precondition Failed',
+      code: 'ETAG_MISMATCH',
+      message: `${resource} changed since it was loaded; reconcile and retry with the current ETag`,
+      resource,
+      if_match: ifMatch,
+      etag: current.etag,
+      current: current.value,
+      diff: {
+        base_known: baseKnown,
+        base: baseKnown ? base : null,
+        server_changes: serverChanges,
+        your_changes: yourChanges,
+        conflicts: conflicts.map(conflict => ({
+          path: conflict.path,
+          base: conflict.base === undefined ? null : conflict.base,
+          server: conflict.ours === undefined ? null : conflict.ours,
+          yours: conflict.theirs === undefined ? null : conflict.theirs
+        })),
+        merged,
+        unified: createUnifiedDiff(
+          `${JSON.stringify(current.value, null, 2)}\n`,
+          `${JSON.stringify(proposed, null, 2)}\n`,
+          { fromFile: `${resource} (server)`, toFile: `${resource} (yours)` }
+        )
+      }
+    };
+  }
+
+  /**
+   * Run a conditional write for an Express route
+   * @param {Object} options
+   *   resource  - name shown in errors and diffs
+   *   filePath  - JSON file the ETag is computed from
+   *   fallback  - value of a missing file
+   *   propose   - (value) => new value; applied to the client's base for the diff
+   *   validate  - (proposed) => error message or null
+   *   commit    - async (proposed, current) => response body; defaults to writing the file
+   *   volatile  - paths ignored when reporting conflicts
+   * @returns {boolean} true when the write happened
+   */
+  async update(req, res, options) {
+    const { resource, filePath, fallback = {}, propose, validate, volatile = [] } = options;
+    const ifMatch = req.get('If-Match');
+
+    return lockService.withLock(filePath, async () => {
+      const current = this.read(filePath, fallback);
+
+      if (!ifMatch) {
+        res.set('ETag', current.etag);
+        res.status(428).json({
+          error: 'Precondition Required',
+          code: 'IF_MATCH_REQUIRED',
+          message: `Send the ETag from GET as If-Match to update ${resource}`,
+          etag: current.etag
+        });
+        return false;
+      }
+
+      const tags = parseIfMatch(ifMatch);
+      if (!tags.includes('*') && !tags.includes(current.etag)) {
+        const baseText = tags.map(tag => this.recall(filePath, tag)).find(text => text !== null);
+        const base = baseText ? JSON.parse(baseText) : null;
+        const proposed = propose(JSON.parse(JSON.stringify(base || current.value)));
+        res.set('ETag', current.etag);
+        res.status(412).json(this.conflict(resource, current, base, proposed, ifMatch, volatile));
+        return false;
+      }
+
+      const proposed = propose(JSON.parse(current.text));
+      const invalid = validate ? validate(proposed) : null;
+      if (invalid) {
+        res.status(400).json({ error: invalid });
+        return false;
+      }
+
+      let body;
+      if (options.commit) {
+        body = await options.commit(proposed, current.value);
+        res.set('ETag', this.read(filePath, fallback).etag);
+      } else {
+        res.set('ETag', this.write(filePath, proposed));
+        body = proposed;
+      }
+      res.json(body);
+      return true;
+    });
+  }
+}
+
+const optimisticConcurrency = new OptimisticConcurrency();
+
+module.exports = {
+  OptimisticConcurrency,
+  optimisticConcurrency,
+  etagFor,
+  parseIfMatch
+};
@@ -45,8 +45,23 @@ class ProjectDashboard {
         // Update timestamp every minute
         setInterval(() => this.updateTimestamp(), 60000);
         
-        // Request progress update every 30 seconds
-        setInterval(() => this.requestProgressUpdate(), 30000);
+        // Progress and alerts arrive over the dashboard stream instead of polling
+        this.subscribeToStream();
+    }
+
+    subscribeToStream() {
+        if (!window.dashboardStream) return;
+
+        window.dashboardStream.on('progress', () => this.requestProgressUpdate());
+        window.dashboardStream.on('alerts', (event) => {
+            if (event.type === 'resync') return;
+            const data = event.data || {};
+            const details = data.data || {};
+            const message = details.message || details.title || details.error || event.type;
+            const item = document.createElement('span');
+            item.textContent = message;
+            this.addActivity('🚨 Alert', item.innerHTML, 'startup');
+        });
     }
 
     connectSocket() {
@@ -201,12 +216,14 @@ class ProjectDashboard {
         const projectNameElement = document.getElementById('project-name');
         
         if (editBtn && projectNameElement) {
-            editBtn.addEventListener('click', () => {
-                const currentName = projectNameElement.textContent.replace('🤖 ', '');
+            editBtn.addEventListener('click', async () => {
+                // Load the saved config first so the write carries its ETag
+                const loaded = await this.loadProjectConfig();
+                const currentName = loaded ? loaded.config.projectName : projectNameElement.textContent.replace('🤖 ', '');
                 const newName = prompt('Enter new project name:', currentName);
                 
                 if (newName && newName !== currentName) {
-                    this.updateProjectConfig(newName);
+                    this.updateProjectConfig(newName, '', loaded && loaded.etag);
                 }
             });
         }
@@ -826,12 +843,24 @@ class ProjectDashboard {
         }
     }
     
-    async updateProjectConfig(projectName, projectDescription = '') {
+    async loadProjectConfig() {
+        try {
+            const response = await fetch('/api/project-config');
+            if (!response.ok) return null;
+            return { config: await response.json(), etag: response.headers.get('ETag') };
+        } catch (error) {
+            console.warn('Could not load project config:', error);
+            return null;
+        }
+    }
+    
+    async updateProjectConfig(projectName, projectDescription = '', etag = null) {
         try {
             const response = await fetch('/api/project-config', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'If-Match': etag || ''
                 },
                 body: JSON.stringify({ projectName, projectDescription })
             });
@@ -840,6 +869,17 @@ class ProjectDashboard {
                 const result = await response.json();
                 console.log('✅ Project config updated:', result.config);
                 this.addActivity('⚙️ Settings Updated', `Project name changed to: ${projectName}`, 'startup');
+            } else if (response.status === 412 || response.status === 428) {
+                // Someone saved in between: show what is there now and let the user decide
+                const conflict = await response.json();
+                const serverName = conflict.current ? conflict.current.projectName : null;
+                const question = serverName
+                    ? `The project config was changed elsewhere (name is now "${serverName}"). Overwrite with "${projectName}"?`
+                    : `The project config could not be verified. Save "${projectName}" anyway?`;
+                if (confirm(question)) {
+                    return this.updateProjectConfig(projectName, projectDescription, conflict.etag);
+                }
+                if (serverName) this.updateProjectName(serverName);
             } else {
                 console.error('Failed to update project config');
                 alert('Failed to update project name. Please try again.');
@@ -1264,8 +1304,10 @@ async function initializeProjectState() {
     // Fetch and display project state
     await fetchAndDisplayProjectState();
     
-    // Refresh project state every 30 seconds
-    setInterval(fetchAndDisplayProjectState, 30000);
+    // Refresh project state when the workflow or progress changes
+    if (window.dashboardStream) {
+        window.dashboardStream.on('progress', fetchAndDisplayProjectState);
+    }
 }
 
 async function fetchAndDisplayProjectState() {
@@ -0,0 +1,36 @@
+/**
+ * Auth Guard for AgileAiAgents Dashboard
+ *
+ * Sends the browser to the login page when the dashboard requires a session,
+ * and exposes the signed-in user as window.dashboardUser
+ */
+
+(function () {
+    window.dashboardUser = null;
+
+    window.dashboardLogout = async function () {
+        await fetch('/api/auth/logout', { method: 'POST' });
+        window.location.href = '/login.html';
+    };
+
+    window.dashboardAuthReady = fetch('/api/auth/me')
+        .then(response => {
+            if (response.status === 401) {
+                const next = encodeURIComponent(window.location.pathname + window.location.search);
+                window.location.href = `/login.html?next=${next}`;
+                return null;
+            }
+            return response.json();
+        })
+        .then(data => {
+            if (data && data.user) {
+                window.dashboardUser = data.user;
+                document.documentElement.dataset.role = data.user.role;
+            }
+            return window.dashboardUser;
+        })
+        .catch(error => {
+            console.error('Failed to check dashboard session:', error);
+            return null;
+        });
+})();
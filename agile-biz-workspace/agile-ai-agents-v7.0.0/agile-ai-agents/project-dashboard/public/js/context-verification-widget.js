@@ -16,7 +16,7 @@ class ContextVerificationWidget {
         };
         this.lastUpdate = null;
         this.createWidgetStructure();
-        this.startPolling();
+        this.subscribeToDrift();
     }
 
     createWidgetStructure() {
@@ -263,12 +263,9 @@ class ContextVerificationWidget {
                 throw new Error('Failed to trigger drift check');
             }
             
-            // Show loading state
+            // Show loading state; the drift channel triggers the reload
             const status = document.getElementById('drift-status');
             status.textContent = 'Checking for drift...';
-            
-            // Reload after a delay
-            setTimeout(() => this.loadContextStatus(), 2000);
         } catch (error) {
             console.error('Failed to check drift:', error);
             this.showError('Failed to trigger drift check');
@@ -347,14 +344,11 @@ class ContextVerificationWidget {
         }
     }
 
-    startPolling() {
-        // Poll for updates every 30 seconds when monitoring is active
-        setInterval(() => {
-            const monitoringStatus = document.getElementById('monitoring-status');
-            if (monitoringStatus && monitoringStatus.textContent === 'Active') {
-                this.loadContextStatus();
-            }
-        }, 30000);
+    subscribeToDrift() {
+        // Drift reports and manual checks arrive on the dashboard stream
+        if (window.dashboardStream) {
+            window.dashboardStream.on('drift', () => this.loadContextStatus());
+        }
     }
 }
 
@@ -0,0 +1,70 @@
+/**
+ * Dashboard Stream Client for AgileAiAgents Dashboard
+ *
+ * One shared EventSource on /api/stream. Widgets subscribe to typed channels
+ * (progress, alerts, coordination, drift) instead of polling REST endpoints.
+ * The browser resends Last-Event-ID on reconnect, so missed events are replayed;
+ * when the server cannot replay them it sends "resync" and every handler is
+ * called with { type: 'resync' } to reload its data.
+ */
+
+class DashboardStream {
+    constructor(url = '/api/stream') {
+        this.url = url;
+        this.source = null;
+        this.handlers = {};
+    }
+
+    on(channel, handler) {
+        if (!this.handlers[channel]) {
+            this.handlers[channel] = [];
+            if (this.source) {
+                this.listen(channel);
+            }
+        }
+        this.handlers[channel].push(handler);
+        this.connect();
+        return () => {
+            this.handlers[channel] = this.handlers[channel].filter(h => h !== handler);
+        };
+    }
+
+    connect() {
+        if (this.source || typeof EventSource === 'undefined') return;
+
+        this.source = new EventSource(this.url);
+        Object.keys(this.handlers).forEach(channel => this.listen(channel));
+
+        this.source.addEventListener('resync', () => {
+            Object.keys(this.handlers).forEach(channel => this.dispatch(channel, { type: 'resync', channel }));
+        });
+
+        this.source.onerror = () => {
+            // EventSource retries on its own; log once per outage
+            if (this.source.readyState === EventSource.CONNECTING && !this.reconnecting) {
+                this.reconnecting = true;
+                console.warn('📡 Dashboard stream disconnected, reconnecting...');
+            }
+        };
+
+        this.source.onopen = () => {
+            this.reconnecting = false;
+        };
+    }
+
+    listen(channel) {
+        this.source.addEventListener(channel, (message) => {
+            try {
+                this.dispatch(channel, JSON.parse(message.data));
+            } catch (error) {
+                console.error('Failed to handle stream event:', error);
+            }
+        });
+    }
+
+    dispatch(channel, event) {
+        (this.handlers[channel] || []).forEach(handler => handler(event));
+    }
+}
+
+window.dashboardStream = window.dashboardStream || new DashboardStream();
@@ -0,0 +1,170 @@
+/**
+ * Dependency Graph Widget for AgileAiAgents Dashboard
+ *
+ * Draws story dependencies left to right, highlighting blocked stories,
+ * the critical path and the stories each blocker delays
+ */
+
+class DependencyGraphWidget {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.sprint = '';
+        this.graph = null;
+        this.error = null;
+    }
+
+    async loadGraph() {
+        const params = new URLSearchParams();
+        if (this.sprint) params.set('sprint', this.sprint);
+
+        try {
+            const response = await fetch(`/api/dependency-graph?${params}`);
+            const data = await response.json();
+            this.graph = response.ok ? data : null;
+            this.error = response.ok ? null : data.error;
+        } catch (error) {
+            console.error('Failed to load dependency graph:', error);
+            this.error = 'Dependency graph unavailable';
+        }
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="context-verification-widget dependency-graph-widget">
+                <div class="widget-header">
+                    <h3>🕸️ Story Dependencies</h3>
+                    <div class="widget-controls">
+                        <input type="text" id="dependency-graph-sprint" placeholder="sprint id (all stories)"
+                               value="${this.escapeHtml(this.sprint)}">
+                        <button class="btn btn-sm" id="dependency-graph-run">Show</button>
+                    </div>
+                </div>
+                <div class="widget-body">${this.renderBody()}</div>
+            </div>
+        `;
+
+        document.getElementById('dependency-graph-run').addEventListener('click', () => {
+            this.sprint = document.getElementById('dependency-graph-sprint').value.trim();
+            this.loadGraph();
+        });
+    }
+
+    renderBody() {
+        if (this.error) {
+            return `<div class="no-data">${this.escapeHtml(this.error)}</div>`;
+        }
+        if (!this.graph) {
+            return '<div class="no-data">Loading dependencies...</div>';
+        }
+        if (this.graph.nodes.length === 0) {
+            return '<div class="no-data">No stories to show</div>';
+        }
+
+        const path = this.graph.critical_path;
+        const cycles = this.graph.cycles.map(cycle => `
+            <div class="dependency-cycle">🔁 Cycle: ${cycle.map(id => this.escapeHtml(id)).join(' → ')}</div>`).join('');
+        const blockers = this.graph.blockers.map(blocker => `
+            <li>
+                <strong>${this.escapeHtml(blocker.story_id)}</strong>
+                ${blocker.on_critical_path ? '<span class="dependency-badge">critical path</span>' : ''}
+                delays ${blocker.delays.length ? blocker.delays.map(id => this.escapeHtml(id)).join(', ') : 'nothing else'}
+            </li>`).join('');
+
+        return `
+            ${this.renderChart()}
+            ${cycles}
+            <div class="dependency-meta">
+                Critical path: ${path.stories.length ? path.stories.map(id => this.escapeHtml(id)).join(' → ') : 'none'}
+                (${path.hours}h, ${path.points} points)
+            </div>
+            ${blockers ? `<ul class="dependency-blockers">${blockers}</ul>` : ''}
+        `;
+    }
+
+    // Columns by dependency depth; stories in a cycle stay in the first column they reach
+    layout() {
+        const depth = new Map(this.graph.nodes.map(node => [node.id, 0]));
+        for (let pass = 0; pass < this.graph.nodes.length; pass++) {
+            let changed = false;
+            this.graph.edges.forEach(edge => {
+                const next = depth.get(edge.from) + 1;
+                if (next > depth.get(edge.to) && next < this.graph.nodes.length) {
+                    depth.set(edge.to, next);
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+        }
+
+        const rows = new Map();
+        const positions = new Map();
+        this.graph.nodes.forEach(node => {
+            const column = depth.get(node.id);
+            const row = rows.get(column) || 0;
+            rows.set(column, row + 1);
+            positions.set(node.id, { column, row });
+        });
+        return { positions, columns: Math.max(...depth.values()) + 1, rows: Math.max(...rows.values()) };
+    }
+
+    renderChart() {
+        const nodeWidth = 120;
+        const nodeHeight = 34;
+        const gapX = 40;
+        const gapY = 16;
+        const { positions, columns, rows } = this.layout();
+        const width = columns * (nodeWidth + gapX) + gapX;
+        const height = rows * (nodeHeight + gapY) + gapY;
+        const x = id => gapX + positions.get(id).column * (nodeWidth + gapX);
+        const y = id => gapY + positions.get(id).row * (nodeHeight + gapY);
+
+        const critical = new Set(this.graph.critical_path.stories);
+        const edges = this.graph.edges.map(edge => {
+            const onPath = critical.has(edge.from) && critical.has(edge.to);
+            return `<line class="dependency-edge ${onPath ? 'critical' : ''}"
+                x1="${x(edge.from) + nodeWidth}" y1="${y(edge.from) + nodeHeight / 2}"
+                x2="${x(edge.to)}" y2="${y(edge.to) + nodeHeight / 2}" marker-end="url(#dependency-arrow)"></line>`;
+        }).join('');
+
+        const nodes = this.graph.nodes.map(node => {
+            const classes = ['dependency-node', node.status];
+            if (node.blocked) classes.push('blocked');
+            if (node.critical) classes.push('critical');
+            if (node.external) classes.push('external');
+            return `
+                <g class="${classes.join(' ')}">
+                    <title>${this.escapeHtml(`${node.title} · ${node.status} · ${node.points} pts`)}</title>
+                    <rect x="${x(node.id)}" y="${y(node.id)}" width="${nodeWidth}" height="${nodeHeight}" rx="6"></rect>
+                    <text x="${x(node.id) + nodeWidth / 2}" y="${y(node.id) + nodeHeight / 2 + 4}">${this.escapeHtml(node.id)}</text>
+                </g>`;
+        }).join('');
+
+        return `
+            <svg class="dependency-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Story dependency graph">
+                <defs>
+                    <marker id="dependency-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M0,0 L10,5 L0,10 z" class="dependency-arrow"></path>
+                    </marker>
+                </defs>
+                ${edges}
+                ${nodes}
+            </svg>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize widget when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    if (document.getElementById('dependency-graph-container')) {
+        window.dependencyGraphWidget = new DependencyGraphWidget('dependency-graph-container');
+        window.dependencyGraphWidget.render();
+        window.dependencyGraphWidget.loadGraph();
+    }
+});
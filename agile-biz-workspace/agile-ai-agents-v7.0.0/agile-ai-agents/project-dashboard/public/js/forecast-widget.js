@@ -0,0 +1,148 @@
+/**
+ * Forecast Widget for AgileAiAgents Dashboard
+ *
+ * Charts the Monte Carlo completion forecast as a cumulative probability curve
+ * with P50/P85/P95 markers
+ */
+
+class ForecastWidget {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.scope = 'backlog';
+        this.id = '';
+        this.forecast = null;
+        this.error = null;
+    }
+
+    async loadForecast() {
+        const params = new URLSearchParams({ scope: this.scope });
+        if (this.id) params.set('id', this.id);
+
+        try {
+            const response = await fetch(`/api/forecast?${params}`);
+            const data = await response.json();
+            this.forecast = response.ok ? data : null;
+            this.error = response.ok ? null : data.error;
+        } catch (error) {
+            console.error('Failed to load forecast:', error);
+            this.error = 'Forecast unavailable';
+        }
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="context-verification-widget forecast-widget">
+                <div class="widget-header">
+                    <h3>🎲 Completion Forecast</h3>
+                    <div class="widget-controls">
+                        <select id="forecast-scope">
+                            ${['backlog', 'sprint', 'epic'].map(scope =>
+                                `<option value="${scope}" ${scope === this.scope ? 'selected' : ''}>${scope}</option>`).join('')}
+                        </select>
+                        <input type="text" id="forecast-id" placeholder="sprint id / epic label"
+                               value="${this.escapeHtml(this.id)}" ${this.scope === 'backlog' ? 'disabled' : ''}>
+                        <button class="btn btn-sm" id="forecast-run">Run</button>
+                    </div>
+                </div>
+                <div class="widget-body">${this.renderBody()}</div>
+            </div>
+        `;
+
+        document.getElementById('forecast-scope').addEventListener('change', (event) => {
+            this.scope = event.target.value;
+            this.render();
+        });
+        document.getElementById('forecast-run').addEventListener('click', () => {
+            this.id = document.getElementById('forecast-id').value.trim();
+            this.loadForecast();
+        });
+    }
+
+    renderBody() {
+        if (this.error) {
+            return `<div class="no-data">${this.escapeHtml(this.error)}</div>`;
+        }
+        if (!this.forecast) {
+            return '<div class="no-data">Loading forecast...</div>';
+        }
+        if (this.forecast.status === 'complete') {
+            return '<div class="no-data">✅ No remaining work in this scope</div>';
+        }
+        if (this.forecast.status !== 'ok') {
+            return `<div class="no-data">${this.escapeHtml(this.forecast.message || 'Not enough history to forecast')}</div>`;
+        }
+
+        const { percentiles, probability_on_target: probability, target_date: target } = this.forecast;
+        const summary = Object.entries(percentiles).map(([key, value]) => `
+            <div class="forecast-percentile">
+                <span class="status-label">${key.toUpperCase()}</span>
+                <span class="status-value">${value.date ? new Date(value.date).toLocaleString() : 'beyond horizon'}</span>
+            </div>`).join('');
+
+        const onTarget = probability !== null
+            ? `<div class="forecast-target">${Math.round(probability * 100)}% chance of finishing by ${new Date(target).toLocaleString()}</div>`
+            : '';
+
+        return `
+            ${this.renderChart()}
+            <div class="forecast-summary">${summary}</div>
+            ${onTarget}
+            <div class="forecast-meta">
+                ${this.forecast.remaining_points} points · ${this.forecast.trials} trials ·
+                ${this.forecast.inputs.sprints_sampled} past sprints sampled
+            </div>
+        `;
+    }
+
+    // Cumulative probability of completion over time, drawn as inline SVG
+    renderChart() {
+        const width = 480;
+        const height = 180;
+        const pad = 32;
+        const points = this.forecast.distribution.filter(point => point.hours !== null);
+        if (points.length < 2) return '';
+
+        const maxHours = points[points.length - 1].hours || 1;
+        const x = hours => pad + (hours / maxHours) * (width - 2 * pad);
+        const y = probability => height - pad - probability * (height - 2 * pad);
+
+        const path = points
+            .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.hours).toFixed(1)},${y(point.probability).toFixed(1)}`)
+            .join(' ');
+
+        const markers = Object.entries(this.forecast.percentiles)
+            .filter(([, value]) => value.hours !== null)
+            .map(([key, value]) => `
+                <line class="forecast-marker" x1="${x(value.hours)}" x2="${x(value.hours)}" y1="${y(0)}" y2="${y(value.probability)}"></line>
+                <circle class="forecast-point" cx="${x(value.hours)}" cy="${y(value.probability)}" r="3"></circle>
+                <text class="forecast-label" x="${x(value.hours)}" y="${y(value.probability) - 6}">${key.toUpperCase()}</text>`)
+            .join('');
+
+        return `
+            <svg class="forecast-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Completion probability over time">
+                <line class="forecast-axis" x1="${pad}" y1="${y(0)}" x2="${width - pad}" y2="${y(0)}"></line>
+                <line class="forecast-axis" x1="${pad}" y1="${y(0)}" x2="${pad}" y2="${y(1)}"></line>
+                <text class="forecast-label" x="4" y="${y(1) + 4}">100%</text>
+                <text class="forecast-label" x="${width - pad}" y="${height - 8}">${maxHours}h</text>
+                <path class="forecast-curve" d="${path}"></path>
+                ${markers}
+            </svg>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize widget when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    if (document.getElementById('forecast-container')) {
+        window.forecastWidget = new ForecastWidget('forecast-container');
+        window.forecastWidget.render();
+        window.forecastWidget.loadForecast();
+    }
+});
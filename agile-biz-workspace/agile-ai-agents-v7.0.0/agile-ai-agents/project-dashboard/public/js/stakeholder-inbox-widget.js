@@ -0,0 +1,112 @@
+/**
+ * Stakeholder Inbox Widget for AgileAiAgents Dashboard
+ *
+ * Shows prompts waiting in the stakeholder inbox and answers them
+ */
+
+class StakeholderInboxWidget {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.prompts = [];
+        this.subscribeToInbox();
+    }
+
+    async loadPrompts() {
+        try {
+            const response = await fetch('/api/stakeholder/prompts');
+            if (!response.ok) return;
+            const data = await response.json();
+            this.prompts = data.prompts || [];
+            this.render();
+        } catch (error) {
+            console.error('Failed to load stakeholder inbox:', error);
+        }
+    }
+
+    render() {
+        if (this.prompts.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const items = this.prompts.map(prompt => {
+            const answerControls = prompt.options
+                ? prompt.options.map(option => `
+                    <button class="btn btn-sm" data-prompt="${this.escapeHtml(prompt.id)}" data-answer="${this.escapeHtml(option)}">
+                        ${this.escapeHtml(option)}
+                    </button>`).join('')
+                : `<input type="text" class="inbox-answer" id="answer-${this.escapeHtml(prompt.id)}" placeholder="${this.escapeHtml(prompt.default_decision || '')}">
+                   <button class="btn btn-sm" data-prompt="${this.escapeHtml(prompt.id)}">Send</button>`;
+
+            return `
+                <div class="inbox-prompt">
+                    <pre class="inbox-question">${this.escapeHtml(prompt.question)}</pre>
+                    <div class="inbox-meta">
+                        Default: ${this.escapeHtml(prompt.default_decision || 'none')} ·
+                        expires ${new Date(prompt.expires_at).toLocaleTimeString()}
+                    </div>
+                    <div class="inbox-actions">${answerControls}</div>
+                </div>`;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="context-verification-widget">
+                <div class="widget-header">
+                    <h3>📥 Stakeholder Decisions (${this.prompts.length})</h3>
+                </div>
+                <div class="widget-body">${items}</div>
+            </div>
+        `;
+
+        this.container.querySelectorAll('button[data-prompt]').forEach(button => {
+            button.addEventListener('click', () => {
+                const id = button.dataset.prompt;
+                const input = document.getElementById(`answer-${id}`);
+                this.answer(id, button.dataset.answer || (input && input.value));
+            });
+        });
+    }
+
+    async answer(id, answer) {
+        if (!answer) return;
+        try {
+            const response = await fetch(`/api/stakeholder/prompts/${encodeURIComponent(id)}/answer`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ answer })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                alert(data.error || 'Could not send answer');
+            }
+        } catch (error) {
+            console.error('Failed to answer stakeholder prompt:', error);
+        }
+        this.loadPrompts();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    subscribeToInbox() {
+        // New and answered prompts arrive on the alerts channel
+        if (window.dashboardStream) {
+            window.dashboardStream.on('alerts', (event) => {
+                if (event.type === 'resync' || /^stakeholder_decision/.test(event.type)) {
+                    this.loadPrompts();
+                }
+            });
+        }
+    }
+}
+
+// Initialize widget when DOM is ready
+document.addEventListener('DOMContentLoaded', function() {
+    if (document.getElementById('stakeholder-inbox-container')) {
+        window.stakeholderInbox = new StakeholderInboxWidget('stakeholder-inbox-container');
+        window.stakeholderInbox.loadPrompts();
+    }
+});
@@ -7,7 +7,7 @@
 class WorkflowProgressWidget {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
-        this.updateInterval = null;
+        this.unsubscribe = null;
         this.currentWorkflow = null;
     }
 
@@ -66,10 +66,10 @@ class WorkflowProgressWidget {
         // Initial update
         this.updateWorkflowStatus();
         
-        // Set up periodic updates
-        this.updateInterval = setInterval(() => {
-            this.updateWorkflowStatus();
-        }, 5000); // Update every 5 seconds
+        // Refresh when runtime state or progress changes on the dashboard stream
+        if (window.dashboardStream) {
+            this.unsubscribe = window.dashboardStream.on('progress', () => this.updateWorkflowStatus());
+        }
     }
 
     async updateWorkflowStatus() {
@@ -322,9 +322,9 @@ class WorkflowProgressWidget {
     }
 
     destroy() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
         }
     }
 }
@@ -10,13 +10,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const basicAuth = require('express-basic-auth');
 const { body, validationResult } = require('express-validator');
 const HealthMonitor = require('./health-monitor');
 const { AgileError, ErrorCodes } = require('./error-codes');
 const { initializeErrorHandler, asyncHandler, createError } = require('./error-handler');
 const { initializeLogger, logError, logAgentActivity, logSecurityEvent } = require('./logger');
 const LogViewer = require('./log-viewer');
+const { authManager } = require('./auth-manager');
+const { eventStream } = require('./event-stream');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const app = express();
@@ -92,36 +93,6 @@ const strictLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
-// Basic Authentication (optional)
-if (process.env.DASHBOARD_AUTH_ENABLED === 'true') {
-  const users = {};
-  users[process.env.DASHBOARD_USERNAME || 'admin'] = process.env.DASHBOARD_PASSWORD || 'changeme';
-  
-  app.use(basicAuth({
-    users: users,
-    challenge: true,
-    realm: 'AgileAiAgents Dashboard',
-    authorizer: (username, password, cb) => {
-      const userMatches = users[username] && users[username] === password;
-      if (userMatches) {
-        logger.info('Authentication successful', { username });
-        logSecurityEvent('Authentication success', 'info', { username });
-      } else {
-        logger.warn('Authentication failed', { username });
-        logSecurityEvent('Authentication failure', 'warn', { username });
-      }
-      return cb(null, userMatches);
-    },
-    unauthorizedResponse: (req) => {
-      logSecurityEvent('Unauthorized access attempt', 'warn', { 
-        ip: req.ip, 
-        url: req.url 
-      });
-      return 'Authentication required for AgileAiAgents Dashboard';
-    }
-  }));
-}
-
 // CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -147,6 +118,13 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Add logger middleware
 app.use(logger.expressMiddleware());
 
+// Authentication: sessions, roles and audit for every /api route
+app.use('/api/auth/login', strictLimiter);
+app.use('/api', authManager.middleware());
+app.use('/api/auth', authManager.createRouter());
+app.use('/api/stream', eventStream.createRouter());
+app.use('/api/stakeholder', require('./api/stakeholder'));
+
 // Input validation middleware
 const validatePath = [
   body('path').trim().escape(),
@@ -380,6 +358,7 @@ function setupFileWatcher() {
       if (relativePath === path.join('00-orchestration', 'project-progress.json')) {
         await loadProjectProgress();
         io.emit('progress-update', projectProgress);
+        eventStream.publish('progress', 'progress-update', projectProgress);
         console.log('📊 Progress updated:', projectProgress);
         logger.info('Project progress updated', projectProgress);
       }
@@ -614,7 +593,7 @@ app.get('/api/status', async (req, res) => {
       uptime: process.uptime(),
       timestamp: new Date().toISOString(),
       security: {
-        authEnabled: process.env.DASHBOARD_AUTH_ENABLED === 'true',
+        authEnabled: authManager.isEnforced(),
         rateLimiting: true,
         helmet: true,
         cors: true
@@ -702,13 +681,7 @@ async function watchProgressFile() {
 }
 
 // Socket.IO connection handling with authentication
-io.use((socket, next) => {
-  if (process.env.DASHBOARD_AUTH_ENABLED === 'true') {
-    const auth = socket.handshake.auth;
-    // Add socket authentication logic here if needed
-  }
-  next();
-});
+io.use(authManager.socketMiddleware());
 
 io.on('connection', (socket) => {
   console.log('🔌 Dashboard client connected');
@@ -959,9 +932,14 @@ async function startServer() {
       throw new AgileError('CFG_002', { port: PORT });
     }
 
+    if (authManager.enabled) {
+      authManager.bootstrapAdmin();
+    }
+
     await initializeProjectStructure();
     setupFileWatcher();
     await watchProgressFile();
+    eventStream.start();
     
     // Initialize health monitor
     healthMonitor = new HealthMonitor(io, PROJECT_DOCS_PATH);
@@ -971,7 +949,7 @@ async function startServer() {
       console.log(`📊 Dashboard URL: http://localhost:${PORT}`);
       console.log(`📁 Monitoring: ${PROJECT_DOCS_PATH}`);
       console.log(`⚡ Real-time updates: Active`);
-      console.log(`🔒 Security: ${process.env.DASHBOARD_AUTH_ENABLED === 'true' ? 'Authentication Enabled' : 'Authentication Disabled'}`);
+      console.log(`🔒 Security: ${authManager.isEnforced() ? 'Authentication Enabled' : 'Authentication Disabled'}`);
       console.log('');
       console.log('🎯 Features:');
       console.log('   ✅ Live document monitoring');
@@ -982,8 +960,8 @@ async function startServer() {
       console.log('   ✅ Security headers');
       console.log('   ✅ Health monitoring system');
       console.log('   ✅ Comprehensive logging system');
-      if (process.env.DASHBOARD_AUTH_ENABLED === 'true') {
-        console.log('   ✅ Basic authentication');
+      if (authManager.isEnforced()) {
+        console.log('   ✅ Login sessions with viewer/contributor/admin roles');
       }
       console.log('');
       console.log(`📖 Open http://localhost:${PORT} to view dashboard`);
@@ -994,7 +972,7 @@ async function startServer() {
       logger.info('Dashboard started successfully', {
         port: PORT,
         environment: process.env.NODE_ENV,
-        authEnabled: process.env.DASHBOARD_AUTH_ENABLED === 'true',
+        authEnabled: authManager.isEnforced(),
         projectPath: PROJECT_DOCS_PATH,
         nodeVersion: process.version,
         platform: process.platform
@@ -1045,6 +1023,7 @@ process.on('SIGINT', () => {
     watcher.close();
     global.fileWatcherActive = false;
   }
+  eventStream.stop();
   server.close(() => {
     console.log('✅ Dashboard stopped');
     process.exit(0);
@@ -1060,6 +1039,7 @@ process.on('SIGTERM', () => {
     watcher.close();
     global.fileWatcherActive = false;
   }
+  eventStream.stop();
   server.close(() => {
     console.log('✅ Dashboard stopped');
     process.exit(0);
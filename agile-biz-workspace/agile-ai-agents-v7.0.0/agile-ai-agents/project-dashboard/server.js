@@ -11,6 +11,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const VelocityProfileSelector = require('../machine-data/profile-selector');
+const { initializeLogger } = require('./logger');
+const { authManager, requireRole } = require('./auth-manager');
+const { eventStream } = require('./event-stream');
+const { optimisticConcurrency } = require('./optimistic-concurrency');
 
 const app = express();
 const profileSelector = new VelocityProfileSelector();
@@ -29,6 +33,12 @@ const MCP_PATH = path.join(__dirname, '..', 'aaa-mcps');
 const AGENTS_PATH = path.join(__dirname, '..', 'ai-agents');
 const SYSTEM_DOCS_PATH = path.join(__dirname, '..', 'aaa-documents');
 
+// Logger backs the security and audit trails written by auth-manager
+initializeLogger({
+  logDir: path.join(__dirname, '..', 'logs'),
+  appName: 'AgileAiAgents-Dashboard'
+});
+
 // Load project configuration
 let projectConfig = {
   projectName: "My AgileAI Project",
@@ -70,13 +80,26 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Authentication: sessions, roles and audit for every /api route
+app.use('/api', authManager.middleware());
+app.use('/api/auth', authManager.createRouter());
+app.use('/api/stream', eventStream.createRouter());
+
 // API routes
 const hooksAPI = require('./api/hooks');
 const projectStateAPI = require('./api/project-state');
 const contextVerificationAPI = require('./api/context-verification');
+const stakeholderAPI = require('./api/stakeholder');
+const forecastAPI = require('./api/forecast');
+const dependencyGraphAPI = require('./api/dependency-graph');
+const flowMetricsAPI = require('./api/flow-metrics');
 app.use('/api/hooks', hooksAPI);
 app.use('/api/project-state', projectStateAPI);
 app.use('/api/context-verification', contextVerificationAPI);
+app.use('/api/stakeholder', stakeholderAPI);
+app.use('/api/forecast', forecastAPI);
+app.use('/api/dependency-graph', dependencyGraphAPI);
+app.use('/api/flow-metrics', flowMetricsAPI);
 
 // Configure marked for markdown rendering
 marked.use(gfmHeadingId());
@@ -213,6 +236,7 @@ function setupFileWatcher() {
       if (relativePath === path.join('orchestration', 'persistent.json')) {
         await loadProjectProgress();
         io.emit('progress-update', projectProgress);
+        eventStream.publish('progress', 'progress-update', projectProgress);
         console.log('📊 Progress updated:', projectProgress);
       }
       
@@ -220,6 +244,7 @@ function setupFileWatcher() {
       if (relativePath.includes(path.join('orchestration', 'product-backlog'))) {
         await loadBacklogMetrics();
         io.emit('backlog-update', backlogMetrics);
+        eventStream.publish('progress', 'backlog-update', backlogMetrics);
         console.log('📋 Backlog metrics updated:', backlogMetrics);
       }
       
@@ -431,26 +456,41 @@ app.get('/api/guide-document', async (req, res) => {
   }
 });
 
-// Project configuration endpoints
+// Project configuration endpoints (ETag on GET, If-Match required on POST)
 app.get('/api/project-config', async (req, res) => {
-  res.json(projectConfig);
+  try {
+    projectConfig = optimisticConcurrency.sendJson(res, PROJECT_CONFIG_PATH, { fallback: projectConfig }).value;
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load project configuration' });
+  }
 });
 
-app.post('/api/project-config', async (req, res) => {
+app.post('/api/project-config', requireRole('admin'), async (req, res) => {
   try {
     const { projectName, projectDescription } = req.body;
     if (projectName) {
-      projectConfig.projectName = projectName;
-      projectConfig.projectDescription = projectDescription || projectConfig.projectDescription;
-      projectConfig.lastUpdated = new Date().toISOString();
-      
-      await fs.writeJSON(PROJECT_CONFIG_PATH, projectConfig, { spaces: 2 });
-      console.log(`📋 Project config updated: ${projectConfig.projectName}`);
-      
-      // Notify all connected clients
-      io.emit('project-config-update', projectConfig);
-      
-      res.json({ success: true, config: projectConfig });
+      await optimisticConcurrency.update(req, res, {
+        resource: 'project-config.json',
+        filePath: PROJECT_CONFIG_PATH,
+        fallback: projectConfig,
+        volatile: ['lastUpdated'],
+        propose: config => ({
+          ...config,
+          projectName,
+          projectDescription: projectDescription || config.projectDescription,
+          lastUpdated: new Date().toISOString()
+        }),
+        commit: async updated => {
+          optimisticConcurrency.write(PROJECT_CONFIG_PATH, updated);
+          projectConfig = updated;
+          console.log(`📋 Project config updated: ${projectConfig.projectName}`);
+          
+          // Notify all connected clients
+          io.emit('project-config-update', projectConfig);
+          
+          return { success: true, config: projectConfig };
+        }
+      });
     } else {
       res.status(400).json({ error: 'Project name is required' });
     }
@@ -502,7 +542,7 @@ app.get('/api/velocity-profiles', async (req, res) => {
 });
 
 // API endpoint to apply velocity profile
-app.post('/api/apply-velocity-profile', async (req, res) => {
+app.post('/api/apply-velocity-profile', requireRole('contributor'), async (req, res) => {
   try {
     const { profileId } = req.body;
     const velocityPath = path.join(PROJECT_DOCS_PATH, 'orchestration', 'product-backlog', 'persistent.json');
@@ -714,6 +754,8 @@ async function watchBacklogFiles() {
 }
 
 // Socket.IO connection handling
+io.use(authManager.socketMiddleware());
+
 io.on('connection', (socket) => {
   console.log('🔌 Dashboard client connected');
   
@@ -959,10 +1001,14 @@ app.use((req, res) => {
 async function startServer() {
   try {
     await loadProjectConfig();
+    if (authManager.enabled) {
+      authManager.bootstrapAdmin();
+    }
     await initializeProjectStructure();
     setupFileWatcher();
     await watchProgressFile();
     await watchBacklogFiles();
+    eventStream.start();
     
     server.listen(PORT, () => {
       console.log('🚀 AI Agent Project Dashboard Started!');
@@ -975,6 +1021,7 @@ async function startServer() {
       console.log('   ✅ Agent activity tracking');
       console.log('   ✅ Real-time progress updates');
       console.log('   ✅ Stakeholder decision alerts');
+      console.log(`   ${authManager.isEnforced() ? '✅ Login required (viewer/contributor/admin)' : '⚠️  Authentication disabled'}`);
       console.log('');
       console.log(`📖 Open http://localhost:${PORT} to view dashboard`);
     });
@@ -990,6 +1037,7 @@ process.on('SIGINT', () => {
   if (watcher) {
     watcher.close();
   }
+  eventStream.stop();
   server.close(() => {
     console.log('✅ Dashboard stopped');
     process.exit(0);
@@ -1001,6 +1049,7 @@ process.on('SIGTERM', () => {
   if (watcher) {
     watcher.close();
   }
+  eventStream.stop();
   server.close(() => {
     console.log('✅ Dashboard stopped');
     process.exit(0);
@@ -14,6 +14,8 @@ const HookConfiguration = () => {
   const [performance, setPerformance] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saveStatus, setSaveStatus] = useState(null);
+  const [etag, setEtag] = useState(null);
+  const [conflict, setConflict] = useState(null);
 
   useEffect(() => {
     loadConfiguration();
@@ -26,6 +28,8 @@ const HookConfiguration = () => {
       const response = await fetch('/api/hooks/config');
       const data = await response.json();
       setConfig(data);
+      setEtag(response.headers.get('ETag'));
+      setConflict(null);
     } catch (error) {
       console.error('Failed to load hook configuration:', error);
     }
@@ -53,19 +57,25 @@ const HookConfiguration = () => {
     }
   };
 
-  const updateConfig = async (updates) => {
+  // Writes carry the ETag of the config we last saw; a 412 means someone else saved first
+  const updateConfig = async (updates, ifMatch = etag) => {
     try {
       const response = await fetch('/api/hooks/config', {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'If-Match': ifMatch || '' },
         body: JSON.stringify(updates)
       });
       
       if (response.ok) {
         const updatedConfig = await response.json();
         setConfig(updatedConfig);
+        setEtag(response.headers.get('ETag'));
+        setConflict(null);
         setSaveStatus('success');
         setTimeout(() => setSaveStatus(null), 3000);
+      } else if (response.status === 412) {
+        setConflict({ ...(await response.json()), updates });
+        setSaveStatus('conflict');
       } else {
         setSaveStatus('error');
       }
@@ -75,6 +85,20 @@ const HookConfiguration = () => {
     }
   };
 
+  const resolveConflict = (resolution) => {
+    const { etag: serverEtag, current, diff, updates } = conflict;
+    if (resolution === 'server') {
+      setConfig(current);
+      setEtag(serverEtag);
+      setConflict(null);
+      setSaveStatus(null);
+    } else {
+      updateConfig(resolution === 'merged' ? diff.merged : updates, serverEtag);
+    }
+  };
+
+  const formatValue = (value) => (value === null ? '(none)' : JSON.stringify(value));
+
   const toggleHook = (hookName, enabled) => {
     const updatedHooks = { ...config.hooks, [hookName]: { ...config.hooks[hookName], enabled } };
     updateConfig({ hooks: updatedHooks });
@@ -112,6 +136,11 @@ const HookConfiguration = () => {
                   <CheckCircle className="h-4 w-4 text-green-500" />
                   Configuration saved successfully
                 </span>
+              ) : saveStatus === 'conflict' ? (
+                <span className="flex items-center gap-2">
+                  <AlertTriangle className="h-4 w-4 text-yellow-500" />
+                  Configuration changed on the server
+                </span>
               ) : (
                 <span className="flex items-center gap-2">
                   <AlertTriangle className="h-4 w-4 text-red-500" />
@@ -123,6 +152,44 @@ const HookConfiguration = () => {
         )}
       </div>
 
+      {conflict && (
+        <Card className="border-yellow-500">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <AlertTriangle className="h-5 w-5 text-yellow-500" />
+              Someone else saved the configuration
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-sm text-gray-600">{conflict.message}</p>
+            {conflict.diff.conflicts.length > 0 ? (
+              <div className="space-y-2">
+                {conflict.diff.conflicts.map(item => (
+                  <div key={item.path} className="grid grid-cols-3 gap-2 text-sm font-mono">
+                    <span className="font-semibold">{item.path}</span>
+                    <span>Server: {formatValue(item.server)}</span>
+                    <span>Yours: {formatValue(item.yours)}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm">
+                The changes do not overlap ({conflict.diff.server_changes.length} on the server,{' '}
+                {conflict.diff.your_changes.length} yours) and can be merged automatically.
+              </p>
+            )}
+            <pre className="text-xs bg-gray-50 p-2 overflow-auto max-h-64">{conflict.diff.unified}</pre>
+            <div className="flex gap-2">
+              {conflict.diff.base_known && (
+                <Button onClick={() => resolveConflict('merged')}>Apply merged</Button>
+              )}
+              <Button variant="outline" onClick={() => resolveConflict('server')}>Keep server version</Button>
+              <Button variant="outline" onClick={() => resolveConflict('mine')}>Overwrite with mine</Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       <Tabs defaultValue="general" className="space-y-4">
         <TabsList>
           <TabsTrigger value="general">General Settings</TabsTrigger>
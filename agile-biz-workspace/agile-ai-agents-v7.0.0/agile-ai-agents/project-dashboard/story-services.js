@@ -0,0 +1,31 @@
+const { StoryTracker } = require('../machine-data/story-tracker');
+const { DependencyGraph } = require('../machine-data/dependency-graph');
+const { FlowMetrics } = require('../machine-data/flow-metrics');
+const { MonteCarloForecaster } = require('../machine-data/monte-carlo-forecaster');
+const { AIVelocityTracker } = require('../machine-data/velocity-tracker');
+const { BurndownGenerator } = require('../machine-data/burndown-generator');
+
+/**
+ * Story Services for dashboard read routes
+ * Agents append to the story event log and update velocity history and WIP limits
+ * outside this process, so each request builds its services from disk instead of
+ * reusing instances loaded at startup.
+ */
+const storyServices = {
+  dependencyGraph() {
+    return new DependencyGraph({ storyTracker: new StoryTracker() });
+  },
+
+  flowMetrics() {
+    return new FlowMetrics({ storyTracker: new StoryTracker() });
+  },
+
+  forecaster() {
+    return new MonteCarloForecaster({
+      velocityTracker: new AIVelocityTracker(),
+      burndownGenerator: new BurndownGenerator()
+    });
+  }
+};
+
+module.exports = { storyServices };
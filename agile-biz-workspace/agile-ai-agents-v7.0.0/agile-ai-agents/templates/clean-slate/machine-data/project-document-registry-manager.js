@@ -8,6 +8,8 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { countDocumentTokens, getTokenizer, tokenCache } = require('./tokenizer');
+const { lockService } = require('./lock-service');
 
 class ProjectDocumentRegistryManager {
   constructor(projectRoot = path.join(__dirname, '..')) {
@@ -15,9 +17,8 @@ class ProjectDocumentRegistryManager {
     this.registryPath = path.join(projectRoot, 'machine-data', 'project-document-registry.json');
     this.queueDir = path.join(projectRoot, 'machine-data', 'registry-queue');
     this.queueFile = path.join(this.queueDir, 'pending-updates.jsonl');
-    this.lockFile = path.join(this.queueDir, '.lock');
     this.registry = null;
-    this.lockTimeout = 5000; // 5 seconds
+    this.lock = null;
     this.maxSummaryWords = 25;
   }
 
@@ -77,52 +78,20 @@ class ProjectDocumentRegistryManager {
   }
 
   /**
-   * Acquire lock for registry updates
+   * Acquire the shared registry write lock (see lock-service.js)
    */
   async acquireLock(retries = 10) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        // Try to create lock file (fails if exists)
-        const lockData = {
-          pid: process.pid,
-          timestamp: Date.now(),
-          expires: Date.now() + this.lockTimeout
-        };
-        await fs.writeFile(this.lockFile, JSON.stringify(lockData), { flag: 'wx' });
-        return true;
-      } catch (error) {
-        // Lock exists, check if expired
-        try {
-          const lockContent = await fs.readFile(this.lockFile, 'utf8');
-          const lockData = JSON.parse(lockContent);
-          
-          if (Date.now() > lockData.expires) {
-            // Lock expired, remove and retry
-            await fs.unlink(this.lockFile);
-            continue;
-          }
-        } catch {
-          // Error reading lock, remove and retry
-          try {
-            await fs.unlink(this.lockFile);
-          } catch {}
-        }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
-    throw new Error('Failed to acquire lock after ' + retries + ' attempts');
+    this.lock = await lockService.acquire(this.registryPath, { timeout: retries * 500 });
+    return true;
   }
 
   /**
    * Release the lock
    */
   async releaseLock() {
-    try {
-      await fs.unlink(this.lockFile);
-    } catch {
-      // Lock already released
+    if (this.lock) {
+      this.lock.release();
+      this.lock = null;
     }
   }
 
@@ -135,7 +104,8 @@ class ProjectDocumentRegistryManager {
       timestamp: new Date().toISOString()
     }) + '\n';
     
-    await fs.appendFile(this.queueFile, entry);
+    // Append under the lock so processQueue cannot clear the queue between read and write
+    await lockService.withLock(this.registryPath, () => fs.appendFile(this.queueFile, entry));
     
     // Process queue immediately
     await this.processQueue();
@@ -180,12 +150,14 @@ class ProjectDocumentRegistryManager {
       // Increment version
       this.registry.version++;
       this.registry.last_updated = new Date().toISOString();
+      this.registry.tokenizer = getTokenizer().name;
       
       // Update document count
       this.registry.document_count = this.countDocuments();
       
-      // Save registry
+      // Save registry and the token counts learned while applying updates
       await this.saveRegistry();
+      tokenCache.save();
       
       // Clear queue
       await fs.writeFile(this.queueFile, '');
@@ -235,11 +207,11 @@ class ProjectDocumentRegistryManager {
     const subPath = pathParts.slice(1).join('/');
     const docName = this.normalizeDocName(path.basename(docPath, '.md'));
     
-    // Count tokens (rough estimate: 1 token ≈ 4 characters)
+    // Count tokens (cached by content hash)
     let mdTokens = 0;
     try {
       const content = await fs.readFile(path.join(this.projectRoot, docPath), 'utf8');
-      mdTokens = Math.ceil(content.length / 4);
+      mdTokens = countDocumentTokens(content);
     } catch {
       mdTokens = 0;
     }
@@ -293,7 +265,7 @@ class ProjectDocumentRegistryManager {
       let jsonTokens = 0;
       try {
         const content = await fs.readFile(path.join(this.projectRoot, json_path), 'utf8');
-        jsonTokens = Math.ceil(content.length / 4);
+        jsonTokens = countDocumentTokens(content);
       } catch {
         jsonTokens = 0;
       }
@@ -339,7 +311,7 @@ class ProjectDocumentRegistryManager {
       // Re-count tokens
       try {
         const content = await fs.readFile(path.join(this.projectRoot, update.path), 'utf8');
-        const tokens = Math.ceil(content.length / 4);
+        const tokens = countDocumentTokens(content);
         
         if (update.path.endsWith('.md')) {
           result.doc.tokens.md = tokens;
@@ -0,0 +1,142 @@
+/**
+ * Integration tests for the cross-process lock service
+ * Several Node processes write the same project-state files at once.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const { LockService, LockError, LockTimeoutError } = require('../../machine-data/lock-service');
+const { StateHistory } = require('../../machine-data/state-history');
+
+const WORKER = path.join(__dirname, '..', 'test-utils', 'lock-stress-worker.js');
+
+function runWorkers(mode, projectRoot, lockDir, workers, iterations) {
+  return Promise.all(Array.from({ length: workers }, (_, index) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [WORKER, mode, projectRoot, String(iterations), `w${index}`], {
+      env: { ...process.env, AAA_LOCK_DIR: lockDir },
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`worker ${index} exited ${code}: ${stderr}`))));
+  })));
+}
+
+describe('Lock service', () => {
+  let projectRoot;
+  let lockDir;
+  let service;
+
+  const statePath = file => path.join(projectRoot, 'project-state', file);
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-service-'));
+    lockDir = path.join(projectRoot, 'locks');
+    fs.mkdirSync(path.join(projectRoot, 'project-state'), { recursive: true });
+    service = new LockService({ lockDir });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('shares read locks, queues writers and times out with the holder', async () => {
+    const file = statePath('runtime.json');
+    const first = await service.acquire(file, { mode: 'read' });
+    const second = await service.acquire(file, { mode: 'read' });
+    expect(service.status()[0].readers).toHaveLength(2);
+
+    const error = await service.acquire(file, { timeout: 50, owner: 'dashboard' }).catch(caught => caught);
+    expect(error).toBeInstanceOf(LockTimeoutError);
+    expect(error.holder).toEqual(expect.objectContaining({ pid: process.pid, mode: 'read' }));
+    expect(service.status()[0].waiting).toEqual([]);
+
+    // A queued writer holds back new readers until it has had its turn
+    const order = [];
+    const writer = service.acquire(file, { timeout: 2000 }).then(lock => { order.push('write'); return lock; });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const reader = service.acquire(file, { mode: 'read', timeout: 2000 }).then(lock => { order.push('read'); return lock; });
+    first.release();
+    second.release();
+    (await writer).release();
+    (await reader).release();
+    expect(order).toEqual(['write', 'read']);
+    expect(service.status()).toEqual([]);
+
+    // Sync acquisition nests inside a hold, but a read hold cannot be upgraded
+    service.withLockSync(file, () => service.withLockSync(file, () => service.withLockSync(file, () => {}, { mode: 'read' })));
+    expect(() => service.withLockSync(file, () => service.acquireSync(file), { mode: 'read' })).toThrow(LockError);
+    expect(service.status()).toEqual([]);
+  });
+
+  test('nests only within the call chain that holds the lock', async () => {
+    const file = statePath('configuration.json');
+    const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // The holder's own awaited calls re-enter instead of waiting on themselves
+    await service.withLock(file, async () => {
+      await pause(5);
+      await service.withLock(file, async () => {
+        await pause(5);
+        service.writeFileSync(file, JSON.stringify({ nested: true }));
+      }, { timeout: 500 });
+    });
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ nested: true });
+    expect(service.status()).toEqual([]);
+
+    // Unrelated writers in the same process do not slip in mid-update
+    let finish;
+    const holder = service.withLock(file, () => new Promise(resolve => { finish = resolve; }));
+    await pause(10);
+    expect(() => service.writeFileSync(file, JSON.stringify({ unrelated: true }))).toThrow(LockError);
+    const queued = service.withLock(file, async () => service.writeFileSync(file, JSON.stringify({ queued: true })), { timeout: 2000 });
+    await pause(10);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ nested: true });
+
+    finish();
+    await holder;
+    await queued;
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ queued: true });
+    expect(service.status()).toEqual([]);
+  });
+
+  test('drops locks held by a process that died', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = spawnSync(process.execPath, [WORKER, 'crash', projectRoot, '1', 'crash'], {
+      env: { ...process.env, AAA_LOCK_DIR: lockDir }
+    });
+    expect(result.signal).toBe('SIGKILL');
+    expect(service.status()).toEqual([expect.objectContaining({ stale: true, writer: expect.objectContaining({ pid: result.pid }) })]);
+
+    const started = Date.now();
+    service.withLockSync(statePath('runtime.json'), () => {}, { timeout: 2000 });
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`pid ${result.pid}`));
+  });
+
+  test('loses no updates when several processes write the same files', async () => {
+    await runWorkers('counter', projectRoot, lockDir, 4, 25);
+    const counter = JSON.parse(fs.readFileSync(statePath('counter.json'), 'utf8'));
+    expect(counter.count).toBe(100);
+    expect(new Set(counter.writers).size).toBe(100);
+
+    await runWorkers('decisions', projectRoot, lockDir, 3, 10);
+    const persistent = JSON.parse(fs.readFileSync(statePath('persistent.json'), 'utf8'));
+    expect(persistent.decisions).toHaveLength(30);
+    expect(persistent.metrics.total_decisions).toBe(30);
+
+    // History stays one linear chain ending at the saved file (saves that land
+    // between another writer's save and its commit share that commit)
+    const history = new StateHistory(projectRoot);
+    const log = history.log({ limit: 100 });
+    expect(log.length).toBeGreaterThan(1);
+    log.slice(0, -1).forEach((entry, index) => expect(entry.parents).toEqual([log[index + 1].id]));
+    expect(history.filesAt('HEAD')['persistent.json']).toBe(fs.readFileSync(statePath('persistent.json'), 'utf8'));
+    expect(service.status()).toEqual([]);
+  }, 60000);
+});
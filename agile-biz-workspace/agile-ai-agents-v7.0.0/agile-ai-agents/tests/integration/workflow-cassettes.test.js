@@ -0,0 +1,134 @@
+/**
+ * Integration tests for workflow cassettes
+ *
+ * Records a whole workflow (state transitions, a stakeholder answer and a model call)
+ * and replays it offline against the recorded interactions.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  recordCassette,
+  replayCassette,
+  assertReplayMatches,
+  loadCassette,
+  saveCassette,
+  CassetteMismatchError
+} = require('../../machine-data/workflow-cassette');
+const { ScriptedResponseChannel } = require('../../machine-data/stakeholder-response-channel');
+const { MockProvider } = require('../../machine-data/llm-providers');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Drives the same workflow in record and replay; only the answer source differs
+function workflow({ answers, respond }) {
+  return async session => {
+    await session.step('new-project', []);
+    await session.step('complete-phase', ['Discovery complete']);
+
+    const channel = new ScriptedResponseChannel(PROJECT_ROOT, { script: { answers } });
+    const entry = await channel.ask({ key: 'target_users', question: 'Who are the target users?', timeout_ms: 1000 });
+
+    const provider = new MockProvider({ respond });
+    const response = await provider.complete({
+      model: 'mock-model',
+      messages: [{ role: 'user', content: `Draft a vision statement for ${entry.raw_answer}` }]
+    });
+
+    const state = await session.step('complete-phase', ['Vision drafted']);
+    return { answer: entry.raw_answer, vision: response.content, phase: state && state.current_phase };
+  };
+}
+
+function diskState() {
+  const dir = path.join(PROJECT_ROOT, 'project-state', 'workflow-states');
+  return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : null;
+}
+
+describe('Workflow cassettes', () => {
+  let cassetteDir;
+  let cassettePath;
+
+  beforeEach(() => {
+    cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-cassette-'));
+    cassettePath = path.join(cassetteDir, 'new-project.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+  });
+
+  test('replays a recorded workflow offline with identical transitions and documents', async () => {
+    const before = diskState();
+    const emit = EventEmitter.prototype.emit;
+    let emitDuringRecord = null;
+    const run = workflow({
+      answers: { target_users: 'small agencies' },
+      respond: request => `Vision: ${request.messages[0].content}`
+    });
+    const { result, cassette } = await recordCassette(cassettePath, session => {
+      emitDuringRecord = EventEmitter.prototype.emit;
+      return run(session);
+    });
+
+    // Hook events are observed on HookManager alone, not on every emitter in the process
+    expect(emitDuringRecord).toBe(emit);
+
+    expect(result.answer).toBe('small agencies');
+    expect(cassette.interactions.map(i => i.kind)).toEqual(['stakeholder_answer', 'model_call']);
+    expect(cassette.transitions.filter(t => t.kind === 'step').map(t => t.workflow))
+      .toEqual(['new-project', 'complete-phase', 'complete-phase']);
+    expect(cassette.transitions.filter(t => t.kind === 'state').map(t => t.phase)).toContain('research');
+    expect(Object.keys(cassette.documents)).toEqual(expect.arrayContaining([
+      'project-state/workflow-states/current-workflow.json',
+      'project-state/stakeholder-responses.jsonl'
+    ]));
+    expect(JSON.stringify(cassette)).not.toContain(PROJECT_ROOT);
+
+    // Nothing scripted and a provider that must not be reached: everything comes from the cassette
+    const { result: replayed, report } = await assertReplayMatches(cassettePath, workflow({
+      answers: {},
+      respond: () => { throw new Error('model called during replay'); }
+    }));
+    expect(report.matched).toBe(true);
+    expect(report.interactions).toBe(2);
+    expect(replayed).toEqual(result);
+
+    expect(diskState()).toEqual(before);
+  });
+
+  test('replays the recorded steps when no function is given', async () => {
+    await recordCassette(cassettePath, async session => {
+      await session.step('new-project', []);
+      return session.step('complete-phase', ['Discovery complete']);
+    });
+
+    const { result, report } = await assertReplayMatches(cassettePath);
+    expect(report.transitions).toBeGreaterThan(2);
+    expect(result).toHaveLength(2);
+    expect(result[1].current_phase).toBe('research');
+  });
+
+  test('reports diverging documents and interactions', async () => {
+    await recordCassette(cassettePath, workflow({ answers: { target_users: 'agencies' }, respond: () => 'Vision' }));
+
+    const tampered = loadCassette(cassettePath);
+    const current = 'project-state/workflow-states/current-workflow.json';
+    tampered.documents[current] = tampered.documents[current].replace('"research"', '"planning"');
+    saveCassette(cassettePath, tampered);
+
+    const { report } = await replayCassette(cassettePath, workflow({ answers: {}, respond: () => 'unused' }));
+    expect(report.matched).toBe(false);
+    expect(report.mismatches.find(m => m.kind === 'document').diff).toContain('+  "current_phase": "research"');
+
+    tampered.interactions[1].request.messages[0].content = 'Draft something else';
+    saveCassette(cassettePath, tampered);
+    await expect(replayCassette(cassettePath, workflow({ answers: {}, respond: () => 'unused' })))
+      .rejects.toBeInstanceOf(CassetteMismatchError);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Worker process for the lock service stress test
+ *
+ * node lock-stress-worker.js <mode> <projectRoot> <iterations> <workerId>
+ *   counter    - increment a shared JSON counter under the write lock
+ *   decisions  - record decisions through WorkflowStateHandler
+ *   crash      - take a write lock and die without releasing it
+ */
+
+const path = require('path');
+const { lockService } = require('../../machine-data/lock-service');
+const WorkflowStateHandler = require('../../hooks/handlers/workflow-state-handler');
+
+const [mode, projectRoot, iterations, workerId] = process.argv.slice(2);
+const count = Number(iterations);
+
+switch (mode) {
+  case 'counter': {
+    const file = path.join(projectRoot, 'project-state', 'counter.json');
+    for (let i = 0; i < count; i++) {
+      lockService.updateJsonSync(file, state => ({
+        count: state.count + 1,
+        writers: [...state.writers, `${workerId}-${i}`]
+      }), { count: 0, writers: [] }, { timeout: 30000 });
+    }
+    break;
+  }
+  case 'decisions': {
+    for (let i = 0; i < count; i++) {
+      new WorkflowStateHandler(projectRoot).saveDecision(`${workerId}-${i}`);
+    }
+    break;
+  }
+  case 'crash':
+    lockService.acquireSync(path.join(projectRoot, 'project-state', 'runtime.json'));
+    process.kill(process.pid, 'SIGKILL');
+    break;
+  default:
+    throw new Error(`Unknown mode: ${mode}`);
+}
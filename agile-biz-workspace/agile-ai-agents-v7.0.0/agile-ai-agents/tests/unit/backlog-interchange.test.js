@@ -0,0 +1,133 @@
+/**
+ * Unit tests for Jira, Linear and GitHub Issues backlog import/export
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StoryTracker } = require('../../machine-data/story-tracker');
+const { BacklogInterchange, parseCsv } = require('../../machine-data/backlog-interchange');
+
+const JIRA_CSV = [
+  'Issue key,Summary,Description,Status,Priority,Custom field (Story Points),Custom field (Epic Link),Labels,Labels',
+  'PAY-1,Card checkout,"Customers pay by card.',
+  '',
+  'h3. Acceptance Criteria',
+  '* Visa and Mastercard accepted',
+  '* Declines show a ""try again"" message",In Progress,High,5,PAY-0,payments,checkout',
+  'PAY-2,Refunds,,To Do,Medium,3,PAY-0,payments,',
+  'PAY-3,,Row without a summary,To Do,Low,1,,,'
+].join('\n');
+
+describe('Backlog interchange', () => {
+  let tempDir;
+  let tracker;
+  let interchange;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backlog-interchange-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tracker = new StoryTracker({ sprintTrackingPath: tempDir, flowSettings: { wip_limits: { per_status: {}, per_agent: {} } } });
+    interchange = new BacklogInterchange({ storyTracker: tracker });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('imports Jira CSV, updates on re-import and round-trips story IDs through an export', () => {
+    const first = interchange.importBacklog('jira-csv', JIRA_CSV, { sprintId: 'sprint_1' });
+    expect(first.created).toHaveLength(2);
+    expect(first.skipped).toEqual([{ index: 2, external_id: 'PAY-3', reason: 'No title' }]);
+
+    const checkout = tracker.findByExternalRef('jira', 'PAY-1').story;
+    expect(checkout).toEqual(expect.objectContaining({
+      title: 'Card checkout',
+      description: 'Customers pay by card.',
+      acceptance_criteria: ['Visa and Mastercard accepted', 'Declines show a "try again" message'],
+      status: 'in_progress',
+      priority: 'high',
+      story_points: 5,
+      epic_id: 'PAY-0',
+      labels: ['payments', 'checkout'],
+      sprint_id: 'sprint_1',
+      external_refs: { jira: 'PAY-1' }
+    }));
+
+    // Jira moved the story on and re-pointed it: update in place, no duplicate
+    const second = interchange.importBacklog('jira-csv', JIRA_CSV.replace('In Progress,High,5', 'Done,High,8'));
+    expect(second.created).toEqual([]);
+    expect(second.updated).toEqual([{ story_id: checkout.id, external_id: 'PAY-1', fields: ['story_points', 'status'] }]);
+    expect(tracker.getStory(checkout.id).story).toEqual(expect.objectContaining({ status: 'completed', story_points: 8 }));
+    expect(tracker.store.getStories()).toHaveLength(2);
+
+    // A story created here is exported with its ID, keyed by Jira on re-import
+    const local = tracker.createStory({ title: 'Saved cards', story_points: 2, labels: ['payments'] }).story.id;
+    const [header, ...rows] = parseCsv(interchange.exportBacklog('jira-csv'));
+    expect(header).toEqual(expect.arrayContaining(['Issue key', 'Custom field (Story ID)', 'Labels']));
+    expect(header.filter(column => column === 'Labels')).toHaveLength(2);
+    const exported = rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+    expect(exported.find(row => row['Issue key'] === 'PAY-1').Description)
+      .toBe('Customers pay by card.\n\nh3. Acceptance Criteria\n* Visa and Mastercard accepted\n* Declines show a "try again" message');
+
+    const keyed = interchange.exportBacklog('jira-csv').replace(`\n,${local},`, `\nPAY-9,${local},`);
+    const third = interchange.importBacklog('jira-csv', keyed);
+    expect(third.created).toEqual([]);
+    expect(third.updated).toEqual([{ story_id: local, external_id: 'PAY-9', fields: ['external_refs'] }]);
+    expect(third.unchanged).toHaveLength(2);
+    expect(tracker.getStory(local).story.external_refs).toEqual({ jira: 'PAY-9' });
+  });
+
+  test('round-trips GitHub issues and applies a custom mapping file to Linear CSV', () => {
+    const story = tracker.createStory({
+      title: 'Dark mode',
+      description: 'Follow the OS theme.',
+      acceptance_criteria: ['Toggle in settings'],
+      labels: ['ui'],
+      priority: 'high',
+      story_points: 3,
+      epic_id: 'Theming'
+    }).story;
+    tracker.updateStoryStatus(story.id, 'in_progress');
+
+    const issues = JSON.parse(interchange.exportBacklog('github-json'));
+    expect(issues).toEqual([{
+      title: 'Dark mode',
+      body: `Follow the OS theme.\n\n## Acceptance Criteria\n- [ ] Toggle in settings\n\n<!-- story-id: ${story.id} -->`,
+      state: 'OPEN',
+      milestone: { title: 'Theming' },
+      labels: [{ name: 'ui' }, { name: 'points:3' }, { name: 'priority:high' }]
+    }]);
+
+    // GitHub only knows OPEN/CLOSED, so an open issue leaves in_progress alone
+    issues[0].number = 17;
+    const result = interchange.importBacklog('github-json', JSON.stringify(issues));
+    expect(result.updated).toEqual([{ story_id: story.id, external_id: '17', fields: ['external_refs'] }]);
+    expect(tracker.getStory(story.id).story).toEqual(expect.objectContaining({
+      status: 'in_progress',
+      labels: ['ui'],
+      external_refs: { github: '17' }
+    }));
+    expect(JSON.parse(interchange.exportBacklog('github-json'))[0].number).toBe(17);
+
+    const mappingPath = path.join(tempDir, 'acme-mappings.json');
+    fs.writeFileSync(mappingPath, JSON.stringify({
+      formats: {
+        'linear-csv': { status: { Queued: 'not_started', Building: 'in_progress', Shipped: 'completed' } },
+        'acme-linear': { extends: 'linear-csv', fields: { epic_id: 'Cycle' } }
+      }
+    }));
+    const csv = 'ID,Title,Description,Status,Estimate,Priority,Labels,Cycle\nENG-4,Audit log,,Building,2,Urgent,"backend, security",Cycle 7\n';
+    interchange.importBacklog('acme-linear', csv, { mappingPath });
+    expect(tracker.findByExternalRef('linear', 'ENG-4').story).toEqual(expect.objectContaining({
+      status: 'in_progress',
+      priority: 'critical',
+      story_points: 2,
+      labels: ['backend', 'security'],
+      epic_id: 'Cycle 7'
+    }));
+    expect(() => interchange.exportBacklog('asana-csv')).toThrow(/Unknown backlog format: asana-csv/);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for dashboard accounts, sessions, roles and audit logging
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../project-dashboard/logger', () => ({
+  logAudit: jest.fn(),
+  logSecurityEvent: jest.fn()
+}));
+
+const express = require('express');
+const { logAudit, logSecurityEvent } = require('../../project-dashboard/logger');
+const { AuthManager, SESSION_COOKIE } = require('../../project-dashboard/auth-manager');
+
+describe('Dashboard authentication', () => {
+  let tempDir;
+  let usersPath;
+  let auth;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-auth-'));
+    usersPath = path.join(tempDir, 'project-state', 'dashboard-users.json');
+    auth = new AuthManager({ usersPath, enabled: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', auth.middleware());
+    app.use('/api/auth', auth.createRouter());
+    app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
+    app.get('/api/documents', (req, res) => res.json({ user: req.user.username }));
+    app.post('/api/apply-velocity-profile', (req, res) => res.json({ applied: true }));
+    app.put('/api/hooks/config', auth.requireRole('admin'), (req, res) => res.json({ saved: true }));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+    logAudit.mockClear();
+    logSecurityEvent.mockClear();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function request(method, url, { body, cookie } = {}) {
+    const headers = {};
+    if (body) headers['content-type'] = 'application/json';
+    if (cookie) headers.cookie = cookie;
+    return fetch(baseUrl + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  }
+
+  async function login(username, password) {
+    const response = await request('POST', '/api/auth/login', { body: { username, password } });
+    expect(response.status).toBe(200);
+    return response.headers.get('set-cookie').split(';')[0];
+  }
+
+  test('bootstraps an admin with a hashed password stored in project-state', () => {
+    // Enabled auth without a usable password would lock everyone out, so startup fails instead
+    expect(() => auth.bootstrapAdmin({ DASHBOARD_USERNAME: 'admin', DASHBOARD_PASSWORD: 'changeme' }))
+      .toThrow(/DASHBOARD_PASSWORD is a placeholder/);
+    expect(() => auth.bootstrapAdmin({})).toThrow(/DASHBOARD_PASSWORD is unset/);
+    expect(fs.existsSync(usersPath)).toBe(false);
+    expect(auth.bootstrapAdmin({ DASHBOARD_USERNAME: 'lead', DASHBOARD_PASSWORD: 'correct horse battery' }))
+      .toEqual(expect.objectContaining({ username: 'lead', role: 'admin', createdBy: 'bootstrap' }));
+    expect(auth.bootstrapAdmin({ DASHBOARD_PASSWORD: 'another password' })).toBeNull();
+
+    const stored = fs.readFileSync(usersPath, 'utf8');
+    expect(stored).not.toContain('correct horse battery');
+    expect(JSON.parse(stored).users.lead.password).toEqual({
+      algorithm: 'scrypt',
+      salt: expect.stringMatching(/^[0-9a-f]{32}$/),
+      hash: expect.stringMatching(/^[0-9a-f]{128}$/)
+    });
+
+    const reloaded = new AuthManager({ usersPath });
+    expect(reloaded.isEnforced()).toBe(true);
+    expect(reloaded.login('lead', 'correct horse battery')).not.toBeNull();
+    expect(reloaded.login('lead', 'wrong password')).toBeNull();
+
+    // Object.prototype members are not accounts
+    ['constructor', '__proto__', 'toString'].forEach(name => {
+      expect(reloaded.login(name, 'correct horse battery')).toBeNull();
+      expect(reloaded.updateUser(name, { role: 'admin' })).toBeNull();
+      expect(reloaded.deleteUser(name)).toBe(false);
+    });
+    expect(reloaded.listUsers().map(user => user.username)).toEqual(['lead']);
+  });
+
+  test('requires a session cookie and enforces viewer, contributor and admin per route', async () => {
+    auth.createUser('lead', 'admin-password', 'admin');
+    auth.createUser('dev', 'contributor-password', 'contributor');
+    auth.createUser('stakeholder', 'viewer-password', 'viewer');
+
+    expect((await request('GET', '/api/health')).status).toBe(200);
+    expect((await request('GET', '/api/documents')).status).toBe(401);
+    expect((await request('POST', '/api/auth/login', { body: { username: 'dev', password: 'nope' } })).status).toBe(401);
+
+    const viewer = await login('stakeholder', 'viewer-password');
+    const contributor = await login('dev', 'contributor-password');
+    const admin = await login('lead', 'admin-password');
+    expect(viewer).toMatch(new RegExp(`^${SESSION_COOKIE}=[0-9a-f]{64}$`));
+
+    expect(await (await request('GET', '/api/documents', { cookie: viewer })).json()).toEqual({ user: 'stakeholder' });
+    // A malformed cookie from another app on the host is skipped, not a 500
+    expect(AuthManager.parseCookies(`tracker=%E0%A4%A; ${viewer}`)).toEqual({ [SESSION_COOKIE]: viewer.split('=')[1] });
+    expect((await request('GET', '/api/documents', { cookie: `tracker=%E0%A4%A; ${viewer}` })).status).toBe(200);
+    expect((await request('POST', '/api/apply-velocity-profile', { cookie: viewer, body: {} })).status).toBe(403);
+    expect((await request('POST', '/api/apply-velocity-profile', { cookie: contributor, body: {} })).status).toBe(200);
+    expect((await request('PUT', '/api/hooks/config', { cookie: contributor, body: { enabled: false } })).status).toBe(403);
+    expect((await request('PUT', '/api/hooks/config', { cookie: admin, body: { enabled: false } })).status).toBe(200);
+
+    expect(logSecurityEvent).toHaveBeenCalledWith('Insufficient role', 'warn', expect.objectContaining({
+      username: 'dev', role: 'contributor', required: 'admin'
+    }));
+
+    const me = await (await request('GET', '/api/auth/me', { cookie: contributor })).json();
+    expect(me.user).toEqual({ username: 'dev', role: 'contributor', isAdmin: false });
+
+    await request('POST', '/api/auth/logout', { cookie: contributor });
+    expect((await request('GET', '/api/documents', { cookie: contributor })).status).toBe(401);
+  });
+
+  test('writes an audit entry for every mutating request', async () => {
+    auth.createUser('lead', 'admin-password', 'admin');
+    auth.createUser('dev', 'contributor-password', 'contributor');
+    const admin = await login('lead', 'admin-password');
+    const contributor = await login('dev', 'contributor-password');
+    logAudit.mockClear();
+
+    await request('PUT', '/api/hooks/config', { cookie: admin, body: { profile: 'standard' } });
+    await request('PUT', '/api/hooks/config', { cookie: contributor, body: { profile: 'minimal' } });
+    await request('GET', '/api/documents', { cookie: admin });
+
+    expect(logAudit.mock.calls).toEqual([
+      ['PUT /api/hooks/config', expect.objectContaining({ username: 'lead', role: 'admin', status: 200, outcome: 'success', bodyKeys: ['profile'] })],
+      ['PUT /api/hooks/config', expect.objectContaining({ username: 'dev', role: 'contributor', status: 403, outcome: 'failure' })]
+    ]);
+  });
+
+  test('admins manage accounts and role changes apply to live sessions', async () => {
+    auth.createUser('lead', 'admin-password', 'admin');
+    const admin = await login('lead', 'admin-password');
+
+    const created = await request('POST', '/api/auth/users', { cookie: admin, body: { username: 'qa', password: 'qa-password', role: 'viewer' } });
+    expect(created.status).toBe(201);
+    expect((await request('POST', '/api/auth/users', { cookie: admin, body: { username: 'qa', password: 'qa-password' } })).status).toBe(400);
+
+    const qa = await login('qa', 'qa-password');
+    expect((await request('GET', '/api/auth/users', { cookie: qa })).status).toBe(403);
+    expect((await request('POST', '/api/apply-velocity-profile', { cookie: qa, body: {} })).status).toBe(403);
+
+    await request('PATCH', '/api/auth/users/qa', { cookie: admin, body: { role: 'contributor' } });
+    expect((await request('POST', '/api/apply-velocity-profile', { cookie: qa, body: {} })).status).toBe(200);
+
+    const users = await (await request('GET', '/api/auth/users', { cookie: admin })).json();
+    expect(users.users.map(u => [u.username, u.role])).toEqual([['lead', 'admin'], ['qa', 'contributor']]);
+    expect(JSON.stringify(users)).not.toContain('hash');
+
+    const lastAdmin = await request('DELETE', '/api/auth/users/lead', { cookie: admin });
+    expect(lastAdmin.status).toBe(400);
+    expect(await lastAdmin.json()).toEqual({ error: 'Cannot remove the last admin' });
+
+    expect((await request('DELETE', '/api/auth/users/qa', { cookie: admin })).status).toBe(200);
+    expect((await request('GET', '/api/documents', { cookie: qa })).status).toBe(401);
+  });
+
+  test('without accounts and with auth disabled the dashboard stays open as a local admin', async () => {
+    const open = new AuthManager({ usersPath, enabled: false });
+    expect(open.isEnforced()).toBe(false);
+    expect(open.resolveUser(undefined)).toEqual(expect.objectContaining({ username: 'local', role: 'admin' }));
+
+    open.createUser('lead', 'admin-password', 'admin');
+    expect(open.isEnforced()).toBe(true);
+    expect(open.resolveUser(undefined)).toBeNull();
+  });
+});
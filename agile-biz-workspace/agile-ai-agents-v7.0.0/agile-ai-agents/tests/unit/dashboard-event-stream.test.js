@@ -0,0 +1,184 @@
+/**
+ * Unit tests for the dashboard Server-Sent Events stream
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const express = require('express');
+const { DashboardEventStream, channelFor } = require('../../project-dashboard/event-stream');
+const { StreamingInfrastructure } = require('../../machine-data/streaming-infrastructure');
+
+describe('Dashboard event stream', () => {
+  let tempDir;
+  let streamDir;
+  let runtimePath;
+  let stream;
+  let server;
+  let baseUrl;
+  const controllers = [];
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-stream-'));
+    streamDir = path.join(tempDir, 'orchestration', 'streams');
+    runtimePath = path.join(tempDir, 'runtime.json');
+    fs.mkdirSync(streamDir, { recursive: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    stream = new DashboardEventStream({
+      streamDirs: [streamDir],
+      watchFiles: [{ path: runtimePath, channel: 'progress', type: 'workflow-state' }],
+      pollInterval: 60000,
+      bootId: 'boot1'
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/stream', stream.createRouter());
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    controllers.forEach(controller => controller.abort());
+    controllers.length = 0;
+    stream.stop();
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function openStream(query = '', headers = {}) {
+    const controller = new AbortController();
+    controllers.push(controller);
+    const response = await fetch(`${baseUrl}/api/stream${query}`, { headers, signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+
+    // Resolves with the parsed SSE messages once `count` events (non-comment blocks with data) arrived
+    response.next = async (count) => {
+      const parse = () => text.split('\n\n')
+        .filter(block => block.includes('data: '))
+        .map(block => {
+          const fields = {};
+          for (const line of block.split('\n')) {
+            const index = line.indexOf(': ');
+            if (index > 0) fields[line.slice(0, index)] = line.slice(index + 2);
+          }
+          return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+        });
+      while (parse().length < count) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        text += decoder.decode(value, { stream: true });
+      }
+      return parse();
+    };
+    return response;
+  }
+
+  test('classifies stream and hook events into typed channels', () => {
+    expect(channelFor({ event: 'progress_update', stream_type: 'progress_update' })).toBe('progress');
+    expect(channelFor({ event: 'alert', stream_type: 'alert' })).toBe('alerts');
+    expect(channelFor({ event: 'stakeholder_decision_required', stream_type: 'stakeholder_decision' })).toBe('alerts');
+    expect(channelFor({ event: 'agent_coordination', stream_type: 'coordination' })).toBe('coordination');
+    expect(channelFor({ event: 'context_drift', stream_type: 'drift' })).toBe('drift');
+    expect(channelFor({ type: 'error', category: 'error' })).toBe('alerts');
+    expect(channelFor({ type: 'agent-activation', category: 'agent' })).toBe('coordination');
+    expect(channelFor({ type: 'sprint-update', category: 'sprint' })).toBe('progress');
+  });
+
+  test('tails StreamingInfrastructure files from where they ended at startup', () => {
+    // Writes dashboard-*.jsonl into <tempDir>/orchestration/streams, the folder being tailed
+    const infrastructure = new StreamingInfrastructure(path.relative(path.join(__dirname, '../../machine-data'), tempDir));
+    infrastructure.streamAlert('coder_agent', 'error', { message: 'before start' });
+
+    stream.start();
+    infrastructure.streamAlert('coder_agent', 'error', { message: 'Build failed', severity: 'high' });
+    infrastructure.streamCoordinationEvent('coder_agent', 'testing_agent', 'handoff', { story: 'US-1' });
+    infrastructure.streamContextDrift({ overallDrift: 45, severity: 'moderate', checks: [{ name: 'backlog', drift: 45 }], timestamp: 't' });
+
+    // A half-written line is held back until it is completed
+    const file = fs.readdirSync(streamDir).map(name => path.join(streamDir, name))[0];
+    fs.appendFileSync(file, '{"event":"progress_update","stream_type":"progress_');
+    stream.poll();
+    fs.appendFileSync(file, 'update","data":{"progress_percentage":40}}\n');
+    fs.writeFileSync(runtimePath, '{}');
+    stream.poll();
+
+    expect(stream.buffer.map(e => [e.id, e.channel, e.type, e.source])).toEqual([
+      ['boot1-1', 'alerts', 'alert', 'stream'],
+      ['boot1-2', 'coordination', 'agent_coordination', 'stream'],
+      ['boot1-3', 'drift', 'context_drift', 'stream'],
+      ['boot1-4', 'progress', 'progress_update', 'stream'],
+      ['boot1-5', 'progress', 'workflow-state', 'state']
+    ]);
+    expect(stream.buffer[0].data.data.message).toBe('Build failed');
+    expect(stream.buffer[2].data.data).toEqual(expect.objectContaining({ overall_drift: 45, severity: 'moderate' }));
+  });
+
+  test('delivers only subscribed channels and replays missed events after Last-Event-ID', async () => {
+    const alertsOnly = await openStream('?channels=alerts,drift');
+    expect(alertsOnly.headers.get('content-type')).toBe('text/event-stream');
+
+    stream.publish('progress', 'progress-update', { percentage: 10 });
+    stream.publish('alerts', 'alert', { message: 'first' });
+    stream.publish('drift', 'context_drift', { overall_drift: 30 });
+
+    const received = await alertsOnly.next(2);
+    expect(received.map(m => [m.id, m.event, m.data.type])).toEqual([
+      ['boot1-2', 'alerts', 'alert'],
+      ['boot1-3', 'drift', 'context_drift']
+    ]);
+
+    stream.publish('alerts', 'alert', { message: 'missed' });
+    stream.publish('progress', 'progress-update', { percentage: 20 });
+
+    const resumed = await openStream('', { 'Last-Event-ID': 'boot1-3' });
+    expect((await resumed.next(2)).map(m => [m.id, m.event])).toEqual([
+      ['boot1-4', 'alerts'],
+      ['boot1-5', 'progress']
+    ]);
+
+    const restarted = await openStream('', { 'Last-Event-ID': 'oldboot-99' });
+    expect((await restarted.next(1))[0]).toEqual(expect.objectContaining({
+      event: 'resync',
+      data: { reason: 'history unavailable', bootId: 'boot1' }
+    }));
+
+    const bad = await fetch(`${baseUrl}/api/stream?channels=metrics`);
+    expect(bad.status).toBe(400);
+  });
+
+  test('accepts hook events and batches from dashboard-event-notifier', async () => {
+    const subscriber = await openStream('?channels=alerts,coordination');
+
+    const single = await fetch(`${baseUrl}/api/stream/events`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ id: 'evt_1', type: 'error', category: 'error', data: { error: 'Hook crashed' } })
+    });
+    expect(single.status).toBe(202);
+    expect(await single.json()).toEqual({ id: 'boot1-1', channel: 'alerts' });
+
+    const batch = await fetch(`${baseUrl}/api/stream/events/batch`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ batchId: 'b1', events: [
+        { type: 'agent-activation', category: 'agent', data: { newAgent: 'coder_agent' } },
+        { type: 'hook-execution', category: 'system', data: { status: 'ok' } }
+      ] })
+    });
+    expect(await batch.json()).toEqual({ ids: ['boot1-2', 'boot1-3'] });
+
+    const received = await subscriber.next(2);
+    expect(received.map(m => [m.event, m.data.source, m.data.data.type])).toEqual([
+      ['alerts', 'hook', 'error'],
+      ['coordination', 'hook', 'agent-activation']
+    ]);
+  });
+});
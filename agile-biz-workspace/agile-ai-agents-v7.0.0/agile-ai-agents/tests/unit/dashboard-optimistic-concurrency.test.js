@@ -0,0 +1,164 @@
+/**
+ * Unit tests for ETag / If-Match handling on dashboard write routes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const express = require('express');
+const { OptimisticConcurrency, etagFor, parseIfMatch } = require('../../project-dashboard/optimistic-concurrency');
+
+describe('Dashboard optimistic concurrency', () => {
+  let tempDir;
+  let configPath;
+  let concurrency;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-etag-'));
+    configPath = path.join(tempDir, 'hook-config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ enabled: true, profile: 'standard', logging: { level: 'info' } }, null, 2));
+    concurrency = new OptimisticConcurrency();
+
+    // Same shape as PUT /api/hooks/config
+    const app = express();
+    app.use(express.json());
+    app.get('/api/hooks/config', (req, res) => concurrency.sendJson(res, configPath));
+    app.put('/api/hooks/config', async (req, res) => {
+      await concurrency.update(req, res, {
+        resource: 'hook-config.json',
+        filePath: configPath,
+        volatile: ['lastUpdated'],
+        propose: config => ({ ...config, ...req.body, lastUpdated: new Date().toISOString() }),
+        validate: config => (typeof config.enabled === 'boolean' ? null : 'Invalid configuration')
+      });
+    });
+    // Same shape as PATCH /api/hooks/hooks/:hookName, which writes the same file
+    app.patch('/api/hooks/hooks/:hookName', async (req, res) => {
+      const { hookName } = req.params;
+      const { enabled } = req.body;
+      await concurrency.update(req, res, {
+        resource: 'hook-config.json',
+        filePath: configPath,
+        propose: config => {
+          const hooks = { ...config.hooks };
+          hooks[hookName] = { ...hooks[hookName], enabled };
+          return { ...config, hooks };
+        },
+        commit: async proposed => {
+          concurrency.write(configPath, proposed);
+          return { success: true, hookName, enabled };
+        }
+      });
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const get = () => fetch(`${baseUrl}/api/hooks/config`);
+  const put = (body, ifMatch) => fetch(`${baseUrl}/api/hooks/config`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json', ...(ifMatch ? { 'if-match': ifMatch } : {}) },
+    body: JSON.stringify(body)
+  });
+
+  test('sends an ETag and requires it back on writes', async () => {
+    const response = await get();
+    const etag = response.headers.get('etag');
+    expect(etag).toBe(etagFor(fs.readFileSync(configPath, 'utf8')));
+    expect(await response.json()).toEqual(expect.objectContaining({ profile: 'standard' }));
+
+    const missing = await put({ profile: 'minimal' });
+    expect(missing.status).toBe(428);
+    expect(await missing.json()).toEqual(expect.objectContaining({ code: 'IF_MATCH_REQUIRED', etag }));
+
+    const invalid = await put({ enabled: 'yes' }, etag);
+    expect(invalid.status).toBe(400);
+
+    const saved = await put({ profile: 'minimal' }, etag);
+    expect(saved.status).toBe(200);
+    const newEtag = saved.headers.get('etag');
+    expect(newEtag).not.toBe(etag);
+    expect(newEtag).toBe(etagFor(fs.readFileSync(configPath, 'utf8')));
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf8')).profile).toBe('minimal');
+
+    expect((await put({ enabled: false }, '*')).status).toBe(200);
+    expect(parseIfMatch('W/"a", "b"')).toEqual(['"a"', '"b"']);
+  });
+
+  test('refuses stale writes with a three-way diff and a merge', async () => {
+    const etag = (await get()).headers.get('etag');
+
+    // Another tab saves first
+    expect((await put({ logging: { level: 'debug' } }, etag)).status).toBe(200);
+
+    const separate = await put({ profile: 'minimal' }, etag);
+    expect(separate.status).toBe(412);
+    const body = await separate.json();
+    expect(body).toEqual(expect.objectContaining({
+      code: 'ETAG_MISMATCH',
+      etag: etagFor(fs.readFileSync(configPath, 'utf8')),
+      current: expect.objectContaining({ logging: { level: 'debug' } })
+    }));
+    expect(body.diff.base_known).toBe(true);
+    expect(body.diff.server_changes.map(change => change.path)).toEqual(['logging.level']);
+    expect(body.diff.your_changes.map(change => change.path)).toEqual(['profile']);
+    expect(body.diff.conflicts).toEqual([]);
+    expect(body.diff.merged).toEqual(expect.objectContaining({ profile: 'minimal', logging: { level: 'debug' } }));
+    expect(body.diff.unified).toContain('+  "profile": "minimal"');
+
+    // Nothing was written; applying the merge with the new ETag succeeds
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf8')).profile).toBe('standard');
+    expect((await put(body.diff.merged, body.etag)).status).toBe(200);
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf8'))).toEqual(expect.objectContaining({ profile: 'minimal', logging: { level: 'debug' } }));
+
+    // Both sides changing the same field is reported as a conflict
+    const overlapping = await (await put({ logging: { level: 'warn' } }, etag)).json();
+    expect(overlapping.diff.conflicts).toEqual([{ path: 'logging.level', base: 'info', server: 'debug', yours: 'warn' }]);
+  });
+
+  test('guards hook toggles with the same ETag as config saves', async () => {
+    const etag = (await get()).headers.get('etag');
+    const toggle = (ifMatch, enabled) => fetch(`${baseUrl}/api/hooks/hooks/md-json-sync`, {
+      method: 'PATCH',
+      headers: { 'content-type': 'application/json', ...(ifMatch ? { 'if-match': ifMatch } : {}) },
+      body: JSON.stringify({ enabled })
+    });
+
+    expect((await toggle(null, false)).status).toBe(428);
+
+    // A config save from another tab lands first; the toggle must not overwrite it
+    expect((await put({ profile: 'minimal' }, etag)).status).toBe(200);
+    const stale = await toggle(etag, false);
+    expect(stale.status).toBe(412);
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf8')).hooks).toBeUndefined();
+
+    const saved = await toggle(stale.headers.get('etag'), false);
+    expect(saved.status).toBe(200);
+    expect(await saved.json()).toEqual({ success: true, hookName: 'md-json-sync', enabled: false });
+    expect(saved.headers.get('etag')).toBe(etagFor(fs.readFileSync(configPath, 'utf8')));
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf8'))).toEqual(expect.objectContaining({
+      profile: 'minimal',
+      hooks: { 'md-json-sync': { enabled: false } }
+    }));
+  });
+
+  test('treats an unknown ETag as conflicting on every change', async () => {
+    const response = await put({ profile: 'minimal' }, '"not-a-version"');
+    expect(response.status).toBe(412);
+    const body = await response.json();
+    expect(body.diff.base_known).toBe(false);
+    expect(body.diff.server_changes).toBeNull();
+    expect(body.diff.conflicts).toEqual([{ path: 'profile', base: null, server: 'standard', yours: 'minimal' }]);
+  });
+});
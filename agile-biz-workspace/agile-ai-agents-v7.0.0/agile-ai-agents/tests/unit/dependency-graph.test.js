@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the story dependency graph and its blocker escalation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StoryTracker } = require('../../machine-data/story-tracker');
+const { DependencyGraph } = require('../../machine-data/dependency-graph');
+const { BurndownGenerator } = require('../../machine-data/burndown-generator');
+const { StandupManager } = require('../../machine-data/standup-manager');
+
+describe('Story dependency graph', () => {
+  let tempDir;
+  let tracker;
+  let graph;
+  let ids;
+
+  // schema -> api -> ui is the long chain; docs only needs the schema
+  function createStories() {
+    const create = (title, points, sprint = 'sprint_1') =>
+      tracker.createStory({ title, story_points: points, sprint_id: sprint }).story.id;
+    ids = {
+      schema: create('Billing schema', 5),
+      api: create('Billing API', 8),
+      ui: create('Billing screens', 5),
+      docs: create('Billing docs', 1),
+      later: create('Invoice export', 3, 'sprint_2')
+    };
+    tracker.addDependency(ids.api, ids.schema);
+    tracker.addDependency(ids.ui, ids.api);
+    tracker.addDependency(ids.docs, ids.schema);
+    tracker.addDependency(ids.later, ids.ui);
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-graph-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tracker = new StoryTracker({ sprintTrackingPath: tempDir });
+    graph = new DependencyGraph({ storyTracker: tracker });
+    createStories();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('finds the critical path, blocker impact and cycles', () => {
+    const sprint = graph.analyzeSprint('sprint_1');
+    expect(sprint.nodes.map(node => node.id)).toEqual([ids.schema, ids.api, ids.ui, ids.docs]);
+    expect(sprint.critical_path).toEqual({ stories: [ids.schema, ids.api, ids.ui], hours: 9, points: 18 });
+
+    // Finished work drops out of the remaining chain
+    tracker.updateStoryStatus(ids.schema, 'in_progress');
+    tracker.updateStoryStatus(ids.schema, 'completed');
+    expect(graph.analyzeSprint('sprint_1').critical_path.stories).toEqual([ids.api, ids.ui]);
+
+    tracker.blockStory(ids.api, 'Waiting for payment provider keys');
+    const [blocker] = graph.analyzeSprint('sprint_1').blockers;
+    expect(blocker).toEqual(expect.objectContaining({
+      story_id: ids.api,
+      reason: 'Waiting for payment provider keys',
+      delays: [ids.ui, ids.later],
+      delayed_points: 8,
+      on_critical_path: true
+    }));
+
+    // Sprint 2 sees the sprint 1 chain it waits on as external work
+    const next = graph.analyzeSprint('sprint_2');
+    expect(next.nodes.find(node => node.id === ids.api)).toEqual(expect.objectContaining({ external: true, blocked: true }));
+
+    expect(() => tracker.addDependency(ids.schema, ids.ui)).toThrow(/dependency cycle/);
+    const cyclic = graph.analyze([
+      { id: 'A', title: 'A', dependencies: ['C'] },
+      { id: 'B', title: 'B', dependencies: ['A'] },
+      { id: 'C', title: 'Build C', dependencies: ['B'] },
+      { id: 'D', title: 'Tests', dependencies: ['Build C', 'Unknown'] }
+    ]);
+    expect(cyclic.cycles.map(cycle => [...cycle].sort())).toEqual([['A', 'B', 'C']]);
+    expect(cyclic.missing).toEqual([{ story_id: 'D', dependency: 'Unknown' }]);
+  });
+
+  test('blockers that delay the critical path escalate and raise burndown alerts', () => {
+    const standups = new StandupManager({ standupsPath: path.join(tempDir, 'standups'), dependencyGraph: graph });
+    const blocker = { description: 'Schema migration fails', severity: 'low' };
+
+    expect(standups.needsEscalation(blocker, 'ui_ux_agent', ids.schema)).toBe(true);
+    expect(standups.needsEscalation(blocker, 'ui_ux_agent', ids.docs)).toBe(false);
+    expect(standups.getEscalationReason(blocker, 'ui_ux_agent', ids.schema))
+      .toMatch(/Blocks the sprint critical path, Delays 4 dependent stories/);
+
+    tracker.blockStory(ids.schema, 'Migration fails');
+    tracker.blockStory(ids.docs, 'Style guide missing');
+    const burndown = new BurndownGenerator({ storyTracker: tracker, burndownPath: path.join(tempDir, 'burndown'), dependencyGraph: graph });
+    const alerts = burndown.generateDependencyAlerts('sprint_1');
+    expect(alerts).toEqual([
+      expect.objectContaining({
+        type: 'blocker_impact',
+        severity: 'critical',
+        story_id: ids.schema,
+        message: `Blocked story ${ids.schema} delays 4 stories (17 points) on the critical path`
+      })
+    ]);
+  });
+});
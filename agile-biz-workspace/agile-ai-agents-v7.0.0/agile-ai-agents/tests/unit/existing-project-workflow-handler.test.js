@@ -176,9 +176,9 @@ describe('Existing Project Workflow Handler', () => {
             expect(mockWorkflowStateHandler.updatePhaseProgress).toHaveBeenCalledWith(
                 expect.objectContaining({
                     active_agents: expect.arrayContaining([
-                        expect.objectContaining({ name: 'Code Quality Agent' })
+                        expect.objectContaining({ name: 'Code Analyzer Agent' })
                     ]),
-                    documents_total: 1,
+                    documents_total: 10,
                     documents_created: 0
                 })
             );
@@ -193,13 +193,13 @@ describe('Existing Project Workflow Handler', () => {
 
             await handleExistingProjectWorkflow([]);
 
-            // Should include Code Quality Agent for analyze phase
+            // Should include Code Analyzer Agent for analyze phase
             expect(mockWorkflowStateHandler.updatePhaseProgress).toHaveBeenCalledWith(
                 expect.objectContaining({
                     active_agents: expect.arrayContaining([
                         expect.objectContaining({ 
-                            name: 'Code Quality Agent',
-                            status: 'Analyzing codebase architecture',
+                            name: 'Code Analyzer Agent',
+                            status: 'Analyzing code structure',
                             icon: '🔍'
                         })
                     ])
@@ -260,13 +260,16 @@ describe('Existing Project Workflow Handler', () => {
             for (const phase of phases) {
                 jest.clearAllMocks();
                 
-                mockWorkflowStateHandler.initializeWorkflow.mockReturnValue({
-                    workflow_id: 'test-workflow',
-                    workflow_type: 'existing-project',
-                    current_phase: phase
+                mockWorkflowStateHandler.resumeWorkflow.mockReturnValue({
+                    success: true,
+                    message: `Resuming ${phase}`,
+                    workflow: {
+                        workflow_type: 'existing-project',
+                        current_phase: phase
+                    }
                 });
                 
-                await handleExistingProjectWorkflow([]);
+                await handleExistingProjectWorkflow(['--resume']);
                 
                 const updateCall = mockWorkflowStateHandler.updatePhaseProgress.mock.calls[0][0];
                 expect(updateCall.active_agents).toBeDefined();
@@ -276,13 +279,13 @@ describe('Existing Project Workflow Handler', () => {
                 if (phase === 'analyze') {
                     expect(updateCall.active_agents).toEqual(
                         expect.arrayContaining([
-                            expect.objectContaining({ name: 'Code Quality Agent' })
+                            expect.objectContaining({ name: 'Code Analyzer Agent' })
                         ])
                     );
                 } else if (phase === 'planning') {
                     expect(updateCall.active_agents).toEqual(
                         expect.arrayContaining([
-                            expect.objectContaining({ name: 'Sprint Planning Agent' })
+                            expect.objectContaining({ name: 'Project Manager Agent' })
                         ])
                     );
                 }
@@ -330,7 +333,9 @@ describe('Existing Project Workflow Handler', () => {
         });
 
         it('should handle initialization failure', async () => {
-            mockWorkflowStateHandler.initializeWorkflow.mockThrowError(new Error('Failed to initialize'));
+            mockWorkflowStateHandler.initializeWorkflow.mockImplementation(() => {
+                throw new Error('Failed to initialize');
+            });
 
             await expect(handleExistingProjectWorkflow([])).rejects.toThrow('Failed to initialize');
         });
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for WIP limits and flow metrics
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const express = require('express');
+const { StoryTracker } = require('../../machine-data/story-tracker');
+const { FlowMetrics, WipLimitError, MAX_BUCKETS } = require('../../machine-data/flow-metrics');
+const flowMetricsAPI = require('../../project-dashboard/api/flow-metrics');
+const { storyServices } = require('../../project-dashboard/story-services');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Flow metrics', () => {
+  let tempDir;
+  let clock;
+  let settings;
+  let tracker;
+
+  const create = (title, agents, points = 3) => tracker.createStory({
+    title,
+    story_points: points,
+    sprint_id: 'sprint_1',
+    assigned_agents: agents
+  }).story.id;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-metrics-'));
+    clock = Date.parse('2025-03-01T09:00:00.000Z');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    settings = { wip_limits: { enforcement: 'block', per_status: { in_progress: 1 }, per_agent: { default: 1 } } };
+    tracker = new StoryTracker({ sprintTrackingPath: tempDir, now: () => new Date(clock), flowSettings: settings });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('updateStoryStatus refuses or warns on per-status and per-agent WIP breaches', () => {
+    const login = create('Login form', ['coder_agent']);
+    const signup = create('Signup form', ['ui_ux_agent']);
+    const audit = create('Audit trail', ['coder_agent']);
+
+    tracker.updateStoryStatus(login, 'in_progress');
+    expect(() => tracker.updateStoryStatus(signup, 'in_progress')).toThrow(WipLimitError);
+    const refused = (() => {
+      try {
+        return tracker.updateStoryStatus(audit, 'in_progress');
+      } catch (error) {
+        return error;
+      }
+    })();
+    expect(refused.breaches).toEqual([
+      { scope: 'status', key: 'in_progress', count: 2, limit: 1 },
+      { scope: 'agent', key: 'coder_agent', count: 2, limit: 1 }
+    ]);
+    expect(tracker.getStory(audit).story.status).toBe('not_started');
+
+    // Moving along the board does not add to the agent's WIP; force overrides the limits
+    tracker.updateStoryStatus(login, 'testing');
+    tracker.updateStoryStatus(signup, 'in_progress');
+    tracker.updateStoryStatus(audit, 'in_progress', { force: true });
+    expect(tracker.getStory(audit).story.status).toBe('in_progress');
+
+    settings.wip_limits.enforcement = 'warn';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const extra = create('Password reset', ['ui_ux_agent']);
+    tracker.updateStoryStatus(extra, 'in_progress');
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/exceeds WIP limits: in_progress 3\/1, ui_ux_agent 2\/1/));
+
+    const wip = tracker.flowMetrics.getWip();
+    expect(wip.per_status).toEqual([{ status: 'in_progress', count: 3, limit: 1 }]);
+    expect(wip.per_agent).toEqual([
+      { agent: 'coder_agent', count: 2, limit: 1 },
+      { agent: 'ui_ux_agent', count: 2, limit: 1 }
+    ]);
+  });
+
+  test('derives cumulative flow, cycle times and throughput from story timing', async () => {
+    settings.wip_limits = { per_status: {}, per_agent: {} };
+    const ids = ['Login', 'Signup', 'Audit'].map(title => create(title, ['coder_agent']));
+    const flow = new FlowMetrics({ storyTracker: tracker, settings, now: () => new Date(clock) });
+
+    // Login: 0h -> 1h, Signup: 0h -> 2.5h, Audit still in progress from 1h
+    tracker.updateStoryStatus(ids[0], 'in_progress');
+    tracker.updateStoryStatus(ids[1], 'in_progress');
+    clock += HOUR;
+    tracker.updateStoryStatus(ids[0], 'completed');
+    tracker.updateStoryStatus(ids[2], 'in_progress');
+    clock += 1.5 * HOUR;
+    tracker.updateStoryStatus(ids[1], 'completed');
+
+    const cfd = flow.cumulativeFlow('sprint_1');
+    expect(cfd.points.map(point => point.counts.completed)).toEqual([0, 1, 2]);
+    expect(cfd.points[0].counts).toEqual(expect.objectContaining({ not_started: 1, in_progress: 2 }));
+    expect(cfd.points[cfd.points.length - 1].counts).toEqual(expect.objectContaining({ in_progress: 1, completed: 2 }));
+
+    const cycle = flow.cycleTimes('sprint_1');
+    expect(cycle.points.map(point => [point.story_id, point.cycle_hours])).toEqual([[ids[0], 1], [ids[1], 2.5]]);
+    expect(cycle.percentiles).toEqual({ p50: 1, p85: 2.5, p95: 2.5 });
+
+    const throughput = flow.throughput('sprint_1');
+    expect(throughput.buckets.map(bucket => bucket.completed)).toEqual([0, 1, 1]);
+    expect(throughput.histogram).toEqual([{ completed: 0, buckets: 1 }, { completed: 1, buckets: 2 }]);
+    expect(throughput.average).toBe(0.67);
+
+    // The dashboard serves the same report
+    jest.spyOn(storyServices, 'flowMetrics').mockReturnValue(flow);
+    const app = express();
+    app.use('/api/flow-metrics', flowMetricsAPI);
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/flow-metrics/sprint_1?bucket_hours=2`);
+      const report = await response.json();
+      expect(report.throughput.buckets.map(bucket => bucket.completed)).toEqual([1, 1]);
+      expect(report.cycle_time.percentiles.p50).toBe(1);
+      expect(report.wip.by_status).toEqual({ in_progress: 1, completed: 2 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('throughput stops at the last completion of a finished sprint and caps the bucket count', () => {
+    settings.wip_limits = { per_status: {}, per_agent: {} };
+    const ids = ['Login', 'Signup'].map(title => create(title, ['coder_agent']));
+    const flow = new FlowMetrics({ storyTracker: tracker, settings, now: () => new Date(clock) });
+
+    ids.forEach(id => tracker.updateStoryStatus(id, 'in_progress'));
+    clock += HOUR;
+    tracker.updateStoryStatus(ids[0], 'completed');
+    clock += HOUR;
+    tracker.updateStoryStatus(ids[1], 'completed');
+
+    // Weeks later the finished sprint still has the same two buckets
+    clock += 30 * 24 * HOUR;
+    expect(flow.throughput('sprint_1').buckets.map(bucket => bucket.completed)).toEqual([0, 2]);
+
+    // Tiny buckets are widened to the minimum, and never exceed MAX_BUCKETS
+    const fine = flow.throughput('sprint_1', { bucketHours: 0.001 });
+    expect(fine.bucket_hours).toBe(0.25);
+    expect(fine.buckets).toHaveLength(8);
+
+    tracker.updateStoryStatus(create('Audit', ['coder_agent']), 'in_progress');
+    const open = flow.throughput('sprint_1', { bucketHours: 0.25 });
+    expect(open.buckets.length).toBeLessThanOrEqual(MAX_BUCKETS);
+    expect(open.bucket_hours).toBe(2);
+
+    // An open sprint's buckets stop at its end date
+    const capped = flow.throughput('sprint_1', { endDate: new Date(clock - 30 * 24 * HOUR).toISOString() });
+    expect(capped.buckets.map(bucket => bucket.completed)).toEqual([0, 2]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the persistent hook failure queue
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HookFailureQueue = require('../../hooks/utils/failure-queue');
+const { HookManager } = require('../../hooks/hook-manager');
+
+describe('HookFailureQueue', () => {
+  let queueDir;
+  let queue;
+  const start = Date.parse('2025-02-01T10:00:00.000Z');
+
+  beforeEach(() => {
+    queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-failures-'));
+    queue = new HookFailureQueue({ queueDir, maxRetries: 3, baseDelay: 1000, maxAge: 60 * 60 * 1000 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true });
+  });
+
+  test('persists entries so a new instance sees them', () => {
+    const entry = queue.enqueue('md-json-sync', { filePath: 'a.md' }, new Error('boom'), start);
+
+    const reopened = new HookFailureQueue({ queueDir });
+    expect(reopened.get(entry.id)).toEqual(expect.objectContaining({
+      hookName: 'md-json-sync',
+      context: { filePath: 'a.md' },
+      lastError: 'boom',
+      state: 'pending'
+    }));
+  });
+
+  test('backs off exponentially and dead-letters after maxRetries', () => {
+    const entry = queue.enqueue('md-json-sync', {}, new Error('boom'), start);
+    expect(queue.getDue(start + 999)).toHaveLength(0);
+    expect(queue.getDue(start + 1000)).toHaveLength(1);
+
+    const first = queue.recordFailure(entry.id, new Error('again'), start + 1000);
+    expect(Date.parse(first.nextAttemptAt)).toBe(start + 1000 + 2000);
+
+    queue.recordFailure(entry.id, new Error('again'), start + 3000);
+    const dead = queue.recordFailure(entry.id, new Error('final'), start + 7000);
+
+    expect(dead.reason).toBe('max_retries');
+    expect(queue.list(start + 7000).summary).toEqual({ pending: 0, due: 0, deadLetter: 1 });
+    expect(queue.get(entry.id)).toEqual(expect.objectContaining({ state: 'dead_letter', attempts: 3, lastError: 'final' }));
+  });
+
+  test('dead-letters entries older than maxAge', () => {
+    const entry = queue.enqueue('state-backup', {}, null, start);
+    expect(queue.expire(start + 30 * 60 * 1000)).toEqual([]);
+
+    const expired = queue.expire(start + 2 * 60 * 60 * 1000);
+    expect(expired).toEqual([expect.objectContaining({ id: entry.id, reason: 'expired' })]);
+    expect(queue.list().pending).toHaveLength(0);
+  });
+
+  test('skips a torn last line left by a crash', () => {
+    const entry = queue.enqueue('md-json-sync', {}, null, start);
+    fs.appendFileSync(path.join(queueDir, 'pending.jsonl'), '{"id":"half-writ');
+
+    expect(queue.list(start).pending.map(e => e.id)).toEqual([entry.id]);
+  });
+});
+
+describe('HookManager failure handling', () => {
+  let queueDir;
+  let manager;
+
+  beforeEach(() => {
+    queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-manager-failures-'));
+    manager = new HookManager({ failureQueueDir: queueDir });
+    manager.config.enabled = true;
+  });
+
+  afterEach(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true });
+  });
+
+  test('replays due entries and resolves the ones that recover', async () => {
+    const recovered = manager.queueFailedHook('md-json-sync', { filePath: 'a.md' }, new Error('boom'));
+    const stillFailing = manager.queueFailedHook('json-cleanup', { filePath: 'b.md' }, new Error('boom'));
+
+    jest.spyOn(manager, 'executeHook').mockImplementation(async hookName => (
+      hookName === 'md-json-sync' ? { status: 'success' } : { status: 'failed', error: 'still broken' }
+    ));
+
+    const results = await manager.processFailureQueue(Date.now() + 60 * 1000);
+
+    expect(results).toEqual({ retried: 2, succeeded: 1, failed: 1, deadLettered: 0 });
+    expect(manager.executeHook).toHaveBeenCalledWith('md-json-sync', { filePath: 'a.md' }, { fromQueue: true });
+    expect(manager.failureQueue.get(recovered.id)).toBeNull();
+    expect(manager.failureQueue.get(stillFailing.id)).toEqual(expect.objectContaining({
+      attempts: 1,
+      lastError: 'still broken'
+    }));
+  });
+
+  test('retryFailure reports unknown ids', async () => {
+    await expect(manager.retryFailure('missing')).resolves.toEqual({ status: 'not_found', id: 'missing' });
+  });
+});
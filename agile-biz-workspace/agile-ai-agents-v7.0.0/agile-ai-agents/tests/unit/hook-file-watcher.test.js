@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the hook file watcher
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HookFileWatcher = require('../../hooks/utils/hook-file-watcher');
+
+function createHookManager(hooks) {
+  return {
+    hooks,
+    activeAgent: 'coder_agent',
+    config: { performance: { debounceDelay: 0 } },
+    shouldExecuteHook: jest.fn((hook, context) => {
+      const pattern = hook.conditions && hook.conditions.if_file_matches;
+      return !pattern || new RegExp(pattern).test(context.filePath);
+    }),
+    getPipeline: jest.fn(trigger =>
+      Object.keys(hooks).filter(name => (hooks[name].triggers || []).includes(trigger))),
+    executePipeline: jest.fn(async (trigger, context, stages) => ({
+      status: 'success',
+      stages: stages.map(hookName => ({ hookName, status: 'success' }))
+    })),
+    log: jest.fn()
+  };
+}
+
+describe('HookFileWatcher', () => {
+  let tempRoot;
+  let docsDir;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-watcher-'));
+    docsDir = path.join(tempRoot, 'project-documents');
+    fs.mkdirSync(path.join(docsDir, 'planning'), { recursive: true });
+    fs.writeFileSync(path.join(docsDir, 'planning', 'existing.md'), '# Existing');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  function createWatcher(hookManager) {
+    const watcher = new HookFileWatcher(hookManager, { projectRoot: tempRoot, paths: ['project-documents'] });
+    // Seed known files without starting fs.watch so events can be driven deterministically
+    watcher.scanDirectory(docsDir);
+    return watcher;
+  }
+
+  test('classifies creates, changes and deletes against known files', () => {
+    const hookManager = createHookManager({});
+    const watcher = createWatcher(hookManager);
+    const events = [];
+    watcher.on('file', e => events.push([e.event, path.basename(e.filePath)]));
+
+    const existing = path.join(docsDir, 'planning', 'existing.md');
+    const created = path.join(docsDir, 'planning', 'new.md');
+
+    fs.writeFileSync(existing, '# Edited');
+    watcher.handleRawEvent(existing);
+    fs.writeFileSync(created, '# New');
+    watcher.handleRawEvent(created);
+    fs.unlinkSync(existing);
+    watcher.handleRawEvent(existing);
+    watcher.handleRawEvent(path.join(docsDir, 'planning'));
+
+    expect(events).toEqual([
+      ['file-change', 'existing.md'],
+      ['file-create', 'new.md'],
+      ['file-delete', 'existing.md']
+    ]);
+  });
+
+  test('runs the trigger pipeline limited to hooks whose conditions match', async () => {
+    const hookManager = createHookManager({
+      'md-json-sync': { triggers: ['file-create'], conditions: { if_file_matches: '\\.md$' } },
+      'json-cleanup': { triggers: ['file-delete'], conditions: { if_file_matches: '\\.md$' } },
+      'structure-validation': { triggers: ['file-create'], conditions: { if_file_matches: '\\.js$' } },
+      'document-registry': { triggers: ['file-create', 'file-change'] }
+    });
+    const watcher = createWatcher(hookManager);
+
+    watcher.dispatch('file-create', path.join(docsDir, 'notes.md'));
+    await watcher.idle();
+
+    expect(hookManager.executePipeline).toHaveBeenCalledTimes(1);
+    expect(hookManager.executePipeline).toHaveBeenCalledWith('file-create', expect.objectContaining({
+      event: 'file-create',
+      filePath: path.join(docsDir, 'notes.md'),
+      activeAgent: 'coder_agent',
+      source: 'file-watcher'
+    }), ['md-json-sync', 'document-registry']);
+  });
+
+  test('debounces repeated edits of the same file into one run', async () => {
+    const hookManager = createHookManager({
+      'sprint-tracking': { triggers: ['file-create', 'file-change'], config: { debounce: 500 } },
+      'document-registry': { triggers: ['file-change'], config: { debounce: 100 } }
+    });
+    const watcher = createWatcher(hookManager);
+    const file = path.join(docsDir, 'planning', 'existing.md');
+
+    watcher.dispatch('file-change', file);
+    jest.advanceTimersByTime(300);
+    watcher.dispatch('file-change', file);
+    jest.advanceTimersByTime(300);
+    expect(hookManager.executePipeline).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(200);
+    await watcher.idle();
+    expect(hookManager.executePipeline).toHaveBeenCalledTimes(1);
+  });
+
+  test('batches files changed within the debounce window', async () => {
+    const hookManager = createHookManager({
+      'md-json-sync': { triggers: ['file-create', 'file-change'], config: { debounce: 1000, batch: true } }
+    });
+    const watcher = createWatcher(hookManager);
+    const first = path.join(docsDir, 'a.md');
+    const second = path.join(docsDir, 'b.md');
+
+    watcher.dispatch('file-create', first);
+    watcher.dispatch('file-change', second);
+    watcher.dispatch('file-change', first);
+    jest.advanceTimersByTime(1000);
+    await watcher.idle();
+
+    expect(hookManager.executePipeline.mock.calls).toEqual([
+      ['file-create', expect.objectContaining({ filePath: first, batch: [first, second] }), ['md-json-sync']],
+      ['file-change', expect.objectContaining({ filePath: second, batch: [first, second] }), ['md-json-sync']]
+    ]);
+  });
+
+  test('stop() drops pending debounced events', async () => {
+    const hookManager = createHookManager({
+      'md-json-sync': { triggers: ['file-change'], config: { debounce: 1000, batch: true } }
+    });
+    const watcher = createWatcher(hookManager);
+
+    watcher.dispatch('file-change', path.join(docsDir, 'a.md'));
+    watcher.stop();
+    jest.advanceTimersByTime(2000);
+    await watcher.idle();
+
+    expect(hookManager.executePipeline).not.toHaveBeenCalled();
+  });
+});
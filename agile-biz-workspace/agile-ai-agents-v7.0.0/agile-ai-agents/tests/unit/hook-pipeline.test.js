@@ -0,0 +1,147 @@
+/**
+ * Unit tests for hook dependency ordering and pipelines
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { HookManager } = require('../../hooks/hook-manager');
+
+describe('Hook Pipelines', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-pipeline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  function createManager(hooks) {
+    const registryPath = path.join(tempRoot, 'hook-registry.json');
+    fs.writeFileSync(registryPath, JSON.stringify({ version: '1.0.0', hooks }));
+    return new HookManager({ registryPath });
+  }
+
+  // Stage script that echoes what it saw from earlier stages as its JSON result
+  function stageCommand(name) {
+    const script = path.join(tempRoot, `${name}.js`);
+    fs.writeFileSync(script, [
+      'const context = JSON.parse(process.env.HOOK_CONTEXT);',
+      `console.log(JSON.stringify({ status: 'success', stage: '${name}', saw: Object.keys(context.pipeline.previous) }));`
+    ].join('\n'));
+    return `node ${script}`;
+  }
+
+  test('orders hooks sharing a trigger by dependsOn, before and after', () => {
+    const manager = createManager({
+      'document-registry': { triggers: ['file-create'], after: ['md-json-sync'] },
+      'md-json-sync': { triggers: ['file-create'], dependsOn: ['document-router'] },
+      'document-router': { triggers: ['file-create'] },
+      'structure-validation': { triggers: ['file-create'], before: ['document-router'] },
+      'json-cleanup': { triggers: ['file-delete'], before: ['document-registry'] }
+    });
+
+    expect(manager.getPipeline('file-create')).toEqual([
+      'structure-validation',
+      'document-router',
+      'md-json-sync',
+      'document-registry'
+    ]);
+    expect(manager.getPipeline('file-delete')).toEqual(['json-cleanup']);
+  });
+
+  test('the shipped registry routes documents before md-json-sync and records them after it', () => {
+    const pipeline = new HookManager({ failureQueueDir: tempRoot }).getPipeline('file-create');
+    const position = name => pipeline.indexOf(name);
+
+    expect(position('document-router')).toBeGreaterThan(-1);
+    expect(position('document-router')).toBeLessThan(position('md-json-sync'));
+    expect(position('md-json-sync')).toBeLessThan(position('document-registry'));
+  });
+
+  test('detects dependency cycles when the config loads', () => {
+    expect(() => createManager({
+      a: { triggers: ['file-change'], dependsOn: ['c'] },
+      b: { triggers: ['file-change'], after: ['a'] },
+      c: { triggers: ['file-change'], after: ['b'] }
+    })).toThrow('Hook dependency cycle: c -> a -> b -> c');
+  });
+
+  test('rejects dependsOn on an unknown hook', () => {
+    expect(() => createManager({
+      a: { triggers: ['file-change'], dependsOn: ['missing'] }
+    })).toThrow('Hook a depends on unknown hook: missing');
+  });
+
+  test('passes earlier results into later stages', async () => {
+    const manager = createManager({
+      'md-json-sync': { triggers: ['file-create'], command: stageCommand('md-json-sync') },
+      'document-registry': { triggers: ['file-create'], after: ['md-json-sync'], command: stageCommand('document-registry') }
+    });
+
+    const result = await manager.executePipeline('file-create', { filePath: '/project-documents/a.md' });
+
+    expect(result.status).toBe('success');
+    expect(result.stages.map(stage => stage.hookName)).toEqual(['md-json-sync', 'document-registry']);
+    expect(result.results['md-json-sync'].output).toEqual({ status: 'success', stage: 'md-json-sync', saw: [] });
+    expect(result.results['document-registry'].output.saw).toEqual(['md-json-sync']);
+  });
+
+  test('dispatches Claude Code trigger events through the pipeline', async () => {
+    const manager = createManager({
+      'document-registry': { triggers: ['file-change'], after: ['md-json-sync'], command: stageCommand('document-registry') },
+      'md-json-sync': { triggers: ['file-change'], command: stageCommand('md-json-sync') }
+    });
+    jest.spyOn(manager, 'executeHook');
+
+    const result = await manager.dispatchTrigger('file-change', {
+      hook_event_name: 'PostToolUse',
+      tool_name: 'Edit',
+      tool_input: { file_path: '/project-documents/a.md' }
+    });
+
+    expect(result.stages.map(stage => stage.hookName)).toEqual(['md-json-sync', 'document-registry']);
+    expect(result.results['document-registry'].output.saw).toEqual(['md-json-sync']);
+    expect(manager.executeHook).toHaveBeenCalledWith('md-json-sync', expect.objectContaining({
+      event: 'file-change',
+      filePath: '/project-documents/a.md',
+      source: 'claude',
+      tool_name: 'Edit'
+    }));
+  });
+
+  test('skips hooks whose dependency failedand reports per-stage timings', async () => {
+    const manager = createManager({
+      router: { triggers: ['file-create'] },
+      sync: { triggers: ['file-create'], dependsOn: ['router'] },
+      registry: { triggers: ['file-create'], after: ['sync'] }
+    });
+    jest.spyOn(manager, 'executeHook').mockImplementation(async hookName => (
+      hookName === 'router'
+        ? { status: 'failed', error: 'router crashed' }
+        : { status: 'success', duration: 5, result: { stdout: '{"status":"success"}' } }
+    ));
+
+    const result = await manager.executePipeline('file-create', {});
+
+    expect(result.status).toBe('failed');
+    expect(result.stages).toEqual([
+      expect.objectContaining({ hookName: 'router', status: 'failed' }),
+      expect.objectContaining({ hookName: 'sync', status: 'skipped', reason: 'Dependency failed: router' }),
+      expect.objectContaining({ hookName: 'registry', status: 'success', duration: 5 })
+    ]);
+    expect(manager.executeHook).not.toHaveBeenCalledWith('sync', expect.anything());
+
+    const pipeline = manager.getPerformanceReport().pipeline['file-create'];
+    expect(pipeline.order).toEqual(['router', 'sync', 'registry']);
+    expect(pipeline.runs).toBe(1);
+    expect(pipeline.stages).toEqual([
+      { hook: 'router', runs: 1, avgTime: 0, failures: 1, skipped: 0 },
+      { hook: 'sync', runs: 1, avgTime: 0, failures: 0, skipped: 1 },
+      { hook: 'registry', runs: 1, avgTime: 5, failures: 0, skipped: 0 }
+    ]);
+  });
+});
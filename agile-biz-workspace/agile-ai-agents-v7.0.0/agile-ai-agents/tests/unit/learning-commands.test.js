@@ -0,0 +1,220 @@
+/**
+ * Unit tests for learning commands
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../machine-data/scripts/learn-from-contributions-workflow-handler', () => ({
+  getContributions: jest.fn(() => [{ name: '2025-01-30-sprint' }, { name: '2025-02-06-sprint' }]),
+  getAnalyzedContributions: jest.fn(() => new Set(['2025-01-30-sprint'])),
+  calculateReadiness: jest.fn(() => ({ emoji: '🟡', status: 'Ready', message: '1 new contribution ready for analysis' })),
+  initializeWorkflowState: jest.fn(() => ({ workflow_id: 'wf-1', current_phase: 'discovery' })),
+  checkContributions: jest.fn(async () => [{ name: '2025-02-06-sprint', type: 'sprint' }]),
+  analyzeContributions: jest.fn(async () => null),
+  runFullWorkflow: jest.fn(async () => {}),
+  loadWorkflowState: jest.fn(() => ({ current_phase: 'discovery', phases_completed: ['discovery'] })),
+  closeReadline: jest.fn()
+}));
+
+const learningHandler = require('../../machine-data/commands/handlers/learning');
+const { registry } = require('../../machine-data/commands/registry');
+const workflow = require('../../machine-data/scripts/learn-from-contributions-workflow-handler');
+
+describe('Learning Commands', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-commands-'));
+    fs.mkdirSync(path.join(tempRoot, 'machine-data'));
+    fs.mkdirSync(path.join(tempRoot, 'project-state'));
+
+    learningHandler.projectRoot = tempRoot;
+    learningHandler.stateDir = path.join(tempRoot, 'project-state');
+    learningHandler.contributionsDir = path.join(tempRoot, 'community-learnings', 'contributions');
+
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  function writeConfig(skipOptions) {
+    fs.writeFileSync(path.join(tempRoot, 'project-state', 'configuration.json'), JSON.stringify({
+      community_learnings: { contribution: { skip_options: skipOptions } }
+    }));
+  }
+
+  test('should register all learning commands', () => {
+    [
+      '/capture-learnings',
+      '/show-contribution-status',
+      '/review-learnings',
+      '/skip-contribution',
+      '/learn-from-contributions-workflow'
+    ].forEach(cmd => {
+      expect(registry.hasCommand(cmd)).toBe(true);
+    });
+  });
+
+  test('/capture-learnings stores an observation as a continuous learning', async () => {
+    const result = await learningHandler.captureLearnings([
+      '"Parallel', 'testing', 'halved', 'review', 'time"', '--agent', 'testing_agent', '--impact', 'high'
+    ]);
+
+    expect(result.captured).toBe(true);
+    expect(result.learning.type).toBe('continuous');
+    expect(result.total_learnings).toBe(1);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tempRoot, 'machine-data', 'captured-learnings.json'), 'utf8'));
+    expect(stored.learnings[0].agent).toBe('testing_agent');
+    expect(stored.learnings[0].data).toEqual(expect.objectContaining({
+      observation: 'Parallel testing halved review time',
+      impact: 'high'
+    }));
+  });
+
+  test('/capture-learnings without input or retrospective captures nothing', async () => {
+    const result = await learningHandler.captureLearnings([]);
+    expect(result).toEqual({ captured: false, reason: 'no_source' });
+  });
+
+  test('/capture-learnings captures the latest sprint retrospective', async () => {
+    const sprintDir = path.join(tempRoot, 'project-documents', 'orchestration', 'sprints', 'sprint-2025-01-30-auth');
+    fs.mkdirSync(sprintDir, { recursive: true });
+    fs.writeFileSync(path.join(sprintDir, 'sprint-retrospective.json'), JSON.stringify({
+      summary: { velocity: 8 },
+      improvement_actions: []
+    }));
+    fs.writeFileSync(path.join(sprintDir, 'sprint-review.json'), JSON.stringify({
+      metrics: { planned_points: 13, completed_points: 8, stories_blocked: 1 }
+    }));
+
+    const result = await learningHandler.captureLearnings([]);
+
+    expect(result.learning.type).toBe('sprint_end');
+    const stored = JSON.parse(fs.readFileSync(path.join(tempRoot, 'machine-data', 'captured-learnings.json'), 'utf8'));
+    expect(stored.learnings[0].sprint_number).toBe('sprint-2025-01-30-auth');
+    expect(stored.learnings[0].data.velocity).toEqual(expect.objectContaining({ planned: 13, achieved: 8 }));
+  });
+
+  test('/skip-contribution clears the pending prompt and records the skip', async () => {
+    writeConfig({ allow_skip: true, skip_duration: 'session', remember_skips: true });
+    fs.writeFileSync(path.join(tempRoot, 'project-state', 'runtime.json'), JSON.stringify({
+      contribution_state: { pending_prompt: { trigger: 'sprint_end' }, contribution_history: [] }
+    }));
+
+    const result = await learningHandler.skipContribution(['Client', 'NDA', '--duration', 'permanent']);
+
+    expect(result).toEqual(expect.objectContaining({
+      skipped: true,
+      reason: 'Client NDA',
+      skip_until: 'never',
+      cancelled_prompt: 'sprint_end'
+    }));
+
+    const runtime = JSON.parse(fs.readFileSync(path.join(tempRoot, 'project-state', 'runtime.json'), 'utf8'));
+    expect(runtime.contribution_state.pending_prompt).toBeNull();
+    expect(runtime.contribution_state.skip_history).toHaveLength(1);
+  });
+
+  test('/skip-contribution respects allow_skip', async () => {
+    writeConfig({ allow_skip: false });
+    await expect(learningHandler.skipContribution([])).rejects.toThrow('Skipping contributions is disabled');
+  });
+
+  describe('skip expiry', () => {
+    const runtimePath = () => path.join(tempRoot, 'project-state', 'runtime.json');
+    const sprintsDir = () => path.join(tempRoot, 'project-documents', 'orchestration', 'sprints');
+
+    function setSession(id) {
+      const runtime = fs.existsSync(runtimePath()) ? JSON.parse(fs.readFileSync(runtimePath(), 'utf8')) : {};
+      runtime.session = { id, started_at: new Date().toISOString() };
+      fs.writeFileSync(runtimePath(), JSON.stringify(runtime));
+    }
+
+    function setSprint(id) {
+      fs.mkdirSync(path.join(sprintsDir(), id), { recursive: true });
+      fs.rmSync(path.join(sprintsDir(), 'current-sprint'), { force: true });
+      fs.symlinkSync(id, path.join(sprintsDir(), 'current-sprint'));
+    }
+
+    const skipped = () => learningHandler.isSkipActive(learningHandler.readContributionState());
+
+    beforeEach(() => writeConfig({ allow_skip: true }));
+
+    test('a session skip lasts until a new session starts', async () => {
+      setSession('session-1');
+      await learningHandler.skipContribution(['--duration', 'session']);
+      expect(skipped()).toBe(true);
+
+      setSession('session-2');
+      expect(skipped()).toBe(false);
+    });
+
+    test('a sprint skip lasts until the next sprint starts', async () => {
+      setSprint('sprint-2025-01-30-auth');
+      await learningHandler.skipContribution(['--duration', 'sprint']);
+      setSession('session-2');
+      expect(skipped()).toBe(true);
+
+      setSprint('sprint-2025-02-13-billing');
+      expect(skipped()).toBe(false);
+    });
+
+    test('a day skip expires after 24 hours', async () => {
+      await learningHandler.skipContribution(['--duration', 'day']);
+      expect(skipped()).toBe(true);
+
+      const later = Date.now() + 24 * 60 * 60 * 1000 + 1000;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+      try {
+        expect(skipped()).toBe(false);
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
+    test('a permanent skip never expires', async () => {
+      setSession('session-1');
+      setSprint('sprint-2025-01-30-auth');
+      await learningHandler.skipContribution(['--duration', 'permanent']);
+
+      setSession('session-2');
+      setSprint('sprint-2025-02-13-billing');
+      expect(skipped()).toBe(true);
+    });
+  });
+
+  test('/show-contribution-status reports pending contributions and readiness', async () => {
+    const status = await learningHandler.showContributionStatus();
+
+    expect(status.contributions).toEqual({ total: 2, pending: ['2025-02-06-sprint'] });
+    expect(status.readiness.status).toBe('Ready');
+    expect(status.contribution_state.skipped).toBe(false);
+  });
+
+  test('/learn-from-contributions-workflow --check-only runs discovery on a fresh workflow', async () => {
+    const result = await learningHandler.learnFromContributions(['--check-only']);
+
+    expect(workflow.initializeWorkflowState).toHaveBeenCalled();
+    expect(workflow.checkContributions).toHaveBeenCalledWith(expect.objectContaining({ workflow_id: 'wf-1' }));
+    expect(result.phase).toBe('discovery');
+    expect(result.result.contributions).toEqual([
+      { name: '2025-02-06-sprint', type: 'sprint', validation: null }
+    ]);
+    expect(workflow.closeReadline).toHaveBeenCalled();
+  });
+
+  test('/learn-from-contributions-workflow runs the full workflow without flags', async () => {
+    const result = await learningHandler.learnFromContributions([]);
+
+    expect(workflow.runFullWorkflow).toHaveBeenCalled();
+    expect(result.phase).toBe('full');
+    expect(workflow.closeReadline).toHaveBeenCalled();
+  });
+});
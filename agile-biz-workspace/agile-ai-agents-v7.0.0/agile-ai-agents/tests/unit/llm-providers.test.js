@@ -0,0 +1,223 @@
+/**
+ * Unit tests for LLM provider adapters and the router fallback cascade
+ */
+
+const {
+  ProviderRegistry,
+  MockProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  ProviderRateLimitError,
+  ProviderAuthError,
+  ProviderUnavailableError
+} = require('../../machine-data/llm-providers');
+const LLMRouter = require('../../machine-data/llm-router');
+const FallbackManager = require('../../machine-data/fallback-manager');
+const ExternalAPIIntegration = require('../../machine-data/external-api-integration');
+
+// Minimal fetch Response stand-in; `chunks` become a streamed body
+function fakeResponse({ status = 200, json, chunks, headers = {} }) {
+  const encoder = new TextEncoder();
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name] || null },
+    json: async () => json,
+    text: async () => JSON.stringify(json),
+    body: (async function* () {
+      for (const chunk of chunks || []) yield encoder.encode(chunk);
+    })()
+  };
+}
+
+describe('LLM provider adapters', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('mock provider reports usage, streams deltas and injects failures', async () => {
+    const provider = new MockProvider({ respond: () => 'alpha beta gamma' });
+
+    const response = await provider.complete({ model: 'claude-3-haiku', content: 'hello world!' });
+    expect(response).toEqual(expect.objectContaining({
+      provider: 'mock',
+      model: 'claude-3-haiku',
+      content: 'alpha beta gamma',
+      usage: { inputTokens: 3, outputTokens: 4, totalTokens: 7 }
+    }));
+
+    const deltas = [];
+    for await (const event of provider.stream({ model: 'claude-3-haiku', content: 'hi' })) {
+      if (event.type === 'delta') deltas.push(event.text);
+    }
+    expect(deltas).toEqual(['alpha ', 'beta ', 'gamma']);
+
+    provider.failNext(1, 'rate_limit').failModel('gpt-4-turbo', 'auth');
+    await expect(provider.complete({ model: 'claude-3-haiku', content: 'x' })).rejects.toBeInstanceOf(ProviderRateLimitError);
+    await expect(provider.complete({ model: 'gpt-4-turbo', content: 'x' })).rejects.toBeInstanceOf(ProviderAuthError);
+    await expect(provider.healthCheck('gpt-4-turbo')).resolves.toBe(false);
+    expect(provider.calls.map(call => call.model)).toEqual([
+      'claude-3-haiku', 'claude-3-haiku', 'claude-3-haiku', 'gpt-4-turbo'
+    ]);
+  });
+
+  test('openai-compatible adapter maps usage and HTTP errors', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(fakeResponse({
+        json: {
+          choices: [{ message: { content: 'done' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 12, completion_tokens: 3 }
+        }
+      }))
+      .mockResolvedValueOnce(fakeResponse({
+        status: 429,
+        json: { error: { message: 'slow down' } },
+        headers: { 'retry-after': '2' }
+      }));
+    const provider = new OpenAICompatibleProvider({ apiKey: 'sk-test', models: ['gpt-4o'], fetch });
+
+    const response = await provider.complete({ model: 'gpt-4o', content: 'hi', system: 'be brief' });
+    expect(response.usage).toEqual({ inputTokens: 12, outputTokens: 3, totalTokens: 15 });
+    expect(fetch).toHaveBeenCalledWith('https://api.openai.com/v1/chat/completions', expect.objectContaining({
+      headers: expect.objectContaining({ authorization: 'Bearer sk-test' })
+    }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0]).toEqual({ role: 'system', content: 'be brief' });
+
+    const error = await provider.complete({ model: 'gpt-4o', content: 'hi' }).catch(e => e);
+    expect(error).toBeInstanceOf(ProviderRateLimitError);
+    expect(error).toEqual(expect.objectContaining({ status: 429, retryable: true, retryAfter: 2000 }));
+  });
+
+  test('anthropic adapter streams server-sent events', async () => {
+    const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    const fetch = jest.fn().mockResolvedValue(fakeResponse({
+      chunks: [
+        sse('message_start', { message: { usage: { input_tokens: 9 } } }),
+        sse('content_block_delta', { delta: { type: 'text_delta', text: 'Hel' } }).slice(0, 30),
+        sse('content_block_delta', { delta: { type: 'text_delta', text: 'Hel' } }).slice(30),
+        sse('content_block_delta', { delta: { type: 'text_delta', text: 'lo' } }),
+        sse('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }),
+        sse('message_stop', {})
+      ]
+    }));
+    const provider = new AnthropicProvider({ apiKey: 'sk-ant-test', fetch });
+
+    const events = [];
+    for await (const event of provider.stream({ model: 'claude-sonnet-4', content: 'hi' })) {
+      events.push(event);
+    }
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).model).toBe('claude-sonnet-4-20250514');
+    expect(events.filter(e => e.type === 'delta').map(e => e.text)).toEqual(['Hel', 'lo']);
+    expect(events[events.length - 1].response).toEqual(expect.objectContaining({
+      content: 'Hello',
+      finishReason: 'end_turn',
+      usage: { inputTokens: 9, outputTokens: 2, totalTokens: 11 }
+    }));
+  });
+});
+
+describe('Fallback cascade with the mock provider', () => {
+  let mock;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mock = new MockProvider();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createRouter(strategy) {
+    const router = new LLMRouter({ providers: new ProviderRegistry([mock]) });
+    router.strategy = strategy;
+    router.researchConfig = router.parseYamlSection();
+    router.buildFallbackChains();
+    return router;
+  }
+
+  test('routeRequest walks the chain built for the strategy until a model succeeds', async () => {
+    const router = createRouter('zen_enabled');
+    expect(router.fallbackChain.minimal.map(step => step.model)).toEqual([
+      'gemini-1.5-flash', 'claude-3-haiku', 'claude-3-haiku', 'claude-3-sonnet', 'claude-3-opus'
+    ]);
+
+    mock.failModel('gemini-1.5-flash').failModel('claude-3-haiku', 'timeout');
+    const result = await router.routeRequest({ task: 'Market Analysis', level: 'minimal', content: 'Analyze' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, model: 'claude-3-sonnet', via: 'claude', fallbacksUsed: 3 }));
+    expect(result.attempts.map(a => a.errorType)).toEqual([
+      'ProviderUnavailableError', 'ProviderTimeoutError', 'ProviderTimeoutError'
+    ]);
+    expect(result.result).toEqual(expect.objectContaining({ provider: 'mock', tokens: expect.any(Number) }));
+    expect(router.metrics).toEqual(expect.objectContaining({ requests: 1, fallbacks: 3, successes: 1 }));
+  });
+
+  test('routeRequest fails with every attempt once the whole chain is down', async () => {
+    const router = createRouter('claude_native');
+    mock.failModel('*');
+
+    const error = await router.routeRequest({ level: 'medium', content: 'Review' }).catch(e => e);
+
+    expect(error.message).toMatch(/Request failed after trying all models/);
+    expect(error.attempts.map(a => a.model)).toEqual(['claude-3-sonnet', 'claude-3-haiku', 'claude-3-opus']);
+    expect(router.metrics.failures).toBe(1);
+  });
+
+  test('models without a provider fall through to the next link', async () => {
+    const claudeOnly = new MockProvider({ name: 'anthropic', models: ['claude-3-haiku'] });
+    const router = new LLMRouter({ providers: new ProviderRegistry([claudeOnly]) });
+
+    await expect(router.executeWithModel('gpt-4-turbo', 'direct', 'x')).rejects.toBeInstanceOf(ProviderUnavailableError);
+    const tokens = [];
+    const result = await router.executeWithModel('claude-3-haiku', 'claude', 'x', { onToken: t => tokens.push(t) });
+    expect(result.provider).toBe('anthropic');
+    expect(tokens.join('')).toBe(result.response);
+  });
+
+  test('FallbackManager health checks trigger the fallback to the next healthy model', async () => {
+    const manager = new FallbackManager({ providers: new ProviderRegistry([mock]) });
+    await manager.loadFallbackRules();
+    ['gemini-1.5-pro', 'gpt-4-turbo', 'claude-sonnet-4'].forEach(name => manager.registerService(name, {}));
+
+    const events = [];
+    manager.on('fallback', event => events.push(event));
+    const fallbackSpy = jest.spyOn(manager, 'triggerFallback');
+
+    mock.failModel('gemini-1.5-pro');
+    await manager.performHealthChecks();
+    await manager.performHealthChecks();
+    expect(events).toHaveLength(0);
+
+    await manager.performHealthChecks();
+    expect(events).toEqual([expect.objectContaining({ service: 'gemini-1.5-pro' })]);
+    await expect(fallbackSpy.mock.results[0].value).resolves.toBe('gpt-4-turbo');
+
+    mock.failModel('gpt-4-turbo');
+    await manager.performHealthChecks();
+    await expect(manager.triggerFallback('gemini-1.5-pro', 'still down')).resolves.toBe('claude-sonnet-4');
+    expect(manager.getServiceHealth('gemini-1.5-pro')).toEqual(expect.objectContaining({ status: 'unhealthy', failures: 4 }));
+  });
+
+  test('ExternalAPIIntegration routes through injected adapters', async () => {
+    const perplexity = new MockProvider({ name: 'perplexity', extras: { citations: ['https://example.com/a'] } });
+    const external = new ExternalAPIIntegration({ adapters: { perplexity } });
+    await external.initialize();
+
+    const response = await external.routeToProvider('perplexity', { model: 'sonar-pro', content: 'Market size' });
+
+    expect(response).toEqual(expect.objectContaining({
+      provider: 'perplexity',
+      model: 'sonar-pro',
+      citations: ['https://example.com/a'],
+      tokens: response.usage.totalTokens
+    }));
+    expect(external.getMetrics().perplexity).toEqual(expect.objectContaining({ total: 1, successful: 1 }));
+  });
+});
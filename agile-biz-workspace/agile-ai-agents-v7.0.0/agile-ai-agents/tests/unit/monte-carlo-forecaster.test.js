@@ -0,0 +1,152 @@
+/**
+ * Unit tests for Monte Carlo completion forecasting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const express = require('express');
+const { StoryTracker }= require('../../machine-data/story-tracker');
+const { BurndownGenerator } = require('../../machine-data/burndown-generator');
+const { AIVelocityTracker } = require('../../machine-data/velocity-tracker');
+const { MonteCarloForecaster, ForecastError, monteCarloForecaster } = require('../../machine-data/monte-carlo-forecaster');
+const sprintHandler = require('../../machine-data/commands/handlers/sprint');
+const { registry } = require('../../machine-data/commands/registry');
+const forecastAPI = require('../../project-dashboard/api/forecast');
+const { storyServices } = require('../../project-dashboard/story-services');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.now();
+
+describe('Monte Carlo forecaster', () => {
+  let tempDir;
+  let tracker;
+  let burndown;
+  let velocity;
+  let forecaster;
+
+  // Three finished two-hour sprints; one point took an hour of cycle time
+  function recordHistory() {
+    const base = Date.parse('2025-01-01T00:00:00.000Z');
+    [8, 10, 12].forEach((points, index) => {
+      velocity.recordSprintVelocity({
+        sprint_id: `past_${index + 1}`,
+        start_date: new Date(base + index * 2 * HOUR).toISOString(),
+        end_date: new Date(base + (index + 1) * 2 * HOUR).toISOString(),
+        planned_points: 10,
+        completed_points: points,
+        cycle_times: [{ story_id: `PAST-${index}`, hours: 2, points: 2 }]
+      });
+    });
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forecast-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    tracker = new StoryTracker({ sprintTrackingPath: tempDir });
+    burndown = new BurndownGenerator({ storyTracker: tracker, burndownPath: path.join(tempDir, 'burndown') });
+    velocity = new AIVelocityTracker({ storyTracker: tracker, velocityPath: path.join(tempDir, 'velocity.json') });
+    forecaster = new MonteCarloForecaster({
+      velocityTracker: velocity,
+      storyTracker: tracker,
+      burndownGenerator: burndown,
+      now: () => new Date(NOW)
+    });
+    recordHistory();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('produces reproducible, ordered percentiles that widen with scope growth', () => {
+    const base = forecaster.forecastPoints(30, { seed: 42, trials: 2000 });
+    expect(forecaster.forecastPoints(30, { seed: 42, trials: 2000 })).toEqual(base);
+
+    expect(base.status).toBe('ok');
+    const { p50, p85, p95 } = base.percentiles;
+    expect(p50.sprints).toBeGreaterThanOrEqual(3);
+    expect(p50.hours).toBeLessThanOrEqual(p85.hours);
+    expect(p85.hours).toBeLessThanOrEqual(p95.hours);
+    expect(new Date(p95.date) >= new Date(p50.date)).toBe(true);
+    expect(base.distribution[base.distribution.length - 1].probability).toBe(1);
+    expect(base.inputs).toEqual(expect.objectContaining({ sprints_sampled: 3, scope_change_rate: 0 }));
+
+    // Scope added by hand during a past sprint raises the sampled growth rate
+    burndown.initializeBurndown({ sprint_id: 'past_2', start_date: new Date().toISOString(), duration_hours: 2, total_points: 10 });
+    burndown.addScopeChange('past_2', { type: 'added', points: 5, reason: 'Late requirement' });
+    const grown = forecaster.forecastPoints(30, { seed: 42, trials: 2000 });
+    expect(grown.inputs.scope_change_rate).toBeGreaterThan(0);
+    expect(grown.percentiles.p85.hours).toBeGreaterThan(p85.hours);
+
+    // Average-velocity forecasts carry the percentiles alongside the single point
+    expect(velocity.forecastEpicCompletion(30).probabilistic.p85.sprints).toBeGreaterThanOrEqual(p50.sprints);
+  });
+
+  test('forecasts sprints and epics from their stories and cycle times', () => {
+    const start = new Date(NOW);
+    tracker.createStory({ title: 'Login form', story_points: 3, sprint_id: 'sprint_2', labels: ['auth'] });
+    tracker.createStory({ title: 'Token refresh', story_points: 8, sprint_id: 'sprint_2', labels: ['auth'] });
+    tracker.createStory({ title: 'Audit log', story_points: 5, labels: ['compliance'] });
+    burndown.initializeBurndown({
+      sprint_id: 'sprint_2',
+      start_date: start.toISOString(),
+      end_date: new Date(start.getTime() + 4 * HOUR).toISOString(),
+      duration_hours: 4,
+      total_points: 11
+    });
+
+    // Throughput alone finishes 11 points in about two hours, but an 8-point story
+    // has never taken less than one hour per point
+    const sprint = forecaster.forecast('sprint', 'sprint_2', { seed: 7, trials: 1000 });
+    expect(sprint).toEqual(expect.objectContaining({ status: 'ok', remaining_points: 11, remaining_stories: 2 }));
+    expect(sprint.percentiles.p50.hours).toBeGreaterThanOrEqual(7.9);
+    expect(sprint.probability_on_target).toBe(0);
+
+    const epic = forecaster.forecast('epic', 'auth', { seed: 7, trials: 1000 });
+    expect(epic.remaining_points).toBe(11);
+    expect(forecaster.forecast('backlog', null, { seed: 7, trials: 1000 }).remaining_points).toBe(16);
+    expect(() => forecaster.forecast('release')).toThrow(ForecastError);
+
+    const fresh = new MonteCarloForecaster({
+      velocityTracker: new AIVelocityTracker({ storyTracker: tracker, velocityPath: path.join(tempDir, 'none.json') }),
+      storyTracker: tracker,
+      burndownGenerator: burndown
+    });
+    expect(fresh.forecast('epic', 'auth').status).toBe('insufficient_history');
+  });
+
+  test('/forecast prints percentiles for the requested scope', async () => {
+    expect(registry.hasCommand('/forecast')).toBe(true);
+    Object.assign(monteCarloForecaster, { velocityTracker: velocity, storyTracker: tracker, burndownGenerator: burndown });
+
+    const result = await sprintHandler.forecast(['backlog', '--points', '20', '--seed', '3', '--trials', '500']);
+    expect(result).toEqual(expect.objectContaining({ status: 'ok', trials: 500, seed: 3, remaining_points: 20 }));
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/P85: /));
+
+    await expect(sprintHandler.forecast(['epic'])).rejects.toThrow(/needs an epic label/);
+  });
+
+  test('rejects trial counts that are not positive whole numbers', async () => {
+    [0, -5, 2.5, 'many'].forEach(trials => {
+      expect(() => forecaster.forecast('backlog', null, { trials })).toThrow(ForecastError);
+    });
+    expect(forecaster.forecast('backlog', null, { trials: '200', seed: 1 }).trials).toBe(200);
+
+    // The dashboard answers 400 instead of failing on an empty sample
+    jest.spyOn(storyServices, 'forecaster').mockReturnValue(forecaster);
+    const app = express();
+    app.use('/api/forecast', forecastAPI);
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/forecast?trials=-5`);
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toMatch(/Trials must be a positive whole number/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for agent-driven planning poker and estimation calibration feedback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ProviderRegistry, MockProvider } = require('../../machine-data/llm-providers');
+const LLMRouter = require('../../machine-data/llm-router');
+const { StoryTracker } = require('../../machine-data/story-tracker');
+const { StoryPointCalibration } = require('../../machine-data/story-point-calibration');
+const { PlanningPoker, planningPoker } = require('../../machine-data/planning-poker');
+const { SimilarityIndex } = require('../../machine-data/similarity-index');
+const sprintHandler = require('../../machine-data/commands/handlers/sprint');
+const { registry } = require('../../machine-data/commands/registry');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Planning poker with agent personas', () => {
+  let tempDir;
+  let clock;
+  let tracker;
+  let calibration;
+  let poker;
+  let mock;
+  let replies;
+  let requests;
+
+  // Scripted replies per agent and round; the prompt says who is asked and which round it is
+  function respond(request) {
+    requests.push(request);
+    const agent = request.system.match(/You are the (\w+(?: \w+)*) on/)[1].replace(/ /g, '_');
+    const round = /Round 1 estimates/.test(request.content) ? 2 : 1;
+    return replies[agent][round - 1];
+  }
+
+  function createRouter() {
+    const router = new LLMRouter({ providers: new ProviderRegistry([mock]) });
+    router.strategy = 'claude_native';
+    router.researchConfig = router.parseYamlSection();
+    router.buildFallbackChains();
+    return router;
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'planning-poker-'));
+    clock = Date.now();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    requests = [];
+    mock = new MockProvider({ respond });
+    tracker = new StoryTracker({ sprintTrackingPath: tempDir, now: () => new Date(clock) });
+    calibration = new StoryPointCalibration({ feedbackPath: path.join(tempDir, 'estimation-feedback.json') });
+    poker = new PlanningPoker({
+      sessionsPath: path.join(tempDir, 'sessions'),
+      router: createRouter(),
+      storyTracker: tracker,
+      calibration,
+      similarityIndex: new SimilarityIndex({ indexPath: path.join(tempDir, 'similarity-index.json'), sources: {} })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('asks the suggested personas in parallel, shares reasoning and calibrates outliers', async () => {
+    // Security has overestimated before, so its outlying 21 is pulled towards the team
+    calibration.recordEstimationError('security_agent', { story_id: 'OLD-1', estimated: 21, actual: 8 });
+    expect(calibration.getEstimationBias('security_agent')).toBe(0.5);
+
+    replies = {
+      coder_agent: ['{"points": 3, "reasoning": "One endpoint on the existing router"}', '{"points": 5, "reasoning": "Token rotation adds work"}'],
+      testing_agent: ['Around 8 points: negative auth cases need coverage', '{"points": 5, "reasoning": "Agreed after review"}'],
+      security_agent: ['{"points": 21, "reasoning": "Token rotation and lockout policy"}', '{"points": 5, "reasoning": "Lockout already exists"}']
+    };
+    const story = {
+      id: 'AUTH-1',
+      title: 'Secure login API endpoint',
+      description: 'Add auth endpoint with tests'
+    };
+
+    expect(poker.selectParticipants(story)).toEqual(['coder_agent', 'testing_agent', 'security_agent']);
+    const session = (await poker.estimateWithAgents(story)).session;
+
+    const [first] = session.rounds;
+    expect(first.estimates.testing_agent).toEqual(expect.objectContaining({ points: 8, raw_points: 8, normalized: false }));
+    expect(first.estimates.security_agent).toEqual(expect.objectContaining({ points: 8, raw_points: 21, normalized: true }));
+    expect(first.statistics.consensus).toBe(false);
+    expect(session.consensus).toEqual(expect.objectContaining({ points: 5, method: 'consensus' }));
+
+    // Personas come from the agent JSON summaries; round two sees round one's reasoning
+    expect(requests[0].system).toMatch(/software implementation[\s\S]*Fibonacci scale/);
+    const roundTwo = requests.map(request => request.content).filter(prompt => /Round 1 estimates/.test(prompt));
+    expect(roundTwo).toHaveLength(3);
+    expect(roundTwo[0]).toContain('security_agent: 8 points. Token rotation and lockout policy');
+
+    const history = JSON.parse(fs.readFileSync(path.join(tempDir, 'sessions', 'estimation-history.json'), 'utf8'));
+    expect(history.estimates.pop()).toEqual(expect.objectContaining({
+      story_id: 'AUTH-1',
+      points: 5,
+      estimates: { coder_agent: 5, testing_agent: 5, security_agent: 5 }
+    }));
+  });
+
+  test('/estimate records the consensus and sprint review feeds the error back', async () => {
+    expect(registry.hasCommand('/estimate')).toBe(true);
+    Object.assign(planningPoker, poker);
+
+    const story = tracker.createStory({ title: 'Billing API endpoint', story_points: 2, sprint_id: 'sprint_1' }).story;
+    replies = {
+      coder_agent: ['{"points": 5, "reasoning": "Stripe webhooks"}'],
+      api_agent: ['{"points": 5, "reasoning": "Versioned contract"}'],
+      testing_agent: ['I would rather not say']
+    };
+
+    const result = await sprintHandler.estimate([story.id, '--agents', 'coder_agent,api_agent,testing_agent']);
+    expect(result.consensus.points).toBe(5);
+    expect(result.participants).toEqual(['coder_agent', 'api_agent']);
+    const estimated = tracker.getStory(story.id).story;
+    expect(estimated.story_points).toBe(5);
+    expect(estimated.timing.estimated_hours).toBe(2.5);
+    await expect(sprintHandler.estimate(['NOPE-1'])).rejects.toThrow(/Unknown story/);
+
+    // Five hours of work on a 2.5 hour estimate: the story was really about 10 points
+    tracker.updateStoryStatus(story.id, 'in_progress');
+    clock += 5 * HOUR;
+    tracker.updateStoryStatus(story.id, 'completed');
+
+    const outcomes = poker.recordSprintOutcomes('sprint_1');
+    expect(outcomes.map(outcome => [outcome.agent, outcome.estimated, outcome.actual])).toEqual([
+      ['coder_agent', 5, 10],
+      ['api_agent', 5, 10]
+    ]);
+    expect(calibration.getEstimationBias('coder_agent')).toBe(2);
+    expect(calibration.calibrateForAgent(5, 'coder_agent')).toBe(8);
+    expect(poker.recordSprintOutcomes('sprint_1')).toEqual([]);
+
+    // Feedback survives a restart
+    const reloaded = new StoryPointCalibration({ feedbackPath: calibration.feedbackPath });
+    expect(reloaded.getEstimationBias('api_agent')).toBe(2);
+  });
+});
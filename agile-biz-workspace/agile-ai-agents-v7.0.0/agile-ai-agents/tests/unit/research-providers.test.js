@@ -0,0 +1,193 @@
+/**
+ * Unit tests for research providers and deep research against a local corpus
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DeepResearchIntegration = require('../../machine-data/deep-research-integration');
+const {
+  ResearchProviderRegistry,
+  createResearchProviderRegistry,
+  LocalCorpusProvider,
+  TavilyResearchProvider,
+  SerpApiResearchProvider,
+  sourceId
+} = require('../../machine-data/research-providers');
+const { ProviderRateLimitError } = require('../../machine-data/llm-providers');
+
+const CORPUS = {
+  'guides/agent-coordination.md': `# Agent Coordination Patterns
+
+Multi-agent systems coordinate through a shared blackboard or direct message passing between agents.
+
+Orchestrators assign work to specialised agents and collect their results into a single plan.
+
+Unrelated paragraph about release notes and changelog formatting conventions.`,
+  'papers/consensus.txt': `Consensus Protocols for Autonomous Agents
+
+Agent coordination relies on consensus protocols so agents agree on shared state before acting.
+
+Raft and Paxos are the consensus algorithms most often adapted for agent architecture.`,
+  'web/market.html': `<html><head><title>Agent Platform Market</title><style>.x{}</style></head>
+<body><h1>Agent Platform Market</h1>
+<p>Competitors in the agent platform market compare coordination features &amp; pricing.</p>
+<p>Alternatives include workflow engines that lack agent coordination entirely.</p></body></html>`,
+  'notes/cooking.md': `# Bread Recipes
+
+Sourdough needs a mature starter, flour, water and salt mixed the night before baking.`
+};
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status < 400,
+    status,
+    headers: { get: () => 'application/json' },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+describe('Research providers', () => {
+  let corpusDir;
+
+  beforeEach(() => {
+    corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-corpus-'));
+    for (const [file, content] of Object.entries(CORPUS)) {
+      fs.mkdirSync(path.dirname(path.join(corpusDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(corpusDir, file), content);
+    }
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(corpusDir, { recursive: true, force: true });
+  });
+
+  test('local corpus ranks markdown, HTML and text documents with BM25 and stable IDs', async () => {
+    const local = new LocalCorpusProvider({ root: corpusDir });
+
+    expect(await local.buildIndex()).toEqual({ documents: 4, root: corpusDir });
+
+    const results = await local.search('consensus agent coordination');
+    expect(results.map(r => r.url)).toEqual([
+      'corpus://papers/consensus.txt',
+      'corpus://web/market.html',
+      'corpus://guides/agent-coordination.md'
+    ]);
+    expect(results[0]).toEqual(expect.objectContaining({
+      id: sourceId('corpus://papers/consensus.txt'),
+      provider: 'local',
+      title: 'Consensus Protocols for Autonomous Agents',
+      snippet: 'Agent coordination relies on consensus protocols so agents agree on shared state before acting.',
+      confidence: 0.9
+    }));
+    expect(results[2].confidence).toBeLessThan(results[0].confidence);
+
+    const page = await local.fetch(results[1]);
+    expect(page).toEqual(expect.objectContaining({ title: 'Agent Platform Market', content_type: 'text/html' }));
+    expect(page.content).toContain('coordination features & pricing');
+    expect(page.content).not.toContain('.x{}');
+
+    const extracted = await local.extract(await local.fetch(results[2]), { query: 'orchestrators plan', maxPassages: 2 });
+    expect(extracted.passages.map(p => p.text)).toEqual([
+      'Orchestrators assign work to specialised agents and collect their results into a single plan.'
+    ]);
+
+    // IDs depend only on the location, not on a run or on file contents
+    fs.appendFileSync(path.join(corpusDir, 'papers/consensus.txt'), '\n\nEdited later with more agent coordination notes.');
+    const rebuilt = new LocalCorpusProvider({ root: corpusDir });
+    expect((await rebuilt.search('consensus'))[0].id).toBe(results[0].id);
+    await expect(rebuilt.fetch({ url: 'corpus://missing.md' })).rejects.toThrow(/not in the corpus/);
+  });
+
+  test('deep research over the corpus is reproducible and cites stable source IDs', async () => {
+    const run = async () => {
+      const research = new DeepResearchIntegration({
+        registry: new ResearchProviderRegistry([new LocalCorpusProvider({ root: corpusDir })])
+      });
+      const report = await research.initialize();
+      expect(report.providers.map(p => p.name)).toEqual(['local']);
+      return research.performDeepResearch('agent coordination', { depth: 'comprehensive', focus: 'technical' });
+    };
+
+    const first = await run();
+    const second = await run();
+
+    expect(first.providers_used).toEqual(['local']);
+    expect(first.citations).toEqual(second.citations);
+    expect(first.insights).toEqual(second.insights);
+    expect(first.citations.map(c => c.url).sort()).toEqual([
+      'corpus://guides/agent-coordination.md',
+      'corpus://papers/consensus.txt',
+      'corpus://web/market.html'
+    ]);
+    expect(first.citations.every(c => c.id === sourceId(c.url))).toBe(true);
+
+    // Each document is one source, corroborated by every query that found it
+    expect(first.summary.sources_analyzed).toBe(3);
+    const finding = first.insights.find(i => i.source_id === sourceId('corpus://guides/agent-coordination.md'));
+    expect(finding.sources).toBeGreaterThan(1);
+    expect(finding.content).not.toMatch(/^Agent coordination research/);
+  });
+
+  test('crossReferenceFindings and extractCitations key citations by source ID', async () => {
+    const research = new DeepResearchIntegration({ registry: new ResearchProviderRegistry() });
+    const url = 'https://Example.com/paper/#section-2';
+    const analyzed = [
+      { id: sourceId(url), provider: 'tavily', query: 'a', url, title: 'Paper', content: 'x', confidence: 0.6 },
+      { id: sourceId(url), provider: 'exa', query: 'b', url, title: 'Paper', content: 'y', confidence: 0.8 },
+      { provider: 'perplexity', query: 'c', content: 'answer', citations: ['https://example.com/paper'], confidence: 0.9 },
+      { provider: 'fallback', query: 'd', content: 'basic', confidence: 0.5 }
+    ].map(source => ({ ...source, analysis: { citations: research.extractCitations(source) } }));
+
+    expect(analyzed[3].analysis.citations).toEqual([]);
+
+    const validated = await research.crossReferenceFindings(analyzed);
+    expect(validated.citations).toEqual([
+      expect.objectContaining({ id: sourceId('https://example.com/paper'), provider: 'perplexity', confidence: 0.9 })
+    ]);
+    expect(validated.sources[0]).toEqual(expect.objectContaining({ provider: 'tavily', corroboration: 2 }));
+    expect(validated.sources).toHaveLength(3);
+  });
+
+  test('web providers map API responses, errors and environment configuration', async () => {
+    const calls = [];
+    const fetch = jest.fn(async (url, init) => {
+      calls.push({ url, init });
+      if (url.startsWith('https://api.tavily.com/search')) {
+        return jsonResponse({ results: [
+          { url: 'https://a.example/post', title: 'A', content: 'Alpha', score: 0.4 },
+          { url: 'https://b.example/post/', title: 'B', content: 'Beta', score: 0.8 }
+        ] });
+      }
+      return jsonResponse({ error: { message: 'Too many requests' } }, 429);
+    });
+
+    const tavily = new TavilyResearchProvider({ apiKey: 'tvly-test', fetch });
+    const results = await tavily.search('agents', { limit: 2 });
+    expect(results.map(r => [r.id, r.confidence])).toEqual([
+      [sourceId('https://a.example/post'), 0.6],
+      [sourceId('https://b.example/post'), 0.8]
+    ]);
+    expect(JSON.parse(calls[0].init.body)).toEqual({ query: 'agents', search_depth: 'advanced', max_results: 2 });
+    expect(calls[0].init.headers.authorization).toBe('Bearer tvly-test');
+
+    const serpapi = new SerpApiResearchProvider({ apiKey: 'serp-test', fetch });
+    await expect(serpapi.search('agents')).rejects.toBeInstanceOf(ProviderRateLimitError);
+    expect(calls[1].url).toContain('engine=google_scholar');
+
+    const offline = createResearchProviderRegistry({ RESEARCH_PROVIDER: 'local', RESEARCH_CORPUS_DIR: corpusDir, TAVILY_API_KEY: 'tvly-test' });
+    expect(offline.list().map(p => p.name)).toEqual(['local']);
+
+    const simulated = createResearchProviderRegistry({ SIMULATE_EXTERNAL_APIS: 'true', TAVILY_API_KEY: 'tvly-test', EXA_API_KEY: 'exa-test' }, { exa: { fetch } });
+    expect(simulated.list().map(p => p.name)).toEqual(['exa']);
+
+    const live = createResearchProviderRegistry({ SERPAPI_API_KEY: 'serp-test', EXA_API_KEY: 'your_exa_key' });
+    expect(live.list().map(p => p.name)).toEqual(['serpapi']);
+
+    expect(() => createResearchProviderRegistry({ RESEARCH_PROVIDER: 'local' })).toThrow(/RESEARCH_CORPUS_DIR/);
+  });
+});
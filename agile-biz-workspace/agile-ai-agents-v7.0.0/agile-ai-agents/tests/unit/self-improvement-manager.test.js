@@ -0,0 +1,198 @@
+/**
+ * Unit tests for applying, measuring and rolling back self-improvements
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SelfImprovementManager = require('../../machine-data/self-improvement-manager');
+const { AIVelocityTracker } = require('../../machine-data/velocity-tracker');
+const { InternalMetricsCollector } = require('../../machine-data/internal-metrics-collector');
+const { applyUnifiedDiff, createUnifiedDiff } = require('../../machine-data/utils/text-diff');
+
+const AGENT_FILE = `# Testing Agent
+
+## Core Responsibilities
+- Run browser tests sequentially
+
+## Version History
+
+### v1.0.0
+- Initial release
+`;
+
+describe('SelfImprovementManager', () => {
+  let tempDir;
+  let agentPath;
+  let velocityTracker;
+  let metricsCollector;
+  let manager;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'self-improvement-'));
+    fs.mkdirSync(path.join(tempDir, 'ai-agents'));
+    fs.mkdirSync(path.join(tempDir, 'machine-data'));
+    agentPath = path.join(tempDir, 'ai-agents', 'testing_agent.md');
+    fs.writeFileSync(agentPath, AGENT_FILE);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    velocityTracker = new AIVelocityTracker();
+    velocityTracker.velocityPath = path.join(tempDir, 'velocity-history.json');
+    velocityTracker.velocityHistory = velocityTracker.loadVelocityHistory();
+
+    metricsCollector = new InternalMetricsCollector();
+    metricsCollector.metricsPath = path.join(tempDir, 'internal-metrics.json');
+    metricsCollector.internalMetrics = metricsCollector.loadInternalMetrics();
+
+    manager = new SelfImprovementManager(tempDir, {
+      velocityTracker,
+      metricsCollector,
+      settings: { observation_window_sprints: 2, regression_threshold_percent: 10, auto_rollback: true }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Sprint records shaped like recordSprintVelocity / collectSprintEndMetrics output
+  function completeSprint(id, { velocity, agentPoints, defects = 0, accuracy = 0.8, coverage = 0.7 }) {
+    velocityTracker.velocityHistory.team_velocity.sprints.push({ sprint_id: id, velocity, completed_points: velocity, defects_found: defects });
+    const agent = velocityTracker.velocityHistory.agent_velocity.testing_agent || { sprints: [] };
+    agent.sprints.push({ sprint_id: id, points: agentPoints, efficiency: 100 });
+    velocityTracker.velocityHistory.agent_velocity.testing_agent = agent;
+    metricsCollector.internalMetrics.sprint_metrics.push({
+      sprint_id: id,
+      velocity: { velocity, completed_points: velocity, completion_rate: 0.9 },
+      estimation: { accuracy_rate: accuracy },
+      coverage: { overall_coverage: coverage }
+    });
+  }
+
+  function approve(overrides = {}) {
+    const proposal = manager.proposeImprovement({
+      agent: 'testing_agent',
+      type: 'optimization',
+      trigger: 'Repeated timeout errors in browser tests',
+      description: 'Run browser tests in parallel',
+      current_behavior: 'Tests run sequentially',
+      proposed_change: 'Run browser tests in parallel with max 4 workers',
+      expected_impact: '50% reduction in test execution time',
+      ...overrides
+    });
+    manager.validateProposal(proposal.id, { approved: true, reason: 'Evidence is strong', modifications: ['Keep one worker for flaky suites'] });
+    return proposal;
+  }
+
+  test('applies a proposal as a real diff, bumps the agent version and starts observing', async () => {
+    completeSprint('sprint_1', { velocity: 20, agentPoints: 8 });
+    completeSprint('sprint_2', { velocity: 22, agentPoints: 10 });
+    const proposal = approve();
+
+    const impl = await manager.implementImprovement(proposal.id);
+
+    expect(impl.status).toBe('observing');
+    expect(impl.from_version).toBe('1.0.0');
+    expect(impl.to_version).toMatch(/^1\.0\.0\+\d{8}\.1$/);
+    expect(impl.metrics_before).toEqual(expect.objectContaining({
+      sprint_ids: ['sprint_1', 'sprint_2'],
+      metrics: expect.objectContaining({ team_velocity: 21, agent_velocity: 9, estimation_accuracy: 0.8, defects_found: 0 })
+    }));
+
+    const [change, modification] = impl.changes;
+    expect(change).toEqual(expect.objectContaining({ type: 'behavior_update', location: path.join('ai-agents', 'testing_agent.md'), lines_added: 7, lines_removed: 0 }));
+    expect(change.diff).toContain('+## Learned Improvements');
+    expect(change.diff).toContain(`+- **Run browser tests in parallel** (${proposal.id})`);
+    expect(applyUnifiedDiff(AGENT_FILE, change.diff)).toContain('  - Keep one worker for flaky suites');
+    expect(modification).toEqual(expect.objectContaining({ type: 'modification', description: 'Keep one worker for flaky suites' }));
+
+    const content = fs.readFileSync(agentPath, 'utf8');
+    expect(content.indexOf('## Learned Improvements')).toBeLessThan(content.indexOf('## Version History'));
+    expect(content).toContain(`### v${impl.to_version}`);
+    expect(fs.readdirSync(path.join(tempDir, '.agent-backups'))).toEqual([impl.backup]);
+    expect(metricsCollector.internalMetrics.improvement_tracking.implemented_actions[0]).toEqual(
+      expect.objectContaining({ action: impl.id, sprint_id: 'sprint_2' })
+    );
+
+    // A second change to the same agent waits for the verdict on the first
+    const next = approve({ description: 'Another change' });
+    await expect(manager.implementImprovement(next.id)).rejects.toThrow(/still observing/);
+  });
+
+  test('keeps an improvement that holds up over the observation window', async () => {
+    completeSprint('sprint_1', { velocity: 20, agentPoints: 8 });
+    completeSprint('sprint_2', { velocity: 22, agentPoints: 10 });
+    const impl = await manager.implementImprovement(approve().id);
+
+    completeSprint('sprint_3', { velocity: 24, agentPoints: 11, accuracy: 0.85 });
+    expect((await manager.evaluateImprovement(impl.id)).observation.sprints_observed).toBe(1);
+
+    completeSprint('sprint_4', { velocity: 26, agentPoints: 12, accuracy: 0.85, coverage: 0.75 });
+    const [evaluated] = await manager.evaluatePendingImprovements();
+
+    expect(evaluated.status).toBe('completed');
+    expect(evaluated.metrics_after.sprint_ids).toEqual(['sprint_3', 'sprint_4']);
+    expect(evaluated.success_metrics.metrics.team_velocity).toEqual({ before: 21, after: 25, change_percent: 19 });
+    expect(evaluated.success_metrics).toEqual(expect.objectContaining({ regressions: [], success_rate: 1, summary: '4 of 6 metrics improved' }));
+    expect(fs.readFileSync(agentPath, 'utf8')).toContain('## Learned Improvements');
+
+    const history = manager.versionManager.getAgentHistory('testing_agent');
+    expect(history.improvements[0]).toEqual(expect.objectContaining({ to_version: impl.to_version, validated: true }));
+    expect(manager.getImprovementPatterns().by_agent.testing_agent).toEqual({ total: 1, successful: 1 });
+  });
+
+  test('rolls back automatically when a metric regresses past the threshold', async () => {
+    completeSprint('sprint_1', { velocity: 20, agentPoints: 10 });
+    completeSprint('sprint_2', { velocity: 20, agentPoints: 10 });
+    const impl = await manager.implementImprovement(approve().id);
+    const rolledBack = jest.fn();
+    manager.on('improvement_rolled_back', rolledBack);
+
+    completeSprint('sprint_3', { velocity: 21, agentPoints: 7, defects: 2 });
+    completeSprint('sprint_4', { velocity: 21, agentPoints: 8, defects: 1 });
+    const evaluated = await manager.evaluateImprovement(impl.id);
+
+    expect(evaluated.status).toBe('rolled_back');
+    expect(evaluated.success_metrics.regressions).toEqual(['agent_velocity', 'defects_found']);
+    expect(evaluated.rollback).toEqual(expect.objectContaining({
+      reason: 'Regressed: agent_velocity, defects_found',
+      restored: [path.join('ai-agents', 'testing_agent.md')]
+    }));
+    expect(fs.readFileSync(agentPath, 'utf8')).toBe(AGENT_FILE);
+    expect(rolledBack).toHaveBeenCalledTimes(1);
+
+    const history = manager.versionManager.getAgentHistory('testing_agent');
+    expect(history.current_version).toBe('1.0.0');
+    expect(history.improvements[0].rolled_back).toBe(true);
+
+    const log = JSON.parse(fs.readFileSync(path.join(tempDir, 'machine-data', 'self-improvements.json'), 'utf8'));
+    expect(log.improvements).toHaveLength(1);
+    expect(log.statistics).toEqual(expect.objectContaining({ rolled_back_implementations: 1, failed_implementations: 1 }));
+    expect(manager.getImprovementPatterns().failure_patterns).toEqual([
+      { agent: 'testing_agent', type: 'optimization', reason: 'Regressed: agent_velocity, defects_found' }
+    ]);
+  });
+
+  test('applies explicit patches and restores the agent when a patch does not apply', async () => {
+    const patched = AGENT_FILE.replace('- Run browser tests sequentially', '- Run browser tests with 4 parallel workers');
+    const good = approve({ patch: createUnifiedDiff(AGENT_FILE, patched, { fromFile: 'a/ai-agents/testing_agent.md', toFile: 'b/ai-agents/testing_agent.md' }) });
+
+    const impl = await manager.implementImprovement(good.id);
+    expect(impl.changes[0]).toEqual(expect.objectContaining({ type: 'patch', lines_added: 1, lines_removed: 1 }));
+    expect(fs.readFileSync(agentPath, 'utf8')).toContain('- Run browser tests with 4 parallel workers');
+
+    // Stale patch against the original text once the first change is in place
+    completeSprint('sprint_1', { velocity: 20, agentPoints: 10 });
+    completeSprint('sprint_2', { velocity: 20, agentPoints: 10 });
+    await manager.evaluateImprovement(impl.id);
+    const before = fs.readFileSync(agentPath, 'utf8');
+    const stale = approve({ patch: good.patch });
+
+    const failed = await manager.implementImprovement(stale.id);
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toMatch(/Hunk does not apply/);
+    expect(fs.readFileSync(agentPath, 'utf8')).toBe(before);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the shared similarity index and its callers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The real state tracker starts an auto-save interval on load
+jest.mock('../../machine-data/state-tracker', () => ({
+  stateTracker: {
+    trackDecision: jest.fn(),
+    loadProjectState: jest.fn(() => ({}))
+  }
+}));
+
+const { SimilarityIndex, similarityIndex } = require('../../machine-data/similarity-index');
+const { DecisionLogger } = require('../../machine-data/decision-logger');
+const { PlanningPoker } = require('../../machine-data/planning-poker');
+const { ConfidenceScorer } = require('../../machine-data/context-verification/confidence-scorer');
+const DeepResearchIntegration = require('../../machine-data/deep-research-integration');
+const { ResearchProviderRegistry } = require('../../machine-data/research-providers');
+const stateHandler = require('../../machine-data/commands/handlers/state');
+const { registry } = require('../../machine-data/commands/registry');
+
+describe('Similarity index', () => {
+  let tempDir;
+  let indexPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'similarity-'));
+    indexPath = path.join(tempDir, 'similarity-index.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('ranks items, persists them and only re-indexes what changed', () => {
+    const index = new SimilarityIndex({ indexPath, sources: {} });
+    index.upsert('story', 'AUTH-1', { title: 'OAuth login', text: 'Login with Google OAuth and refresh tokens' });
+    index.upsert('story', 'PAY-1', { title: 'Card payments', text: 'Charge cards through Stripe with retries' });
+    index.upsert('decision', 'd-1', { title: 'Use refresh token rotation', text: 'Limits stolen token reuse' });
+
+    const hits = index.search('refresh tokens for OAuth login');
+    expect(hits.map(hit => hit.key)).toEqual(['AUTH-1', 'd-1']);
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    expect(index.search('refresh tokens', { types: ['decision'] }).map(hit => hit.key)).toEqual(['d-1']);
+
+    // Unchanged content is a no-op; edits and removals are picked up by other instances
+    expect(index.upsert('story', 'AUTH-1', { title: 'OAuth login', text: 'Login with Google OAuth and refresh tokens' })).toBe(false);
+    const other = new SimilarityIndex({ indexPath, sources: {} });
+    expect(other.search('Stripe').map(hit => hit.key)).toEqual(['PAY-1']);
+    expect(other.sync('story', [{ key: 'AUTH-1', title: 'OAuth login', text: 'Login with GitHub OAuth' }])).toBe(2);
+    expect(index.search('Stripe')).toEqual([]);
+    expect(index.search('GitHub')[0].key).toBe('AUTH-1');
+
+    // Exact terms miss "authenticate" vs "authentication"; local embeddings do not
+    expect(index.compare('authenticate users', 'user authentication')).toBeLessThan(0.6);
+    const embedded = new SimilarityIndex({ indexPath, sources: {}, embedder: 'hashing' });
+    expect(embedded.compare('authenticate users', 'user authentication')).toBeGreaterThan(0.4);
+    expect(embedded.search('authenticate').map(hit => hit.key)).toContain('AUTH-1');
+  });
+
+  test('decision search, historical estimates, pattern checks and research grouping query the index', () => {
+    const index = new SimilarityIndex({ indexPath, sources: {} });
+
+    const logger = new DecisionLogger({ decisionLogPath: path.join(tempDir, 'decision-log.json'), similarityIndex: index });
+    logger.decisionLog.decisions = [
+      { id: 'd-1', decision: 'Adopt PostgreSQL', rationale: 'Relational reporting queries', category: 'technology', tags: [], alternatives_considered: ['MongoDB'] },
+      { id: 'd-2', decision: 'Cache sessions in Redis', rationale: 'Fast session lookup', category: 'architecture', tags: ['performance'], alternatives_considered: [] }
+    ];
+    expect(logger.searchDecisions('MongoDB reporting').map(d => d.id)).toEqual(['d-1']);
+    expect(logger.searchDecisions('session cache').map(d => d.id)).toEqual(['d-2']);
+
+    const poker = new PlanningPoker({ sessionsPath: path.join(tempDir, 'sessions'), similarityIndex: index });
+    const similar = poker.findSimilarStories({ title: 'Password login', description: 'Login with email and password' });
+    expect(similar[0]).toEqual(expect.objectContaining({ title: 'User login implementation', points: 3 }));
+    expect(similar[0].similarity).toBeGreaterThan(0.3);
+    expect(index.search('login', { types: ['estimate'] }).length).toBeGreaterThan(0);
+
+    const scorer = new ConfidenceScorer({ similarityIndex: index });
+    expect(scorer.isSimilarPattern('invoice tax export for casino affiliates', 'casino affiliates invoice tax export')).toBe(true);
+    expect(scorer.isSimilarPattern('invoice tax export', 'commission dashboard')).toBe(false);
+
+    const research = new DeepResearchIntegration({ registry: new ResearchProviderRegistry(), similarityIndex: index });
+    const answer = { provider: 'perplexity', query: 'a', content: 'Event sourcing keeps an append-only log of changes' };
+    expect(research.areSimilar(answer, { provider: 'fallback', query: 'b', content: 'An append-only log of changes is event sourcing' })).toBe(true);
+    expect(research.areSimilar(answer, { provider: 'fallback', query: 'a', content: 'Basic search results' })).toBe(false);
+  });
+
+  test('/find-similar searches stories, decisions, retrospectives and learnings together', async () => {
+    expect(registry.hasCommand('/find-similar')).toBe(true);
+    const sources = {
+      story: () => [{ key: 'S-1', title: 'Retry failed webhooks', text: 'Exponential backoff for webhook delivery' }],
+      decision: () => [{ key: 'd-1', title: 'Queue webhooks in SQS', text: 'Retry delivery without blocking requests' }],
+      retrospective: () => [{ key: 'sprint_3', title: 'Sprint sprint_3 retrospective', text: 'Webhook outages blocked two stories' }],
+      learning: () => [{ key: 'LEARN-1', title: 'feature_completion learning', text: 'Idempotency keys prevent duplicate charges' }]
+    };
+    Object.assign(similarityIndex, new SimilarityIndex({ indexPath, sources }));
+
+    const result = await stateHandler.findSimilar(['webhook', 'retry', 'delivery']);
+    expect(result.results.map(hit => hit.type)).toEqual(['story', 'decision', 'retrospective']);
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/\[story\] Retry failed webhooks \(S-1\)/));
+
+    const decisions = await stateHandler.findSimilar(['webhook', '--type', 'decision']);
+    expect(decisions.results.map(hit => hit.key)).toEqual(['d-1']);
+    await expect(stateHandler.findSimilar(['x', '--type', 'epic'])).rejects.toThrow(/Unknown item type: epic/);
+    await expect(stateHandler.findSimilar([])).rejects.toThrow(/Usage/);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for sprint commands
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../machine-data/story-tracker', () => {
+  const stories = {};
+  const storyTracker = {
+    getStory: jest.fn(id => stories[id] || null),
+    assignToSprint: jest.fn((id, sprintId) => {
+      stories[id].story.sprint_id = sprintId;
+      return stories[id];
+    }),
+    getSprintStories: jest.fn(sprintId =>
+      Object.values(stories).filter(s => s.story.sprint_id === sprintId))
+  };
+  return { storyTracker, __stories: stories };
+});
+
+jest.mock('../../machine-data/burndown-generator', () => {
+  const saved = {};
+  const burndownGenerator = {
+    initializeBurndown: jest.fn(data => {
+      saved[data.sprint_id] = { burndown: { ...data } };
+      return saved[data.sprint_id];
+    }),
+    getBurndownData: jest.fn(id => saved[id] || null),
+    updateBurndown: jest.fn(() => ({
+      current_progress: {
+        elapsed_hours: 0.5,
+        completed_points: 5,
+        remaining_points: 3,
+        stories_completed: 1,
+        stories_in_progress: 0,
+        stories_blocked: 1
+      },
+      velocity_metrics: { current_velocity: 10, required_velocity: 2 },
+      completion_prediction: { on_track: true, confidence: 'high' },
+      alerts: []
+    }))
+  };
+  return { burndownGenerator };
+});
+
+jest.mock('../../machine-data/velocity-tracker', () => ({
+  velocityTracker: {
+    velocityHistory: { team_velocity: { sprints: [] } },
+    getTeamVelocityMetrics: jest.fn(() => ({
+      average_velocity: '0.0',
+      sprint_count: 0,
+      trend: 'stable'
+    })),
+    recordSprintVelocity: jest.fn()
+  }
+}));
+
+jest.mock('../../machine-data/flow-metrics', () => ({
+  flowMetrics: {
+    getFlowReport: jest.fn(sprintId => ({
+      sprint_id: sprintId,
+      wip: { per_status: [{ status: 'in_progress', count: 7, limit: 6 }], per_agent: [] },
+      cycle_time: { points: [], percentiles: { p50: 1.5, p85: 2, p95: 2 } },
+      throughput: { bucket_hours: 1, average: 2 }
+    }))
+  }
+}));
+
+const sprintHandler = require('../../machine-data/commands/handlers/sprint');
+const { registry } = require('../../machine-data/commands/registry');
+const { __stories } = require('../../machine-data/story-tracker');
+const { burndownGenerator } = require('../../machine-data/burndown-generator');
+
+function makeStory(id, points, status = 'not_started', history = []) {
+  return {
+    story: {
+      id,
+      title: `Story ${id}`,
+      story_points: points,
+      status,
+      priority: 'medium',
+      sprint_id: null,
+      timing: { estimated_hours: points * 0.5, blocked_hours: 0 },
+      history
+    }
+  };
+}
+
+describe('Sprint Commands', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'sprint-commands-'));
+    sprintHandler.projectRoot = tempRoot;
+    sprintHandler.sprintsDir = path.join(tempRoot, 'project-documents', 'orchestration', 'sprints');
+    sprintHandler.currentSprintLink = path.join(sprintHandler.sprintsDir, 'current-sprint');
+
+    Object.keys(__stories).forEach(id => delete __stories[id]);
+    __stories['AUTH-1'] = makeStory('AUTH-1', 5, 'completed');
+    __stories['AUTH-2'] = makeStory('AUTH-2', 3, 'blocked', [{
+      timestamp: '2025-01-30T10:00:00.000Z',
+      action: 'status_changed',
+      to: 'blocked',
+      details: 'Waiting on API keys'
+    }]);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  test('should register all sprint commands', () => {
+    ['/start-sprint', '/sprint-status', '/sprint-review', '/sprint-retrospective'].forEach(cmd => {
+      expect(registry.hasCommand(cmd)).toBe(true);
+    });
+  });
+
+  test('/start-sprint creates the sprint folder and initializes the burndown', async () => {
+    const result = await sprintHandler.startSprint(['authentication', '--stories', 'AUTH-1,AUTH-2']);
+
+    expect(result.sprint_id).toMatch(/^sprint-\d{4}-\d{2}-\d{2}-authentication$/);
+    expect(result.total_points).toBe(8);
+    expect(result.stories.sort()).toEqual(['AUTH-1', 'AUTH-2']);
+
+    const sprintDir = path.join(sprintHandler.sprintsDir, result.sprint_id);
+    expect(fs.readFileSync(path.join(sprintDir, 'state.md'), 'utf8')).toContain('Current State: active');
+    expect(fs.readFileSync(path.join(sprintDir, 'planning.md'), 'utf8')).toContain('Total Points: 8');
+    expect(burndownGenerator.initializeBurndown).toHaveBeenCalledWith(
+      expect.objectContaining({ sprint_id: result.sprint_id, total_points: 8 })
+    );
+  });
+
+  test('/start-sprint rejects unknown stories', async () => {
+    await expect(sprintHandler.startSprint(['billing', '--stories', 'NOPE-1']))
+      .rejects.toThrow('Unknown stories: NOPE-1');
+  });
+
+  test('/sprint-status reports burndown and blocked stories for the current sprint', async () => {
+    const started = await sprintHandler.startSprint(['authentication', '--stories', 'AUTH-1,AUTH-2']);
+    const status = await sprintHandler.sprintStatus([]);
+
+    expect(status.sprint_id).toBe(started.sprint_id);
+    expect(status.burndown.completed_points).toBe(5);
+    expect(status.blocked_stories).toEqual([
+      expect.objectContaining({ id: 'AUTH-2', reason: 'Waiting on API keys' })
+    ]);
+    expect(status.flow.sprint_id).toBe(started.sprint_id);
+    expect(status.flow.wip.per_status).toEqual([{ status: 'in_progress', count: 7, limit: 6 }]);
+  });
+
+  test('/sprint-status without any sprint returns an empty result', async () => {
+    const status = await sprintHandler.sprintStatus([]);
+    expect(status.sprint_id).toBeNull();
+  });
+});
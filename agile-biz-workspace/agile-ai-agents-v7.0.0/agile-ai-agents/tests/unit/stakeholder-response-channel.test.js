@@ -0,0 +1,169 @@
+/**
+ * Unit tests for the stakeholder response channel (tty, inbox, scripted)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../project-dashboard/logger', () => ({
+  logAudit: jest.fn(),
+  logSecurityEvent: jest.fn()
+}));
+
+const express = require('express');
+const { createStakeholderRouter } = require('../../project-dashboard/api/stakeholder');
+const {
+  TtyResponseChannel,
+  InboxResponseChannel,
+  ScriptedResponseChannel,
+  createResponseChannel
+} = require('../../machine-data/stakeholder-response-channel');
+const StakeholderInteractionManager = require('../../machine-data/stakeholder-interaction-manager');
+const StakeholderInteractionHandler = require('../../hooks/handlers/stakeholder-interaction');
+
+describe('Stakeholder response channel', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stakeholder-channel-'));
+    fs.mkdirSync(path.join(tempDir, 'machine-data'));
+    fs.mkdirSync(path.join(tempDir, 'project-state'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function readRecord() {
+    return fs.readFileSync(path.join(tempDir, 'project-state', 'stakeholder-responses.jsonl'), 'utf8')
+      .trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  test('contribution prompts use scripted answers and fall back to the configured default', async () => {
+    fs.writeFileSync(path.join(tempDir, 'project-state', 'configuration.json'), JSON.stringify({
+      stakeholder_interaction: { default_decisions: { milestone_completion: 'no' } }
+    }));
+    fs.writeFileSync(path.join(tempDir, 'answers.json'), JSON.stringify({ answers: { sprint_end: 'y' } }));
+
+    const channel = createResponseChannel(tempDir, { answers_file: 'answers.json' });
+    expect(channel).toBeInstanceOf(ScriptedResponseChannel);
+
+    const manager = new StakeholderInteractionManager(tempDir, { channel });
+    const contribute = jest.spyOn(manager, 'initiateContribution').mockResolvedValue();
+
+    const sprint = await manager.promptSprintEnd({ sprint_number: 4 });
+    const milestone = await manager.promptMilestoneCompletion({ name: 'Beta' });
+
+    expect(sprint).toEqual(expect.objectContaining({ response: 'yes', response_source: 'stakeholder', contribution_generated: true }));
+    expect(milestone).toEqual(expect.objectContaining({ response: 'no', response_source: 'default', timed_out: true }));
+    expect(contribute).toHaveBeenCalledTimes(1);
+
+    const record = readRecord();
+    expect(record.map(r => [r.id, r.key, r.channel, r.answer, r.raw_answer, r.source])).toEqual([
+      [sprint.id, 'sprint_end', 'script', 'yes', 'y', 'stakeholder'],
+      [milestone.id, 'milestone_completion', 'script', 'no', null, 'default']
+    ]);
+    expect(record[0].question).toContain('Sprint 4 Completed');
+
+    const log = JSON.parse(fs.readFileSync(path.join(tempDir, 'machine-data', 'stakeholder-interactions.json'), 'utf8'));
+    expect(log.statistics).toEqual(expect.objectContaining({ total_prompts: 2, accepted_contributions: 1 }));
+  });
+
+  test('dashboard answers a pending inbox prompt and the answer is recorded with its author', async () => {
+    const inbox = new InboxResponseChannel(tempDir, { timeout_seconds: 5, poll_interval_ms: 10 });
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { username: 'pat', role: 'contributor' };
+      next();
+    });
+    app.use('/api/stakeholder', createStakeholderRouter(inbox));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/stakeholder`;
+
+    try {
+      const asked = inbox.ask({ key: 'approval_core_features', type: 'approval', question: 'Approve core features?', options: ['yes', 'no'], defaultDecision: 'no' });
+
+      let prompts = [];
+      while (prompts.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        prompts = (await (await fetch(`${baseUrl}/prompts`)).json()).prompts;
+      }
+      expect(prompts[0]).toEqual(expect.objectContaining({ key: 'approval_core_features', options: ['yes', 'no'], default_decision: 'no' }));
+
+      const post = (id, answer) => fetch(`${baseUrl}/prompts/${id}/answer`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ answer })
+      });
+      expect((await post(prompts[0].id, 'perhaps')).status).toBe(400);
+      expect((await post('SR-unknown', 'yes')).status).toBe(404);
+      expect((await post(prompts[0].id, 'yes')).status).toBe(200);
+
+      const result = await asked;
+      expect(result).toEqual(expect.objectContaining({ answer: 'yes', source: 'stakeholder', answered_by: 'pat', timed_out: false }));
+      expect(inbox.listPending()).toEqual([]);
+
+      const responses = (await (await fetch(`${baseUrl}/responses`)).json()).responses;
+      expect(responses.map(r => [r.key, r.answer, r.answered_by])).toEqual([['approval_core_features', 'yes', 'pat']]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('a silent terminal times out to the default decision and releases stdin', async () => {
+    const promptUtils = {
+      prompt: jest.fn(() => new Promise(() => {})),
+      select: jest.fn(),
+      closeReadline: jest.fn()
+    };
+    const tty = new TtyResponseChannel(tempDir, {}, promptUtils);
+
+    const result = await tty.ask({ key: 'research_level', question: 'Which research level would you prefer?', options: ['minimal', 'medium', 'thorough'], defaultDecision: 'thorough', timeoutMs: 20 });
+
+    expect(promptUtils.prompt).toHaveBeenCalledWith('Which research level would you prefer? (minimal/medium/thorough)', 'thorough');
+    expect(promptUtils.closeReadline).toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ answer: 'thorough', source: 'default', timed_out: true, channel: 'tty' }));
+  });
+
+  test('progressive questioning asks through the same channel and re-asks until approved', async () => {
+    fs.copyFileSync(
+      path.join(__dirname, '../../machine-data/stakeholder-interview-questions.json'),
+      path.join(tempDir, 'machine-data', 'stakeholder-interview-questions.json')
+    );
+    const questions = JSON.parse(fs.readFileSync(path.join(tempDir, 'machine-data', 'stakeholder-interview-questions.json'), 'utf8'));
+    const [product, industry, users, notThis, competitors] = questions.project_identity.initial;
+
+    const channel = new ScriptedResponseChannel(tempDir, {
+      script: {
+        answers: {
+          [product]: ['A scheduling app', 'A scheduling app for dental practices'],
+          [industry]: ['Various stuff', 'Dental'],
+          [users]: 'Practice managers',
+          [notThis]: 'Not an EHR',
+          [competitors]: 'Dentrix',
+          approval_project_identity: ['no', 'yes']
+        },
+        sequence: ['Healthcare scheduling']
+      }
+    });
+    const handler = new StakeholderInteractionHandler(tempDir, 'new-project', { channel });
+
+    const result = await handler.conductSection('project_identity');
+
+    expect(result).toEqual({ approved: true, iterations: 2 });
+    expect(handler.responses.project_identity[product].answer).toBe('A scheduling app for dental practices');
+    expect(handler.responses.project_identity[industry].answer).toBe('Dental');
+
+    const record = readRecord();
+    expect(record.filter(r => r.type === 'clarification').map(r => r.answer)).toEqual(['Healthcare scheduling']);
+    expect(record.filter(r => r.type === 'approval').map(r => r.answer)).toEqual(['no', 'yes']);
+    expect(fs.readFileSync(path.join(tempDir, 'project-documents', 'orchestration', 'stakeholder-decisions.md'), 'utf8'))
+      .toContain('Dental');
+  });
+});
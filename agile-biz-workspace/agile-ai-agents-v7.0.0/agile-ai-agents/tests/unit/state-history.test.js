@@ -0,0 +1,146 @@
+/**
+ * Unit tests for content-addressed project state history
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StateHistory, StateHistoryError, mergeJson } = require('../../machine-data/state-history');
+const WorkflowStateHandler = require('../../hooks/handlers/workflow-state-handler');
+const { registry } = require('../../machine-data/commands/registry');
+const stateHandler = require('../../machine-data/commands/handlers/state');
+
+describe('State history', () => {
+  let projectRoot;
+  let history;
+  let handler;
+  const originalAgent = process.env.ACTIVE_AGENT;
+
+  const readState = file => JSON.parse(fs.readFileSync(path.join(projectRoot, 'project-state', file), 'utf8'));
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'state-history-'));
+    history = new StateHistory(projectRoot);
+    handler = new WorkflowStateHandler(projectRoot);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete process.env.ACTIVE_AGENT;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalAgent === undefined) delete process.env.ACTIVE_AGENT;
+    else process.env.ACTIVE_AGENT = originalAgent;
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('records every save as a commit with author, parents and a diff', () => {
+    handler.initializeWorkflow('new-project');
+    process.env.ACTIVE_AGENT = 'scrum_master_agent';
+    handler.saveDecision('Use PostgreSQL', { rationale: 'relational data' });
+
+    const log = history.log();
+    expect(log.length).toBeGreaterThanOrEqual(2);
+    const [latest, previous] = log;
+    expect(latest.author).toEqual({ type: 'agent', name: 'scrum_master_agent' });
+    expect(latest.parents).toEqual([previous.id]);
+    expect(latest.files).toEqual([expect.objectContaining({ file: 'persistent.json', status: 'modified' })]);
+    expect(log[log.length - 1].author.type).toBe('user');
+
+    const commit = history.readCommit(latest.id);
+    expect(commit.diff[0].changes).toEqual([
+      expect.objectContaining({ op: 'add', path: 'decisions[0]', after: expect.objectContaining({ decision: 'Use PostgreSQL' }) }),
+      { op: 'change', path: 'metrics.total_decisions', before: 0, after: 1 }
+    ]);
+
+    // Objects are content-addressed: the unchanged runtime blob is shared
+    expect(commit.tree['runtime.json']).toBe(history.readCommit(previous.id).tree['runtime.json']);
+    expect(history.resolve(latest.id.slice(0, 6))).toBe(latest.id);
+    expect(history.resolve('HEAD~1')).toBe(previous.id);
+    expect(() => history.resolve('nope')).toThrow(StateHistoryError);
+
+    // Recording unchanged files adds nothing
+    const before = history.log().length;
+    expect(history.record({ message: 'No changes' })).toBeNull();
+    expect(history.log()).toHaveLength(before);
+  });
+
+  test('diffs commits and restores an earlier state with checkout', () => {
+    handler.initializeWorkflow('new-project');
+    const initial = history.resolve('HEAD');
+    handler.updatePhase('research');
+    handler.createCheckpoint('after-research');
+
+    const diff = history.diff(initial, 'HEAD');
+    const runtime = diff.files.find(file => file.file === 'runtime.json');
+    expect(runtime.changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: 'workflow.phase', after: 'research' })
+    ]));
+    expect(runtime.unified).toContain('+');
+
+    const result = history.checkout(initial);
+    expect(result).toEqual(expect.objectContaining({ detached: true, branch: null }));
+    expect(readState('runtime.json').workflow.phase).not.toBe('research');
+
+    history.checkout('after-research');
+    expect(readState('runtime.json').workflow.phase).toBe('research');
+    history.checkout('main');
+    expect(history.head()).toEqual(expect.objectContaining({ branch: 'main' }));
+  });
+
+  test('explores an alternative plan on a branch and merges it back', () => {
+    handler.initializeWorkflow('new-project');
+    handler.saveDecision('Monolith first');
+
+    history.branch('alt-plan');
+    handler = new WorkflowStateHandler(projectRoot);
+    handler.saveDecision('Serverless backend');
+    handler.persistent.project.name = 'Alt Name';
+    handler.savePersistent();
+
+    history.checkout('main');
+    handler = new WorkflowStateHandler(projectRoot);
+    expect(readState('persistent.json').decisions.map(d => d.decision)).toEqual(['Monolith first']);
+    handler.saveDecision('Add audit log');
+    handler.persistent.project.name = 'Main Name';
+    handler.savePersistent();
+
+    const merged = history.merge('alt-plan');
+    expect(merged.fast_forward).toBe(false);
+    expect(history.readCommit(merged.id).parents).toHaveLength(2);
+    expect(merged.conflicts).toEqual([expect.objectContaining({ file: 'persistent.json', path: 'project.name', ours: 'Main Name', theirs: 'Alt Name' })]);
+
+    const result = readState('persistent.json');
+    expect(result.decisions.map(d => d.decision)).toEqual(['Monolith first', 'Add audit log', 'Serverless backend']);
+    expect(result.project.name).toBe('Main Name');
+    expect(history.branches().map(branch => [branch.name, branch.current])).toEqual([['alt-plan', false], ['main', true]]);
+
+    expect(mergeJson({ a: 1 }, { a: 2 }, { a: 3 }, 'theirs')).toEqual({ a: 3 });
+  });
+
+  test('exposes history through the state commands', async () => {
+    stateHandler.projectRoot = projectRoot;
+    const run = async command => {
+      const outcome = await registry.executeCommand(command);
+      expect(outcome).toEqual(expect.objectContaining({ success: true }));
+      return outcome.result;
+    };
+    handler.initializeWorkflow('new-project');
+
+    const { tag } = await run('/checkpoint before-pivot');
+    const branch = await run('/state-branch pivot');
+    expect(branch.name).toBe('pivot');
+    handler = new WorkflowStateHandler(projectRoot);
+    handler.updatePhase('pivot-research');
+
+    const log = await run('/state-log --limit 5');
+    expect(log[0].refs).toContain('pivot');
+    const diff = await run(`/state-diff ${tag} pivot`);
+    expect(diff.files.map(file => file.file)).toContain('runtime.json');
+
+    await run('/state-checkout main');
+    const merge = await run('/state-merge pivot');
+    expect(merge.fast_forward).toBe(true);
+    expect(readState('runtime.json').workflow.phase).toBe('pivot-research');
+  });
+});
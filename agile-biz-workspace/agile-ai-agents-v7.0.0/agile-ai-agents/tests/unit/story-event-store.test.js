@@ -0,0 +1,217 @@
+/**
+ * Unit tests for the event-sourced story store and the sprint metrics derived from it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StoryTracker } = require('../../machine-data/story-tracker');
+const { StoryEventError } = require('../../machine-data/story-event-store');
+const { BurndownGenerator } = require('../../machine-data/burndown-generator');
+const { AIVelocityTracker } = require('../../machine-data/velocity-tracker');
+const { RetrospectiveInsights } = require('../../machine-data/retrospective-insights');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Story event store', () => {
+  let tempDir;
+  let clock;
+  let tracker;
+  let sprintStart;
+
+  const at = hours => { clock = sprintStart + hours * HOUR; };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'story-events-'));
+    sprintStart = Date.now() - 4 * HOUR;
+    clock = sprintStart - HOUR;
+    tracker = new StoryTracker({ sprintTrackingPath: tempDir, now: () => new Date(clock) });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Plan two stories, work one through a blocker, re-point and split the other
+  function runSprint() {
+    const login = tracker.createStory({ title: 'Login form', story_points: 3, sprint_id: 'sprint_1' }).story.id;
+    const reports = tracker.createStory({ title: 'Export reports', story_points: 5, sprint_id: 'sprint_1' }).story.id;
+
+    at(0);
+    tracker.updateStoryStatus(login, 'in_progress');
+    at(1);
+    tracker.updateStoryStatus(login, 'blocked', { reason: 'Waiting on auth API' });
+    at(1.5);
+    tracker.updateStoryPoints(reports, 8, 'CSV and PDF both required');
+    at(2);
+    tracker.unblockStory(login, { resolution: 'API deployed' });
+    at(2.5);
+    tracker.splitStory(reports, [
+      { title: 'Export CSV', story_points: 3 },
+      { title: 'Export PDF', story_points: 5 }
+    ], 'Too large for one sprint');
+    at(3);
+    tracker.updateStoryStatus(login, 'completed');
+    return { login, reports };
+  }
+
+  test('records every change as an event and projects current and past state', () => {
+    const { login, reports } = runSprint();
+
+    const events = tracker.getStoryEvents(login);
+    expect(events.map(event => event.type)).toEqual(['created', 'estimated', 'status_changed', 'blocked', 'unblocked', 'status_changed']);
+    expect(events.map(event => event.seq)).toEqual([...events.map(event => event.seq)].sort((a, b) => a - b));
+
+    const story = tracker.getStory(login).story;
+    expect(story.status).toBe('completed');
+    expect(story.timing).toEqual(expect.objectContaining({
+      actual_hours: 2,
+      blocked_hours: 1,
+      start_time: new Date(sprintStart).toISOString(),
+      end_time: new Date(sprintStart + 3 * HOUR).toISOString()
+    }));
+
+    const parent = tracker.getStory(reports).story;
+    expect(parent.status).toBe('split');
+    expect(parent.split_into).toEqual([`${reports}.1`, `${reports}.2`]);
+    expect(tracker.getStory(`${reports}.2`).story).toEqual(expect.objectContaining({ split_from: reports, story_points: 5, sprint_id: 'sprint_1' }));
+    expect(tracker.getSprintStories('sprint_1').map(s => s.story.id).sort()).toEqual([login, `${reports}.1`, `${reports}.2`].sort());
+
+    // Earlier states are rebuilt from the log
+    const midSprint = tracker.store.getStory(login, { until: new Date(sprintStart + 1.2 * HOUR).toISOString() });
+    expect(midSprint.story.status).toBe('blocked');
+    expect(tracker.store.getStory(reports, { until: new Date(sprintStart + 2 * HOUR).toISOString() }).story.story_points).toBe(8);
+
+    // A second tracker on the same log sees the same projection
+    const other = new StoryTracker({ sprintTrackingPath: tempDir });
+    expect(other.getStory(login)).toEqual(tracker.getStory(login));
+    expect(fs.readFileSync(tracker.eventLogPath, 'utf8').trim().split('\n')).toHaveLength(tracker.store.events.length);
+
+    expect(() => tracker.updateStoryStatus('NOPE-1', 'completed')).toThrow(StoryEventError);
+    expect(() => tracker.splitStory(login, [{ title: 'a' }, { title: 'b' }])).toThrow(/cannot be split/);
+  });
+
+  test('derives sprint metrics, burndown, velocity and retrospective numbers from the log', () => {
+    const { login, reports } = runSprint();
+    const start = new Date(sprintStart).toISOString();
+
+    const metrics = tracker.getSprintMetrics('sprint_1', { start });
+    expect(metrics).toEqual(expect.objectContaining({
+      planned_points: 8,
+      completed_points: 3,
+      scope_points: 11,
+      stories_planned: 2,
+      stories_completed: 1,
+      stories_carried_over: 2,
+      total_hours_worked: 2,
+      blocked_hours: 1,
+      cycle_times: [{ story_id: login, hours: 3 }],
+      repointed_stories: [{ story_id: reports, times: 1 }],
+      split_stories: [{ story_id: reports, into: [`${reports}.1`, `${reports}.2`] }]
+    }));
+    expect(metrics.scope_changes.map(change => [change.type, change.points, change.reason])).toEqual([
+      ['added', 3, 'repointed'],
+      ['removed', 8, 'split'],
+      ['added', 3, 'estimated'],
+      ['added', 5, 'estimated']
+    ]);
+
+    const burndown = new BurndownGenerator({ storyTracker: tracker, burndownPath: path.join(tempDir, 'burndown') });
+    burndown.initializeBurndown({
+      sprint_id: 'sprint_1',
+      start_date: start,
+      end_date: new Date(sprintStart + 6 * HOUR).toISOString(),
+      duration_hours: 6,
+      total_points: 8
+    });
+    const update = burndown.updateBurndown('sprint_1', {});
+    expect(update.current_progress).toEqual(expect.objectContaining({ completed_points: 3, remaining_points: 8, total_scope_points: 11 }));
+    const line = burndown.getBurndownData('sprint_1').burndown;
+    expect(line.total_points).toBe(11);
+    expect(line.actual_burndown.length).toBeGreaterThan(5);
+    expect(line.actual_burndown.find(point => point.event && point.event.type === 'blocked').stories_blocked).toBe(1);
+    expect(line.scope_changes.filter(change => change.source === 'story_log')).toHaveLength(4);
+
+    const velocity = new AIVelocityTracker({ storyTracker: tracker, velocityPath: path.join(tempDir, 'velocity.json') });
+    const recorded = velocity.recordSprintVelocity({ sprint_id: 'sprint_1', start_date: start, completed_points: 99 });
+    expect(recorded.sprint_velocity).toEqual(expect.objectContaining({
+      source: 'story_log',
+      velocity: 3,
+      planned_points: 8,
+      stories_carried_over: 2,
+      blocked_hours: 1
+    }));
+
+    const retro = new RetrospectiveInsights({ storyTracker: tracker, retrospectivesPath: path.join(tempDir, 'retros') });
+    const report = retro.generateRetrospectiveInsights({ sprint_id: 'sprint_1', start_date: start, completed_points: 99 }, []);
+    expect(report.summary.velocity).toBe(3);
+    expect(report.summary.completion_rate).toBe('37.5%');
+    const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'retros', 'sprint_sprint_1_retrospective.json'), 'utf8'));
+    expect(saved.retrospective.sprint_metrics).toEqual(expect.objectContaining({
+      source: 'story_log',
+      cycle_time: { average: 3, min: 3, max: 3 },
+      blocked_time: { total: 1, percentage: '33.3' }
+    }));
+    expect(saved.retrospective.estimation_insights).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'estimation_churn', stories: [reports, reports] })
+    ]));
+  });
+
+  test('imports per-story JSON files once when the log is new', () => {
+    const legacyDir = path.join(tempDir, 'legacy', 'stories');
+    fs.mkdirSync(legacyDir, { recursive: true });
+    fs.writeFileSync(path.join(legacyDir, 'OLD-1.json'), JSON.stringify({
+      meta: { document_type: 'user_story', version: '1.0.0', created_at: '2025-01-01T00:00:00.000Z' },
+      story: {
+        id: 'OLD-1',
+        title: 'Legacy story',
+        story_points: 2,
+        status: 'in_progress',
+        sprint_id: 'sprint_0',
+        dependencies: [],
+        coverage_requirements: { risk_level: 'low', target: 60, actual: 0 },
+        timing: { estimated_hours: 1, actual_hours: 0, blocked_hours: 0.5, start_time: '2025-01-01T01:00:00.000Z', end_time: null },
+        history: [{ timestamp: '2025-01-01T00:00:00.000Z', action: 'created' }]
+      }
+    }));
+
+    const legacy = new StoryTracker({ sprintTrackingPath: path.join(tempDir, 'legacy'), now: () => new Date(clock) });
+    const story = legacy.getStory('OLD-1').story;
+    expect(story.history.map(entry => entry.action)).toEqual(['created', 'imported']);
+    expect(story.timing.blocked_hours).toBe(0.5);
+
+    at(0);
+    legacy.updateStoryStatus('OLD-1', 'completed');
+    expect(legacy.getStory('OLD-1').story.status).toBe('completed');
+
+    // The files stay where they were but are not imported a second time
+    const again = new StoryTracker({ sprintTrackingPath: path.join(tempDir, 'legacy') });
+    expect(again.getStoryEvents('OLD-1').map(event => event.type)).toEqual(['created', 'status_changed']);
+    expect(fs.existsSync(path.join(legacyDir, 'OLD-1.json'))).toBe(true);
+  });
+
+  test('skips a corrupt line in the middle of the log with a warning', () => {
+    const first = tracker.createStory({ title: 'First', story_points: 1 }).story.id;
+    const second = tracker.createStory({ title: 'Second', story_points: 2 }).story.id;
+    const logPath = tracker.store.logPath;
+    const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+    lines.splice(1, 0, '{"seq": 2, "type": "status_chan');
+    fs.writeFileSync(logPath, `${lines.join('\n')}\n`);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const reader = new StoryTracker({ sprintTrackingPath: tempDir, now: () => new Date(clock) });
+    expect(reader.getStory(first).story.title).toBe('First');
+    expect(reader.getStory(second).story.title).toBe('Second');
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/line 2 of .*story-events\.jsonl/));
+
+    // Appends keep going after the damaged line without reusing its sequence number
+    at(0);
+    reader.updateStoryStatus(first, 'in_progress');
+    const events = reader.getStoryEvents(first);
+    expect(events[events.length - 1].seq).toBe(lines.length + 1);
+    expect(new StoryTracker({ sprintTrackingPath: tempDir }).getStory(first).story.status).toBe('in_progress');
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for hard token-budget enforcement in the sub-agent orchestrator
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SubAgentOrchestrator = require('../../machine-data/sub-agent-orchestrator');
+const { countTokens } = require('../../machine-data/tokenizer');
+
+describe('SubAgentOrchestrator budget enforcement', () => {
+  let tempRoot;
+  let registryBasePath;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'sub-agent-budget-'));
+    registryBasePath = path.join(tempRoot, 'sub-agent-registries');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  const longReport = 'Market analysis finding with supporting evidence and numbers. '.repeat(800);
+
+  function readRegistry(orchestrator, subAgentId) {
+    return JSON.parse(fs.readFileSync(path.join(registryBasePath, orchestrator.sessionId, `${subAgentId}.json`), 'utf8'));
+  }
+
+  test('results within budget pass through untouched', async () => {
+    const executor = jest.fn(async task => ({ content: 'short report', documents: task.documents, tokenUsage: 1200 }));
+    const orchestrator = new SubAgentOrchestrator({ registryBasePath, executor });
+
+    const results = await orchestrator.launchSubAgents([
+      { id: 'market', subAgentId: 'research_market', description: 'Market research', documents: ['market-analysis'], tokenBudget: 5000 }
+    ]);
+    const consolidated = await orchestrator.consolidateResults(results);
+
+    expect(executor).toHaveBeenCalledWith(expect.objectContaining({ id: 'market' }), { subAgentId: 'research_market', budget: 5000 });
+    expect(results[0]).toEqual(expect.objectContaining({ status: 'success', partial: false }));
+    expect(results[0].data.budget).toEqual({ allocated: 5000, used: 1200, outputTokens: countTokens('short report'), exhausted: false, decision: 'within_budget' });
+    expect(consolidated).toEqual(expect.objectContaining({ partial: 0, partialResults: [], complete: true }));
+    expect(readRegistry(orchestrator, 'research_market')).toEqual(expect.objectContaining({ status: 'completed', tokenBudget: 5000, tokenUsage: 1200 }));
+  });
+
+  test('tasks without a token budget run on the default allocation', async () => {
+    const executor = jest.fn(async task => ({ content: 'short report', documents: task.documents, tokenUsage: 1200 }));
+    const orchestrator = new SubAgentOrchestrator({ registryBasePath, executor });
+    const defaultBudget = orchestrator.tokenManager.baseAllocation;
+
+    const results = await orchestrator.launchSubAgents([
+      { id: 'market', subAgentId: 'research_market', description: 'Market research', documents: ['market-analysis'] }
+    ]);
+
+    expect(executor).toHaveBeenCalledWith(expect.objectContaining({ id: 'market' }), { subAgentId: 'research_market', budget: defaultBudget });
+    expect(results[0]).toEqual(expect.objectContaining({ status: 'success', partial: false }));
+    expect(results[0].data.content).toBe('short report');
+    expect(results[0].data.budget).toEqual(expect.objectContaining({ allocated: defaultBudget, used: 1200, exhausted: false, decision: 'within_budget' }));
+    expect(orchestrator.tokenManager.getRemainingBudget('research_market')).toBe(defaultBudget - 1200);
+  });
+
+  test('over-budget text is truncatedand the unfinished documents are re-queued with a smaller budget', async () => {
+    const executor = jest.fn(async task => (
+      task.continuationOf
+        ? { content: 'finished the rest', documents: task.documents, tokenUsage: 1500 }
+        : { content: longReport, documents: ['market-analysis'], tokenUsage: 9000 }
+    ));
+    const orchestrator = new SubAgentOrchestrator({ registryBasePath, executor });
+
+    const results = await orchestrator.launchSubAgents([{
+      id: 'market',
+      subAgentId: 'research_market',
+      description: 'Market research',
+      documents: ['market-analysis', 'competitive-analysis', 'customer-research'],
+      tokenBudget: 4000
+    }]);
+
+    expect(results.map(r => r.taskId)).toEqual(['market', 'market-cont-1']);
+
+    const [first, continuation] = results;
+    expect(first.partial).toBe(true);
+    expect(first.data.budget).toEqual(expect.objectContaining({
+      allocated: 4000,
+      used: 9000,
+      exhausted: true,
+      decision: 'truncated',
+      keptTokens: 4000,
+      requeuedTaskId: 'market-cont-1'
+    }));
+    expect(countTokens(first.data.content)).toBeLessThanOrEqual(4000);
+    expect(longReport.startsWith(first.data.content)).toBe(true);
+
+    expect(executor).toHaveBeenLastCalledWith(expect.objectContaining({
+      subAgentId: 'research_market-cont-1',
+      documents: ['competitive-analysis', 'customer-research'],
+      tokenBudget: 2000,
+      continuationOf: 'market',
+      description: 'Continue (reduced scope): Market research'
+    }), { subAgentId: 'research_market-cont-1', budget: 2000 });
+    expect(continuation).toEqual(expect.objectContaining({ status: 'success', partial: false }));
+
+    const consolidated = await orchestrator.consolidateResults(results);
+    expect(consolidated).toEqual(expect.objectContaining({
+      partial: 1,
+      complete: true,
+      documents: ['market-analysis', 'competitive-analysis', 'customer-research']
+    }));
+    expect(consolidated.partialResults).toEqual([
+      { taskId: 'market', decision: 'truncated', requeuedTaskId: 'market-cont-1', dropped: [], resolved: true }
+    ]);
+    expect(readRegistry(orchestrator, 'research_market')).toEqual(expect.objectContaining({
+      status: 'partial',
+      budget: expect.objectContaining({ decision: 'truncated' })
+    }));
+  });
+
+  test('structured output is handed to the context summarizer', async () => {
+    const summarizer = {
+      summarizeContext: jest.fn((context, tokens, maxTokens) => ({ context: { summary: 'condensed findings' }, compressed: true }))
+    };
+    const findings = { findings: Array.from({ length: 300 }, (_, i) => `Finding ${i}: the API gateway needs rate limiting`) };
+    const orchestrator = new SubAgentOrchestrator({
+      registryBasePath,
+      summarizer,
+      maxRequeues: 0,
+      executor: async () => ({ content: findings, tokenUsage: 6000 })
+    });
+
+    const [result] = await orchestrator.launchSubAgents([
+      { id: 'security', description: 'Security review', tokenBudget: 3000 }
+    ]);
+
+    expect(summarizer.summarizeContext).toHaveBeenCalledWith(findings, null, 3000);
+    expect(result.data.content).toEqual({ summary: 'condensed findings' });
+    expect(result.data.budget).toEqual(expect.objectContaining({ decision: 'summarized', requeuedTaskId: null }));
+  });
+
+  test('work that cannot be re-queued is recorded as dropped and the run is incomplete', async () => {
+    const orchestrator = new SubAgentOrchestrator({
+      registryBasePath,
+      maxRequeues: 1,
+      executor: async task => ({ content: 'partial notes', documents: task.documents.slice(0, 1), tokenUsage: task.tokenBudget + 1 })
+    });
+
+    const results = await orchestrator.launchSubAgents([
+      { id: 'tech', description: 'Technical research', documents: ['a', 'b', 'c'], tokenBudget: 4000 }
+    ]);
+    const consolidated = await orchestrator.consolidateResults(results);
+
+    expect(results.map(r => r.data.budget.decision)).toEqual(['kept', 'kept']);
+    expect(results[1].data.budget).toEqual(expect.objectContaining({ requeuedTaskId: null, dropped: ['c'] }));
+    expect(consolidated.complete).toBe(false);
+    expect(consolidated.partialResults.map(p => p.resolved)).toEqual([false, false]);
+  });
+
+  test('the session archive records budget, usage and decision for every sub-agent', async () => {
+    const orchestrator = new SubAgentOrchestrator({
+      registryBasePath,
+      maxRequeues: 0,
+      executor: async task => ({ content: task.id === 'big' ? longReport : 'ok', tokenUsage: task.id === 'big' ? 8000 : 500 })
+    });
+    await orchestrator.initialize();
+
+    await orchestrator.launchSubAgents([
+      { id: 'big', subAgentId: 'sub_big', description: 'Big task', tokenBudget: 2000 },
+      { id: 'small', subAgentId: 'sub_small', description: 'Small task', tokenBudget: 2000 }
+    ]);
+    const archivePath = await orchestrator.archiveSession();
+
+    const summary = JSON.parse(fs.readFileSync(path.join(archivePath, 'session-summary.json'), 'utf8'));
+    expect(summary.status).toBe('archived');
+    expect(summary.subAgents).toEqual([
+      expect.objectContaining({ subAgentId: 'sub_big', allocated: 2000, used: 8000, exhausted: true, decision: 'truncated' }),
+      expect.objectContaining({ subAgentId: 'sub_small', allocated: 2000, used: 500, exhausted: false, decision: 'within_budget' })
+    ]);
+    expect(summary.tokenBudget).toEqual({ allocated: 4000, used: 8500, exhausted: 1, truncated: 1, summarized: 0 });
+  });
+});
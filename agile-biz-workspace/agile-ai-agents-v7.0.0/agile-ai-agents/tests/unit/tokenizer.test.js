@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the pluggable tokenizer and token-aware budgeting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tokenizer = require('../../machine-data/tokenizer');
+const { BPETokenizer, TokenCountCache, HeuristicTokenizer } = tokenizer;
+const TokenBudgetManager = require('../../machine-data/token-budget-manager');
+const { contextSummarizer } = require('../../machine-data/context-summarizer');
+const ProjectDocumentRegistryManager = require('../../machine-data/project-document-registry-manager');
+
+describe('BPE tokenizer', () => {
+  const bpe = new BPETokenizer();
+
+  test('round-trips text through the bundled vocabulary', () => {
+    const text = 'const budget = manager.calculateBudget({ priority: "high" }); // naïve café 🎉';
+    const ids = bpe.encode(text);
+
+    expect(bpe.vocabularySize).toBeGreaterThan(1000);
+    expect(ids.every(id => Number.isInteger(id) && id < bpe.vocabularySize)).toBe(true);
+    expect(bpe.decode(ids)).toBe(text);
+    expect(bpe.count(text)).toBe(ids.length);
+  });
+
+  test('merges common words and counts code more densely than prose', () => {
+    expect(bpe.tokenize(' function')).toEqual(['Ġfunction']);
+
+    const prose = 'The product owner reviews the sprint backlog with the team every week.';
+    const code = 'if(a[i]!==b[j]){x+=y*2;}else{z--;}';
+    const heuristic = new HeuristicTokenizer();
+
+    expect(bpe.count(prose)).toBeLessThan(heuristic.count(prose));
+    expect(bpe.count(code)).toBeGreaterThan(heuristic.count(code));
+  });
+});
+
+describe('Tokenizer registry and cache', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenizer-'));
+  });
+
+  afterEach(() => {
+    tokenizer.setTokenizer(null);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('tokenizers are pluggable by name or instance', () => {
+    tokenizer.registerTokenizer('words', () => ({ name: 'words', count: text => text.split(/\s+/).filter(Boolean).length }));
+
+    tokenizer.setTokenizer('words');
+    expect(tokenizer.countTokens('one two three')).toBe(3);
+    expect(tokenizer.countTokens({ a: 1 })).toBe(1);
+
+    tokenizer.setTokenizer(new HeuristicTokenizer());
+    expect(tokenizer.countTokens('12345678')).toBe(2);
+
+    tokenizer.setTokenizer(null);
+    expect(tokenizer.getTokenizer()).toBeInstanceOf(BPETokenizer);
+    expect(() => tokenizer.setTokenizer('missing')).toThrow('Unknown tokenizer: missing');
+  });
+
+  test('caches counts by content hash and persists them', () => {
+    const cachePath = path.join(tempDir, 'token-counts.json');
+    const cache = new TokenCountCache({ cachePath });
+    const counter = { name: 'counter', count: jest.fn(text => text.length) };
+
+    expect(cache.count('# Sprint Plan', counter)).toBe(13);
+    expect(cache.count('# Sprint Plan', counter)).toBe(13);
+    expect(cache.count('# Sprint Plan v2', counter)).toBe(16);
+    expect(counter.count).toHaveBeenCalledTimes(2);
+    expect(cache.getStats()).toEqual({ entries: 2, hits: 1, misses: 2 });
+
+    expect(cache.save()).toBe(true);
+    const reopened = new TokenCountCache({ cachePath });
+    expect(reopened.count('# Sprint Plan', counter)).toBe(13);
+    expect(counter.count).toHaveBeenCalledTimes(2);
+
+    // Same content under another tokenizer is a separate entry
+    expect(reopened.count('# Sprint Plan', { name: 'other', count: () => 1 })).toBe(1);
+  });
+});
+
+describe('Consumers use the shared tokenizer', () => {
+  let tempRoot;
+
+  beforeEach(() => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenizer-consumers-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(tokenizer.tokenCache, 'save').mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  test('budgets add the tokens of the context a sub-agent loads', () => {
+    const manager = new TokenBudgetManager();
+    const contextFile = path.join(tempRoot, 'story.md');
+    const story = 'As a user I want to export reports. '.repeat(400);
+    fs.writeFileSync(contextFile, story);
+
+    const base = manager.calculateBudget({ taskType: 'coding' });
+    const withContext = manager.calculateBudget({ taskType: 'coding', contextFiles: [contextFile, 'missing.md'] });
+
+    expect(base).toBe(10000);
+    expect(withContext).toBe(Math.round((10000 + tokenizer.countTokens(story)) / 1000) * 1000);
+
+    manager.allocateTokens('coder_sub_1', withContext);
+    expect(manager.trackText('coder_sub_1', story).used).toBe(tokenizer.countTokens(story));
+  });
+
+  test('context summarizer and registry count with the same tokenizer', async () => {
+    const state = { current_sprint: 'sprint-3', notes: 'function calculateVelocity(points) { return points; }' };
+    expect(contextSummarizer.estimateTokens(state)).toBe(tokenizer.countTokens(JSON.stringify(state)));
+
+    const content = '# Architecture\n\n```js\nconst app = express();\napp.listen(3000);\n```\n';
+    fs.mkdirSync(path.join(tempRoot, 'project-documents', 'technical'), { recursive: true });
+    fs.writeFileSync(path.join(tempRoot, 'project-documents', 'technical', 'architecture.md'), content);
+
+    const registry = new ProjectDocumentRegistryManager(tempRoot);
+    registry.registry = { documents: {} };
+    await registry.handleDocumentCreation({
+      path: 'project-documents/technical/architecture.md',
+      agent: 'Coder Agent',
+      timestamp: '2025-01-01T00:00:00.000Z'
+    });
+
+    const entry = registry.findDocumentByPath('project-documents/technical/architecture.md');
+    expect(entry.doc.tokens.md).toBe(tokenizer.countTokens(content));
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for the declarative workflow engine
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  WorkflowEngine,
+  WorkflowEngineError,
+  WorkflowDefinitionError,
+  loadWorkflowDefinitions,
+  fromNative
+} = require('../../machine-data/workflow-engine');
+const WorkflowStateHandler = require('../../hooks/handlers/workflow-state-handler');
+
+describe('Workflow engine', () => {
+  let projectRoot;
+  let definitions;
+
+  const readState = file => JSON.parse(fs.readFileSync(path.join(projectRoot, 'project-state', file), 'utf8'));
+  const createEngine = (options = {}) => new WorkflowEngine({
+    projectRoot,
+    stateHandler: new WorkflowStateHandler(projectRoot),
+    definitions,
+    ...options
+  });
+
+  beforeAll(() => {
+    definitions = loadWorkflowDefinitions();
+  });
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-engine-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  test('loads the built-in phase configurations and custom workflows as phase graphs', () => {
+    expect(Array.from(definitions.keys())).toEqual(['new-project', 'existing-project', 'rebuild-project', 'compliance-audit']);
+
+    const newProject = definitions.get('new-project');
+    expect(newProject.start).toBe('setup_verification');
+    expect(newProject.phases).toHaveLength(11);
+    const research = newProject.phases.find(phase => phase.id === 'research_execution');
+    expect(research.branches.map(branch => branch.steps[0].agent)).toEqual(['research_agent', 'marketing_agent', 'finance_agent']);
+    expect(research.requires).toEqual(['stakeholder_discovery']);
+    expect(newProject.phases.find(phase => phase.id === 'stakeholder_discovery').gate)
+      .toEqual(expect.objectContaining({ name: 'Stakeholder Discovery', timeout_hours: 24 }));
+    expect(newProject.selectable).toEqual(expect.objectContaining({ stage: 'operations', available_after: 'mvp_deployment' }));
+
+    const rebuild = definitions.get('rebuild-project');
+    expect(rebuild.phases).toHaveLength(22);
+    expect(rebuild.phases.find(phase => phase.id === 'legacy-analysis').gate).toEqual(expect.objectContaining({
+      name: 'Rebuild Scope Confirmation',
+      checks: expect.arrayContaining(['Rebuild type confirmed'])
+    }));
+
+    expect(() => fromNative({ id: 'broken', phases: [{ id: 'a', agent: 'x', next: 'b' }] })).toThrow(/unknown next phase "b"/);
+    expect(() => fromNative({ id: 'loop', phases: [{ id: 'a', agent: 'x', next: 'b' }, { id: 'b', agent: 'y', next: 'a' }] }))
+      .toThrow(WorkflowDefinitionError);
+  });
+
+  test('leaves the built-in workflows to the commands that sequence them', async () => {
+    const engine = createEngine();
+    expect(engine.listWorkflows().filter(workflow => workflow.command)).toEqual([
+      expect.objectContaining({ id: 'new-project', command: '/start-new-project-workflow' }),
+      expect.objectContaining({ id: 'existing-project', command: '/start-existing-project-workflow' }),
+      expect.objectContaining({ id: 'rebuild-project', command: '/rebuild-project-workflow' })
+    ]);
+
+    for (const workflowId of ['new-project', 'existing-project', 'rebuild-project']) {
+      const error = await engine.start(workflowId).catch(caught => caught);
+      expect(error).toBeInstanceOf(WorkflowEngineError);
+      expect(error.code).toBe('command_owned');
+    }
+    expect(fs.existsSync(path.join(projectRoot, 'project-state', 'runtime.json'))).toBe(false);
+  });
+
+  test('runs a custom compliance auditwith parallel branches, retries, conditions and gates', async () => {
+    const calls = [];
+    let flaky = true;
+    const engine = createEngine({
+      executeStep: async (step, context) => {
+        calls.push(`${context.phase}/${step.id}#${context.attempt}`);
+        if (step.id === 'data_handling' && flaky) {
+          flaky = false;
+          throw new Error('evidence store unreachable');
+        }
+        return { done: step.id };
+      }
+    });
+
+    let status = await engine.start('compliance-audit', { research_level: 'minimal' });
+    expect(status).toEqual(expect.objectContaining({ status: 'awaiting_approval', current_phase: 'audit_scoping' }));
+    expect(status.awaiting_approval.gate).toBe('Audit Scope Confirmation');
+    expect(readState('runtime.json').queues.approvals).toHaveLength(1);
+
+    await expect(engine.approve('Audit Sign-off')).rejects.toBeInstanceOf(WorkflowEngineError);
+    status = await engine.approve('Audit Scope Confirmation', { approved_by: 'ciso' });
+    expect(status.awaiting_approval.gate).toBe('Audit Sign-off');
+    expect(status.phases.map(phase => [phase.id, phase.status])).toEqual([
+      ['audit_scoping', 'completed'],
+      ['control_mapping', 'completed'],
+      ['evidence_collection', 'completed'],
+      ['regulatory_research', 'skipped'],
+      ['gap_remediation_plan', 'completed'],
+      ['audit_report', 'completed']
+    ]);
+    expect(calls).toEqual(expect.arrayContaining([
+      'evidence_collection/data_handling#1',
+      'evidence_collection/data_handling#2',
+      'evidence_collection/access_review#1'
+    ]));
+    expect(calls.some(call => call.startsWith('regulatory_research'))).toBe(false);
+
+    status = await engine.approve('audit_report');
+    expect(status).toEqual(expect.objectContaining({ status: 'completed', active: false, progress: 100 }));
+
+    // A fresh engine resumes from the three state files
+    const runtime = readState('runtime.json');
+    expect(runtime.workflow).toEqual(expect.objectContaining({ active: 'compliance-audit', progress: 100 }));
+    expect(runtime.engine.phases.evidence_collection.steps.data_handling).toEqual(expect.objectContaining({ attempts: 2, status: 'completed' }));
+    const persistent = readState('persistent.json');
+    expect(persistent.phases_completed).toEqual(['audit_scoping', 'control_mapping', 'evidence_collection', 'gap_remediation_plan', 'audit_report']);
+    expect(persistent.decisions.map(decision => decision.decision)).toEqual(['Approved Audit Scope Confirmation', 'Approved Audit Sign-off']);
+    expect(createEngine().status().status).toBe('completed');
+  });
+
+  test('queues agent tasks by default and waits for steps to complete or fail', async () => {
+    definitions = new Map([['release', fromNative({
+      id: 'release',
+      phases: [
+        { id: 'verify', parallel: [{ id: 'tests', agent: 'testing_agent' }, { id: 'scan', agent: 'security_agent' }] },
+        { id: 'ship', agent: 'devops_agent', retry: { max_attempts: 2 }, approval_gate: { name: 'Go Live' } },
+        { id: 'deep_dive', agent: 'research_agent', when: { research_level: ['thorough'] } }
+      ],
+      selectable: { stage: 'follow-ups', phases: [{ id: 'announce', agent: 'marketing_agent' }] }
+    })]]);
+    const engine = createEngine();
+
+    let status = await engine.start('release', { research_level: 'thorough' });
+    expect(status).toEqual(expect.objectContaining({ status: 'waiting', pending_steps: ['tests', 'scan'] }));
+    expect(readState('runtime.json').queues.tasks.map(task => [task.agent, task.status])).toEqual([
+      ['testing_agent', 'queued'],
+      ['security_agent', 'queued']
+    ]);
+
+    await engine.completeStep('tests', { passed: 42 });
+    status = await createEngine().completeStep('scan');
+    expect(status.pending_steps).toEqual(['ship-devops_agent']);
+
+    const resumed = createEngine();
+    status = await resumed.failStep('ship-devops_agent', 'registry timeout');
+    expect(status.status).toBe('waiting');
+    status = await resumed.failStep('ship-devops_agent', 'registry timeout');
+    expect(status).toEqual(expect.objectContaining({ status: 'failed', error: expect.objectContaining({ phase: 'ship' }) }));
+
+    status = await resumed.retry();
+    status = await resumed.completeStep('ship-devops_agent');
+    expect(status.awaiting_approval.gate).toBe('Go Live');
+
+    status = await resumed.reject('Go Live', { reason: 'wait for freeze to end' });
+    expect(status.pending_steps).toEqual(['ship-devops_agent']);
+    await resumed.completeStep('ship-devops_agent');
+    await resumed.approve('Go Live');
+    status = await resumed.completeStep('deep_dive-research_agent');
+    expect(status.status).toBe('completed');
+    expect(readState('runtime.json').temp.phase_selection_unlocked).toBe(true);
+
+    await expect(resumed.selectPhases(['unknown'])).rejects.toThrow(/Unknown follow-ups phases/);
+    status = await resumed.selectPhases(['announce']);
+    expect(status).toEqual(expect.objectContaining({ status: 'waiting', current_phase: 'announce' }));
+    status = await resumed.completeStep('announce-marketing_agent');
+    expect(status.status).toBe('completed');
+    expect(readState('persistent.json').decisions.map(decision => decision.decision)).toEqual(['Rejected Go Live', 'Approved Go Live']);
+  });
+});